@@ -1,135 +1,26 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.19;
 
+import "./MedChainBase.sol";
+
 /**
  * @title MedChain - Medical Record Sharing System
  * @notice Advanced blockchain-based medical record management with access control
- * @dev Implements patient-controlled sharing with time-based permissions and audit trails
+ * @dev Implements patient-controlled sharing with time-based permissions and audit trails.
+ *      Deployed behind MedChainProxy, which holds the state and is set up by MedChainUpgrades.initialize.
  */
-contract MedChain {
-    
-    // ==================== ENUMS & STRUCTS ====================
-    
-    enum UserRole { None, Patient, Doctor, Admin }
-    
-    struct User {
-        address userAddress;
-        string name;
-        UserRole role;
-        bool isRegistered;
-        uint256 registrationTime;
-    }
-    
-    struct MedicalRecord {
-        uint256 recordId;
-        address patientAddress;
-        string ipfsHash;           // IPFS hash of encrypted medical file
-        string recordType;         // e.g., "Lab Report", "X-Ray", "Prescription"
-        string description;
-        uint256 timestamp;
-        bool exists;
-    }
-    
-    struct AccessPermission {
-        address doctorAddress;
-        uint256 grantedAt;
-        uint256 expiresAt;         // 0 means no expiry
-        bool isActive;
-        string purpose;            // Reason for access
-    }
-    
-    struct AuditLog {
-        address accessor;
-        uint256 recordId;
-        uint256 timestamp;
-        string action;             // "VIEW", "GRANT", "REVOKE"
-    }
-    
-    // ==================== STATE VARIABLES ====================
-    
-    mapping(address => User) public users;
-    mapping(address => uint256[]) public patientRecords;
-    mapping(uint256 => MedicalRecord) public records;
-    mapping(address => mapping(address => AccessPermission)) public permissions; // patient => doctor => permission
-    mapping(address => AuditLog[]) public auditTrails;
-    
-    uint256 public recordCounter;
-    address public admin;
-    bool public emergencyMode;
-    
-    // ==================== EVENTS ====================
-    
-    event UserRegistered(address indexed userAddress, string name, UserRole role);
-    event RecordCreated(uint256 indexed recordId, address indexed patient, string recordType);
-    event AccessGranted(address indexed patient, address indexed doctor, uint256 expiresAt);
-    event AccessRevoked(address indexed patient, address indexed doctor);
-    event RecordAccessed(address indexed accessor, uint256 indexed recordId);
-    event EmergencyModeToggled(bool status);
-    
-    // ==================== MODIFIERS ====================
-    
-    modifier onlyRegistered() {
-        require(users[msg.sender].isRegistered, "User not registered");
-        _;
-    }
-    
-    modifier onlyPatient() {
-        require(users[msg.sender].role == UserRole.Patient, "Only patients allowed");
-        _;
-    }
-    
-    modifier onlyDoctor() {
-        require(users[msg.sender].role == UserRole.Doctor, "Only doctors allowed");
-        _;
-    }
-    
-    modifier onlyAdmin() {
-        require(msg.sender == admin, "Only admin allowed");
-        _;
-    }
-    
-    modifier recordExists(uint256 _recordId) {
-        require(records[_recordId].exists, "Record does not exist");
-        _;
-    }
-    
-    // ==================== CONSTRUCTOR ====================
-    
-    constructor() {
-        admin = msg.sender;
-        emergencyMode = false;
-        
-        // Register admin
-        users[admin] = User({
-            userAddress: admin,
-            name: "System Admin",
-            role: UserRole.Admin,
-            isRegistered: true,
-            registrationTime: block.timestamp
-        });
-    }
+contract MedChain is MedChainBase {
     
     // ==================== USER MANAGEMENT ====================
     
     /**
-     * @notice Register a new user (patient or doctor)
+     * @notice Register a new patient
+     * @dev Doctors must apply through registerDoctor so their credentials can be verified
      * @param _name User's full name
-     * @param _role Role (1 = Patient, 2 = Doctor)
+     * @param _role Role (1 = Patient)
      */
     function registerUser(string memory _name, UserRole _role) external {
-        require(!users[msg.sender].isRegistered, "User already registered");
-        require(_role == UserRole.Patient || _role == UserRole.Doctor, "Invalid role");
-        require(bytes(_name).length > 0, "Name cannot be empty");
-        
-        users[msg.sender] = User({
-            userAddress: msg.sender,
-            name: _name,
-            role: _role,
-            isRegistered: true,
-            registrationTime: block.timestamp
-        });
-        
-        emit UserRegistered(msg.sender, _name, _role);
+        _registerUser(msg.sender, _name, _role);
     }
     
     /**
@@ -153,33 +44,22 @@ contract MedChain {
      * @param _ipfsHash IPFS hash of the encrypted medical file
      * @param _recordType Type of medical record
      * @param _description Brief description
+     * @param _file Digest, size and MIME type of the original file
      */
     function createRecord(
         string memory _ipfsHash,
         string memory _recordType,
-        string memory _description
+        string memory _description,
+        RecordFile memory _file
     ) external onlyRegistered onlyPatient returns (uint256) {
         require(bytes(_ipfsHash).length > 0, "IPFS hash required");
         
-        recordCounter++;
-        
-        records[recordCounter] = MedicalRecord({
-            recordId: recordCounter,
-            patientAddress: msg.sender,
-            ipfsHash: _ipfsHash,
-            recordType: _recordType,
-            description: _description,
-            timestamp: block.timestamp,
-            exists: true
-        });
-        
-        patientRecords[msg.sender].push(recordCounter);
+        uint256 recordId = _storeRecord(msg.sender, msg.sender, _ipfsHash, _recordType, _description, _file);
         
         // Log creation
-        _addAuditLog(msg.sender, recordCounter, "CREATE");
+        _addAuditLog(msg.sender, address(0), recordId, "CREATE", ActorType.Patient, "");
         
-        emit RecordCreated(recordCounter, msg.sender, _recordType);
-        return recordCounter;
+        return recordId;
     }
     
     /**
@@ -191,35 +71,65 @@ contract MedChain {
     }
 
     /**
-     * @notice Get all records accessible to a doctor
-     * @dev Used by doctors to view records they have access to
+     * @notice Get a page of the records accessible to a doctor
+     * @dev Walks only the records of patients who granted the doctor access. The page covers
+     *      positions [_offset, _offset + _limit) of those candidates, so it may hold fewer than
+     *      _limit IDs; keep paging while _offset + _limit < total.
+     *      Grants to the doctor's organizations are paged by getOrganizationAccessibleRecords.
      * @param _doctor Doctor address
+     * @param _offset Position of the first candidate record to check
+     * @param _limit Maximum number of candidate records to check
+     * @return recordIds Accessible records in this page
+     * @return total Number of candidate records across all granting patients
      */
-    function getDoctorAccessibleRecords(address _doctor) external view onlyDoctor returns (uint256[] memory) {
+    function getDoctorAccessibleRecords(address _doctor, uint256 _offset, uint256 _limit) external view onlyDoctor returns (
+        uint256[] memory recordIds,
+        uint256 total
+    ) {
         require(_doctor == msg.sender, "Can only check your own accessible records");
         
-        uint256[] memory accessibleRecords = new uint256[](recordCounter);
+        address[] storage patients = grantingPatients[_doctor];
+        for (uint256 i = 0; i < patients.length; i++) {
+            total += patientRecords[patients[i]].length;
+        }
+        
+        uint256 end = _offset + _limit < total ? _offset + _limit : total;
+        uint256[] memory accessibleRecords = new uint256[](end > _offset ? end - _offset : 0);
         uint256 count = 0;
+        uint256 position = 0;
         
-        // Iterate through all records and check if doctor has access
-        for (uint256 i = 1; i <= recordCounter; i++) {
-            if (records[i].exists) {
-                address patientAddress = records[i].patientAddress;
-                // Check if doctor has access to this patient's records
-                if (_hasAccess(patientAddress, _doctor, i)) {
-                    accessibleRecords[count] = i;
-                    count++;
+        for (uint256 i = 0; i < patients.length && position < end; i++) {
+            uint256[] storage ids = patientRecords[patients[i]];
+            
+            // Skip patients whose records all lie before the page
+            if (position + ids.length <= _offset) {
+                position += ids.length;
+                continue;
+            }
+            
+            for (uint256 j = 0; j < ids.length && position < end; j++) {
+                if (position++ < _offset) continue;
+                
+                if (!records[ids[j]].archived && _hasAccess(patients[i], _doctor, ids[j])) {
+                    accessibleRecords[count++] = ids[j];
                 }
             }
         }
         
         // Create array with exact size
-        uint256[] memory result = new uint256[](count);
+        recordIds = new uint256[](count);
         for (uint256 i = 0; i < count; i++) {
-            result[i] = accessibleRecords[i];
+            recordIds[i] = accessibleRecords[i];
         }
-        
-        return result;
+    }
+    
+    /**
+     * @notice Get patients with at least one active grant to a doctor or organization
+     * @dev Grants that expired without being revoked keep the patient listed
+     * @param _doctor Doctor or organization address
+     */
+    function getGrantingPatients(address _doctor) external view returns (address[] memory) {
+        return grantingPatients[_doctor];
     }
     
     /**
@@ -236,14 +146,37 @@ contract MedChain {
         MedicalRecord memory record = records[_recordId];
         
         // Check authorization
-        require(
-            msg.sender == record.patientAddress || 
-            _hasAccess(record.patientAddress, msg.sender, _recordId) ||
-            (emergencyMode && users[msg.sender].role == UserRole.Doctor) ||
-            msg.sender == admin,
-            "Unauthorized access"
+        require(_canRead(msg.sender, _recordId), "Unauthorized access");
+        
+        return (
+            record.patientAddress,
+            record.ipfsHash,
+            record.recordType,
+            record.description,
+            record.timestamp
         );
+    }
+    
+    /**
+     * @notice Open a record and log the read
+     * @dev State-changing counterpart of getRecord: the VIEW entry lands in both the
+     *      accessor's and the patient's audit trail and RecordAccessed is emitted
+     * @param _recordId ID of the record
+     */
+    function accessRecord(uint256 _recordId) external onlyRegistered recordExists(_recordId) returns (
+        address patient,
+        string memory ipfsHash,
+        string memory recordType,
+        string memory description,
+        uint256 timestamp
+    ) {
+        require(_canRead(msg.sender, _recordId), "Unauthorized access");
+        
+        _logRecordView(_recordId);
+        
+        emit RecordAccessed(msg.sender, _recordId);
         
+        MedicalRecord storage record = records[_recordId];
         return (
             record.patientAddress,
             record.ipfsHash,
@@ -253,10 +186,31 @@ contract MedChain {
         );
     }
     
+    /**
+     * @notice Internal function to log a read by msg.sender
+     * @dev Reads that only succeed because of emergency mode are flagged as such
+     */
+    function _logRecordView(uint256 _recordId) internal {
+        address patient = records[_recordId].patientAddress;
+        
+        if (msg.sender == patient) {
+            _addAuditLog(patient, address(0), _recordId, "VIEW", ActorType.Patient, "");
+        } else if (guardianPowers[patient][msg.sender] & GUARDIAN_VIEW_RECORDS != 0) {
+            _addAuditLog(patient, address(0), _recordId, "VIEW", ActorType.Guardian, "");
+        } else if (_hasAccess(patient, msg.sender, _recordId)) {
+            _addAuditLog(patient, address(0), _recordId, "VIEW", ActorType.Doctor, _accessPurpose(patient, msg.sender, _recordId));
+        } else if (_hasEmergencyAccess(patient, msg.sender)) {
+            uint256 accessId = latestEmergencyAccess[patient][msg.sender];
+            _addAuditLog(patient, address(0), _recordId, "EMERGENCY_VIEW", ActorType.Emergency, emergencyAccesses[accessId].justification);
+        } else {
+            _addAuditLog(patient, address(0), _recordId, "EMERGENCY_VIEW", ActorType.Emergency, "Emergency mode");
+        }
+    }
+    
     // ==================== ACCESS CONTROL ====================
     
     /**
-     * @notice Grant access to a doctor
+     * @notice Grant access to all of the patient's records
      * @param _doctor Doctor's address
      * @param _expiryDuration Duration in seconds (0 for no expiry)
      * @param _purpose Purpose of access
@@ -266,23 +220,7 @@ contract MedChain {
         uint256 _expiryDuration,
         string memory _purpose
     ) external onlyRegistered onlyPatient {
-        require(users[_doctor].role == UserRole.Doctor, "Can only grant to doctors");
-        require(users[_doctor].isRegistered, "Doctor not registered");
-        
-        uint256 expiresAt = _expiryDuration > 0 ? block.timestamp + _expiryDuration : 0;
-        
-        permissions[msg.sender][_doctor] = AccessPermission({
-            doctorAddress: _doctor,
-            grantedAt: block.timestamp,
-            expiresAt: expiresAt,
-            isActive: true,
-            purpose: _purpose
-        });
-        
-        // Log access grant
-        _addAuditLog(msg.sender, 0, "GRANT_ACCESS");
-        
-        emit AccessGranted(msg.sender, _doctor, expiresAt);
+        _grantAccess(msg.sender, _doctor, _expiryDuration, _purpose, msg.sender, ActorType.Patient);
     }
     
     /**
@@ -290,14 +228,58 @@ contract MedChain {
      * @param _doctor Doctor's address
      */
     function revokeAccess(address _doctor) external onlyRegistered onlyPatient {
-        require(permissions[msg.sender][_doctor].isActive, "No active permission");
-        
-        permissions[msg.sender][_doctor].isActive = false;
-        
-        // Log access revocation
-        _addAuditLog(msg.sender, 0, "REVOKE_ACCESS");
-        
-        emit AccessRevoked(msg.sender, _doctor);
+        _revokeAccess(msg.sender, _doctor, ActorType.Patient);
+    }
+    
+    /**
+     * @notice Grant access to specific records only
+     * @param _doctor Doctor's address
+     * @param _recordIds IDs of the patient's records to share
+     * @param _expiryDuration Duration in seconds (0 for no expiry)
+     * @param _purpose Purpose of access
+     */
+    function grantRecordAccess(
+        address _doctor,
+        uint256[] memory _recordIds,
+        uint256 _expiryDuration,
+        string memory _purpose
+    ) external onlyRegistered onlyPatient {
+        _grantRecordAccess(msg.sender, _doctor, _recordIds, _expiryDuration, _purpose, ActorType.Patient);
+    }
+    
+    /**
+     * @notice Revoke access to specific records
+     * @param _doctor Doctor's address
+     * @param _recordIds IDs of the records to stop sharing
+     */
+    function revokeRecordAccess(address _doctor, uint256[] memory _recordIds) external onlyRegistered onlyPatient {
+        _revokeRecordAccess(msg.sender, _doctor, _recordIds, ActorType.Patient);
+    }
+    
+    /**
+     * @notice Grant access to every record of the given types
+     * @dev Also covers records of these types created after the grant
+     * @param _doctor Doctor's address
+     * @param _recordTypes Record types to share, e.g. "Lab Report"
+     * @param _expiryDuration Duration in seconds (0 for no expiry)
+     * @param _purpose Purpose of access
+     */
+    function grantCategoryAccess(
+        address _doctor,
+        string[] memory _recordTypes,
+        uint256 _expiryDuration,
+        string memory _purpose
+    ) external onlyRegistered onlyPatient {
+        _grantCategoryAccess(msg.sender, _doctor, _recordTypes, _expiryDuration, _purpose, ActorType.Patient);
+    }
+    
+    /**
+     * @notice Revoke access to record types
+     * @param _doctor Doctor's address
+     * @param _recordTypes Record types to stop sharing
+     */
+    function revokeCategoryAccess(address _doctor, string[] memory _recordTypes) external onlyRegistered onlyPatient {
+        _revokeCategoryAccess(msg.sender, _doctor, _recordTypes, ActorType.Patient);
     }
     
     /**
@@ -320,31 +302,16 @@ contract MedChain {
     }
     
     /**
-     * @notice Internal function to check access
+     * @notice Check if doctor can read a single record through any grant
+     * @param _doctor Doctor address
+     * @param _recordId ID of the record
      */
-    function _hasAccess(address _patient, address _doctor, uint256 _recordId) internal view returns (bool) {
-        AccessPermission memory perm = permissions[_patient][_doctor];
-        
-        if (!perm.isActive) return false;
-        if (perm.expiresAt > 0 && perm.expiresAt <= block.timestamp) return false;
-        
-        return true;
+    function checkRecordAccess(address _doctor, uint256 _recordId) external view recordExists(_recordId) returns (bool) {
+        return _hasAccess(records[_recordId].patientAddress, _doctor, _recordId);
     }
     
     // ==================== AUDIT TRAIL ====================
     
-    /**
-     * @notice Add audit log entry
-     */
-    function _addAuditLog(address _accessor, uint256 _recordId, string memory _action) internal {
-        auditTrails[_accessor].push(AuditLog({
-            accessor: _accessor,
-            recordId: _recordId,
-            timestamp: block.timestamp,
-            action: _action
-        }));
-    }
-    
     /**
      * @notice Get audit trail for a user
      * @param _user User address
@@ -353,15 +320,17 @@ contract MedChain {
         return auditTrails[_user];
     }
     
-    // ==================== EMERGENCY ACCESS ====================
-    
     /**
-     * @notice Toggle emergency mode (admin only)
-     * @dev In emergency mode, all doctors can access all records
+     * @notice Get every action taken on a patient's data, by anyone
+     * @dev Readable by the patient, admins and guardians holding GUARDIAN_VIEW_AUDIT
+     * @param _patient Patient address
      */
-    function toggleEmergencyMode() external onlyAdmin {
-        emergencyMode = !emergencyMode;
-        emit EmergencyModeToggled(emergencyMode);
+    function getPatientAuditTrail(address _patient) external view returns (AuditLog[] memory) {
+        require(
+            msg.sender == _patient || admins[msg.sender] || guardianPowers[_patient][msg.sender] & GUARDIAN_VIEW_AUDIT != 0,
+            "Unauthorized access"
+        );
+        return patientAuditTrails[_patient];
     }
     
     // ==================== UTILITY FUNCTIONS ====================
@@ -375,4 +344,24 @@ contract MedChain {
     ) {
         return (recordCounter, emergencyMode);
     }
+    
+    // ==================== EXTENSIONS ====================
+    
+    /**
+     * @notice Delegate calls to functions implemented by extension contracts
+     * @dev Extensions share MedChainBase's storage layout, so they run against this contract's state
+     */
+    fallback() external {
+        address extension = extensions[msg.sig];
+        require(extension != address(0), "Function does not exist");
+        
+        assembly {
+            calldatacopy(0, 0, calldatasize())
+            let result := delegatecall(gas(), extension, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+            switch result
+            case 0 { revert(0, returndatasize()) }
+            default { return(0, returndatasize()) }
+        }
+    }
 }
@@ -0,0 +1,171 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./MedChainBase.sol";
+
+/**
+ * @title MedChainAccess - Grant listing, renewal and doctor access requests
+ * @notice Lets patients see every grant they have made, current and expired, and extend
+ *         a grant without re-granting it. Doctors can request access; the patient, or a
+ *         guardian who manages access, approves it with the requested terms or denies it.
+ * @dev Extension of MedChain: called through MedChain's fallback via delegatecall.
+ *      Grants are listed by the shared grant internals in MedChainBase.
+ */
+contract MedChainAccess is MedChainBase {
+    
+    // ==================== GRANT LIST ====================
+    
+    /**
+     * @notice Get every grant a patient has made, with its current permission
+     * @dev Revoked grants stay listed with isActive false; a grant index is its position in the list
+     * @param _patient Patient address
+     */
+    function getPatientGrants(address _patient) external view returns (
+        GrantEntry[] memory grants,
+        AccessPermission[] memory grantPermissions
+    ) {
+        grants = patientGrants[_patient];
+        grantPermissions = new AccessPermission[](grants.length);
+        for (uint256 i = 0; i < grants.length; i++) {
+            grantPermissions[i] = _grantPermission(_patient, patientGrants[_patient][i]);
+        }
+    }
+    
+    /**
+     * @notice Extend or renew one of your grants
+     * @param _grantIndex Position in your grant list (see getPatientGrants)
+     * @param _extraDuration Seconds to add; an expired grant runs from now
+     */
+    function extendAccess(uint256 _grantIndex, uint256 _extraDuration) external onlyRegistered onlyPatient {
+        _extendAccess(msg.sender, _grantIndex, _extraDuration, ActorType.Patient);
+    }
+    
+    // ==================== ACCESS REQUESTS ====================
+    
+    /**
+     * @notice Ask a patient for access to all of their records
+     * @param _patient Patient address
+     * @param _purpose Why access is needed; becomes the grant's purpose
+     * @param _duration Requested grant length in seconds, 0 for no expiry
+     */
+    function requestAccess(address _patient, string memory _purpose, uint256 _duration) external onlyDoctor returns (uint256) {
+        require(users[_patient].role == UserRole.Patient, "Not a patient");
+        require(bytes(_purpose).length > 0, "Purpose required");
+        
+        accessRequestCounter++;
+        
+        accessRequests[accessRequestCounter] = AccessRequest({
+            doctor: msg.sender,
+            patient: _patient,
+            purpose: _purpose,
+            duration: _duration,
+            requestedAt: block.timestamp,
+            status: ProposalStatus.Pending,
+            decidedAt: 0,
+            denialReason: ""
+        });
+        pendingAccessRequests[_patient].push(accessRequestCounter);
+        doctorAccessRequests[msg.sender].push(accessRequestCounter);
+        
+        _addAuditLog(_patient, msg.sender, 0, "REQUEST_ACCESS", ActorType.Doctor, _purpose);
+        
+        emit AccessRequested(accessRequestCounter, _patient, msg.sender, _duration, _purpose);
+        return accessRequestCounter;
+    }
+    
+    /**
+     * @notice Approve a request, granting the doctor access with the requested purpose and duration
+     * @dev Callable by the patient or a guardian who manages their access
+     * @param _requestId Request ID
+     */
+    function approveAccessRequest(uint256 _requestId) external onlyRegistered {
+        (AccessRequest storage request, ActorType actorType) = _decideAccessRequest(_requestId, ProposalStatus.Accepted);
+        
+        _grantAccess(request.patient, request.doctor, request.duration, request.purpose, msg.sender, actorType);
+        
+        emit AccessRequestApproved(_requestId, request.patient, request.doctor);
+    }
+    
+    /**
+     * @notice Deny a request
+     * @dev Callable by the patient or a guardian who manages their access
+     * @param _requestId Request ID
+     * @param _reason Why access is denied
+     */
+    function denyAccessRequest(uint256 _requestId, string memory _reason) external onlyRegistered {
+        (AccessRequest storage request, ActorType actorType) = _decideAccessRequest(_requestId, ProposalStatus.Rejected);
+        request.denialReason = _reason;
+        
+        _addAuditLog(request.patient, request.doctor, 0, "DENY_ACCESS_REQUEST", actorType, _reason);
+        
+        emit AccessRequestDenied(_requestId, request.patient, request.doctor, _reason);
+    }
+    
+    /**
+     * @notice Get IDs of requests awaiting a patient's decision
+     * @param _patient Patient address
+     */
+    function getPendingAccessRequests(address _patient) external view returns (uint256[] memory) {
+        return pendingAccessRequests[_patient];
+    }
+    
+    /**
+     * @notice Get IDs of every request a doctor filed
+     * @param _doctor Doctor address
+     */
+    function getDoctorAccessRequests(address _doctor) external view returns (uint256[] memory) {
+        return doctorAccessRequests[_doctor];
+    }
+    
+    /**
+     * @notice Get a request (patient, their access-managing guardians, requesting doctor or admin only)
+     * @param _requestId Request ID
+     */
+    function getAccessRequest(uint256 _requestId) external view returns (AccessRequest memory) {
+        AccessRequest storage request = accessRequests[_requestId];
+        require(request.status != ProposalStatus.None, "Request does not exist");
+        require(
+            msg.sender == request.patient ||
+            msg.sender == request.doctor ||
+            guardianPowers[request.patient][msg.sender] & GUARDIAN_MANAGE_ACCESS != 0 ||
+            admins[msg.sender],
+            "Unauthorized access"
+        );
+        
+        return request;
+    }
+    
+    /**
+     * @notice Internal function to settle a pending request on the patient's behalf
+     * @return request The settled request
+     * @return actorType Capacity msg.sender decides in
+     */
+    function _decideAccessRequest(uint256 _requestId, ProposalStatus _status) internal returns (
+        AccessRequest storage request,
+        ActorType actorType
+    ) {
+        request = accessRequests[_requestId];
+        require(request.status == ProposalStatus.Pending, "Request is not pending");
+        
+        address patient = request.patient;
+        if (msg.sender == patient) {
+            actorType = ActorType.Patient;
+        } else {
+            require(guardianPowers[patient][msg.sender] & GUARDIAN_MANAGE_ACCESS != 0, "Not your request");
+            actorType = ActorType.Guardian;
+        }
+        
+        request.status = _status;
+        request.decidedAt = block.timestamp;
+        
+        // Remove from the patient's pending list (order is not preserved)
+        uint256[] storage pending = pendingAccessRequests[patient];
+        for (uint256 i = 0; i < pending.length; i++) {
+            if (pending[i] == _requestId) {
+                pending[i] = pending[pending.length - 1];
+                pending.pop();
+                break;
+            }
+        }
+    }
+}
@@ -0,0 +1,256 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./MedChainBase.sol";
+
+/**
+ * @title MedChainAdmins - Administrator management and quorum-approved admin actions
+ * @notice Several admins share control; critical actions need adminQuorum of them to approve
+ * @dev Extension of MedChain: called through MedChain's fallback via delegatecall.
+ *      Each quorum-gated function records msg.sender's approval and only acts on the call
+ *      that reaches the quorum; earlier calls just return.
+ */
+contract MedChainAdmins is MedChainBase {
+    
+    // ==================== ADMIN MANAGEMENT ====================
+    
+    /**
+     * @notice Approve adding an administrator (quorum required)
+     * @param _account Address of the new admin; must not be registered yet
+     * @param _name Display name of the new admin
+     */
+    function addAdmin(address _account, string memory _name) external onlyAdmin {
+        require(_account != address(0), "Invalid admin");
+        require(!admins[_account], "Already an admin");
+        require(!users[_account].isRegistered, "Account already registered");
+        require(bytes(_name).length > 0, "Name cannot be empty");
+        
+        if (!_approveAdminAction("ADD_ADMIN", _account, uint256(keccak256(bytes(_name))))) return;
+        
+        _registerAdmin(_account, _name);
+        
+        _addAuditLog(address(0), _account, 0, "ADD_ADMIN", ActorType.Admin, _name);
+    }
+    
+    /**
+     * @notice Approve removing an administrator (quorum required)
+     * @dev The primary admin must transfer the role before being removed
+     * @param _account Admin to remove
+     */
+    function removeAdmin(address _account) external onlyAdmin {
+        require(admins[_account], "Not an admin");
+        require(_account != admin, "Transfer primary admin first");
+        require(adminList.length - 1 >= adminQuorum, "Lower the quorum first");
+        
+        if (!_approveAdminAction("REMOVE_ADMIN", _account, 0)) return;
+        
+        admins[_account] = false;
+        for (uint256 i = 0; i < adminList.length; i++) {
+            if (adminList[i] == _account) {
+                adminList[i] = adminList[adminList.length - 1];
+                adminList.pop();
+                break;
+            }
+        }
+        
+        // Keep the name for audit trails, but the account no longer acts as an admin
+        users[_account].role = UserRole.None;
+        users[_account].isRegistered = false;
+        if (userListed[_account]) {
+            userRoleCounts[UserRole.Admin]--;
+        }
+        
+        _addAuditLog(address(0), _account, 0, "REMOVE_ADMIN", ActorType.Admin, "");
+        
+        emit AdminRemoved(_account);
+    }
+    
+    /**
+     * @notice Approve changing how many admins must approve critical actions (quorum required)
+     * @param _quorum New number of required approvals
+     */
+    function setAdminQuorum(uint256 _quorum) external onlyAdmin {
+        require(_quorum > 0 && _quorum <= adminList.length, "Invalid quorum");
+        
+        if (!_approveAdminAction("SET_ADMIN_QUORUM", address(0), _quorum)) return;
+        
+        adminQuorum = _quorum;
+        
+        _addAuditLog(address(0), address(0), 0, "SET_ADMIN_QUORUM", ActorType.Admin, "");
+        
+        emit AdminQuorumChanged(_quorum);
+    }
+    
+    /**
+     * @notice Approve nominating a new primary admin (quorum required)
+     * @dev Step one of two: the nominee takes over by calling acceptAdmin
+     * @param _newAdmin Nominee; must be an admin already or not registered
+     */
+    function transferAdmin(address _newAdmin) external onlyAdmin {
+        require(_newAdmin != address(0) && _newAdmin != admin, "Invalid admin");
+        require(admins[_newAdmin] || !users[_newAdmin].isRegistered, "Account already registered");
+        
+        if (!_approveAdminAction("TRANSFER_ADMIN", _newAdmin, 0)) return;
+        
+        pendingAdmin = _newAdmin;
+        
+        _addAuditLog(address(0), _newAdmin, 0, "TRANSFER_ADMIN", ActorType.Admin, "");
+        
+        emit AdminTransferStarted(admin, _newAdmin);
+    }
+    
+    /**
+     * @notice Accept the primary admin role
+     * @dev Step two of two; the previous primary admin stays an ordinary admin
+     */
+    function acceptAdmin() external {
+        require(msg.sender == pendingAdmin, "Not the pending admin");
+        
+        if (!admins[msg.sender]) {
+            _registerAdmin(msg.sender, "System Admin");
+        }
+        
+        address previousAdmin = admin;
+        admin = msg.sender;
+        pendingAdmin = address(0);
+        
+        _addAuditLog(address(0), previousAdmin, 0, "ACCEPT_ADMIN", ActorType.Admin, "");
+        
+        emit AdminTransferred(previousAdmin, msg.sender);
+    }
+    
+    /**
+     * @notice Get all current admins
+     */
+    function getAdmins() external view returns (address[] memory) {
+        return adminList;
+    }
+    
+    /**
+     * @notice Get approval progress of a quorum-gated admin action
+     * @param _action Action name, e.g. "TOGGLE_EMERGENCY_MODE"
+     * @param _target Address the action applies to (zero if none)
+     * @param _value Action parameter (zero if none)
+     */
+    function getAdminActionStatus(string memory _action, address _target, uint256 _value) external view returns (
+        bytes32 actionId,
+        uint256 approvals,
+        uint256 required
+    ) {
+        bytes32 actionKey = keccak256(abi.encode(_action, _target, _value));
+        actionId = keccak256(abi.encode(actionKey, adminActionNonces[actionKey]));
+        return (actionId, _countAdminApprovals(actionId), adminQuorum);
+    }
+    
+    /**
+     * @notice Get every administrative action
+     */
+    function getSystemAuditTrail() external view returns (AuditLog[] memory) {
+        return systemAuditTrail;
+    }
+    
+    // ==================== DASHBOARD ====================
+    
+    /**
+     * @notice Get a page of the user directory, oldest first (admin only)
+     * @dev Removed admins stay listed, unregistered with role None
+     * @param _offset Position of the first account
+     * @param _limit Maximum number of accounts
+     * @return page Accounts in this page
+     * @return total Number of listed accounts
+     */
+    function getUsers(uint256 _offset, uint256 _limit) external view onlyAdmin returns (
+        User[] memory page,
+        uint256 total
+    ) {
+        total = userList.length;
+        uint256 end = _offset + _limit < total ? _offset + _limit : total;
+        page = new User[](end > _offset ? end - _offset : 0);
+        
+        for (uint256 i = 0; i < page.length; i++) {
+            page[i] = users[userList[_offset + i]];
+        }
+    }
+    
+    /**
+     * @notice Add accounts registered before the user directory existed (admin only)
+     * @dev Unregistered and already listed accounts are skipped, so a list can safely be resubmitted
+     * @param _accounts Accounts to list, e.g. from past UserRegistered events
+     */
+    function listExistingUsers(address[] memory _accounts) external onlyAdmin {
+        for (uint256 i = 0; i < _accounts.length; i++) {
+            if (users[_accounts[i]].isRegistered && !userListed[_accounts[i]]) {
+                _listUser(_accounts[i], users[_accounts[i]].role);
+            }
+        }
+    }
+    
+    /**
+     * @notice Get system-wide counts for the admin dashboard
+     * @dev Extends MedChain.getStats; doctor verification counts are tallied over every application
+     */
+    function getSystemStats() external view returns (SystemStats memory stats) {
+        for (uint256 i = 0; i < doctorApplicants.length; i++) {
+            VerificationStatus status = doctorCredentials[doctorApplicants[i]].status;
+            if (status == VerificationStatus.Verified) {
+                stats.verifiedDoctors++;
+            } else if (status == VerificationStatus.Pending) {
+                stats.pendingDoctors++;
+            }
+        }
+        
+        stats.patients = userRoleCounts[UserRole.Patient];
+        stats.doctors = userRoleCounts[UserRole.Doctor];
+        stats.admins = userRoleCounts[UserRole.Admin];
+        stats.users = stats.patients + stats.doctors + stats.admins;
+        stats.organizations = organizationList.length;
+        stats.records = recordCounter;
+        stats.emergencyAccesses = emergencyAccessCounter;
+        stats.pendingEmergencyReviews = pendingEmergencyReviews.length;
+        stats.accessRequests = accessRequestCounter;
+        stats.recordProposals = recordProposalCounter;
+        stats.systemAuditEntries = systemAuditTrail.length;
+        stats.adminQuorum = adminQuorum;
+        stats.emergencyMode = emergencyMode;
+    }
+    
+    // ==================== EMERGENCY MODE ====================
+    
+    /**
+     * @notice Approve toggling global emergency mode (quorum required)
+     * @dev In emergency mode, all verified doctors can access all records. Last resort only:
+     *      day-to-day emergencies go through per-patient invokeEmergencyAccess.
+     *      Approvals are for the target state, so "enable" votes never carry over to "disable".
+     */
+    function toggleEmergencyMode() external onlyAdmin {
+        if (!_approveAdminAction("TOGGLE_EMERGENCY_MODE", address(0), emergencyMode ? 0 : 1)) return;
+        
+        emergencyMode = !emergencyMode;
+        
+        _addAuditLog(address(0), address(0), 0, emergencyMode ? "ENABLE_EMERGENCY_MODE" : "DISABLE_EMERGENCY_MODE", ActorType.Admin, "");
+        
+        emit EmergencyModeToggled(emergencyMode);
+    }
+    
+    // ==================== INTERNAL ====================
+    
+    /**
+     * @notice Internal function to make an account an admin
+     */
+    function _registerAdmin(address _account, string memory _name) internal {
+        admins[_account] = true;
+        adminList.push(_account);
+        
+        users[_account] = User({
+            userAddress: _account,
+            name: _name,
+            role: UserRole.Admin,
+            isRegistered: true,
+            registrationTime: block.timestamp
+        });
+        _listUser(_account, UserRole.Admin);
+        
+        emit UserRegistered(_account, _name, UserRole.Admin);
+        emit AdminAdded(_account);
+    }
+}
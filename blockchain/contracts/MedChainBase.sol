@@ -0,0 +1,907 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title MedChainBase - Shared storage and internals of MedChain
+ * @notice Holds the state, events, modifiers and internal helpers of the MedChain system
+ * @dev MedChain and every extension it delegates to inherit this contract, so they all
+ *      share one storage layout. Only append new state variables at the end.
+ */
+abstract contract MedChainBase {
+    
+    // ==================== ENUMS & STRUCTS ====================
+    
+    enum UserRole { None, Patient, Doctor, Admin }
+    enum ActorType { Patient, Doctor, Admin, Emergency, Guardian }
+    enum VerificationStatus { None, Pending, Verified, Rejected }
+    enum ProposalStatus { None, Pending, Accepted, Rejected }
+    enum GrantScope { Full, Record, Category }
+    
+    struct User {
+        address userAddress;
+        string name;
+        UserRole role;
+        bool isRegistered;
+        uint256 registrationTime;
+    }
+    
+    struct DoctorCredential {
+        string licenseNumber;
+        string issuingAuthority;   // e.g., "State Medical Board"
+        string specialty;
+        VerificationStatus status;
+        uint256 submittedAt;
+        address reviewedBy;
+        uint256 reviewedAt;
+        string rejectionReason;
+    }
+    
+    struct MedicalRecord {
+        uint256 recordId;
+        address patientAddress;
+        string ipfsHash;           // IPFS hash of encrypted medical file
+        string recordType;         // e.g., "Lab Report", "X-Ray", "Prescription"
+        string description;
+        uint256 timestamp;         // When the current version was stored
+        bool exists;
+        uint256 version;           // Starts at 1, bumped by every amendment
+        bool archived;             // Withdrawn by the patient: hidden from doctors, history kept
+        address author;            // The patient, their guardian, or the doctor whose proposal the patient accepted
+        RecordFile file;           // Digest, size and type of the current version's file
+    }
+    
+    struct RecordFile {
+        bytes32 digest;            // SHA-256 of the original file, before any encryption
+        uint256 size;              // Size of the original file in bytes
+        string mimeType;
+    }
+    
+    struct RecordProposal {
+        address doctor;
+        address patient;
+        string ipfsHash;
+        string recordType;
+        string description;
+        uint256 submittedAt;
+        ProposalStatus status;
+        uint256 recordId;          // Record created on acceptance
+        uint256 decidedAt;
+        string rejectionReason;
+        RecordFile file;
+        bytes wrappedKey;          // Content key wrapped for the patient's public key, empty if the file isn't encrypted
+    }
+    
+    struct RecordVersion {
+        string ipfsHash;
+        string description;
+        uint256 timestamp;         // When this version was stored
+        uint256 supersededAt;
+        string amendmentReason;    // Why the patient replaced this version
+        RecordFile file;
+    }
+    
+    struct AccessPermission {
+        address doctorAddress;
+        uint256 grantedAt;
+        uint256 expiresAt;         // 0 means no expiry
+        bool isActive;
+        string purpose;            // Reason for access
+    }
+    
+    struct AccessRequest {
+        address doctor;
+        address patient;
+        string purpose;
+        uint256 duration;          // Requested grant length in seconds, 0 for no expiry
+        uint256 requestedAt;
+        ProposalStatus status;     // Accepted means approved, Rejected means denied
+        uint256 decidedAt;
+        string denialReason;
+    }
+    
+    struct GrantEntry {
+        address doctor;
+        GrantScope scope;
+        uint256 recordId;          // Record scope only
+        string recordType;         // Category scope only
+    }
+    
+    struct EmergencyAccess {
+        address doctor;
+        address patient;
+        string justification;
+        uint256 invokedAt;
+        uint256 expiresAt;
+        bool reviewed;
+        bool justified;            // Admin's verdict once reviewed
+        address reviewedBy;
+        string reviewNotes;
+    }
+    
+    struct AuditLog {
+        address accessor;
+        address patient;           // Patient whose data was acted on (zero for system actions)
+        uint256 recordId;
+        uint256 timestamp;
+        string action;             // "VIEW", "GRANT", "REVOKE"
+        ActorType actorType;       // Capacity the accessor acted in
+        string reason;             // Grant purpose or other justification
+    }
+    
+    struct Organization {
+        string name;
+        address owner;             // Manages members alongside the admins
+        uint256 createdAt;
+    }
+    
+    struct SystemStats {
+        uint256 users;             // Registered accounts in the user directory
+        uint256 patients;
+        uint256 doctors;           // Every doctor who applied, verified or not
+        uint256 verifiedDoctors;
+        uint256 pendingDoctors;    // Applications awaiting review
+        uint256 admins;
+        uint256 organizations;
+        uint256 records;
+        uint256 emergencyAccesses;
+        uint256 pendingEmergencyReviews;
+        uint256 accessRequests;
+        uint256 recordProposals;
+        uint256 systemAuditEntries;
+        uint256 adminQuorum;
+        bool emergencyMode;
+    }
+    
+    // ==================== STATE VARIABLES ====================
+    
+    mapping(address => User) public users;
+    mapping(address => uint256[]) public patientRecords;
+    mapping(uint256 => MedicalRecord) public records;
+    mapping(address => mapping(address => AccessPermission)) public permissions; // patient => doctor => permission
+    mapping(address => mapping(address => mapping(uint256 => AccessPermission))) public recordPermissions; // patient => doctor => recordId => permission
+    mapping(address => mapping(address => mapping(bytes32 => AccessPermission))) public categoryPermissions; // patient => doctor => keccak256(recordType) => permission
+    mapping(address => AuditLog[]) public auditTrails;          // actions taken by or directed at a user
+    mapping(address => AuditLog[]) public patientAuditTrails;   // every action on a patient's data
+    mapping(address => DoctorCredential) public doctorCredentials;
+    mapping(address => bool) public verifiers;                   // may review doctor applications besides admin
+    address[] public doctorApplicants;
+    
+    uint256 public recordCounter;
+    address public admin;                                        // primary admin; changes hands via two-step transfer
+    bool public emergencyMode;
+    
+    // Extension contract that implements each delegated function selector
+    mapping(bytes4 => address) public extensions;
+    
+    // EIP-1967 slot where MedChainProxy keeps the MedChain implementation it delegates to:
+    // bytes32(uint256(keccak256("eip1967.proxy.implementation")) - 1)
+    bytes32 internal constant IMPLEMENTATION_SLOT = 0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc;
+    
+    uint256 public constant EMERGENCY_ACCESS_DURATION = 12 hours;
+    mapping(uint256 => EmergencyAccess) public emergencyAccesses;                  // 1-based, see emergencyAccessCounter
+    mapping(address => mapping(address => uint256)) public latestEmergencyAccess;  // patient => doctor => emergency access ID
+    uint256[] public pendingEmergencyReviews;
+    uint256 public emergencyAccessCounter;
+    
+    mapping(address => bool) public admins;
+    address[] public adminList;
+    uint256 public adminQuorum;                                                   // approvals required for critical admin actions
+    address public pendingAdmin;                                                  // nominated primary admin awaiting acceptance
+    mapping(bytes32 => uint256) public adminActionNonces;                         // bumped on execution so approvals start over
+    mapping(bytes32 => mapping(address => bool)) public adminActionApprovals;     // action ID => admin => approved
+    AuditLog[] public systemAuditTrail;                                           // every administrative action
+    
+    mapping(uint256 => RecordVersion[]) internal recordHistory;                   // recordId => superseded versions, oldest first
+    
+    mapping(uint256 => RecordProposal) internal recordProposals;                  // 1-based, see recordProposalCounter
+    mapping(address => uint256[]) internal pendingRecordProposals;                // patient => proposals awaiting a decision
+    mapping(address => uint256[]) internal doctorRecordProposals;                 // doctor => every proposal submitted
+    uint256 public recordProposalCounter;
+    
+    mapping(address => address[]) internal grantingPatients;                      // doctor => patients with an active grant to them
+    mapping(address => mapping(address => uint256)) internal grantingPatientIndex; // doctor => patient => 1-based position in grantingPatients
+    mapping(address => mapping(address => uint256)) internal activeGrantCount;     // patient => doctor => active full, record and category grants
+    
+    // Powers a patient (or an admin, for minors) can give a guardian; combine as bit flags
+    uint8 public constant GUARDIAN_CREATE_RECORDS = 1;
+    uint8 public constant GUARDIAN_MANAGE_ACCESS = 2;
+    uint8 public constant GUARDIAN_VIEW_AUDIT = 4;
+    uint8 public constant GUARDIAN_VIEW_RECORDS = 8;
+    mapping(address => mapping(address => uint8)) internal guardianPowers;        // patient => guardian => GUARDIAN_* flags
+    mapping(address => address[]) internal patientGuardians;                      // patient => appointed guardians
+    mapping(address => address[]) internal guardianDependants;                    // guardian => patients they act for
+    
+    mapping(address => bytes) internal encryptionKeys;                            // user => compressed secp256k1 public key for key wrapping
+    mapping(uint256 => mapping(address => bytes)) internal recordKeys;            // recordId => reader => content key wrapped for the reader
+    
+    mapping(address => GrantEntry[]) internal patientGrants;                      // patient => every grant ever made, revoked and expired ones included
+    mapping(address => mapping(bytes32 => uint256)) internal patientGrantIndex;  // patient => grant key => 1-based position in patientGrants
+    
+    mapping(uint256 => AccessRequest) internal accessRequests;
+    mapping(address => uint256[]) internal pendingAccessRequests;                 // patient => requests awaiting a decision
+    mapping(address => uint256[]) internal doctorAccessRequests;                  // doctor => every request filed
+    uint256 public accessRequestCounter;
+    
+    mapping(address => uint256) internal relayNonces;                             // signer => nonce their next EIP-712 signed request must carry
+    mapping(address => bool) internal relayers;                                   // may submit signed requests on users' behalf
+    
+    bool internal initialized;                                                    // MedChainUpgrades.initialize has run
+    
+    // Organizations are granted access like doctors, through an account address derived when they are created
+    mapping(address => Organization) internal organizations;                      // organization account => details
+    address[] internal organizationList;                                           // every organization account, oldest first
+    mapping(address => mapping(address => bool)) internal organizationMembership;  // organization => doctor => member
+    mapping(address => address[]) internal organizationMembers;                    // organization => member doctors
+    mapping(address => address[]) internal memberOrganizations;                    // doctor => organizations they belong to
+    
+    // User directory for the admin dashboard; accounts registered before it existed are added with listExistingUsers
+    address[] internal userList;                                                   // every listed account, oldest first
+    mapping(address => bool) internal userListed;
+    mapping(UserRole => uint256) internal userRoleCounts;                          // role => registered accounts holding it
+    
+    // ==================== EVENTS ====================
+    
+    event UserRegistered(address indexed userAddress, string name, UserRole role);
+    event RecordCreated(uint256 indexed recordId, address indexed patient, string recordType);
+    event AccessGranted(address indexed patient, address indexed doctor, uint256 expiresAt);
+    event AccessRevoked(address indexed patient, address indexed doctor);
+    event RecordAccessGranted(address indexed patient, address indexed doctor, uint256 indexed recordId, uint256 expiresAt);
+    event RecordAccessRevoked(address indexed patient, address indexed doctor, uint256 indexed recordId);
+    event CategoryAccessGranted(address indexed patient, address indexed doctor, string recordType, uint256 expiresAt);
+    event CategoryAccessRevoked(address indexed patient, address indexed doctor, string recordType);
+    event RecordAccessed(address indexed accessor, uint256 indexed recordId);
+    event EmergencyModeToggled(bool status);
+    event DoctorApplicationSubmitted(address indexed doctor, string licenseNumber, string issuingAuthority);
+    event DoctorVerified(address indexed doctor, address indexed verifier);
+    event DoctorRejected(address indexed doctor, address indexed verifier, string reason);
+    event VerifierUpdated(address indexed verifier, bool enabled);
+    event EmergencyAccessInvoked(uint256 indexed accessId, address indexed patient, address indexed doctor, uint256 expiresAt, string justification);
+    event EmergencyAccessReviewed(uint256 indexed accessId, address indexed reviewer, bool justified, string notes);
+    event AdminActionApproved(bytes32 indexed actionId, string action, address indexed target, uint256 value, address indexed approver, uint256 approvals, uint256 required);
+    event AdminActionExecuted(bytes32 indexed actionId, string action, address indexed target, uint256 value);
+    event AdminAdded(address indexed account);
+    event AdminRemoved(address indexed account);
+    event AdminQuorumChanged(uint256 quorum);
+    event AdminTransferStarted(address indexed currentAdmin, address indexed pendingAdmin);
+    event AdminTransferred(address indexed previousAdmin, address indexed newAdmin);
+    event RecordAmended(uint256 indexed recordId, address indexed patient, uint256 version, string reason);
+    event RecordArchived(uint256 indexed recordId, address indexed patient, string reason);
+    event RecordRestored(uint256 indexed recordId, address indexed patient);
+    event RecordProposed(uint256 indexed proposalId, address indexed patient, address indexed doctor, string recordType);
+    event RecordProposalAccepted(uint256 indexed proposalId, uint256 indexed recordId);
+    event RecordProposalRejected(uint256 indexed proposalId, string reason);
+    event GuardianAppointed(address indexed patient, address indexed guardian, uint8 powers);
+    event GuardianRemoved(address indexed patient, address indexed guardian);
+    event EncryptionKeySet(address indexed user);
+    event RecordKeyShared(uint256 indexed recordId, address indexed reader);
+    event AccessRequested(uint256 indexed requestId, address indexed patient, address indexed doctor, uint256 duration, string purpose);
+    event AccessRequestApproved(uint256 indexed requestId, address indexed patient, address indexed doctor);
+    event AccessRequestDenied(uint256 indexed requestId, address indexed patient, address indexed doctor, string reason);
+    event AccessExtended(address indexed patient, address indexed doctor, uint256 indexed grantIndex, uint256 expiresAt);
+    event FileMismatchReported(uint256 indexed recordId, address indexed reporter, string details);
+    event RelayerUpdated(address indexed relayer, bool enabled);
+    event RequestRelayed(address indexed signer, address indexed relayer, uint256 nonce);
+    event ExtensionRouted(address indexed extension, bytes4[] selectors);
+    event Upgraded(address indexed implementation);
+    event OrganizationCreated(address indexed organization, string name, address indexed owner);
+    event OrganizationOwnerChanged(address indexed organization, address indexed owner);
+    event OrganizationMemberAdded(address indexed organization, address indexed doctor);
+    event OrganizationMemberRemoved(address indexed organization, address indexed doctor);
+    
+    // ==================== MODIFIERS ====================
+    
+    modifier onlyRegistered() {
+        require(users[msg.sender].isRegistered, "User not registered");
+        _;
+    }
+    
+    modifier onlyPatient() {
+        require(users[msg.sender].role == UserRole.Patient, "Only patients allowed");
+        _;
+    }
+    
+    modifier onlyDoctor() {
+        require(_isVerifiedDoctor(msg.sender), "Only verified doctors allowed");
+        _;
+    }
+    
+    modifier onlyAdmin() {
+        require(admins[msg.sender], "Only admin allowed");
+        _;
+    }
+    
+    modifier onlyVerifier() {
+        require(admins[msg.sender] || verifiers[msg.sender], "Only verifiers allowed");
+        _;
+    }
+    
+    modifier onlyGuardianOf(address _patient, uint8 _power) {
+        require(guardianPowers[_patient][msg.sender] & _power != 0, "Not authorized as guardian");
+        _;
+    }
+    
+    modifier recordExists(uint256 _recordId) {
+        require(records[_recordId].exists, "Record does not exist");
+        _;
+    }
+    
+    // ==================== INTERNAL HELPERS ====================
+    
+    /**
+     * @notice Internal function to register a patient
+     */
+    function _registerUser(address _user, string memory _name, UserRole _role) internal {
+        require(!users[_user].isRegistered, "User already registered");
+        require(_role != UserRole.Doctor, "Doctors must register with credentials");
+        require(_role == UserRole.Patient, "Invalid role");
+        require(bytes(_name).length > 0, "Name cannot be empty");
+        
+        users[_user] = User({
+            userAddress: _user,
+            name: _name,
+            role: _role,
+            isRegistered: true,
+            registrationTime: block.timestamp
+        });
+        _listUser(_user, _role);
+        
+        emit UserRegistered(_user, _name, _role);
+    }
+    
+    /**
+     * @notice Internal function to count a newly registered account and add it to the user directory
+     */
+    function _listUser(address _user, UserRole _role) internal {
+        if (!userListed[_user]) {
+            userListed[_user] = true;
+            userList.push(_user);
+        }
+        userRoleCounts[_role]++;
+    }
+    
+    /**
+     * @notice Internal function to route function selectors to an extension
+     * @dev The zero address removes the selectors, so calls to them fail
+     */
+    function _routeSelectors(address _extension, bytes4[] memory _selectors) internal {
+        for (uint256 i = 0; i < _selectors.length; i++) {
+            extensions[_selectors[i]] = _extension;
+        }
+        
+        emit ExtensionRouted(_extension, _selectors);
+    }
+    
+    /**
+     * @notice Internal function to store a patient's content keys re-wrapped for a reader
+     * @param _actor The patient: msg.sender, or the signer of a relayed request
+     */
+    function _shareRecordKeys(
+        address _patient,
+        address _reader,
+        uint256[] memory _recordIds,
+        bytes[] memory _wrappedKeys,
+        address _actor
+    ) internal {
+        require(_recordIds.length > 0 && _recordIds.length == _wrappedKeys.length, "Length mismatch");
+        
+        for (uint256 i = 0; i < _recordIds.length; i++) {
+            uint256 recordId = _recordIds[i];
+            require(records[recordId].patientAddress == _patient, "Not your record");
+            require(_wrappedKeys[i].length > 0, "Wrapped key required");
+            
+            recordKeys[recordId][_reader] = _wrappedKeys[i];
+            
+            emit RecordKeyShared(recordId, _reader);
+        }
+        
+        _addAuditLog(_patient, _reader, 0, "SHARE_RECORD_KEYS", _actor, ActorType.Patient, "");
+    }
+    
+    /**
+     * @notice Internal function to store a new record in a patient's chart
+     * @param _author Patient who created the record, or doctor who proposed it
+     */
+    function _storeRecord(
+        address _patient,
+        address _author,
+        string memory _ipfsHash,
+        string memory _recordType,
+        string memory _description,
+        RecordFile memory _file
+    ) internal returns (uint256) {
+        require(_file.digest != bytes32(0), "Content digest required");
+        
+        recordCounter++;
+        
+        records[recordCounter] = MedicalRecord({
+            recordId: recordCounter,
+            patientAddress: _patient,
+            ipfsHash: _ipfsHash,
+            recordType: _recordType,
+            description: _description,
+            timestamp: block.timestamp,
+            exists: true,
+            version: 1,
+            archived: false,
+            author: _author,
+            file: _file
+        });
+        
+        patientRecords[_patient].push(recordCounter);
+        
+        emit RecordCreated(recordCounter, _patient, _recordType);
+        return recordCounter;
+    }
+    
+    /**
+     * @notice Internal function to check whether a user may read a record
+     * @dev Admins have no standing read access: exposing records beyond the patient's grants
+     *      takes emergency mode, which needs the admin quorum. Guardians read only with GUARDIAN_VIEW_RECORDS.
+     */
+    function _canRead(address _reader, uint256 _recordId) internal view returns (bool) {
+        address patient = records[_recordId].patientAddress;
+        
+        if (_reader == patient || guardianPowers[patient][_reader] & GUARDIAN_VIEW_RECORDS != 0) {
+            return true;
+        }
+        
+        // Archived records are withdrawn from every grant, including emergency access
+        if (records[_recordId].archived) {
+            return false;
+        }
+        
+        return _hasAccess(patient, _reader, _recordId) ||
+            _hasEmergencyAccess(patient, _reader) ||
+            (emergencyMode && _isVerifiedDoctor(_reader));
+    }
+    
+    /**
+     * @notice Internal function to check for an unexpired break-glass access to a patient
+     */
+    function _hasEmergencyAccess(address _patient, address _doctor) internal view returns (bool) {
+        uint256 accessId = latestEmergencyAccess[_patient][_doctor];
+        return accessId != 0 && emergencyAccesses[accessId].expiresAt > block.timestamp;
+    }
+    
+    /**
+     * @notice Internal function to check a user is a doctor with approved credentials
+     */
+    function _isVerifiedDoctor(address _user) internal view returns (bool) {
+        return users[_user].role == UserRole.Doctor &&
+            doctorCredentials[_user].status == VerificationStatus.Verified;
+    }
+    
+    /**
+     * @notice Internal function to check whether an address can be granted access: a verified doctor or an organization
+     */
+    function _isGrantee(address _grantee) internal view returns (bool) {
+        return _isVerifiedDoctor(_grantee) || organizations[_grantee].createdAt != 0;
+    }
+    
+    /**
+     * @notice Internal function to check access
+     */
+    function _hasAccess(address _patient, address _doctor, uint256 _recordId) internal view returns (bool) {
+        (bool found, ) = _findPermission(_patient, _doctor, _recordId);
+        return found;
+    }
+    
+    /**
+     * @notice Internal function to find the purpose of the grant a doctor reads a record through
+     */
+    function _accessPurpose(address _patient, address _doctor, uint256 _recordId) internal view returns (string memory) {
+        (, AccessPermission storage perm) = _findPermission(_patient, _doctor, _recordId);
+        return perm.purpose;
+    }
+    
+    /**
+     * @notice Internal function to find the valid permission a doctor reads a record through
+     * @dev Grants to the doctor come first, then grants to the organizations the doctor belongs to,
+     *      so leaving an organization ends the access it gave
+     */
+    function _findPermission(address _patient, address _doctor, uint256 _recordId) internal view returns (
+        bool found,
+        AccessPermission storage perm
+    ) {
+        (found, perm) = _findGranteePermission(_patient, _doctor, _recordId);
+        
+        address[] storage memberOf = memberOrganizations[_doctor];
+        for (uint256 i = 0; i < memberOf.length && !found; i++) {
+            (found, perm) = _findGranteePermission(_patient, memberOf[i], _recordId);
+        }
+    }
+    
+    /**
+     * @notice Internal function to find a valid grant of a record to a doctor or organization
+     * @dev A record is readable through a full grant, a grant on the record itself or a grant on its type
+     */
+    function _findGranteePermission(address _patient, address _grantee, uint256 _recordId) internal view returns (
+        bool,
+        AccessPermission storage perm
+    ) {
+        perm = permissions[_patient][_grantee];
+        if (_isValidPermission(perm)) return (true, perm);
+        
+        perm = recordPermissions[_patient][_grantee][_recordId];
+        if (_isValidPermission(perm)) return (true, perm);
+        
+        perm = categoryPermissions[_patient][_grantee][keccak256(bytes(records[_recordId].recordType))];
+        return (_isValidPermission(perm), perm);
+    }
+    
+    /**
+     * @notice Internal function to check a permission is active and not expired
+     */
+    function _isValidPermission(AccessPermission storage _perm) internal view returns (bool) {
+        if (!_perm.isActive) return false;
+        if (_perm.expiresAt > 0 && _perm.expiresAt <= block.timestamp) return false;
+        
+        return true;
+    }
+    
+    /**
+     * @notice Add audit log entry for an action taken by msg.sender
+     * @param _patient Patient whose data was acted on (zero for system actions)
+     * @param _counterparty Other user affected, e.g. the doctor of a grant (zero if none)
+     */
+    function _addAuditLog(
+        address _patient,
+        address _counterparty,
+        uint256 _recordId,
+        string memory _action,
+        ActorType _actorType,
+        string memory _reason
+    ) internal {
+        _addAuditLog(_patient, _counterparty, _recordId, _action, msg.sender, _actorType, _reason);
+    }
+    
+    /**
+     * @notice Add audit log entry for an action taken by _actor
+     * @dev The entry goes to the actor's trail, the subject patient's trail and,
+     *      if set, the trail of the counterparty the action was directed at.
+     *      Relayed requests pass their signer, since msg.sender is the relayer.
+     * @param _actor User who took the action
+     */
+    function _addAuditLog(
+        address _patient,
+        address _counterparty,
+        uint256 _recordId,
+        string memory _action,
+        address _actor,
+        ActorType _actorType,
+        string memory _reason
+    ) internal {
+        AuditLog memory entry = AuditLog({
+            accessor: _actor,
+            patient: _patient,
+            recordId: _recordId,
+            timestamp: block.timestamp,
+            action: _action,
+            actorType: _actorType,
+            reason: _reason
+        });
+        
+        auditTrails[_actor].push(entry);
+        if (_counterparty != address(0) && _counterparty != _actor) {
+            auditTrails[_counterparty].push(entry);
+        }
+        if (_patient != address(0)) {
+            patientAuditTrails[_patient].push(entry);
+        }
+        if (_actorType == ActorType.Admin) {
+            systemAuditTrail.push(entry);
+        }
+    }
+    
+    /**
+     * @notice Internal function to approve a critical admin action as msg.sender
+     * @dev M-of-N approval: the action executes once adminQuorum current admins approved the
+     *      same (action, target, value). Callers perform the action only when this returns true.
+     *      Reuse it for any future action that must not rest on a single admin key.
+     * @param _action Action name, e.g. "TOGGLE_EMERGENCY_MODE"
+     * @param _target Address the action applies to (zero if none)
+     * @param _value Action parameter (zero if none)
+     * @return Whether the quorum was reached and the action should run now
+     */
+    function _approveAdminAction(string memory _action, address _target, uint256 _value) internal returns (bool) {
+        bytes32 actionKey = keccak256(abi.encode(_action, _target, _value));
+        bytes32 actionId = keccak256(abi.encode(actionKey, adminActionNonces[actionKey]));
+        require(!adminActionApprovals[actionId][msg.sender], "Already approved");
+        
+        adminActionApprovals[actionId][msg.sender] = true;
+        uint256 approvals = _countAdminApprovals(actionId);
+        
+        _addAuditLog(address(0), _target, 0, "APPROVE_ADMIN_ACTION", ActorType.Admin, _action);
+        emit AdminActionApproved(actionId, _action, _target, _value, msg.sender, approvals, adminQuorum);
+        
+        if (approvals < adminQuorum) return false;
+        
+        adminActionNonces[actionKey]++;
+        emit AdminActionExecuted(actionId, _action, _target, _value);
+        return true;
+    }
+    
+    /**
+     * @notice Internal function to count approvals of an action by current admins
+     * @dev Approvals of admins removed since then no longer count
+     */
+    function _countAdminApprovals(bytes32 _actionId) internal view returns (uint256 count) {
+        for (uint256 i = 0; i < adminList.length; i++) {
+            if (adminActionApprovals[_actionId][adminList[i]]) {
+                count++;
+            }
+        }
+    }
+    
+    /**
+     * @notice Internal function to derive the capacity a user acts in from their role
+     */
+    function _actorTypeOf(address _user) internal view returns (ActorType) {
+        if (admins[_user]) return ActorType.Admin;
+        if (users[_user].role == UserRole.Doctor) return ActorType.Doctor;
+        return ActorType.Patient;
+    }
+    
+    /**
+     * @notice Internal function to remove an address from a list (order is not preserved)
+     */
+    function _removeAddress(address[] storage _list, address _account) internal {
+        for (uint256 i = 0; i < _list.length; i++) {
+            if (_list[i] == _account) {
+                _list[i] = _list[_list.length - 1];
+                _list.pop();
+                break;
+            }
+        }
+    }
+    
+    // ==================== ACCESS GRANTS ====================
+    
+    // Shared by the patient's own calls and by guardians acting for the patient;
+    // _actorType is the capacity msg.sender acts in. _grantAccess also serves relayed
+    // requests, so it takes the actor: msg.sender, or the request's signer.
+    
+    /**
+     * @notice Internal function to grant a doctor access to all of a patient's records
+     */
+    function _grantAccess(
+        address _patient,
+        address _doctor,
+        uint256 _expiryDuration,
+        string memory _purpose,
+        address _actor,
+        ActorType _actorType
+    ) internal {
+        require(_isGrantee(_doctor), "Can only grant to verified doctors or organizations");
+        
+        uint256 expiresAt = _expiryDuration > 0 ? block.timestamp + _expiryDuration : 0;
+        
+        _trackGrant(_patient, _doctor, permissions[_patient][_doctor].isActive);
+        _listGrant(_patient, _doctor, GrantScope.Full, 0, "");
+        permissions[_patient][_doctor] = AccessPermission({
+            doctorAddress: _doctor,
+            grantedAt: block.timestamp,
+            expiresAt: expiresAt,
+            isActive: true,
+            purpose: _purpose
+        });
+        
+        // Log access grant
+        _addAuditLog(_patient, _doctor, 0, "GRANT_ACCESS", _actor, _actorType, _purpose);
+        
+        emit AccessGranted(_patient, _doctor, expiresAt);
+    }
+    
+    /**
+     * @notice Internal function to revoke a doctor's access to all of a patient's records
+     */
+    function _revokeAccess(address _patient, address _doctor, ActorType _actorType) internal {
+        require(permissions[_patient][_doctor].isActive, "No active permission");
+        
+        permissions[_patient][_doctor].isActive = false;
+        _untrackGrant(_patient, _doctor);
+        
+        // Log access revocation
+        _addAuditLog(_patient, _doctor, 0, "REVOKE_ACCESS", _actorType, "");
+        
+        emit AccessRevoked(_patient, _doctor);
+    }
+    
+    /**
+     * @notice Internal function to grant a doctor access to specific records of a patient
+     */
+    function _grantRecordAccess(
+        address _patient,
+        address _doctor,
+        uint256[] memory _recordIds,
+        uint256 _expiryDuration,
+        string memory _purpose,
+        ActorType _actorType
+    ) internal {
+        require(_isGrantee(_doctor), "Can only grant to verified doctors or organizations");
+        require(_recordIds.length > 0, "No records selected");
+        
+        uint256 expiresAt = _expiryDuration > 0 ? block.timestamp + _expiryDuration : 0;
+        
+        for (uint256 i = 0; i < _recordIds.length; i++) {
+            uint256 recordId = _recordIds[i];
+            require(records[recordId].exists, "Record does not exist");
+            require(records[recordId].patientAddress == _patient, "Not your record");
+            
+            _trackGrant(_patient, _doctor, recordPermissions[_patient][_doctor][recordId].isActive);
+            _listGrant(_patient, _doctor, GrantScope.Record, recordId, "");
+            recordPermissions[_patient][_doctor][recordId] = AccessPermission({
+                doctorAddress: _doctor,
+                grantedAt: block.timestamp,
+                expiresAt: expiresAt,
+                isActive: true,
+                purpose: _purpose
+            });
+            
+            _addAuditLog(_patient, _doctor, recordId, "GRANT_RECORD_ACCESS", _actorType, _purpose);
+            
+            emit RecordAccessGranted(_patient, _doctor, recordId, expiresAt);
+        }
+    }
+    
+    /**
+     * @notice Internal function to revoke a doctor's access to specific records of a patient
+     */
+    function _revokeRecordAccess(address _patient, address _doctor, uint256[] memory _recordIds, ActorType _actorType) internal {
+        for (uint256 i = 0; i < _recordIds.length; i++) {
+            uint256 recordId = _recordIds[i];
+            require(recordPermissions[_patient][_doctor][recordId].isActive, "No active permission");
+            
+            recordPermissions[_patient][_doctor][recordId].isActive = false;
+            _untrackGrant(_patient, _doctor);
+            
+            _addAuditLog(_patient, _doctor, recordId, "REVOKE_RECORD_ACCESS", _actorType, "");
+            
+            emit RecordAccessRevoked(_patient, _doctor, recordId);
+        }
+    }
+    
+    /**
+     * @notice Internal function to grant a doctor access to every record of the given types
+     */
+    function _grantCategoryAccess(
+        address _patient,
+        address _doctor,
+        string[] memory _recordTypes,
+        uint256 _expiryDuration,
+        string memory _purpose,
+        ActorType _actorType
+    ) internal {
+        require(_isGrantee(_doctor), "Can only grant to verified doctors or organizations");
+        require(_recordTypes.length > 0, "No categories selected");
+        
+        uint256 expiresAt = _expiryDuration > 0 ? block.timestamp + _expiryDuration : 0;
+        
+        for (uint256 i = 0; i < _recordTypes.length; i++) {
+            require(bytes(_recordTypes[i]).length > 0, "Record type required");
+            bytes32 category = keccak256(bytes(_recordTypes[i]));
+            
+            _trackGrant(_patient, _doctor, categoryPermissions[_patient][_doctor][category].isActive);
+            _listGrant(_patient, _doctor, GrantScope.Category, 0, _recordTypes[i]);
+            categoryPermissions[_patient][_doctor][category] = AccessPermission({
+                doctorAddress: _doctor,
+                grantedAt: block.timestamp,
+                expiresAt: expiresAt,
+                isActive: true,
+                purpose: _purpose
+            });
+            
+            emit CategoryAccessGranted(_patient, _doctor, _recordTypes[i], expiresAt);
+        }
+        
+        _addAuditLog(_patient, _doctor, 0, "GRANT_CATEGORY_ACCESS", _actorType, _purpose);
+    }
+    
+    /**
+     * @notice Internal function to revoke a doctor's access to record types
+     */
+    function _revokeCategoryAccess(address _patient, address _doctor, string[] memory _recordTypes, ActorType _actorType) internal {
+        for (uint256 i = 0; i < _recordTypes.length; i++) {
+            bytes32 category = keccak256(bytes(_recordTypes[i]));
+            require(categoryPermissions[_patient][_doctor][category].isActive, "No active permission");
+            
+            categoryPermissions[_patient][_doctor][category].isActive = false;
+            _untrackGrant(_patient, _doctor);
+            
+            emit CategoryAccessRevoked(_patient, _doctor, _recordTypes[i]);
+        }
+        
+        _addAuditLog(_patient, _doctor, 0, "REVOKE_CATEGORY_ACCESS", _actorType, "");
+    }
+    
+    /**
+     * @notice Internal function to push the expiry of a listed grant
+     * @dev An expired grant is renewed from now, an unexpired one from its current expiry
+     * @param _grantIndex Position in the patient's grant list
+     * @param _extraDuration Seconds to add
+     */
+    function _extendAccess(address _patient, uint256 _grantIndex, uint256 _extraDuration, ActorType _actorType) internal {
+        require(_grantIndex < patientGrants[_patient].length, "Grant does not exist");
+        require(_extraDuration > 0, "Duration required");
+        
+        GrantEntry storage grant = patientGrants[_patient][_grantIndex];
+        AccessPermission storage perm = _grantPermission(_patient, grant);
+        require(perm.isActive, "No active permission");
+        require(perm.expiresAt != 0, "Grant does not expire");
+        
+        uint256 from = perm.expiresAt > block.timestamp ? perm.expiresAt : block.timestamp;
+        perm.expiresAt = from + _extraDuration;
+        
+        _addAuditLog(_patient, grant.doctor, grant.recordId, "EXTEND_ACCESS", _actorType, perm.purpose);
+        
+        emit AccessExtended(_patient, grant.doctor, _grantIndex, perm.expiresAt);
+    }
+    
+    /**
+     * @notice Internal function to look up the permission behind a listed grant
+     */
+    function _grantPermission(address _patient, GrantEntry storage _grant) internal view returns (AccessPermission storage) {
+        if (_grant.scope == GrantScope.Full) {
+            return permissions[_patient][_grant.doctor];
+        }
+        if (_grant.scope == GrantScope.Record) {
+            return recordPermissions[_patient][_grant.doctor][_grant.recordId];
+        }
+        return categoryPermissions[_patient][_grant.doctor][keccak256(bytes(_grant.recordType))];
+    }
+    
+    /**
+     * @notice Internal function to add a grant to the patient's grant list the first time it is made
+     * @dev Re-granting updates the permission in place, so the entry is not duplicated
+     */
+    function _listGrant(
+        address _patient,
+        address _doctor,
+        GrantScope _scope,
+        uint256 _recordId,
+        string memory _recordType
+    ) internal {
+        bytes32 key = keccak256(abi.encode(_doctor, _scope, _recordId, _recordType));
+        if (patientGrantIndex[_patient][key] != 0) return;
+        
+        patientGrants[_patient].push(GrantEntry({
+            doctor: _doctor,
+            scope: _scope,
+            recordId: _recordId,
+            recordType: _recordType
+        }));
+        patientGrantIndex[_patient][key] = patientGrants[_patient].length;
+    }
+    
+    /**
+     * @notice Internal function to index a grant from a patient to a doctor
+     * @dev Call before the grant is written; re-granting an active grant doesn't count twice
+     * @param _wasActive Whether the grant being overwritten was active
+     */
+    function _trackGrant(address _patient, address _doctor, bool _wasActive) internal {
+        if (_wasActive) return;
+        
+        if (activeGrantCount[_patient][_doctor]++ == 0) {
+            grantingPatients[_doctor].push(_patient);
+            grantingPatientIndex[_doctor][_patient] = grantingPatients[_doctor].length;
+        }
+    }
+    
+    /**
+     * @notice Internal function to drop a revoked grant from a patient to a doctor from the index
+     * @dev The patient leaves the doctor's list once none of their grants is active
+     */
+    function _untrackGrant(address _patient, address _doctor) internal {
+        if (--activeGrantCount[_patient][_doctor] > 0) return;
+        
+        // Swap and pop (order is not preserved)
+        address[] storage patients = grantingPatients[_doctor];
+        uint256 index = grantingPatientIndex[_doctor][_patient];
+        address last = patients[patients.length - 1];
+        
+        patients[index - 1] = last;
+        grantingPatientIndex[_doctor][last] = index;
+        patients.pop();
+        delete grantingPatientIndex[_doctor][_patient];
+    }
+}
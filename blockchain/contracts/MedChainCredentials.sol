@@ -0,0 +1,145 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./MedChainBase.sol";
+
+/**
+ * @title MedChainCredentials - Doctor credential verification
+ * @notice Doctors apply with their license details and only act as doctors once a verifier approves them
+ * @dev Extension of MedChain: called through MedChain's fallback via delegatecall
+ */
+contract MedChainCredentials is MedChainBase {
+    
+    // ==================== DOCTOR VERIFICATION ====================
+    
+    /**
+     * @notice Register as a doctor pending credential verification
+     * @dev Rejected applicants may call this again to resubmit corrected credentials
+     * @param _name User's full name
+     * @param _licenseNumber Medical license number
+     * @param _issuingAuthority Authority that issued the license
+     * @param _specialty Medical specialty
+     */
+    function registerDoctor(
+        string memory _name,
+        string memory _licenseNumber,
+        string memory _issuingAuthority,
+        string memory _specialty
+    ) external {
+        VerificationStatus status = doctorCredentials[msg.sender].status;
+        require(!users[msg.sender].isRegistered || status == VerificationStatus.Rejected, "User already registered");
+        require(bytes(_name).length > 0, "Name cannot be empty");
+        require(bytes(_licenseNumber).length > 0, "License number required");
+        require(bytes(_issuingAuthority).length > 0, "Issuing authority required");
+        
+        if (status == VerificationStatus.None) {
+            doctorApplicants.push(msg.sender);
+            _listUser(msg.sender, UserRole.Doctor);
+        }
+        
+        users[msg.sender] = User({
+            userAddress: msg.sender,
+            name: _name,
+            role: UserRole.Doctor,
+            isRegistered: true,
+            registrationTime: block.timestamp
+        });
+        
+        doctorCredentials[msg.sender] = DoctorCredential({
+            licenseNumber: _licenseNumber,
+            issuingAuthority: _issuingAuthority,
+            specialty: _specialty,
+            status: VerificationStatus.Pending,
+            submittedAt: block.timestamp,
+            reviewedBy: address(0),
+            reviewedAt: 0,
+            rejectionReason: ""
+        });
+        
+        emit UserRegistered(msg.sender, _name, UserRole.Doctor);
+        emit DoctorApplicationSubmitted(msg.sender, _licenseNumber, _issuingAuthority);
+    }
+    
+    /**
+     * @notice Approve a pending doctor application
+     * @param _doctor Applicant's address
+     */
+    function approveDoctor(address _doctor) external onlyVerifier {
+        DoctorCredential storage credential = doctorCredentials[_doctor];
+        require(credential.status == VerificationStatus.Pending, "No pending application");
+        
+        credential.status = VerificationStatus.Verified;
+        credential.reviewedBy = msg.sender;
+        credential.reviewedAt = block.timestamp;
+        
+        _addAuditLog(address(0), _doctor, 0, "VERIFY_DOCTOR", ActorType.Admin, credential.licenseNumber);
+        
+        emit DoctorVerified(_doctor, msg.sender);
+    }
+    
+    /**
+     * @notice Reject a pending doctor application
+     * @param _doctor Applicant's address
+     * @param _reason Why the credentials were not accepted
+     */
+    function rejectDoctor(address _doctor, string memory _reason) external onlyVerifier {
+        DoctorCredential storage credential = doctorCredentials[_doctor];
+        require(credential.status == VerificationStatus.Pending, "No pending application");
+        require(bytes(_reason).length > 0, "Reason required");
+        
+        credential.status = VerificationStatus.Rejected;
+        credential.reviewedBy = msg.sender;
+        credential.reviewedAt = block.timestamp;
+        credential.rejectionReason = _reason;
+        
+        _addAuditLog(address(0), _doctor, 0, "REJECT_DOCTOR", ActorType.Admin, _reason);
+        
+        emit DoctorRejected(_doctor, msg.sender, _reason);
+    }
+    
+    /**
+     * @notice Add or remove a credential verifier (admin only)
+     * @param _verifier Verifier's address
+     * @param _enabled Whether the address may review applications
+     */
+    function setVerifier(address _verifier, bool _enabled) external onlyAdmin {
+        require(_verifier != address(0), "Invalid verifier");
+        
+        verifiers[_verifier] = _enabled;
+        
+        _addAuditLog(address(0), _verifier, 0, _enabled ? "ADD_VERIFIER" : "REMOVE_VERIFIER", ActorType.Admin, "");
+        
+        emit VerifierUpdated(_verifier, _enabled);
+    }
+    
+    /**
+     * @notice Get addresses of doctors awaiting verification
+     */
+    function getPendingDoctorApplications() external view returns (address[] memory) {
+        uint256 count = 0;
+        for (uint256 i = 0; i < doctorApplicants.length; i++) {
+            if (doctorCredentials[doctorApplicants[i]].status == VerificationStatus.Pending) {
+                count++;
+            }
+        }
+        
+        address[] memory result = new address[](count);
+        uint256 index = 0;
+        for (uint256 i = 0; i < doctorApplicants.length; i++) {
+            if (doctorCredentials[doctorApplicants[i]].status == VerificationStatus.Pending) {
+                result[index] = doctorApplicants[i];
+                index++;
+            }
+        }
+        
+        return result;
+    }
+    
+    /**
+     * @notice Get a doctor's submitted credentials and verification status
+     * @param _doctor Doctor address
+     */
+    function getDoctorCredential(address _doctor) external view returns (DoctorCredential memory) {
+        return doctorCredentials[_doctor];
+    }
+}
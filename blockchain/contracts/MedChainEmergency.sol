@@ -0,0 +1,115 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./MedChainBase.sol";
+
+/**
+ * @title MedChainEmergency - Per-patient break-glass access
+ * @notice Verified doctors can open one patient's records for a bounded window by giving a justification;
+ *         every use is reported to the patient and queued for admin review
+ * @dev Extension of MedChain: called through MedChain's fallback via delegatecall
+ */
+contract MedChainEmergency is MedChainBase {
+    
+    // ==================== BREAK-GLASS ACCESS ====================
+    
+    /**
+     * @notice Invoke emergency access to a single patient's records
+     * @dev Access expires on its own after EMERGENCY_ACCESS_DURATION
+     * @param _patient Patient address
+     * @param _justification Why the records are needed without the patient's consent
+     */
+    function invokeEmergencyAccess(address _patient, string memory _justification) external onlyDoctor returns (uint256) {
+        require(users[_patient].role == UserRole.Patient, "Not a patient");
+        require(bytes(_justification).length > 0, "Justification required");
+        require(!_hasEmergencyAccess(_patient, msg.sender), "Emergency access already active");
+        
+        emergencyAccessCounter++;
+        uint256 expiresAt = block.timestamp + EMERGENCY_ACCESS_DURATION;
+        
+        emergencyAccesses[emergencyAccessCounter] = EmergencyAccess({
+            doctor: msg.sender,
+            patient: _patient,
+            justification: _justification,
+            invokedAt: block.timestamp,
+            expiresAt: expiresAt,
+            reviewed: false,
+            justified: false,
+            reviewedBy: address(0),
+            reviewNotes: ""
+        });
+        latestEmergencyAccess[_patient][msg.sender] = emergencyAccessCounter;
+        pendingEmergencyReviews.push(emergencyAccessCounter);
+        
+        _addAuditLog(_patient, address(0), 0, "EMERGENCY_ACCESS", ActorType.Emergency, _justification);
+        
+        emit EmergencyAccessInvoked(emergencyAccessCounter, _patient, msg.sender, expiresAt, _justification);
+        return emergencyAccessCounter;
+    }
+    
+    /**
+     * @notice Record the admin's after-the-fact review of an emergency access
+     * @param _accessId Emergency access ID
+     * @param _justified Whether the access was warranted
+     * @param _notes Review notes
+     */
+    function reviewEmergencyAccess(uint256 _accessId, bool _justified, string memory _notes) external onlyAdmin {
+        EmergencyAccess storage access = emergencyAccesses[_accessId];
+        require(access.doctor != address(0), "Emergency access does not exist");
+        require(!access.reviewed, "Already reviewed");
+        
+        access.reviewed = true;
+        access.justified = _justified;
+        access.reviewedBy = msg.sender;
+        access.reviewNotes = _notes;
+        
+        // Remove from the review queue (order is not preserved)
+        for (uint256 i = 0; i < pendingEmergencyReviews.length; i++) {
+            if (pendingEmergencyReviews[i] == _accessId) {
+                pendingEmergencyReviews[i] = pendingEmergencyReviews[pendingEmergencyReviews.length - 1];
+                pendingEmergencyReviews.pop();
+                break;
+            }
+        }
+        
+        _addAuditLog(
+            access.patient,
+            access.doctor,
+            0,
+            _justified ? "EMERGENCY_REVIEW_JUSTIFIED" : "EMERGENCY_REVIEW_UNJUSTIFIED",
+            ActorType.Admin,
+            _notes
+        );
+        
+        emit EmergencyAccessReviewed(_accessId, msg.sender, _justified, _notes);
+    }
+    
+    /**
+     * @notice Get emergency accesses awaiting admin review
+     */
+    function getPendingEmergencyReviews() external view returns (uint256[] memory) {
+        return pendingEmergencyReviews;
+    }
+    
+    /**
+     * @notice Get an emergency access by ID
+     * @param _accessId Emergency access ID
+     */
+    function getEmergencyAccess(uint256 _accessId) external view returns (EmergencyAccess memory) {
+        return emergencyAccesses[_accessId];
+    }
+    
+    /**
+     * @notice Check if a doctor currently holds emergency access to a patient
+     * @param _patient Patient address
+     * @param _doctor Doctor address
+     */
+    function checkEmergencyAccess(address _patient, address _doctor) external view returns (
+        bool isActive,
+        uint256 accessId,
+        uint256 expiresAt
+    ) {
+        accessId = latestEmergencyAccess[_patient][_doctor];
+        return (_hasEmergencyAccess(_patient, _doctor), accessId, emergencyAccesses[accessId].expiresAt);
+    }
+}
@@ -0,0 +1,205 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./MedChainBase.sol";
+
+/**
+ * @title MedChainGuardians - Guardian and caregiver delegation
+ * @notice Patients, or admins for minors, appoint guardians who may create records,
+ *         manage access or read the audit trail on the patient's behalf
+ * @dev Extension of MedChain: called through MedChain's fallback via delegatecall.
+ *      Delegated actions are logged with the guardian as accessor and ActorType.Guardian.
+ */
+contract MedChainGuardians is MedChainBase {
+    
+    // ==================== APPOINTMENTS ====================
+    
+    /**
+     * @notice Appoint a guardian, or change the powers of an existing one
+     * @dev Callable by the patient, or by an admin for patients who can't act themselves (e.g. minors).
+     *      Appointments by admins need the admin quorum, since the guardian may be given read access.
+     * @param _patient Patient address
+     * @param _guardian Registered user who will act for the patient
+     * @param _powers GUARDIAN_* flags
+     */
+    function appointGuardian(address _patient, address _guardian, uint8 _powers) external onlyRegistered {
+        require(msg.sender == _patient || admins[msg.sender], "Only the patient or an admin");
+        require(users[_patient].role == UserRole.Patient, "Not a patient");
+        require(users[_guardian].isRegistered, "Guardian not registered");
+        require(_guardian != _patient, "Cannot appoint yourself");
+        require(
+            _powers != 0 && _powers <= (GUARDIAN_CREATE_RECORDS | GUARDIAN_MANAGE_ACCESS | GUARDIAN_VIEW_AUDIT | GUARDIAN_VIEW_RECORDS),
+            "Invalid powers"
+        );
+        
+        if (msg.sender != _patient && !_approveAdminAction("APPOINT_GUARDIAN", _guardian, uint256(keccak256(abi.encode(_patient, _powers))))) return;
+        
+        if (guardianPowers[_patient][_guardian] == 0) {
+            patientGuardians[_patient].push(_guardian);
+            guardianDependants[_guardian].push(_patient);
+        }
+        guardianPowers[_patient][_guardian] = _powers;
+        
+        _addAuditLog(_patient, _guardian, 0, "APPOINT_GUARDIAN", _actorTypeOf(msg.sender), "");
+        
+        emit GuardianAppointed(_patient, _guardian, _powers);
+    }
+    
+    /**
+     * @notice Remove a guardian
+     * @dev Callable by the patient, an admin, or the guardian stepping down
+     * @param _patient Patient address
+     * @param _guardian Guardian to remove
+     */
+    function removeGuardian(address _patient, address _guardian) external onlyRegistered {
+        require(msg.sender == _patient || msg.sender == _guardian || admins[msg.sender], "Only the patient, guardian or an admin");
+        require(guardianPowers[_patient][_guardian] != 0, "Not a guardian");
+        
+        delete guardianPowers[_patient][_guardian];
+        _removeAddress(patientGuardians[_patient], _guardian);
+        _removeAddress(guardianDependants[_guardian], _patient);
+        
+        ActorType actorType = msg.sender == _guardian ? ActorType.Guardian : _actorTypeOf(msg.sender);
+        _addAuditLog(_patient, _guardian, 0, "REMOVE_GUARDIAN", actorType, "");
+        
+        emit GuardianRemoved(_patient, _guardian);
+    }
+    
+    /**
+     * @notice Get a patient's guardians and their powers
+     * @param _patient Patient address
+     */
+    function getGuardians(address _patient) external view returns (address[] memory guardians, uint8[] memory powers) {
+        guardians = patientGuardians[_patient];
+        powers = new uint8[](guardians.length);
+        for (uint256 i = 0; i < guardians.length; i++) {
+            powers[i] = guardianPowers[_patient][guardians[i]];
+        }
+    }
+    
+    /**
+     * @notice Get the patients a guardian acts for
+     * @param _guardian Guardian address
+     */
+    function getDependants(address _guardian) external view returns (address[] memory) {
+        return guardianDependants[_guardian];
+    }
+    
+    /**
+     * @notice Get the GUARDIAN_* flags a guardian holds for a patient (0 if none)
+     * @param _patient Patient address
+     * @param _guardian Guardian address
+     */
+    function getGuardianPowers(address _patient, address _guardian) external view returns (uint8) {
+        return guardianPowers[_patient][_guardian];
+    }
+    
+    // ==================== DELEGATED ACTIONS ====================
+    
+    /**
+     * @notice Create a record in a dependant's chart
+     * @param _patient Patient address
+     * @param _ipfsHash IPFS hash of the encrypted medical file
+     * @param _recordType Type of medical record
+     * @param _description Brief description
+     * @param _file Digest, size and MIME type of the original file
+     * @param _wrappedKey Content key wrapped for the patient's public key, empty if the file isn't encrypted
+     */
+    function createRecordFor(
+        address _patient,
+        string memory _ipfsHash,
+        string memory _recordType,
+        string memory _description,
+        RecordFile memory _file,
+        bytes memory _wrappedKey
+    ) external onlyGuardianOf(_patient, GUARDIAN_CREATE_RECORDS) returns (uint256) {
+        require(bytes(_ipfsHash).length > 0, "IPFS hash required");
+        
+        uint256 recordId = _storeRecord(_patient, msg.sender, _ipfsHash, _recordType, _description, _file);
+        if (_wrappedKey.length > 0) {
+            recordKeys[recordId][_patient] = _wrappedKey;
+        }
+        
+        _addAuditLog(_patient, address(0), recordId, "CREATE", ActorType.Guardian, "");
+        
+        return recordId;
+    }
+    
+    /**
+     * @notice Grant a doctor access to all of a dependant's records
+     */
+    function grantAccessFor(
+        address _patient,
+        address _doctor,
+        uint256 _expiryDuration,
+        string memory _purpose
+    ) external onlyGuardianOf(_patient, GUARDIAN_MANAGE_ACCESS) {
+        _grantAccess(_patient, _doctor, _expiryDuration, _purpose, msg.sender, ActorType.Guardian);
+    }
+    
+    /**
+     * @notice Revoke a doctor's access to all of a dependant's records
+     */
+    function revokeAccessFor(address _patient, address _doctor) external onlyGuardianOf(_patient, GUARDIAN_MANAGE_ACCESS) {
+        _revokeAccess(_patient, _doctor, ActorType.Guardian);
+    }
+    
+    /**
+     * @notice Grant a doctor access to specific records of a dependant
+     */
+    function grantRecordAccessFor(
+        address _patient,
+        address _doctor,
+        uint256[] memory _recordIds,
+        uint256 _expiryDuration,
+        string memory _purpose
+    ) external onlyGuardianOf(_patient, GUARDIAN_MANAGE_ACCESS) {
+        _grantRecordAccess(_patient, _doctor, _recordIds, _expiryDuration, _purpose, ActorType.Guardian);
+    }
+    
+    /**
+     * @notice Revoke a doctor's access to specific records of a dependant
+     */
+    function revokeRecordAccessFor(
+        address _patient,
+        address _doctor,
+        uint256[] memory _recordIds
+    ) external onlyGuardianOf(_patient, GUARDIAN_MANAGE_ACCESS) {
+        _revokeRecordAccess(_patient, _doctor, _recordIds, ActorType.Guardian);
+    }
+    
+    /**
+     * @notice Grant a doctor access to every record of the given types of a dependant
+     */
+    function grantCategoryAccessFor(
+        address _patient,
+        address _doctor,
+        string[] memory _recordTypes,
+        uint256 _expiryDuration,
+        string memory _purpose
+    ) external onlyGuardianOf(_patient, GUARDIAN_MANAGE_ACCESS) {
+        _grantCategoryAccess(_patient, _doctor, _recordTypes, _expiryDuration, _purpose, ActorType.Guardian);
+    }
+    
+    /**
+     * @notice Revoke a doctor's access to record types of a dependant
+     */
+    function revokeCategoryAccessFor(
+        address _patient,
+        address _doctor,
+        string[] memory _recordTypes
+    ) external onlyGuardianOf(_patient, GUARDIAN_MANAGE_ACCESS) {
+        _revokeCategoryAccess(_patient, _doctor, _recordTypes, ActorType.Guardian);
+    }
+    
+    /**
+     * @notice Extend or renew one of a dependant's grants
+     */
+    function extendAccessFor(
+        address _patient,
+        uint256 _grantIndex,
+        uint256 _extraDuration
+    ) external onlyGuardianOf(_patient, GUARDIAN_MANAGE_ACCESS) {
+        _extendAccess(_patient, _grantIndex, _extraDuration, ActorType.Guardian);
+    }
+}
@@ -0,0 +1,95 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./MedChainBase.sol";
+
+/**
+ * @title MedChainKeys - Encryption keys for end-to-end encrypted record files
+ * @notice Files are encrypted in the browser with a random content key. The key is stored
+ *         wrapped (encrypted) for the patient's public key and re-wrapped for each doctor
+ *         the patient shares the record with; the contract never sees a plaintext key.
+ * @dev Extension of MedChain: called through MedChain's fallback via delegatecall
+ */
+contract MedChainKeys is MedChainBase {
+    
+    // ==================== PUBLIC KEYS ====================
+    
+    /**
+     * @notice Publish your encryption public key so patients can wrap content keys for you
+     * @param _publicKey Compressed secp256k1 public key (33 bytes)
+     */
+    function setEncryptionKey(bytes memory _publicKey) external onlyRegistered {
+        require(_publicKey.length == 33, "Invalid public key");
+        
+        encryptionKeys[msg.sender] = _publicKey;
+        
+        emit EncryptionKeySet(msg.sender);
+    }
+    
+    /**
+     * @notice Get a user's encryption public key (empty if never published)
+     * @param _user User address
+     */
+    function getEncryptionKey(address _user) external view returns (bytes memory) {
+        return encryptionKeys[_user];
+    }
+    
+    // ==================== RECORD KEYS ====================
+    
+    /**
+     * @notice Create a record whose file is encrypted
+     * @param _ipfsHash IPFS hash of the encrypted medical file
+     * @param _recordType Type of medical record
+     * @param _description Brief description
+     * @param _file Digest, size and MIME type of the original file
+     * @param _wrappedKey Content key wrapped for your own public key
+     */
+    function createEncryptedRecord(
+        string memory _ipfsHash,
+        string memory _recordType,
+        string memory _description,
+        RecordFile memory _file,
+        bytes memory _wrappedKey
+    ) external onlyRegistered onlyPatient returns (uint256) {
+        require(bytes(_ipfsHash).length > 0, "IPFS hash required");
+        require(_wrappedKey.length > 0, "Wrapped key required");
+        
+        uint256 recordId = _storeRecord(msg.sender, msg.sender, _ipfsHash, _recordType, _description, _file);
+        recordKeys[recordId][msg.sender] = _wrappedKey;
+        
+        _addAuditLog(msg.sender, address(0), recordId, "CREATE", ActorType.Patient, "");
+        
+        return recordId;
+    }
+    
+    /**
+     * @notice Store content keys re-wrapped for a reader, usually right after granting them access
+     * @dev Wrapped keys don't grant access on their own; reads still go through the grants
+     * @param _reader Doctor the keys are wrapped for
+     * @param _recordIds IDs of your records
+     * @param _wrappedKeys Content key of each record wrapped for the reader's public key
+     */
+    function shareRecordKeys(
+        address _reader,
+        uint256[] memory _recordIds,
+        bytes[] memory _wrappedKeys
+    ) external onlyRegistered onlyPatient {
+        _shareRecordKeys(msg.sender, _reader, _recordIds, _wrappedKeys, msg.sender);
+    }
+    
+    /**
+     * @notice Get the content key of a record wrapped for you
+     * @param _recordId ID of the record
+     * @return encrypted Whether the record's file is encrypted
+     * @return wrappedKey Content key wrapped for msg.sender (empty if not shared with you)
+     */
+    function getRecordKey(uint256 _recordId) external view recordExists(_recordId) returns (
+        bool encrypted,
+        bytes memory wrappedKey
+    ) {
+        require(_canRead(msg.sender, _recordId), "Unauthorized access");
+        
+        encrypted = recordKeys[_recordId][records[_recordId].patientAddress].length > 0;
+        wrappedKey = recordKeys[_recordId][msg.sender];
+    }
+}
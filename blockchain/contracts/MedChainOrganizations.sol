@@ -0,0 +1,191 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./MedChainBase.sol";
+
+/**
+ * @title MedChainOrganizations - Hospitals and clinics as grantees
+ * @notice Admins create organizations and appoint an owner who, like the admins, adds and removes
+ *         member doctors. Patients grant an organization access with the usual grant functions,
+ *         passing its account instead of a doctor's; every member reads through that grant while
+ *         they belong to the organization.
+ * @dev Extension of MedChain: called through MedChain's fallback via delegatecall.
+ *      Membership is checked on every read by _hasAccess in MedChainBase, so nothing has to be
+ *      revoked when a doctor leaves.
+ */
+contract MedChainOrganizations is MedChainBase {
+    
+    modifier onlyOrganizationManager(address _organization) {
+        require(organizations[_organization].createdAt != 0, "Organization does not exist");
+        require(msg.sender == organizations[_organization].owner || admins[msg.sender], "Only the owner or an admin");
+        _;
+    }
+    
+    // ==================== ORGANIZATIONS ====================
+    
+    /**
+     * @notice Create an organization patients can grant access to (admin only)
+     * @dev The account is derived from this contract and the organization's position in the list;
+     *      nobody holds a key for it, it only names the organization in grants
+     * @param _name Organization name, e.g. "St. Mary's Hospital - Cardiology"
+     * @param _owner Registered user who manages the members
+     * @return organization Account patients grant access to
+     */
+    function createOrganization(string memory _name, address _owner) external onlyAdmin returns (address organization) {
+        require(bytes(_name).length > 0, "Name cannot be empty");
+        require(users[_owner].isRegistered, "Owner not registered");
+        
+        organization = address(uint160(uint256(keccak256(abi.encode(address(this), "MedChainOrganization", organizationList.length)))));
+        organizations[organization] = Organization({
+            name: _name,
+            owner: _owner,
+            createdAt: block.timestamp
+        });
+        organizationList.push(organization);
+        
+        _addAuditLog(address(0), _owner, 0, "CREATE_ORGANIZATION", ActorType.Admin, _name);
+        
+        emit OrganizationCreated(organization, _name, _owner);
+    }
+    
+    /**
+     * @notice Hand an organization over to a new owner
+     * @dev Callable by the current owner or an admin
+     * @param _organization Organization account
+     * @param _owner Registered user who will manage the members
+     */
+    function setOrganizationOwner(address _organization, address _owner) external onlyOrganizationManager(_organization) {
+        require(users[_owner].isRegistered, "Owner not registered");
+        
+        organizations[_organization].owner = _owner;
+        
+        _addAuditLog(address(0), _owner, 0, "SET_ORGANIZATION_OWNER", _actorTypeOf(msg.sender), organizations[_organization].name);
+        
+        emit OrganizationOwnerChanged(_organization, _owner);
+    }
+    
+    // ==================== MEMBERS ====================
+    
+    /**
+     * @notice Add a verified doctor to an organization
+     * @dev Callable by the owner or an admin; the doctor can read whatever patients granted the organization
+     * @param _organization Organization account
+     * @param _doctor Verified doctor
+     */
+    function addOrganizationMember(address _organization, address _doctor) external onlyOrganizationManager(_organization) {
+        require(_isVerifiedDoctor(_doctor), "Only verified doctors can be members");
+        require(!organizationMembership[_organization][_doctor], "Already a member");
+        
+        organizationMembership[_organization][_doctor] = true;
+        organizationMembers[_organization].push(_doctor);
+        memberOrganizations[_doctor].push(_organization);
+        
+        _addAuditLog(address(0), _doctor, 0, "ADD_ORGANIZATION_MEMBER", _actorTypeOf(msg.sender), organizations[_organization].name);
+        
+        emit OrganizationMemberAdded(_organization, _doctor);
+    }
+    
+    /**
+     * @notice Remove a doctor from an organization, ending the access its grants gave them
+     * @dev Callable by the owner, an admin, or the doctor leaving
+     * @param _organization Organization account
+     * @param _doctor Member to remove
+     */
+    function removeOrganizationMember(address _organization, address _doctor) external onlyRegistered {
+        require(
+            msg.sender == _doctor || msg.sender == organizations[_organization].owner || admins[msg.sender],
+            "Only the member, owner or an admin"
+        );
+        require(organizationMembership[_organization][_doctor], "Not a member");
+        
+        delete organizationMembership[_organization][_doctor];
+        _removeAddress(organizationMembers[_organization], _doctor);
+        _removeAddress(memberOrganizations[_doctor], _organization);
+        
+        _addAuditLog(address(0), _doctor, 0, "REMOVE_ORGANIZATION_MEMBER", _actorTypeOf(msg.sender), organizations[_organization].name);
+        
+        emit OrganizationMemberRemoved(_organization, _doctor);
+    }
+    
+    // ==================== QUERIES ====================
+    
+    /**
+     * @notice Get every organization account, oldest first
+     */
+    function getOrganizations() external view returns (address[] memory) {
+        return organizationList;
+    }
+    
+    /**
+     * @notice Get an organization and its members
+     * @param _organization Organization account
+     */
+    function getOrganization(address _organization) external view returns (
+        Organization memory organization,
+        address[] memory members
+    ) {
+        require(organizations[_organization].createdAt != 0, "Organization does not exist");
+        
+        return (organizations[_organization], organizationMembers[_organization]);
+    }
+    
+    /**
+     * @notice Get the organizations a doctor belongs to
+     * @param _doctor Doctor address
+     */
+    function getMemberOrganizations(address _doctor) external view returns (address[] memory) {
+        return memberOrganizations[_doctor];
+    }
+    
+    /**
+     * @notice Get a page of the records your organization can read through patients' grants to it
+     * @dev Pages like getDoctorAccessibleRecords, over the records of the patients in
+     *      getGrantingPatients(_organization); grants to you directly are not included
+     * @param _organization Organization you belong to
+     * @param _offset Position of the first candidate record to check
+     * @param _limit Maximum number of candidate records to check
+     * @return recordIds Accessible records in this page
+     * @return total Number of candidate records across all granting patients
+     */
+    function getOrganizationAccessibleRecords(address _organization, uint256 _offset, uint256 _limit) external view onlyDoctor returns (
+        uint256[] memory recordIds,
+        uint256 total
+    ) {
+        require(organizationMembership[_organization][msg.sender], "Not a member");
+        
+        address[] storage patients = grantingPatients[_organization];
+        for (uint256 i = 0; i < patients.length; i++) {
+            total += patientRecords[patients[i]].length;
+        }
+        
+        uint256 end = _offset + _limit < total ? _offset + _limit : total;
+        uint256[] memory accessibleRecords = new uint256[](end > _offset ? end - _offset : 0);
+        uint256 count = 0;
+        uint256 position = 0;
+        
+        for (uint256 i = 0; i < patients.length && position < end; i++) {
+            uint256[] storage ids = patientRecords[patients[i]];
+            
+            // Skip patients whose records all lie before the page
+            if (position + ids.length <= _offset) {
+                position += ids.length;
+                continue;
+            }
+            
+            for (uint256 j = 0; j < ids.length && position < end; j++) {
+                if (position++ < _offset) continue;
+                
+                (bool found, ) = _findGranteePermission(patients[i], _organization, ids[j]);
+                if (found && !records[ids[j]].archived) {
+                    accessibleRecords[count++] = ids[j];
+                }
+            }
+        }
+        
+        // Create array with exact size
+        recordIds = new uint256[](count);
+        for (uint256 i = 0; i < count; i++) {
+            recordIds[i] = accessibleRecords[i];
+        }
+    }
+}
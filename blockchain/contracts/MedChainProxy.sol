@@ -0,0 +1,56 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title MedChainProxy - Permanent address and storage of MedChain
+ * @notice Delegates every call to the current MedChain implementation, so MedChain can be
+ *         upgraded without moving users, records, grants or audit trails to a new address
+ * @dev EIP-1967 proxy with no functions of its own. Upgrades go through MedChainUpgrades,
+ *      which needs an admin quorum.
+ */
+contract MedChainProxy {
+    
+    // Same slot as MedChainBase.IMPLEMENTATION_SLOT
+    bytes32 private constant IMPLEMENTATION_SLOT = 0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc;
+    
+    event Upgraded(address indexed implementation);
+    
+    /**
+     * @param _implementation MedChain implementation
+     * @param _initializer MedChainUpgrades extension, which sets up the state
+     * @param _initData Encoded MedChainUpgrades.initialize call; the deployer becomes the primary admin
+     */
+    constructor(address _implementation, address _initializer, bytes memory _initData) {
+        require(_implementation.code.length > 0, "Invalid implementation");
+        
+        bytes32 slot = IMPLEMENTATION_SLOT;
+        assembly {
+            sstore(slot, _implementation)
+        }
+        emit Upgraded(_implementation);
+        
+        (bool success, bytes memory result) = _initializer.delegatecall(_initData);
+        if (!success) {
+            assembly {
+                revert(add(result, 0x20), mload(result))
+            }
+        }
+    }
+    
+    /**
+     * @notice Delegate every call to the MedChain implementation
+     */
+    fallback() external {
+        bytes32 slot = IMPLEMENTATION_SLOT;
+        
+        assembly {
+            let implementation := sload(slot)
+            calldatacopy(0, 0, calldatasize())
+            let result := delegatecall(gas(), implementation, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+            switch result
+            case 0 { revert(0, returndatasize()) }
+            default { return(0, returndatasize()) }
+        }
+    }
+}
@@ -0,0 +1,349 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./MedChainBase.sol";
+
+/**
+ * @title MedChainRecords - Bulk creation, record amendments, version history, archiving, doctor proposals and file integrity
+ * @notice Patients can import many records in one transaction, correct a record by storing a new version and withdraw a record
+ *         from doctors without erasing it; every superseded version stays queryable.
+ *         Granted doctors can propose records that enter the chart once the patient accepts them.
+ * @dev Extension of MedChain: called through MedChain's fallback via delegatecall.
+ *      An amended record keeps its ID, so grants and audit entries keep pointing at it.
+ */
+contract MedChainRecords is MedChainBase {
+    
+    // Keeps a full batch (roughly 670k gas per record) under the 2^24 per-transaction gas cap
+    uint256 public constant MAX_BATCH_RECORDS = 20;
+    
+    // ==================== BULK CREATION ====================
+    
+    /**
+     * @notice Create several records in one transaction, e.g. when importing existing documents
+     * @dev All or nothing: one invalid record reverts the whole batch
+     * @param _ipfsHashes IPFS hash of each file
+     * @param _recordTypes Type of each record
+     * @param _descriptions Brief description of each record
+     * @param _files Digest, size and MIME type of each original file
+     * @param _wrappedKeys Content key of each file wrapped for your own public key, empty for files that aren't encrypted
+     * @return recordIds IDs of the new records, in order
+     */
+    function createRecords(
+        string[] memory _ipfsHashes,
+        string[] memory _recordTypes,
+        string[] memory _descriptions,
+        RecordFile[] memory _files,
+        bytes[] memory _wrappedKeys
+    ) external onlyRegistered onlyPatient returns (uint256[] memory recordIds) {
+        uint256 count = _ipfsHashes.length;
+        require(count > 0 && count <= MAX_BATCH_RECORDS, "Invalid batch size");
+        require(
+            _recordTypes.length == count && _descriptions.length == count && _files.length == count && _wrappedKeys.length == count,
+            "Length mismatch"
+        );
+        
+        recordIds = new uint256[](count);
+        for (uint256 i = 0; i < count; i++) {
+            require(bytes(_ipfsHashes[i]).length > 0, "IPFS hash required");
+            
+            recordIds[i] = _storeRecord(msg.sender, msg.sender, _ipfsHashes[i], _recordTypes[i], _descriptions[i], _files[i]);
+            if (_wrappedKeys[i].length > 0) {
+                recordKeys[recordIds[i]][msg.sender] = _wrappedKeys[i];
+            }
+            
+            _addAuditLog(msg.sender, address(0), recordIds[i], "CREATE", ActorType.Patient, "");
+        }
+    }
+    
+    // ==================== AMENDMENTS ====================
+    
+    /**
+     * @notice Replace a record's file and description with a new version
+     * @dev The current version moves to the record's history before it is overwritten
+     * @param _recordId ID of the record
+     * @param _ipfsHash IPFS hash of the corrected file
+     * @param _description Corrected description
+     * @param _reason Why the record is amended
+     * @param _file Digest, size and MIME type of the corrected file
+     */
+    function amendRecord(
+        uint256 _recordId,
+        string memory _ipfsHash,
+        string memory _description,
+        string memory _reason,
+        RecordFile memory _file
+    ) external onlyRegistered onlyPatient recordExists(_recordId) returns (uint256) {
+        MedicalRecord storage record = records[_recordId];
+        require(record.patientAddress == msg.sender, "Not your record");
+        require(!record.archived, "Record is archived");
+        require(bytes(_ipfsHash).length > 0, "IPFS hash required");
+        require(bytes(_reason).length > 0, "Reason required");
+        require(_file.digest != bytes32(0), "Content digest required");
+        
+        recordHistory[_recordId].push(RecordVersion({
+            ipfsHash: record.ipfsHash,
+            description: record.description,
+            timestamp: record.timestamp,
+            supersededAt: block.timestamp,
+            amendmentReason: _reason,
+            file: record.file
+        }));
+        
+        record.ipfsHash = _ipfsHash;
+        record.description = _description;
+        record.file = _file;
+        record.timestamp = block.timestamp;
+        record.version++;
+        
+        _addAuditLog(msg.sender, address(0), _recordId, "AMEND", ActorType.Patient, _reason);
+        
+        emit RecordAmended(_recordId, msg.sender, record.version, _reason);
+        return record.version;
+    }
+    
+    /**
+     * @notice Get the superseded versions of a record, oldest first
+     * @dev Version N of the record is entry N - 1; the current version is returned by getRecord
+     * @param _recordId ID of the record
+     */
+    function getRecordHistory(uint256 _recordId) external view recordExists(_recordId) returns (RecordVersion[] memory) {
+        require(_canRead(msg.sender, _recordId), "Unauthorized access");
+        return recordHistory[_recordId];
+    }
+    
+    /**
+     * @notice Get a record's version number, archive state and author
+     * @param _recordId ID of the record
+     */
+    function getRecordStatus(uint256 _recordId) external view recordExists(_recordId) returns (
+        uint256 version,
+        bool archived,
+        address author
+    ) {
+        MedicalRecord storage record = records[_recordId];
+        return (record.version, record.archived, record.author);
+    }
+    
+    // ==================== FILE INTEGRITY ====================
+    
+    /**
+     * @notice Get the digest, size and MIME type committed for a record's current file
+     * @param _recordId ID of the record
+     */
+    function getRecordFile(uint256 _recordId) external view recordExists(_recordId) returns (RecordFile memory) {
+        require(_canRead(msg.sender, _recordId), "Unauthorized access");
+        return records[_recordId].file;
+    }
+    
+    /**
+     * @notice Report that a downloaded file doesn't match the digest committed on-chain
+     * @dev Lands in the patient's audit trail; the record itself is left untouched.
+     *      The reporter is logged in the capacity they read the record in, as for VIEW entries.
+     * @param _recordId ID of the record
+     * @param _details What didn't match, e.g. the digest of the downloaded bytes
+     */
+    function reportFileMismatch(uint256 _recordId, string memory _details) external onlyRegistered recordExists(_recordId) {
+        require(_canRead(msg.sender, _recordId), "Unauthorized access");
+        
+        address patient = records[_recordId].patientAddress;
+        _addAuditLog(patient, address(0), _recordId, "FILE_MISMATCH", _readerCapacity(patient, _recordId), _details);
+        
+        emit FileMismatchReported(_recordId, msg.sender, _details);
+    }
+    
+    /**
+     * @notice Internal function to get the capacity msg.sender reads a record in
+     * @dev Checked in the order MedChain logs record views: patient, guardian, grant, emergency
+     */
+    function _readerCapacity(address _patient, uint256 _recordId) internal view returns (ActorType) {
+        if (msg.sender == _patient) return ActorType.Patient;
+        if (guardianPowers[_patient][msg.sender] & GUARDIAN_VIEW_RECORDS != 0) return ActorType.Guardian;
+        if (_hasAccess(_patient, msg.sender, _recordId)) return ActorType.Doctor;
+        return ActorType.Emergency;
+    }
+    
+    // ==================== ARCHIVING ====================
+    
+    /**
+     * @notice Withdraw a record from every doctor without erasing it
+     * @dev Grants stay in place but no longer reach the record until it is restored
+     * @param _recordId ID of the record
+     * @param _reason Why the record is withdrawn
+     */
+    function archiveRecord(uint256 _recordId, string memory _reason) external onlyRegistered onlyPatient recordExists(_recordId) {
+        MedicalRecord storage record = records[_recordId];
+        require(record.patientAddress == msg.sender, "Not your record");
+        require(!record.archived, "Already archived");
+        
+        record.archived = true;
+        
+        _addAuditLog(msg.sender, address(0), _recordId, "ARCHIVE", ActorType.Patient, _reason);
+        
+        emit RecordArchived(_recordId, msg.sender, _reason);
+    }
+    
+    /**
+     * @notice Make an archived record visible to granted doctors again
+     * @param _recordId ID of the record
+     */
+    function restoreRecord(uint256 _recordId) external onlyRegistered onlyPatient recordExists(_recordId) {
+        MedicalRecord storage record = records[_recordId];
+        require(record.patientAddress == msg.sender, "Not your record");
+        require(record.archived, "Record is not archived");
+        
+        record.archived = false;
+        
+        _addAuditLog(msg.sender, address(0), _recordId, "RESTORE", ActorType.Patient, "");
+        
+        emit RecordRestored(_recordId, msg.sender);
+    }
+    
+    // ==================== DOCTOR PROPOSALS ====================
+    
+    /**
+     * @notice Propose a record for a patient's chart
+     * @dev Requires a full grant or a grant on the record's type; the record is only created
+     *      once the patient accepts the proposal
+     * @param _patient Patient address
+     * @param _ipfsHash IPFS hash of the encrypted medical file
+     * @param _recordType Type of medical record
+     * @param _description Brief description
+     * @param _file Digest, size and MIME type of the original file
+     * @param _wrappedKey Content key wrapped for the patient's public key, empty if the file isn't encrypted
+     */
+    function proposeRecord(
+        address _patient,
+        string memory _ipfsHash,
+        string memory _recordType,
+        string memory _description,
+        RecordFile memory _file,
+        bytes memory _wrappedKey
+    ) external onlyDoctor returns (uint256) {
+        require(bytes(_ipfsHash).length > 0, "IPFS hash required");
+        require(_file.digest != bytes32(0), "Content digest required");
+        require(
+            _isValidPermission(permissions[_patient][msg.sender]) ||
+            _isValidPermission(categoryPermissions[_patient][msg.sender][keccak256(bytes(_recordType))]),
+            "No active grant from patient"
+        );
+        
+        recordProposalCounter++;
+        
+        recordProposals[recordProposalCounter] = RecordProposal({
+            doctor: msg.sender,
+            patient: _patient,
+            ipfsHash: _ipfsHash,
+            recordType: _recordType,
+            description: _description,
+            submittedAt: block.timestamp,
+            status: ProposalStatus.Pending,
+            recordId: 0,
+            decidedAt: 0,
+            rejectionReason: "",
+            file: _file,
+            wrappedKey: _wrappedKey
+        });
+        pendingRecordProposals[_patient].push(recordProposalCounter);
+        doctorRecordProposals[msg.sender].push(recordProposalCounter);
+        
+        _addAuditLog(_patient, address(0), 0, "PROPOSE_RECORD", ActorType.Doctor, _recordType);
+        
+        emit RecordProposed(recordProposalCounter, _patient, msg.sender, _recordType);
+        return recordProposalCounter;
+    }
+    
+    /**
+     * @notice Accept a doctor's proposal into your chart
+     * @param _proposalId Proposal ID
+     * @return ID of the created record
+     */
+    function acceptRecordProposal(uint256 _proposalId) external onlyRegistered onlyPatient returns (uint256) {
+        RecordProposal storage proposal = _decideRecordProposal(_proposalId, ProposalStatus.Accepted);
+        
+        proposal.recordId = _storeRecord(
+            msg.sender,
+            proposal.doctor,
+            proposal.ipfsHash,
+            proposal.recordType,
+            proposal.description,
+            proposal.file
+        );
+        if (proposal.wrappedKey.length > 0) {
+            recordKeys[proposal.recordId][msg.sender] = proposal.wrappedKey;
+        }
+        
+        _addAuditLog(msg.sender, proposal.doctor, proposal.recordId, "ACCEPT_RECORD", ActorType.Patient, "");
+        
+        emit RecordProposalAccepted(_proposalId, proposal.recordId);
+        return proposal.recordId;
+    }
+    
+    /**
+     * @notice Reject a doctor's proposal
+     * @param _proposalId Proposal ID
+     * @param _reason Why the record does not belong in your chart
+     */
+    function rejectRecordProposal(uint256 _proposalId, string memory _reason) external onlyRegistered onlyPatient {
+        RecordProposal storage proposal = _decideRecordProposal(_proposalId, ProposalStatus.Rejected);
+        proposal.rejectionReason = _reason;
+        
+        _addAuditLog(msg.sender, proposal.doctor, 0, "REJECT_RECORD", ActorType.Patient, _reason);
+        
+        emit RecordProposalRejected(_proposalId, _reason);
+    }
+    
+    /**
+     * @notice Get IDs of proposals awaiting the patient's decision
+     * @param _patient Patient address
+     */
+    function getPendingRecordProposals(address _patient) external view returns (uint256[] memory) {
+        return pendingRecordProposals[_patient];
+    }
+    
+    /**
+     * @notice Get IDs of every proposal a doctor submitted
+     * @param _doctor Doctor address
+     */
+    function getDoctorRecordProposals(address _doctor) external view returns (uint256[] memory) {
+        return doctorRecordProposals[_doctor];
+    }
+    
+    /**
+     * @notice Get a proposal (patient or authoring doctor only)
+     * @param _proposalId Proposal ID
+     */
+    function getRecordProposal(uint256 _proposalId) external view returns (RecordProposal memory) {
+        RecordProposal storage proposal = recordProposals[_proposalId];
+        require(proposal.status != ProposalStatus.None, "Proposal does not exist");
+        require(
+            msg.sender == proposal.patient || msg.sender == proposal.doctor,
+            "Unauthorized access"
+        );
+        
+        return proposal;
+    }
+    
+    /**
+     * @notice Internal function to settle a pending proposal addressed to msg.sender
+     */
+    function _decideRecordProposal(uint256 _proposalId, ProposalStatus _status) internal returns (RecordProposal storage) {
+        RecordProposal storage proposal = recordProposals[_proposalId];
+        require(proposal.patient == msg.sender, "Not your proposal");
+        require(proposal.status == ProposalStatus.Pending, "Proposal already decided");
+        
+        proposal.status = _status;
+        proposal.decidedAt = block.timestamp;
+        
+        // Remove from the inbox (order is not preserved)
+        uint256[] storage inbox = pendingRecordProposals[msg.sender];
+        for (uint256 i = 0; i < inbox.length; i++) {
+            if (inbox[i] == _proposalId) {
+                inbox[i] = inbox[inbox.length - 1];
+                inbox.pop();
+                break;
+            }
+        }
+        
+        return proposal;
+    }
+}
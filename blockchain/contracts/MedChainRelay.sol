@@ -0,0 +1,323 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./MedChainBase.sol";
+
+/**
+ * @title MedChainRelay - Gasless patient actions through EIP-712 signed requests
+ * @notice A patient signs a typed request in their wallet and a trusted relayer submits it,
+ *         paying the gas. Each request carries the signer's next nonce and a deadline, so it
+ *         can be used once and only until it expires.
+ * @dev Extension of MedChain: called through MedChain's fallback via delegatecall from
+ *      MedChainProxy, so address(this) is the proxy and the EIP-712 domain's verifyingContract
+ *      is the address in the deployment manifest. It survives upgrades, and so do signatures.
+ *      Relayed actions are logged like the patient's own: the signer is the actor, not the relayer.
+ */
+contract MedChainRelay is MedChainBase {
+    
+    bytes32 private constant DOMAIN_TYPEHASH =
+        keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+    bytes32 private constant RECORD_FILE_TYPEHASH =
+        keccak256("RecordFile(bytes32 digest,uint256 size,string mimeType)");
+    bytes32 private constant REGISTER_USER_TYPEHASH =
+        keccak256("RegisterUser(address user,string name,uint8 role,uint256 nonce,uint256 deadline)");
+    bytes32 private constant SET_ENCRYPTION_KEY_TYPEHASH =
+        keccak256("SetEncryptionKey(address user,bytes publicKey,uint256 nonce,uint256 deadline)");
+    bytes32 private constant CREATE_RECORD_TYPEHASH =
+        keccak256("CreateRecord(address patient,string ipfsHash,string recordType,string description,RecordFile file,bytes wrappedKey,uint256 nonce,uint256 deadline)RecordFile(bytes32 digest,uint256 size,string mimeType)");
+    bytes32 private constant GRANT_ACCESS_TYPEHASH =
+        keccak256("GrantAccess(address patient,address doctor,uint256 expiryDuration,string purpose,uint256 nonce,uint256 deadline)");
+    bytes32 private constant SHARE_RECORD_KEYS_TYPEHASH =
+        keccak256("ShareRecordKeys(address patient,address reader,uint256[] recordIds,bytes[] wrappedKeys,uint256 nonce,uint256 deadline)");
+    
+    modifier onlyRelayer() {
+        require(relayers[msg.sender], "Only relayers allowed");
+        _;
+    }
+    
+    // ==================== RELAYERS ====================
+    
+    /**
+     * @notice Add or remove a relayer (admin only)
+     * @param _relayer Address that submits signed requests and pays their gas
+     * @param _enabled Whether the address may relay
+     */
+    function setRelayer(address _relayer, bool _enabled) external onlyAdmin {
+        require(_relayer != address(0), "Invalid relayer");
+        
+        relayers[_relayer] = _enabled;
+        
+        _addAuditLog(address(0), _relayer, 0, _enabled ? "RELAYER_ENABLED" : "RELAYER_DISABLED", ActorType.Admin, "");
+        
+        emit RelayerUpdated(_relayer, _enabled);
+    }
+    
+    /**
+     * @notice Check whether an address may relay signed requests
+     * @param _relayer Address to check
+     */
+    function isRelayer(address _relayer) external view returns (bool) {
+        return relayers[_relayer];
+    }
+    
+    /**
+     * @notice Get the nonce a user's next signed request must carry
+     * @param _user Signer address
+     */
+    function getRelayNonce(address _user) external view returns (uint256) {
+        return relayNonces[_user];
+    }
+    
+    /**
+     * @notice EIP-712 domain separator signed requests are bound to
+     * @dev verifyingContract is MedChainProxy's address
+     */
+    function relayDomainSeparator() external view returns (bytes32) {
+        return _domainSeparator();
+    }
+    
+    // ==================== SIGNED REQUESTS ====================
+    
+    /**
+     * @notice Register a patient who signed a RegisterUser request
+     * @param _user Signer, the account being registered
+     * @param _name User's full name
+     * @param _role Role (1 = Patient)
+     * @param _deadline Timestamp after which the request is void
+     * @param _signature Signer's EIP-712 signature
+     */
+    function registerUserBySig(
+        address _user,
+        string memory _name,
+        UserRole _role,
+        uint256 _deadline,
+        bytes memory _signature
+    ) external onlyRelayer {
+        bytes32 structHash = keccak256(abi.encode(
+            REGISTER_USER_TYPEHASH,
+            _user,
+            keccak256(bytes(_name)),
+            _role,
+            relayNonces[_user],
+            _deadline
+        ));
+        _useSignature(_user, structHash, _deadline, _signature);
+        
+        _registerUser(_user, _name, _role);
+    }
+    
+    /**
+     * @notice Publish the encryption public key of a user who signed a SetEncryptionKey request
+     * @param _user Signer
+     * @param _publicKey Compressed secp256k1 public key (33 bytes)
+     * @param _deadline Timestamp after which the request is void
+     * @param _signature Signer's EIP-712 signature
+     */
+    function setEncryptionKeyBySig(
+        address _user,
+        bytes memory _publicKey,
+        uint256 _deadline,
+        bytes memory _signature
+    ) external onlyRelayer {
+        require(users[_user].isRegistered, "User not registered");
+        require(_publicKey.length == 33, "Invalid public key");
+        
+        bytes32 structHash = keccak256(abi.encode(
+            SET_ENCRYPTION_KEY_TYPEHASH,
+            _user,
+            keccak256(_publicKey),
+            relayNonces[_user],
+            _deadline
+        ));
+        _useSignature(_user, structHash, _deadline, _signature);
+        
+        encryptionKeys[_user] = _publicKey;
+        
+        emit EncryptionKeySet(_user);
+    }
+    
+    /**
+     * @notice Create a record for a patient who signed a CreateRecord request
+     * @param _patient Signer
+     * @param _ipfsHash IPFS hash of the medical file
+     * @param _recordType Type of medical record
+     * @param _description Brief description
+     * @param _file Digest, size and MIME type of the original file
+     * @param _wrappedKey Content key wrapped for the patient's public key, empty if the file isn't encrypted
+     * @param _deadline Timestamp after which the request is void
+     * @param _signature Signer's EIP-712 signature
+     */
+    function createRecordBySig(
+        address _patient,
+        string memory _ipfsHash,
+        string memory _recordType,
+        string memory _description,
+        RecordFile memory _file,
+        bytes memory _wrappedKey,
+        uint256 _deadline,
+        bytes memory _signature
+    ) external onlyRelayer returns (uint256) {
+        _requirePatient(_patient);
+        require(bytes(_ipfsHash).length > 0, "IPFS hash required");
+        
+        bytes32 structHash = _hashCreateRecord(_patient, _ipfsHash, _recordType, _description, _file, _wrappedKey, _deadline);
+        _useSignature(_patient, structHash, _deadline, _signature);
+        
+        uint256 recordId = _storeRecord(_patient, _patient, _ipfsHash, _recordType, _description, _file);
+        if (_wrappedKey.length > 0) {
+            recordKeys[recordId][_patient] = _wrappedKey;
+        }
+        
+        _addAuditLog(_patient, address(0), recordId, "CREATE", _patient, ActorType.Patient, "");
+        
+        return recordId;
+    }
+    
+    /**
+     * @notice Grant a doctor access to all records of a patient who signed a GrantAccess request
+     * @param _patient Signer
+     * @param _doctor Doctor's address
+     * @param _expiryDuration Duration in seconds (0 for no expiry)
+     * @param _purpose Purpose of access
+     * @param _deadline Timestamp after which the request is void
+     * @param _signature Signer's EIP-712 signature
+     */
+    function grantAccessBySig(
+        address _patient,
+        address _doctor,
+        uint256 _expiryDuration,
+        string memory _purpose,
+        uint256 _deadline,
+        bytes memory _signature
+    ) external onlyRelayer {
+        _requirePatient(_patient);
+        
+        bytes32 structHash = keccak256(abi.encode(
+            GRANT_ACCESS_TYPEHASH,
+            _patient,
+            _doctor,
+            _expiryDuration,
+            keccak256(bytes(_purpose)),
+            relayNonces[_patient],
+            _deadline
+        ));
+        _useSignature(_patient, structHash, _deadline, _signature);
+        
+        _grantAccess(_patient, _doctor, _expiryDuration, _purpose, _patient, ActorType.Patient);
+    }
+    
+    /**
+     * @notice Store content keys re-wrapped for a reader, for a patient who signed a ShareRecordKeys request
+     * @param _patient Signer
+     * @param _reader Doctor the keys are wrapped for
+     * @param _recordIds IDs of the patient's records
+     * @param _wrappedKeys Content key of each record wrapped for the reader's public key
+     * @param _deadline Timestamp after which the request is void
+     * @param _signature Signer's EIP-712 signature
+     */
+    function shareRecordKeysBySig(
+        address _patient,
+        address _reader,
+        uint256[] memory _recordIds,
+        bytes[] memory _wrappedKeys,
+        uint256 _deadline,
+        bytes memory _signature
+    ) external onlyRelayer {
+        _requirePatient(_patient);
+        
+        bytes32[] memory keyHashes = new bytes32[](_wrappedKeys.length);
+        for (uint256 i = 0; i < _wrappedKeys.length; i++) {
+            keyHashes[i] = keccak256(_wrappedKeys[i]);
+        }
+        bytes32 structHash = keccak256(abi.encode(
+            SHARE_RECORD_KEYS_TYPEHASH,
+            _patient,
+            _reader,
+            keccak256(abi.encodePacked(_recordIds)),
+            keccak256(abi.encodePacked(keyHashes)),
+            relayNonces[_patient],
+            _deadline
+        ));
+        _useSignature(_patient, structHash, _deadline, _signature);
+        
+        _shareRecordKeys(_patient, _reader, _recordIds, _wrappedKeys, _patient);
+    }
+    
+    // ==================== INTERNAL ====================
+    
+    /**
+     * @notice Internal function to check a signed request and use up its nonce
+     */
+    function _useSignature(address _signer, bytes32 _structHash, uint256 _deadline, bytes memory _signature) internal {
+        require(block.timestamp <= _deadline, "Request expired");
+        
+        bytes32 digest = keccak256(abi.encodePacked("\x19\x01", _domainSeparator(), _structHash));
+        require(_recoverSigner(digest, _signature) == _signer, "Invalid signature");
+        
+        emit RequestRelayed(_signer, msg.sender, relayNonces[_signer]);
+        relayNonces[_signer]++;
+    }
+    
+    function _domainSeparator() internal view returns (bytes32) {
+        return keccak256(abi.encode(
+            DOMAIN_TYPEHASH,
+            keccak256("MedChain"),
+            keccak256("1"),
+            block.chainid,
+            address(this)
+        ));
+    }
+    
+    function _hashCreateRecord(
+        address _patient,
+        string memory _ipfsHash,
+        string memory _recordType,
+        string memory _description,
+        RecordFile memory _file,
+        bytes memory _wrappedKey,
+        uint256 _deadline
+    ) internal view returns (bytes32) {
+        bytes32 fileHash = keccak256(abi.encode(RECORD_FILE_TYPEHASH, _file.digest, _file.size, keccak256(bytes(_file.mimeType))));
+        
+        // Encoded in two halves to stay within the stack limit; the bytes match a single abi.encode
+        return keccak256(abi.encodePacked(
+            abi.encode(
+                CREATE_RECORD_TYPEHASH,
+                _patient,
+                keccak256(bytes(_ipfsHash)),
+                keccak256(bytes(_recordType)),
+                keccak256(bytes(_description))
+            ),
+            abi.encode(fileHash, keccak256(_wrappedKey), relayNonces[_patient], _deadline)
+        ));
+    }
+    
+    /**
+     * @notice Internal function to recover the signer of a digest, rejecting malleable signatures
+     */
+    function _recoverSigner(bytes32 _digest, bytes memory _signature) internal pure returns (address) {
+        require(_signature.length == 65, "Invalid signature");
+        
+        bytes32 r;
+        bytes32 s;
+        uint8 v;
+        assembly {
+            r := mload(add(_signature, 0x20))
+            s := mload(add(_signature, 0x40))
+            v := byte(0, mload(add(_signature, 0x60)))
+        }
+        require(uint256(s) <= 0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0, "Invalid signature");
+        
+        address signer = ecrecover(_digest, v, r, s);
+        require(signer != address(0), "Invalid signature");
+        return signer;
+    }
+    
+    /**
+     * @notice Internal function applying onlyRegistered and onlyPatient to a signer
+     */
+    function _requirePatient(address _user) internal view {
+        require(users[_user].isRegistered, "User not registered");
+        require(users[_user].role == UserRole.Patient, "Only patients allowed");
+    }
+}
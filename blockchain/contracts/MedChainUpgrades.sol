@@ -0,0 +1,102 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./MedChainBase.sol";
+
+/**
+ * @title MedChainUpgrades - Upgrades of the MedChain implementation and its extensions
+ * @notice State stays in MedChainProxy, so an upgrade keeps every user, record, grant and
+ *         audit entry at the same address
+ * @dev Extension of MedChain: called through MedChain's fallback via delegatecall, so storage
+ *      writes land in the proxy. New implementations and extensions must keep MedChainBase's
+ *      storage layout and only append to it.
+ */
+contract MedChainUpgrades is MedChainBase {
+    
+    // ==================== INITIALIZATION ====================
+    
+    /**
+     * @dev Locks the bare extension; only the proxy's copy of the state gets initialized
+     */
+    constructor() {
+        initialized = true;
+    }
+    
+    /**
+     * @notice Set up the primary admin and extension routes (called once, by MedChainProxy's constructor)
+     * @param _extensions Extension contracts implementing functions MedChain doesn't define
+     * @param _selectors Function selectors routed to each extension
+     */
+    function initialize(address[] memory _extensions, bytes4[][] memory _selectors) external {
+        require(!initialized, "Already initialized");
+        require(_extensions.length == _selectors.length, "Extension selectors mismatch");
+        initialized = true;
+        
+        admin = msg.sender;
+        admins[msg.sender] = true;
+        adminList.push(msg.sender);
+        adminQuorum = 1;
+        emergencyMode = false;
+        
+        // Register admin
+        users[admin] = User({
+            userAddress: admin,
+            name: "System Admin",
+            role: UserRole.Admin,
+            isRegistered: true,
+            registrationTime: block.timestamp
+        });
+        _listUser(admin, UserRole.Admin);
+        
+        for (uint256 i = 0; i < _extensions.length; i++) {
+            _routeSelectors(_extensions[i], _selectors[i]);
+        }
+    }
+    
+    // ==================== UPGRADES ====================
+    
+    /**
+     * @notice Approve switching to a new implementation and extension routes (quorum required)
+     * @dev scripts/upgrade.js deploys the changed contracts and submits this call
+     * @param _implementation MedChain implementation to delegate to (the current one to only reroute)
+     * @param _extensions Extensions to route selectors to; the zero address removes the selectors
+     * @param _selectors Function selectors routed to each extension
+     */
+    function upgrade(
+        address _implementation,
+        address[] memory _extensions,
+        bytes4[][] memory _selectors
+    ) external onlyAdmin {
+        require(_implementation.code.length > 0, "Invalid implementation");
+        require(_extensions.length == _selectors.length, "Extension selectors mismatch");
+        for (uint256 i = 0; i < _extensions.length; i++) {
+            require(_extensions[i] == address(0) || _extensions[i].code.length > 0, "Invalid extension");
+        }
+        
+        if (!_approveAdminAction("UPGRADE", _implementation, uint256(keccak256(abi.encode(_extensions, _selectors))))) return;
+        
+        bytes32 slot = IMPLEMENTATION_SLOT;
+        assembly {
+            sstore(slot, _implementation)
+        }
+        for (uint256 i = 0; i < _extensions.length; i++) {
+            _routeSelectors(_extensions[i], _selectors[i]);
+        }
+        // Without a route to this function no later upgrade would be possible
+        require(extensions[this.upgrade.selector] != address(0), "Upgrade must stay routed");
+        
+        _addAuditLog(address(0), _implementation, 0, "UPGRADE", ActorType.Admin, "");
+        
+        emit Upgraded(_implementation);
+    }
+    
+    /**
+     * @notice Get the MedChain implementation the proxy delegates to
+     */
+    function getImplementation() external view returns (address implementation) {
+        bytes32 slot = IMPLEMENTATION_SLOT;
+        assembly {
+            implementation := sload(slot)
+        }
+    }
+}
@@ -1,46 +1,78 @@
 const hre = require("hardhat");
+const { EXTENSIONS, writeDeployment, routeExtensions, verifyContracts } = require("./deployments");
 
 async function main() {
   console.log("🏥 Deploying MedChain Smart Contract...");
   
-  // Get the contract factory
-  const MedChain = await hre.ethers.getContractFactory("MedChain");
+  // Selectors each extension serves, and the combined ABI for the manifest
+  const { selectors: extensionSelectors, abi } = await routeExtensions(hre);
+  
+  // Deploy the extensions
+  const extensionAddresses = [];
+  for (const [i, name] of EXTENSIONS.entries()) {
+    console.log(`🧩 Deploying extension ${name}...`);
+    const Extension = await hre.ethers.getContractFactory(name);
+    const extension = await Extension.deploy();
+    await extension.waitForDeployment();
+    
+    extensionAddresses.push(await extension.getAddress());
+    console.log(`   ${name}: ${extensionAddresses.at(-1)} (${extensionSelectors[i].length} functions)`);
+  }
   
-  // Deploy the contract
+  // Deploy the implementation, then the proxy that holds the state and keeps its address through upgrades
   console.log("📝 Deploying contract to network...");
-  const medChain = await MedChain.deploy();
+  const MedChain = await hre.ethers.getContractFactory("MedChain");
+  const implementation = await MedChain.deploy();
+  await implementation.waitForDeployment();
+  const implementationAddress = await implementation.getAddress();
+  
+  const upgradesAddress = extensionAddresses[EXTENSIONS.indexOf("MedChainUpgrades")];
+  const Upgrades = await hre.ethers.getContractFactory("MedChainUpgrades");
+  const initData = Upgrades.interface.encodeFunctionData("initialize", [extensionAddresses, extensionSelectors]);
+  
+  const MedChainProxy = await hre.ethers.getContractFactory("MedChainProxy");
+  const medChain = await MedChainProxy.deploy(implementationAddress, upgradesAddress, initData);
   
   await medChain.waitForDeployment();
   
   const contractAddress = await medChain.getAddress();
+  const receipt = await medChain.deploymentTransaction().wait();
   
   console.log("\n✅ MedChain deployed successfully!");
   console.log("📍 Contract Address:", contractAddress);
+  console.log("🧱 Implementation:", implementationAddress);
   console.log("\n🔗 Network:", hre.network.name);
   
+  // Manifest the frontend and indexer load: address, block and the ABI of MedChain plus its extensions
+  const manifestFile = writeDeployment({
+    network: hre.network.name,
+    chainId: Number((await hre.ethers.provider.getNetwork()).chainId),
+    address: contractAddress,
+    implementation: implementationAddress,
+    blockNumber: receipt.blockNumber,
+    extensions: Object.fromEntries(EXTENSIONS.map((name, i) => [name, extensionAddresses[i]])),
+    abi
+  });
+  console.log("📄 Deployment manifest:", manifestFile);
+  
   if (hre.network.name === "sepolia") {
     console.log("\n🌐 View on Etherscan:");
     console.log(`https://sepolia.etherscan.io/address/${contractAddress}`);
     
-    console.log("\n⏳ Waiting 30 seconds before verification...");
-    await new Promise(resolve => setTimeout(resolve, 30000));
-    
-    console.log("\n🔍 Verifying contract on Etherscan...");
-    try {
-      await hre.run("verify:verify", {
-        address: contractAddress,
-        constructorArguments: [],
-      });
-      console.log("✅ Contract verified!");
-    } catch (error) {
-      console.log("⚠️ Verification failed:", error.message);
-    }
+    await verifyContracts(hre, [
+      ...extensionAddresses.map((address) => ({ address, constructorArguments: [] })),
+      { address: implementationAddress, constructorArguments: [] },
+      { address: contractAddress, constructorArguments: [implementationAddress, upgradesAddress, initData] },
+    ]);
   }
   
   console.log("\n📋 Next Steps:");
-  console.log("1. Copy the contract address above");
-  console.log("2. Update frontend/src/config.js with this address");
-  console.log("3. Run: cd frontend && npm run dev");
+  if (hre.network.name === "localhost") {
+    console.log("1. Optionally load demo data: npm run seed");
+    console.log("2. Run: cd frontend && VITE_NETWORK=localhost npm run dev");
+  } else {
+    console.log(`1. Run: cd frontend && VITE_NETWORK=${hre.network.name} npm run dev`);
+  }
   console.log("\n🎉 Ready to build the frontend!");
 }
 
@@ -0,0 +1,84 @@
+const fs = require("fs");
+const path = require("path");
+
+// Extension contracts MedChain delegates the functions it doesn't implement to
+const EXTENSIONS = ["MedChainCredentials", "MedChainEmergency", "MedChainAdmins", "MedChainRecords", "MedChainGuardians", "MedChainKeys", "MedChainAccess", "MedChainRelay", "MedChainOrganizations", "MedChainUpgrades"];
+
+// Deployment manifests live with the frontend, which imports them
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "..", "frontend", "src", "deployments");
+
+const manifestPath = (network) => path.join(DEPLOYMENTS_DIR, `${network}.json`);
+
+/**
+ * Read the deployment manifest of a network
+ * @returns {{ network, chainId, address, implementation, blockNumber, extensions, abi, pendingUpgrade? }}
+ */
+function readDeployment(network) {
+  const file = manifestPath(network);
+  if (!fs.existsSync(file)) {
+    throw new Error(`No deployment manifest for ${network}; run scripts/deploy.js --network ${network} first`);
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * Write (or replace) the deployment manifest of a network
+ * @returns {string} Path of the manifest
+ */
+function writeDeployment(manifest) {
+  fs.mkdirSync(DEPLOYMENTS_DIR, { recursive: true });
+  const file = manifestPath(manifest.network);
+  fs.writeFileSync(file, JSON.stringify(manifest, null, 2) + "\n");
+  return file;
+}
+
+/**
+ * Work out from the compiled contracts which function selectors each extension serves
+ * @dev Functions MedChain implements itself, or an earlier extension, are never routed again
+ * @returns {Promise<{ selectors: string[][], abi: object[] }>} Selectors per entry of EXTENSIONS,
+ *          and the combined ABI of MedChain plus the routed extension functions
+ */
+async function routeExtensions(hre) {
+  const { abi: coreAbi } = await hre.artifacts.readArtifact("MedChain");
+  
+  const routedSelectors = new Set();
+  new hre.ethers.Interface(coreAbi).forEachFunction((fragment) => routedSelectors.add(fragment.selector));
+  
+  const selectors = [];
+  const abi = [...coreAbi];
+  for (const name of EXTENSIONS) {
+    const { abi: extensionAbi } = await hre.artifacts.readArtifact(name);
+    const served = [];
+    for (const entry of extensionAbi.filter((item) => item.type === "function")) {
+      const { selector } = hre.ethers.FunctionFragment.from(entry);
+      if (!routedSelectors.has(selector)) {
+        routedSelectors.add(selector);
+        served.push(selector);
+        abi.push(entry);
+      }
+    }
+    selectors.push(served);
+  }
+  return { selectors, abi };
+}
+
+/**
+ * Verify contracts on Etherscan, reporting failures without stopping
+ * @param {{ address: string, constructorArguments: any[] }[]} contracts
+ */
+async function verifyContracts(hre, contracts) {
+  console.log("\n⏳ Waiting 30 seconds before verification...");
+  await new Promise(resolve => setTimeout(resolve, 30000));
+  
+  console.log("\n🔍 Verifying contracts on Etherscan...");
+  for (const { address, constructorArguments } of contracts) {
+    try {
+      await hre.run("verify:verify", { address, constructorArguments });
+      console.log(`✅ ${address} verified!`);
+    } catch (error) {
+      console.log(`⚠️ Verification of ${address} failed:`, error.message);
+    }
+  }
+}
+
+module.exports = { EXTENSIONS, readDeployment, writeDeployment, routeExtensions, verifyContracts };
@@ -0,0 +1,142 @@
+const hre = require("hardhat");
+const { readDeployment } = require("./deployments");
+
+// IPFS HTTP API the sample files are uploaded to; the frontend's dev server by default
+const IPFS_API_URL = process.env.IPFS_API_URL || "http://localhost:5173/ipfs-api";
+
+const DAY = 86400;
+
+// Mirrors MedChain.UserRole
+const ROLE_PATIENT = 1;
+
+// Hardhat's default accounts, by index; #0 deployed the contract and is the admin
+const DOCTORS = [
+  { account: 1, name: "Dr. Sarah Chen", license: "MD-204871", authority: "State Medical Board", specialty: "Cardiology", verified: true },
+  { account: 2, name: "Dr. James Okafor", license: "MD-318544", authority: "State Medical Board", specialty: "Radiology", verified: true },
+  { account: 3, name: "Dr. Maria Lopez", license: "MD-427190", authority: "State Medical Board", specialty: "Pediatrics", verified: false }
+];
+
+// Account relayer/env.template submits signed requests from
+const RELAYER_ACCOUNT = 9;
+
+const PATIENTS = [
+  { account: 4, name: "Alice Johnson" },
+  { account: 5, name: "Bob Smith" },
+  { account: 6, name: "Carol Davis" }
+];
+
+// [patient account, record type, description, file contents]
+const RECORDS = [
+  [4, "Lab Report", "Complete blood count", "CBC\nWBC 6.1 x10^9/L\nRBC 4.7 x10^12/L\nHemoglobin 13.9 g/dL\nPlatelets 250 x10^9/L\n"],
+  [4, "Prescription", "Atorvastatin 20 mg", "Atorvastatin 20 mg tablets\nOne tablet daily at bedtime\nQuantity: 90\nRefills: 3\n"],
+  [4, "X-Ray", "Chest X-ray", "Chest X-ray, PA and lateral\nFindings: clear lungs, normal heart size\nImpression: no acute cardiopulmonary disease\n"],
+  [5, "Diagnosis", "Type 2 diabetes", "Diagnosis: type 2 diabetes mellitus (E11.9)\nPlan: metformin 500 mg twice daily, diet review, HbA1c in 3 months\n"],
+  [5, "Lab Report", "HbA1c", "Hemoglobin A1c: 7.2 %\nFasting glucose: 142 mg/dL\n"],
+  [6, "Vaccination", "Influenza vaccine", "Influenza vaccine, quadrivalent\nDose: 0.5 mL IM, left deltoid\nLot: FLU-24-0913\n"]
+];
+
+async function uploadFile(bytes, fileName) {
+  const body = new FormData();
+  body.append("file", new Blob([bytes]), fileName);
+  
+  const response = await fetch(`${IPFS_API_URL}/api/v0/add?cid-version=1&raw-leaves=true&pin=true`, { method: "POST", body });
+  if (!response.ok) {
+    throw new Error(`IPFS add failed (${response.status})`);
+  }
+  const { Hash } = await response.json();
+  return Hash;
+}
+
+async function main() {
+  if (hre.network.name !== "localhost") {
+    throw new Error("Demo data is only seeded on the localhost network");
+  }
+  
+  const { address, abi } = readDeployment(hre.network.name);
+  const signers = await hre.ethers.getSigners();
+  const medChain = (account) => new hre.ethers.Contract(address, abi, signers[account]);
+  
+  const [, , alreadySeeded] = await medChain(0).getUserInfo(signers[PATIENTS[0].account].address);
+  if (alreadySeeded) {
+    console.log("ℹ️ Demo data is already there; restart the node and redeploy to start over");
+    return;
+  }
+  
+  console.log("🌱 Seeding MedChain at", address);
+  
+  console.log("⛽ Enabling the local relayer...");
+  await (await medChain(0).setRelayer(signers[RELAYER_ACCOUNT].address, true)).wait();
+  
+  console.log("👨‍⚕️ Registering doctors...");
+  for (const doctor of DOCTORS) {
+    await (await medChain(doctor.account).registerDoctor(doctor.name, doctor.license, doctor.authority, doctor.specialty)).wait();
+    if (doctor.verified) {
+      await (await medChain(0).approveDoctor(signers[doctor.account].address)).wait();
+    }
+  }
+  
+  console.log("🧑 Registering patients...");
+  for (const patient of PATIENTS) {
+    await (await medChain(patient.account).registerUser(patient.name, ROLE_PATIENT)).wait();
+  }
+  
+  console.log("📋 Uploading files and creating records...");
+  const recordIds = [];
+  for (const [account, recordType, description, contents] of RECORDS) {
+    const bytes = hre.ethers.toUtf8Bytes(contents);
+    const ipfsHash = await uploadFile(bytes, `${description}.txt`);
+    const file = { digest: hre.ethers.sha256(bytes), size: bytes.length, mimeType: "text/plain" };
+    
+    const receipt = await (await medChain(account).createRecord(ipfsHash, recordType, description, file)).wait();
+    const created = receipt.logs
+      .map((log) => medChain(account).interface.parseLog(log))
+      .find((event) => event && event.name === "RecordCreated");
+    recordIds.push(Number(created.args.recordId));
+  }
+  const [, , aliceXray] = recordIds;
+  
+  console.log("🔑 Granting access...");
+  const [chen, okafor] = DOCTORS.map((doctor) => doctor.account);
+  const [alice, bob, carol] = PATIENTS.map((patient) => patient.account);
+  await (await medChain(alice).grantAccess(signers[chen].address, 30 * DAY, "Cardiology follow-up")).wait();
+  await (await medChain(alice).grantRecordAccess(signers[okafor].address, [aliceXray], 7 * DAY, "Second opinion on chest X-ray")).wait();
+  await (await medChain(bob).grantCategoryAccess(signers[chen].address, ["Lab Report"], 0, "Ongoing diabetes monitoring")).wait();
+  
+  console.log("🏥 Setting up an organization...");
+  const receipt = await (await medChain(0).createOrganization("Riverside General Hospital", signers[chen].address)).wait();
+  const { organization } = receipt.logs
+    .map((log) => medChain(0).interface.parseLog(log))
+    .find((event) => event && event.name === "OrganizationCreated").args;
+  for (const doctor of [chen, okafor]) {
+    await (await medChain(chen).addOrganizationMember(organization, signers[doctor].address)).wait();
+  }
+  await (await medChain(carol).grantCategoryAccess(organization, ["Vaccination"], 30 * DAY, "Outpatient clinic visit")).wait();
+  
+  console.log("👁️ Viewing records...");
+  for (const recordId of recordIds.slice(0, 3)) {
+    await (await medChain(chen).accessRecord(recordId)).wait();
+  }
+  await (await medChain(okafor).accessRecord(aliceXray)).wait();
+  
+  console.log("📨 Filing an access request...");
+  await (await medChain(okafor).requestAccess(signers[carol].address, "Imaging review before surgery", 30 * DAY)).wait();
+  
+  console.log("\n✅ Demo data seeded! Import these Hardhat accounts into MetaMask to use them:");
+  console.log(`   Admin                 ${signers[0].address}`);
+  console.log(`   Relayer               ${signers[RELAYER_ACCOUNT].address}`);
+  for (const doctor of DOCTORS) {
+    const status = doctor.verified ? "" : " (awaiting verification)";
+    console.log(`   ${doctor.name.padEnd(21)} ${signers[doctor.account].address}${status}`);
+  }
+  for (const patient of PATIENTS) {
+    console.log(`   ${patient.name.padEnd(21)} ${signers[patient.account].address}`);
+  }
+  console.log(`\n⚠️ Record files are stored by ${IPFS_API_URL}; the development store loses them when it stops`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,118 @@
+const hre = require("hardhat");
+const { EXTENSIONS, readDeployment, writeDeployment, routeExtensions, verifyContracts } = require("./deployments");
+
+// Contracts deployed by this run, for Etherscan verification
+const deployed = [];
+
+// Deploy a contract unless the code at its current address already matches the compiled one
+async function deployIfChanged(name, currentAddress) {
+  const { deployedBytecode } = await hre.artifacts.readArtifact(name);
+  if (currentAddress && (await hre.ethers.provider.getCode(currentAddress)) === deployedBytecode) {
+    console.log(`   ${name}: unchanged`);
+    return currentAddress;
+  }
+  
+  const Contract = await hre.ethers.getContractFactory(name);
+  const contract = await Contract.deploy();
+  await contract.waitForDeployment();
+  
+  const address = await contract.getAddress();
+  deployed.push(address);
+  console.log(`   ${name}: ${address}`);
+  return address;
+}
+
+// Deploy what changed since the manifest was written and work out the new routes; null if nothing did
+async function prepareUpgrade(manifest, medChain) {
+  console.log("🧩 Deploying changed contracts...");
+  const implementation = await deployIfChanged("MedChain", manifest.implementation);
+  const extensions = {};
+  for (const name of EXTENSIONS) {
+    extensions[name] = await deployIfChanged(name, manifest.extensions[name]);
+  }
+  
+  const { selectors, abi } = await routeExtensions(hre);
+  const routeAddresses = EXTENSIONS.map((name) => extensions[name]);
+  const routeSelectors = [...selectors];
+  
+  // Functions the old ABI routed that no extension serves any more
+  const routed = new Set(selectors.flat());
+  const removed = [];
+  for (const entry of manifest.abi.filter((item) => item.type === "function")) {
+    const { selector } = hre.ethers.FunctionFragment.from(entry);
+    if (!routed.has(selector) && (await medChain.extensions(selector)) !== hre.ethers.ZeroAddress) {
+      removed.push(selector);
+    }
+  }
+  if (deployed.length === 0 && removed.length === 0) {
+    return null;
+  }
+  if (removed.length > 0) {
+    console.log(`   Removing ${removed.length} functions`);
+    routeAddresses.push(hre.ethers.ZeroAddress);
+    routeSelectors.push(removed);
+  }
+  
+  return { implementation, extensions, routeAddresses, routeSelectors, abi };
+}
+
+async function main() {
+  const manifest = readDeployment(hre.network.name);
+  if (!manifest.implementation) {
+    throw new Error(`The ${hre.network.name} deployment predates MedChainProxy and can't be upgraded; deploy again with scripts/deploy.js`);
+  }
+  
+  console.log(`🏥 Upgrading MedChain at ${manifest.address} on ${hre.network.name}...`);
+  const [signer] = await hre.ethers.getSigners();
+  const medChain = new hre.ethers.Contract(manifest.address, manifest.abi, signer);
+  
+  // With an admin quorum above 1, the first run deploys and approves; later runs by other admins
+  // approve the same upgrade, which the manifest keeps until it executes
+  let upgrade = manifest.pendingUpgrade;
+  if (upgrade) {
+    console.log("⏳ Approving the pending upgrade...");
+  } else {
+    upgrade = await prepareUpgrade(manifest, medChain);
+    if (!upgrade) {
+      console.log("\n✅ Nothing to upgrade: the deployed contracts match the compiled ones.");
+      return;
+    }
+  }
+  
+  const tx = await medChain.upgrade(upgrade.implementation, upgrade.routeAddresses, upgrade.routeSelectors);
+  const receipt = await tx.wait();
+  const executed = receipt.logs.some((log) => medChain.interface.parseLog(log)?.name === "Upgraded");
+  
+  if (executed) {
+    writeDeployment({
+      ...manifest,
+      implementation: upgrade.implementation,
+      extensions: upgrade.extensions,
+      abi: upgrade.abi,
+      pendingUpgrade: undefined
+    });
+    console.log("\n✅ MedChain upgraded! Address, records and audit trails are unchanged.");
+    console.log("🧱 Implementation:", upgrade.implementation);
+  } else {
+    writeDeployment({ ...manifest, pendingUpgrade: upgrade });
+    
+    const value = BigInt(hre.ethers.keccak256(hre.ethers.AbiCoder.defaultAbiCoder().encode(
+      ["address[]", "bytes4[][]"],
+      [upgrade.routeAddresses, upgrade.routeSelectors]
+    )));
+    const [, approvals, required] = await medChain.getAdminActionStatus("UPGRADE", upgrade.implementation, value);
+    console.log(`\n🗳️ Upgrade approved (${approvals}/${required} admins).`);
+    console.log("Other admins run this script with the updated manifest to approve it.");
+  }
+  
+  if (hre.network.name === "sepolia" && deployed.length > 0) {
+    await verifyContracts(hre, deployed.map((address) => ({ address, constructorArguments: [] })));
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
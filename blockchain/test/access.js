@@ -0,0 +1,92 @@
+const { expect } = require("chai");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { FILE, deployWithPatientAndDoctor } = require("./fixtures");
+
+const HOUR = 3600;
+
+describe("Access grants", function () {
+  it("lets a doctor read every record through a full grant until it expires", async function () {
+    const { medChain, patient, doctor } = await loadFixture(deployWithPatientAndDoctor);
+    
+    await expect(medChain.connect(doctor).getRecord(1)).to.be.revertedWith("Unauthorized access");
+    
+    await medChain.connect(patient).grantAccess(doctor.address, HOUR, "Checkup");
+    expect((await medChain.checkAccess(patient.address, doctor.address)).hasAccess).to.equal(true);
+    expect((await medChain.connect(doctor).getRecord(1)).ipfsHash).to.equal("QmLab");
+    
+    await time.increase(HOUR);
+    expect((await medChain.checkAccess(patient.address, doctor.address)).hasAccess).to.equal(false);
+    await expect(medChain.connect(doctor).getRecord(1)).to.be.revertedWith("Unauthorized access");
+  });
+  
+  it("never expires a grant made without a duration", async function () {
+    const { medChain, patient, doctor } = await loadFixture(deployWithPatientAndDoctor);
+    
+    await medChain.connect(patient).grantAccess(doctor.address, 0, "Primary care");
+    await time.increase(365 * 24 * HOUR);
+    
+    expect((await medChain.checkAccess(patient.address, doctor.address)).hasAccess).to.equal(true);
+  });
+  
+  it("ends access on revoke", async function () {
+    const { medChain, patient, doctor } = await loadFixture(deployWithPatientAndDoctor);
+    
+    await medChain.connect(patient).grantAccess(doctor.address, 0, "Checkup");
+    await expect(medChain.connect(patient).revokeAccess(doctor.address))
+      .to.emit(medChain, "AccessRevoked")
+      .withArgs(patient.address, doctor.address);
+    
+    await expect(medChain.connect(doctor).getRecord(1)).to.be.revertedWith("Unauthorized access");
+    expect(await medChain.getGrantingPatients(doctor.address)).to.deep.equal([]);
+    await expect(medChain.connect(patient).revokeAccess(doctor.address)).to.be.revertedWith("No active permission");
+  });
+  
+  it("limits record grants to the granted records", async function () {
+    const { medChain, patient, doctor } = await loadFixture(deployWithPatientAndDoctor);
+    await medChain.connect(patient).createRecord("QmXray", "X-Ray", "Chest", FILE);
+    
+    await medChain.connect(patient).grantRecordAccess(doctor.address, [2], HOUR, "Second opinion");
+    
+    expect(await medChain.checkRecordAccess(doctor.address, 1)).to.equal(false);
+    expect(await medChain.checkRecordAccess(doctor.address, 2)).to.equal(true);
+    
+    await time.increase(HOUR);
+    expect(await medChain.checkRecordAccess(doctor.address, 2)).to.equal(false);
+  });
+  
+  it("limits category grants to records of the granted types", async function () {
+    const { medChain, patient, doctor } = await loadFixture(deployWithPatientAndDoctor);
+    await medChain.connect(patient).createRecord("QmXray", "X-Ray", "Chest", FILE);
+    
+    await medChain.connect(patient).grantCategoryAccess(doctor.address, ["X-Ray"], 0, "Imaging");
+    expect(await medChain.checkRecordAccess(doctor.address, 1)).to.equal(false);
+    expect(await medChain.checkRecordAccess(doctor.address, 2)).to.equal(true);
+    
+    await medChain.connect(patient).revokeCategoryAccess(doctor.address, ["X-Ray"]);
+    expect(await medChain.checkRecordAccess(doctor.address, 2)).to.equal(false);
+  });
+  
+  it("renews an expired grant from now and extends a live one from its expiry", async function () {
+    const { medChain, patient, doctor } = await loadFixture(deployWithPatientAndDoctor);
+    
+    await medChain.connect(patient).grantAccess(doctor.address, HOUR, "Checkup");
+    const { expiresAt } = await medChain.checkAccess(patient.address, doctor.address);
+    
+    await medChain.connect(patient).extendAccess(0, HOUR);
+    expect((await medChain.checkAccess(patient.address, doctor.address)).expiresAt).to.equal(expiresAt + BigInt(HOUR));
+    
+    await time.increase(3 * HOUR);
+    await medChain.connect(patient).extendAccess(0, HOUR);
+    expect((await medChain.checkAccess(patient.address, doctor.address)).expiresAt).to.equal(BigInt(await time.latest() + HOUR));
+    expect((await medChain.checkAccess(patient.address, doctor.address)).hasAccess).to.equal(true);
+  });
+  
+  it("only grants to verified doctors", async function () {
+    const { medChain, patient, other } = await loadFixture(deployWithPatientAndDoctor);
+    
+    await medChain.connect(other).registerDoctor("Unverified", "LIC-2", "State Medical Board", "Surgery");
+    
+    await expect(medChain.connect(patient).grantAccess(other.address, 0, "Surgery"))
+      .to.be.revertedWith("Can only grant to verified doctors or organizations");
+  });
+});
@@ -0,0 +1,88 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { deployMedChain, deployWithPatientAndDoctor } = require("./fixtures");
+
+describe("Admin quorum", function () {
+  // Three admins with a quorum of two
+  async function deployWithQuorum() {
+    const deployment = await deployMedChain();
+    const { medChain } = deployment;
+    const [admin, , , , second, third] = await ethers.getSigners();
+    
+    await medChain.addAdmin(second.address, "Second");
+    await medChain.addAdmin(third.address, "Third");
+    await medChain.setAdminQuorum(2);
+    
+    return { ...deployment, admin, second, third };
+  }
+  
+  it("runs critical actions only once the quorum approved them", async function () {
+    const { medChain, second } = await loadFixture(deployWithQuorum);
+    
+    await expect(medChain.toggleEmergencyMode()).not.to.emit(medChain, "EmergencyModeToggled");
+    expect(await medChain.emergencyMode()).to.equal(false);
+    const [, approvals, required] = await medChain.getAdminActionStatus("TOGGLE_EMERGENCY_MODE", ethers.ZeroAddress, 1);
+    expect(approvals).to.equal(1n);
+    expect(required).to.equal(2n);
+    
+    await expect(medChain.connect(second).toggleEmergencyMode())
+      .to.emit(medChain, "EmergencyModeToggled")
+      .withArgs(true);
+    expect(await medChain.emergencyMode()).to.equal(true);
+  });
+  
+  it("rejects a second approval from the same admin", async function () {
+    const { medChain } = await loadFixture(deployWithQuorum);
+    
+    await medChain.toggleEmergencyMode();
+    
+    await expect(medChain.toggleEmergencyMode()).to.be.revertedWith("Already approved");
+  });
+  
+  it("starts approvals over once an action ran", async function () {
+    const { medChain, second } = await loadFixture(deployWithQuorum);
+    
+    await medChain.toggleEmergencyMode();
+    await medChain.connect(second).toggleEmergencyMode();
+    
+    await medChain.toggleEmergencyMode();
+    expect(await medChain.emergencyMode()).to.equal(true);
+    const [, approvals] = await medChain.getAdminActionStatus("TOGGLE_EMERGENCY_MODE", ethers.ZeroAddress, 0);
+    expect(approvals).to.equal(1n);
+  });
+  
+  it("stops counting the approvals of removed admins", async function () {
+    const { medChain, admin, second, third } = await loadFixture(deployWithQuorum);
+    
+    await medChain.connect(third).toggleEmergencyMode();
+    await medChain.removeAdmin(third.address);
+    await medChain.connect(second).removeAdmin(third.address);
+    expect(await medChain.getAdmins()).to.deep.equal([admin.address, second.address]);
+    
+    await medChain.toggleEmergencyMode();
+    expect(await medChain.emergencyMode()).to.equal(false);
+  });
+  
+  it("keeps the quorum within the number of admins", async function () {
+    const { medChain, third } = await loadFixture(deployWithQuorum);
+    
+    await expect(medChain.setAdminQuorum(4)).to.be.revertedWith("Invalid quorum");
+    await expect(medChain.connect(third).setAdminQuorum(0)).to.be.revertedWith("Invalid quorum");
+  });
+  
+  it("only lets admins approve", async function () {
+    const { medChain } = await loadFixture(deployWithQuorum);
+    const [, outsider] = await ethers.getSigners();
+    
+    await expect(medChain.connect(outsider).toggleEmergencyMode()).to.be.revertedWith("Only admin allowed");
+  });
+  
+  it("gives admins no read access to records", async function () {
+    const { medChain, admin } = await loadFixture(deployWithPatientAndDoctor);
+    
+    await expect(medChain.connect(admin).getRecord(1)).to.be.revertedWith("Unauthorized access");
+    await expect(medChain.connect(admin).accessRecord(1)).to.be.revertedWith("Unauthorized access");
+    await expect(medChain.connect(admin).getRecordKey(1)).to.be.revertedWith("Unauthorized access");
+  });
+});
@@ -0,0 +1,46 @@
+const { expect } = require("chai");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { ActorType, deployWithPatientAndDoctor } = require("./fixtures");
+
+describe("Audit trail", function () {
+  it("logs a doctor's read with the actor, capacity and grant purpose", async function () {
+    const { medChain, patient, doctor } = await loadFixture(deployWithPatientAndDoctor);
+    await medChain.connect(patient).grantAccess(doctor.address, 0, "Annual checkup");
+    
+    await expect(medChain.connect(doctor).accessRecord(1))
+      .to.emit(medChain, "RecordAccessed")
+      .withArgs(doctor.address, 1);
+    
+    const view = (await medChain.connect(patient).getPatientAuditTrail(patient.address)).at(-1);
+    expect(view.action).to.equal("VIEW");
+    expect(view.accessor).to.equal(doctor.address);
+    expect(view.patient).to.equal(patient.address);
+    expect(view.recordId).to.equal(1n);
+    expect(view.actorType).to.equal(ActorType.Doctor);
+    expect(view.reason).to.equal("Annual checkup");
+    
+    expect((await medChain.getAuditTrail(doctor.address)).at(-1).action).to.equal("VIEW");
+  });
+  
+  it("puts a grant in the trails of the patient and the doctor", async function () {
+    const { medChain, patient, doctor } = await loadFixture(deployWithPatientAndDoctor);
+    
+    await medChain.connect(patient).grantAccess(doctor.address, 0, "Referral");
+    
+    for (const user of [patient, doctor]) {
+      const entry = (await medChain.getAuditTrail(user.address)).at(-1);
+      expect(entry.action).to.equal("GRANT_ACCESS");
+      expect(entry.accessor).to.equal(patient.address);
+      expect(entry.actorType).to.equal(ActorType.Patient);
+    }
+  });
+  
+  it("shows a patient's trail only to the patient and those allowed to audit it", async function () {
+    const { medChain, patient, doctor } = await loadFixture(deployWithPatientAndDoctor);
+    
+    await expect(medChain.connect(doctor).getPatientAuditTrail(patient.address)).to.be.revertedWith("Unauthorized access");
+    
+    const actions = (await medChain.connect(patient).getPatientAuditTrail(patient.address)).map((entry) => entry.action);
+    expect(actions).to.deep.equal(["CREATE"]);
+  });
+});
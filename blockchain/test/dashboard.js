@@ -0,0 +1,76 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { FILE, deployWithPatientAndDoctor } = require("./fixtures");
+
+const UserRole = { None: 0n, Patient: 1n, Doctor: 2n, Admin: 3n };
+
+describe("Admin dashboard", function () {
+  it("pages the user directory oldest first", async function () {
+    const { medChain, admin, patient, doctor } = await loadFixture(deployWithPatientAndDoctor);
+    
+    const [firstPage, total] = await medChain.getUsers(0, 2);
+    expect(total).to.equal(3n);
+    expect(firstPage.map((user) => [user.userAddress, user.role])).to.deep.equal([
+      [admin.address, UserRole.Admin],
+      [patient.address, UserRole.Patient]
+    ]);
+    
+    const [lastPage] = await medChain.getUsers(2, 2);
+    expect(lastPage.map((user) => user.name)).to.deep.equal(["Doc"]);
+    expect((await medChain.getUsers(5, 2))[0]).to.deep.equal([]);
+    
+    await expect(medChain.connect(patient).getUsers(0, 2)).to.be.revertedWith("Only admin allowed");
+  });
+  
+  it("keeps removed admins listed without a role", async function () {
+    const { medChain } = await loadFixture(deployWithPatientAndDoctor);
+    const [, , , , second] = await ethers.getSigners();
+    
+    await medChain.addAdmin(second.address, "Second");
+    expect((await medChain.getSystemStats()).admins).to.equal(2n);
+    await medChain.removeAdmin(second.address);
+    
+    const [page, total] = await medChain.getUsers(3, 1);
+    expect(total).to.equal(4n);
+    expect(page[0].userAddress).to.equal(second.address);
+    expect(page[0].name).to.equal("Second");
+    expect(page[0].role).to.equal(UserRole.None);
+    expect(page[0].isRegistered).to.equal(false);
+    expect((await medChain.getSystemStats()).admins).to.equal(1n);
+  });
+  
+  it("skips listed and unregistered accounts when listing existing users", async function () {
+    const { medChain, patient, other } = await loadFixture(deployWithPatientAndDoctor);
+    
+    await medChain.listExistingUsers([patient.address, other.address]);
+    expect((await medChain.getUsers(0, 10))[1]).to.equal(3n);
+    
+    await expect(medChain.connect(patient).listExistingUsers([other.address])).to.be.revertedWith("Only admin allowed");
+  });
+  
+  it("counts users, doctors by status and system activity", async function () {
+    const { medChain, patient, doctor, other } = await loadFixture(deployWithPatientAndDoctor);
+    
+    await medChain.connect(other).registerDoctor("Dana", "LIC-2", "State Medical Board", "Cardiology");
+    await medChain.createOrganization("St. Mary's", doctor.address);
+    await medChain.connect(doctor).requestAccess(patient.address, "Follow-up", 0);
+    await medChain.connect(patient).createRecord("QmXray", "X-Ray", "Chest", FILE);
+    
+    const stats = await medChain.getSystemStats();
+    expect(stats.users).to.equal(4n);
+    expect(stats.patients).to.equal(1n);
+    expect(stats.doctors).to.equal(2n);
+    expect(stats.verifiedDoctors).to.equal(1n);
+    expect(stats.pendingDoctors).to.equal(1n);
+    expect(stats.admins).to.equal(1n);
+    expect(stats.organizations).to.equal(1n);
+    expect(stats.records).to.equal(2n);
+    expect(stats.accessRequests).to.equal(1n);
+    expect(stats.recordProposals).to.equal(0n);
+    expect(stats.emergencyAccesses).to.equal(0n);
+    expect(stats.systemAuditEntries).to.equal(BigInt((await medChain.getSystemAuditTrail()).length));
+    expect(stats.adminQuorum).to.equal(1n);
+    expect(stats.emergencyMode).to.equal(false);
+  });
+});
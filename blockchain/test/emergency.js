@@ -0,0 +1,67 @@
+const { expect } = require("chai");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { ActorType, deployWithPatientAndDoctor } = require("./fixtures");
+
+describe("Emergency access", function () {
+  it("gives the doctor read access until EMERGENCY_ACCESS_DURATION passes", async function () {
+    const { medChain, patient, doctor } = await loadFixture(deployWithPatientAndDoctor);
+    const duration = await medChain.EMERGENCY_ACCESS_DURATION();
+    
+    await medChain.connect(doctor).invokeEmergencyAccess(patient.address, "Unconscious in the ER");
+    const { isActive, expiresAt } = await medChain.checkEmergencyAccess(patient.address, doctor.address);
+    expect(isActive).to.equal(true);
+    expect(expiresAt).to.equal(BigInt(await time.latest()) + duration);
+    expect((await medChain.connect(doctor).getRecord(1)).ipfsHash).to.equal("QmLab");
+    
+    await time.increaseTo(expiresAt);
+    expect((await medChain.checkEmergencyAccess(patient.address, doctor.address)).isActive).to.equal(false);
+    await expect(medChain.connect(doctor).getRecord(1)).to.be.revertedWith("Unauthorized access");
+  });
+  
+  it("flags reads under emergency access and queues them for review", async function () {
+    const { medChain, patient, doctor } = await loadFixture(deployWithPatientAndDoctor);
+    
+    await medChain.connect(doctor).invokeEmergencyAccess(patient.address, "Unconscious in the ER");
+    await medChain.connect(doctor).accessRecord(1);
+    
+    const view = (await medChain.connect(patient).getPatientAuditTrail(patient.address)).at(-1);
+    expect(view.action).to.equal("EMERGENCY_VIEW");
+    expect(view.actorType).to.equal(ActorType.Emergency);
+    expect(view.reason).to.equal("Unconscious in the ER");
+    expect(await medChain.getPendingEmergencyReviews()).to.deep.equal([1n]);
+    
+    await medChain.reviewEmergencyAccess(1, true, "Confirmed with the ER");
+    expect(await medChain.getPendingEmergencyReviews()).to.deep.equal([]);
+    await expect(medChain.reviewEmergencyAccess(1, true, "Again")).to.be.revertedWith("Already reviewed");
+  });
+  
+  it("can be invoked again once the previous access expired", async function () {
+    const { medChain, patient, doctor } = await loadFixture(deployWithPatientAndDoctor);
+    
+    await medChain.connect(doctor).invokeEmergencyAccess(patient.address, "Unconscious in the ER");
+    await expect(medChain.connect(doctor).invokeEmergencyAccess(patient.address, "Still unconscious"))
+      .to.be.revertedWith("Emergency access already active");
+    
+    await time.increase(await medChain.EMERGENCY_ACCESS_DURATION());
+    await expect(medChain.connect(doctor).invokeEmergencyAccess(patient.address, "Readmitted"))
+      .to.emit(medChain, "EmergencyAccessInvoked");
+  });
+  
+  it("does not reach archived records", async function () {
+    const { medChain, patient, doctor } = await loadFixture(deployWithPatientAndDoctor);
+    
+    await medChain.connect(patient).archiveRecord(1, "Outdated");
+    await medChain.connect(doctor).invokeEmergencyAccess(patient.address, "Unconscious in the ER");
+    
+    await expect(medChain.connect(doctor).getRecord(1)).to.be.revertedWith("Unauthorized access");
+  });
+  
+  it("is only open to verified doctors", async function () {
+    const { medChain, patient, other } = await loadFixture(deployWithPatientAndDoctor);
+    
+    await medChain.connect(other).registerDoctor("Unverified", "LIC-2", "State Medical Board", "Surgery");
+    
+    await expect(medChain.connect(other).invokeEmergencyAccess(patient.address, "Emergency"))
+      .to.be.revertedWith("Only verified doctors allowed");
+  });
+});
@@ -0,0 +1,56 @@
+const hre = require("hardhat");
+const { EXTENSIONS, routeExtensions } = require("../scripts/deployments");
+
+const { ethers } = hre;
+
+// Digest, size and type committed for a one-byte text file
+const FILE = { digest: ethers.sha256("0x01"), size: 1, mimeType: "text/plain" };
+
+const ActorType = { Patient: 0n, Doctor: 1n, Admin: 2n, Emergency: 3n, Guardian: 4n };
+
+/**
+ * Deploy MedChain behind its proxy the way scripts/deploy.js does
+ * @returns {{ medChain, extensions: string[], selectors: string[][], abi: object[] }}
+ *          medChain is the proxy with the combined ABI, connected to the primary admin
+ */
+async function deployMedChain() {
+  const { selectors, abi } = await routeExtensions(hre);
+  
+  const extensions = [];
+  for (const name of EXTENSIONS) {
+    const extension = await ethers.deployContract(name);
+    extensions.push(await extension.getAddress());
+  }
+  
+  const implementation = await ethers.deployContract("MedChain");
+  const Upgrades = await ethers.getContractFactory("MedChainUpgrades");
+  const initData = Upgrades.interface.encodeFunctionData("initialize", [extensions, selectors]);
+  const proxy = await ethers.deployContract("MedChainProxy", [
+    await implementation.getAddress(),
+    extensions[EXTENSIONS.indexOf("MedChainUpgrades")],
+    initData
+  ]);
+  
+  const [admin] = await ethers.getSigners();
+  const medChain = new ethers.Contract(await proxy.getAddress(), abi, admin);
+  return { medChain, extensions, selectors, abi };
+}
+
+/**
+ * A deployment with a registered patient holding one record and a verified doctor
+ */
+async function deployWithPatientAndDoctor() {
+  const deployment = await deployMedChain();
+  const { medChain } = deployment;
+  const [admin, patient, doctor, other] = await ethers.getSigners();
+  
+  await medChain.connect(patient).registerUser("Pat", 1);
+  await medChain.connect(patient).createRecord("QmLab", "Lab Report", "Blood panel", FILE);
+  
+  await medChain.connect(doctor).registerDoctor("Doc", "LIC-1", "State Medical Board", "General Practice");
+  await medChain.approveDoctor(doctor.address);
+  
+  return { ...deployment, admin, patient, doctor, other };
+}
+
+module.exports = { FILE, ActorType, deployMedChain, deployWithPatientAndDoctor };
@@ -0,0 +1,81 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { FILE, ActorType, deployWithPatientAndDoctor } = require("./fixtures");
+
+const CREATE_RECORDS = 1;
+const MANAGE_ACCESS = 2;
+const VIEW_AUDIT = 4;
+const VIEW_RECORDS = 8;
+
+describe("Guardians", function () {
+  async function deployWithGuardian() {
+    const deployment = await deployWithPatientAndDoctor();
+    const { medChain, other } = deployment;
+    
+    await medChain.connect(other).registerUser("Parent", 1);
+    
+    return { ...deployment, guardian: other };
+  }
+  
+  it("only lets guardians holding GUARDIAN_VIEW_RECORDS read records", async function () {
+    const { medChain, patient, guardian } = await loadFixture(deployWithGuardian);
+    
+    await medChain.connect(patient).appointGuardian(patient.address, guardian.address, CREATE_RECORDS | MANAGE_ACCESS | VIEW_AUDIT);
+    await expect(medChain.connect(guardian).getRecord(1)).to.be.revertedWith("Unauthorized access");
+    await expect(medChain.connect(guardian).accessRecord(1)).to.be.revertedWith("Unauthorized access");
+    
+    await medChain.connect(patient).appointGuardian(patient.address, guardian.address, VIEW_RECORDS);
+    expect((await medChain.connect(guardian).getRecord(1)).ipfsHash).to.equal("QmLab");
+    
+    await medChain.connect(guardian).accessRecord(1);
+    const view = (await medChain.connect(patient).getPatientAuditTrail(patient.address)).at(-1);
+    expect(view.action).to.equal("VIEW");
+    expect(view.accessor).to.equal(guardian.address);
+    expect(view.actorType).to.equal(ActorType.Guardian);
+  });
+  
+  it("limits delegated actions to the appointed powers", async function () {
+    const { medChain, patient, doctor, guardian } = await loadFixture(deployWithGuardian);
+    
+    await medChain.connect(patient).appointGuardian(patient.address, guardian.address, VIEW_RECORDS);
+    
+    await expect(medChain.connect(guardian).createRecordFor(patient.address, "QmNew", "Lab Report", "Lipids", FILE, "0x"))
+      .to.be.revertedWith("Not authorized as guardian");
+    await expect(medChain.connect(guardian).grantAccessFor(patient.address, doctor.address, 0, "Referral"))
+      .to.be.revertedWith("Not authorized as guardian");
+    await expect(medChain.connect(guardian).getPatientAuditTrail(patient.address)).to.be.revertedWith("Unauthorized access");
+  });
+  
+  it("stores the content key wrapped for the patient with records created for them", async function () {
+    const { medChain, patient, guardian } = await loadFixture(deployWithGuardian);
+    
+    await medChain.connect(patient).appointGuardian(patient.address, guardian.address, CREATE_RECORDS);
+    await medChain.connect(guardian).createRecordFor(patient.address, "QmNew", "Lab Report", "Lipids", FILE, "0x1234");
+    
+    expect(await medChain.connect(patient).getRecordKey(2)).to.deep.equal([true, "0x1234"]);
+  });
+  
+  it("needs the admin quorum when an admin appoints the guardian", async function () {
+    const { medChain, admin, patient, guardian } = await loadFixture(deployWithGuardian);
+    const [, , , , second] = await ethers.getSigners();
+    await medChain.addAdmin(second.address, "Second");
+    await medChain.setAdminQuorum(2);
+    
+    await medChain.connect(admin).appointGuardian(patient.address, guardian.address, VIEW_RECORDS);
+    expect(await medChain.getGuardianPowers(patient.address, guardian.address)).to.equal(0n);
+    await expect(medChain.connect(guardian).getRecord(1)).to.be.revertedWith("Unauthorized access");
+    
+    await expect(medChain.connect(second).appointGuardian(patient.address, guardian.address, VIEW_RECORDS))
+      .to.emit(medChain, "GuardianAppointed")
+      .withArgs(patient.address, guardian.address, VIEW_RECORDS);
+    expect((await medChain.connect(guardian).getRecord(1)).ipfsHash).to.equal("QmLab");
+  });
+  
+  it("rejects unknown powers", async function () {
+    const { medChain, patient, guardian } = await loadFixture(deployWithGuardian);
+    
+    await expect(medChain.connect(patient).appointGuardian(patient.address, guardian.address, 16))
+      .to.be.revertedWith("Invalid powers");
+  });
+});
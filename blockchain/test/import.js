@@ -0,0 +1,60 @@
+const { expect } = require("chai");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { FILE, ActorType, deployWithPatientAndDoctor } = require("./fixtures");
+
+describe("Bulk record creation", function () {
+  const batch = (hashes, wrappedKeys = hashes.map(() => "0x")) => [
+    hashes,
+    hashes.map(() => "Lab Report"),
+    hashes.map((hash) => `Imported ${hash}`),
+    hashes.map(() => FILE),
+    wrappedKeys
+  ];
+  
+  it("creates the records in order and keeps the keys of encrypted files", async function () {
+    const { medChain, patient } = await loadFixture(deployWithPatientAndDoctor);
+    const args = batch(["QmA", "QmB", "QmC"], ["0x", "0x1234", "0x"]);
+    
+    expect(await medChain.connect(patient).createRecords.staticCall(...args)).to.deep.equal([2n, 3n, 4n]);
+    await medChain.connect(patient).createRecords(...args);
+    
+    expect(await medChain.getPatientRecordIds(patient.address)).to.deep.equal([1n, 2n, 3n, 4n]);
+    expect((await medChain.connect(patient).getRecord(3)).ipfsHash).to.equal("QmB");
+    expect(await medChain.connect(patient).getRecordKey(2)).to.deep.equal([false, "0x"]);
+    expect(await medChain.connect(patient).getRecordKey(3)).to.deep.equal([true, "0x1234"]);
+    
+    const created = (await medChain.connect(patient).getPatientAuditTrail(patient.address)).slice(-3);
+    expect(created.map((entry) => [entry.action, entry.recordId, entry.actorType])).to.deep.equal([
+      ["CREATE", 2n, ActorType.Patient],
+      ["CREATE", 3n, ActorType.Patient],
+      ["CREATE", 4n, ActorType.Patient]
+    ]);
+  });
+  
+  it("reverts the whole batch when one record is invalid", async function () {
+    const { medChain, patient } = await loadFixture(deployWithPatientAndDoctor);
+    
+    await expect(medChain.connect(patient).createRecords(...batch(["QmA", "", "QmC"])))
+      .to.be.revertedWith("IPFS hash required");
+    expect(await medChain.getPatientRecordIds(patient.address)).to.deep.equal([1n]);
+  });
+  
+  it("limits the batch size and checks the lengths", async function () {
+    const { medChain, patient } = await loadFixture(deployWithPatientAndDoctor);
+    const max = Number(await medChain.MAX_BATCH_RECORDS());
+    
+    await expect(medChain.connect(patient).createRecords(...batch([]))).to.be.revertedWith("Invalid batch size");
+    await expect(medChain.connect(patient).createRecords(...batch(Array.from({ length: max + 1 }, (_, i) => `Qm${i}`))))
+      .to.be.revertedWith("Invalid batch size");
+    
+    const [hashes, types, descriptions, files] = batch(["QmA", "QmB"]);
+    await expect(medChain.connect(patient).createRecords(hashes, types, descriptions, files, ["0x"]))
+      .to.be.revertedWith("Length mismatch");
+  });
+  
+  it("only lets patients create records", async function () {
+    const { medChain, doctor } = await loadFixture(deployWithPatientAndDoctor);
+    
+    await expect(medChain.connect(doctor).createRecords(...batch(["QmA"]))).to.be.revertedWith("Only patients allowed");
+  });
+});
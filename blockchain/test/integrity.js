@@ -0,0 +1,54 @@
+const { expect } = require("chai");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { FILE, ActorType, deployWithPatientAndDoctor } = require("./fixtures");
+
+const VIEW_RECORDS = 8;
+
+describe("File integrity", function () {
+  async function lastEntry(medChain, patient) {
+    return (await medChain.connect(patient).getPatientAuditTrail(patient.address)).at(-1);
+  }
+  
+  it("returns the file committed for a record to its readers", async function () {
+    const { medChain, patient, doctor } = await loadFixture(deployWithPatientAndDoctor);
+    
+    const file = await medChain.connect(patient).getRecordFile(1);
+    expect([file.digest, file.size, file.mimeType]).to.deep.equal([FILE.digest, 1n, FILE.mimeType]);
+    await expect(medChain.connect(doctor).getRecordFile(1)).to.be.revertedWith("Unauthorized access");
+  });
+  
+  it("logs a mismatch in the patient's trail with the reporter's capacity", async function () {
+    const { medChain, patient, doctor, other } = await loadFixture(deployWithPatientAndDoctor);
+    
+    await expect(medChain.connect(patient).reportFileMismatch(1, "Digest 0x01"))
+      .to.emit(medChain, "FileMismatchReported")
+      .withArgs(1, patient.address, "Digest 0x01");
+    expect((await lastEntry(medChain, patient)).actorType).to.equal(ActorType.Patient);
+    
+    await medChain.connect(patient).grantAccess(doctor.address, 0, "Primary care");
+    await medChain.connect(doctor).reportFileMismatch(1, "Digest 0x02");
+    const entry = await lastEntry(medChain, patient);
+    expect([entry.action, entry.accessor, entry.actorType, entry.reason])
+      .to.deep.equal(["FILE_MISMATCH", doctor.address, ActorType.Doctor, "Digest 0x02"]);
+    
+    await medChain.connect(other).registerUser("Parent", 1);
+    await medChain.connect(patient).appointGuardian(patient.address, other.address, VIEW_RECORDS);
+    await medChain.connect(other).reportFileMismatch(1, "Digest 0x03");
+    expect((await lastEntry(medChain, patient)).actorType).to.equal(ActorType.Guardian);
+  });
+  
+  it("logs a report under emergency access as an emergency action", async function () {
+    const { medChain, patient, doctor } = await loadFixture(deployWithPatientAndDoctor);
+    
+    await medChain.connect(doctor).invokeEmergencyAccess(patient.address, "Unconscious in the ER");
+    await medChain.connect(doctor).reportFileMismatch(1, "Digest 0x02");
+    
+    expect((await lastEntry(medChain, patient)).actorType).to.equal(ActorType.Emergency);
+  });
+  
+  it("only takes reports from readers of the record", async function () {
+    const { medChain, doctor } = await loadFixture(deployWithPatientAndDoctor);
+    
+    await expect(medChain.connect(doctor).reportFileMismatch(1, "Digest 0x02")).to.be.revertedWith("Unauthorized access");
+  });
+});
@@ -0,0 +1,69 @@
+const { expect } = require("chai");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { FILE, deployWithPatientAndDoctor } = require("./fixtures");
+
+describe("Record keys", function () {
+  // Record 2 is encrypted, with its content key wrapped for the patient as 0xaa
+  async function deployWithEncryptedRecord() {
+    const deployment = await deployWithPatientAndDoctor();
+    const { medChain, patient, doctor } = deployment;
+    
+    await medChain.connect(patient).createEncryptedRecord("QmSealed", "X-Ray", "Chest", FILE, "0xaa");
+    await medChain.connect(patient).grantAccess(doctor.address, 0, "Primary care");
+    
+    return deployment;
+  }
+  
+  it("tells readers whether a file is encrypted and gives them only their own wrapped key", async function () {
+    const { medChain, patient, doctor } = await loadFixture(deployWithEncryptedRecord);
+    
+    expect(await medChain.connect(patient).getRecordKey(2)).to.deep.equal([true, "0xaa"]);
+    expect(await medChain.connect(doctor).getRecordKey(2)).to.deep.equal([true, "0x"]);
+    expect(await medChain.connect(doctor).getRecordKey(1)).to.deep.equal([false, "0x"]);
+  });
+  
+  it("stores keys the patient shares with a reader", async function () {
+    const { medChain, patient, doctor } = await loadFixture(deployWithEncryptedRecord);
+    
+    await expect(medChain.connect(patient).shareRecordKeys(doctor.address, [2], ["0xbb"]))
+      .to.emit(medChain, "RecordKeyShared")
+      .withArgs(2, doctor.address);
+    
+    expect(await medChain.connect(doctor).getRecordKey(2)).to.deep.equal([true, "0xbb"]);
+    const entry = (await medChain.getAuditTrail(doctor.address)).at(-1);
+    expect(entry.action).to.equal("SHARE_RECORD_KEYS");
+    expect(entry.accessor).to.equal(patient.address);
+  });
+  
+  it("does not let a shared key stand in for a grant", async function () {
+    const { medChain, patient, doctor } = await loadFixture(deployWithEncryptedRecord);
+    
+    await medChain.connect(patient).shareRecordKeys(doctor.address, [2], ["0xbb"]);
+    await medChain.connect(patient).revokeAccess(doctor.address);
+    
+    await expect(medChain.connect(doctor).getRecordKey(2)).to.be.revertedWith("Unauthorized access");
+  });
+  
+  it("only shares the patient's own records, one non-empty key per record", async function () {
+    const { medChain, patient, doctor, other } = await loadFixture(deployWithEncryptedRecord);
+    
+    await medChain.connect(other).registerUser("Sam", 1);
+    await medChain.connect(other).createEncryptedRecord("QmOther", "X-Ray", "Knee", FILE, "0xcc");
+    
+    await expect(medChain.connect(patient).shareRecordKeys(doctor.address, [3], ["0xbb"]))
+      .to.be.revertedWith("Not your record");
+    await expect(medChain.connect(patient).shareRecordKeys(doctor.address, [2], []))
+      .to.be.revertedWith("Length mismatch");
+    await expect(medChain.connect(patient).shareRecordKeys(doctor.address, [2], ["0x"]))
+      .to.be.revertedWith("Wrapped key required");
+  });
+  
+  it("accepts only compressed public keys", async function () {
+    const { medChain, doctor } = await loadFixture(deployWithPatientAndDoctor);
+    const publicKey = "0x02" + "11".repeat(32);
+    
+    await expect(medChain.connect(doctor).setEncryptionKey("0x04" + "11".repeat(64))).to.be.revertedWith("Invalid public key");
+    await medChain.connect(doctor).setEncryptionKey(publicKey);
+    expect(await medChain.getEncryptionKey(doctor.address)).to.equal(publicKey);
+  });
+});
@@ -0,0 +1,66 @@
+const { expect } = require("chai");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { FILE, deployWithPatientAndDoctor } = require("./fixtures");
+
+describe("Doctor record lookup", function () {
+  // Records 1-3 belong to the patient, who grants full access; 4-6 to a second patient,
+  // who shares only record 5
+  async function deployWithTwoPatients() {
+    const deployment = await deployWithPatientAndDoctor();
+    const { medChain, patient, doctor, other } = deployment;
+    
+    await medChain.connect(patient).createRecord("QmA2", "X-Ray", "Chest", FILE);
+    await medChain.connect(patient).createRecord("QmA3", "Prescription", "Statins", FILE);
+    await medChain.connect(patient).grantAccess(doctor.address, 0, "Primary care");
+    
+    await medChain.connect(other).registerUser("Sam", 1);
+    for (const hash of ["QmB4", "QmB5", "QmB6"]) {
+      await medChain.connect(other).createRecord(hash, "Lab Report", "Panel", FILE);
+    }
+    await medChain.connect(other).grantRecordAccess(doctor.address, [5], 0, "Second opinion");
+    
+    return deployment;
+  }
+  
+  it("pages through the records of granting patients only", async function () {
+    const { medChain, doctor } = await loadFixture(deployWithTwoPatients);
+    const lookup = medChain.connect(doctor);
+    
+    const pages = [];
+    for (let offset = 0, total = 1; offset < total; offset += 2) {
+      const [recordIds, candidates] = await lookup.getDoctorAccessibleRecords(doctor.address, offset, 2);
+      pages.push(recordIds);
+      total = candidates;
+    }
+    
+    expect(pages).to.deep.equal([[1n, 2n], [3n], [5n]]);
+    expect((await lookup.getDoctorAccessibleRecords(doctor.address, 0, 2)).total).to.equal(6n);
+  });
+  
+  it("returns an empty page past the end", async function () {
+    const { medChain, doctor } = await loadFixture(deployWithTwoPatients);
+    
+    const [recordIds, total] = await medChain.connect(doctor).getDoctorAccessibleRecords(doctor.address, 10, 5);
+    
+    expect(recordIds).to.deep.equal([]);
+    expect(total).to.equal(6n);
+  });
+  
+  it("leaves out archived records and patients who revoked access", async function () {
+    const { medChain, patient, doctor, other } = await loadFixture(deployWithTwoPatients);
+    
+    await medChain.connect(patient).archiveRecord(2, "Duplicate");
+    await medChain.connect(other).revokeRecordAccess(doctor.address, [5]);
+    
+    const [recordIds, total] = await medChain.connect(doctor).getDoctorAccessibleRecords(doctor.address, 0, 10);
+    expect(recordIds).to.deep.equal([1n, 3n]);
+    expect(total).to.equal(3n);
+  });
+  
+  it("only answers doctors about themselves", async function () {
+    const { medChain, doctor, other } = await loadFixture(deployWithTwoPatients);
+    
+    await expect(medChain.connect(doctor).getDoctorAccessibleRecords(other.address, 0, 10))
+      .to.be.revertedWith("Can only check your own accessible records");
+  });
+});
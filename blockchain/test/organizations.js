@@ -0,0 +1,103 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { FILE, ActorType, deployWithPatientAndDoctor } = require("./fixtures");
+
+describe("Organizations", function () {
+  async function deployWithOrganization() {
+    const deployment = await deployWithPatientAndDoctor();
+    const { medChain, patient, doctor, other } = deployment;
+    
+    await medChain.connect(other).registerUser("Owen", 1);
+    await medChain.createOrganization("St. Mary's", other.address);
+    const [organization] = await medChain.getOrganizations();
+    await medChain.connect(other).addOrganizationMember(organization, doctor.address);
+    
+    await medChain.connect(patient).createRecord("QmXray", "X-Ray", "Chest", FILE);
+    await medChain.connect(patient).createRecord("QmRx", "Prescription", "Statins", FILE);
+    
+    return { ...deployment, owner: other, organization };
+  }
+  
+  it("lets admins create organizations with a registered owner", async function () {
+    const { medChain, patient, other } = await loadFixture(deployWithPatientAndDoctor);
+    
+    await expect(medChain.connect(patient).createOrganization("Clinic", patient.address)).to.be.revertedWith("Only admin allowed");
+    await expect(medChain.createOrganization("", patient.address)).to.be.revertedWith("Name cannot be empty");
+    await expect(medChain.createOrganization("Clinic", other.address)).to.be.revertedWith("Owner not registered");
+    
+    const organization = await medChain.createOrganization.staticCall("Clinic", patient.address);
+    await expect(medChain.createOrganization("Clinic", patient.address))
+      .to.emit(medChain, "OrganizationCreated")
+      .withArgs(organization, "Clinic", patient.address);
+    
+    const [details, members] = await medChain.getOrganization(organization);
+    expect(details.name).to.equal("Clinic");
+    expect(details.owner).to.equal(patient.address);
+    expect(members).to.deep.equal([]);
+    
+    const created = (await medChain.getSystemAuditTrail()).at(-1);
+    expect(created.action).to.equal("CREATE_ORGANIZATION");
+    expect(created.actorType).to.equal(ActorType.Admin);
+  });
+  
+  it("lets the owner and admins manage verified members", async function () {
+    const { medChain, patient, doctor, owner, organization } = await loadFixture(deployWithOrganization);
+    
+    expect((await medChain.getOrganization(organization)).members).to.deep.equal([doctor.address]);
+    expect(await medChain.getMemberOrganizations(doctor.address)).to.deep.equal([organization]);
+    
+    await expect(medChain.connect(owner).addOrganizationMember(organization, doctor.address)).to.be.revertedWith("Already a member");
+    await expect(medChain.connect(owner).addOrganizationMember(organization, patient.address))
+      .to.be.revertedWith("Only verified doctors can be members");
+    await expect(medChain.connect(patient).addOrganizationMember(organization, doctor.address))
+      .to.be.revertedWith("Only the owner or an admin");
+    await expect(medChain.connect(patient).removeOrganizationMember(organization, doctor.address))
+      .to.be.revertedWith("Only the member, owner or an admin");
+    
+    await expect(medChain.removeOrganizationMember(organization, doctor.address))
+      .to.emit(medChain, "OrganizationMemberRemoved")
+      .withArgs(organization, doctor.address);
+    expect(await medChain.getMemberOrganizations(doctor.address)).to.deep.equal([]);
+  });
+  
+  it("lets members read through the organization's grant until they leave", async function () {
+    const { medChain, patient, doctor, organization } = await loadFixture(deployWithOrganization);
+    
+    await expect(medChain.connect(doctor).getRecord(1)).to.be.revertedWith("Unauthorized access");
+    await medChain.connect(patient).grantAccess(organization, 0, "Cardiology referral");
+    
+    expect(await medChain.checkRecordAccess(doctor.address, 1)).to.equal(true);
+    await medChain.connect(doctor).accessRecord(1);
+    const view = (await medChain.connect(patient).getPatientAuditTrail(patient.address)).at(-1);
+    expect(view.accessor).to.equal(doctor.address);
+    expect(view.actorType).to.equal(ActorType.Doctor);
+    expect(view.reason).to.equal("Cardiology referral");
+    
+    await medChain.connect(doctor).removeOrganizationMember(organization, doctor.address);
+    expect(await medChain.checkRecordAccess(doctor.address, 1)).to.equal(false);
+    await expect(medChain.connect(doctor).getRecord(1)).to.be.revertedWith("Unauthorized access");
+  });
+  
+  it("pages the records members can read through the organization", async function () {
+    const { medChain, patient, doctor, organization } = await loadFixture(deployWithOrganization);
+    
+    await medChain.connect(patient).grantRecordAccess(organization, [1, 3], 0, "Referral");
+    
+    const [firstPage, total] = await medChain.connect(doctor).getOrganizationAccessibleRecords(organization, 0, 2);
+    expect(firstPage).to.deep.equal([1n]);
+    expect(total).to.equal(3n);
+    expect((await medChain.connect(doctor).getOrganizationAccessibleRecords(organization, 2, 2))[0]).to.deep.equal([3n]);
+    
+    await medChain.connect(patient).archiveRecord(3, "Superseded");
+    expect((await medChain.connect(doctor).getOrganizationAccessibleRecords(organization, 0, 10))[0]).to.deep.equal([1n]);
+    
+    // Direct grants are not listed here
+    expect((await medChain.connect(doctor).getDoctorAccessibleRecords(doctor.address, 0, 10))[0]).to.deep.equal([]);
+    
+    const [, , , , outsider] = await ethers.getSigners();
+    await medChain.connect(outsider).registerDoctor("Dana", "LIC-2", "State Medical Board", "Cardiology");
+    await medChain.approveDoctor(outsider.address);
+    await expect(medChain.connect(outsider).getOrganizationAccessibleRecords(organization, 0, 10)).to.be.revertedWith("Not a member");
+  });
+});
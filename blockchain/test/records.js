@@ -0,0 +1,39 @@
+const { expect } = require("chai");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { FILE, deployWithPatientAndDoctor } = require("./fixtures");
+
+describe("Record proposals", function () {
+  async function deployWithProposal() {
+    const deployment = await deployWithPatientAndDoctor();
+    const { medChain, patient, doctor } = deployment;
+    
+    await medChain.connect(patient).grantAccess(doctor.address, 0, "Primary care");
+    await medChain.connect(doctor).proposeRecord(patient.address, "QmScan", "X-Ray", "Chest", FILE, "0x1234");
+    
+    return deployment;
+  }
+  
+  it("carries the content key wrapped for the patient into the accepted record", async function () {
+    const { medChain, patient } = await loadFixture(deployWithProposal);
+    
+    expect((await medChain.connect(patient).getRecordProposal(1)).wrappedKey).to.equal("0x1234");
+    
+    await medChain.connect(patient).acceptRecordProposal(1);
+    const { recordId } = await medChain.connect(patient).getRecordProposal(1);
+    expect(await medChain.connect(patient).getRecordKey(recordId)).to.deep.equal([true, "0x1234"]);
+  });
+  
+  it("only shows the proposal to the patient and its author", async function () {
+    const { medChain, doctor, other } = await loadFixture(deployWithProposal);
+    
+    expect((await medChain.connect(doctor).getRecordProposal(1)).ipfsHash).to.equal("QmScan");
+    await expect(medChain.connect(other).getRecordProposal(1)).to.be.revertedWith("Unauthorized access");
+  });
+  
+  it("needs a grant from the patient", async function () {
+    const { medChain, patient, doctor } = await loadFixture(deployWithPatientAndDoctor);
+    
+    await expect(medChain.connect(doctor).proposeRecord(patient.address, "QmScan", "X-Ray", "Chest", FILE, "0x"))
+      .to.be.revertedWith("No active grant from patient");
+  });
+});
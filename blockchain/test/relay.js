@@ -0,0 +1,185 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { FILE, ActorType, deployWithPatientAndDoctor } = require("./fixtures");
+
+// EIP-712 types of the signed requests, as in frontend/src/relayer.js
+const TYPES = {
+  RegisterUser: {
+    RegisterUser: [
+      { name: "user", type: "address" },
+      { name: "name", type: "string" },
+      { name: "role", type: "uint8" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" }
+    ]
+  },
+  CreateRecord: {
+    CreateRecord: [
+      { name: "patient", type: "address" },
+      { name: "ipfsHash", type: "string" },
+      { name: "recordType", type: "string" },
+      { name: "description", type: "string" },
+      { name: "file", type: "RecordFile" },
+      { name: "wrappedKey", type: "bytes" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" }
+    ],
+    RecordFile: [
+      { name: "digest", type: "bytes32" },
+      { name: "size", type: "uint256" },
+      { name: "mimeType", type: "string" }
+    ]
+  },
+  GrantAccess: {
+    GrantAccess: [
+      { name: "patient", type: "address" },
+      { name: "doctor", type: "address" },
+      { name: "expiryDuration", type: "uint256" },
+      { name: "purpose", type: "string" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" }
+    ]
+  }
+};
+
+describe("Signed requests", function () {
+  async function deployWithRelayer() {
+    const deployment = await deployWithPatientAndDoctor();
+    const { medChain } = deployment;
+    const [, , , , relayer] = await ethers.getSigners();
+    
+    await medChain.setRelayer(relayer.address, true);
+    
+    const domain = {
+      name: "MedChain",
+      version: "1",
+      chainId: (await ethers.provider.getNetwork()).chainId,
+      verifyingContract: await medChain.getAddress()
+    };
+    
+    // Sign a request with the signer's next nonce, valid for an hour unless a deadline is given
+    const sign = async (signer, type, request, deadline) => {
+      const message = {
+        ...request,
+        nonce: await medChain.getRelayNonce(signer.address),
+        deadline: deadline ?? (await time.latest()) + 3600
+      };
+      return { deadline: message.deadline, signature: await signer.signTypedData(domain, TYPES[type], message) };
+    };
+    
+    return { ...deployment, relayer, relayed: medChain.connect(relayer), domain, sign };
+  }
+  
+  it("binds requests to the proxy's address", async function () {
+    const { medChain, extensions, domain } = await loadFixture(deployWithRelayer);
+    
+    expect(await medChain.relayDomainSeparator()).to.equal(ethers.TypedDataEncoder.hashDomain(domain));
+    expect(domain.verifyingContract).not.to.be.oneOf([await medChain.getImplementation(), ...extensions]);
+  });
+  
+  it("runs a request signed by the patient and uses up its nonce", async function () {
+    const { medChain, patient, doctor, relayer, relayed, sign } = await loadFixture(deployWithRelayer);
+    
+    const { deadline, signature } = await sign(patient, "GrantAccess", {
+      patient: patient.address,
+      doctor: doctor.address,
+      expiryDuration: 3600,
+      purpose: "Checkup"
+    });
+    await expect(relayed.grantAccessBySig(patient.address, doctor.address, 3600, "Checkup", deadline, signature))
+      .to.emit(medChain, "RequestRelayed")
+      .withArgs(patient.address, relayer.address, 0);
+    
+    expect((await medChain.checkAccess(patient.address, doctor.address)).hasAccess).to.equal(true);
+    expect(await medChain.getRelayNonce(patient.address)).to.equal(1n);
+  });
+  
+  it("logs the signer, not the relayer, as the actor", async function () {
+    const { medChain, patient, doctor, relayer, relayed, sign } = await loadFixture(deployWithRelayer);
+    
+    const { deadline, signature } = await sign(patient, "GrantAccess", {
+      patient: patient.address,
+      doctor: doctor.address,
+      expiryDuration: 0,
+      purpose: "Checkup"
+    });
+    await relayed.grantAccessBySig(patient.address, doctor.address, 0, "Checkup", deadline, signature);
+    
+    const grant = (await medChain.getAuditTrail(patient.address)).at(-1);
+    expect(grant.action).to.equal("GRANT_ACCESS");
+    expect(grant.accessor).to.equal(patient.address);
+    expect(grant.actorType).to.equal(ActorType.Patient);
+    expect((await medChain.getAuditTrail(doctor.address)).at(-1).accessor).to.equal(patient.address);
+    expect((await medChain.getAuditTrail(relayer.address)).map((entry) => entry.action)).to.deep.equal(["RELAYER_ENABLED"]);
+  });
+  
+  it("rejects a replayed request", async function () {
+    const { patient, doctor, relayed, sign } = await loadFixture(deployWithRelayer);
+    
+    const { deadline, signature } = await sign(patient, "GrantAccess", {
+      patient: patient.address,
+      doctor: doctor.address,
+      expiryDuration: 0,
+      purpose: "Checkup"
+    });
+    await relayed.grantAccessBySig(patient.address, doctor.address, 0, "Checkup", deadline, signature);
+    
+    await expect(relayed.grantAccessBySig(patient.address, doctor.address, 0, "Checkup", deadline, signature))
+      .to.be.revertedWith("Invalid signature");
+  });
+  
+  it("rejects a request past its deadline", async function () {
+    const { other, relayed, sign } = await loadFixture(deployWithRelayer);
+    
+    const deadline = (await time.latest()) + 60;
+    const { signature } = await sign(other, "RegisterUser", { user: other.address, name: "Late", role: 1 }, deadline);
+    await time.increaseTo(deadline + 1);
+    
+    await expect(relayed.registerUserBySig(other.address, "Late", 1, deadline, signature))
+      .to.be.revertedWith("Request expired");
+  });
+  
+  it("rejects a request signed by someone else or changed after signing", async function () {
+    const { patient, other, relayed, sign } = await loadFixture(deployWithRelayer);
+    
+    const forged = await sign(patient, "RegisterUser", { user: other.address, name: "Mallory", role: 1 });
+    await expect(relayed.registerUserBySig(other.address, "Mallory", 1, forged.deadline, forged.signature))
+      .to.be.revertedWith("Invalid signature");
+    
+    const request = { patient: patient.address, ipfsHash: "QmNew", recordType: "Lab Report", description: "Lipids", file: FILE, wrappedKey: "0x" };
+    const { deadline, signature } = await sign(patient, "CreateRecord", request);
+    await expect(relayed.createRecordBySig(patient.address, "QmNew", "Lab Report", "Tampered", FILE, "0x", deadline, signature))
+      .to.be.revertedWith("Invalid signature");
+  });
+  
+  it("logs enabling and disabling a relayer in the system audit trail", async function () {
+    const { admin, medChain, relayer } = await loadFixture(deployWithRelayer);
+    
+    await expect(medChain.setRelayer(relayer.address, false))
+      .to.emit(medChain, "RelayerUpdated")
+      .withArgs(relayer.address, false);
+    
+    const [enabled, disabled] = (await medChain.getSystemAuditTrail()).slice(-2);
+    expect(enabled.action).to.equal("RELAYER_ENABLED");
+    expect(disabled.action).to.equal("RELAYER_DISABLED");
+    expect(disabled.accessor).to.equal(admin.address);
+    expect(disabled.actorType).to.equal(ActorType.Admin);
+    expect((await medChain.getAuditTrail(relayer.address)).map((entry) => entry.action))
+      .to.deep.equal(["RELAYER_ENABLED", "RELAYER_DISABLED"]);
+  });
+  
+  it("only accepts requests from relayers", async function () {
+    const { patient, doctor, other, medChain, sign } = await loadFixture(deployWithRelayer);
+    
+    const { deadline, signature } = await sign(patient, "GrantAccess", {
+      patient: patient.address,
+      doctor: doctor.address,
+      expiryDuration: 0,
+      purpose: "Checkup"
+    });
+    
+    await expect(medChain.connect(other).grantAccessBySig(patient.address, doctor.address, 0, "Checkup", deadline, signature))
+      .to.be.revertedWith("Only relayers allowed");
+  });
+});
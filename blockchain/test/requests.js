@@ -0,0 +1,76 @@
+const { expect } = require("chai");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { ActorType, deployWithPatientAndDoctor } = require("./fixtures");
+
+const MANAGE_ACCESS = 2;
+const ProposalStatus = { Pending: 1n, Accepted: 2n, Rejected: 3n };
+
+describe("Access requests", function () {
+  // Request 1: the doctor asks the patient for a day of access
+  async function deployWithRequest() {
+    const deployment = await deployWithPatientAndDoctor();
+    const { medChain, patient, doctor } = deployment;
+    
+    await medChain.connect(doctor).requestAccess(patient.address, "Follow-up", 86400);
+    
+    return deployment;
+  }
+  
+  it("grants the requested purpose and duration on approval", async function () {
+    const { medChain, patient, doctor } = await loadFixture(deployWithRequest);
+    expect(await medChain.getPendingAccessRequests(patient.address)).to.deep.equal([1n]);
+    
+    await expect(medChain.connect(patient).approveAccessRequest(1))
+      .to.emit(medChain, "AccessRequestApproved")
+      .withArgs(1, patient.address, doctor.address);
+    
+    const access = await medChain.checkAccess(patient.address, doctor.address);
+    expect(access.hasAccess).to.equal(true);
+    expect(access.purpose).to.equal("Follow-up");
+    expect(access.expiresAt).to.equal(BigInt(await time.latest()) + 86400n);
+    expect((await medChain.connect(doctor).getAccessRequest(1)).status).to.equal(ProposalStatus.Accepted);
+    expect(await medChain.getPendingAccessRequests(patient.address)).to.deep.equal([]);
+  });
+  
+  it("keeps the reason of a denial and grants nothing", async function () {
+    const { medChain, patient, doctor } = await loadFixture(deployWithRequest);
+    
+    await medChain.connect(patient).denyAccessRequest(1, "Not my doctor");
+    
+    const request = await medChain.connect(doctor).getAccessRequest(1);
+    expect(request.status).to.equal(ProposalStatus.Rejected);
+    expect(request.denialReason).to.equal("Not my doctor");
+    expect((await medChain.checkAccess(patient.address, doctor.address)).hasAccess).to.equal(false);
+    await expect(medChain.connect(patient).approveAccessRequest(1)).to.be.revertedWith("Request is not pending");
+  });
+  
+  it("lets a guardian managing access decide, logged as the guardian", async function () {
+    const { medChain, patient, doctor, other } = await loadFixture(deployWithRequest);
+    
+    await expect(medChain.connect(other).approveAccessRequest(1)).to.be.revertedWith("User not registered");
+    await medChain.connect(other).registerUser("Parent", 1);
+    await expect(medChain.connect(other).approveAccessRequest(1)).to.be.revertedWith("Not your request");
+    
+    await medChain.connect(patient).appointGuardian(patient.address, other.address, MANAGE_ACCESS);
+    await medChain.connect(other).approveAccessRequest(1);
+    
+    const grant = (await medChain.getAuditTrail(doctor.address)).at(-1);
+    expect([grant.action, grant.accessor, grant.actorType]).to.deep.equal(["GRANT_ACCESS", other.address, ActorType.Guardian]);
+  });
+  
+  it("only lets verified doctors ask patients, with a purpose", async function () {
+    const { medChain, patient, doctor, other } = await loadFixture(deployWithPatientAndDoctor);
+    
+    await expect(medChain.connect(doctor).requestAccess(patient.address, "", 0)).to.be.revertedWith("Purpose required");
+    await expect(medChain.connect(doctor).requestAccess(doctor.address, "Follow-up", 0)).to.be.revertedWith("Not a patient");
+    await medChain.connect(other).registerDoctor("Unverified", "LIC-2", "State Medical Board", "Surgery");
+    await expect(medChain.connect(other).requestAccess(patient.address, "Follow-up", 0))
+      .to.be.revertedWith("Only verified doctors allowed");
+  });
+  
+  it("shows a request only to the parties involved", async function () {
+    const { medChain, other } = await loadFixture(deployWithRequest);
+    
+    await expect(medChain.connect(other).getAccessRequest(1)).to.be.revertedWith("Unauthorized access");
+  });
+});
@@ -0,0 +1,91 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { EXTENSIONS } = require("../scripts/deployments");
+const { FILE, deployWithPatientAndDoctor } = require("./fixtures");
+
+describe("Upgrades", function () {
+  // Patient data worth keeping: a second record, a grant and the audit entries they wrote
+  async function deployWithData() {
+    const deployment = await deployWithPatientAndDoctor();
+    const { medChain, patient, doctor } = deployment;
+    
+    await medChain.connect(patient).createRecord("QmXray", "X-Ray", "Chest", FILE);
+    await medChain.connect(patient).grantAccess(doctor.address, 0, "Primary care");
+    
+    return deployment;
+  }
+  
+  // Fresh copies of MedChain and MedChainRecords, with MedChainRecords' selectors routed to the copy
+  async function deployNewVersion(selectors) {
+    const implementation = await ethers.deployContract("MedChain");
+    const records = await ethers.deployContract("MedChainRecords");
+    return {
+      implementation: await implementation.getAddress(),
+      extensions: [await records.getAddress()],
+      selectors: [selectors[EXTENSIONS.indexOf("MedChainRecords")]]
+    };
+  }
+  
+  it("keeps users, records, grants and audit trails at the same address", async function () {
+    const { medChain, patient, doctor, selectors } = await loadFixture(deployWithData);
+    const address = await medChain.getAddress();
+    const trail = await medChain.connect(patient).getPatientAuditTrail(patient.address);
+    
+    const next = await deployNewVersion(selectors);
+    await expect(medChain.upgrade(next.implementation, next.extensions, next.selectors))
+      .to.emit(medChain, "Upgraded")
+      .withArgs(next.implementation);
+    
+    expect(await medChain.getAddress()).to.equal(address);
+    expect(await medChain.getImplementation()).to.equal(next.implementation);
+    expect(await medChain.extensions(next.selectors[0][0])).to.equal(next.extensions[0]);
+    
+    expect((await medChain.getUserInfo(patient.address))[0]).to.equal("Pat");
+    expect(await medChain.getPatientRecordIds(patient.address)).to.deep.equal([1n, 2n]);
+    expect((await medChain.connect(doctor).getRecord(2)).ipfsHash).to.equal("QmXray");
+    expect((await medChain.connect(patient).getRecordFile(1)).digest).to.equal(FILE.digest);
+    expect((await medChain.checkAccess(patient.address, doctor.address)).purpose).to.equal("Primary care");
+    expect((await medChain.getDoctorCredential(doctor.address)).licenseNumber).to.equal("LIC-1");
+    
+    const trailAfter = await medChain.connect(patient).getPatientAuditTrail(patient.address);
+    expect(trailAfter.slice(0, trail.length).map((entry) => entry.action)).to.deep.equal(trail.map((entry) => entry.action));
+  });
+  
+  it("needs the admin quorum", async function () {
+    const { medChain, other, selectors } = await loadFixture(deployWithData);
+    const [, , , , second] = await ethers.getSigners();
+    await medChain.addAdmin(second.address, "Second");
+    await medChain.setAdminQuorum(2);
+    const next = await deployNewVersion(selectors);
+    
+    await expect(medChain.connect(other).upgrade(next.implementation, next.extensions, next.selectors))
+      .to.be.revertedWith("Only admin allowed");
+    
+    const current = await medChain.getImplementation();
+    await medChain.upgrade(next.implementation, next.extensions, next.selectors);
+    expect(await medChain.getImplementation()).to.equal(current);
+    
+    await medChain.connect(second).upgrade(next.implementation, next.extensions, next.selectors);
+    expect(await medChain.getImplementation()).to.equal(next.implementation);
+  });
+  
+  it("refuses to drop the upgrade route or point at an account without code", async function () {
+    const { medChain, other, selectors } = await loadFixture(deployWithData);
+    const upgradeSelectors = selectors[EXTENSIONS.indexOf("MedChainUpgrades")];
+    const next = await deployNewVersion(selectors);
+    
+    await expect(medChain.upgrade(other.address, [], [])).to.be.revertedWith("Invalid implementation");
+    await expect(medChain.upgrade(next.implementation, [ethers.ZeroAddress], [upgradeSelectors]))
+      .to.be.revertedWith("Upgrade must stay routed");
+  });
+  
+  it("can't be initialized twice", async function () {
+    const { medChain, extensions, other } = await loadFixture(deployWithData);
+    
+    await expect(medChain.connect(other).initialize([], [])).to.be.revertedWith("Already initialized");
+    
+    const upgrades = await ethers.getContractAt("MedChainUpgrades", extensions[EXTENSIONS.indexOf("MedChainUpgrades")]);
+    await expect(upgrades.connect(other).initialize([], [])).to.be.revertedWith("Already initialized");
+  });
+});
@@ -0,0 +1,2836 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import type {
+  BaseContract,
+  BigNumberish,
+  BytesLike,
+  FunctionFragment,
+  Result,
+  Interface,
+  EventFragment,
+  AddressLike,
+  ContractRunner,
+  ContractMethod,
+  Listener,
+} from "ethers";
+import type {
+  TypedContractEvent,
+  TypedDeferredTopicFilter,
+  TypedEventLog,
+  TypedLogDescription,
+  TypedListener,
+  TypedContractMethod,
+} from "./common";
+
+export declare namespace MedChainBase {
+  export type AccessRequestStruct = {
+    doctor: AddressLike;
+    patient: AddressLike;
+    purpose: string;
+    duration: BigNumberish;
+    requestedAt: BigNumberish;
+    status: BigNumberish;
+    decidedAt: BigNumberish;
+    denialReason: string;
+  };
+
+  export type AccessRequestStructOutput = [
+    doctor: string,
+    patient: string,
+    purpose: string,
+    duration: bigint,
+    requestedAt: bigint,
+    status: bigint,
+    decidedAt: bigint,
+    denialReason: string
+  ] & {
+    doctor: string;
+    patient: string;
+    purpose: string;
+    duration: bigint;
+    requestedAt: bigint;
+    status: bigint;
+    decidedAt: bigint;
+    denialReason: string;
+  };
+
+  export type GrantEntryStruct = {
+    doctor: AddressLike;
+    scope: BigNumberish;
+    recordId: BigNumberish;
+    recordType: string;
+  };
+
+  export type GrantEntryStructOutput = [
+    doctor: string,
+    scope: bigint,
+    recordId: bigint,
+    recordType: string
+  ] & { doctor: string; scope: bigint; recordId: bigint; recordType: string };
+
+  export type AccessPermissionStruct = {
+    doctorAddress: AddressLike;
+    grantedAt: BigNumberish;
+    expiresAt: BigNumberish;
+    isActive: boolean;
+    purpose: string;
+  };
+
+  export type AccessPermissionStructOutput = [
+    doctorAddress: string,
+    grantedAt: bigint,
+    expiresAt: bigint,
+    isActive: boolean,
+    purpose: string
+  ] & {
+    doctorAddress: string;
+    grantedAt: bigint;
+    expiresAt: bigint;
+    isActive: boolean;
+    purpose: string;
+  };
+
+  export type RecordFileStruct = {
+    digest: BytesLike;
+    size: BigNumberish;
+    mimeType: string;
+  };
+
+  export type RecordFileStructOutput = [
+    digest: string,
+    size: bigint,
+    mimeType: string
+  ] & { digest: string; size: bigint; mimeType: string };
+}
+
+export interface MedChainAccessInterface extends Interface {
+  getFunction(
+    nameOrSignature:
+      | "EMERGENCY_ACCESS_DURATION"
+      | "GUARDIAN_CREATE_RECORDS"
+      | "GUARDIAN_MANAGE_ACCESS"
+      | "GUARDIAN_VIEW_AUDIT"
+      | "GUARDIAN_VIEW_RECORDS"
+      | "accessRequestCounter"
+      | "admin"
+      | "adminActionApprovals"
+      | "adminActionNonces"
+      | "adminList"
+      | "adminQuorum"
+      | "admins"
+      | "approveAccessRequest"
+      | "auditTrails"
+      | "categoryPermissions"
+      | "denyAccessRequest"
+      | "doctorApplicants"
+      | "doctorCredentials"
+      | "emergencyAccessCounter"
+      | "emergencyAccesses"
+      | "emergencyMode"
+      | "extendAccess"
+      | "extensions"
+      | "getAccessRequest"
+      | "getDoctorAccessRequests"
+      | "getPatientGrants"
+      | "getPendingAccessRequests"
+      | "latestEmergencyAccess"
+      | "patientAuditTrails"
+      | "patientRecords"
+      | "pendingAdmin"
+      | "pendingEmergencyReviews"
+      | "permissions"
+      | "recordCounter"
+      | "recordPermissions"
+      | "recordProposalCounter"
+      | "records"
+      | "requestAccess"
+      | "systemAuditTrail"
+      | "users"
+      | "verifiers"
+  ): FunctionFragment;
+
+  getEvent(
+    nameOrSignatureOrTopic:
+      | "AccessExtended"
+      | "AccessGranted"
+      | "AccessRequestApproved"
+      | "AccessRequestDenied"
+      | "AccessRequested"
+      | "AccessRevoked"
+      | "AdminActionApproved"
+      | "AdminActionExecuted"
+      | "AdminAdded"
+      | "AdminQuorumChanged"
+      | "AdminRemoved"
+      | "AdminTransferStarted"
+      | "AdminTransferred"
+      | "CategoryAccessGranted"
+      | "CategoryAccessRevoked"
+      | "DoctorApplicationSubmitted"
+      | "DoctorRejected"
+      | "DoctorVerified"
+      | "EmergencyAccessInvoked"
+      | "EmergencyAccessReviewed"
+      | "EmergencyModeToggled"
+      | "EncryptionKeySet"
+      | "ExtensionRouted"
+      | "FileMismatchReported"
+      | "GuardianAppointed"
+      | "GuardianRemoved"
+      | "OrganizationCreated"
+      | "OrganizationMemberAdded"
+      | "OrganizationMemberRemoved"
+      | "OrganizationOwnerChanged"
+      | "RecordAccessGranted"
+      | "RecordAccessRevoked"
+      | "RecordAccessed"
+      | "RecordAmended"
+      | "RecordArchived"
+      | "RecordCreated"
+      | "RecordKeyShared"
+      | "RecordProposalAccepted"
+      | "RecordProposalRejected"
+      | "RecordProposed"
+      | "RecordRestored"
+      | "RelayerUpdated"
+      | "RequestRelayed"
+      | "Upgraded"
+      | "UserRegistered"
+      | "VerifierUpdated"
+  ): EventFragment;
+
+  encodeFunctionData(
+    functionFragment: "EMERGENCY_ACCESS_DURATION",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "GUARDIAN_CREATE_RECORDS",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "GUARDIAN_MANAGE_ACCESS",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "GUARDIAN_VIEW_AUDIT",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "GUARDIAN_VIEW_RECORDS",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "accessRequestCounter",
+    values?: undefined
+  ): string;
+  encodeFunctionData(functionFragment: "admin", values?: undefined): string;
+  encodeFunctionData(
+    functionFragment: "adminActionApprovals",
+    values: [BytesLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "adminActionNonces",
+    values: [BytesLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "adminList",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "adminQuorum",
+    values?: undefined
+  ): string;
+  encodeFunctionData(functionFragment: "admins", values: [AddressLike]): string;
+  encodeFunctionData(
+    functionFragment: "approveAccessRequest",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "auditTrails",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "categoryPermissions",
+    values: [AddressLike, AddressLike, BytesLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "denyAccessRequest",
+    values: [BigNumberish, string]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "doctorApplicants",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "doctorCredentials",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "emergencyAccessCounter",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "emergencyAccesses",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "emergencyMode",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "extendAccess",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "extensions",
+    values: [BytesLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getAccessRequest",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getDoctorAccessRequests",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getPatientGrants",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getPendingAccessRequests",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "latestEmergencyAccess",
+    values: [AddressLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "patientAuditTrails",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "patientRecords",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "pendingAdmin",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "pendingEmergencyReviews",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "permissions",
+    values: [AddressLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "recordCounter",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "recordPermissions",
+    values: [AddressLike, AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "recordProposalCounter",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "records",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "requestAccess",
+    values: [AddressLike, string, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "systemAuditTrail",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(functionFragment: "users", values: [AddressLike]): string;
+  encodeFunctionData(
+    functionFragment: "verifiers",
+    values: [AddressLike]
+  ): string;
+
+  decodeFunctionResult(
+    functionFragment: "EMERGENCY_ACCESS_DURATION",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "GUARDIAN_CREATE_RECORDS",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "GUARDIAN_MANAGE_ACCESS",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "GUARDIAN_VIEW_AUDIT",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "GUARDIAN_VIEW_RECORDS",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "accessRequestCounter",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "admin", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "adminActionApprovals",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "adminActionNonces",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "adminList", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "adminQuorum",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "admins", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "approveAccessRequest",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "auditTrails",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "categoryPermissions",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "denyAccessRequest",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "doctorApplicants",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "doctorCredentials",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "emergencyAccessCounter",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "emergencyAccesses",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "emergencyMode",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "extendAccess",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "extensions", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "getAccessRequest",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getDoctorAccessRequests",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getPatientGrants",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getPendingAccessRequests",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "latestEmergencyAccess",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "patientAuditTrails",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "patientRecords",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "pendingAdmin",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "pendingEmergencyReviews",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "permissions",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "recordCounter",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "recordPermissions",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "recordProposalCounter",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "records", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "requestAccess",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "systemAuditTrail",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "users", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "verifiers", data: BytesLike): Result;
+}
+
+export namespace AccessExtendedEvent {
+  export type InputTuple = [
+    patient: AddressLike,
+    doctor: AddressLike,
+    grantIndex: BigNumberish,
+    expiresAt: BigNumberish
+  ];
+  export type OutputTuple = [
+    patient: string,
+    doctor: string,
+    grantIndex: bigint,
+    expiresAt: bigint
+  ];
+  export interface OutputObject {
+    patient: string;
+    doctor: string;
+    grantIndex: bigint;
+    expiresAt: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace AccessGrantedEvent {
+  export type InputTuple = [
+    patient: AddressLike,
+    doctor: AddressLike,
+    expiresAt: BigNumberish
+  ];
+  export type OutputTuple = [
+    patient: string,
+    doctor: string,
+    expiresAt: bigint
+  ];
+  export interface OutputObject {
+    patient: string;
+    doctor: string;
+    expiresAt: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace AccessRequestApprovedEvent {
+  export type InputTuple = [
+    requestId: BigNumberish,
+    patient: AddressLike,
+    doctor: AddressLike
+  ];
+  export type OutputTuple = [
+    requestId: bigint,
+    patient: string,
+    doctor: string
+  ];
+  export interface OutputObject {
+    requestId: bigint;
+    patient: string;
+    doctor: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace AccessRequestDeniedEvent {
+  export type InputTuple = [
+    requestId: BigNumberish,
+    patient: AddressLike,
+    doctor: AddressLike,
+    reason: string
+  ];
+  export type OutputTuple = [
+    requestId: bigint,
+    patient: string,
+    doctor: string,
+    reason: string
+  ];
+  export interface OutputObject {
+    requestId: bigint;
+    patient: string;
+    doctor: string;
+    reason: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace AccessRequestedEvent {
+  export type InputTuple = [
+    requestId: BigNumberish,
+    patient: AddressLike,
+    doctor: AddressLike,
+    duration: BigNumberish,
+    purpose: string
+  ];
+  export type OutputTuple = [
+    requestId: bigint,
+    patient: string,
+    doctor: string,
+    duration: bigint,
+    purpose: string
+  ];
+  export interface OutputObject {
+    requestId: bigint;
+    patient: string;
+    doctor: string;
+    duration: bigint;
+    purpose: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace AccessRevokedEvent {
+  export type InputTuple = [patient: AddressLike, doctor: AddressLike];
+  export type OutputTuple = [patient: string, doctor: string];
+  export interface OutputObject {
+    patient: string;
+    doctor: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace AdminActionApprovedEvent {
+  export type InputTuple = [
+    actionId: BytesLike,
+    action: string,
+    target: AddressLike,
+    value: BigNumberish,
+    approver: AddressLike,
+    approvals: BigNumberish,
+    required: BigNumberish
+  ];
+  export type OutputTuple = [
+    actionId: string,
+    action: string,
+    target: string,
+    value: bigint,
+    approver: string,
+    approvals: bigint,
+    required: bigint
+  ];
+  export interface OutputObject {
+    actionId: string;
+    action: string;
+    target: string;
+    value: bigint;
+    approver: string;
+    approvals: bigint;
+    required: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace AdminActionExecutedEvent {
+  export type InputTuple = [
+    actionId: BytesLike,
+    action: string,
+    target: AddressLike,
+    value: BigNumberish
+  ];
+  export type OutputTuple = [
+    actionId: string,
+    action: string,
+    target: string,
+    value: bigint
+  ];
+  export interface OutputObject {
+    actionId: string;
+    action: string;
+    target: string;
+    value: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace AdminAddedEvent {
+  export type InputTuple = [account: AddressLike];
+  export type OutputTuple = [account: string];
+  export interface OutputObject {
+    account: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace AdminQuorumChangedEvent {
+  export type InputTuple = [quorum: BigNumberish];
+  export type OutputTuple = [quorum: bigint];
+  export interface OutputObject {
+    quorum: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace AdminRemovedEvent {
+  export type InputTuple = [account: AddressLike];
+  export type OutputTuple = [account: string];
+  export interface OutputObject {
+    account: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace AdminTransferStartedEvent {
+  export type InputTuple = [
+    currentAdmin: AddressLike,
+    pendingAdmin: AddressLike
+  ];
+  export type OutputTuple = [currentAdmin: string, pendingAdmin: string];
+  export interface OutputObject {
+    currentAdmin: string;
+    pendingAdmin: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace AdminTransferredEvent {
+  export type InputTuple = [previousAdmin: AddressLike, newAdmin: AddressLike];
+  export type OutputTuple = [previousAdmin: string, newAdmin: string];
+  export interface OutputObject {
+    previousAdmin: string;
+    newAdmin: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace CategoryAccessGrantedEvent {
+  export type InputTuple = [
+    patient: AddressLike,
+    doctor: AddressLike,
+    recordType: string,
+    expiresAt: BigNumberish
+  ];
+  export type OutputTuple = [
+    patient: string,
+    doctor: string,
+    recordType: string,
+    expiresAt: bigint
+  ];
+  export interface OutputObject {
+    patient: string;
+    doctor: string;
+    recordType: string;
+    expiresAt: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace CategoryAccessRevokedEvent {
+  export type InputTuple = [
+    patient: AddressLike,
+    doctor: AddressLike,
+    recordType: string
+  ];
+  export type OutputTuple = [
+    patient: string,
+    doctor: string,
+    recordType: string
+  ];
+  export interface OutputObject {
+    patient: string;
+    doctor: string;
+    recordType: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace DoctorApplicationSubmittedEvent {
+  export type InputTuple = [
+    doctor: AddressLike,
+    licenseNumber: string,
+    issuingAuthority: string
+  ];
+  export type OutputTuple = [
+    doctor: string,
+    licenseNumber: string,
+    issuingAuthority: string
+  ];
+  export interface OutputObject {
+    doctor: string;
+    licenseNumber: string;
+    issuingAuthority: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace DoctorRejectedEvent {
+  export type InputTuple = [
+    doctor: AddressLike,
+    verifier: AddressLike,
+    reason: string
+  ];
+  export type OutputTuple = [doctor: string, verifier: string, reason: string];
+  export interface OutputObject {
+    doctor: string;
+    verifier: string;
+    reason: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace DoctorVerifiedEvent {
+  export type InputTuple = [doctor: AddressLike, verifier: AddressLike];
+  export type OutputTuple = [doctor: string, verifier: string];
+  export interface OutputObject {
+    doctor: string;
+    verifier: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace EmergencyAccessInvokedEvent {
+  export type InputTuple = [
+    accessId: BigNumberish,
+    patient: AddressLike,
+    doctor: AddressLike,
+    expiresAt: BigNumberish,
+    justification: string
+  ];
+  export type OutputTuple = [
+    accessId: bigint,
+    patient: string,
+    doctor: string,
+    expiresAt: bigint,
+    justification: string
+  ];
+  export interface OutputObject {
+    accessId: bigint;
+    patient: string;
+    doctor: string;
+    expiresAt: bigint;
+    justification: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace EmergencyAccessReviewedEvent {
+  export type InputTuple = [
+    accessId: BigNumberish,
+    reviewer: AddressLike,
+    justified: boolean,
+    notes: string
+  ];
+  export type OutputTuple = [
+    accessId: bigint,
+    reviewer: string,
+    justified: boolean,
+    notes: string
+  ];
+  export interface OutputObject {
+    accessId: bigint;
+    reviewer: string;
+    justified: boolean;
+    notes: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace EmergencyModeToggledEvent {
+  export type InputTuple = [status: boolean];
+  export type OutputTuple = [status: boolean];
+  export interface OutputObject {
+    status: boolean;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace EncryptionKeySetEvent {
+  export type InputTuple = [user: AddressLike];
+  export type OutputTuple = [user: string];
+  export interface OutputObject {
+    user: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace ExtensionRoutedEvent {
+  export type InputTuple = [extension: AddressLike, selectors: BytesLike[]];
+  export type OutputTuple = [extension: string, selectors: string[]];
+  export interface OutputObject {
+    extension: string;
+    selectors: string[];
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace FileMismatchReportedEvent {
+  export type InputTuple = [
+    recordId: BigNumberish,
+    reporter: AddressLike,
+    details: string
+  ];
+  export type OutputTuple = [
+    recordId: bigint,
+    reporter: string,
+    details: string
+  ];
+  export interface OutputObject {
+    recordId: bigint;
+    reporter: string;
+    details: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace GuardianAppointedEvent {
+  export type InputTuple = [
+    patient: AddressLike,
+    guardian: AddressLike,
+    powers: BigNumberish
+  ];
+  export type OutputTuple = [patient: string, guardian: string, powers: bigint];
+  export interface OutputObject {
+    patient: string;
+    guardian: string;
+    powers: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace GuardianRemovedEvent {
+  export type InputTuple = [patient: AddressLike, guardian: AddressLike];
+  export type OutputTuple = [patient: string, guardian: string];
+  export interface OutputObject {
+    patient: string;
+    guardian: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace OrganizationCreatedEvent {
+  export type InputTuple = [
+    organization: AddressLike,
+    name: string,
+    owner: AddressLike
+  ];
+  export type OutputTuple = [organization: string, name: string, owner: string];
+  export interface OutputObject {
+    organization: string;
+    name: string;
+    owner: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace OrganizationMemberAddedEvent {
+  export type InputTuple = [organization: AddressLike, doctor: AddressLike];
+  export type OutputTuple = [organization: string, doctor: string];
+  export interface OutputObject {
+    organization: string;
+    doctor: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace OrganizationMemberRemovedEvent {
+  export type InputTuple = [organization: AddressLike, doctor: AddressLike];
+  export type OutputTuple = [organization: string, doctor: string];
+  export interface OutputObject {
+    organization: string;
+    doctor: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace OrganizationOwnerChangedEvent {
+  export type InputTuple = [organization: AddressLike, owner: AddressLike];
+  export type OutputTuple = [organization: string, owner: string];
+  export interface OutputObject {
+    organization: string;
+    owner: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RecordAccessGrantedEvent {
+  export type InputTuple = [
+    patient: AddressLike,
+    doctor: AddressLike,
+    recordId: BigNumberish,
+    expiresAt: BigNumberish
+  ];
+  export type OutputTuple = [
+    patient: string,
+    doctor: string,
+    recordId: bigint,
+    expiresAt: bigint
+  ];
+  export interface OutputObject {
+    patient: string;
+    doctor: string;
+    recordId: bigint;
+    expiresAt: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RecordAccessRevokedEvent {
+  export type InputTuple = [
+    patient: AddressLike,
+    doctor: AddressLike,
+    recordId: BigNumberish
+  ];
+  export type OutputTuple = [patient: string, doctor: string, recordId: bigint];
+  export interface OutputObject {
+    patient: string;
+    doctor: string;
+    recordId: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RecordAccessedEvent {
+  export type InputTuple = [accessor: AddressLike, recordId: BigNumberish];
+  export type OutputTuple = [accessor: string, recordId: bigint];
+  export interface OutputObject {
+    accessor: string;
+    recordId: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RecordAmendedEvent {
+  export type InputTuple = [
+    recordId: BigNumberish,
+    patient: AddressLike,
+    version: BigNumberish,
+    reason: string
+  ];
+  export type OutputTuple = [
+    recordId: bigint,
+    patient: string,
+    version: bigint,
+    reason: string
+  ];
+  export interface OutputObject {
+    recordId: bigint;
+    patient: string;
+    version: bigint;
+    reason: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RecordArchivedEvent {
+  export type InputTuple = [
+    recordId: BigNumberish,
+    patient: AddressLike,
+    reason: string
+  ];
+  export type OutputTuple = [recordId: bigint, patient: string, reason: string];
+  export interface OutputObject {
+    recordId: bigint;
+    patient: string;
+    reason: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RecordCreatedEvent {
+  export type InputTuple = [
+    recordId: BigNumberish,
+    patient: AddressLike,
+    recordType: string
+  ];
+  export type OutputTuple = [
+    recordId: bigint,
+    patient: string,
+    recordType: string
+  ];
+  export interface OutputObject {
+    recordId: bigint;
+    patient: string;
+    recordType: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RecordKeySharedEvent {
+  export type InputTuple = [recordId: BigNumberish, reader: AddressLike];
+  export type OutputTuple = [recordId: bigint, reader: string];
+  export interface OutputObject {
+    recordId: bigint;
+    reader: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RecordProposalAcceptedEvent {
+  export type InputTuple = [proposalId: BigNumberish, recordId: BigNumberish];
+  export type OutputTuple = [proposalId: bigint, recordId: bigint];
+  export interface OutputObject {
+    proposalId: bigint;
+    recordId: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RecordProposalRejectedEvent {
+  export type InputTuple = [proposalId: BigNumberish, reason: string];
+  export type OutputTuple = [proposalId: bigint, reason: string];
+  export interface OutputObject {
+    proposalId: bigint;
+    reason: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RecordProposedEvent {
+  export type InputTuple = [
+    proposalId: BigNumberish,
+    patient: AddressLike,
+    doctor: AddressLike,
+    recordType: string
+  ];
+  export type OutputTuple = [
+    proposalId: bigint,
+    patient: string,
+    doctor: string,
+    recordType: string
+  ];
+  export interface OutputObject {
+    proposalId: bigint;
+    patient: string;
+    doctor: string;
+    recordType: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RecordRestoredEvent {
+  export type InputTuple = [recordId: BigNumberish, patient: AddressLike];
+  export type OutputTuple = [recordId: bigint, patient: string];
+  export interface OutputObject {
+    recordId: bigint;
+    patient: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RelayerUpdatedEvent {
+  export type InputTuple = [relayer: AddressLike, enabled: boolean];
+  export type OutputTuple = [relayer: string, enabled: boolean];
+  export interface OutputObject {
+    relayer: string;
+    enabled: boolean;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RequestRelayedEvent {
+  export type InputTuple = [
+    signer: AddressLike,
+    relayer: AddressLike,
+    nonce: BigNumberish
+  ];
+  export type OutputTuple = [signer: string, relayer: string, nonce: bigint];
+  export interface OutputObject {
+    signer: string;
+    relayer: string;
+    nonce: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace UpgradedEvent {
+  export type InputTuple = [implementation: AddressLike];
+  export type OutputTuple = [implementation: string];
+  export interface OutputObject {
+    implementation: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace UserRegisteredEvent {
+  export type InputTuple = [
+    userAddress: AddressLike,
+    name: string,
+    role: BigNumberish
+  ];
+  export type OutputTuple = [userAddress: string, name: string, role: bigint];
+  export interface OutputObject {
+    userAddress: string;
+    name: string;
+    role: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace VerifierUpdatedEvent {
+  export type InputTuple = [verifier: AddressLike, enabled: boolean];
+  export type OutputTuple = [verifier: string, enabled: boolean];
+  export interface OutputObject {
+    verifier: string;
+    enabled: boolean;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export interface MedChainAccess extends BaseContract {
+  connect(runner?: ContractRunner | null): MedChainAccess;
+  waitForDeployment(): Promise<this>;
+
+  interface: MedChainAccessInterface;
+
+  queryFilter<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+  queryFilter<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+
+  on<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  on<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  once<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  once<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  listeners<TCEvent extends TypedContractEvent>(
+    event: TCEvent
+  ): Promise<Array<TypedListener<TCEvent>>>;
+  listeners(eventName?: string): Promise<Array<Listener>>;
+  removeAllListeners<TCEvent extends TypedContractEvent>(
+    event?: TCEvent
+  ): Promise<this>;
+
+  EMERGENCY_ACCESS_DURATION: TypedContractMethod<[], [bigint], "view">;
+
+  GUARDIAN_CREATE_RECORDS: TypedContractMethod<[], [bigint], "view">;
+
+  GUARDIAN_MANAGE_ACCESS: TypedContractMethod<[], [bigint], "view">;
+
+  GUARDIAN_VIEW_AUDIT: TypedContractMethod<[], [bigint], "view">;
+
+  GUARDIAN_VIEW_RECORDS: TypedContractMethod<[], [bigint], "view">;
+
+  accessRequestCounter: TypedContractMethod<[], [bigint], "view">;
+
+  admin: TypedContractMethod<[], [string], "view">;
+
+  adminActionApprovals: TypedContractMethod<
+    [arg0: BytesLike, arg1: AddressLike],
+    [boolean],
+    "view"
+  >;
+
+  adminActionNonces: TypedContractMethod<[arg0: BytesLike], [bigint], "view">;
+
+  adminList: TypedContractMethod<[arg0: BigNumberish], [string], "view">;
+
+  adminQuorum: TypedContractMethod<[], [bigint], "view">;
+
+  admins: TypedContractMethod<[arg0: AddressLike], [boolean], "view">;
+
+  approveAccessRequest: TypedContractMethod<
+    [_requestId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  auditTrails: TypedContractMethod<
+    [arg0: AddressLike, arg1: BigNumberish],
+    [
+      [string, string, bigint, bigint, string, bigint, string] & {
+        accessor: string;
+        patient: string;
+        recordId: bigint;
+        timestamp: bigint;
+        action: string;
+        actorType: bigint;
+        reason: string;
+      }
+    ],
+    "view"
+  >;
+
+  categoryPermissions: TypedContractMethod<
+    [arg0: AddressLike, arg1: AddressLike, arg2: BytesLike],
+    [
+      [string, bigint, bigint, boolean, string] & {
+        doctorAddress: string;
+        grantedAt: bigint;
+        expiresAt: bigint;
+        isActive: boolean;
+        purpose: string;
+      }
+    ],
+    "view"
+  >;
+
+  denyAccessRequest: TypedContractMethod<
+    [_requestId: BigNumberish, _reason: string],
+    [void],
+    "nonpayable"
+  >;
+
+  doctorApplicants: TypedContractMethod<[arg0: BigNumberish], [string], "view">;
+
+  doctorCredentials: TypedContractMethod<
+    [arg0: AddressLike],
+    [
+      [string, string, string, bigint, bigint, string, bigint, string] & {
+        licenseNumber: string;
+        issuingAuthority: string;
+        specialty: string;
+        status: bigint;
+        submittedAt: bigint;
+        reviewedBy: string;
+        reviewedAt: bigint;
+        rejectionReason: string;
+      }
+    ],
+    "view"
+  >;
+
+  emergencyAccessCounter: TypedContractMethod<[], [bigint], "view">;
+
+  emergencyAccesses: TypedContractMethod<
+    [arg0: BigNumberish],
+    [
+      [
+        string,
+        string,
+        string,
+        bigint,
+        bigint,
+        boolean,
+        boolean,
+        string,
+        string
+      ] & {
+        doctor: string;
+        patient: string;
+        justification: string;
+        invokedAt: bigint;
+        expiresAt: bigint;
+        reviewed: boolean;
+        justified: boolean;
+        reviewedBy: string;
+        reviewNotes: string;
+      }
+    ],
+    "view"
+  >;
+
+  emergencyMode: TypedContractMethod<[], [boolean], "view">;
+
+  extendAccess: TypedContractMethod<
+    [_grantIndex: BigNumberish, _extraDuration: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  extensions: TypedContractMethod<[arg0: BytesLike], [string], "view">;
+
+  getAccessRequest: TypedContractMethod<
+    [_requestId: BigNumberish],
+    [MedChainBase.AccessRequestStructOutput],
+    "view"
+  >;
+
+  getDoctorAccessRequests: TypedContractMethod<
+    [_doctor: AddressLike],
+    [bigint[]],
+    "view"
+  >;
+
+  getPatientGrants: TypedContractMethod<
+    [_patient: AddressLike],
+    [
+      [
+        MedChainBase.GrantEntryStructOutput[],
+        MedChainBase.AccessPermissionStructOutput[]
+      ] & {
+        grants: MedChainBase.GrantEntryStructOutput[];
+        grantPermissions: MedChainBase.AccessPermissionStructOutput[];
+      }
+    ],
+    "view"
+  >;
+
+  getPendingAccessRequests: TypedContractMethod<
+    [_patient: AddressLike],
+    [bigint[]],
+    "view"
+  >;
+
+  latestEmergencyAccess: TypedContractMethod<
+    [arg0: AddressLike, arg1: AddressLike],
+    [bigint],
+    "view"
+  >;
+
+  patientAuditTrails: TypedContractMethod<
+    [arg0: AddressLike, arg1: BigNumberish],
+    [
+      [string, string, bigint, bigint, string, bigint, string] & {
+        accessor: string;
+        patient: string;
+        recordId: bigint;
+        timestamp: bigint;
+        action: string;
+        actorType: bigint;
+        reason: string;
+      }
+    ],
+    "view"
+  >;
+
+  patientRecords: TypedContractMethod<
+    [arg0: AddressLike, arg1: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  pendingAdmin: TypedContractMethod<[], [string], "view">;
+
+  pendingEmergencyReviews: TypedContractMethod<
+    [arg0: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  permissions: TypedContractMethod<
+    [arg0: AddressLike, arg1: AddressLike],
+    [
+      [string, bigint, bigint, boolean, string] & {
+        doctorAddress: string;
+        grantedAt: bigint;
+        expiresAt: bigint;
+        isActive: boolean;
+        purpose: string;
+      }
+    ],
+    "view"
+  >;
+
+  recordCounter: TypedContractMethod<[], [bigint], "view">;
+
+  recordPermissions: TypedContractMethod<
+    [arg0: AddressLike, arg1: AddressLike, arg2: BigNumberish],
+    [
+      [string, bigint, bigint, boolean, string] & {
+        doctorAddress: string;
+        grantedAt: bigint;
+        expiresAt: bigint;
+        isActive: boolean;
+        purpose: string;
+      }
+    ],
+    "view"
+  >;
+
+  recordProposalCounter: TypedContractMethod<[], [bigint], "view">;
+
+  records: TypedContractMethod<
+    [arg0: BigNumberish],
+    [
+      [
+        bigint,
+        string,
+        string,
+        string,
+        string,
+        bigint,
+        boolean,
+        bigint,
+        boolean,
+        string,
+        MedChainBase.RecordFileStructOutput
+      ] & {
+        recordId: bigint;
+        patientAddress: string;
+        ipfsHash: string;
+        recordType: string;
+        description: string;
+        timestamp: bigint;
+        exists: boolean;
+        version: bigint;
+        archived: boolean;
+        author: string;
+        file: MedChainBase.RecordFileStructOutput;
+      }
+    ],
+    "view"
+  >;
+
+  requestAccess: TypedContractMethod<
+    [_patient: AddressLike, _purpose: string, _duration: BigNumberish],
+    [bigint],
+    "nonpayable"
+  >;
+
+  systemAuditTrail: TypedContractMethod<
+    [arg0: BigNumberish],
+    [
+      [string, string, bigint, bigint, string, bigint, string] & {
+        accessor: string;
+        patient: string;
+        recordId: bigint;
+        timestamp: bigint;
+        action: string;
+        actorType: bigint;
+        reason: string;
+      }
+    ],
+    "view"
+  >;
+
+  users: TypedContractMethod<
+    [arg0: AddressLike],
+    [
+      [string, string, bigint, boolean, bigint] & {
+        userAddress: string;
+        name: string;
+        role: bigint;
+        isRegistered: boolean;
+        registrationTime: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  verifiers: TypedContractMethod<[arg0: AddressLike], [boolean], "view">;
+
+  getFunction<T extends ContractMethod = ContractMethod>(
+    key: string | FunctionFragment
+  ): T;
+
+  getFunction(
+    nameOrSignature: "EMERGENCY_ACCESS_DURATION"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "GUARDIAN_CREATE_RECORDS"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "GUARDIAN_MANAGE_ACCESS"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "GUARDIAN_VIEW_AUDIT"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "GUARDIAN_VIEW_RECORDS"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "accessRequestCounter"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "admin"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "adminActionApprovals"
+  ): TypedContractMethod<
+    [arg0: BytesLike, arg1: AddressLike],
+    [boolean],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "adminActionNonces"
+  ): TypedContractMethod<[arg0: BytesLike], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "adminList"
+  ): TypedContractMethod<[arg0: BigNumberish], [string], "view">;
+  getFunction(
+    nameOrSignature: "adminQuorum"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "admins"
+  ): TypedContractMethod<[arg0: AddressLike], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "approveAccessRequest"
+  ): TypedContractMethod<[_requestId: BigNumberish], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "auditTrails"
+  ): TypedContractMethod<
+    [arg0: AddressLike, arg1: BigNumberish],
+    [
+      [string, string, bigint, bigint, string, bigint, string] & {
+        accessor: string;
+        patient: string;
+        recordId: bigint;
+        timestamp: bigint;
+        action: string;
+        actorType: bigint;
+        reason: string;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "categoryPermissions"
+  ): TypedContractMethod<
+    [arg0: AddressLike, arg1: AddressLike, arg2: BytesLike],
+    [
+      [string, bigint, bigint, boolean, string] & {
+        doctorAddress: string;
+        grantedAt: bigint;
+        expiresAt: bigint;
+        isActive: boolean;
+        purpose: string;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "denyAccessRequest"
+  ): TypedContractMethod<
+    [_requestId: BigNumberish, _reason: string],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "doctorApplicants"
+  ): TypedContractMethod<[arg0: BigNumberish], [string], "view">;
+  getFunction(
+    nameOrSignature: "doctorCredentials"
+  ): TypedContractMethod<
+    [arg0: AddressLike],
+    [
+      [string, string, string, bigint, bigint, string, bigint, string] & {
+        licenseNumber: string;
+        issuingAuthority: string;
+        specialty: string;
+        status: bigint;
+        submittedAt: bigint;
+        reviewedBy: string;
+        reviewedAt: bigint;
+        rejectionReason: string;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "emergencyAccessCounter"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "emergencyAccesses"
+  ): TypedContractMethod<
+    [arg0: BigNumberish],
+    [
+      [
+        string,
+        string,
+        string,
+        bigint,
+        bigint,
+        boolean,
+        boolean,
+        string,
+        string
+      ] & {
+        doctor: string;
+        patient: string;
+        justification: string;
+        invokedAt: bigint;
+        expiresAt: bigint;
+        reviewed: boolean;
+        justified: boolean;
+        reviewedBy: string;
+        reviewNotes: string;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "emergencyMode"
+  ): TypedContractMethod<[], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "extendAccess"
+  ): TypedContractMethod<
+    [_grantIndex: BigNumberish, _extraDuration: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "extensions"
+  ): TypedContractMethod<[arg0: BytesLike], [string], "view">;
+  getFunction(
+    nameOrSignature: "getAccessRequest"
+  ): TypedContractMethod<
+    [_requestId: BigNumberish],
+    [MedChainBase.AccessRequestStructOutput],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getDoctorAccessRequests"
+  ): TypedContractMethod<[_doctor: AddressLike], [bigint[]], "view">;
+  getFunction(
+    nameOrSignature: "getPatientGrants"
+  ): TypedContractMethod<
+    [_patient: AddressLike],
+    [
+      [
+        MedChainBase.GrantEntryStructOutput[],
+        MedChainBase.AccessPermissionStructOutput[]
+      ] & {
+        grants: MedChainBase.GrantEntryStructOutput[];
+        grantPermissions: MedChainBase.AccessPermissionStructOutput[];
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getPendingAccessRequests"
+  ): TypedContractMethod<[_patient: AddressLike], [bigint[]], "view">;
+  getFunction(
+    nameOrSignature: "latestEmergencyAccess"
+  ): TypedContractMethod<
+    [arg0: AddressLike, arg1: AddressLike],
+    [bigint],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "patientAuditTrails"
+  ): TypedContractMethod<
+    [arg0: AddressLike, arg1: BigNumberish],
+    [
+      [string, string, bigint, bigint, string, bigint, string] & {
+        accessor: string;
+        patient: string;
+        recordId: bigint;
+        timestamp: bigint;
+        action: string;
+        actorType: bigint;
+        reason: string;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "patientRecords"
+  ): TypedContractMethod<
+    [arg0: AddressLike, arg1: BigNumberish],
+    [bigint],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "pendingAdmin"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "pendingEmergencyReviews"
+  ): TypedContractMethod<[arg0: BigNumberish], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "permissions"
+  ): TypedContractMethod<
+    [arg0: AddressLike, arg1: AddressLike],
+    [
+      [string, bigint, bigint, boolean, string] & {
+        doctorAddress: string;
+        grantedAt: bigint;
+        expiresAt: bigint;
+        isActive: boolean;
+        purpose: string;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "recordCounter"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "recordPermissions"
+  ): TypedContractMethod<
+    [arg0: AddressLike, arg1: AddressLike, arg2: BigNumberish],
+    [
+      [string, bigint, bigint, boolean, string] & {
+        doctorAddress: string;
+        grantedAt: bigint;
+        expiresAt: bigint;
+        isActive: boolean;
+        purpose: string;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "recordProposalCounter"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "records"
+  ): TypedContractMethod<
+    [arg0: BigNumberish],
+    [
+      [
+        bigint,
+        string,
+        string,
+        string,
+        string,
+        bigint,
+        boolean,
+        bigint,
+        boolean,
+        string,
+        MedChainBase.RecordFileStructOutput
+      ] & {
+        recordId: bigint;
+        patientAddress: string;
+        ipfsHash: string;
+        recordType: string;
+        description: string;
+        timestamp: bigint;
+        exists: boolean;
+        version: bigint;
+        archived: boolean;
+        author: string;
+        file: MedChainBase.RecordFileStructOutput;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "requestAccess"
+  ): TypedContractMethod<
+    [_patient: AddressLike, _purpose: string, _duration: BigNumberish],
+    [bigint],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "systemAuditTrail"
+  ): TypedContractMethod<
+    [arg0: BigNumberish],
+    [
+      [string, string, bigint, bigint, string, bigint, string] & {
+        accessor: string;
+        patient: string;
+        recordId: bigint;
+        timestamp: bigint;
+        action: string;
+        actorType: bigint;
+        reason: string;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "users"
+  ): TypedContractMethod<
+    [arg0: AddressLike],
+    [
+      [string, string, bigint, boolean, bigint] & {
+        userAddress: string;
+        name: string;
+        role: bigint;
+        isRegistered: boolean;
+        registrationTime: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "verifiers"
+  ): TypedContractMethod<[arg0: AddressLike], [boolean], "view">;
+
+  getEvent(
+    key: "AccessExtended"
+  ): TypedContractEvent<
+    AccessExtendedEvent.InputTuple,
+    AccessExtendedEvent.OutputTuple,
+    AccessExtendedEvent.OutputObject
+  >;
+  getEvent(
+    key: "AccessGranted"
+  ): TypedContractEvent<
+    AccessGrantedEvent.InputTuple,
+    AccessGrantedEvent.OutputTuple,
+    AccessGrantedEvent.OutputObject
+  >;
+  getEvent(
+    key: "AccessRequestApproved"
+  ): TypedContractEvent<
+    AccessRequestApprovedEvent.InputTuple,
+    AccessRequestApprovedEvent.OutputTuple,
+    AccessRequestApprovedEvent.OutputObject
+  >;
+  getEvent(
+    key: "AccessRequestDenied"
+  ): TypedContractEvent<
+    AccessRequestDeniedEvent.InputTuple,
+    AccessRequestDeniedEvent.OutputTuple,
+    AccessRequestDeniedEvent.OutputObject
+  >;
+  getEvent(
+    key: "AccessRequested"
+  ): TypedContractEvent<
+    AccessRequestedEvent.InputTuple,
+    AccessRequestedEvent.OutputTuple,
+    AccessRequestedEvent.OutputObject
+  >;
+  getEvent(
+    key: "AccessRevoked"
+  ): TypedContractEvent<
+    AccessRevokedEvent.InputTuple,
+    AccessRevokedEvent.OutputTuple,
+    AccessRevokedEvent.OutputObject
+  >;
+  getEvent(
+    key: "AdminActionApproved"
+  ): TypedContractEvent<
+    AdminActionApprovedEvent.InputTuple,
+    AdminActionApprovedEvent.OutputTuple,
+    AdminActionApprovedEvent.OutputObject
+  >;
+  getEvent(
+    key: "AdminActionExecuted"
+  ): TypedContractEvent<
+    AdminActionExecutedEvent.InputTuple,
+    AdminActionExecutedEvent.OutputTuple,
+    AdminActionExecutedEvent.OutputObject
+  >;
+  getEvent(
+    key: "AdminAdded"
+  ): TypedContractEvent<
+    AdminAddedEvent.InputTuple,
+    AdminAddedEvent.OutputTuple,
+    AdminAddedEvent.OutputObject
+  >;
+  getEvent(
+    key: "AdminQuorumChanged"
+  ): TypedContractEvent<
+    AdminQuorumChangedEvent.InputTuple,
+    AdminQuorumChangedEvent.OutputTuple,
+    AdminQuorumChangedEvent.OutputObject
+  >;
+  getEvent(
+    key: "AdminRemoved"
+  ): TypedContractEvent<
+    AdminRemovedEvent.InputTuple,
+    AdminRemovedEvent.OutputTuple,
+    AdminRemovedEvent.OutputObject
+  >;
+  getEvent(
+    key: "AdminTransferStarted"
+  ): TypedContractEvent<
+    AdminTransferStartedEvent.InputTuple,
+    AdminTransferStartedEvent.OutputTuple,
+    AdminTransferStartedEvent.OutputObject
+  >;
+  getEvent(
+    key: "AdminTransferred"
+  ): TypedContractEvent<
+    AdminTransferredEvent.InputTuple,
+    AdminTransferredEvent.OutputTuple,
+    AdminTransferredEvent.OutputObject
+  >;
+  getEvent(
+    key: "CategoryAccessGranted"
+  ): TypedContractEvent<
+    CategoryAccessGrantedEvent.InputTuple,
+    CategoryAccessGrantedEvent.OutputTuple,
+    CategoryAccessGrantedEvent.OutputObject
+  >;
+  getEvent(
+    key: "CategoryAccessRevoked"
+  ): TypedContractEvent<
+    CategoryAccessRevokedEvent.InputTuple,
+    CategoryAccessRevokedEvent.OutputTuple,
+    CategoryAccessRevokedEvent.OutputObject
+  >;
+  getEvent(
+    key: "DoctorApplicationSubmitted"
+  ): TypedContractEvent<
+    DoctorApplicationSubmittedEvent.InputTuple,
+    DoctorApplicationSubmittedEvent.OutputTuple,
+    DoctorApplicationSubmittedEvent.OutputObject
+  >;
+  getEvent(
+    key: "DoctorRejected"
+  ): TypedContractEvent<
+    DoctorRejectedEvent.InputTuple,
+    DoctorRejectedEvent.OutputTuple,
+    DoctorRejectedEvent.OutputObject
+  >;
+  getEvent(
+    key: "DoctorVerified"
+  ): TypedContractEvent<
+    DoctorVerifiedEvent.InputTuple,
+    DoctorVerifiedEvent.OutputTuple,
+    DoctorVerifiedEvent.OutputObject
+  >;
+  getEvent(
+    key: "EmergencyAccessInvoked"
+  ): TypedContractEvent<
+    EmergencyAccessInvokedEvent.InputTuple,
+    EmergencyAccessInvokedEvent.OutputTuple,
+    EmergencyAccessInvokedEvent.OutputObject
+  >;
+  getEvent(
+    key: "EmergencyAccessReviewed"
+  ): TypedContractEvent<
+    EmergencyAccessReviewedEvent.InputTuple,
+    EmergencyAccessReviewedEvent.OutputTuple,
+    EmergencyAccessReviewedEvent.OutputObject
+  >;
+  getEvent(
+    key: "EmergencyModeToggled"
+  ): TypedContractEvent<
+    EmergencyModeToggledEvent.InputTuple,
+    EmergencyModeToggledEvent.OutputTuple,
+    EmergencyModeToggledEvent.OutputObject
+  >;
+  getEvent(
+    key: "EncryptionKeySet"
+  ): TypedContractEvent<
+    EncryptionKeySetEvent.InputTuple,
+    EncryptionKeySetEvent.OutputTuple,
+    EncryptionKeySetEvent.OutputObject
+  >;
+  getEvent(
+    key: "ExtensionRouted"
+  ): TypedContractEvent<
+    ExtensionRoutedEvent.InputTuple,
+    ExtensionRoutedEvent.OutputTuple,
+    ExtensionRoutedEvent.OutputObject
+  >;
+  getEvent(
+    key: "FileMismatchReported"
+  ): TypedContractEvent<
+    FileMismatchReportedEvent.InputTuple,
+    FileMismatchReportedEvent.OutputTuple,
+    FileMismatchReportedEvent.OutputObject
+  >;
+  getEvent(
+    key: "GuardianAppointed"
+  ): TypedContractEvent<
+    GuardianAppointedEvent.InputTuple,
+    GuardianAppointedEvent.OutputTuple,
+    GuardianAppointedEvent.OutputObject
+  >;
+  getEvent(
+    key: "GuardianRemoved"
+  ): TypedContractEvent<
+    GuardianRemovedEvent.InputTuple,
+    GuardianRemovedEvent.OutputTuple,
+    GuardianRemovedEvent.OutputObject
+  >;
+  getEvent(
+    key: "OrganizationCreated"
+  ): TypedContractEvent<
+    OrganizationCreatedEvent.InputTuple,
+    OrganizationCreatedEvent.OutputTuple,
+    OrganizationCreatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "OrganizationMemberAdded"
+  ): TypedContractEvent<
+    OrganizationMemberAddedEvent.InputTuple,
+    OrganizationMemberAddedEvent.OutputTuple,
+    OrganizationMemberAddedEvent.OutputObject
+  >;
+  getEvent(
+    key: "OrganizationMemberRemoved"
+  ): TypedContractEvent<
+    OrganizationMemberRemovedEvent.InputTuple,
+    OrganizationMemberRemovedEvent.OutputTuple,
+    OrganizationMemberRemovedEvent.OutputObject
+  >;
+  getEvent(
+    key: "OrganizationOwnerChanged"
+  ): TypedContractEvent<
+    OrganizationOwnerChangedEvent.InputTuple,
+    OrganizationOwnerChangedEvent.OutputTuple,
+    OrganizationOwnerChangedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RecordAccessGranted"
+  ): TypedContractEvent<
+    RecordAccessGrantedEvent.InputTuple,
+    RecordAccessGrantedEvent.OutputTuple,
+    RecordAccessGrantedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RecordAccessRevoked"
+  ): TypedContractEvent<
+    RecordAccessRevokedEvent.InputTuple,
+    RecordAccessRevokedEvent.OutputTuple,
+    RecordAccessRevokedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RecordAccessed"
+  ): TypedContractEvent<
+    RecordAccessedEvent.InputTuple,
+    RecordAccessedEvent.OutputTuple,
+    RecordAccessedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RecordAmended"
+  ): TypedContractEvent<
+    RecordAmendedEvent.InputTuple,
+    RecordAmendedEvent.OutputTuple,
+    RecordAmendedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RecordArchived"
+  ): TypedContractEvent<
+    RecordArchivedEvent.InputTuple,
+    RecordArchivedEvent.OutputTuple,
+    RecordArchivedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RecordCreated"
+  ): TypedContractEvent<
+    RecordCreatedEvent.InputTuple,
+    RecordCreatedEvent.OutputTuple,
+    RecordCreatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RecordKeyShared"
+  ): TypedContractEvent<
+    RecordKeySharedEvent.InputTuple,
+    RecordKeySharedEvent.OutputTuple,
+    RecordKeySharedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RecordProposalAccepted"
+  ): TypedContractEvent<
+    RecordProposalAcceptedEvent.InputTuple,
+    RecordProposalAcceptedEvent.OutputTuple,
+    RecordProposalAcceptedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RecordProposalRejected"
+  ): TypedContractEvent<
+    RecordProposalRejectedEvent.InputTuple,
+    RecordProposalRejectedEvent.OutputTuple,
+    RecordProposalRejectedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RecordProposed"
+  ): TypedContractEvent<
+    RecordProposedEvent.InputTuple,
+    RecordProposedEvent.OutputTuple,
+    RecordProposedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RecordRestored"
+  ): TypedContractEvent<
+    RecordRestoredEvent.InputTuple,
+    RecordRestoredEvent.OutputTuple,
+    RecordRestoredEvent.OutputObject
+  >;
+  getEvent(
+    key: "RelayerUpdated"
+  ): TypedContractEvent<
+    RelayerUpdatedEvent.InputTuple,
+    RelayerUpdatedEvent.OutputTuple,
+    RelayerUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RequestRelayed"
+  ): TypedContractEvent<
+    RequestRelayedEvent.InputTuple,
+    RequestRelayedEvent.OutputTuple,
+    RequestRelayedEvent.OutputObject
+  >;
+  getEvent(
+    key: "Upgraded"
+  ): TypedContractEvent<
+    UpgradedEvent.InputTuple,
+    UpgradedEvent.OutputTuple,
+    UpgradedEvent.OutputObject
+  >;
+  getEvent(
+    key: "UserRegistered"
+  ): TypedContractEvent<
+    UserRegisteredEvent.InputTuple,
+    UserRegisteredEvent.OutputTuple,
+    UserRegisteredEvent.OutputObject
+  >;
+  getEvent(
+    key: "VerifierUpdated"
+  ): TypedContractEvent<
+    VerifierUpdatedEvent.InputTuple,
+    VerifierUpdatedEvent.OutputTuple,
+    VerifierUpdatedEvent.OutputObject
+  >;
+
+  filters: {
+    "AccessExtended(address,address,uint256,uint256)": TypedContractEvent<
+      AccessExtendedEvent.InputTuple,
+      AccessExtendedEvent.OutputTuple,
+      AccessExtendedEvent.OutputObject
+    >;
+    AccessExtended: TypedContractEvent<
+      AccessExtendedEvent.InputTuple,
+      AccessExtendedEvent.OutputTuple,
+      AccessExtendedEvent.OutputObject
+    >;
+
+    "AccessGranted(address,address,uint256)": TypedContractEvent<
+      AccessGrantedEvent.InputTuple,
+      AccessGrantedEvent.OutputTuple,
+      AccessGrantedEvent.OutputObject
+    >;
+    AccessGranted: TypedContractEvent<
+      AccessGrantedEvent.InputTuple,
+      AccessGrantedEvent.OutputTuple,
+      AccessGrantedEvent.OutputObject
+    >;
+
+    "AccessRequestApproved(uint256,address,address)": TypedContractEvent<
+      AccessRequestApprovedEvent.InputTuple,
+      AccessRequestApprovedEvent.OutputTuple,
+      AccessRequestApprovedEvent.OutputObject
+    >;
+    AccessRequestApproved: TypedContractEvent<
+      AccessRequestApprovedEvent.InputTuple,
+      AccessRequestApprovedEvent.OutputTuple,
+      AccessRequestApprovedEvent.OutputObject
+    >;
+
+    "AccessRequestDenied(uint256,address,address,string)": TypedContractEvent<
+      AccessRequestDeniedEvent.InputTuple,
+      AccessRequestDeniedEvent.OutputTuple,
+      AccessRequestDeniedEvent.OutputObject
+    >;
+    AccessRequestDenied: TypedContractEvent<
+      AccessRequestDeniedEvent.InputTuple,
+      AccessRequestDeniedEvent.OutputTuple,
+      AccessRequestDeniedEvent.OutputObject
+    >;
+
+    "AccessRequested(uint256,address,address,uint256,string)": TypedContractEvent<
+      AccessRequestedEvent.InputTuple,
+      AccessRequestedEvent.OutputTuple,
+      AccessRequestedEvent.OutputObject
+    >;
+    AccessRequested: TypedContractEvent<
+      AccessRequestedEvent.InputTuple,
+      AccessRequestedEvent.OutputTuple,
+      AccessRequestedEvent.OutputObject
+    >;
+
+    "AccessRevoked(address,address)": TypedContractEvent<
+      AccessRevokedEvent.InputTuple,
+      AccessRevokedEvent.OutputTuple,
+      AccessRevokedEvent.OutputObject
+    >;
+    AccessRevoked: TypedContractEvent<
+      AccessRevokedEvent.InputTuple,
+      AccessRevokedEvent.OutputTuple,
+      AccessRevokedEvent.OutputObject
+    >;
+
+    "AdminActionApproved(bytes32,string,address,uint256,address,uint256,uint256)": TypedContractEvent<
+      AdminActionApprovedEvent.InputTuple,
+      AdminActionApprovedEvent.OutputTuple,
+      AdminActionApprovedEvent.OutputObject
+    >;
+    AdminActionApproved: TypedContractEvent<
+      AdminActionApprovedEvent.InputTuple,
+      AdminActionApprovedEvent.OutputTuple,
+      AdminActionApprovedEvent.OutputObject
+    >;
+
+    "AdminActionExecuted(bytes32,string,address,uint256)": TypedContractEvent<
+      AdminActionExecutedEvent.InputTuple,
+      AdminActionExecutedEvent.OutputTuple,
+      AdminActionExecutedEvent.OutputObject
+    >;
+    AdminActionExecuted: TypedContractEvent<
+      AdminActionExecutedEvent.InputTuple,
+      AdminActionExecutedEvent.OutputTuple,
+      AdminActionExecutedEvent.OutputObject
+    >;
+
+    "AdminAdded(address)": TypedContractEvent<
+      AdminAddedEvent.InputTuple,
+      AdminAddedEvent.OutputTuple,
+      AdminAddedEvent.OutputObject
+    >;
+    AdminAdded: TypedContractEvent<
+      AdminAddedEvent.InputTuple,
+      AdminAddedEvent.OutputTuple,
+      AdminAddedEvent.OutputObject
+    >;
+
+    "AdminQuorumChanged(uint256)": TypedContractEvent<
+      AdminQuorumChangedEvent.InputTuple,
+      AdminQuorumChangedEvent.OutputTuple,
+      AdminQuorumChangedEvent.OutputObject
+    >;
+    AdminQuorumChanged: TypedContractEvent<
+      AdminQuorumChangedEvent.InputTuple,
+      AdminQuorumChangedEvent.OutputTuple,
+      AdminQuorumChangedEvent.OutputObject
+    >;
+
+    "AdminRemoved(address)": TypedContractEvent<
+      AdminRemovedEvent.InputTuple,
+      AdminRemovedEvent.OutputTuple,
+      AdminRemovedEvent.OutputObject
+    >;
+    AdminRemoved: TypedContractEvent<
+      AdminRemovedEvent.InputTuple,
+      AdminRemovedEvent.OutputTuple,
+      AdminRemovedEvent.OutputObject
+    >;
+
+    "AdminTransferStarted(address,address)": TypedContractEvent<
+      AdminTransferStartedEvent.InputTuple,
+      AdminTransferStartedEvent.OutputTuple,
+      AdminTransferStartedEvent.OutputObject
+    >;
+    AdminTransferStarted: TypedContractEvent<
+      AdminTransferStartedEvent.InputTuple,
+      AdminTransferStartedEvent.OutputTuple,
+      AdminTransferStartedEvent.OutputObject
+    >;
+
+    "AdminTransferred(address,address)": TypedContractEvent<
+      AdminTransferredEvent.InputTuple,
+      AdminTransferredEvent.OutputTuple,
+      AdminTransferredEvent.OutputObject
+    >;
+    AdminTransferred: TypedContractEvent<
+      AdminTransferredEvent.InputTuple,
+      AdminTransferredEvent.OutputTuple,
+      AdminTransferredEvent.OutputObject
+    >;
+
+    "CategoryAccessGranted(address,address,string,uint256)": TypedContractEvent<
+      CategoryAccessGrantedEvent.InputTuple,
+      CategoryAccessGrantedEvent.OutputTuple,
+      CategoryAccessGrantedEvent.OutputObject
+    >;
+    CategoryAccessGranted: TypedContractEvent<
+      CategoryAccessGrantedEvent.InputTuple,
+      CategoryAccessGrantedEvent.OutputTuple,
+      CategoryAccessGrantedEvent.OutputObject
+    >;
+
+    "CategoryAccessRevoked(address,address,string)": TypedContractEvent<
+      CategoryAccessRevokedEvent.InputTuple,
+      CategoryAccessRevokedEvent.OutputTuple,
+      CategoryAccessRevokedEvent.OutputObject
+    >;
+    CategoryAccessRevoked: TypedContractEvent<
+      CategoryAccessRevokedEvent.InputTuple,
+      CategoryAccessRevokedEvent.OutputTuple,
+      CategoryAccessRevokedEvent.OutputObject
+    >;
+
+    "DoctorApplicationSubmitted(address,string,string)": TypedContractEvent<
+      DoctorApplicationSubmittedEvent.InputTuple,
+      DoctorApplicationSubmittedEvent.OutputTuple,
+      DoctorApplicationSubmittedEvent.OutputObject
+    >;
+    DoctorApplicationSubmitted: TypedContractEvent<
+      DoctorApplicationSubmittedEvent.InputTuple,
+      DoctorApplicationSubmittedEvent.OutputTuple,
+      DoctorApplicationSubmittedEvent.OutputObject
+    >;
+
+    "DoctorRejected(address,address,string)": TypedContractEvent<
+      DoctorRejectedEvent.InputTuple,
+      DoctorRejectedEvent.OutputTuple,
+      DoctorRejectedEvent.OutputObject
+    >;
+    DoctorRejected: TypedContractEvent<
+      DoctorRejectedEvent.InputTuple,
+      DoctorRejectedEvent.OutputTuple,
+      DoctorRejectedEvent.OutputObject
+    >;
+
+    "DoctorVerified(address,address)": TypedContractEvent<
+      DoctorVerifiedEvent.InputTuple,
+      DoctorVerifiedEvent.OutputTuple,
+      DoctorVerifiedEvent.OutputObject
+    >;
+    DoctorVerified: TypedContractEvent<
+      DoctorVerifiedEvent.InputTuple,
+      DoctorVerifiedEvent.OutputTuple,
+      DoctorVerifiedEvent.OutputObject
+    >;
+
+    "EmergencyAccessInvoked(uint256,address,address,uint256,string)": TypedContractEvent<
+      EmergencyAccessInvokedEvent.InputTuple,
+      EmergencyAccessInvokedEvent.OutputTuple,
+      EmergencyAccessInvokedEvent.OutputObject
+    >;
+    EmergencyAccessInvoked: TypedContractEvent<
+      EmergencyAccessInvokedEvent.InputTuple,
+      EmergencyAccessInvokedEvent.OutputTuple,
+      EmergencyAccessInvokedEvent.OutputObject
+    >;
+
+    "EmergencyAccessReviewed(uint256,address,bool,string)": TypedContractEvent<
+      EmergencyAccessReviewedEvent.InputTuple,
+      EmergencyAccessReviewedEvent.OutputTuple,
+      EmergencyAccessReviewedEvent.OutputObject
+    >;
+    EmergencyAccessReviewed: TypedContractEvent<
+      EmergencyAccessReviewedEvent.InputTuple,
+      EmergencyAccessReviewedEvent.OutputTuple,
+      EmergencyAccessReviewedEvent.OutputObject
+    >;
+
+    "EmergencyModeToggled(bool)": TypedContractEvent<
+      EmergencyModeToggledEvent.InputTuple,
+      EmergencyModeToggledEvent.OutputTuple,
+      EmergencyModeToggledEvent.OutputObject
+    >;
+    EmergencyModeToggled: TypedContractEvent<
+      EmergencyModeToggledEvent.InputTuple,
+      EmergencyModeToggledEvent.OutputTuple,
+      EmergencyModeToggledEvent.OutputObject
+    >;
+
+    "EncryptionKeySet(address)": TypedContractEvent<
+      EncryptionKeySetEvent.InputTuple,
+      EncryptionKeySetEvent.OutputTuple,
+      EncryptionKeySetEvent.OutputObject
+    >;
+    EncryptionKeySet: TypedContractEvent<
+      EncryptionKeySetEvent.InputTuple,
+      EncryptionKeySetEvent.OutputTuple,
+      EncryptionKeySetEvent.OutputObject
+    >;
+
+    "ExtensionRouted(address,bytes4[])": TypedContractEvent<
+      ExtensionRoutedEvent.InputTuple,
+      ExtensionRoutedEvent.OutputTuple,
+      ExtensionRoutedEvent.OutputObject
+    >;
+    ExtensionRouted: TypedContractEvent<
+      ExtensionRoutedEvent.InputTuple,
+      ExtensionRoutedEvent.OutputTuple,
+      ExtensionRoutedEvent.OutputObject
+    >;
+
+    "FileMismatchReported(uint256,address,string)": TypedContractEvent<
+      FileMismatchReportedEvent.InputTuple,
+      FileMismatchReportedEvent.OutputTuple,
+      FileMismatchReportedEvent.OutputObject
+    >;
+    FileMismatchReported: TypedContractEvent<
+      FileMismatchReportedEvent.InputTuple,
+      FileMismatchReportedEvent.OutputTuple,
+      FileMismatchReportedEvent.OutputObject
+    >;
+
+    "GuardianAppointed(address,address,uint8)": TypedContractEvent<
+      GuardianAppointedEvent.InputTuple,
+      GuardianAppointedEvent.OutputTuple,
+      GuardianAppointedEvent.OutputObject
+    >;
+    GuardianAppointed: TypedContractEvent<
+      GuardianAppointedEvent.InputTuple,
+      GuardianAppointedEvent.OutputTuple,
+      GuardianAppointedEvent.OutputObject
+    >;
+
+    "GuardianRemoved(address,address)": TypedContractEvent<
+      GuardianRemovedEvent.InputTuple,
+      GuardianRemovedEvent.OutputTuple,
+      GuardianRemovedEvent.OutputObject
+    >;
+    GuardianRemoved: TypedContractEvent<
+      GuardianRemovedEvent.InputTuple,
+      GuardianRemovedEvent.OutputTuple,
+      GuardianRemovedEvent.OutputObject
+    >;
+
+    "OrganizationCreated(address,string,address)": TypedContractEvent<
+      OrganizationCreatedEvent.InputTuple,
+      OrganizationCreatedEvent.OutputTuple,
+      OrganizationCreatedEvent.OutputObject
+    >;
+    OrganizationCreated: TypedContractEvent<
+      OrganizationCreatedEvent.InputTuple,
+      OrganizationCreatedEvent.OutputTuple,
+      OrganizationCreatedEvent.OutputObject
+    >;
+
+    "OrganizationMemberAdded(address,address)": TypedContractEvent<
+      OrganizationMemberAddedEvent.InputTuple,
+      OrganizationMemberAddedEvent.OutputTuple,
+      OrganizationMemberAddedEvent.OutputObject
+    >;
+    OrganizationMemberAdded: TypedContractEvent<
+      OrganizationMemberAddedEvent.InputTuple,
+      OrganizationMemberAddedEvent.OutputTuple,
+      OrganizationMemberAddedEvent.OutputObject
+    >;
+
+    "OrganizationMemberRemoved(address,address)": TypedContractEvent<
+      OrganizationMemberRemovedEvent.InputTuple,
+      OrganizationMemberRemovedEvent.OutputTuple,
+      OrganizationMemberRemovedEvent.OutputObject
+    >;
+    OrganizationMemberRemoved: TypedContractEvent<
+      OrganizationMemberRemovedEvent.InputTuple,
+      OrganizationMemberRemovedEvent.OutputTuple,
+      OrganizationMemberRemovedEvent.OutputObject
+    >;
+
+    "OrganizationOwnerChanged(address,address)": TypedContractEvent<
+      OrganizationOwnerChangedEvent.InputTuple,
+      OrganizationOwnerChangedEvent.OutputTuple,
+      OrganizationOwnerChangedEvent.OutputObject
+    >;
+    OrganizationOwnerChanged: TypedContractEvent<
+      OrganizationOwnerChangedEvent.InputTuple,
+      OrganizationOwnerChangedEvent.OutputTuple,
+      OrganizationOwnerChangedEvent.OutputObject
+    >;
+
+    "RecordAccessGranted(address,address,uint256,uint256)": TypedContractEvent<
+      RecordAccessGrantedEvent.InputTuple,
+      RecordAccessGrantedEvent.OutputTuple,
+      RecordAccessGrantedEvent.OutputObject
+    >;
+    RecordAccessGranted: TypedContractEvent<
+      RecordAccessGrantedEvent.InputTuple,
+      RecordAccessGrantedEvent.OutputTuple,
+      RecordAccessGrantedEvent.OutputObject
+    >;
+
+    "RecordAccessRevoked(address,address,uint256)": TypedContractEvent<
+      RecordAccessRevokedEvent.InputTuple,
+      RecordAccessRevokedEvent.OutputTuple,
+      RecordAccessRevokedEvent.OutputObject
+    >;
+    RecordAccessRevoked: TypedContractEvent<
+      RecordAccessRevokedEvent.InputTuple,
+      RecordAccessRevokedEvent.OutputTuple,
+      RecordAccessRevokedEvent.OutputObject
+    >;
+
+    "RecordAccessed(address,uint256)": TypedContractEvent<
+      RecordAccessedEvent.InputTuple,
+      RecordAccessedEvent.OutputTuple,
+      RecordAccessedEvent.OutputObject
+    >;
+    RecordAccessed: TypedContractEvent<
+      RecordAccessedEvent.InputTuple,
+      RecordAccessedEvent.OutputTuple,
+      RecordAccessedEvent.OutputObject
+    >;
+
+    "RecordAmended(uint256,address,uint256,string)": TypedContractEvent<
+      RecordAmendedEvent.InputTuple,
+      RecordAmendedEvent.OutputTuple,
+      RecordAmendedEvent.OutputObject
+    >;
+    RecordAmended: TypedContractEvent<
+      RecordAmendedEvent.InputTuple,
+      RecordAmendedEvent.OutputTuple,
+      RecordAmendedEvent.OutputObject
+    >;
+
+    "RecordArchived(uint256,address,string)": TypedContractEvent<
+      RecordArchivedEvent.InputTuple,
+      RecordArchivedEvent.OutputTuple,
+      RecordArchivedEvent.OutputObject
+    >;
+    RecordArchived: TypedContractEvent<
+      RecordArchivedEvent.InputTuple,
+      RecordArchivedEvent.OutputTuple,
+      RecordArchivedEvent.OutputObject
+    >;
+
+    "RecordCreated(uint256,address,string)": TypedContractEvent<
+      RecordCreatedEvent.InputTuple,
+      RecordCreatedEvent.OutputTuple,
+      RecordCreatedEvent.OutputObject
+    >;
+    RecordCreated: TypedContractEvent<
+      RecordCreatedEvent.InputTuple,
+      RecordCreatedEvent.OutputTuple,
+      RecordCreatedEvent.OutputObject
+    >;
+
+    "RecordKeyShared(uint256,address)": TypedContractEvent<
+      RecordKeySharedEvent.InputTuple,
+      RecordKeySharedEvent.OutputTuple,
+      RecordKeySharedEvent.OutputObject
+    >;
+    RecordKeyShared: TypedContractEvent<
+      RecordKeySharedEvent.InputTuple,
+      RecordKeySharedEvent.OutputTuple,
+      RecordKeySharedEvent.OutputObject
+    >;
+
+    "RecordProposalAccepted(uint256,uint256)": TypedContractEvent<
+      RecordProposalAcceptedEvent.InputTuple,
+      RecordProposalAcceptedEvent.OutputTuple,
+      RecordProposalAcceptedEvent.OutputObject
+    >;
+    RecordProposalAccepted: TypedContractEvent<
+      RecordProposalAcceptedEvent.InputTuple,
+      RecordProposalAcceptedEvent.OutputTuple,
+      RecordProposalAcceptedEvent.OutputObject
+    >;
+
+    "RecordProposalRejected(uint256,string)": TypedContractEvent<
+      RecordProposalRejectedEvent.InputTuple,
+      RecordProposalRejectedEvent.OutputTuple,
+      RecordProposalRejectedEvent.OutputObject
+    >;
+    RecordProposalRejected: TypedContractEvent<
+      RecordProposalRejectedEvent.InputTuple,
+      RecordProposalRejectedEvent.OutputTuple,
+      RecordProposalRejectedEvent.OutputObject
+    >;
+
+    "RecordProposed(uint256,address,address,string)": TypedContractEvent<
+      RecordProposedEvent.InputTuple,
+      RecordProposedEvent.OutputTuple,
+      RecordProposedEvent.OutputObject
+    >;
+    RecordProposed: TypedContractEvent<
+      RecordProposedEvent.InputTuple,
+      RecordProposedEvent.OutputTuple,
+      RecordProposedEvent.OutputObject
+    >;
+
+    "RecordRestored(uint256,address)": TypedContractEvent<
+      RecordRestoredEvent.InputTuple,
+      RecordRestoredEvent.OutputTuple,
+      RecordRestoredEvent.OutputObject
+    >;
+    RecordRestored: TypedContractEvent<
+      RecordRestoredEvent.InputTuple,
+      RecordRestoredEvent.OutputTuple,
+      RecordRestoredEvent.OutputObject
+    >;
+
+    "RelayerUpdated(address,bool)": TypedContractEvent<
+      RelayerUpdatedEvent.InputTuple,
+      RelayerUpdatedEvent.OutputTuple,
+      RelayerUpdatedEvent.OutputObject
+    >;
+    RelayerUpdated: TypedContractEvent<
+      RelayerUpdatedEvent.InputTuple,
+      RelayerUpdatedEvent.OutputTuple,
+      RelayerUpdatedEvent.OutputObject
+    >;
+
+    "RequestRelayed(address,address,uint256)": TypedContractEvent<
+      RequestRelayedEvent.InputTuple,
+      RequestRelayedEvent.OutputTuple,
+      RequestRelayedEvent.OutputObject
+    >;
+    RequestRelayed: TypedContractEvent<
+      RequestRelayedEvent.InputTuple,
+      RequestRelayedEvent.OutputTuple,
+      RequestRelayedEvent.OutputObject
+    >;
+
+    "Upgraded(address)": TypedContractEvent<
+      UpgradedEvent.InputTuple,
+      UpgradedEvent.OutputTuple,
+      UpgradedEvent.OutputObject
+    >;
+    Upgraded: TypedContractEvent<
+      UpgradedEvent.InputTuple,
+      UpgradedEvent.OutputTuple,
+      UpgradedEvent.OutputObject
+    >;
+
+    "UserRegistered(address,string,uint8)": TypedContractEvent<
+      UserRegisteredEvent.InputTuple,
+      UserRegisteredEvent.OutputTuple,
+      UserRegisteredEvent.OutputObject
+    >;
+    UserRegistered: TypedContractEvent<
+      UserRegisteredEvent.InputTuple,
+      UserRegisteredEvent.OutputTuple,
+      UserRegisteredEvent.OutputObject
+    >;
+
+    "VerifierUpdated(address,bool)": TypedContractEvent<
+      VerifierUpdatedEvent.InputTuple,
+      VerifierUpdatedEvent.OutputTuple,
+      VerifierUpdatedEvent.OutputObject
+    >;
+    VerifierUpdated: TypedContractEvent<
+      VerifierUpdatedEvent.InputTuple,
+      VerifierUpdatedEvent.OutputTuple,
+      VerifierUpdatedEvent.OutputObject
+    >;
+  };
+}
@@ -0,0 +1,2306 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import {
+  Contract,
+  ContractFactory,
+  ContractTransactionResponse,
+  Interface,
+} from "ethers";
+import type { Signer, ContractDeployTransaction, ContractRunner } from "ethers";
+import type { NonPayableOverrides } from "../common";
+import type {
+  MedChainAccess,
+  MedChainAccessInterface,
+} from "../MedChainAccess";
+
+const _abi = [
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "grantIndex",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+    ],
+    name: "AccessExtended",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+    ],
+    name: "AccessGranted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "requestId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+    ],
+    name: "AccessRequestApproved",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "requestId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    name: "AccessRequestDenied",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "requestId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "duration",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "purpose",
+        type: "string",
+      },
+    ],
+    name: "AccessRequested",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+    ],
+    name: "AccessRevoked",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "bytes32",
+        name: "actionId",
+        type: "bytes32",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "action",
+        type: "string",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "target",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "value",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "approver",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "approvals",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "required",
+        type: "uint256",
+      },
+    ],
+    name: "AdminActionApproved",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "bytes32",
+        name: "actionId",
+        type: "bytes32",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "action",
+        type: "string",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "target",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "value",
+        type: "uint256",
+      },
+    ],
+    name: "AdminActionExecuted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "account",
+        type: "address",
+      },
+    ],
+    name: "AdminAdded",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "quorum",
+        type: "uint256",
+      },
+    ],
+    name: "AdminQuorumChanged",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "account",
+        type: "address",
+      },
+    ],
+    name: "AdminRemoved",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "currentAdmin",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "pendingAdmin",
+        type: "address",
+      },
+    ],
+    name: "AdminTransferStarted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "previousAdmin",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "newAdmin",
+        type: "address",
+      },
+    ],
+    name: "AdminTransferred",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "recordType",
+        type: "string",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+    ],
+    name: "CategoryAccessGranted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "recordType",
+        type: "string",
+      },
+    ],
+    name: "CategoryAccessRevoked",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "licenseNumber",
+        type: "string",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "issuingAuthority",
+        type: "string",
+      },
+    ],
+    name: "DoctorApplicationSubmitted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "verifier",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    name: "DoctorRejected",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "verifier",
+        type: "address",
+      },
+    ],
+    name: "DoctorVerified",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "accessId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "justification",
+        type: "string",
+      },
+    ],
+    name: "EmergencyAccessInvoked",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "accessId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "reviewer",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "bool",
+        name: "justified",
+        type: "bool",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "notes",
+        type: "string",
+      },
+    ],
+    name: "EmergencyAccessReviewed",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: false,
+        internalType: "bool",
+        name: "status",
+        type: "bool",
+      },
+    ],
+    name: "EmergencyModeToggled",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "user",
+        type: "address",
+      },
+    ],
+    name: "EncryptionKeySet",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "extension",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "bytes4[]",
+        name: "selectors",
+        type: "bytes4[]",
+      },
+    ],
+    name: "ExtensionRouted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "reporter",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "details",
+        type: "string",
+      },
+    ],
+    name: "FileMismatchReported",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "guardian",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint8",
+        name: "powers",
+        type: "uint8",
+      },
+    ],
+    name: "GuardianAppointed",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "guardian",
+        type: "address",
+      },
+    ],
+    name: "GuardianRemoved",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "organization",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "name",
+        type: "string",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "owner",
+        type: "address",
+      },
+    ],
+    name: "OrganizationCreated",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "organization",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+    ],
+    name: "OrganizationMemberAdded",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "organization",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+    ],
+    name: "OrganizationMemberRemoved",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "organization",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "owner",
+        type: "address",
+      },
+    ],
+    name: "OrganizationOwnerChanged",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+    ],
+    name: "RecordAccessGranted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+    ],
+    name: "RecordAccessRevoked",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "accessor",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+    ],
+    name: "RecordAccessed",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "version",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    name: "RecordAmended",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    name: "RecordArchived",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "recordType",
+        type: "string",
+      },
+    ],
+    name: "RecordCreated",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "reader",
+        type: "address",
+      },
+    ],
+    name: "RecordKeyShared",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "proposalId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+    ],
+    name: "RecordProposalAccepted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "proposalId",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    name: "RecordProposalRejected",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "proposalId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "recordType",
+        type: "string",
+      },
+    ],
+    name: "RecordProposed",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+    ],
+    name: "RecordRestored",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "relayer",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "bool",
+        name: "enabled",
+        type: "bool",
+      },
+    ],
+    name: "RelayerUpdated",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "signer",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "relayer",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "nonce",
+        type: "uint256",
+      },
+    ],
+    name: "RequestRelayed",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "implementation",
+        type: "address",
+      },
+    ],
+    name: "Upgraded",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "userAddress",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "name",
+        type: "string",
+      },
+      {
+        indexed: false,
+        internalType: "enum MedChainBase.UserRole",
+        name: "role",
+        type: "uint8",
+      },
+    ],
+    name: "UserRegistered",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "verifier",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "bool",
+        name: "enabled",
+        type: "bool",
+      },
+    ],
+    name: "VerifierUpdated",
+    type: "event",
+  },
+  {
+    inputs: [],
+    name: "EMERGENCY_ACCESS_DURATION",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "GUARDIAN_CREATE_RECORDS",
+    outputs: [
+      {
+        internalType: "uint8",
+        name: "",
+        type: "uint8",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "GUARDIAN_MANAGE_ACCESS",
+    outputs: [
+      {
+        internalType: "uint8",
+        name: "",
+        type: "uint8",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "GUARDIAN_VIEW_AUDIT",
+    outputs: [
+      {
+        internalType: "uint8",
+        name: "",
+        type: "uint8",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "GUARDIAN_VIEW_RECORDS",
+    outputs: [
+      {
+        internalType: "uint8",
+        name: "",
+        type: "uint8",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "accessRequestCounter",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "admin",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "",
+        type: "bytes32",
+      },
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "adminActionApprovals",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "",
+        type: "bytes32",
+      },
+    ],
+    name: "adminActionNonces",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "adminList",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "adminQuorum",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "admins",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "_requestId",
+        type: "uint256",
+      },
+    ],
+    name: "approveAccessRequest",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "auditTrails",
+    outputs: [
+      {
+        internalType: "address",
+        name: "accessor",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "timestamp",
+        type: "uint256",
+      },
+      {
+        internalType: "string",
+        name: "action",
+        type: "string",
+      },
+      {
+        internalType: "enum MedChainBase.ActorType",
+        name: "actorType",
+        type: "uint8",
+      },
+      {
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "bytes32",
+        name: "",
+        type: "bytes32",
+      },
+    ],
+    name: "categoryPermissions",
+    outputs: [
+      {
+        internalType: "address",
+        name: "doctorAddress",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "grantedAt",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+      {
+        internalType: "bool",
+        name: "isActive",
+        type: "bool",
+      },
+      {
+        internalType: "string",
+        name: "purpose",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "_requestId",
+        type: "uint256",
+      },
+      {
+        internalType: "string",
+        name: "_reason",
+        type: "string",
+      },
+    ],
+    name: "denyAccessRequest",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "doctorApplicants",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "doctorCredentials",
+    outputs: [
+      {
+        internalType: "string",
+        name: "licenseNumber",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "issuingAuthority",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "specialty",
+        type: "string",
+      },
+      {
+        internalType: "enum MedChainBase.VerificationStatus",
+        name: "status",
+        type: "uint8",
+      },
+      {
+        internalType: "uint256",
+        name: "submittedAt",
+        type: "uint256",
+      },
+      {
+        internalType: "address",
+        name: "reviewedBy",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "reviewedAt",
+        type: "uint256",
+      },
+      {
+        internalType: "string",
+        name: "rejectionReason",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "emergencyAccessCounter",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "emergencyAccesses",
+    outputs: [
+      {
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        internalType: "string",
+        name: "justification",
+        type: "string",
+      },
+      {
+        internalType: "uint256",
+        name: "invokedAt",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+      {
+        internalType: "bool",
+        name: "reviewed",
+        type: "bool",
+      },
+      {
+        internalType: "bool",
+        name: "justified",
+        type: "bool",
+      },
+      {
+        internalType: "address",
+        name: "reviewedBy",
+        type: "address",
+      },
+      {
+        internalType: "string",
+        name: "reviewNotes",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "emergencyMode",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "_grantIndex",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "_extraDuration",
+        type: "uint256",
+      },
+    ],
+    name: "extendAccess",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes4",
+        name: "",
+        type: "bytes4",
+      },
+    ],
+    name: "extensions",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "_requestId",
+        type: "uint256",
+      },
+    ],
+    name: "getAccessRequest",
+    outputs: [
+      {
+        components: [
+          {
+            internalType: "address",
+            name: "doctor",
+            type: "address",
+          },
+          {
+            internalType: "address",
+            name: "patient",
+            type: "address",
+          },
+          {
+            internalType: "string",
+            name: "purpose",
+            type: "string",
+          },
+          {
+            internalType: "uint256",
+            name: "duration",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "requestedAt",
+            type: "uint256",
+          },
+          {
+            internalType: "enum MedChainBase.ProposalStatus",
+            name: "status",
+            type: "uint8",
+          },
+          {
+            internalType: "uint256",
+            name: "decidedAt",
+            type: "uint256",
+          },
+          {
+            internalType: "string",
+            name: "denialReason",
+            type: "string",
+          },
+        ],
+        internalType: "struct MedChainBase.AccessRequest",
+        name: "",
+        type: "tuple",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "_doctor",
+        type: "address",
+      },
+    ],
+    name: "getDoctorAccessRequests",
+    outputs: [
+      {
+        internalType: "uint256[]",
+        name: "",
+        type: "uint256[]",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "_patient",
+        type: "address",
+      },
+    ],
+    name: "getPatientGrants",
+    outputs: [
+      {
+        components: [
+          {
+            internalType: "address",
+            name: "doctor",
+            type: "address",
+          },
+          {
+            internalType: "enum MedChainBase.GrantScope",
+            name: "scope",
+            type: "uint8",
+          },
+          {
+            internalType: "uint256",
+            name: "recordId",
+            type: "uint256",
+          },
+          {
+            internalType: "string",
+            name: "recordType",
+            type: "string",
+          },
+        ],
+        internalType: "struct MedChainBase.GrantEntry[]",
+        name: "grants",
+        type: "tuple[]",
+      },
+      {
+        components: [
+          {
+            internalType: "address",
+            name: "doctorAddress",
+            type: "address",
+          },
+          {
+            internalType: "uint256",
+            name: "grantedAt",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "expiresAt",
+            type: "uint256",
+          },
+          {
+            internalType: "bool",
+            name: "isActive",
+            type: "bool",
+          },
+          {
+            internalType: "string",
+            name: "purpose",
+            type: "string",
+          },
+        ],
+        internalType: "struct MedChainBase.AccessPermission[]",
+        name: "grantPermissions",
+        type: "tuple[]",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "_patient",
+        type: "address",
+      },
+    ],
+    name: "getPendingAccessRequests",
+    outputs: [
+      {
+        internalType: "uint256[]",
+        name: "",
+        type: "uint256[]",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "latestEmergencyAccess",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "patientAuditTrails",
+    outputs: [
+      {
+        internalType: "address",
+        name: "accessor",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "timestamp",
+        type: "uint256",
+      },
+      {
+        internalType: "string",
+        name: "action",
+        type: "string",
+      },
+      {
+        internalType: "enum MedChainBase.ActorType",
+        name: "actorType",
+        type: "uint8",
+      },
+      {
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "patientRecords",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "pendingAdmin",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "pendingEmergencyReviews",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "permissions",
+    outputs: [
+      {
+        internalType: "address",
+        name: "doctorAddress",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "grantedAt",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+      {
+        internalType: "bool",
+        name: "isActive",
+        type: "bool",
+      },
+      {
+        internalType: "string",
+        name: "purpose",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "recordCounter",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "recordPermissions",
+    outputs: [
+      {
+        internalType: "address",
+        name: "doctorAddress",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "grantedAt",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+      {
+        internalType: "bool",
+        name: "isActive",
+        type: "bool",
+      },
+      {
+        internalType: "string",
+        name: "purpose",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "recordProposalCounter",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "records",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        internalType: "address",
+        name: "patientAddress",
+        type: "address",
+      },
+      {
+        internalType: "string",
+        name: "ipfsHash",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "recordType",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "description",
+        type: "string",
+      },
+      {
+        internalType: "uint256",
+        name: "timestamp",
+        type: "uint256",
+      },
+      {
+        internalType: "bool",
+        name: "exists",
+        type: "bool",
+      },
+      {
+        internalType: "uint256",
+        name: "version",
+        type: "uint256",
+      },
+      {
+        internalType: "bool",
+        name: "archived",
+        type: "bool",
+      },
+      {
+        internalType: "address",
+        name: "author",
+        type: "address",
+      },
+      {
+        components: [
+          {
+            internalType: "bytes32",
+            name: "digest",
+            type: "bytes32",
+          },
+          {
+            internalType: "uint256",
+            name: "size",
+            type: "uint256",
+          },
+          {
+            internalType: "string",
+            name: "mimeType",
+            type: "string",
+          },
+        ],
+        internalType: "struct MedChainBase.RecordFile",
+        name: "file",
+        type: "tuple",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "_patient",
+        type: "address",
+      },
+      {
+        internalType: "string",
+        name: "_purpose",
+        type: "string",
+      },
+      {
+        internalType: "uint256",
+        name: "_duration",
+        type: "uint256",
+      },
+    ],
+    name: "requestAccess",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "systemAuditTrail",
+    outputs: [
+      {
+        internalType: "address",
+        name: "accessor",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "timestamp",
+        type: "uint256",
+      },
+      {
+        internalType: "string",
+        name: "action",
+        type: "string",
+      },
+      {
+        internalType: "enum MedChainBase.ActorType",
+        name: "actorType",
+        type: "uint8",
+      },
+      {
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "users",
+    outputs: [
+      {
+        internalType: "address",
+        name: "userAddress",
+        type: "address",
+      },
+      {
+        internalType: "string",
+        name: "name",
+        type: "string",
+      },
+      {
+        internalType: "enum MedChainBase.UserRole",
+        name: "role",
+        type: "uint8",
+      },
+      {
+        internalType: "bool",
+        name: "isRegistered",
+        type: "bool",
+      },
+      {
+        internalType: "uint256",
+        name: "registrationTime",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "verifiers",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+] as const;
+
+const _bytecode =
+  "0x608060405234801561001057600080fd5b506139d7806100206000396000f3fe608060405234801561001057600080fd5b50600436106102535760003560e01c80637599be5d11610146578063accb1b86116100c3578063e182a68211610087578063e182a682146105d8578063ee12bc71146105eb578063f274e2d11461060b578063f7b1da4714610614578063f851a44014610642578063fd6c6d4a1461065557600080fd5b8063accb1b8614610584578063ba008db014610597578063d4647321146105aa578063daae5368146105b2578063db95705b146105c557600080fd5b806394f0df611161010a57806394f0df611461051b57806397cfc6c71461052e5780639d01fbb4146105365780639da8e0db14610557578063a87430ba1461056057600080fd5b80637599be5d146104af578063765fddf7146104b85780638a45886e146104e057806392988760146104f3578063943700501461051357600080fd5b806334461067116101d4578063689d7c7411610198578063689d7c74146104315780636b8df2a6146104465780636be38131146104595780636c8244871461046c5780636e7683831461048f57600080fd5b80633446106714610390578063393580b0146103ba578063429b62e5146103cd5780634590e8ee146103f0578063670a4feb1461040a57600080fd5b806320f2ce9e1161021b57806320f2ce9e146102fa5780632114ef1f14610320578063267822471461032957806329e825931461033c5780633082c4e01461036557600080fd5b806303cf7d62146102585780630905f56014610274578063108b79341461029857806311117fc8146102bc5780631f9838b5146102e7575b600080fd5b610261601d5481565b6040519081526020015b60405180910390f35b600c5461028890600160a01b900460ff1681565b604051901515815260200161026b565b6102ab6102a6366004612ec4565b61065e565b60405161026b959493929190612f46565b6102cf6102ca366004612f86565b610736565b6040516001600160a01b03909116815260200161026b565b6102ab6102f5366004612f9f565b610760565b61030d610308366004612fd2565b6107af565b60405161026b9796959493929190613012565b61026161a8c081565b6015546102cf906001600160a01b031681565b6102cf61034a366004613082565b600d602052600090815260409020546001600160a01b031681565b610261610373366004612f9f565b600f60209081526000928352604080842090915290825290205481565b6103a361039e366004612f86565b610934565b60405161026b9b9a999897969594939291906130e4565b6102cf6103c8366004612f86565b610bef565b6102886103db366004613191565b60126020526000908152604090205460ff1681565b6103f8600881565b60405160ff909116815260200161026b565b61041d610418366004613191565b610bff565b60405161026b9897969594939291906131bf565b61044461043f36600461324b565b610e72565b005b61030d610454366004612fd2565b610f31565b610444610467366004612f86565b610f4d565b61028861047a366004613191565b60096020526000908152604090205460ff1681565b6104a261049d366004613191565b611096565b60405161026b919061326d565b610261600b5481565b6104cb6104c6366004612f86565b611102565b60405161026b999897969594939291906132b1565b6104a26104ee366004613191565b61127d565b610261610501366004612f86565b60166020526000908152604090205481565b6103f8600481565b610261610529366004612fd2565b6112e7565b6103f8600281565b610549610544366004613191565b611318565b60405161026b9291906133d1565b610261602b5481565b61057361056e366004613191565b61164e565b60405161026b959493929190613481565b61044461059236600461356f565b611716565b61030d6105a5366004612f86565b611813565b6103f8600181565b6102616105c0366004612f86565b611869565b6102616105d33660046135b6565b61188a565b6102ab6105e6366004612ec4565b611b94565b6105fe6105f9366004612f86565b611be9565b60405161026b9190613616565b61026160115481565b6102886106223660046136b9565b601760209081526000928352604080842090915290825290205460ff1681565b600c546102cf906001600160a01b031681565b61026160145481565b6005602090815260009384526040808520825292845282842090528252902080546001820154600283015460038401546004850180546001600160a01b03909516959394929360ff909216926106b3906136dc565b80601f01602080910402602001604051908101604052809291908181526020018280546106df906136dc565b801561072c5780601f106107015761010080835404028352916020019161072c565b820191906000526020600020905b81548152906001019060200180831161070f57829003601f168201915b5050505050905085565b6013818154811061074657600080fd5b6000918252602090912001546001600160a01b0316905081565b60036020818152600093845260408085209091529183529120805460018201546002830154938301546004840180546001600160a01b03909416959294929360ff90921692916106b3906136dc565b600760205281600052604060002081815481106107cb57600080fd5b6000918252602090912060079091020180546001820154600283015460038401546004850180546001600160a01b039586169850939094169550909390929091610814906136dc565b80601f0160208091040260200160405190810160405280929190818152602001828054610840906136dc565b801561088d5780601f106108625761010080835404028352916020019161088d565b820191906000526020600020905b81548152906001019060200180831161087057829003601f168201915b5050506005840154600685018054949560ff9092169491935091506108b1906136dc565b80601f01602080910402602001604051908101604052809291908181526020018280546108dd906136dc565b801561092a5780601f106108ff5761010080835404028352916020019161092a565b820191906000526020600020905b81548152906001019060200180831161090d57829003601f168201915b5050505050905087565b600260208190526000918252604090912080546001820154928201805491936001600160a01b03169291610967906136dc565b80601f0160208091040260200160405190810160405280929190818152602001828054610993906136dc565b80156109e05780601f106109b5576101008083540402835291602001916109e0565b820191906000526020600020905b8154815290600101906020018083116109c357829003601f168201915b5050505050908060030180546109f5906136dc565b80601f0160208091040260200160405190810160405280929190818152602001828054610a21906136dc565b8015610a6e5780601f10610a4357610100808354040283529160200191610a6e565b820191906000526020600020905b815481529060010190602001808311610a5157829003601f168201915b505050505090806004018054610a83906136dc565b80601f0160208091040260200160405190810160405280929190818152602001828054610aaf906136dc565b8015610afc5780601f10610ad157610100808354040283529160200191610afc565b820191906000526020600020905b815481529060010190602001808311610adf57829003601f168201915b505050506005830154600684015460078501546008860154604080516060810182526009890180548252600a8a01546020830152600b8a018054999a979960ff97881699509597968516966101009095046001600160a01b0316959293919291840191610b68906136dc565b80601f0160208091040260200160405190810160405280929190818152602001828054610b94906136dc565b8015610be15780601f10610bb657610100808354040283529160200191610be1565b820191906000526020600020905b815481529060010190602001808311610bc457829003601f168201915b50505050508152505090508b565b600a818154811061074657600080fd5b600860205260009081526040902080548190610c1a906136dc565b80601f0160208091040260200160405190810160405280929190818152602001828054610c46906136dc565b8015610c935780601f10610c6857610100808354040283529160200191610c93565b820191906000526020600020905b815481529060010190602001808311610c7657829003601f168201915b505050505090806001018054610ca8906136dc565b80601f0160208091040260200160405190810160405280929190818152602001828054610cd4906136dc565b8015610d215780601f10610cf657610100808354040283529160200191610d21565b820191906000526020600020905b815481529060010190602001808311610d0457829003601f168201915b505050505090806002018054610d36906136dc565b80601f0160208091040260200160405190810160405280929190818152602001828054610d62906136dc565b8015610daf5780601f10610d8457610100808354040283529160200191610daf565b820191906000526020600020905b815481529060010190602001808311610d9257829003601f168201915b5050506003840154600485015460058601546006870154600788018054979860ff909516979396506001600160a01b0390921694509291610def906136dc565b80601f0160208091040260200160405190810160405280929190818152602001828054610e1b906136dc565b8015610e685780601f10610e3d57610100808354040283529160200191610e68565b820191906000526020600020905b815481529060010190602001808311610e4b57829003601f168201915b5050505050905088565b33600090815260208190526040902060020154610100900460ff16610eb25760405162461bcd60e51b8152600401610ea990613716565b60405180910390fd5b60013360009081526020819052604090206002015460ff166003811115610edb57610edb612ffc565b14610f205760405162461bcd60e51b815260206004820152601560248201527413db9b1e481c185d1a595b9d1cc8185b1b1bddd959605a1b6044820152606401610ea9565b610f2d3383836000611ebd565b5050565b600660205281600052604060002081815481106107cb57600080fd5b33600090815260208190526040902060020154610100900460ff16610f845760405162461bcd60e51b8152600401610ea990613716565b600080610f92836002612194565b60018201548254600384015460028501805495975093955061104f946001600160a01b039384169493909216929091610fca906136dc565b80601f0160208091040260200160405190810160405280929190818152602001828054610ff6906136dc565b80156110435780601f1061101857610100808354040283529160200191611043565b820191906000526020600020905b81548152906001019060200180831161102657829003601f168201915b50505050503386612394565b815460018301546040516001600160a01b03928316929091169085907f041548f228e3428eca4778d24a6ff88e01fb28914736808bd964d0dd64fc2bdc90600090a4505050565b6001600160a01b0381166000908152602a60209081526040918290208054835181840281018401909452808452606093928301828280156110f657602002820191906000526020600020905b8154815260200190600101908083116110e2575b50505050509050919050565b600e602052600090815260409020805460018201546002830180546001600160a01b03938416949290931692611137906136dc565b80601f0160208091040260200160405190810160405280929190818152602001828054611163906136dc565b80156111b05780601f10611185576101008083540402835291602001916111b0565b820191906000526020600020905b81548152906001019060200180831161119357829003601f168201915b5050506003840154600485015460058601546006870180549697939692955060ff8083169550610100830416936001600160a01b036201000090930492909216926111fa906136dc565b80601f0160208091040260200160405190810160405280929190818152602001828054611226906136dc565b80156112735780601f1061124857610100808354040283529160200191611273565b820191906000526020600020905b81548152906001019060200180831161125657829003601f168201915b5050505050905089565b6001600160a01b0381166000908152602960209081526040918290208054835181840281018401909452808452606093928301828280156110f657602002820191906000526020600020908154815260200190600101908083116110e25750505050509050919050565b6001602052816000526040600020818154811061130357600080fd5b90600052602060002001600091509150505481565b6001600160a01b03811660009081526026602090815260408083208054825181850281018501909352808352606094859484015b8282101561146257600084815260209081902060408051608081019091526003850290910180546001600160a01b03811683529192909190830190600160a01b900460ff1660028111156113a2576113a2612ffc565b60028111156113b3576113b3612ffc565b8152602001600182015481526020016002820180546113d1906136dc565b80601f01602080910402602001604051908101604052809291908181526020018280546113fd906136dc565b801561144a5780601f1061141f5761010080835404028352916020019161144a565b820191906000526020600020905b81548152906001019060200180831161142d57829003601f168201915b5050505050815250508152602001906001019061134c565b505050509150815167ffffffffffffffff811115611482576114826134cc565b6040519080825280602002602001820160405280156114f057816020015b6114dd6040518060a0016040528060006001600160a01b031681526020016000815260200160008152602001600015158152602001606081525090565b8152602001906001900390816114a05790505b50905060005b8251811015611648576001600160a01b038416600090815260266020526040902080546115429186918490811061152f5761152f613743565b90600052602060002090600302016125f7565b6040805160a08101825282546001600160a01b0316815260018301546020820152600283015491810191909152600382015460ff1615156060820152600482018054919291608084019190611596906136dc565b80601f01602080910402602001604051908101604052809291908181526020018280546115c2906136dc565b801561160f5780601f106115e45761010080835404028352916020019161160f565b820191906000526020600020905b8154815290600101906020018083116115f257829003601f168201915b50505050508152505082828151811061162a5761162a613743565b602002602001018190525080806116409061376f565b9150506114f6565b50915091565b600060208190529081526040902080546001820180546001600160a01b03909216929161167a906136dc565b80601f01602080910402602001604051908101604052809291908181526020018280546116a6906136dc565b80156116f35780601f106116c8576101008083540402835291602001916116f3565b820191906000526020600020905b8154815290600101906020018083116116d657829003601f168201915b505050506002830154600390930154919260ff8082169361010090920416915085565b33600090815260208190526040902060020154610100900460ff1661174d5760405162461bcd60e51b8152600401610ea990613716565b60008061175b846003612194565b90925090506007820161176e84826137ce565b50600182015482546040805180820190915260138152721111539657d050d0d154d4d7d49154555154d5606a1b60208201526117bc926001600160a01b0390811692169060009085886126fe565b815460018301546040516001600160a01b03928316929091169086907fb06790034a31befeb81934b132bf0b15d0f8c094bb72f736b172a3201a63cdec9061180590889061388e565b60405180910390a450505050565b6018818154811061182357600080fd5b6000918252602090912060079091020180546001820154600283015460038401546004850180546001600160a01b039586169750939094169491939092610814906136dc565b6010818154811061187957600080fd5b600091825260209091200154905081565b600061189533612715565b6118e15760405162461bcd60e51b815260206004820152601d60248201527f4f6e6c7920766572696669656420646f63746f727320616c6c6f7765640000006044820152606401610ea9565b60016001600160a01b03851660009081526020819052604090206002015460ff16600381111561191357611913612ffc565b146119505760405162461bcd60e51b815260206004820152600d60248201526c139bdd0818481c185d1a595b9d609a1b6044820152606401610ea9565b60008351116119945760405162461bcd60e51b815260206004820152601060248201526f141d5c9c1bdcd9481c995c5d5a5c995960821b6044820152606401610ea9565b602b80549060006119a48361376f565b909155505060408051610100810182523381526001600160a01b03861660208201529081018490526060810183905242608082015260a08101600181526000602080830182905260408051808301825283815293810193909352602b5482526028815290829020835181546001600160a01b03199081166001600160a01b0392831617835592850151600183018054909416911617909155908201516002820190611a4f90826137ce565b50606082015181600301556080820151816004015560a08201518160050160006101000a81548160ff02191690836003811115611a8e57611a8e612ffc565b021790555060c0820151600682015560e08201516007820190611ab190826137ce565b5050506001600160a01b0384166000908152602960209081526040808320602b8054825460018181018555938752858720015533808652602a8552838620915482548085018455928752858720909201919091558251808401909352600e83526d524551554553545f41434345535360901b93830193909352611b39938893929091886126fe565b336001600160a01b0316846001600160a01b0316602b547f2648d60d03aed1845088c0ca1bc57902635f202d1a87f77147d62bb68b2635188587604051611b819291906138a1565b60405180910390a450602b549392505050565b6004602081815260009485526040808620825293855283852090529083529120805460018201546002830154600384015494840180546001600160a01b03909416959294919360ff909316926106b3906136dc565b611bf1612e40565b600082815260286020526040812090600582015460ff166003811115611c1957611c19612ffc565b03611c5f5760405162461bcd60e51b815260206004820152601660248201527514995c5d595cdd08191bd95cc81b9bdd08195e1a5cdd60521b6044820152606401610ea9565b60018101546001600160a01b0316331480611c83575080546001600160a01b031633145b80611cb7575060018101546001600160a01b0316600090815260216020908152604080832033845290915290205460021615155b80611cd157503360009081526012602052604090205460ff165b611d135760405162461bcd60e51b8152602060048201526013602482015272556e617574686f72697a65642061636365737360681b6044820152606401610ea9565b604080516101008101825282546001600160a01b0390811682526001840154166020820152600283018054919284929084019190611d50906136dc565b80601f0160208091040260200160405190810160405280929190818152602001828054611d7c906136dc565b8015611dc95780601f10611d9e57610100808354040283529160200191611dc9565b820191906000526020600020905b815481529060010190602001808311611dac57829003601f168201915b5050509183525050600382810154602083015260048301546040830152600583015460609092019160ff1690811115611e0457611e04612ffc565b6003811115611e1557611e15612ffc565b815260200160068201548152602001600782018054611e33906136dc565b80601f0160208091040260200160405190810160405280929190818152602001828054611e5f906136dc565b8015611eac5780601f10611e8157610100808354040283529160200191611eac565b820191906000526020600020905b815481529060010190602001808311611e8f57829003601f168201915b505050505081525050915050919050565b6001600160a01b0384166000908152602660205260409020548310611f1b5760405162461bcd60e51b815260206004820152601460248201527311dc985b9d08191bd95cc81b9bdd08195e1a5cdd60621b6044820152606401610ea9565b60008211611f5f5760405162461bcd60e51b8152602060048201526011602482015270111d5c985d1a5bdb881c995c5d5a5c9959607a1b6044820152606401610ea9565b6001600160a01b0384166000908152602660205260408120805485908110611f8957611f89613743565b906000526020600020906003020190506000611fa586836125f7565b600381015490915060ff16611ff35760405162461bcd60e51b815260206004820152601460248201527327379030b1ba34bb32903832b936b4b9b9b4b7b760611b6044820152606401610ea9565b806002015460000361203f5760405162461bcd60e51b81526020600482015260156024820152744772616e7420646f6573206e6f742065787069726560581b6044820152606401610ea9565b6000428260020154116120525742612058565b81600201545b905061206485826138ba565b60028301558254600184015460408051808201909152600d81526c455854454e445f41434345535360981b602082015260048501805461213f948c946001600160a01b0390911693909290918a91906120bc906136dc565b80601f01602080910402602001604051908101604052809291908181526020018280546120e8906136dc565b80156121355780601f1061210a57610100808354040283529160200191612135565b820191906000526020600020905b81548152906001019060200180831161211857829003601f168201915b50505050506126fe565b8254600283015460405190815287916001600160a01b0390811691908a16907f3492d291daf8f520fa0f9350e79fa85bf5dd23230a52ec3be5701940b0072d939060200160405180910390a450505050505050565b6000828152602860205260408120906001600583015460ff1660038111156121be576121be612ffc565b146122045760405162461bcd60e51b815260206004820152601660248201527552657175657374206973206e6f742070656e64696e6760501b6044820152606401610ea9565b60018201546001600160a01b0316338190036122235760009150612290565b6001600160a01b0381166000908152602160209081526040808320338452909152812054600216900361228b5760405162461bcd60e51b815260206004820152601060248201526f139bdd081e5bdd5c881c995c5d595cdd60821b6044820152606401610ea9565b600491505b60058301805485919060ff191660018360038111156122b1576122b1612ffc565b02179055504260068401556001600160a01b0381166000908152602960205260408120905b815481101561238a57868282815481106122f2576122f2613743565b9060005260206000200154036123785781548290612312906001906138cd565b8154811061232257612322613743565b906000526020600020015482828154811061233f5761233f613743565b90600052602060002001819055508180548061235d5761235d6138e0565b6001900381819060005260206000200160009055905561238a565b806123828161376f565b9150506122d6565b5050509250929050565b61239d8561278b565b6124055760405162461bcd60e51b815260206004820152603360248201527f43616e206f6e6c79206772616e7420746f20766572696669656420646f63746f6044820152727273206f72206f7267616e697a6174696f6e7360681b6064820152608401610ea9565b600080851161241557600061241f565b61241f85426138ba565b6001600160a01b038089166000908152600360208181526040808420948c168452939052919020015490915061245b908890889060ff166127bd565b61247887876000806040518060200160405280600081525061285d565b6040518060a00160405280876001600160a01b031681526020014281526020018281526020016001151581526020018581525060036000896001600160a01b03166001600160a01b031681526020019081526020016000206000886001600160a01b03166001600160a01b0316815260200190815260200160002060008201518160000160006101000a8154816001600160a01b0302191690836001600160a01b03160217905550602082015181600101556040820151816002015560608201518160030160006101000a81548160ff021916908315150217905550608082015181600401908161256991906137ce565b509050506125a1878760006040518060400160405280600c81526020016b4752414e545f41434345535360a01b81525087878a6129db565b856001600160a01b0316876001600160a01b03167f65d0cc1e52d49938ca4ad9f423c79c1b84d914b9a683fbc5d3f93ac3cc5635f5836040516125e691815260200190565b60405180910390a350505050505050565b6000808254600160a01b900460ff16600281111561261757612617612ffc565b0361264957506001600160a01b03808316600090815260036020908152604080832085549094168352929052206126f8565b60018254600160a01b900460ff16600281111561266857612668612ffc565b036126a657506001600160a01b03808316600090815260046020908152604080832085549094168352928152828220600185015483529052206126f8565b6001600160a01b0380841660009081526005602090815260408083208654909416835292905281812091516126df9060028601906138f6565b6040518091039020815260200190815260200160002090505b92915050565b61270d868686863387876129db565b505050505050565b600060026001600160a01b03831660009081526020819052604090206002015460ff16600381111561274957612749612ffc565b1480156126f8575060026001600160a01b038316600090815260086020526040902060039081015460ff169081111561278457612784612ffc565b1492915050565b600061279682612715565b806126f85750506001600160a01b03166000908152602f6020526040902060020154151590565b80156127c857505050565b6001600160a01b0380841660009081526020808052604080832093861683529290529081208054916127f98361376f565b91905055600003612858576001600160a01b038281166000818152601e6020908152604080832080546001810182558185528385200180546001600160a01b031916968a1696871790559383529254601f825283832094835293905220555b505050565b600084848484604051602001612876949392919061396c565b60408051601f1981840301815291815281516020928301206001600160a01b038916600090815260278452828120828252909352912054909150156128bb57506129d4565b60266000876001600160a01b03166001600160a01b031681526020019081526020016000206040518060800160405280876001600160a01b0316815260200186600281111561290c5761290c612ffc565b8152602080820187905260409091018590528254600181018455600093845292819020825160039094020180546001600160a01b039094166001600160a01b031985168117825591830151929390929183916001600160a81b03191617600160a01b83600281111561298057612980612ffc565b021790555060408201516001820155606082015160028201906129a390826137ce565b5050506001600160a01b03861660009081526026602090815260408083205460278352818420948452939091529020555b5050505050565b60006040518060e00160405280856001600160a01b03168152602001896001600160a01b03168152602001878152602001428152602001868152602001846004811115612a2a57612a2a612ffc565b815260209081018490526001600160a01b03808716600090815260068352604080822080546001818101835591845292859020865160079094020180549385166001600160a01b031994851617815594860151908501805491909416921691909117909155820151600282015560608201516003820155608082015191925082916004820190612aba90826137ce565b5060a082015160058201805460ff19166001836004811115612ade57612ade612ffc565b021790555060c08201516006820190612af790826137ce565b5050506001600160a01b03871615801590612b245750836001600160a01b0316876001600160a01b031614155b15612bf1576001600160a01b03808816600090815260066020908152604080832080546001818101835591855293839020865160079095020180549486166001600160a01b03199586161781559286015190830180549190951693169290921790925582015160028201556060820151600382015560808201518291906004820190612bb090826137ce565b5060a082015160058201805460ff19166001836004811115612bd457612bd4612ffc565b021790555060c08201516006820190612bed90826137ce565b5050505b6001600160a01b03881615612ccb576001600160a01b0380891660009081526007602081815260408084208054600181810183559186529483902087519590940290930180549486166001600160a01b031995861617815591860151928201805493909516929093169190911790925582015160028201556060820151600382015560808201518291906004820190612c8a90826137ce565b5060a082015160058201805460ff19166001836004811115612cae57612cae612ffc565b021790555060c08201516006820190612cc790826137ce565b5050505b6002836004811115612cdf57612cdf612ffc565b03612e365760188054600181018255600091909152815160079091027fb13d2d76d1f4b7be834882e410b3e3a8afaf69f83600ae24db354391d2378d2e810180546001600160a01b039384166001600160a01b031991821617825560208501517fb13d2d76d1f4b7be834882e410b3e3a8afaf69f83600ae24db354391d2378d2f840180549190951691161790925560408301517fb13d2d76d1f4b7be834882e410b3e3a8afaf69f83600ae24db354391d2378d3082015560608301517fb13d2d76d1f4b7be834882e410b3e3a8afaf69f83600ae24db354391d2378d3182015560808301518392917fb13d2d76d1f4b7be834882e410b3e3a8afaf69f83600ae24db354391d2378d320190612df590826137ce565b5060a082015160058201805460ff19166001836004811115612e1957612e19612ffc565b021790555060c08201516006820190612e3290826137ce565b5050505b5050505050505050565b60405180610100016040528060006001600160a01b0316815260200160006001600160a01b0316815260200160608152602001600081526020016000815260200160006003811115612e9457612e94612ffc565b815260200160008152602001606081525090565b80356001600160a01b0381168114612ebf57600080fd5b919050565b600080600060608486031215612ed957600080fd5b612ee284612ea8565b9250612ef060208501612ea8565b9150604084013590509250925092565b6000815180845260005b81811015612f2657602081850181015186830182015201612f0a565b506000602082860101526020601f19601f83011685010191505092915050565b60018060a01b0386168152846020820152836040820152821515606082015260a060808201526000612f7b60a0830184612f00565b979650505050505050565b600060208284031215612f9857600080fd5b5035919050565b60008060408385031215612fb257600080fd5b612fbb83612ea8565b9150612fc960208401612ea8565b90509250929050565b60008060408385031215612fe557600080fd5b612fee83612ea8565b946020939093013593505050565b634e487b7160e01b600052602160045260246000fd5b6001600160a01b03888116825287166020820152604081018690526060810185905260e06080820181905260009061304c90830186612f00565b6005851061305c5761305c612ffc565b8460a084015282810360c08401526130748185612f00565b9a9950505050505050505050565b60006020828403121561309457600080fd5b81356001600160e01b0319811681146130ac57600080fd5b9392505050565b805182526020810151602083015260006040820151606060408501526130dc6060850182612f00565b949350505050565b8b81526001600160a01b038b1660208201526101606040820181905260009061310f8382018d612f00565b90508281036060840152613123818c612f00565b90508281036080840152613137818b612f00565b90508860a084015287151560c08401528660e084015285151561010084015261316c6101208401866001600160a01b03169052565b82810361014084015261317f81856130b3565b9e9d5050505050505050505050505050565b6000602082840312156131a357600080fd5b6130ac82612ea8565b600481106131bc576131bc612ffc565b50565b60006101008083526131d38184018c612f00565b905082810360208401526131e7818b612f00565b905082810360408401526131fb818a612f00565b9050613206886131ac565b60608301889052608083018790526001600160a01b03861660a084015260c0830185905282810360e084015261323c8185612f00565b9b9a5050505050505050505050565b6000806040838503121561325e57600080fd5b50508035926020909101359150565b6020808252825182820181905260009190848201906040850190845b818110156132a557835183529284019291840191600101613289565b50909695505050505050565b6001600160a01b038a811682528981166020830152610120604083018190526000916132df8483018c612f00565b915089606085015288608085015287151560a085015286151560c085015280861660e0850152508281036101008401526133198185612f00565b9c9b505050505050505050505050565b6003811061333957613339612ffc565b9052565b600081518084526020808501808196508360051b8101915082860160005b858110156133c4578284038952815180516001600160a01b0316855285810151868601526040808201519086015260608082015115159086015260809081015160a0918601829052906133b081870183612f00565b9a87019a955050509084019060010161335b565b5091979650505050505050565b60006040808301818452808651808352606092508286019150828160051b8701016020808a0160005b8481101561346157898403605f19018652815180516001600160a01b031685528381015160809061342d86880182613329565b50898201518a870152888201519150808987015261344d81870183612f00565b9785019795505050908201906001016133fa565b505087820390880152613474818961333d565b9998505050505050505050565b6001600160a01b038616815260a0602082018190526000906134a590830187612f00565b90506134b0856131ac565b6040820194909452911515606083015260809091015292915050565b634e487b7160e01b600052604160045260246000fd5b600082601f8301126134f357600080fd5b813567ffffffffffffffff8082111561350e5761350e6134cc565b604051601f8301601f19908116603f01168101908282118183101715613536576135366134cc565b8160405283815286602085880101111561354f57600080fd5b836020870160208301376000602085830101528094505050505092915050565b6000806040838503121561358257600080fd5b82359150602083013567ffffffffffffffff8111156135a057600080fd5b6135ac858286016134e2565b9150509250929050565b6000806000606084860312156135cb57600080fd5b6135d484612ea8565b9250602084013567ffffffffffffffff8111156135f057600080fd5b6135fc868287016134e2565b925050604084013590509250925092565b613339816131ac565b602080825282516001600160a01b03168282015282015160009061364560408401826001600160a01b03169052565b506040830151610100806060850152613662610120850183612f00565b915060608501516080850152608085015160a085015260a085015161368a60c086018261360d565b5060c085015160e085015260e0850151601f1985840301828601526136af8382612f00565b9695505050505050565b600080604083850312156136cc57600080fd5b82359150612fc960208401612ea8565b600181811c908216806136f057607f821691505b60208210810361371057634e487b7160e01b600052602260045260246000fd5b50919050565b602080825260139082015272155cd95c881b9bdd081c9959da5cdd195c9959606a1b604082015260600190565b634e487b7160e01b600052603260045260246000fd5b634e487b7160e01b600052601160045260246000fd5b60006001820161378157613781613759565b5060010190565b601f82111561285857600081815260208120601f850160051c810160208610156137af5750805b601f850160051c820191505b8181101561270d578281556001016137bb565b815167ffffffffffffffff8111156137e8576137e86134cc565b6137fc816137f684546136dc565b84613788565b602080601f83116001811461383157600084156138195750858301515b600019600386901b1c1916600185901b17855561270d565b600085815260208120601f198616915b8281101561386057888601518255948401946001909101908401613841565b508582101561387e5787850151600019600388901b60f8161c191681555b5050505050600190811b01905550565b6020815260006130ac6020830184612f00565b8281526040602082015260006130dc6040830184612f00565b808201808211156126f8576126f8613759565b818103818111156126f8576126f8613759565b634e487b7160e01b600052603160045260246000fd5b6000808354613904816136dc565b6001828116801561391c576001811461393157613960565b60ff1984168752821515830287019450613960565b8760005260208060002060005b858110156139575781548a82015290840190820161393e565b50505082870194505b50929695505050505050565b6001600160a01b03851681526139856020820185613329565b8260408201526080606082015260006136af6080830184612f0056fea2646970667358221220b5a23a920a77a64882ae400f23352fa5687cbd489acd5fa33ba20ba0c7d18fab64736f6c63430008130033";
+
+type MedChainAccessConstructorParams =
+  | [signer?: Signer]
+  | ConstructorParameters<typeof ContractFactory>;
+
+const isSuperArgs = (
+  xs: MedChainAccessConstructorParams
+): xs is ConstructorParameters<typeof ContractFactory> => xs.length > 1;
+
+export class MedChainAccess__factory extends ContractFactory {
+  constructor(...args: MedChainAccessConstructorParams) {
+    if (isSuperArgs(args)) {
+      super(...args);
+    } else {
+      super(_abi, _bytecode, args[0]);
+    }
+  }
+
+  override getDeployTransaction(
+    overrides?: NonPayableOverrides & { from?: string }
+  ): Promise<ContractDeployTransaction> {
+    return super.getDeployTransaction(overrides || {});
+  }
+  override deploy(overrides?: NonPayableOverrides & { from?: string }) {
+    return super.deploy(overrides || {}) as Promise<
+      MedChainAccess & {
+        deploymentTransaction(): ContractTransactionResponse;
+      }
+    >;
+  }
+  override connect(runner: ContractRunner | null): MedChainAccess__factory {
+    return super.connect(runner) as MedChainAccess__factory;
+  }
+
+  static readonly bytecode = _bytecode;
+  static readonly abi = _abi;
+  static createInterface(): MedChainAccessInterface {
+    return new Interface(_abi) as MedChainAccessInterface;
+  }
+  static connect(
+    address: string,
+    runner?: ContractRunner | null
+  ): MedChainAccess {
+    return new Contract(address, _abi, runner) as unknown as MedChainAccess;
+  }
+}
@@ -0,0 +1,2388 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import {
+  Contract,
+  ContractFactory,
+  ContractTransactionResponse,
+  Interface,
+} from "ethers";
+import type { Signer, ContractDeployTransaction, ContractRunner } from "ethers";
+import type { NonPayableOverrides } from "../common";
+import type {
+  MedChainAdmins,
+  MedChainAdminsInterface,
+} from "../MedChainAdmins";
+
+const _abi = [
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "grantIndex",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+    ],
+    name: "AccessExtended",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+    ],
+    name: "AccessGranted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "requestId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+    ],
+    name: "AccessRequestApproved",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "requestId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    name: "AccessRequestDenied",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "requestId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "duration",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "purpose",
+        type: "string",
+      },
+    ],
+    name: "AccessRequested",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+    ],
+    name: "AccessRevoked",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "bytes32",
+        name: "actionId",
+        type: "bytes32",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "action",
+        type: "string",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "target",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "value",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "approver",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "approvals",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "required",
+        type: "uint256",
+      },
+    ],
+    name: "AdminActionApproved",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "bytes32",
+        name: "actionId",
+        type: "bytes32",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "action",
+        type: "string",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "target",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "value",
+        type: "uint256",
+      },
+    ],
+    name: "AdminActionExecuted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "account",
+        type: "address",
+      },
+    ],
+    name: "AdminAdded",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "quorum",
+        type: "uint256",
+      },
+    ],
+    name: "AdminQuorumChanged",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "account",
+        type: "address",
+      },
+    ],
+    name: "AdminRemoved",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "currentAdmin",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "pendingAdmin",
+        type: "address",
+      },
+    ],
+    name: "AdminTransferStarted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "previousAdmin",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "newAdmin",
+        type: "address",
+      },
+    ],
+    name: "AdminTransferred",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "recordType",
+        type: "string",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+    ],
+    name: "CategoryAccessGranted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "recordType",
+        type: "string",
+      },
+    ],
+    name: "CategoryAccessRevoked",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "licenseNumber",
+        type: "string",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "issuingAuthority",
+        type: "string",
+      },
+    ],
+    name: "DoctorApplicationSubmitted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "verifier",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    name: "DoctorRejected",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "verifier",
+        type: "address",
+      },
+    ],
+    name: "DoctorVerified",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "accessId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "justification",
+        type: "string",
+      },
+    ],
+    name: "EmergencyAccessInvoked",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "accessId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "reviewer",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "bool",
+        name: "justified",
+        type: "bool",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "notes",
+        type: "string",
+      },
+    ],
+    name: "EmergencyAccessReviewed",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: false,
+        internalType: "bool",
+        name: "status",
+        type: "bool",
+      },
+    ],
+    name: "EmergencyModeToggled",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "user",
+        type: "address",
+      },
+    ],
+    name: "EncryptionKeySet",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "extension",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "bytes4[]",
+        name: "selectors",
+        type: "bytes4[]",
+      },
+    ],
+    name: "ExtensionRouted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "reporter",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "details",
+        type: "string",
+      },
+    ],
+    name: "FileMismatchReported",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "guardian",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint8",
+        name: "powers",
+        type: "uint8",
+      },
+    ],
+    name: "GuardianAppointed",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "guardian",
+        type: "address",
+      },
+    ],
+    name: "GuardianRemoved",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "organization",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "name",
+        type: "string",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "owner",
+        type: "address",
+      },
+    ],
+    name: "OrganizationCreated",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "organization",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+    ],
+    name: "OrganizationMemberAdded",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "organization",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+    ],
+    name: "OrganizationMemberRemoved",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "organization",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "owner",
+        type: "address",
+      },
+    ],
+    name: "OrganizationOwnerChanged",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+    ],
+    name: "RecordAccessGranted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+    ],
+    name: "RecordAccessRevoked",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "accessor",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+    ],
+    name: "RecordAccessed",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "version",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    name: "RecordAmended",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    name: "RecordArchived",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "recordType",
+        type: "string",
+      },
+    ],
+    name: "RecordCreated",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "reader",
+        type: "address",
+      },
+    ],
+    name: "RecordKeyShared",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "proposalId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+    ],
+    name: "RecordProposalAccepted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "proposalId",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    name: "RecordProposalRejected",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "proposalId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "recordType",
+        type: "string",
+      },
+    ],
+    name: "RecordProposed",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+    ],
+    name: "RecordRestored",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "relayer",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "bool",
+        name: "enabled",
+        type: "bool",
+      },
+    ],
+    name: "RelayerUpdated",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "signer",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "relayer",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "nonce",
+        type: "uint256",
+      },
+    ],
+    name: "RequestRelayed",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "implementation",
+        type: "address",
+      },
+    ],
+    name: "Upgraded",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "userAddress",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "name",
+        type: "string",
+      },
+      {
+        indexed: false,
+        internalType: "enum MedChainBase.UserRole",
+        name: "role",
+        type: "uint8",
+      },
+    ],
+    name: "UserRegistered",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "verifier",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "bool",
+        name: "enabled",
+        type: "bool",
+      },
+    ],
+    name: "VerifierUpdated",
+    type: "event",
+  },
+  {
+    inputs: [],
+    name: "EMERGENCY_ACCESS_DURATION",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "GUARDIAN_CREATE_RECORDS",
+    outputs: [
+      {
+        internalType: "uint8",
+        name: "",
+        type: "uint8",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "GUARDIAN_MANAGE_ACCESS",
+    outputs: [
+      {
+        internalType: "uint8",
+        name: "",
+        type: "uint8",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "GUARDIAN_VIEW_AUDIT",
+    outputs: [
+      {
+        internalType: "uint8",
+        name: "",
+        type: "uint8",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "GUARDIAN_VIEW_RECORDS",
+    outputs: [
+      {
+        internalType: "uint8",
+        name: "",
+        type: "uint8",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "acceptAdmin",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "accessRequestCounter",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "_account",
+        type: "address",
+      },
+      {
+        internalType: "string",
+        name: "_name",
+        type: "string",
+      },
+    ],
+    name: "addAdmin",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "admin",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "",
+        type: "bytes32",
+      },
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "adminActionApprovals",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "",
+        type: "bytes32",
+      },
+    ],
+    name: "adminActionNonces",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "adminList",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "adminQuorum",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "admins",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "auditTrails",
+    outputs: [
+      {
+        internalType: "address",
+        name: "accessor",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "timestamp",
+        type: "uint256",
+      },
+      {
+        internalType: "string",
+        name: "action",
+        type: "string",
+      },
+      {
+        internalType: "enum MedChainBase.ActorType",
+        name: "actorType",
+        type: "uint8",
+      },
+      {
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "bytes32",
+        name: "",
+        type: "bytes32",
+      },
+    ],
+    name: "categoryPermissions",
+    outputs: [
+      {
+        internalType: "address",
+        name: "doctorAddress",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "grantedAt",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+      {
+        internalType: "bool",
+        name: "isActive",
+        type: "bool",
+      },
+      {
+        internalType: "string",
+        name: "purpose",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "doctorApplicants",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "doctorCredentials",
+    outputs: [
+      {
+        internalType: "string",
+        name: "licenseNumber",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "issuingAuthority",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "specialty",
+        type: "string",
+      },
+      {
+        internalType: "enum MedChainBase.VerificationStatus",
+        name: "status",
+        type: "uint8",
+      },
+      {
+        internalType: "uint256",
+        name: "submittedAt",
+        type: "uint256",
+      },
+      {
+        internalType: "address",
+        name: "reviewedBy",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "reviewedAt",
+        type: "uint256",
+      },
+      {
+        internalType: "string",
+        name: "rejectionReason",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "emergencyAccessCounter",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "emergencyAccesses",
+    outputs: [
+      {
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        internalType: "string",
+        name: "justification",
+        type: "string",
+      },
+      {
+        internalType: "uint256",
+        name: "invokedAt",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+      {
+        internalType: "bool",
+        name: "reviewed",
+        type: "bool",
+      },
+      {
+        internalType: "bool",
+        name: "justified",
+        type: "bool",
+      },
+      {
+        internalType: "address",
+        name: "reviewedBy",
+        type: "address",
+      },
+      {
+        internalType: "string",
+        name: "reviewNotes",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "emergencyMode",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes4",
+        name: "",
+        type: "bytes4",
+      },
+    ],
+    name: "extensions",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "string",
+        name: "_action",
+        type: "string",
+      },
+      {
+        internalType: "address",
+        name: "_target",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "_value",
+        type: "uint256",
+      },
+    ],
+    name: "getAdminActionStatus",
+    outputs: [
+      {
+        internalType: "bytes32",
+        name: "actionId",
+        type: "bytes32",
+      },
+      {
+        internalType: "uint256",
+        name: "approvals",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "required",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "getAdmins",
+    outputs: [
+      {
+        internalType: "address[]",
+        name: "",
+        type: "address[]",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "getSystemAuditTrail",
+    outputs: [
+      {
+        components: [
+          {
+            internalType: "address",
+            name: "accessor",
+            type: "address",
+          },
+          {
+            internalType: "address",
+            name: "patient",
+            type: "address",
+          },
+          {
+            internalType: "uint256",
+            name: "recordId",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "timestamp",
+            type: "uint256",
+          },
+          {
+            internalType: "string",
+            name: "action",
+            type: "string",
+          },
+          {
+            internalType: "enum MedChainBase.ActorType",
+            name: "actorType",
+            type: "uint8",
+          },
+          {
+            internalType: "string",
+            name: "reason",
+            type: "string",
+          },
+        ],
+        internalType: "struct MedChainBase.AuditLog[]",
+        name: "",
+        type: "tuple[]",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "getSystemStats",
+    outputs: [
+      {
+        components: [
+          {
+            internalType: "uint256",
+            name: "users",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "patients",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "doctors",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "verifiedDoctors",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "pendingDoctors",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "admins",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "organizations",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "records",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "emergencyAccesses",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "pendingEmergencyReviews",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "accessRequests",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "recordProposals",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "systemAuditEntries",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "adminQuorum",
+            type: "uint256",
+          },
+          {
+            internalType: "bool",
+            name: "emergencyMode",
+            type: "bool",
+          },
+        ],
+        internalType: "struct MedChainBase.SystemStats",
+        name: "stats",
+        type: "tuple",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "_offset",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "_limit",
+        type: "uint256",
+      },
+    ],
+    name: "getUsers",
+    outputs: [
+      {
+        components: [
+          {
+            internalType: "address",
+            name: "userAddress",
+            type: "address",
+          },
+          {
+            internalType: "string",
+            name: "name",
+            type: "string",
+          },
+          {
+            internalType: "enum MedChainBase.UserRole",
+            name: "role",
+            type: "uint8",
+          },
+          {
+            internalType: "bool",
+            name: "isRegistered",
+            type: "bool",
+          },
+          {
+            internalType: "uint256",
+            name: "registrationTime",
+            type: "uint256",
+          },
+        ],
+        internalType: "struct MedChainBase.User[]",
+        name: "page",
+        type: "tuple[]",
+      },
+      {
+        internalType: "uint256",
+        name: "total",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "latestEmergencyAccess",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address[]",
+        name: "_accounts",
+        type: "address[]",
+      },
+    ],
+    name: "listExistingUsers",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "patientAuditTrails",
+    outputs: [
+      {
+        internalType: "address",
+        name: "accessor",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "timestamp",
+        type: "uint256",
+      },
+      {
+        internalType: "string",
+        name: "action",
+        type: "string",
+      },
+      {
+        internalType: "enum MedChainBase.ActorType",
+        name: "actorType",
+        type: "uint8",
+      },
+      {
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "patientRecords",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "pendingAdmin",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "pendingEmergencyReviews",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "permissions",
+    outputs: [
+      {
+        internalType: "address",
+        name: "doctorAddress",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "grantedAt",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+      {
+        internalType: "bool",
+        name: "isActive",
+        type: "bool",
+      },
+      {
+        internalType: "string",
+        name: "purpose",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "recordCounter",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "recordPermissions",
+    outputs: [
+      {
+        internalType: "address",
+        name: "doctorAddress",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "grantedAt",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+      {
+        internalType: "bool",
+        name: "isActive",
+        type: "bool",
+      },
+      {
+        internalType: "string",
+        name: "purpose",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "recordProposalCounter",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "records",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        internalType: "address",
+        name: "patientAddress",
+        type: "address",
+      },
+      {
+        internalType: "string",
+        name: "ipfsHash",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "recordType",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "description",
+        type: "string",
+      },
+      {
+        internalType: "uint256",
+        name: "timestamp",
+        type: "uint256",
+      },
+      {
+        internalType: "bool",
+        name: "exists",
+        type: "bool",
+      },
+      {
+        internalType: "uint256",
+        name: "version",
+        type: "uint256",
+      },
+      {
+        internalType: "bool",
+        name: "archived",
+        type: "bool",
+      },
+      {
+        internalType: "address",
+        name: "author",
+        type: "address",
+      },
+      {
+        components: [
+          {
+            internalType: "bytes32",
+            name: "digest",
+            type: "bytes32",
+          },
+          {
+            internalType: "uint256",
+            name: "size",
+            type: "uint256",
+          },
+          {
+            internalType: "string",
+            name: "mimeType",
+            type: "string",
+          },
+        ],
+        internalType: "struct MedChainBase.RecordFile",
+        name: "file",
+        type: "tuple",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "_account",
+        type: "address",
+      },
+    ],
+    name: "removeAdmin",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "_quorum",
+        type: "uint256",
+      },
+    ],
+    name: "setAdminQuorum",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "systemAuditTrail",
+    outputs: [
+      {
+        internalType: "address",
+        name: "accessor",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "timestamp",
+        type: "uint256",
+      },
+      {
+        internalType: "string",
+        name: "action",
+        type: "string",
+      },
+      {
+        internalType: "enum MedChainBase.ActorType",
+        name: "actorType",
+        type: "uint8",
+      },
+      {
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "toggleEmergencyMode",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "_newAdmin",
+        type: "address",
+      },
+    ],
+    name: "transferAdmin",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "users",
+    outputs: [
+      {
+        internalType: "address",
+        name: "userAddress",
+        type: "address",
+      },
+      {
+        internalType: "string",
+        name: "name",
+        type: "string",
+      },
+      {
+        internalType: "enum MedChainBase.UserRole",
+        name: "role",
+        type: "uint8",
+      },
+      {
+        internalType: "bool",
+        name: "isRegistered",
+        type: "bool",
+      },
+      {
+        internalType: "uint256",
+        name: "registrationTime",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "verifiers",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+] as const;
+
+const _bytecode =
+  "0x608060405234801561001057600080fd5b50613c0b806100206000396000f3fe608060405234801561001057600080fd5b506004361061027f5760003560e01c80636b8df2a61161015c578063ad3afef8116100ce578063daae536811610087578063daae5368146106ec578063e182a682146106ff578063f274e2d114610712578063f7b1da471461071b578063f851a44014610749578063fd6c6d4a1461075c57600080fd5b8063ad3afef8146105e3578063ba008db0146105f8578063c0e197ef1461060b578063d16856ca1461061e578063d1ce59a714610631578063d4647321146106e457600080fd5b806392988760116101205780639298876014610573578063943700501461059357806394f0df611461059b57806397cfc6c7146105ae5780639da8e0db146105b6578063a87430ba146105bf57600080fd5b80636b8df2a6146104f95780636c8244871461050c57806375829def1461052f5780637599be5d14610542578063765fddf71461054b57600080fd5b806326782247116101f5578063393580b0116101b9578063393580b014610459578063429b62e51461046c5780634590e8ee1461048f57806345982a66146104a95780634c17b530146104ca578063670a4feb146104d257600080fd5b806326782247146103b357806329e82593146103c65780633082c4e0146103ef57806331ae450b1461041a578063344610671461042f57600080fd5b80631785f53c116102475780631785f53c1461031d5780631f9838b5146103305780632040e6561461034357806320cb268f1461037157806320f2ce9e146103845780632114ef1f146103aa57600080fd5b806303cf7d62146102845780630905f560146102a05780630e18b681146102c4578063108b7934146102ce57806311117fc8146102f2575b600080fd5b61028d601d5481565b6040519081526020015b60405180910390f35b600c546102b490600160a01b900460ff1681565b6040519015158152602001610297565b6102cc610765565b005b6102e16102dc3660046130c8565b6108a6565b60405161029795949392919061314a565b61030561030036600461318a565b61097e565b6040516001600160a01b039091168152602001610297565b6102cc61032b3660046131a3565b6109a8565b6102e161033e3660046131be565b610d31565b6103566103513660046132a8565b610d80565b60408051938452602084019290925290820152606001610297565b6102cc61037f3660046132ef565b610e04565b61039761039236600461339c565b610f4f565b60405161029797969594939291906133f0565b61028d61a8c081565b601554610305906001600160a01b031681565b6103056103d4366004613457565b600d602052600090815260409020546001600160a01b031681565b61028d6103fd3660046131be565b600f60209081526000928352604080842090915290825290205481565b6104226110d4565b6040516102979190613481565b61044261043d36600461318a565b611136565b6040516102979b9a999897969594939291906134ff565b61030561046736600461318a565b6113f1565b6102b461047a3660046131a3565b60126020526000908152604090205460ff1681565b610497600881565b60405160ff9091168152602001610297565b6104bc6104b73660046135ac565b611401565b6040516102979291906135de565b6102cc61167b565b6104e56104e03660046131a3565b6117ff565b60405161029798979695949392919061368e565b61039761050736600461339c565b611a72565b6102b461051a3660046131a3565b60096020526000908152604090205460ff1681565b6102cc61053d3660046131a3565b611a8e565b61028d600b5481565b61055e61055936600461318a565b611c94565b6040516102979998979695949392919061371a565b61028d61058136600461318a565b60166020526000908152604090205481565b610497600481565b61028d6105a936600461339c565b611e0f565b610497600281565b61028d602b5481565b6105d26105cd3660046131a3565b611e40565b604051610297959493929190613792565b6105eb611f08565b60405161029791906137dd565b61039761060636600461318a565b6120f6565b6102cc61061936600461318a565b61214c565b6102cc61062c3660046138b1565b612288565b610639612489565b6040516102979190815181526020808301519082015260408083015190820152606080830151908201526080808301519082015260a0808301519082015260c0808301519082015260e08083015190820152610100808301519082015261012080830151908201526101408083015190820152610160808301519082015261018080830151908201526101a080830151908201526101c0918201511515918101919091526101e00190565b610497600181565b61028d6106fa36600461318a565b6126c8565b6102e161070d3660046130c8565b6126e9565b61028d60115481565b6102b46107293660046138ff565b601760209081526000928352604080842090915290825290205460ff1681565b600c54610305906001600160a01b031681565b61028d60145481565b6015546001600160a01b031633146107bc5760405162461bcd60e51b81526020600482015260156024820152742737ba103a3432903832b73234b7339030b236b4b760591b60448201526064015b60405180910390fd5b3360009081526012602052604090205460ff1661080157610801336040518060400160405280600c81526020016b29bcb9ba32b69020b236b4b760a11b81525061273e565b600c80546001600160a01b0319808216331783556015805490911690556040805180820182529283526b20a1a1a2a82a2fa0a226a4a760a11b602080850191909152815190810190915260008082526001600160a01b039092169261086d9291849183916002906128d2565b60405133906001600160a01b038316907ff8ccb027dfcd135e000e9d45e6cc2d662578a8825d4c45b5e32e0adf67e79ec690600090a350565b6005602090815260009384526040808520825292845282842090528252902080546001820154600283015460038401546004850180546001600160a01b03909516959394929360ff909216926108fb90613922565b80601f016020809104026020016040519081016040528092919081815260200182805461092790613922565b80156109745780601f1061094957610100808354040283529160200191610974565b820191906000526020600020905b81548152906001019060200180831161095757829003601f168201915b5050505050905085565b6013818154811061098e57600080fd5b6000918252602090912001546001600160a01b0316905081565b3360009081526012602052604090205460ff166109d75760405162461bcd60e51b81526004016107b390613956565b6001600160a01b03811660009081526012602052604090205460ff16610a2e5760405162461bcd60e51b815260206004820152600c60248201526b2737ba1030b71030b236b4b760a11b60448201526064016107b3565b600c546001600160a01b0390811690821603610a8c5760405162461bcd60e51b815260206004820152601c60248201527f5472616e73666572207072696d6172792061646d696e2066697273740000000060448201526064016107b3565b601454601354610a9e90600190613998565b1015610ae55760405162461bcd60e51b8152602060048201526016602482015275131bddd95c881d1a19481c5d5bdc9d5b48199a5c9cdd60521b60448201526064016107b3565b610b156040518060400160405280600c81526020016b2922a6a7ab22afa0a226a4a760a11b8152508260006128e9565b15610d2e576001600160a01b0381166000908152601260205260408120805460ff191690555b601354811015610c4057816001600160a01b031660138281548110610b6257610b626139b1565b6000918252602090912001546001600160a01b031603610c2e5760138054610b8c90600190613998565b81548110610b9c57610b9c6139b1565b600091825260209091200154601380546001600160a01b039092169183908110610bc857610bc86139b1565b9060005260206000200160006101000a8154816001600160a01b0302191690836001600160a01b031602179055506013805480610c0757610c076139c7565b600082815260209020810160001990810180546001600160a01b0319169055019055610c40565b80610c38816139dd565b915050610b3b565b506001600160a01b038116600090815260208181526040808320600201805461ffff19169055603590915290205460ff1615610cb5576003600090815260366020527fbc2f57311c21670184a5dbcdfc5939827a8f57c97f69166be8694e2ce000cebc805491610caf836139f6565b91905055505b610cf960008260006040518060400160405280600c81526020016b2922a6a7ab22afa0a226a4a760a11b8152506002604051806020016040528060008152506128d2565b6040516001600160a01b038216907fa3b62bc36326052d97ea62d63c3d60308ed4c3ea8ac079dd8499f1e9c4f80c0f90600090a25b50565b60036020818152600093845260408085209091529183529120805460018201546002830154938301546004840180546001600160a01b03909416959294929360ff90921692916108fb90613922565b600080600080868686604051602001610d9b93929190613a0d565b60408051808303601f1901815282825280516020918201206000818152601683528390205491840181905291830152915060600160405160208183030381529060405280519060200120935083610df185612aec565b6014549350935093505093509350939050565b3360009081526012602052604090205460ff16610e335760405162461bcd60e51b81526004016107b390613956565b60005b8151811015610f4b57600080838381518110610e5457610e546139b1565b60200260200101516001600160a01b03166001600160a01b0316815260200190815260200160002060020160019054906101000a900460ff168015610ed3575060356000838381518110610eaa57610eaa6139b1565b6020908102919091018101516001600160a01b031682528101919091526040016000205460ff16155b15610f3957610f39828281518110610eed57610eed6139b1565b6020026020010151600080858581518110610f0a57610f0a6139b1565b6020908102919091018101516001600160a01b031682528101919091526040016000206002015460ff16612b72565b80610f43816139dd565b915050610e36565b5050565b60076020528160005260406000208181548110610f6b57600080fd5b6000918252602090912060079091020180546001820154600283015460038401546004850180546001600160a01b039586169850939094169550909390929091610fb490613922565b80601f0160208091040260200160405190810160405280929190818152602001828054610fe090613922565b801561102d5780601f106110025761010080835404028352916020019161102d565b820191906000526020600020905b81548152906001019060200180831161101057829003601f168201915b5050506005840154600685018054949560ff90921694919350915061105190613922565b80601f016020809104026020016040519081016040528092919081815260200182805461107d90613922565b80156110ca5780601f1061109f576101008083540402835291602001916110ca565b820191906000526020600020905b8154815290600101906020018083116110ad57829003601f168201915b5050505050905087565b6060601380548060200260200160405190810160405280929190818152602001828054801561112c57602002820191906000526020600020905b81546001600160a01b0316815260019091019060200180831161110e575b5050505050905090565b600260208190526000918252604090912080546001820154928201805491936001600160a01b0316929161116990613922565b80601f016020809104026020016040519081016040528092919081815260200182805461119590613922565b80156111e25780601f106111b7576101008083540402835291602001916111e2565b820191906000526020600020905b8154815290600101906020018083116111c557829003601f168201915b5050505050908060030180546111f790613922565b80601f016020809104026020016040519081016040528092919081815260200182805461122390613922565b80156112705780601f1061124557610100808354040283529160200191611270565b820191906000526020600020905b81548152906001019060200180831161125357829003601f168201915b50505050509080600401805461128590613922565b80601f01602080910402602001604051908101604052809291908181526020018280546112b190613922565b80156112fe5780601f106112d3576101008083540402835291602001916112fe565b820191906000526020600020905b8154815290600101906020018083116112e157829003601f168201915b505050506005830154600684015460078501546008860154604080516060810182526009890180548252600a8a01546020830152600b8a018054999a979960ff97881699509597968516966101009095046001600160a01b031695929391929184019161136a90613922565b80601f016020809104026020016040519081016040528092919081815260200182805461139690613922565b80156113e35780601f106113b8576101008083540402835291602001916113e3565b820191906000526020600020905b8154815290600101906020018083116113c657829003601f168201915b50505050508152505090508b565b600a818154811061098e57600080fd5b336000908152601260205260408120546060919060ff166114345760405162461bcd60e51b81526004016107b390613956565b506034546000816114458587613a3b565b10611450578161145a565b61145a8486613a3b565b905084811161146a576000611474565b6114748582613998565b67ffffffffffffffff81111561148c5761148c6131f1565b6040519080825280602002602001820160405280156114ef57816020015b6114dc6040805160a0810182526000808252606060208301529091820190815260006020820181905260409091015290565b8152602001906001900390816114aa5790505b50925060005b835181101561167257600080603461150d848a613a3b565b8154811061151d5761151d6139b1565b60009182526020808320909101546001600160a01b039081168452838201949094526040928301909120825160a08101909352805490931682526001830180549293929184019161156d90613922565b80601f016020809104026020016040519081016040528092919081815260200182805461159990613922565b80156115e65780601f106115bb576101008083540402835291602001916115e6565b820191906000526020600020905b8154815290600101906020018083116115c957829003601f168201915b5050509183525050600282015460209091019060ff16600381111561160d5761160d6133c6565b600381111561161e5761161e6133c6565b81526002820154610100900460ff16151560208201526003909101546040909101528451859083908110611654576116546139b1565b6020026020010181905250808061166a906139dd565b9150506114f5565b50509250929050565b3360009081526012602052604090205460ff166116aa5760405162461bcd60e51b81526004016107b390613956565b61170360405180604001604052806015815260200174544f47474c455f454d455247454e43595f4d4f444560581b8152506000600c60149054906101000a900460ff166116f85760016116fb565b60005b60ff166128e9565b156117fd57600c805460ff600160a01b808304821615810260ff60a01b1990931692909217928390556117ba92600092839283929190910416611774576040518060400160405280601681526020017544495341424c455f454d455247454e43595f4d4f444560501b8152506117a3565b60405180604001604052806015815260200174454e41424c455f454d455247454e43595f4d4f444560581b8152505b6002604051806020016040528060008152506128d2565b600c54604051600160a01b90910460ff16151581527fb8a34678623c94d0d3977ce6d4db867e7e96ffd365f2c0f677563f8dddd4c8409060200160405180910390a15b565b60086020526000908152604090208054819061181a90613922565b80601f016020809104026020016040519081016040528092919081815260200182805461184690613922565b80156118935780601f1061186857610100808354040283529160200191611893565b820191906000526020600020905b81548152906001019060200180831161187657829003601f168201915b5050505050908060010180546118a890613922565b80601f01602080910402602001604051908101604052809291908181526020018280546118d490613922565b80156119215780601f106118f657610100808354040283529160200191611921565b820191906000526020600020905b81548152906001019060200180831161190457829003601f168201915b50505050509080600201805461193690613922565b80601f016020809104026020016040519081016040528092919081815260200182805461196290613922565b80156119af5780601f10611984576101008083540402835291602001916119af565b820191906000526020600020905b81548152906001019060200180831161199257829003601f168201915b5050506003840154600485015460058601546006870154600788018054979860ff909516979396506001600160a01b03909216945092916119ef90613922565b80601f0160208091040260200160405190810160405280929190818152602001828054611a1b90613922565b8015611a685780601f10611a3d57610100808354040283529160200191611a68565b820191906000526020600020905b815481529060010190602001808311611a4b57829003601f168201915b5050505050905088565b60066020528160005260406000208181548110610f6b57600080fd5b3360009081526012602052604090205460ff16611abd5760405162461bcd60e51b81526004016107b390613956565b6001600160a01b03811615801590611ae35750600c546001600160a01b03828116911614155b611b1f5760405162461bcd60e51b815260206004820152600d60248201526c24b73b30b634b21030b236b4b760991b60448201526064016107b3565b6001600160a01b03811660009081526012602052604090205460ff1680611b6757506001600160a01b038116600090815260208190526040902060020154610100900460ff16155b611bb35760405162461bcd60e51b815260206004820152601a60248201527f4163636f756e7420616c7265616479207265676973746572656400000000000060448201526064016107b3565b611be56040518060400160405280600e81526020016d2a2920a729a322a92fa0a226a4a760911b8152508260006128e9565b15610d2e5780601560006101000a8154816001600160a01b0302191690836001600160a01b03160217905550611c5760008260006040518060400160405280600e81526020016d2a2920a729a322a92fa0a226a4a760911b8152506002604051806020016040528060008152506128d2565b600c546040516001600160a01b038084169216907fe5cd1c804f1c9cc6d7009e4c0fb532f0e2d8863524c3323a6b3790c3f80bf25c90600090a350565b600e602052600090815260409020805460018201546002830180546001600160a01b03938416949290931692611cc990613922565b80601f0160208091040260200160405190810160405280929190818152602001828054611cf590613922565b8015611d425780601f10611d1757610100808354040283529160200191611d42565b820191906000526020600020905b815481529060010190602001808311611d2557829003601f168201915b5050506003840154600485015460058601546006870180549697939692955060ff8083169550610100830416936001600160a01b03620100009093049290921692611d8c90613922565b80601f0160208091040260200160405190810160405280929190818152602001828054611db890613922565b8015611e055780601f10611dda57610100808354040283529160200191611e05565b820191906000526020600020905b815481529060010190602001808311611de857829003601f168201915b5050505050905089565b60016020528160005260406000208181548110611e2b57600080fd5b90600052602060002001600091509150505481565b600060208190529081526040902080546001820180546001600160a01b039092169291611e6c90613922565b80601f0160208091040260200160405190810160405280929190818152602001828054611e9890613922565b8015611ee55780601f10611eba57610100808354040283529160200191611ee5565b820191906000526020600020905b815481529060010190602001808311611ec857829003601f168201915b505050506002830154600390930154919260ff8082169361010090920416915085565b60606018805480602002602001604051908101604052809291908181526020016000905b828210156120ed5760008481526020908190206040805160e0810182526007860290920180546001600160a01b0390811684526001820154169383019390935260028301549082015260038201546060820152600482018054919291608084019190611f9790613922565b80601f0160208091040260200160405190810160405280929190818152602001828054611fc390613922565b80156120105780601f10611fe557610100808354040283529160200191612010565b820191906000526020600020905b815481529060010190602001808311611ff357829003601f168201915b5050509183525050600582015460209091019060ff166004811115612037576120376133c6565b6004811115612048576120486133c6565b815260200160068201805461205c90613922565b80601f016020809104026020016040519081016040528092919081815260200182805461208890613922565b80156120d55780601f106120aa576101008083540402835291602001916120d5565b820191906000526020600020905b8154815290600101906020018083116120b857829003601f168201915b50505050508152505081526020019060010190611f2c565b50505050905090565b6018818154811061210657600080fd5b6000918252602090912060079091020180546001820154600283015460038401546004850180546001600160a01b039586169750939094169491939092610fb490613922565b3360009081526012602052604090205460ff1661217b5760405162461bcd60e51b81526004016107b390613956565b60008111801561218d57506013548111155b6121ca5760405162461bcd60e51b815260206004820152600e60248201526d496e76616c69642071756f72756d60901b60448201526064016107b3565b6121fe6040518060400160405280601081526020016f5345545f41444d494e5f51554f52554d60801b8152506000836128e9565b15610d2e578060148190555061225260008060006040518060400160405280601081526020016f5345545f41444d494e5f51554f52554d60801b8152506002604051806020016040528060008152506128d2565b6040518181527ff0fdc38cab4edbf4ec80d3bc0b16565d49d17c278aac93f64952e1458561f6e09060200160405180910390a150565b3360009081526012602052604090205460ff166122b75760405162461bcd60e51b81526004016107b390613956565b6001600160a01b0382166122fd5760405162461bcd60e51b815260206004820152600d60248201526c24b73b30b634b21030b236b4b760991b60448201526064016107b3565b6001600160a01b03821660009081526012602052604090205460ff16156123595760405162461bcd60e51b815260206004820152601060248201526f20b63932b0b23c9030b71030b236b4b760811b60448201526064016107b3565b6001600160a01b038216600090815260208190526040902060020154610100900460ff16156123ca5760405162461bcd60e51b815260206004820152601a60248201527f4163636f756e7420616c7265616479207265676973746572656400000000000060448201526064016107b3565b60008151116124125760405162461bcd60e51b81526020600482015260146024820152734e616d652063616e6e6f7420626520656d70747960601b60448201526064016107b3565b6124486040518060400160405280600981526020016820a2222fa0a226a4a760b91b81525083838051906020012060001c6128e9565b15610f4b57612457828261273e565b610f4b60008360006040518060400160405280600981526020016820a2222fa0a226a4a760b91b8152506002866128d2565b612504604051806101e0016040528060008152602001600081526020016000815260200160008152602001600081526020016000815260200160008152602001600081526020016000815260200160008152602001600081526020016000815260200160008152602001600081526020016000151581525090565b60005b600a548110156125c857600060086000600a848154811061252a5761252a6139b1565b60009182526020808320909101546001600160a01b0316835282019290925260400190206003015460ff169050600281600381111561256b5761256b6133c6565b036125885760608301805190612580826139dd565b9052506125b5565b600181600381111561259c5761259c6133c6565b036125b557608083018051906125b1826139dd565b9052505b50806125c0816139dd565b915050612507565b507fc082cfcdc2bfeeffb970c9772df3384f481b69fbc495624ec92a9254cc4b32f05460208281019182527f49d58ea9a5daf69ab79ed6bff1f0de709220367fa3b259710db785f85d2077eb5460408401908152600360005260369091527fbc2f57311c21670184a5dbcdfc5939827a8f57c97f69166be8694e2ce000cebc5460a0840181905290519151909161265e91613a3b565b6126689190613a3b565b815260305460c0820152600b5460e0820152601154610100820152601054610120820152602b54610140820152601d546101608201526018546101808201526014546101a0820152600c54600160a01b900460ff1615156101c082015290565b601081815481106126d857600080fd5b600091825260209091200154905081565b6004602081815260009485526040808620825293855283852090529083529120805460018201546002830154600384015494840180546001600160a01b03909416959294919360ff909316926108fb90613922565b6001600160a01b038281166000818152601260209081526040808320805460ff19166001908117909155601380548083019091557f66de8ffda797e3de9c05e8fc57b3bf0ec28a930d40b0d285d93c06501cf6a0900180546001600160a01b03199081168717909155825160a08101845286815280850189815260038286015260608201849052426080830152968652938590529190932082518154909216919095161784559151919291908201906127f79082613a99565b50604082015160028201805460ff1916600183600381111561281b5761281b6133c6565b021790555060608201516002820180549115156101000261ff0019909216919091179055608090910151600391820155612856908390612b72565b816001600160a01b03167fc2e5d5da58bd71d1a2d14cdef02a4256d971b728088f8190d067ccfbae3bd73e826003604051612892929190613b59565b60405180910390a26040516001600160a01b038316907f44d6d25963f097ad14f29f06854a01f575648a1ef82f30e562ccd3889717e33990600090a25050565b6128e186868686338787612c47565b505050505050565b60008084848460405160200161290193929190613a0d565b60408051601f19818403018152828252805160209182012060008181526016835283812054838601839052858501528351808603850181526060909501845284519483019490942080855260178352838520338652909252919092205490925060ff16156129a45760405162461bcd60e51b815260206004820152601060248201526f105b1c9958591e48185c1c1c9bdd995960821b60448201526064016107b3565b60008181526017602090815260408083203384529091528120805460ff191660011790556129d182612aec565b9050612a1060008760006040518060400160405280601481526020017320a8282927ab22afa0a226a4a72fa0a1aa24a7a760611b81525060028c6128d2565b336001600160a01b0316866001600160a01b0316837f37d939b8a58253f78c446fb495199b400187ef6f368c7e3cefdbb388d9153b3e8a8986601454604051612a5c9493929190613b84565b60405180910390a4601454811015612a7a5760009350505050612ae5565b6000838152601660205260408120805491612a94836139dd565b9190505550856001600160a01b0316827f5082ea7bafc779488b77c5d326f0320e08bdd2eb6dbdf76a403694d92f30793b8988604051612ad5929190613bb3565b60405180910390a3600193505050505b9392505050565b6000805b601354811015612b6c5760008381526017602052604081206013805491929184908110612b1f57612b1f6139b1565b60009182526020808320909101546001600160a01b0316835282019290925260400190205460ff1615612b5a5781612b56816139dd565b9250505b80612b64816139dd565b915050612af0565b50919050565b6001600160a01b03821660009081526035602052604090205460ff16612bf8576001600160a01b0382166000818152603560205260408120805460ff191660019081179091556034805491820181559091527f46bddb1178e94d7f2892ff5f366840eb658911794f2c3a44c450aa2c505186c10180546001600160a01b03191690911790555b60366000826003811115612c0e57612c0e6133c6565b6003811115612c1f57612c1f6133c6565b81526020019081526020016000206000815480929190612c3e906139dd565b91905055505050565b60006040518060e00160405280856001600160a01b03168152602001896001600160a01b03168152602001878152602001428152602001868152602001846004811115612c9657612c966133c6565b815260209081018490526001600160a01b03808716600090815260068352604080822080546001818101835591845292859020865160079094020180549385166001600160a01b031994851617815594860151908501805491909416921691909117909155820151600282015560608201516003820155608082015191925082916004820190612d269082613a99565b5060a082015160058201805460ff19166001836004811115612d4a57612d4a6133c6565b021790555060c08201516006820190612d639082613a99565b5050506001600160a01b03871615801590612d905750836001600160a01b0316876001600160a01b031614155b15612e5d576001600160a01b03808816600090815260066020908152604080832080546001818101835591855293839020865160079095020180549486166001600160a01b03199586161781559286015190830180549190951693169290921790925582015160028201556060820151600382015560808201518291906004820190612e1c9082613a99565b5060a082015160058201805460ff19166001836004811115612e4057612e406133c6565b021790555060c08201516006820190612e599082613a99565b5050505b6001600160a01b03881615612f37576001600160a01b0380891660009081526007602081815260408084208054600181810183559186529483902087519590940290930180549486166001600160a01b031995861617815591860151928201805493909516929093169190911790925582015160028201556060820151600382015560808201518291906004820190612ef69082613a99565b5060a082015160058201805460ff19166001836004811115612f1a57612f1a6133c6565b021790555060c08201516006820190612f339082613a99565b5050505b6002836004811115612f4b57612f4b6133c6565b036130a25760188054600181018255600091909152815160079091027fb13d2d76d1f4b7be834882e410b3e3a8afaf69f83600ae24db354391d2378d2e810180546001600160a01b039384166001600160a01b031991821617825560208501517fb13d2d76d1f4b7be834882e410b3e3a8afaf69f83600ae24db354391d2378d2f840180549190951691161790925560408301517fb13d2d76d1f4b7be834882e410b3e3a8afaf69f83600ae24db354391d2378d3082015560608301517fb13d2d76d1f4b7be834882e410b3e3a8afaf69f83600ae24db354391d2378d3182015560808301518392917fb13d2d76d1f4b7be834882e410b3e3a8afaf69f83600ae24db354391d2378d3201906130619082613a99565b5060a082015160058201805460ff19166001836004811115613085576130856133c6565b021790555060c0820151600682019061309e9082613a99565b5050505b5050505050505050565b80356001600160a01b03811681146130c357600080fd5b919050565b6000806000606084860312156130dd57600080fd5b6130e6846130ac565b92506130f4602085016130ac565b9150604084013590509250925092565b6000815180845260005b8181101561312a5760208185018101518683018201520161310e565b506000602082860101526020601f19601f83011685010191505092915050565b60018060a01b0386168152846020820152836040820152821515606082015260a06080820152600061317f60a0830184613104565b979650505050505050565b60006020828403121561319c57600080fd5b5035919050565b6000602082840312156131b557600080fd5b612ae5826130ac565b600080604083850312156131d157600080fd5b6131da836130ac565b91506131e8602084016130ac565b90509250929050565b634e487b7160e01b600052604160045260246000fd5b604051601f8201601f1916810167ffffffffffffffff81118282101715613230576132306131f1565b604052919050565b600082601f83011261324957600080fd5b813567ffffffffffffffff811115613263576132636131f1565b613276601f8201601f1916602001613207565b81815284602083860101111561328b57600080fd5b816020850160208301376000918101602001919091529392505050565b6000806000606084860312156132bd57600080fd5b833567ffffffffffffffff8111156132d457600080fd5b6132e086828701613238565b9350506130f4602085016130ac565b6000602080838503121561330257600080fd5b823567ffffffffffffffff8082111561331a57600080fd5b818501915085601f83011261332e57600080fd5b813581811115613340576133406131f1565b8060051b9150613351848301613207565b818152918301840191848101908884111561336b57600080fd5b938501935b8385101561339057613381856130ac565b82529385019390850190613370565b98975050505050505050565b600080604083850312156133af57600080fd5b6133b8836130ac565b946020939093013593505050565b634e487b7160e01b600052602160045260246000fd5b600581106133ec576133ec6133c6565b9052565b6001600160a01b03888116825287166020820152604081018690526060810185905260e06080820181905260009061342a90830186613104565b61343760a08401866133dc565b82810360c08401526134498185613104565b9a9950505050505050505050565b60006020828403121561346957600080fd5b81356001600160e01b031981168114612ae557600080fd5b6020808252825182820181905260009190848201906040850190845b818110156134c25783516001600160a01b03168352928401929184019160010161349d565b50909695505050505050565b805182526020810151602083015260006040820151606060408501526134f76060850182613104565b949350505050565b8b81526001600160a01b038b1660208201526101606040820181905260009061352a8382018d613104565b9050828103606084015261353e818c613104565b90508281036080840152613552818b613104565b90508860a084015287151560c08401528660e08401528515156101008401526135876101208401866001600160a01b03169052565b82810361014084015261359a81856134ce565b9e9d5050505050505050505050505050565b600080604083850312156135bf57600080fd5b50508035926020909101359150565b60048110610d2e57610d2e6133c6565b60006040808301818452808651808352606092508286019150828160051b8701016020808a0160005b8481101561367957898403605f19018652815180516001600160a01b031685528381015160a08587018190529061364082880182613104565b91505089820151613650816135ce565b868b01528189015115158987015260809182015191909501529482019490820190600101613607565b50509690960196909652509295945050505050565b60006101008083526136a28184018c613104565b905082810360208401526136b6818b613104565b905082810360408401526136ca818a613104565b90506136d5886135ce565b60608301889052608083018790526001600160a01b03861660a084015260c0830185905282810360e084015261370b8185613104565b9b9a5050505050505050505050565b6001600160a01b038a811682528981166020830152610120604083018190526000916137488483018c613104565b915089606085015288608085015287151560a085015286151560c085015280861660e0850152508281036101008401526137828185613104565b9c9b505050505050505050505050565b6001600160a01b038616815260a0602082018190526000906137b690830187613104565b90506137c1856135ce565b6040820194909452911515606083015260809091015292915050565b60006020808301818452808551808352604092508286019150828160051b87010184880160005b838110156138a357888303603f19018552815180516001600160a01b03908116855288820151168885015286810151878501526060808201519085015260808082015160e0828701819052919061385d83880182613104565b9250505060a080830151613873828801826133dc565b505060c0808301519250858203818701525061388f8183613104565b968901969450505090860190600101613804565b509098975050505050505050565b600080604083850312156138c457600080fd5b6138cd836130ac565b9150602083013567ffffffffffffffff8111156138e957600080fd5b6138f585828601613238565b9150509250929050565b6000806040838503121561391257600080fd5b823591506131e8602084016130ac565b600181811c9082168061393657607f821691505b602082108103612b6c57634e487b7160e01b600052602260045260246000fd5b60208082526012908201527113db9b1e4818591b5a5b88185b1b1bddd95960721b604082015260600190565b634e487b7160e01b600052601160045260246000fd5b818103818111156139ab576139ab613982565b92915050565b634e487b7160e01b600052603260045260246000fd5b634e487b7160e01b600052603160045260246000fd5b6000600182016139ef576139ef613982565b5060010190565b600081613a0557613a05613982565b506000190190565b606081526000613a206060830186613104565b6001600160a01b039490941660208301525060400152919050565b808201808211156139ab576139ab613982565b601f821115613a9457600081815260208120601f850160051c81016020861015613a755750805b601f850160051c820191505b818110156128e157828155600101613a81565b505050565b815167ffffffffffffffff811115613ab357613ab36131f1565b613ac781613ac18454613922565b84613a4e565b602080601f831160018114613afc5760008415613ae45750858301515b600019600386901b1c1916600185901b1785556128e1565b600085815260208120601f198616915b82811015613b2b57888601518255948401946001909101908401613b0c565b5085821015613b495787850151600019600388901b60f8161c191681555b5050505050600190811b01905550565b604081526000613b6c6040830185613104565b9050613b77836135ce565b8260208301529392505050565b608081526000613b976080830187613104565b6020830195909552506040810192909252606090910152919050565b604081526000613bc66040830185613104565b9050826020830152939250505056fea264697066735822122030ee108f521cb138e459659c456c6060babed5933c018687fb915616a69fa39364736f6c63430008130033";
+
+type MedChainAdminsConstructorParams =
+  | [signer?: Signer]
+  | ConstructorParameters<typeof ContractFactory>;
+
+const isSuperArgs = (
+  xs: MedChainAdminsConstructorParams
+): xs is ConstructorParameters<typeof ContractFactory> => xs.length > 1;
+
+export class MedChainAdmins__factory extends ContractFactory {
+  constructor(...args: MedChainAdminsConstructorParams) {
+    if (isSuperArgs(args)) {
+      super(...args);
+    } else {
+      super(_abi, _bytecode, args[0]);
+    }
+  }
+
+  override getDeployTransaction(
+    overrides?: NonPayableOverrides & { from?: string }
+  ): Promise<ContractDeployTransaction> {
+    return super.getDeployTransaction(overrides || {});
+  }
+  override deploy(overrides?: NonPayableOverrides & { from?: string }) {
+    return super.deploy(overrides || {}) as Promise<
+      MedChainAdmins & {
+        deploymentTransaction(): ContractTransactionResponse;
+      }
+    >;
+  }
+  override connect(runner: ContractRunner | null): MedChainAdmins__factory {
+    return super.connect(runner) as MedChainAdmins__factory;
+  }
+
+  static readonly bytecode = _bytecode;
+  static readonly abi = _abi;
+  static createInterface(): MedChainAdminsInterface {
+    return new Interface(_abi) as MedChainAdminsInterface;
+  }
+  static connect(
+    address: string,
+    runner?: ContractRunner | null
+  ): MedChainAdmins {
+    return new Contract(address, _abi, runner) as unknown as MedChainAdmins;
+  }
+}
@@ -0,0 +1,2213 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import {
+  Contract,
+  ContractFactory,
+  ContractTransactionResponse,
+  Interface,
+} from "ethers";
+import type { Signer, ContractDeployTransaction, ContractRunner } from "ethers";
+import type { NonPayableOverrides } from "../common";
+import type {
+  MedChainCredentials,
+  MedChainCredentialsInterface,
+} from "../MedChainCredentials";
+
+const _abi = [
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "grantIndex",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+    ],
+    name: "AccessExtended",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+    ],
+    name: "AccessGranted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "requestId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+    ],
+    name: "AccessRequestApproved",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "requestId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    name: "AccessRequestDenied",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "requestId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "duration",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "purpose",
+        type: "string",
+      },
+    ],
+    name: "AccessRequested",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+    ],
+    name: "AccessRevoked",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "bytes32",
+        name: "actionId",
+        type: "bytes32",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "action",
+        type: "string",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "target",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "value",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "approver",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "approvals",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "required",
+        type: "uint256",
+      },
+    ],
+    name: "AdminActionApproved",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "bytes32",
+        name: "actionId",
+        type: "bytes32",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "action",
+        type: "string",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "target",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "value",
+        type: "uint256",
+      },
+    ],
+    name: "AdminActionExecuted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "account",
+        type: "address",
+      },
+    ],
+    name: "AdminAdded",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "quorum",
+        type: "uint256",
+      },
+    ],
+    name: "AdminQuorumChanged",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "account",
+        type: "address",
+      },
+    ],
+    name: "AdminRemoved",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "currentAdmin",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "pendingAdmin",
+        type: "address",
+      },
+    ],
+    name: "AdminTransferStarted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "previousAdmin",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "newAdmin",
+        type: "address",
+      },
+    ],
+    name: "AdminTransferred",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "recordType",
+        type: "string",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+    ],
+    name: "CategoryAccessGranted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "recordType",
+        type: "string",
+      },
+    ],
+    name: "CategoryAccessRevoked",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "licenseNumber",
+        type: "string",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "issuingAuthority",
+        type: "string",
+      },
+    ],
+    name: "DoctorApplicationSubmitted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "verifier",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    name: "DoctorRejected",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "verifier",
+        type: "address",
+      },
+    ],
+    name: "DoctorVerified",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "accessId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "justification",
+        type: "string",
+      },
+    ],
+    name: "EmergencyAccessInvoked",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "accessId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "reviewer",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "bool",
+        name: "justified",
+        type: "bool",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "notes",
+        type: "string",
+      },
+    ],
+    name: "EmergencyAccessReviewed",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: false,
+        internalType: "bool",
+        name: "status",
+        type: "bool",
+      },
+    ],
+    name: "EmergencyModeToggled",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "user",
+        type: "address",
+      },
+    ],
+    name: "EncryptionKeySet",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "extension",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "bytes4[]",
+        name: "selectors",
+        type: "bytes4[]",
+      },
+    ],
+    name: "ExtensionRouted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "reporter",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "details",
+        type: "string",
+      },
+    ],
+    name: "FileMismatchReported",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "guardian",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint8",
+        name: "powers",
+        type: "uint8",
+      },
+    ],
+    name: "GuardianAppointed",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "guardian",
+        type: "address",
+      },
+    ],
+    name: "GuardianRemoved",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "organization",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "name",
+        type: "string",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "owner",
+        type: "address",
+      },
+    ],
+    name: "OrganizationCreated",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "organization",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+    ],
+    name: "OrganizationMemberAdded",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "organization",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+    ],
+    name: "OrganizationMemberRemoved",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "organization",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "owner",
+        type: "address",
+      },
+    ],
+    name: "OrganizationOwnerChanged",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+    ],
+    name: "RecordAccessGranted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+    ],
+    name: "RecordAccessRevoked",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "accessor",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+    ],
+    name: "RecordAccessed",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "version",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    name: "RecordAmended",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    name: "RecordArchived",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "recordType",
+        type: "string",
+      },
+    ],
+    name: "RecordCreated",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "reader",
+        type: "address",
+      },
+    ],
+    name: "RecordKeyShared",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "proposalId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+    ],
+    name: "RecordProposalAccepted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "proposalId",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    name: "RecordProposalRejected",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "proposalId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "recordType",
+        type: "string",
+      },
+    ],
+    name: "RecordProposed",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+    ],
+    name: "RecordRestored",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "relayer",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "bool",
+        name: "enabled",
+        type: "bool",
+      },
+    ],
+    name: "RelayerUpdated",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "signer",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "relayer",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "nonce",
+        type: "uint256",
+      },
+    ],
+    name: "RequestRelayed",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "implementation",
+        type: "address",
+      },
+    ],
+    name: "Upgraded",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "userAddress",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "name",
+        type: "string",
+      },
+      {
+        indexed: false,
+        internalType: "enum MedChainBase.UserRole",
+        name: "role",
+        type: "uint8",
+      },
+    ],
+    name: "UserRegistered",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "verifier",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "bool",
+        name: "enabled",
+        type: "bool",
+      },
+    ],
+    name: "VerifierUpdated",
+    type: "event",
+  },
+  {
+    inputs: [],
+    name: "EMERGENCY_ACCESS_DURATION",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "GUARDIAN_CREATE_RECORDS",
+    outputs: [
+      {
+        internalType: "uint8",
+        name: "",
+        type: "uint8",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "GUARDIAN_MANAGE_ACCESS",
+    outputs: [
+      {
+        internalType: "uint8",
+        name: "",
+        type: "uint8",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "GUARDIAN_VIEW_AUDIT",
+    outputs: [
+      {
+        internalType: "uint8",
+        name: "",
+        type: "uint8",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "GUARDIAN_VIEW_RECORDS",
+    outputs: [
+      {
+        internalType: "uint8",
+        name: "",
+        type: "uint8",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "accessRequestCounter",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "admin",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "",
+        type: "bytes32",
+      },
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "adminActionApprovals",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "",
+        type: "bytes32",
+      },
+    ],
+    name: "adminActionNonces",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "adminList",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "adminQuorum",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "admins",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "_doctor",
+        type: "address",
+      },
+    ],
+    name: "approveDoctor",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "auditTrails",
+    outputs: [
+      {
+        internalType: "address",
+        name: "accessor",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "timestamp",
+        type: "uint256",
+      },
+      {
+        internalType: "string",
+        name: "action",
+        type: "string",
+      },
+      {
+        internalType: "enum MedChainBase.ActorType",
+        name: "actorType",
+        type: "uint8",
+      },
+      {
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "bytes32",
+        name: "",
+        type: "bytes32",
+      },
+    ],
+    name: "categoryPermissions",
+    outputs: [
+      {
+        internalType: "address",
+        name: "doctorAddress",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "grantedAt",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+      {
+        internalType: "bool",
+        name: "isActive",
+        type: "bool",
+      },
+      {
+        internalType: "string",
+        name: "purpose",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "doctorApplicants",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "doctorCredentials",
+    outputs: [
+      {
+        internalType: "string",
+        name: "licenseNumber",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "issuingAuthority",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "specialty",
+        type: "string",
+      },
+      {
+        internalType: "enum MedChainBase.VerificationStatus",
+        name: "status",
+        type: "uint8",
+      },
+      {
+        internalType: "uint256",
+        name: "submittedAt",
+        type: "uint256",
+      },
+      {
+        internalType: "address",
+        name: "reviewedBy",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "reviewedAt",
+        type: "uint256",
+      },
+      {
+        internalType: "string",
+        name: "rejectionReason",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "emergencyAccessCounter",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "emergencyAccesses",
+    outputs: [
+      {
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        internalType: "string",
+        name: "justification",
+        type: "string",
+      },
+      {
+        internalType: "uint256",
+        name: "invokedAt",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+      {
+        internalType: "bool",
+        name: "reviewed",
+        type: "bool",
+      },
+      {
+        internalType: "bool",
+        name: "justified",
+        type: "bool",
+      },
+      {
+        internalType: "address",
+        name: "reviewedBy",
+        type: "address",
+      },
+      {
+        internalType: "string",
+        name: "reviewNotes",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "emergencyMode",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes4",
+        name: "",
+        type: "bytes4",
+      },
+    ],
+    name: "extensions",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "_doctor",
+        type: "address",
+      },
+    ],
+    name: "getDoctorCredential",
+    outputs: [
+      {
+        components: [
+          {
+            internalType: "string",
+            name: "licenseNumber",
+            type: "string",
+          },
+          {
+            internalType: "string",
+            name: "issuingAuthority",
+            type: "string",
+          },
+          {
+            internalType: "string",
+            name: "specialty",
+            type: "string",
+          },
+          {
+            internalType: "enum MedChainBase.VerificationStatus",
+            name: "status",
+            type: "uint8",
+          },
+          {
+            internalType: "uint256",
+            name: "submittedAt",
+            type: "uint256",
+          },
+          {
+            internalType: "address",
+            name: "reviewedBy",
+            type: "address",
+          },
+          {
+            internalType: "uint256",
+            name: "reviewedAt",
+            type: "uint256",
+          },
+          {
+            internalType: "string",
+            name: "rejectionReason",
+            type: "string",
+          },
+        ],
+        internalType: "struct MedChainBase.DoctorCredential",
+        name: "",
+        type: "tuple",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "getPendingDoctorApplications",
+    outputs: [
+      {
+        internalType: "address[]",
+        name: "",
+        type: "address[]",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "latestEmergencyAccess",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "patientAuditTrails",
+    outputs: [
+      {
+        internalType: "address",
+        name: "accessor",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "timestamp",
+        type: "uint256",
+      },
+      {
+        internalType: "string",
+        name: "action",
+        type: "string",
+      },
+      {
+        internalType: "enum MedChainBase.ActorType",
+        name: "actorType",
+        type: "uint8",
+      },
+      {
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "patientRecords",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "pendingAdmin",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "pendingEmergencyReviews",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "permissions",
+    outputs: [
+      {
+        internalType: "address",
+        name: "doctorAddress",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "grantedAt",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+      {
+        internalType: "bool",
+        name: "isActive",
+        type: "bool",
+      },
+      {
+        internalType: "string",
+        name: "purpose",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "recordCounter",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "recordPermissions",
+    outputs: [
+      {
+        internalType: "address",
+        name: "doctorAddress",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "grantedAt",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+      {
+        internalType: "bool",
+        name: "isActive",
+        type: "bool",
+      },
+      {
+        internalType: "string",
+        name: "purpose",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "recordProposalCounter",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "records",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        internalType: "address",
+        name: "patientAddress",
+        type: "address",
+      },
+      {
+        internalType: "string",
+        name: "ipfsHash",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "recordType",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "description",
+        type: "string",
+      },
+      {
+        internalType: "uint256",
+        name: "timestamp",
+        type: "uint256",
+      },
+      {
+        internalType: "bool",
+        name: "exists",
+        type: "bool",
+      },
+      {
+        internalType: "uint256",
+        name: "version",
+        type: "uint256",
+      },
+      {
+        internalType: "bool",
+        name: "archived",
+        type: "bool",
+      },
+      {
+        internalType: "address",
+        name: "author",
+        type: "address",
+      },
+      {
+        components: [
+          {
+            internalType: "bytes32",
+            name: "digest",
+            type: "bytes32",
+          },
+          {
+            internalType: "uint256",
+            name: "size",
+            type: "uint256",
+          },
+          {
+            internalType: "string",
+            name: "mimeType",
+            type: "string",
+          },
+        ],
+        internalType: "struct MedChainBase.RecordFile",
+        name: "file",
+        type: "tuple",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "string",
+        name: "_name",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "_licenseNumber",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "_issuingAuthority",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "_specialty",
+        type: "string",
+      },
+    ],
+    name: "registerDoctor",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "_doctor",
+        type: "address",
+      },
+      {
+        internalType: "string",
+        name: "_reason",
+        type: "string",
+      },
+    ],
+    name: "rejectDoctor",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "_verifier",
+        type: "address",
+      },
+      {
+        internalType: "bool",
+        name: "_enabled",
+        type: "bool",
+      },
+    ],
+    name: "setVerifier",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "systemAuditTrail",
+    outputs: [
+      {
+        internalType: "address",
+        name: "accessor",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "timestamp",
+        type: "uint256",
+      },
+      {
+        internalType: "string",
+        name: "action",
+        type: "string",
+      },
+      {
+        internalType: "enum MedChainBase.ActorType",
+        name: "actorType",
+        type: "uint8",
+      },
+      {
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "users",
+    outputs: [
+      {
+        internalType: "address",
+        name: "userAddress",
+        type: "address",
+      },
+      {
+        internalType: "string",
+        name: "name",
+        type: "string",
+      },
+      {
+        internalType: "enum MedChainBase.UserRole",
+        name: "role",
+        type: "uint8",
+      },
+      {
+        internalType: "bool",
+        name: "isRegistered",
+        type: "bool",
+      },
+      {
+        internalType: "uint256",
+        name: "registrationTime",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "verifiers",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+] as const;
+
+const _bytecode =
+  "0x608060405234801561001057600080fd5b50612f3d806100206000396000f3fe608060405234801561001057600080fd5b506004361061023d5760003560e01c80636c8244871161013b578063ba008db0116100b8578063e536dee01161007c578063e536dee014610596578063f274e2d1146105b6578063f7b1da47146105bf578063f851a440146105ed578063fd6c6d4a1461060057600080fd5b8063ba008db014610540578063bb19534a14610553578063d464732114610568578063daae536814610570578063e182a6821461058357600080fd5b806394f0df61116100ff57806394f0df61146104e557806397cfc6c7146104f85780639da8e0db14610500578063a87430ba14610509578063ac9b56711461052d57600080fd5b80636c824487146104695780637599be5d1461048c578063765fddf71461049557806392988760146104bd57806394370050146104dd57600080fd5b80633082c4e0116101c9578063429b62e51161018d578063429b62e5146103df5780634590e8ee146104025780636160a5c21461041c578063670a4feb1461042f5780636b8df2a61461045657600080fd5b80633082c4e01461034f57806330ab126a1461037a57806333a8587f1461038f57806334461067146103a2578063393580b0146103cc57600080fd5b80631f9838b5116102105780631f9838b5146102d157806320f2ce9e146102e45780632114ef1f1461030a578063267822471461031357806329e825931461032657600080fd5b806303cf7d62146102425780630905f5601461025e578063108b79341461028257806311117fc8146102a6575b600080fd5b61024b601d5481565b6040519081526020015b60405180910390f35b600c5461027290600160a01b900460ff1681565b6040519015158152602001610255565b6102956102903660046125b3565b610609565b604051610255959493929190612635565b6102b96102b4366004612675565b6106e1565b6040516001600160a01b039091168152602001610255565b6102956102df36600461268e565b61070b565b6102f76102f23660046126c1565b61075a565b6040516102559796959493929190612701565b61024b61a8c081565b6015546102b9906001600160a01b031681565b6102b9610334366004612771565b600d602052600090815260409020546001600160a01b031681565b61024b61035d36600461268e565b600f60209081526000928352604080842090915290825290205481565b61038d610388366004612845565b6108df565b005b61038d61039d366004612893565b610ad4565b6103b56103b0366004612675565b610f25565b6040516102559b9a99989796959493929190612971565b6102b96103da366004612675565b6111e0565b6102726103ed366004612a1e565b60126020526000908152604090205460ff1681565b61040a600881565b60405160ff9091168152602001610255565b61038d61042a366004612a1e565b6111f0565b61044261043d366004612a1e565b611402565b604051610255989796959493929190612a59565b6102f76104643660046126c1565b611675565b610272610477366004612a1e565b60096020526000908152604090205460ff1681565b61024b600b5481565b6104a86104a3366004612675565b611691565b60405161025599989796959493929190612ae5565b61024b6104cb366004612675565b60166020526000908152604090205481565b61040a600481565b61024b6104f33660046126c1565b61180c565b61040a600281565b61024b602b5481565b61051c610517366004612a1e565b61183d565b604051610255959493929190612b5d565b61038d61053b366004612ba8565b611905565b6102f761054e366004612675565b611a84565b61055b611ada565b6040516102559190612be4565b61040a600181565b61024b61057e366004612675565b611c9a565b6102956105913660046125b3565b611cbb565b6105a96105a4366004612a1e565b611d10565b6040516102559190612c31565b61024b60115481565b6102726105cd366004612cf6565b601760209081526000928352604080842090915290825290205460ff1681565b600c546102b9906001600160a01b031681565b61024b60145481565b6005602090815260009384526040808520825292845282842090528252902080546001820154600283015460038401546004850180546001600160a01b03909516959394929360ff9092169261065e90612d19565b80601f016020809104026020016040519081016040528092919081815260200182805461068a90612d19565b80156106d75780601f106106ac576101008083540402835291602001916106d7565b820191906000526020600020905b8154815290600101906020018083116106ba57829003601f168201915b5050505050905085565b601381815481106106f157600080fd5b6000918252602090912001546001600160a01b0316905081565b60036020818152600093845260408085209091529183529120805460018201546002830154938301546004840180546001600160a01b03909416959294929360ff909216929161065e90612d19565b6007602052816000526040600020818154811061077657600080fd5b6000918252602090912060079091020180546001820154600283015460038401546004850180546001600160a01b0395861698509390941695509093909290916107bf90612d19565b80601f01602080910402602001604051908101604052809291908181526020018280546107eb90612d19565b80156108385780601f1061080d57610100808354040283529160200191610838565b820191906000526020600020905b81548152906001019060200180831161081b57829003601f168201915b5050506005840154600685018054949560ff90921694919350915061085c90612d19565b80601f016020809104026020016040519081016040528092919081815260200182805461088890612d19565b80156108d55780601f106108aa576101008083540402835291602001916108d5565b820191906000526020600020905b8154815290600101906020018083116108b857829003601f168201915b5050505050905087565b3360009081526012602052604090205460ff168061090c57503360009081526009602052604090205460ff165b6109565760405162461bcd60e51b815260206004820152601660248201527513db9b1e481d995c9a599a595c9cc8185b1b1bddd95960521b60448201526064015b60405180910390fd5b6001600160a01b0382166000908152600860205260409020600160038083015460ff1690811115610989576109896126eb565b146109cf5760405162461bcd60e51b81526020600482015260166024820152752737903832b73234b7339030b8383634b1b0ba34b7b760511b604482015260640161094d565b6000825111610a125760405162461bcd60e51b815260206004820152600f60248201526e1499585cdbdb881c995c5d5a5c9959608a1b604482015260640161094d565b6003818101805460ff191660018302179055506005810180546001600160a01b0319163317905542600682015560078101610a4d8382612d9e565b50610a8460008460006040518060400160405280600d81526020016c2922a522a1aa2fa227a1aa27a960991b815250600287611fe7565b336001600160a01b0316836001600160a01b03167fb19c713f4b97a2266aafecc7e1928a5118418fbc8542e1e9a5b80dfc41cf9fb284604051610ac79190612e5e565b60405180910390a3505050565b33600090815260086020908152604080832060030154918390529091206002015460ff91821691610100909104161580610b1f57506003816003811115610b1d57610b1d6126eb565b145b610b6b5760405162461bcd60e51b815260206004820152601760248201527f5573657220616c72656164792072656769737465726564000000000000000000604482015260640161094d565b6000855111610bb35760405162461bcd60e51b81526020600482015260146024820152734e616d652063616e6e6f7420626520656d70747960601b604482015260640161094d565b6000845111610c045760405162461bcd60e51b815260206004820152601760248201527f4c6963656e7365206e756d626572207265717569726564000000000000000000604482015260640161094d565b6000835111610c555760405162461bcd60e51b815260206004820152601a60248201527f49737375696e6720617574686f72697479207265717569726564000000000000604482015260640161094d565b6000816003811115610c6957610c696126eb565b03610cbe57600a80546001810182556000919091527fc65a7bb8d6351c1cf70c95a316cc6a92839c986682d98bc35f958f4883f9d2a80180546001600160a01b03191633908117909155610cbe906002611ffe565b6040805160a0810182523381526020810187905290810160028152600160208083018290524260409384015233600090815280825292909220835181546001600160a01b0319166001600160a01b039091161781559183015190820190610d259082612d9e565b50604082015160028201805460ff19166001836003811115610d4957610d496126eb565b021790555060608201518160020160016101000a81548160ff0219169083151502179055506080820151816003015590505060405180610100016040528085815260200184815260200183815260200160016003811115610dac57610dac6126eb565b81524260208083019190915260006040808401829052606084018290528051808401825282815260809094019390935233815260089091522081518190610df39082612d9e565b5060208201516001820190610e089082612d9e565b5060408201516002820190610e1d9082612d9e565b5060608201518160030160006101000a81548160ff02191690836003811115610e4857610e486126eb565b02179055506080820151600482015560a08201516005820180546001600160a01b0319166001600160a01b0390921691909117905560c0820151600682015560e08201516007820190610e9b9082612d9e565b50506040513391507fc2e5d5da58bd71d1a2d14cdef02a4256d971b728088f8190d067ccfbae3bd73e90610ed3908890600290612e71565b60405180910390a2336001600160a01b03167f9d212b9aaec2527ee4b2e1f34f6e9af7930c16a17fc18bf950bde4dbeecb5d768585604051610f16929190612e9c565b60405180910390a25050505050565b600260208190526000918252604090912080546001820154928201805491936001600160a01b03169291610f5890612d19565b80601f0160208091040260200160405190810160405280929190818152602001828054610f8490612d19565b8015610fd15780601f10610fa657610100808354040283529160200191610fd1565b820191906000526020600020905b815481529060010190602001808311610fb457829003601f168201915b505050505090806003018054610fe690612d19565b80601f016020809104026020016040519081016040528092919081815260200182805461101290612d19565b801561105f5780601f106110345761010080835404028352916020019161105f565b820191906000526020600020905b81548152906001019060200180831161104257829003601f168201915b50505050509080600401805461107490612d19565b80601f01602080910402602001604051908101604052809291908181526020018280546110a090612d19565b80156110ed5780601f106110c2576101008083540402835291602001916110ed565b820191906000526020600020905b8154815290600101906020018083116110d057829003601f168201915b505050506005830154600684015460078501546008860154604080516060810182526009890180548252600a8a01546020830152600b8a018054999a979960ff97881699509597968516966101009095046001600160a01b031695929391929184019161115990612d19565b80601f016020809104026020016040519081016040528092919081815260200182805461118590612d19565b80156111d25780601f106111a7576101008083540402835291602001916111d2565b820191906000526020600020905b8154815290600101906020018083116111b557829003601f168201915b50505050508152505090508b565b600a81815481106106f157600080fd5b3360009081526012602052604090205460ff168061121d57503360009081526009602052604090205460ff165b6112625760405162461bcd60e51b815260206004820152601660248201527513db9b1e481d995c9a599a595c9cc8185b1b1bddd95960521b604482015260640161094d565b6001600160a01b0381166000908152600860205260409020600160038083015460ff1690811115611295576112956126eb565b146112db5760405162461bcd60e51b81526020600482015260166024820152752737903832b73234b7339030b8383634b1b0ba34b7b760511b604482015260640161094d565b600381018054600260ff1990911681179091556005820180546001600160a01b0319163317905542600683015560408051808201909152600d81526c2b22a924a32cafa227a1aa27a960991b602082015282546113c8926000928692849290879061134590612d19565b80601f016020809104026020016040519081016040528092919081815260200182805461137190612d19565b80156113be5780601f10611393576101008083540402835291602001916113be565b820191906000526020600020905b8154815290600101906020018083116113a157829003601f168201915b5050505050611fe7565b60405133906001600160a01b038416907fd5ee64cc05b0be498b4d26e3260e3df119d9bc6c6bac2e8a912351bbf36ee15190600090a35050565b60086020526000908152604090208054819061141d90612d19565b80601f016020809104026020016040519081016040528092919081815260200182805461144990612d19565b80156114965780601f1061146b57610100808354040283529160200191611496565b820191906000526020600020905b81548152906001019060200180831161147957829003601f168201915b5050505050908060010180546114ab90612d19565b80601f01602080910402602001604051908101604052809291908181526020018280546114d790612d19565b80156115245780601f106114f957610100808354040283529160200191611524565b820191906000526020600020905b81548152906001019060200180831161150757829003601f168201915b50505050509080600201805461153990612d19565b80601f016020809104026020016040519081016040528092919081815260200182805461156590612d19565b80156115b25780601f10611587576101008083540402835291602001916115b2565b820191906000526020600020905b81548152906001019060200180831161159557829003601f168201915b5050506003840154600485015460058601546006870154600788018054979860ff909516979396506001600160a01b03909216945092916115f290612d19565b80601f016020809104026020016040519081016040528092919081815260200182805461161e90612d19565b801561166b5780601f106116405761010080835404028352916020019161166b565b820191906000526020600020905b81548152906001019060200180831161164e57829003601f168201915b5050505050905088565b6006602052816000526040600020818154811061077657600080fd5b600e602052600090815260409020805460018201546002830180546001600160a01b039384169492909316926116c690612d19565b80601f01602080910402602001604051908101604052809291908181526020018280546116f290612d19565b801561173f5780601f106117145761010080835404028352916020019161173f565b820191906000526020600020905b81548152906001019060200180831161172257829003601f168201915b5050506003840154600485015460058601546006870180549697939692955060ff8083169550610100830416936001600160a01b0362010000909304929092169261178990612d19565b80601f01602080910402602001604051908101604052809291908181526020018280546117b590612d19565b80156118025780601f106117d757610100808354040283529160200191611802565b820191906000526020600020905b8154815290600101906020018083116117e557829003601f168201915b5050505050905089565b6001602052816000526040600020818154811061182857600080fd5b90600052602060002001600091509150505481565b600060208190529081526040902080546001820180546001600160a01b03909216929161186990612d19565b80601f016020809104026020016040519081016040528092919081815260200182805461189590612d19565b80156118e25780601f106118b7576101008083540402835291602001916118e2565b820191906000526020600020905b8154815290600101906020018083116118c557829003601f168201915b505050506002830154600390930154919260ff8082169361010090920416915085565b3360009081526012602052604090205460ff166119595760405162461bcd60e51b815260206004820152601260248201527113db9b1e4818591b5a5b88185b1b1bddd95960721b604482015260640161094d565b6001600160a01b0382166119a25760405162461bcd60e51b815260206004820152601060248201526f24b73b30b634b2103b32b934b334b2b960811b604482015260640161094d565b6001600160a01b0382166000908152600960205260408120805460ff1916831515179055611a3b908381846119fe576040518060400160405280600f81526020016e2922a6a7ab22afab22a924a324a2a960891b815250611a24565b6040518060400160405280600c81526020016b20a2222fab22a924a324a2a960a11b8152505b600260405180602001604052806000815250611fe7565b816001600160a01b03167fba5f7031ad83095931ee4b5138591db2dc3cfc56178367622fa4b05c2efad23182604051611a78911515815260200190565b60405180910390a25050565b60188181548110611a9457600080fd5b6000918252602090912060079091020180546001820154600283015460038401546004850180546001600160a01b0395861697509390941694919390926107bf90612d19565b60606000805b600a54811015611b6557600160086000600a8481548110611b0357611b03612eca565b60009182526020808320909101546001600160a01b03168352820192909252604001902060039081015460ff1690811115611b4057611b406126eb565b03611b535781611b4f81612ee0565b9250505b80611b5d81612ee0565b915050611ae0565b5060008167ffffffffffffffff811115611b8157611b816127a2565b604051908082528060200260200182016040528015611baa578160200160208202803683370190505b5090506000805b600a54811015611c9157600160086000600a8481548110611bd457611bd4612eca565b60009182526020808320909101546001600160a01b03168352820192909252604001902060039081015460ff1690811115611c1157611c116126eb565b03611c7f57600a8181548110611c2957611c29612eca565b9060005260206000200160009054906101000a90046001600160a01b0316838381518110611c5957611c59612eca565b6001600160a01b039092166020928302919091019091015281611c7b81612ee0565b9250505b80611c8981612ee0565b915050611bb1565b50909392505050565b60108181548110611caa57600080fd5b600091825260209091200154905081565b6004602081815260009485526040808620825293855283852090529083529120805460018201546002830154600384015494840180546001600160a01b03909416959294919360ff9093169261065e90612d19565b611d18612538565b6001600160a01b0382166000908152600860205260409081902081516101008101909252805482908290611d4b90612d19565b80601f0160208091040260200160405190810160405280929190818152602001828054611d7790612d19565b8015611dc45780601f10611d9957610100808354040283529160200191611dc4565b820191906000526020600020905b815481529060010190602001808311611da757829003601f168201915b50505050508152602001600182018054611ddd90612d19565b80601f0160208091040260200160405190810160405280929190818152602001828054611e0990612d19565b8015611e565780601f10611e2b57610100808354040283529160200191611e56565b820191906000526020600020905b815481529060010190602001808311611e3957829003601f168201915b50505050508152602001600282018054611e6f90612d19565b80601f0160208091040260200160405190810160405280929190818152602001828054611e9b90612d19565b8015611ee85780601f10611ebd57610100808354040283529160200191611ee8565b820191906000526020600020905b815481529060010190602001808311611ecb57829003601f168201915b505050918352505060038281015460209092019160ff1690811115611f0f57611f0f6126eb565b6003811115611f2057611f206126eb565b81526004820154602082015260058201546001600160a01b0316604082015260068201546060820152600782018054608090920191611f5e90612d19565b80601f0160208091040260200160405190810160405280929190818152602001828054611f8a90612d19565b8015611fd75780601f10611fac57610100808354040283529160200191611fd7565b820191906000526020600020905b815481529060010190602001808311611fba57829003601f168201915b5050505050815250509050919050565b611ff6868686863387876120d3565b505050505050565b6001600160a01b03821660009081526035602052604090205460ff16612084576001600160a01b0382166000818152603560205260408120805460ff191660019081179091556034805491820181559091527f46bddb1178e94d7f2892ff5f366840eb658911794f2c3a44c450aa2c505186c10180546001600160a01b03191690911790555b6036600082600381111561209a5761209a6126eb565b60038111156120ab576120ab6126eb565b815260200190815260200160002060008154809291906120ca90612ee0565b91905055505050565b60006040518060e00160405280856001600160a01b03168152602001896001600160a01b03168152602001878152602001428152602001868152602001846004811115612122576121226126eb565b815260209081018490526001600160a01b03808716600090815260068352604080822080546001818101835591845292859020865160079094020180549385166001600160a01b0319948516178155948601519085018054919094169216919091179091558201516002820155606082015160038201556080820151919250829160048201906121b29082612d9e565b5060a082015160058201805460ff191660018360048111156121d6576121d66126eb565b021790555060c082015160068201906121ef9082612d9e565b5050506001600160a01b0387161580159061221c5750836001600160a01b0316876001600160a01b031614155b156122e9576001600160a01b03808816600090815260066020908152604080832080546001818101835591855293839020865160079095020180549486166001600160a01b031995861617815592860151908301805491909516931692909217909255820151600282015560608201516003820155608082015182919060048201906122a89082612d9e565b5060a082015160058201805460ff191660018360048111156122cc576122cc6126eb565b021790555060c082015160068201906122e59082612d9e565b5050505b6001600160a01b038816156123c3576001600160a01b0380891660009081526007602081815260408084208054600181810183559186529483902087519590940290930180549486166001600160a01b0319958616178155918601519282018054939095169290931691909117909255820151600282015560608201516003820155608082015182919060048201906123829082612d9e565b5060a082015160058201805460ff191660018360048111156123a6576123a66126eb565b021790555060c082015160068201906123bf9082612d9e565b5050505b60028360048111156123d7576123d76126eb565b0361252e5760188054600181018255600091909152815160079091027fb13d2d76d1f4b7be834882e410b3e3a8afaf69f83600ae24db354391d2378d2e810180546001600160a01b039384166001600160a01b031991821617825560208501517fb13d2d76d1f4b7be834882e410b3e3a8afaf69f83600ae24db354391d2378d2f840180549190951691161790925560408301517fb13d2d76d1f4b7be834882e410b3e3a8afaf69f83600ae24db354391d2378d3082015560608301517fb13d2d76d1f4b7be834882e410b3e3a8afaf69f83600ae24db354391d2378d3182015560808301518392917fb13d2d76d1f4b7be834882e410b3e3a8afaf69f83600ae24db354391d2378d3201906124ed9082612d9e565b5060a082015160058201805460ff19166001836004811115612511576125116126eb565b021790555060c0820151600682019061252a9082612d9e565b5050505b5050505050505050565b6040518061010001604052806060815260200160608152602001606081526020016000600381111561256c5761256c6126eb565b81526020016000815260200160006001600160a01b0316815260200160008152602001606081525090565b80356001600160a01b03811681146125ae57600080fd5b919050565b6000806000606084860312156125c857600080fd5b6125d184612597565b92506125df60208501612597565b9150604084013590509250925092565b6000815180845260005b81811015612615576020818501810151868301820152016125f9565b506000602082860101526020601f19601f83011685010191505092915050565b60018060a01b0386168152846020820152836040820152821515606082015260a06080820152600061266a60a08301846125ef565b979650505050505050565b60006020828403121561268757600080fd5b5035919050565b600080604083850312156126a157600080fd5b6126aa83612597565b91506126b860208401612597565b90509250929050565b600080604083850312156126d457600080fd5b6126dd83612597565b946020939093013593505050565b634e487b7160e01b600052602160045260246000fd5b6001600160a01b03888116825287166020820152604081018690526060810185905260e06080820181905260009061273b908301866125ef565b6005851061274b5761274b6126eb565b8460a084015282810360c084015261276381856125ef565b9a9950505050505050505050565b60006020828403121561278357600080fd5b81356001600160e01b03198116811461279b57600080fd5b9392505050565b634e487b7160e01b600052604160045260246000fd5b600082601f8301126127c957600080fd5b813567ffffffffffffffff808211156127e4576127e46127a2565b604051601f8301601f19908116603f0116810190828211818310171561280c5761280c6127a2565b8160405283815286602085880101111561282557600080fd5b836020870160208301376000602085830101528094505050505092915050565b6000806040838503121561285857600080fd5b61286183612597565b9150602083013567ffffffffffffffff81111561287d57600080fd5b612889858286016127b8565b9150509250929050565b600080600080608085870312156128a957600080fd5b843567ffffffffffffffff808211156128c157600080fd5b6128cd888389016127b8565b955060208701359150808211156128e357600080fd5b6128ef888389016127b8565b9450604087013591508082111561290557600080fd5b612911888389016127b8565b9350606087013591508082111561292757600080fd5b50612934878288016127b8565b91505092959194509250565b8051825260208101516020830152600060408201516060604085015261296960608501826125ef565b949350505050565b8b81526001600160a01b038b1660208201526101606040820181905260009061299c8382018d6125ef565b905082810360608401526129b0818c6125ef565b905082810360808401526129c4818b6125ef565b90508860a084015287151560c08401528660e08401528515156101008401526129f96101208401866001600160a01b03169052565b828103610140840152612a0c8185612940565b9e9d5050505050505050505050505050565b600060208284031215612a3057600080fd5b61279b82612597565b60048110612a4957612a496126eb565b50565b612a5581612a39565b9052565b6000610100808352612a6d8184018c6125ef565b90508281036020840152612a81818b6125ef565b90508281036040840152612a95818a6125ef565b9050612aa088612a39565b60608301889052608083018790526001600160a01b03861660a084015260c0830185905282810360e0840152612ad681856125ef565b9b9a5050505050505050505050565b6001600160a01b038a81168252898116602083015261012060408301819052600091612b138483018c6125ef565b915089606085015288608085015287151560a085015286151560c085015280861660e085015250828103610100840152612b4d81856125ef565b9c9b505050505050505050505050565b6001600160a01b038616815260a060208201819052600090612b81908301876125ef565b9050612b8c85612a39565b6040820194909452911515606083015260809091015292915050565b60008060408385031215612bbb57600080fd5b612bc483612597565b915060208301358015158114612bd957600080fd5b809150509250929050565b6020808252825182820181905260009190848201906040850190845b81811015612c255783516001600160a01b031683529284019291840191600101612c00565b50909695505050505050565b6020815260008251610100806020850152612c506101208501836125ef565b91506020850151601f1980868503016040870152612c6e84836125ef565b93506040870151915080868503016060870152612c8b84836125ef565b935060608701519150612ca16080870183612a4c565b608087015160a087015260a08701519150612cc760c08701836001600160a01b03169052565b60c087015160e087015260e0870151915080868503018387015250612cec83826125ef565b9695505050505050565b60008060408385031215612d0957600080fd5b823591506126b860208401612597565b600181811c90821680612d2d57607f821691505b602082108103612d4d57634e487b7160e01b600052602260045260246000fd5b50919050565b601f821115612d9957600081815260208120601f850160051c81016020861015612d7a5750805b601f850160051c820191505b81811015611ff657828155600101612d86565b505050565b815167ffffffffffffffff811115612db857612db86127a2565b612dcc81612dc68454612d19565b84612d53565b602080601f831160018114612e015760008415612de95750858301515b600019600386901b1c1916600185901b178555611ff6565b600085815260208120601f198616915b82811015612e3057888601518255948401946001909101908401612e11565b5085821015612e4e5787850151600019600388901b60f8161c191681555b5050505050600190811b01905550565b60208152600061279b60208301846125ef565b604081526000612e8460408301856125ef565b9050612e8f83612a39565b8260208301529392505050565b604081526000612eaf60408301856125ef565b8281036020840152612ec181856125ef565b95945050505050565b634e487b7160e01b600052603260045260246000fd5b600060018201612f0057634e487b7160e01b600052601160045260246000fd5b506001019056fea2646970667358221220db74fc915c91da8f353eb68ce64f825c95f5a10ba011ed8c817c75ecfa1361aa64736f6c63430008130033";
+
+type MedChainCredentialsConstructorParams =
+  | [signer?: Signer]
+  | ConstructorParameters<typeof ContractFactory>;
+
+const isSuperArgs = (
+  xs: MedChainCredentialsConstructorParams
+): xs is ConstructorParameters<typeof ContractFactory> => xs.length > 1;
+
+export class MedChainCredentials__factory extends ContractFactory {
+  constructor(...args: MedChainCredentialsConstructorParams) {
+    if (isSuperArgs(args)) {
+      super(...args);
+    } else {
+      super(_abi, _bytecode, args[0]);
+    }
+  }
+
+  override getDeployTransaction(
+    overrides?: NonPayableOverrides & { from?: string }
+  ): Promise<ContractDeployTransaction> {
+    return super.getDeployTransaction(overrides || {});
+  }
+  override deploy(overrides?: NonPayableOverrides & { from?: string }) {
+    return super.deploy(overrides || {}) as Promise<
+      MedChainCredentials & {
+        deploymentTransaction(): ContractTransactionResponse;
+      }
+    >;
+  }
+  override connect(
+    runner: ContractRunner | null
+  ): MedChainCredentials__factory {
+    return super.connect(runner) as MedChainCredentials__factory;
+  }
+
+  static readonly bytecode = _bytecode;
+  static readonly abi = _abi;
+  static createInterface(): MedChainCredentialsInterface {
+    return new Interface(_abi) as MedChainCredentialsInterface;
+  }
+  static connect(
+    address: string,
+    runner?: ContractRunner | null
+  ): MedChainCredentials {
+    return new Contract(
+      address,
+      _abi,
+      runner
+    ) as unknown as MedChainCredentials;
+  }
+}
@@ -0,0 +1,2216 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import {
+  Contract,
+  ContractFactory,
+  ContractTransactionResponse,
+  Interface,
+} from "ethers";
+import type { Signer, ContractDeployTransaction, ContractRunner } from "ethers";
+import type { NonPayableOverrides } from "../common";
+import type {
+  MedChainEmergency,
+  MedChainEmergencyInterface,
+} from "../MedChainEmergency";
+
+const _abi = [
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "grantIndex",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+    ],
+    name: "AccessExtended",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+    ],
+    name: "AccessGranted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "requestId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+    ],
+    name: "AccessRequestApproved",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "requestId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    name: "AccessRequestDenied",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "requestId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "duration",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "purpose",
+        type: "string",
+      },
+    ],
+    name: "AccessRequested",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+    ],
+    name: "AccessRevoked",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "bytes32",
+        name: "actionId",
+        type: "bytes32",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "action",
+        type: "string",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "target",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "value",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "approver",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "approvals",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "required",
+        type: "uint256",
+      },
+    ],
+    name: "AdminActionApproved",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "bytes32",
+        name: "actionId",
+        type: "bytes32",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "action",
+        type: "string",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "target",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "value",
+        type: "uint256",
+      },
+    ],
+    name: "AdminActionExecuted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "account",
+        type: "address",
+      },
+    ],
+    name: "AdminAdded",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "quorum",
+        type: "uint256",
+      },
+    ],
+    name: "AdminQuorumChanged",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "account",
+        type: "address",
+      },
+    ],
+    name: "AdminRemoved",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "currentAdmin",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "pendingAdmin",
+        type: "address",
+      },
+    ],
+    name: "AdminTransferStarted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "previousAdmin",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "newAdmin",
+        type: "address",
+      },
+    ],
+    name: "AdminTransferred",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "recordType",
+        type: "string",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+    ],
+    name: "CategoryAccessGranted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "recordType",
+        type: "string",
+      },
+    ],
+    name: "CategoryAccessRevoked",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "licenseNumber",
+        type: "string",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "issuingAuthority",
+        type: "string",
+      },
+    ],
+    name: "DoctorApplicationSubmitted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "verifier",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    name: "DoctorRejected",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "verifier",
+        type: "address",
+      },
+    ],
+    name: "DoctorVerified",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "accessId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "justification",
+        type: "string",
+      },
+    ],
+    name: "EmergencyAccessInvoked",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "accessId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "reviewer",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "bool",
+        name: "justified",
+        type: "bool",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "notes",
+        type: "string",
+      },
+    ],
+    name: "EmergencyAccessReviewed",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: false,
+        internalType: "bool",
+        name: "status",
+        type: "bool",
+      },
+    ],
+    name: "EmergencyModeToggled",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "user",
+        type: "address",
+      },
+    ],
+    name: "EncryptionKeySet",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "extension",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "bytes4[]",
+        name: "selectors",
+        type: "bytes4[]",
+      },
+    ],
+    name: "ExtensionRouted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "reporter",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "details",
+        type: "string",
+      },
+    ],
+    name: "FileMismatchReported",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "guardian",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint8",
+        name: "powers",
+        type: "uint8",
+      },
+    ],
+    name: "GuardianAppointed",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "guardian",
+        type: "address",
+      },
+    ],
+    name: "GuardianRemoved",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "organization",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "name",
+        type: "string",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "owner",
+        type: "address",
+      },
+    ],
+    name: "OrganizationCreated",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "organization",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+    ],
+    name: "OrganizationMemberAdded",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "organization",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+    ],
+    name: "OrganizationMemberRemoved",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "organization",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "owner",
+        type: "address",
+      },
+    ],
+    name: "OrganizationOwnerChanged",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+    ],
+    name: "RecordAccessGranted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+    ],
+    name: "RecordAccessRevoked",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "accessor",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+    ],
+    name: "RecordAccessed",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "version",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    name: "RecordAmended",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    name: "RecordArchived",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "recordType",
+        type: "string",
+      },
+    ],
+    name: "RecordCreated",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "reader",
+        type: "address",
+      },
+    ],
+    name: "RecordKeyShared",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "proposalId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+    ],
+    name: "RecordProposalAccepted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "proposalId",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    name: "RecordProposalRejected",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "proposalId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "recordType",
+        type: "string",
+      },
+    ],
+    name: "RecordProposed",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+    ],
+    name: "RecordRestored",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "relayer",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "bool",
+        name: "enabled",
+        type: "bool",
+      },
+    ],
+    name: "RelayerUpdated",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "signer",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "relayer",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "nonce",
+        type: "uint256",
+      },
+    ],
+    name: "RequestRelayed",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "implementation",
+        type: "address",
+      },
+    ],
+    name: "Upgraded",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "userAddress",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "name",
+        type: "string",
+      },
+      {
+        indexed: false,
+        internalType: "enum MedChainBase.UserRole",
+        name: "role",
+        type: "uint8",
+      },
+    ],
+    name: "UserRegistered",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "verifier",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "bool",
+        name: "enabled",
+        type: "bool",
+      },
+    ],
+    name: "VerifierUpdated",
+    type: "event",
+  },
+  {
+    inputs: [],
+    name: "EMERGENCY_ACCESS_DURATION",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "GUARDIAN_CREATE_RECORDS",
+    outputs: [
+      {
+        internalType: "uint8",
+        name: "",
+        type: "uint8",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "GUARDIAN_MANAGE_ACCESS",
+    outputs: [
+      {
+        internalType: "uint8",
+        name: "",
+        type: "uint8",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "GUARDIAN_VIEW_AUDIT",
+    outputs: [
+      {
+        internalType: "uint8",
+        name: "",
+        type: "uint8",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "GUARDIAN_VIEW_RECORDS",
+    outputs: [
+      {
+        internalType: "uint8",
+        name: "",
+        type: "uint8",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "accessRequestCounter",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "admin",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "",
+        type: "bytes32",
+      },
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "adminActionApprovals",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "",
+        type: "bytes32",
+      },
+    ],
+    name: "adminActionNonces",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "adminList",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "adminQuorum",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "admins",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "auditTrails",
+    outputs: [
+      {
+        internalType: "address",
+        name: "accessor",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "timestamp",
+        type: "uint256",
+      },
+      {
+        internalType: "string",
+        name: "action",
+        type: "string",
+      },
+      {
+        internalType: "enum MedChainBase.ActorType",
+        name: "actorType",
+        type: "uint8",
+      },
+      {
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "bytes32",
+        name: "",
+        type: "bytes32",
+      },
+    ],
+    name: "categoryPermissions",
+    outputs: [
+      {
+        internalType: "address",
+        name: "doctorAddress",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "grantedAt",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+      {
+        internalType: "bool",
+        name: "isActive",
+        type: "bool",
+      },
+      {
+        internalType: "string",
+        name: "purpose",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "_patient",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "_doctor",
+        type: "address",
+      },
+    ],
+    name: "checkEmergencyAccess",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "isActive",
+        type: "bool",
+      },
+      {
+        internalType: "uint256",
+        name: "accessId",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "doctorApplicants",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "doctorCredentials",
+    outputs: [
+      {
+        internalType: "string",
+        name: "licenseNumber",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "issuingAuthority",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "specialty",
+        type: "string",
+      },
+      {
+        internalType: "enum MedChainBase.VerificationStatus",
+        name: "status",
+        type: "uint8",
+      },
+      {
+        internalType: "uint256",
+        name: "submittedAt",
+        type: "uint256",
+      },
+      {
+        internalType: "address",
+        name: "reviewedBy",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "reviewedAt",
+        type: "uint256",
+      },
+      {
+        internalType: "string",
+        name: "rejectionReason",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "emergencyAccessCounter",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "emergencyAccesses",
+    outputs: [
+      {
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        internalType: "string",
+        name: "justification",
+        type: "string",
+      },
+      {
+        internalType: "uint256",
+        name: "invokedAt",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+      {
+        internalType: "bool",
+        name: "reviewed",
+        type: "bool",
+      },
+      {
+        internalType: "bool",
+        name: "justified",
+        type: "bool",
+      },
+      {
+        internalType: "address",
+        name: "reviewedBy",
+        type: "address",
+      },
+      {
+        internalType: "string",
+        name: "reviewNotes",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "emergencyMode",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes4",
+        name: "",
+        type: "bytes4",
+      },
+    ],
+    name: "extensions",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "_accessId",
+        type: "uint256",
+      },
+    ],
+    name: "getEmergencyAccess",
+    outputs: [
+      {
+        components: [
+          {
+            internalType: "address",
+            name: "doctor",
+            type: "address",
+          },
+          {
+            internalType: "address",
+            name: "patient",
+            type: "address",
+          },
+          {
+            internalType: "string",
+            name: "justification",
+            type: "string",
+          },
+          {
+            internalType: "uint256",
+            name: "invokedAt",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "expiresAt",
+            type: "uint256",
+          },
+          {
+            internalType: "bool",
+            name: "reviewed",
+            type: "bool",
+          },
+          {
+            internalType: "bool",
+            name: "justified",
+            type: "bool",
+          },
+          {
+            internalType: "address",
+            name: "reviewedBy",
+            type: "address",
+          },
+          {
+            internalType: "string",
+            name: "reviewNotes",
+            type: "string",
+          },
+        ],
+        internalType: "struct MedChainBase.EmergencyAccess",
+        name: "",
+        type: "tuple",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "getPendingEmergencyReviews",
+    outputs: [
+      {
+        internalType: "uint256[]",
+        name: "",
+        type: "uint256[]",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "_patient",
+        type: "address",
+      },
+      {
+        internalType: "string",
+        name: "_justification",
+        type: "string",
+      },
+    ],
+    name: "invokeEmergencyAccess",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "latestEmergencyAccess",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "patientAuditTrails",
+    outputs: [
+      {
+        internalType: "address",
+        name: "accessor",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "timestamp",
+        type: "uint256",
+      },
+      {
+        internalType: "string",
+        name: "action",
+        type: "string",
+      },
+      {
+        internalType: "enum MedChainBase.ActorType",
+        name: "actorType",
+        type: "uint8",
+      },
+      {
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "patientRecords",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "pendingAdmin",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "pendingEmergencyReviews",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "permissions",
+    outputs: [
+      {
+        internalType: "address",
+        name: "doctorAddress",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "grantedAt",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+      {
+        internalType: "bool",
+        name: "isActive",
+        type: "bool",
+      },
+      {
+        internalType: "string",
+        name: "purpose",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "recordCounter",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "recordPermissions",
+    outputs: [
+      {
+        internalType: "address",
+        name: "doctorAddress",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "grantedAt",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+      {
+        internalType: "bool",
+        name: "isActive",
+        type: "bool",
+      },
+      {
+        internalType: "string",
+        name: "purpose",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "recordProposalCounter",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "records",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        internalType: "address",
+        name: "patientAddress",
+        type: "address",
+      },
+      {
+        internalType: "string",
+        name: "ipfsHash",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "recordType",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "description",
+        type: "string",
+      },
+      {
+        internalType: "uint256",
+        name: "timestamp",
+        type: "uint256",
+      },
+      {
+        internalType: "bool",
+        name: "exists",
+        type: "bool",
+      },
+      {
+        internalType: "uint256",
+        name: "version",
+        type: "uint256",
+      },
+      {
+        internalType: "bool",
+        name: "archived",
+        type: "bool",
+      },
+      {
+        internalType: "address",
+        name: "author",
+        type: "address",
+      },
+      {
+        components: [
+          {
+            internalType: "bytes32",
+            name: "digest",
+            type: "bytes32",
+          },
+          {
+            internalType: "uint256",
+            name: "size",
+            type: "uint256",
+          },
+          {
+            internalType: "string",
+            name: "mimeType",
+            type: "string",
+          },
+        ],
+        internalType: "struct MedChainBase.RecordFile",
+        name: "file",
+        type: "tuple",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "_accessId",
+        type: "uint256",
+      },
+      {
+        internalType: "bool",
+        name: "_justified",
+        type: "bool",
+      },
+      {
+        internalType: "string",
+        name: "_notes",
+        type: "string",
+      },
+    ],
+    name: "reviewEmergencyAccess",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "systemAuditTrail",
+    outputs: [
+      {
+        internalType: "address",
+        name: "accessor",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "timestamp",
+        type: "uint256",
+      },
+      {
+        internalType: "string",
+        name: "action",
+        type: "string",
+      },
+      {
+        internalType: "enum MedChainBase.ActorType",
+        name: "actorType",
+        type: "uint8",
+      },
+      {
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "users",
+    outputs: [
+      {
+        internalType: "address",
+        name: "userAddress",
+        type: "address",
+      },
+      {
+        internalType: "string",
+        name: "name",
+        type: "string",
+      },
+      {
+        internalType: "enum MedChainBase.UserRole",
+        name: "role",
+        type: "uint8",
+      },
+      {
+        internalType: "bool",
+        name: "isRegistered",
+        type: "bool",
+      },
+      {
+        internalType: "uint256",
+        name: "registrationTime",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "verifiers",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+] as const;
+
+const _bytecode =
+  "0x608060405234801561001057600080fd5b506128df806100206000396000f3fe608060405234801561001057600080fd5b50600436106102325760003560e01c80637599be5d11610130578063ac053aa9116100b8578063e355d22c1161007c578063e355d22c146105a2578063f274e2d1146105b5578063f7b1da47146105be578063f851a440146105ec578063fd6c6d4a146105ff57600080fd5b8063ac053aa914610531578063ba008db014610561578063d464732114610574578063daae53681461057c578063e182a6821461058f57600080fd5b806394370050116100ff57806394370050146104e157806394f0df61146104e957806397cfc6c7146104fc5780639da8e0db14610504578063a87430ba1461050d57600080fd5b80637599be5d1461047b578063765fddf71461048457806386801603146104ac57806392988760146104c157600080fd5b806329e82593116101be5780634590e8ee116101825780634590e8ee146103e45780635a575bb6146103fe578063670a4feb1461041e5780636b8df2a6146104455780636c8244871461045857600080fd5b806329e82593146103305780633082c4e0146103595780633446106714610384578063393580b0146103ae578063429b62e5146103c157600080fd5b80631769f2fa116102055780631769f2fa146102c65780631f9838b5146102db57806320f2ce9e146102ee5780632114ef1f14610314578063267822471461031d57600080fd5b806303cf7d62146102375780630905f56014610253578063108b79341461027757806311117fc81461029b575b600080fd5b610240601d5481565b6040519081526020015b60405180910390f35b600c5461026790600160a01b900460ff1681565b604051901515815260200161024a565b61028a610285366004611fec565b610608565b60405161024a95949392919061206e565b6102ae6102a93660046120ae565b6106e0565b6040516001600160a01b03909116815260200161024a565b6102d96102d436600461216a565b61070a565b005b61028a6102e93660046121c8565b6109e9565b6103016102fc3660046121fb565b610a38565b60405161024a979695949392919061223b565b61024061a8c081565b6015546102ae906001600160a01b031681565b6102ae61033e3660046122ab565b600d602052600090815260409020546001600160a01b031681565b6102406103673660046121c8565b600f60209081526000928352604080842090915290825290205481565b6103976103923660046120ae565b610bbd565b60405161024a9b9a99989796959493929190612305565b6102ae6103bc3660046120ae565b610e78565b6102676103cf3660046123b2565b60126020526000908152604090205460ff1681565b6103ec600881565b60405160ff909116815260200161024a565b61041161040c3660046120ae565b610e88565b60405161024a91906123cd565b61043161042c3660046123b2565b61107c565b60405161024a9897969594939291906124ab565b6103016104533660046121fb565b6112ef565b6102676104663660046123b2565b60096020526000908152604090205460ff1681565b610240600b5481565b6104976104923660046120ae565b61130b565b60405161024a99989796959493929190612537565b6104b4611486565b60405161024a91906125af565b6102406104cf3660046120ae565b60166020526000908152604090205481565b6103ec600481565b6102406104f73660046121fb565b6114de565b6103ec600281565b610240602b5481565b61052061051b3660046123b2565b61150f565b60405161024a9594939291906125f3565b61054461053f3660046121c8565b6115d7565b60408051931515845260208401929092529082015260600161024a565b61030161056f3660046120ae565b611628565b6103ec600181565b61024061058a3660046120ae565b61167e565b61028a61059d366004611fec565b61169f565b6102406105b036600461263e565b6116f4565b61024060115481565b6102676105cc36600461268c565b601760209081526000928352604080842090915290825290205460ff1681565b600c546102ae906001600160a01b031681565b61024060145481565b6005602090815260009384526040808520825292845282842090528252902080546001820154600283015460038401546004850180546001600160a01b03909516959394929360ff9092169261065d906126af565b80601f0160208091040260200160405190810160405280929190818152602001828054610689906126af565b80156106d65780601f106106ab576101008083540402835291602001916106d6565b820191906000526020600020905b8154815290600101906020018083116106b957829003601f168201915b5050505050905085565b601381815481106106f057600080fd5b6000918252602090912001546001600160a01b0316905081565b3360009081526012602052604090205460ff166107635760405162461bcd60e51b815260206004820152601260248201527113db9b1e4818591b5a5b88185b1b1bddd95960721b60448201526064015b60405180910390fd5b6000838152600e6020526040902080546001600160a01b03166107c85760405162461bcd60e51b815260206004820152601f60248201527f456d657267656e63792061636365737320646f6573206e6f7420657869737400604482015260640161075a565b600581015460ff16156108105760405162461bcd60e51b815260206004820152601060248201526f105b1c9958591e481c995d9a595dd95960821b604482015260640161075a565b600581018054600161ffff1990911661010086151502171762010000600160b01b0319163362010000021790556006810161084b8382612734565b5060005b60105481101561090557846010828154811061086d5761086d6127f4565b9060005260206000200154036108f3576010805461088d90600190612820565b8154811061089d5761089d6127f4565b9060005260206000200154601082815481106108bb576108bb6127f4565b60009182526020909120015560108054806108d8576108d8612833565b60019003818190600052602060002001600090559055610905565b806108fd81612849565b91505061084f565b506001810154815461099f916001600160a01b039081169116600086610960576040518060400160405280601c81526020017f454d455247454e43595f5245564945575f554e4a555354494649454400000000815250610997565b6040518060400160405280601a81526020017f454d455247454e43595f5245564945575f4a55535449464945440000000000008152505b600287611a8f565b336001600160a01b0316847f158f83c3a463562c195f6759d690a1b1f6600b7ea7e9bae64654ca54c3c0e51785856040516109db929190612862565b60405180910390a350505050565b60036020818152600093845260408085209091529183529120805460018201546002830154938301546004840180546001600160a01b03909416959294929360ff909216929161065d906126af565b60076020528160005260406000208181548110610a5457600080fd5b6000918252602090912060079091020180546001820154600283015460038401546004850180546001600160a01b039586169850939094169550909390929091610a9d906126af565b80601f0160208091040260200160405190810160405280929190818152602001828054610ac9906126af565b8015610b165780601f10610aeb57610100808354040283529160200191610b16565b820191906000526020600020905b815481529060010190602001808311610af957829003601f168201915b5050506005840154600685018054949560ff909216949193509150610b3a906126af565b80601f0160208091040260200160405190810160405280929190818152602001828054610b66906126af565b8015610bb35780601f10610b8857610100808354040283529160200191610bb3565b820191906000526020600020905b815481529060010190602001808311610b9657829003601f168201915b5050505050905087565b600260208190526000918252604090912080546001820154928201805491936001600160a01b03169291610bf0906126af565b80601f0160208091040260200160405190810160405280929190818152602001828054610c1c906126af565b8015610c695780601f10610c3e57610100808354040283529160200191610c69565b820191906000526020600020905b815481529060010190602001808311610c4c57829003601f168201915b505050505090806003018054610c7e906126af565b80601f0160208091040260200160405190810160405280929190818152602001828054610caa906126af565b8015610cf75780601f10610ccc57610100808354040283529160200191610cf7565b820191906000526020600020905b815481529060010190602001808311610cda57829003601f168201915b505050505090806004018054610d0c906126af565b80601f0160208091040260200160405190810160405280929190818152602001828054610d38906126af565b8015610d855780601f10610d5a57610100808354040283529160200191610d85565b820191906000526020600020905b815481529060010190602001808311610d6857829003601f168201915b505050506005830154600684015460078501546008860154604080516060810182526009890180548252600a8a01546020830152600b8a018054999a979960ff97881699509597968516966101009095046001600160a01b0316959293919291840191610df1906126af565b80601f0160208091040260200160405190810160405280929190818152602001828054610e1d906126af565b8015610e6a5780601f10610e3f57610100808354040283529160200191610e6a565b820191906000526020600020905b815481529060010190602001808311610e4d57829003601f168201915b50505050508152505090508b565b600a81815481106106f057600080fd5b6040805161012080820183526000808352602080840182905260608486018190528085018390526080850183905260a0850183905260c0850183905260e08501839052610100850152858252600e8152908490208451928301855280546001600160a01b03908116845260018201541691830191909152600281018054939492939192840191610f17906126af565b80601f0160208091040260200160405190810160405280929190818152602001828054610f43906126af565b8015610f905780601f10610f6557610100808354040283529160200191610f90565b820191906000526020600020905b815481529060010190602001808311610f7357829003601f168201915b50505091835250506003820154602082015260048201546040820152600582015460ff80821615156060840152610100820416151560808301526201000090046001600160a01b031660a082015260068201805460c090920191610ff3906126af565b80601f016020809104026020016040519081016040528092919081815260200182805461101f906126af565b801561106c5780601f106110415761010080835404028352916020019161106c565b820191906000526020600020905b81548152906001019060200180831161104f57829003601f168201915b5050505050815250509050919050565b600860205260009081526040902080548190611097906126af565b80601f01602080910402602001604051908101604052809291908181526020018280546110c3906126af565b80156111105780601f106110e557610100808354040283529160200191611110565b820191906000526020600020905b8154815290600101906020018083116110f357829003601f168201915b505050505090806001018054611125906126af565b80601f0160208091040260200160405190810160405280929190818152602001828054611151906126af565b801561119e5780601f106111735761010080835404028352916020019161119e565b820191906000526020600020905b81548152906001019060200180831161118157829003601f168201915b5050505050908060020180546111b3906126af565b80601f01602080910402602001604051908101604052809291908181526020018280546111df906126af565b801561122c5780601f106112015761010080835404028352916020019161122c565b820191906000526020600020905b81548152906001019060200180831161120f57829003601f168201915b5050506003840154600485015460058601546006870154600788018054979860ff909516979396506001600160a01b039092169450929161126c906126af565b80601f0160208091040260200160405190810160405280929190818152602001828054611298906126af565b80156112e55780601f106112ba576101008083540402835291602001916112e5565b820191906000526020600020905b8154815290600101906020018083116112c857829003601f168201915b5050505050905088565b60066020528160005260406000208181548110610a5457600080fd5b600e602052600090815260409020805460018201546002830180546001600160a01b03938416949290931692611340906126af565b80601f016020809104026020016040519081016040528092919081815260200182805461136c906126af565b80156113b95780601f1061138e576101008083540402835291602001916113b9565b820191906000526020600020905b81548152906001019060200180831161139c57829003601f168201915b5050506003840154600485015460058601546006870180549697939692955060ff8083169550610100830416936001600160a01b03620100009093049290921692611403906126af565b80601f016020809104026020016040519081016040528092919081815260200182805461142f906126af565b801561147c5780601f106114515761010080835404028352916020019161147c565b820191906000526020600020905b81548152906001019060200180831161145f57829003601f168201915b5050505050905089565b606060108054806020026020016040519081016040528092919081815260200182805480156114d457602002820191906000526020600020905b8154815260200190600101908083116114c0575b5050505050905090565b600160205281600052604060002081815481106114fa57600080fd5b90600052602060002001600091509150505481565b600060208190529081526040902080546001820180546001600160a01b03909216929161153b906126af565b80601f0160208091040260200160405190810160405280929190818152602001828054611567906126af565b80156115b45780601f10611589576101008083540402835291602001916115b4565b820191906000526020600020905b81548152906001019060200180831161159757829003601f168201915b505050506002830154600390930154919260ff8082169361010090920416915085565b6001600160a01b038083166000908152600f602090815260408083209385168352929052908120548161160a8585611aa6565b6000838152600e602052604090206004015490935090509250925092565b6018818154811061163857600080fd5b6000918252602090912060079091020180546001820154600283015460038401546004850180546001600160a01b039586169750939094169491939092610a9d906126af565b6010818154811061168e57600080fd5b600091825260209091200154905081565b6004602081815260009485526040808620825293855283852090529083529120805460018201546002830154600384015494840180546001600160a01b03909416959294919360ff9093169261065d906126af565b60006116ff33611af5565b61174b5760405162461bcd60e51b815260206004820152601d60248201527f4f6e6c7920766572696669656420646f63746f727320616c6c6f776564000000604482015260640161075a565b60016001600160a01b03841660009081526020819052604090206002015460ff16600381111561177d5761177d612225565b146117ba5760405162461bcd60e51b815260206004820152600d60248201526c139bdd0818481c185d1a595b9d609a1b604482015260640161075a565b60008251116118045760405162461bcd60e51b8152602060048201526016602482015275129d5cdd1a599a58d85d1a5bdb881c995c5d5a5c995960521b604482015260640161075a565b61180e8333611aa6565b1561185b5760405162461bcd60e51b815260206004820152601f60248201527f456d657267656e63792061636365737320616c72656164792061637469766500604482015260640161075a565b6011805490600061186b83612849565b909155506000905061187f61a8c04261287d565b60408051610120810182523381526001600160a01b03878116602080840191825283850189815242606086015260808501879052600060a0860181905260c0860181905260e08601819052865180840188528181526101008701526011548152600e909252949020835181549084166001600160a01b031991821617825591516001820180549190941692169190911790915591519293509160028201906119279082612734565b50606082015160038201556080820151600482015560a082015160058201805460c085015160e086015161ffff1990921693151561ff0019169390931761010093151584021762010000600160b01b031916620100006001600160a01b039092169190910217905582015160068201906119a19082612734565b50506011546001600160a01b0386166000908152600f602090815260408083203384528252808320849055601080546001810182558185527f1b6847dc741a1b0cd08d278845f9d819d87b734759afb55fe2de5cb82a9ae672019490945580518082019091529283526f454d455247454e43595f41434345535360801b90830152611a33925086918190600388611a8f565b336001600160a01b0316846001600160a01b03166011547f0c365609abc381f5acfd39e9138f85ea4683be4dba2a261d3dc8f6876573c1138487604051611a7b929190612890565b60405180910390a450506011545b92915050565b611a9e86868686338787611b6b565b505050505050565b6001600160a01b038083166000908152600f602090815260408083209385168352929052908120548015801590611aed57506000818152600e602052604090206004015442105b949350505050565b600060026001600160a01b03831660009081526020819052604090206002015460ff166003811115611b2957611b29612225565b148015611a89575060026001600160a01b038316600090815260086020526040902060039081015460ff1690811115611b6457611b64612225565b1492915050565b60006040518060e00160405280856001600160a01b03168152602001896001600160a01b03168152602001878152602001428152602001868152602001846004811115611bba57611bba612225565b815260209081018490526001600160a01b03808716600090815260068352604080822080546001818101835591845292859020865160079094020180549385166001600160a01b031994851617815594860151908501805491909416921691909117909155820151600282015560608201516003820155608082015191925082916004820190611c4a9082612734565b5060a082015160058201805460ff19166001836004811115611c6e57611c6e612225565b021790555060c08201516006820190611c879082612734565b5050506001600160a01b03871615801590611cb45750836001600160a01b0316876001600160a01b031614155b15611d81576001600160a01b03808816600090815260066020908152604080832080546001818101835591855293839020865160079095020180549486166001600160a01b03199586161781559286015190830180549190951693169290921790925582015160028201556060820151600382015560808201518291906004820190611d409082612734565b5060a082015160058201805460ff19166001836004811115611d6457611d64612225565b021790555060c08201516006820190611d7d9082612734565b5050505b6001600160a01b03881615611e5b576001600160a01b0380891660009081526007602081815260408084208054600181810183559186529483902087519590940290930180549486166001600160a01b031995861617815591860151928201805493909516929093169190911790925582015160028201556060820151600382015560808201518291906004820190611e1a9082612734565b5060a082015160058201805460ff19166001836004811115611e3e57611e3e612225565b021790555060c08201516006820190611e579082612734565b5050505b6002836004811115611e6f57611e6f612225565b03611fc65760188054600181018255600091909152815160079091027fb13d2d76d1f4b7be834882e410b3e3a8afaf69f83600ae24db354391d2378d2e810180546001600160a01b039384166001600160a01b031991821617825560208501517fb13d2d76d1f4b7be834882e410b3e3a8afaf69f83600ae24db354391d2378d2f840180549190951691161790925560408301517fb13d2d76d1f4b7be834882e410b3e3a8afaf69f83600ae24db354391d2378d3082015560608301517fb13d2d76d1f4b7be834882e410b3e3a8afaf69f83600ae24db354391d2378d3182015560808301518392917fb13d2d76d1f4b7be834882e410b3e3a8afaf69f83600ae24db354391d2378d320190611f859082612734565b5060a082015160058201805460ff19166001836004811115611fa957611fa9612225565b021790555060c08201516006820190611fc29082612734565b5050505b5050505050505050565b80356001600160a01b0381168114611fe757600080fd5b919050565b60008060006060848603121561200157600080fd5b61200a84611fd0565b925061201860208501611fd0565b9150604084013590509250925092565b6000815180845260005b8181101561204e57602081850181015186830182015201612032565b506000602082860101526020601f19601f83011685010191505092915050565b60018060a01b0386168152846020820152836040820152821515606082015260a0608082015260006120a360a0830184612028565b979650505050505050565b6000602082840312156120c057600080fd5b5035919050565b634e487b7160e01b600052604160045260246000fd5b600082601f8301126120ee57600080fd5b813567ffffffffffffffff80821115612109576121096120c7565b604051601f8301601f19908116603f01168101908282118183101715612131576121316120c7565b8160405283815286602085880101111561214a57600080fd5b836020870160208301376000602085830101528094505050505092915050565b60008060006060848603121561217f57600080fd5b833592506020840135801515811461219657600080fd5b9150604084013567ffffffffffffffff8111156121b257600080fd5b6121be868287016120dd565b9150509250925092565b600080604083850312156121db57600080fd5b6121e483611fd0565b91506121f260208401611fd0565b90509250929050565b6000806040838503121561220e57600080fd5b61221783611fd0565b946020939093013593505050565b634e487b7160e01b600052602160045260246000fd5b6001600160a01b03888116825287166020820152604081018690526060810185905260e06080820181905260009061227590830186612028565b6005851061228557612285612225565b8460a084015282810360c084015261229d8185612028565b9a9950505050505050505050565b6000602082840312156122bd57600080fd5b81356001600160e01b0319811681146122d557600080fd5b9392505050565b80518252602081015160208301526000604082015160606040850152611aed6060850182612028565b8b81526001600160a01b038b166020820152610160604082018190526000906123308382018d612028565b90508281036060840152612344818c612028565b90508281036080840152612358818b612028565b90508860a084015287151560c08401528660e084015285151561010084015261238d6101208401866001600160a01b03169052565b8281036101408401526123a081856122dc565b9e9d5050505050505050505050505050565b6000602082840312156123c457600080fd5b6122d582611fd0565b602081526123e76020820183516001600160a01b03169052565b6000602083015161240360408401826001600160a01b03169052565b506040830151610120806060850152612420610140850183612028565b915060608501516080850152608085015160a085015260a085015161244960c086018215159052565b5060c085015180151560e08601525060e0850151610100612474818701836001600160a01b03169052565b860151858403601f190183870152905061248e8382612028565b9695505050505050565b600481106124a8576124a8612225565b50565b60006101008083526124bf8184018c612028565b905082810360208401526124d3818b612028565b905082810360408401526124e7818a612028565b90506124f288612498565b60608301889052608083018790526001600160a01b03861660a084015260c0830185905282810360e08401526125288185612028565b9b9a5050505050505050505050565b6001600160a01b038a811682528981166020830152610120604083018190526000916125658483018c612028565b915089606085015288608085015287151560a085015286151560c085015280861660e08501525082810361010084015261259f8185612028565b9c9b505050505050505050505050565b6020808252825182820181905260009190848201906040850190845b818110156125e7578351835292840192918401916001016125cb565b50909695505050505050565b6001600160a01b038616815260a06020820181905260009061261790830187612028565b905061262285612498565b6040820194909452911515606083015260809091015292915050565b6000806040838503121561265157600080fd5b61265a83611fd0565b9150602083013567ffffffffffffffff81111561267657600080fd5b612682858286016120dd565b9150509250929050565b6000806040838503121561269f57600080fd5b823591506121f260208401611fd0565b600181811c908216806126c357607f821691505b6020821081036126e357634e487b7160e01b600052602260045260246000fd5b50919050565b601f82111561272f57600081815260208120601f850160051c810160208610156127105750805b601f850160051c820191505b81811015611a9e5782815560010161271c565b505050565b815167ffffffffffffffff81111561274e5761274e6120c7565b6127628161275c84546126af565b846126e9565b602080601f831160018114612797576000841561277f5750858301515b600019600386901b1c1916600185901b178555611a9e565b600085815260208120601f198616915b828110156127c6578886015182559484019460019091019084016127a7565b50858210156127e45787850151600019600388901b60f8161c191681555b5050505050600190811b01905550565b634e487b7160e01b600052603260045260246000fd5b634e487b7160e01b600052601160045260246000fd5b81810381811115611a8957611a8961280a565b634e487b7160e01b600052603160045260246000fd5b60006001820161285b5761285b61280a565b5060010190565b8215158152604060208201526000611aed6040830184612028565b80820180821115611a8957611a8961280a565b828152604060208201526000611aed604083018461202856fea2646970667358221220acd3c5cfaa333ce65e8d6b87f5620cf115d479b572e341fb03e6bf0fc07397c564736f6c63430008130033";
+
+type MedChainEmergencyConstructorParams =
+  | [signer?: Signer]
+  | ConstructorParameters<typeof ContractFactory>;
+
+const isSuperArgs = (
+  xs: MedChainEmergencyConstructorParams
+): xs is ConstructorParameters<typeof ContractFactory> => xs.length > 1;
+
+export class MedChainEmergency__factory extends ContractFactory {
+  constructor(...args: MedChainEmergencyConstructorParams) {
+    if (isSuperArgs(args)) {
+      super(...args);
+    } else {
+      super(_abi, _bytecode, args[0]);
+    }
+  }
+
+  override getDeployTransaction(
+    overrides?: NonPayableOverrides & { from?: string }
+  ): Promise<ContractDeployTransaction> {
+    return super.getDeployTransaction(overrides || {});
+  }
+  override deploy(overrides?: NonPayableOverrides & { from?: string }) {
+    return super.deploy(overrides || {}) as Promise<
+      MedChainEmergency & {
+        deploymentTransaction(): ContractTransactionResponse;
+      }
+    >;
+  }
+  override connect(runner: ContractRunner | null): MedChainEmergency__factory {
+    return super.connect(runner) as MedChainEmergency__factory;
+  }
+
+  static readonly bytecode = _bytecode;
+  static readonly abi = _abi;
+  static createInterface(): MedChainEmergencyInterface {
+    return new Interface(_abi) as MedChainEmergencyInterface;
+  }
+  static connect(
+    address: string,
+    runner?: ContractRunner | null
+  ): MedChainEmergency {
+    return new Contract(address, _abi, runner) as unknown as MedChainEmergency;
+  }
+}
@@ -0,0 +1,2406 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import {
+  Contract,
+  ContractFactory,
+  ContractTransactionResponse,
+  Interface,
+} from "ethers";
+import type { Signer, ContractDeployTransaction, ContractRunner } from "ethers";
+import type { NonPayableOverrides } from "../common";
+import type {
+  MedChainGuardians,
+  MedChainGuardiansInterface,
+} from "../MedChainGuardians";
+
+const _abi = [
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "grantIndex",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+    ],
+    name: "AccessExtended",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+    ],
+    name: "AccessGranted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "requestId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+    ],
+    name: "AccessRequestApproved",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "requestId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    name: "AccessRequestDenied",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "requestId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "duration",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "purpose",
+        type: "string",
+      },
+    ],
+    name: "AccessRequested",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+    ],
+    name: "AccessRevoked",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "bytes32",
+        name: "actionId",
+        type: "bytes32",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "action",
+        type: "string",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "target",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "value",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "approver",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "approvals",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "required",
+        type: "uint256",
+      },
+    ],
+    name: "AdminActionApproved",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "bytes32",
+        name: "actionId",
+        type: "bytes32",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "action",
+        type: "string",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "target",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "value",
+        type: "uint256",
+      },
+    ],
+    name: "AdminActionExecuted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "account",
+        type: "address",
+      },
+    ],
+    name: "AdminAdded",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "quorum",
+        type: "uint256",
+      },
+    ],
+    name: "AdminQuorumChanged",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "account",
+        type: "address",
+      },
+    ],
+    name: "AdminRemoved",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "currentAdmin",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "pendingAdmin",
+        type: "address",
+      },
+    ],
+    name: "AdminTransferStarted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "previousAdmin",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "newAdmin",
+        type: "address",
+      },
+    ],
+    name: "AdminTransferred",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "recordType",
+        type: "string",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+    ],
+    name: "CategoryAccessGranted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "recordType",
+        type: "string",
+      },
+    ],
+    name: "CategoryAccessRevoked",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "licenseNumber",
+        type: "string",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "issuingAuthority",
+        type: "string",
+      },
+    ],
+    name: "DoctorApplicationSubmitted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "verifier",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    name: "DoctorRejected",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "verifier",
+        type: "address",
+      },
+    ],
+    name: "DoctorVerified",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "accessId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "justification",
+        type: "string",
+      },
+    ],
+    name: "EmergencyAccessInvoked",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "accessId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "reviewer",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "bool",
+        name: "justified",
+        type: "bool",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "notes",
+        type: "string",
+      },
+    ],
+    name: "EmergencyAccessReviewed",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: false,
+        internalType: "bool",
+        name: "status",
+        type: "bool",
+      },
+    ],
+    name: "EmergencyModeToggled",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "user",
+        type: "address",
+      },
+    ],
+    name: "EncryptionKeySet",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "extension",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "bytes4[]",
+        name: "selectors",
+        type: "bytes4[]",
+      },
+    ],
+    name: "ExtensionRouted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "reporter",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "details",
+        type: "string",
+      },
+    ],
+    name: "FileMismatchReported",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "guardian",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint8",
+        name: "powers",
+        type: "uint8",
+      },
+    ],
+    name: "GuardianAppointed",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "guardian",
+        type: "address",
+      },
+    ],
+    name: "GuardianRemoved",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "organization",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "name",
+        type: "string",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "owner",
+        type: "address",
+      },
+    ],
+    name: "OrganizationCreated",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "organization",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+    ],
+    name: "OrganizationMemberAdded",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "organization",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+    ],
+    name: "OrganizationMemberRemoved",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "organization",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "owner",
+        type: "address",
+      },
+    ],
+    name: "OrganizationOwnerChanged",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+    ],
+    name: "RecordAccessGranted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+    ],
+    name: "RecordAccessRevoked",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "accessor",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+    ],
+    name: "RecordAccessed",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "version",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    name: "RecordAmended",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    name: "RecordArchived",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "recordType",
+        type: "string",
+      },
+    ],
+    name: "RecordCreated",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "reader",
+        type: "address",
+      },
+    ],
+    name: "RecordKeyShared",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "proposalId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+    ],
+    name: "RecordProposalAccepted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "proposalId",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    name: "RecordProposalRejected",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "proposalId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "recordType",
+        type: "string",
+      },
+    ],
+    name: "RecordProposed",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+    ],
+    name: "RecordRestored",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "relayer",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "bool",
+        name: "enabled",
+        type: "bool",
+      },
+    ],
+    name: "RelayerUpdated",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "signer",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "relayer",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "nonce",
+        type: "uint256",
+      },
+    ],
+    name: "RequestRelayed",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "implementation",
+        type: "address",
+      },
+    ],
+    name: "Upgraded",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "userAddress",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "name",
+        type: "string",
+      },
+      {
+        indexed: false,
+        internalType: "enum MedChainBase.UserRole",
+        name: "role",
+        type: "uint8",
+      },
+    ],
+    name: "UserRegistered",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "verifier",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "bool",
+        name: "enabled",
+        type: "bool",
+      },
+    ],
+    name: "VerifierUpdated",
+    type: "event",
+  },
+  {
+    inputs: [],
+    name: "EMERGENCY_ACCESS_DURATION",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "GUARDIAN_CREATE_RECORDS",
+    outputs: [
+      {
+        internalType: "uint8",
+        name: "",
+        type: "uint8",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "GUARDIAN_MANAGE_ACCESS",
+    outputs: [
+      {
+        internalType: "uint8",
+        name: "",
+        type: "uint8",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "GUARDIAN_VIEW_AUDIT",
+    outputs: [
+      {
+        internalType: "uint8",
+        name: "",
+        type: "uint8",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "GUARDIAN_VIEW_RECORDS",
+    outputs: [
+      {
+        internalType: "uint8",
+        name: "",
+        type: "uint8",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "accessRequestCounter",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "admin",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "",
+        type: "bytes32",
+      },
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "adminActionApprovals",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "",
+        type: "bytes32",
+      },
+    ],
+    name: "adminActionNonces",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "adminList",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "adminQuorum",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "admins",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "_patient",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "_guardian",
+        type: "address",
+      },
+      {
+        internalType: "uint8",
+        name: "_powers",
+        type: "uint8",
+      },
+    ],
+    name: "appointGuardian",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "auditTrails",
+    outputs: [
+      {
+        internalType: "address",
+        name: "accessor",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "timestamp",
+        type: "uint256",
+      },
+      {
+        internalType: "string",
+        name: "action",
+        type: "string",
+      },
+      {
+        internalType: "enum MedChainBase.ActorType",
+        name: "actorType",
+        type: "uint8",
+      },
+      {
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "bytes32",
+        name: "",
+        type: "bytes32",
+      },
+    ],
+    name: "categoryPermissions",
+    outputs: [
+      {
+        internalType: "address",
+        name: "doctorAddress",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "grantedAt",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+      {
+        internalType: "bool",
+        name: "isActive",
+        type: "bool",
+      },
+      {
+        internalType: "string",
+        name: "purpose",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "_patient",
+        type: "address",
+      },
+      {
+        internalType: "string",
+        name: "_ipfsHash",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "_recordType",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "_description",
+        type: "string",
+      },
+      {
+        components: [
+          {
+            internalType: "bytes32",
+            name: "digest",
+            type: "bytes32",
+          },
+          {
+            internalType: "uint256",
+            name: "size",
+            type: "uint256",
+          },
+          {
+            internalType: "string",
+            name: "mimeType",
+            type: "string",
+          },
+        ],
+        internalType: "struct MedChainBase.RecordFile",
+        name: "_file",
+        type: "tuple",
+      },
+      {
+        internalType: "bytes",
+        name: "_wrappedKey",
+        type: "bytes",
+      },
+    ],
+    name: "createRecordFor",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "doctorApplicants",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "doctorCredentials",
+    outputs: [
+      {
+        internalType: "string",
+        name: "licenseNumber",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "issuingAuthority",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "specialty",
+        type: "string",
+      },
+      {
+        internalType: "enum MedChainBase.VerificationStatus",
+        name: "status",
+        type: "uint8",
+      },
+      {
+        internalType: "uint256",
+        name: "submittedAt",
+        type: "uint256",
+      },
+      {
+        internalType: "address",
+        name: "reviewedBy",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "reviewedAt",
+        type: "uint256",
+      },
+      {
+        internalType: "string",
+        name: "rejectionReason",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "emergencyAccessCounter",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "emergencyAccesses",
+    outputs: [
+      {
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        internalType: "string",
+        name: "justification",
+        type: "string",
+      },
+      {
+        internalType: "uint256",
+        name: "invokedAt",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+      {
+        internalType: "bool",
+        name: "reviewed",
+        type: "bool",
+      },
+      {
+        internalType: "bool",
+        name: "justified",
+        type: "bool",
+      },
+      {
+        internalType: "address",
+        name: "reviewedBy",
+        type: "address",
+      },
+      {
+        internalType: "string",
+        name: "reviewNotes",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "emergencyMode",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "_patient",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "_grantIndex",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "_extraDuration",
+        type: "uint256",
+      },
+    ],
+    name: "extendAccessFor",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes4",
+        name: "",
+        type: "bytes4",
+      },
+    ],
+    name: "extensions",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "_guardian",
+        type: "address",
+      },
+    ],
+    name: "getDependants",
+    outputs: [
+      {
+        internalType: "address[]",
+        name: "",
+        type: "address[]",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "_patient",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "_guardian",
+        type: "address",
+      },
+    ],
+    name: "getGuardianPowers",
+    outputs: [
+      {
+        internalType: "uint8",
+        name: "",
+        type: "uint8",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "_patient",
+        type: "address",
+      },
+    ],
+    name: "getGuardians",
+    outputs: [
+      {
+        internalType: "address[]",
+        name: "guardians",
+        type: "address[]",
+      },
+      {
+        internalType: "uint8[]",
+        name: "powers",
+        type: "uint8[]",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "_patient",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "_doctor",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "_expiryDuration",
+        type: "uint256",
+      },
+      {
+        internalType: "string",
+        name: "_purpose",
+        type: "string",
+      },
+    ],
+    name: "grantAccessFor",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "_patient",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "_doctor",
+        type: "address",
+      },
+      {
+        internalType: "string[]",
+        name: "_recordTypes",
+        type: "string[]",
+      },
+      {
+        internalType: "uint256",
+        name: "_expiryDuration",
+        type: "uint256",
+      },
+      {
+        internalType: "string",
+        name: "_purpose",
+        type: "string",
+      },
+    ],
+    name: "grantCategoryAccessFor",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "_patient",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "_doctor",
+        type: "address",
+      },
+      {
+        internalType: "uint256[]",
+        name: "_recordIds",
+        type: "uint256[]",
+      },
+      {
+        internalType: "uint256",
+        name: "_expiryDuration",
+        type: "uint256",
+      },
+      {
+        internalType: "string",
+        name: "_purpose",
+        type: "string",
+      },
+    ],
+    name: "grantRecordAccessFor",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "latestEmergencyAccess",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "patientAuditTrails",
+    outputs: [
+      {
+        internalType: "address",
+        name: "accessor",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "timestamp",
+        type: "uint256",
+      },
+      {
+        internalType: "string",
+        name: "action",
+        type: "string",
+      },
+      {
+        internalType: "enum MedChainBase.ActorType",
+        name: "actorType",
+        type: "uint8",
+      },
+      {
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "patientRecords",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "pendingAdmin",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "pendingEmergencyReviews",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "permissions",
+    outputs: [
+      {
+        internalType: "address",
+        name: "doctorAddress",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "grantedAt",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+      {
+        internalType: "bool",
+        name: "isActive",
+        type: "bool",
+      },
+      {
+        internalType: "string",
+        name: "purpose",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "recordCounter",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "recordPermissions",
+    outputs: [
+      {
+        internalType: "address",
+        name: "doctorAddress",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "grantedAt",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+      {
+        internalType: "bool",
+        name: "isActive",
+        type: "bool",
+      },
+      {
+        internalType: "string",
+        name: "purpose",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "recordProposalCounter",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "records",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        internalType: "address",
+        name: "patientAddress",
+        type: "address",
+      },
+      {
+        internalType: "string",
+        name: "ipfsHash",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "recordType",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "description",
+        type: "string",
+      },
+      {
+        internalType: "uint256",
+        name: "timestamp",
+        type: "uint256",
+      },
+      {
+        internalType: "bool",
+        name: "exists",
+        type: "bool",
+      },
+      {
+        internalType: "uint256",
+        name: "version",
+        type: "uint256",
+      },
+      {
+        internalType: "bool",
+        name: "archived",
+        type: "bool",
+      },
+      {
+        internalType: "address",
+        name: "author",
+        type: "address",
+      },
+      {
+        components: [
+          {
+            internalType: "bytes32",
+            name: "digest",
+            type: "bytes32",
+          },
+          {
+            internalType: "uint256",
+            name: "size",
+            type: "uint256",
+          },
+          {
+            internalType: "string",
+            name: "mimeType",
+            type: "string",
+          },
+        ],
+        internalType: "struct MedChainBase.RecordFile",
+        name: "file",
+        type: "tuple",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "_patient",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "_guardian",
+        type: "address",
+      },
+    ],
+    name: "removeGuardian",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "_patient",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "_doctor",
+        type: "address",
+      },
+    ],
+    name: "revokeAccessFor",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "_patient",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "_doctor",
+        type: "address",
+      },
+      {
+        internalType: "string[]",
+        name: "_recordTypes",
+        type: "string[]",
+      },
+    ],
+    name: "revokeCategoryAccessFor",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "_patient",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "_doctor",
+        type: "address",
+      },
+      {
+        internalType: "uint256[]",
+        name: "_recordIds",
+        type: "uint256[]",
+      },
+    ],
+    name: "revokeRecordAccessFor",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "systemAuditTrail",
+    outputs: [
+      {
+        internalType: "address",
+        name: "accessor",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "timestamp",
+        type: "uint256",
+      },
+      {
+        internalType: "string",
+        name: "action",
+        type: "string",
+      },
+      {
+        internalType: "enum MedChainBase.ActorType",
+        name: "actorType",
+        type: "uint8",
+      },
+      {
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "users",
+    outputs: [
+      {
+        internalType: "address",
+        name: "userAddress",
+        type: "address",
+      },
+      {
+        internalType: "string",
+        name: "name",
+        type: "string",
+      },
+      {
+        internalType: "enum MedChainBase.UserRole",
+        name: "role",
+        type: "uint8",
+      },
+      {
+        internalType: "bool",
+        name: "isRegistered",
+        type: "bool",
+      },
+      {
+        internalType: "uint256",
+        name: "registrationTime",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "verifiers",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+] as const;
+
+const _bytecode =
+  "0x608060405234801561001057600080fd5b50614d23806100206000396000f3fe608060405234801561001057600080fd5b506004361061028a5760003560e01c8063943700501161015c578063d19b93e9116100ce578063ebc7778211610087578063ebc7778214610660578063f18858ab14610673578063f274e2d114610694578063f7b1da471461069d578063f851a440146106cb578063fd6c6d4a146106de57600080fd5b8063d19b93e9146105f9578063d46473211461060c578063d9cc0a2414610614578063daae536814610627578063e182a6821461063a578063e5cc43fc1461064d57600080fd5b8063a74dbaca11610120578063a74dbaca14610576578063a87430ba14610589578063ba008db0146105ad578063bb7bee8e146105c0578063c1964e94146105d3578063cac1487a146105e657600080fd5b8063943700501461053757806394f0df611461053f57806397cfc6c7146105525780639b27a90e1461055a5780639da8e0db1461056d57600080fd5b806334461067116102005780636c824487116101b95780636c8244871461049b5780637200ba63146104be5780637599be5d146104d3578063765fddf7146104dc5780638dd8e8a914610504578063929887601461051757600080fd5b806334461067146103e7578063393580b014610411578063429b62e5146104245780634590e8ee14610447578063670a4feb146104615780636b8df2a61461048857600080fd5b806320f2ce9e1161025257806320f2ce9e146103315780632114ef1f14610357578063267822471461036057806329e82593146103735780632bfdfbc01461039c5780633082c4e0146103bc57600080fd5b806303cf7d621461028f5780630905f560146102ab578063108b7934146102cf57806311117fc8146102f35780631f9838b51461031e575b600080fd5b610298601d5481565b6040519081526020015b60405180910390f35b600c546102bf90600160a01b900460ff1681565b60405190151581526020016102a2565b6102e26102dd366004613e67565b6106e7565b6040516102a2959493929190613ee9565b610306610301366004613f29565b6107bf565b6040516001600160a01b0390911681526020016102a2565b6102e261032c366004613f42565b6107e9565b61034461033f366004613f75565b610838565b6040516102a29796959493929190613fb5565b61029861a8c081565b601554610306906001600160a01b031681565b610306610381366004614025565b600d602052600090815260409020546001600160a01b031681565b6103af6103aa36600461404f565b6109bd565b6040516102a291906140ae565b6102986103ca366004613f42565b600f60209081526000928352604080842090915290825290205481565b6103fa6103f5366004613f29565b610a33565b6040516102a29b9a999897969594939291906140f2565b61030661041f366004613f29565b610cee565b6102bf61043236600461404f565b60126020526000908152604090205460ff1681565b61044f600881565b60405160ff90911681526020016102a2565b61047461046f36600461404f565b610cfe565b6040516102a29897969594939291906141b2565b610344610496366004613f75565b610f71565b6102bf6104a936600461404f565b60096020526000908152604090205460ff1681565b6104d16104cc366004614312565b610f8d565b005b610298600b5481565b6104ef6104ea366004613f29565b610ff3565b6040516102a29998979695949392919061436f565b6104d1610512366004614456565b61116e565b610298610525366004613f29565b60166020526000908152604090205481565b61044f600481565b61029861054d366004613f75565b6111ce565b61044f600281565b6104d1610568366004613f42565b6111ff565b610298602b5481565b610298610584366004614535565b61146d565b61059c61059736600461404f565b61158e565b6040516102a2959493929190614615565b6103446105bb366004613f29565b611656565b61044f6105ce366004613f42565b6116ac565b6104d16105e1366004614660565b6116dc565b6104d16105f4366004614712565b611732565b6104d16106073660046147a0565b611793565b61044f600181565b6104d16106223660046147ed565b611bdf565b610298610635366004613f29565b611c35565b6102e2610648366004613e67565b611c56565b6104d161065b366004614840565b611cab565b6104d161066e366004613f42565b611d03565b61068661068136600461404f565b611d5e565b6040516102a2929190614897565b61029860115481565b6102bf6106ab3660046148f1565b601760209081526000928352604080842090915290825290205460ff1681565b600c54610306906001600160a01b031681565b61029860145481565b6005602090815260009384526040808520825292845282842090528252902080546001820154600283015460038401546004850180546001600160a01b03909516959394929360ff9092169261073c90614914565b80601f016020809104026020016040519081016040528092919081815260200182805461076890614914565b80156107b55780601f1061078a576101008083540402835291602001916107b5565b820191906000526020600020905b81548152906001019060200180831161079857829003601f168201915b5050505050905085565b601381815481106107cf57600080fd5b6000918252602090912001546001600160a01b0316905081565b60036020818152600093845260408085209091529183529120805460018201546002830154938301546004840180546001600160a01b03909416959294929360ff909216929161073c90614914565b6007602052816000526040600020818154811061085457600080fd5b6000918252602090912060079091020180546001820154600283015460038401546004850180546001600160a01b03958616985093909416955090939092909161089d90614914565b80601f01602080910402602001604051908101604052809291908181526020018280546108c990614914565b80156109165780601f106108eb57610100808354040283529160200191610916565b820191906000526020600020905b8154815290600101906020018083116108f957829003601f168201915b5050506005840154600685018054949560ff90921694919350915061093a90614914565b80601f016020809104026020016040519081016040528092919081815260200182805461096690614914565b80156109b35780601f10610988576101008083540402835291602001916109b3565b820191906000526020600020905b81548152906001019060200180831161099657829003601f168201915b5050505050905087565b6001600160a01b038116600090815260236020908152604091829020805483518184028101840190945280845260609392830182828015610a2757602002820191906000526020600020905b81546001600160a01b03168152600190910190602001808311610a09575b50505050509050919050565b600260208190526000918252604090912080546001820154928201805491936001600160a01b03169291610a6690614914565b80601f0160208091040260200160405190810160405280929190818152602001828054610a9290614914565b8015610adf5780601f10610ab457610100808354040283529160200191610adf565b820191906000526020600020905b815481529060010190602001808311610ac257829003601f168201915b505050505090806003018054610af490614914565b80601f0160208091040260200160405190810160405280929190818152602001828054610b2090614914565b8015610b6d5780601f10610b4257610100808354040283529160200191610b6d565b820191906000526020600020905b815481529060010190602001808311610b5057829003601f168201915b505050505090806004018054610b8290614914565b80601f0160208091040260200160405190810160405280929190818152602001828054610bae90614914565b8015610bfb5780601f10610bd057610100808354040283529160200191610bfb565b820191906000526020600020905b815481529060010190602001808311610bde57829003601f168201915b505050506005830154600684015460078501546008860154604080516060810182526009890180548252600a8a01546020830152600b8a018054999a979960ff97881699509597968516966101009095046001600160a01b0316959293919291840191610c6790614914565b80601f0160208091040260200160405190810160405280929190818152602001828054610c9390614914565b8015610ce05780601f10610cb557610100808354040283529160200191610ce0565b820191906000526020600020905b815481529060010190602001808311610cc357829003601f168201915b50505050508152505090508b565b600a81815481106107cf57600080fd5b600860205260009081526040902080548190610d1990614914565b80601f0160208091040260200160405190810160405280929190818152602001828054610d4590614914565b8015610d925780601f10610d6757610100808354040283529160200191610d92565b820191906000526020600020905b815481529060010190602001808311610d7557829003601f168201915b505050505090806001018054610da790614914565b80601f0160208091040260200160405190810160405280929190818152602001828054610dd390614914565b8015610e205780601f10610df557610100808354040283529160200191610e20565b820191906000526020600020905b815481529060010190602001808311610e0357829003601f168201915b505050505090806002018054610e3590614914565b80601f0160208091040260200160405190810160405280929190818152602001828054610e6190614914565b8015610eae5780601f10610e8357610100808354040283529160200191610eae565b820191906000526020600020905b815481529060010190602001808311610e9157829003601f168201915b5050506003840154600485015460058601546006870154600788018054979860ff909516979396506001600160a01b0390921694509291610eee90614914565b80601f0160208091040260200160405190810160405280929190818152602001828054610f1a90614914565b8015610f675780601f10610f3c57610100808354040283529160200191610f67565b820191906000526020600020905b815481529060010190602001808311610f4a57829003601f168201915b5050505050905088565b6006602052816000526040600020818154811061085457600080fd5b6001600160a01b0383166000908152602160209081526040808320338452909152812054849160029182169003610fdf5760405162461bcd60e51b8152600401610fd690614948565b60405180910390fd5b610fec8585856004611ed3565b5050505050565b600e602052600090815260409020805460018201546002830180546001600160a01b0393841694929093169261102890614914565b80601f016020809104026020016040519081016040528092919081815260200182805461105490614914565b80156110a15780601f10611076576101008083540402835291602001916110a1565b820191906000526020600020905b81548152906001019060200180831161108457829003601f168201915b5050506003840154600485015460058601546006870180549697939692955060ff8083169550610100830416936001600160a01b036201000090930492909216926110eb90614914565b80601f016020809104026020016040519081016040528092919081815260200182805461111790614914565b80156111645780601f1061113957610100808354040283529160200191611164565b820191906000526020600020905b81548152906001019060200180831161114757829003601f168201915b5050505050905089565b6001600160a01b03841660009081526021602090815260408083203384529091528120548591600291821690036111b75760405162461bcd60e51b8152600401610fd690614948565b6111c686868686336004612031565b505050505050565b600160205281600052604060002081815481106111ea57600080fd5b90600052602060002001600091509150505481565b33600090815260208190526040902060020154610100900460ff1661125c5760405162461bcd60e51b8152602060048201526013602482015272155cd95c881b9bdd081c9959da5cdd195c9959606a1b6044820152606401610fd6565b336001600160a01b038316148061127b5750336001600160a01b038216145b8061129557503360009081526012602052604090205460ff165b6112f05760405162461bcd60e51b815260206004820152602660248201527f4f6e6c79207468652070617469656e742c20677561726469616e206f7220616e6044820152651030b236b4b760d11b6064820152608401610fd6565b6001600160a01b03808316600090815260216020908152604080832093851683529290529081205460ff16900361135a5760405162461bcd60e51b815260206004820152600e60248201526d2737ba10309033bab0b93234b0b760911b6044820152606401610fd6565b6001600160a01b0380831660008181526021602090815260408083209486168352938152838220805460ff1916905591815260229091522061139c9082612248565b6001600160a01b03811660009081526023602052604090206113be9083612248565b6000336001600160a01b038316146113de576113d933612351565b6113e1565b60045b9050611428838360006040518060400160405280600f81526020016e2922a6a7ab22afa3aaa0a92224a0a760891b81525085604051806020016040528060008152506123c1565b816001600160a01b0316836001600160a01b03167fee943cdb81826d5909c559c6b1ae6908fcaf2dbc16c4b730346736b486283e8b60405160405180910390a3505050565b6001600160a01b03861660009081526021602090815260408083203384529091528120548790600190811683036114b65760405162461bcd60e51b8152600401610fd690614948565b60008851116114fc5760405162461bcd60e51b815260206004820152601260248201527112541194c81a185cda081c995c5d5a5c995960721b6044820152606401610fd6565b600061150c8a338b8b8b8b6123d0565b8551909150156115445760008181526025602090815260408083206001600160a01b038e168452909152902061154286826149c5565b505b6115818a6000836040518060400160405280600681526020016543524541544560d01b8152506004604051806020016040528060008152506123c1565b9998505050505050505050565b600060208190529081526040902080546001820180546001600160a01b0390921692916115ba90614914565b80601f01602080910402602001604051908101604052809291908181526020018280546115e690614914565b80156116335780601f1061160857610100808354040283529160200191611633565b820191906000526020600020905b81548152906001019060200180831161161657829003601f168201915b505050506002830154600390930154919260ff8082169361010090920416915085565b6018818154811061166657600080fd5b6000918252602090912060079091020180546001820154600283015460038401546004850180546001600160a01b03958616975093909416949193909261089d90614914565b6001600160a01b0380831660009081526021602090815260408083209385168352929052205460ff165b92915050565b6001600160a01b03831660009081526021602090815260408083203384529091528120548491600291821690036117255760405162461bcd60e51b8152600401610fd690614948565b610fec8585856004612629565b6001600160a01b038516600090815260216020908152604080832033845290915281205486916002918216900361177b5760405162461bcd60e51b8152600401610fd690614948565b61178a878787878760046128d9565b50505050505050565b33600090815260208190526040902060020154610100900460ff166117f05760405162461bcd60e51b8152602060048201526013602482015272155cd95c881b9bdd081c9959da5cdd195c9959606a1b6044820152606401610fd6565b336001600160a01b038416148061181657503360009081526012602052604090205460ff165b6118625760405162461bcd60e51b815260206004820152601c60248201527f4f6e6c79207468652070617469656e74206f7220616e2061646d696e000000006044820152606401610fd6565b60016001600160a01b03841660009081526020819052604090206002015460ff16600381111561189457611894613f9f565b146118d15760405162461bcd60e51b815260206004820152600d60248201526c139bdd0818481c185d1a595b9d609a1b6044820152606401610fd6565b6001600160a01b038216600090815260208190526040902060020154610100900460ff166119415760405162461bcd60e51b815260206004820152601760248201527f477561726469616e206e6f7420726567697374657265640000000000000000006044820152606401610fd6565b826001600160a01b0316826001600160a01b0316036119a25760405162461bcd60e51b815260206004820152601760248201527f43616e6e6f74206170706f696e7420796f757273656c660000000000000000006044820152606401610fd6565b60ff8116158015906119b85750600f60ff821611155b6119f55760405162461bcd60e51b815260206004820152600e60248201526d496e76616c696420706f7765727360901b6044820152606401610fd6565b336001600160a01b03841614801590611a805750611a7e6040518060400160405280601081526020016f20a82827a4a72a2fa3aaa0a92224a0a760811b815250838584604051602001611a609291906001600160a01b0392909216825260ff16602082015260400190565b6040516020818303038152906040528051906020012060001c612c1f565b155b611bda576001600160a01b03808416600090815260216020908152604080832093861683529290529081205460ff169003611b15576001600160a01b0380841660008181526022602090815260408083208054600181810183559185528385200180549689166001600160a01b0319978816811790915584526023835290832080549182018155835291200180549092161790555b6001600160a01b0383811660009081526021602090815260408083209386168352928152828220805460ff191660ff86161790558251808401909352601083526f20a82827a4a72a2fa3aaa0a92224a0a760811b90830152611b939185918591611b7e33612351565b604051806020016040528060008152506123c1565b60405160ff821681526001600160a01b0380841691908516907f27026cb2553da3aee58caf8d7f2a263993280f700a3b4c39a0c5447f13edce4f9060200160405180910390a35b505050565b6001600160a01b0383166000908152602160209081526040808320338452909152812054849160029182169003611c285760405162461bcd60e51b8152600401610fd690614948565b610fec8585856004612e22565b60108181548110611c4557600080fd5b600091825260209091200154905081565b6004602081815260009485526040808620825293855283852090529083529120805460018201546002830154600384015494840180546001600160a01b03909416959294919360ff9093169261073c90614914565b6001600160a01b0385166000908152602160209081526040808320338452909152812054869160029182169003611cf45760405162461bcd60e51b8152600401610fd690614948565b61178a87878787876004612fad565b6001600160a01b0382166000908152602160209081526040808320338452909152812054839160029182169003611d4c5760405162461bcd60e51b8152600401610fd690614948565b611d5884846004613324565b50505050565b60608060226000846001600160a01b03166001600160a01b03168152602001908152602001600020805480602002602001604051908101604052809291908181526020018280548015611dda57602002820191906000526020600020905b81546001600160a01b03168152600190910190602001808311611dbc575b5050505050915081516001600160401b03811115611dfa57611dfa61423e565b604051908082528060200260200182016040528015611e23578160200160208202803683370190505b50905060005b8251811015611ecd576001600160a01b03841660009081526021602052604081208451909190859084908110611e6157611e61614a84565b60200260200101516001600160a01b03166001600160a01b0316815260200190815260200160002060009054906101000a900460ff16828281518110611ea957611ea9614a84565b60ff9092166020928302919091019091015280611ec581614ab0565b915050611e29565b50915091565b60005b8251811015610fec576000838281518110611ef357611ef3614a84565b6020908102919091018101516001600160a01b038089166000908152600484526040808220928a1682529184528181208382529093529091206003015490915060ff16611f525760405162461bcd60e51b8152600401610fd690614ac9565b6001600160a01b0380871660009081526004602090815260408083209389168352928152828220848352905220600301805460ff19169055611f94868661342e565b611fdd868683604051806040016040528060148152602001735245564f4b455f5245434f52445f41434345535360601b81525087604051806020016040528060008152506123c1565b80856001600160a01b0316876001600160a01b03167fa70c2c6fef6d87711ce2db8b301fde3631595fe650f4441663b466c2b430fb2f60405160405180910390a4508061202981614ab0565b915050611ed6565b61203a85613596565b6120565760405162461bcd60e51b8152600401610fd690614af7565b6000808511612066576000612070565b6120708542614b4a565b6001600160a01b038089166000908152600360208181526040808420948c16845293905291902001549091506120ac908890889060ff166135c8565b6120c9878760008060405180602001604052806000815250613668565b6040518060a00160405280876001600160a01b031681526020014281526020018281526020016001151581526020018581525060036000896001600160a01b03166001600160a01b031681526020019081526020016000206000886001600160a01b03166001600160a01b0316815260200190815260200160002060008201518160000160006101000a8154816001600160a01b0302191690836001600160a01b03160217905550602082015181600101556040820151816002015560608201518160030160006101000a81548160ff02191690831515021790555060808201518160040190816121ba91906149c5565b509050506121f2878760006040518060400160405280600c81526020016b4752414e545f41434345535360a01b81525087878a6137e5565b856001600160a01b0316876001600160a01b03167f65d0cc1e52d49938ca4ad9f423c79c1b84d914b9a683fbc5d3f93ac3cc5635f58360405161223791815260200190565b60405180910390a350505050505050565b60005b8254811015611bda57816001600160a01b031683828154811061227057612270614a84565b6000918252602090912001546001600160a01b03160361233f578254839061229a90600190614b5d565b815481106122aa576122aa614a84565b9060005260206000200160009054906101000a90046001600160a01b03168382815481106122da576122da614a84565b9060005260206000200160006101000a8154816001600160a01b0302191690836001600160a01b031602179055508280548061231857612318614b70565b600082815260209020810160001990810180546001600160a01b0319169055019055505050565b8061234981614ab0565b91505061224b565b6001600160a01b03811660009081526012602052604081205460ff161561237a57506002919050565b60026001600160a01b03831660009081526020819052604090206002015460ff1660038111156123ac576123ac613f9f565b036123b957506001919050565b506000919050565b6111c6868686863387876137e5565b80516000906124215760405162461bcd60e51b815260206004820152601760248201527f436f6e74656e74206469676573742072657175697265640000000000000000006044820152606401610fd6565b600b805490600061243183614ab0565b90915550506040805161016081018252600b548082526001600160a01b038a811660208085019182528486018b8152606086018b9052608086018a90524260a0870152600160c0870181905260e08701819052600061010088018190528e861661012089015261014088018b90529586526002928390529690942085518155915195820180546001600160a01b0319169690931695909517909155905191929091908201906124e090826149c5565b50606082015160038201906124f590826149c5565b506080820151600482019061250a90826149c5565b5060a0820151600582015560c082015160068201805460ff191691151591909117905560e08201516007820155610100808301516008830180546101208601516001600160a81b0319909116921515610100600160a81b031916929092176001600160a01b039092169092021790556101408201518051600983019081556020820151600a8401556040820151600b8401906125a690826149c5565b5050506001600160a01b0389166000818152600160208181526040808420600b80548254958601835591865292909420909201929092559054905191935091507f99a9454438287bd513ed7da46fc0ff0cabc6b573eeafb583a59e01bc2e52ef9090612613908890614b86565b60405180910390a350600b549695505050505050565b6001600160a01b03841660009081526026602052604090205483106126875760405162461bcd60e51b815260206004820152601460248201527311dc985b9d08191bd95cc81b9bdd08195e1a5cdd60621b6044820152606401610fd6565b600082116126cb5760405162461bcd60e51b8152602060048201526011602482015270111d5c985d1a5bdb881c995c5d5a5c9959607a1b6044820152606401610fd6565b6001600160a01b03841660009081526026602052604081208054859081106126f5576126f5614a84565b9060005260206000209060030201905060006127118683613c49565b600381015490915060ff166127385760405162461bcd60e51b8152600401610fd690614ac9565b80600201546000036127845760405162461bcd60e51b81526020600482015260156024820152744772616e7420646f6573206e6f742065787069726560581b6044820152606401610fd6565b600042826002015411612797574261279d565b81600201545b90506127a98582614b4a565b60028301558254600184015460408051808201909152600d81526c455854454e445f41434345535360981b6020820152600485018054612884948c946001600160a01b0390911693909290918a919061280190614914565b80601f016020809104026020016040519081016040528092919081815260200182805461282d90614914565b801561287a5780601f1061284f5761010080835404028352916020019161287a565b820191906000526020600020905b81548152906001019060200180831161285d57829003601f168201915b50505050506123c1565b8254600283015460405190815287916001600160a01b0390811691908a16907f3492d291daf8f520fa0f9350e79fa85bf5dd23230a52ec3be5701940b0072d939060200160405180910390a450505050505050565b6128e285613596565b6128fe5760405162461bcd60e51b8152600401610fd690614af7565b60008451116129485760405162461bcd60e51b8152602060048201526016602482015275139bc818d85d1959dbdc9a595cc81cd95b1958dd195960521b6044820152606401610fd6565b6000808411612958576000612962565b6129628442614b4a565b905060005b8551811015612be257600086828151811061298457612984614a84565b602002602001015151116129d15760405162461bcd60e51b8152602060048201526014602482015273149958dbdc99081d1e5c19481c995c5d5a5c995960621b6044820152606401610fd6565b60008682815181106129e5576129e5614a84565b6020908102919091018101518051908201206001600160a01b03808c166000908152600584526040808220928d16825291845281812083825290935290912060030154909150612a3b908a908a9060ff166135c8565b612a638989600260008b8781518110612a5657612a56614a84565b6020026020010151613668565b6040518060a00160405280896001600160a01b0316815260200142815260200184815260200160011515815260200186815250600560008b6001600160a01b03166001600160a01b0316815260200190815260200160002060008a6001600160a01b03166001600160a01b03168152602001908152602001600020600083815260200190815260200160002060008201518160000160006101000a8154816001600160a01b0302191690836001600160a01b03160217905550602082015181600101556040820151816002015560608201518160030160006101000a81548160ff0219169083151502179055506080820151816004019081612b6591906149c5565b50905050876001600160a01b0316896001600160a01b03167f8b1e5788c5e9a6c8a37c91eb60d1009ec7a97f9f3c23837dd2f83e829c45286a898581518110612bb057612bb0614a84565b602002602001015186604051612bc7929190614b99565b60405180910390a35080612bda81614ab0565b915050612967565b5061178a87876000604051806040016040528060158152602001744752414e545f43415445474f52595f41434345535360581b81525086886123c1565b600080848484604051602001612c3793929190614bbb565b60408051601f19818403018152828252805160209182012060008181526016835283812054838601839052858501528351808603850181526060909501845284519483019490942080855260178352838520338652909252919092205490925060ff1615612cda5760405162461bcd60e51b815260206004820152601060248201526f105b1c9958591e48185c1c1c9bdd995960821b6044820152606401610fd6565b60008181526017602090815260408083203384529091528120805460ff19166001179055612d0782613d4f565b9050612d4660008760006040518060400160405280601481526020017320a8282927ab22afa0a226a4a72fa0a1aa24a7a760611b81525060028c6123c1565b336001600160a01b0316866001600160a01b0316837f37d939b8a58253f78c446fb495199b400187ef6f368c7e3cefdbb388d9153b3e8a8986601454604051612d929493929190614be9565b60405180910390a4601454811015612db05760009350505050612e1b565b6000838152601660205260408120805491612dca83614ab0565b9190505550856001600160a01b0316827f5082ea7bafc779488b77c5d326f0320e08bdd2eb6dbdf76a403694d92f30793b8988604051612e0b929190614b99565b60405180910390a3600193505050505b9392505050565b60005b8251811015612f60576000838281518110612e4257612e42614a84565b6020908102919091018101518051908201206001600160a01b038089166000908152600584526040808220928a1682529184528181208382529093529091206003015490915060ff16612ea75760405162461bcd60e51b8152600401610fd690614ac9565b6001600160a01b0380871660009081526005602090815260408083209389168352928152828220848352905220600301805460ff19169055612ee9868661342e565b846001600160a01b0316866001600160a01b03167fdfe8c4b5e70a2b21884a099628f3aa35ecce67949b9d14e6a1eaa3dfcdea31ea868581518110612f3057612f30614a84565b6020026020010151604051612f459190614b86565b60405180910390a35080612f5881614ab0565b915050612e25565b50611d5884846000604051806040016040528060168152602001755245564f4b455f43415445474f52595f41434345535360501b81525085604051806020016040528060008152506123c1565b612fb685613596565b612fd25760405162461bcd60e51b8152600401610fd690614af7565b60008451116130195760405162461bcd60e51b8152602060048201526013602482015272139bc81c9958dbdc991cc81cd95b1958dd1959606a1b6044820152606401610fd6565b6000808411613029576000613033565b6130338442614b4a565b905060005b855181101561331a57600086828151811061305557613055614a84565b6020908102919091018101516000818152600290925260409091206006015490915060ff166130be5760405162461bcd60e51b8152602060048201526015602482015274149958dbdc9908191bd95cc81b9bdd08195e1a5cdd605a1b6044820152606401610fd6565b6000818152600260205260409020600101546001600160a01b038a811691161461311c5760405162461bcd60e51b815260206004820152600f60248201526e139bdd081e5bdd5c881c9958dbdc99608a1b6044820152606401610fd6565b6001600160a01b03808a166000908152600460209081526040808320938c1683529281528282208483529052206003015461315d908a908a9060ff166135c8565b61317a898960018460405180602001604052806000815250613668565b6040518060a00160405280896001600160a01b0316815260200142815260200184815260200160011515815260200186815250600460008b6001600160a01b03166001600160a01b0316815260200190815260200160002060008a6001600160a01b03166001600160a01b03168152602001908152602001600020600083815260200190815260200160002060008201518160000160006101000a8154816001600160a01b0302191690836001600160a01b03160217905550602082015181600101556040820151816002015560608201518160030160006101000a81548160ff021916908315150217905550608082015181600401908161327c91906149c5565b509050506132b9898983604051806040016040528060138152602001724752414e545f5245434f52445f41434345535360681b815250888a6123c1565b80886001600160a01b03168a6001600160a01b03167f0a435db325f9105923c5c5d486e3167cf7ba64a5fa69d9e06c3b01da3447bfd6866040516132ff91815260200190565b60405180910390a4508061331281614ab0565b915050613038565b5050505050505050565b6001600160a01b0380841660009081526003602081815260408084209487168452939052919020015460ff1661336c5760405162461bcd60e51b8152600401610fd690614ac9565b6001600160a01b038084166000908152600360208181526040808420948716845293905291902001805460ff191690556133a6838361342e565b6133e9838360006040518060400160405280600d81526020016c5245564f4b455f41434345535360981b81525085604051806020016040528060008152506123c1565b816001600160a01b0316836001600160a01b03167f825c8be24eb0df19500f63e86c29e7d0d951e73056b889b891d85e40938d9b6e60405160405180910390a3505050565b6001600160a01b0380831660009081526020808052604080832093851683529290529081208054829061346090614c18565b9182905550111561346f575050565b6001600160a01b038082166000908152601e60209081526040808320601f8352818420948716845293909152812054825490919083906134b190600190614b5d565b815481106134c1576134c1614a84565b6000918252602090912001546001600160a01b0316905080836134e5600185614b5d565b815481106134f5576134f5614a84565b600091825260208083209190910180546001600160a01b0319166001600160a01b039485161790558683168252601f81526040808320938516835292905220829055825483908061354857613548614b70565b60008281526020808220830160001990810180546001600160a01b03191690559092019092556001600160a01b039586168252601f8152604080832097909616825295909552505050812055565b60006135a182613dd5565b806116d65750506001600160a01b03166000908152602f6020526040902060020154151590565b80156135d357505050565b6001600160a01b03808416600090815260208080526040808320938616835292905290812080549161360483614ab0565b91905055600003611bda576001600160a01b038083166000818152601e602090815260408083208054600181018255818552838520018054968a166001600160a01b0319909716871790559383529254601f82528383209483529390522055505050565b6000848484846040516020016136819493929190614c2f565b60408051601f1981840301815291815281516020928301206001600160a01b038916600090815260278452828120828252909352912054909150156136c65750610fec565b60266000876001600160a01b03166001600160a01b031681526020019081526020016000206040518060800160405280876001600160a01b0316815260200186600281111561371757613717613f9f565b8152602080820187905260409091018590528254600181018455600093845292819020825160039094020180546001600160a01b039094166001600160a01b031985168117825591830151929390929183916001600160a81b03191617600160a01b83600281111561378b5761378b613f9f565b021790555060408201516001820155606082015160028201906137ae90826149c5565b5050506001600160a01b03861660009081526026602090815260408083205460278352818420948452939091529020555050505050565b60006040518060e00160405280856001600160a01b03168152602001896001600160a01b0316815260200187815260200142815260200186815260200184600481111561383457613834613f9f565b815260209081018490526001600160a01b03808716600090815260068352604080822080546001818101835591845292859020865160079094020180549385166001600160a01b0319948516178155948601519085018054919094169216919091179091558201516002820155606082015160038201556080820151919250829160048201906138c490826149c5565b5060a082015160058201805460ff191660018360048111156138e8576138e8613f9f565b021790555060c0820151600682019061390190826149c5565b5050506001600160a01b0387161580159061392e5750836001600160a01b0316876001600160a01b031614155b156139fb576001600160a01b03808816600090815260066020908152604080832080546001818101835591855293839020865160079095020180549486166001600160a01b031995861617815592860151908301805491909516931692909217909255820151600282015560608201516003820155608082015182919060048201906139ba90826149c5565b5060a082015160058201805460ff191660018360048111156139de576139de613f9f565b021790555060c082015160068201906139f790826149c5565b5050505b6001600160a01b03881615613ad5576001600160a01b0380891660009081526007602081815260408084208054600181810183559186529483902087519590940290930180549486166001600160a01b031995861617815591860151928201805493909516929093169190911790925582015160028201556060820151600382015560808201518291906004820190613a9490826149c5565b5060a082015160058201805460ff19166001836004811115613ab857613ab8613f9f565b021790555060c08201516006820190613ad190826149c5565b5050505b6002836004811115613ae957613ae9613f9f565b0361331a5760188054600181018255600091909152815160079091027fb13d2d76d1f4b7be834882e410b3e3a8afaf69f83600ae24db354391d2378d2e810180546001600160a01b039384166001600160a01b031991821617825560208501517fb13d2d76d1f4b7be834882e410b3e3a8afaf69f83600ae24db354391d2378d2f840180549190951691161790925560408301517fb13d2d76d1f4b7be834882e410b3e3a8afaf69f83600ae24db354391d2378d3082015560608301517fb13d2d76d1f4b7be834882e410b3e3a8afaf69f83600ae24db354391d2378d3182015560808301518392917fb13d2d76d1f4b7be834882e410b3e3a8afaf69f83600ae24db354391d2378d320190613bff90826149c5565b5060a082015160058201805460ff19166001836004811115613c2357613c23613f9f565b021790555060c08201516006820190613c3c90826149c5565b5050505050505050505050565b6000808254600160a01b900460ff166002811115613c6957613c69613f9f565b03613c9b57506001600160a01b03808316600090815260036020908152604080832085549094168352929052206116d6565b60018254600160a01b900460ff166002811115613cba57613cba613f9f565b03613cf857506001600160a01b03808316600090815260046020908152604080832085549094168352928152828220600185015483529052206116d6565b6001600160a01b038084166000908152600560209081526040808320865490941683529290528181209151613d31906002860190614c77565b60405180910390208152602001908152602001600020905092915050565b6000805b601354811015613dcf5760008381526017602052604081206013805491929184908110613d8257613d82614a84565b60009182526020808320909101546001600160a01b0316835282019290925260400190205460ff1615613dbd5781613db981614ab0565b9250505b80613dc781614ab0565b915050613d53565b50919050565b600060026001600160a01b03831660009081526020819052604090206002015460ff166003811115613e0957613e09613f9f565b1480156116d6575060026001600160a01b038316600090815260086020526040902060039081015460ff1690811115613e4457613e44613f9f565b1492915050565b80356001600160a01b0381168114613e6257600080fd5b919050565b600080600060608486031215613e7c57600080fd5b613e8584613e4b565b9250613e9360208501613e4b565b9150604084013590509250925092565b6000815180845260005b81811015613ec957602081850181015186830182015201613ead565b506000602082860101526020601f19601f83011685010191505092915050565b60018060a01b0386168152846020820152836040820152821515606082015260a060808201526000613f1e60a0830184613ea3565b979650505050505050565b600060208284031215613f3b57600080fd5b5035919050565b60008060408385031215613f5557600080fd5b613f5e83613e4b565b9150613f6c60208401613e4b565b90509250929050565b60008060408385031215613f8857600080fd5b613f9183613e4b565b946020939093013593505050565b634e487b7160e01b600052602160045260246000fd5b6001600160a01b03888116825287166020820152604081018690526060810185905260e060808201819052600090613fef90830186613ea3565b60058510613fff57613fff613f9f565b8460a084015282810360c08401526140178185613ea3565b9a9950505050505050505050565b60006020828403121561403757600080fd5b81356001600160e01b031981168114612e1b57600080fd5b60006020828403121561406157600080fd5b612e1b82613e4b565b600081518084526020808501945080840160005b838110156140a35781516001600160a01b03168752958201959082019060010161407e565b509495945050505050565b602081526000612e1b602083018461406a565b805182526020810151602083015260006040820151606060408501526140ea6060850182613ea3565b949350505050565b8b81526001600160a01b038b1660208201526101606040820181905260009061411d8382018d613ea3565b90508281036060840152614131818c613ea3565b90508281036080840152614145818b613ea3565b90508860a084015287151560c08401528660e084015285151561010084015261417a6101208401866001600160a01b03169052565b82810361014084015261418d81856140c1565b9e9d5050505050505050505050505050565b600481106141af576141af613f9f565b50565b60006101008083526141c68184018c613ea3565b905082810360208401526141da818b613ea3565b905082810360408401526141ee818a613ea3565b90506141f98861419f565b60608301889052608083018790526001600160a01b03861660a084015260c0830185905282810360e084015261422f8185613ea3565b9b9a5050505050505050505050565b634e487b7160e01b600052604160045260246000fd5b604051601f8201601f191681016001600160401b038111828210171561427c5761427c61423e565b604052919050565b60006001600160401b0382111561429d5761429d61423e565b5060051b60200190565b600082601f8301126142b857600080fd5b813560206142cd6142c883614284565b614254565b82815260059290921b840181019181810190868411156142ec57600080fd5b8286015b8481101561430757803583529183019183016142f0565b509695505050505050565b60008060006060848603121561432757600080fd5b61433084613e4b565b925061433e60208501613e4b565b915060408401356001600160401b0381111561435957600080fd5b614365868287016142a7565b9150509250925092565b6001600160a01b038a8116825289811660208301526101206040830181905260009161439d8483018c613ea3565b915089606085015288608085015287151560a085015286151560c085015280861660e0850152508281036101008401526143d78185613ea3565b9c9b505050505050505050505050565b600082601f8301126143f857600080fd5b81356001600160401b038111156144115761441161423e565b614424601f8201601f1916602001614254565b81815284602083860101111561443957600080fd5b816020850160208301376000918101602001919091529392505050565b6000806000806080858703121561446c57600080fd5b61447585613e4b565b935061448360208601613e4b565b92506040850135915060608501356001600160401b038111156144a557600080fd5b6144b1878288016143e7565b91505092959194509250565b6000606082840312156144cf57600080fd5b604051606081016001600160401b0382821081831117156144f2576144f261423e565b816040528293508435835260208501356020840152604085013591508082111561451b57600080fd5b50614528858286016143e7565b6040830152505092915050565b60008060008060008060c0878903121561454e57600080fd5b61455787613e4b565b955060208701356001600160401b038082111561457357600080fd5b61457f8a838b016143e7565b9650604089013591508082111561459557600080fd5b6145a18a838b016143e7565b955060608901359150808211156145b757600080fd5b6145c38a838b016143e7565b945060808901359150808211156145d957600080fd5b6145e58a838b016144bd565b935060a08901359150808211156145fb57600080fd5b5061460889828a016143e7565b9150509295509295509295565b6001600160a01b038616815260a06020820181905260009061463990830187613ea3565b90506146448561419f565b6040820194909452911515606083015260809091015292915050565b60008060006060848603121561467557600080fd5b61467e84613e4b565b95602085013595506040909401359392505050565b600082601f8301126146a457600080fd5b813560206146b46142c883614284565b82815260059290921b840181019181810190868411156146d357600080fd5b8286015b848110156143075780356001600160401b038111156146f65760008081fd5b6147048986838b01016143e7565b8452509183019183016146d7565b600080600080600060a0868803121561472a57600080fd5b61473386613e4b565b945061474160208701613e4b565b935060408601356001600160401b038082111561475d57600080fd5b61476989838a01614693565b945060608801359350608088013591508082111561478657600080fd5b50614793888289016143e7565b9150509295509295909350565b6000806000606084860312156147b557600080fd5b6147be84613e4b565b92506147cc60208501613e4b565b9150604084013560ff811681146147e257600080fd5b809150509250925092565b60008060006060848603121561480257600080fd5b61480b84613e4b565b925061481960208501613e4b565b915060408401356001600160401b0381111561483457600080fd5b61436586828701614693565b600080600080600060a0868803121561485857600080fd5b61486186613e4b565b945061486f60208701613e4b565b935060408601356001600160401b038082111561488b57600080fd5b61476989838a016142a7565b6040815260006148aa604083018561406a565b82810360208481019190915284518083528582019282019060005b818110156148e457845160ff16835293830193918301916001016148c5565b5090979650505050505050565b6000806040838503121561490457600080fd5b82359150613f6c60208401613e4b565b600181811c9082168061492857607f821691505b602082108103613dcf57634e487b7160e01b600052602260045260246000fd5b6020808252601a908201527f4e6f7420617574686f72697a656420617320677561726469616e000000000000604082015260600190565b601f821115611bda57600081815260208120601f850160051c810160208610156149a65750805b601f850160051c820191505b818110156111c6578281556001016149b2565b81516001600160401b038111156149de576149de61423e565b6149f2816149ec8454614914565b8461497f565b602080601f831160018114614a275760008415614a0f5750858301515b600019600386901b1c1916600185901b1785556111c6565b600085815260208120601f198616915b82811015614a5657888601518255948401946001909101908401614a37565b5085821015614a745787850151600019600388901b60f8161c191681555b5050505050600190811b01905550565b634e487b7160e01b600052603260045260246000fd5b634e487b7160e01b600052601160045260246000fd5b600060018201614ac257614ac2614a9a565b5060010190565b60208082526014908201527327379030b1ba34bb32903832b936b4b9b9b4b7b760611b604082015260600190565b60208082526033908201527f43616e206f6e6c79206772616e7420746f20766572696669656420646f63746f6040820152727273206f72206f7267616e697a6174696f6e7360681b606082015260800190565b808201808211156116d6576116d6614a9a565b818103818111156116d6576116d6614a9a565b634e487b7160e01b600052603160045260246000fd5b602081526000612e1b6020830184613ea3565b604081526000614bac6040830185613ea3565b90508260208301529392505050565b606081526000614bce6060830186613ea3565b6001600160a01b039490941660208301525060400152919050565b608081526000614bfc6080830187613ea3565b6020830195909552506040810192909252606090910152919050565b600081614c2757614c27614a9a565b506000190190565b6001600160a01b0385168152600060038510614c4d57614c4d613f9f565b84602083015283604083015260806060830152614c6d6080830184613ea3565b9695505050505050565b6000808354614c8581614914565b60018281168015614c9d5760018114614cb257614ce1565b60ff1984168752821515830287019450614ce1565b8760005260208060002060005b85811015614cd85781548a820152908401908201614cbf565b50505082870194505b5092969550505050505056fea2646970667358221220b65d0ce51a3ad6dc6ac81ac8573aec65f88b9ec4a1f789e9a995865e5b8d897964736f6c63430008130033";
+
+type MedChainGuardiansConstructorParams =
+  | [signer?: Signer]
+  | ConstructorParameters<typeof ContractFactory>;
+
+const isSuperArgs = (
+  xs: MedChainGuardiansConstructorParams
+): xs is ConstructorParameters<typeof ContractFactory> => xs.length > 1;
+
+export class MedChainGuardians__factory extends ContractFactory {
+  constructor(...args: MedChainGuardiansConstructorParams) {
+    if (isSuperArgs(args)) {
+      super(...args);
+    } else {
+      super(_abi, _bytecode, args[0]);
+    }
+  }
+
+  override getDeployTransaction(
+    overrides?: NonPayableOverrides & { from?: string }
+  ): Promise<ContractDeployTransaction> {
+    return super.getDeployTransaction(overrides || {});
+  }
+  override deploy(overrides?: NonPayableOverrides & { from?: string }) {
+    return super.deploy(overrides || {}) as Promise<
+      MedChainGuardians & {
+        deploymentTransaction(): ContractTransactionResponse;
+      }
+    >;
+  }
+  override connect(runner: ContractRunner | null): MedChainGuardians__factory {
+    return super.connect(runner) as MedChainGuardians__factory;
+  }
+
+  static readonly bytecode = _bytecode;
+  static readonly abi = _abi;
+  static createInterface(): MedChainGuardiansInterface {
+    return new Interface(_abi) as MedChainGuardiansInterface;
+  }
+  static connect(
+    address: string,
+    runner?: ContractRunner | null
+  ): MedChainGuardians {
+    return new Contract(address, _abi, runner) as unknown as MedChainGuardians;
+  }
+}
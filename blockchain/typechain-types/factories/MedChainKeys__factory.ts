@@ -0,0 +1,2188 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import {
+  Contract,
+  ContractFactory,
+  ContractTransactionResponse,
+  Interface,
+} from "ethers";
+import type { Signer, ContractDeployTransaction, ContractRunner } from "ethers";
+import type { NonPayableOverrides } from "../common";
+import type { MedChainKeys, MedChainKeysInterface } from "../MedChainKeys";
+
+const _abi = [
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "grantIndex",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+    ],
+    name: "AccessExtended",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+    ],
+    name: "AccessGranted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "requestId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+    ],
+    name: "AccessRequestApproved",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "requestId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    name: "AccessRequestDenied",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "requestId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "duration",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "purpose",
+        type: "string",
+      },
+    ],
+    name: "AccessRequested",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+    ],
+    name: "AccessRevoked",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "bytes32",
+        name: "actionId",
+        type: "bytes32",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "action",
+        type: "string",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "target",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "value",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "approver",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "approvals",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "required",
+        type: "uint256",
+      },
+    ],
+    name: "AdminActionApproved",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "bytes32",
+        name: "actionId",
+        type: "bytes32",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "action",
+        type: "string",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "target",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "value",
+        type: "uint256",
+      },
+    ],
+    name: "AdminActionExecuted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "account",
+        type: "address",
+      },
+    ],
+    name: "AdminAdded",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "quorum",
+        type: "uint256",
+      },
+    ],
+    name: "AdminQuorumChanged",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "account",
+        type: "address",
+      },
+    ],
+    name: "AdminRemoved",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "currentAdmin",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "pendingAdmin",
+        type: "address",
+      },
+    ],
+    name: "AdminTransferStarted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "previousAdmin",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "newAdmin",
+        type: "address",
+      },
+    ],
+    name: "AdminTransferred",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "recordType",
+        type: "string",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+    ],
+    name: "CategoryAccessGranted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "recordType",
+        type: "string",
+      },
+    ],
+    name: "CategoryAccessRevoked",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "licenseNumber",
+        type: "string",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "issuingAuthority",
+        type: "string",
+      },
+    ],
+    name: "DoctorApplicationSubmitted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "verifier",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    name: "DoctorRejected",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "verifier",
+        type: "address",
+      },
+    ],
+    name: "DoctorVerified",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "accessId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "justification",
+        type: "string",
+      },
+    ],
+    name: "EmergencyAccessInvoked",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "accessId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "reviewer",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "bool",
+        name: "justified",
+        type: "bool",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "notes",
+        type: "string",
+      },
+    ],
+    name: "EmergencyAccessReviewed",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: false,
+        internalType: "bool",
+        name: "status",
+        type: "bool",
+      },
+    ],
+    name: "EmergencyModeToggled",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "user",
+        type: "address",
+      },
+    ],
+    name: "EncryptionKeySet",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "extension",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "bytes4[]",
+        name: "selectors",
+        type: "bytes4[]",
+      },
+    ],
+    name: "ExtensionRouted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "reporter",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "details",
+        type: "string",
+      },
+    ],
+    name: "FileMismatchReported",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "guardian",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint8",
+        name: "powers",
+        type: "uint8",
+      },
+    ],
+    name: "GuardianAppointed",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "guardian",
+        type: "address",
+      },
+    ],
+    name: "GuardianRemoved",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "organization",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "name",
+        type: "string",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "owner",
+        type: "address",
+      },
+    ],
+    name: "OrganizationCreated",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "organization",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+    ],
+    name: "OrganizationMemberAdded",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "organization",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+    ],
+    name: "OrganizationMemberRemoved",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "organization",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "owner",
+        type: "address",
+      },
+    ],
+    name: "OrganizationOwnerChanged",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+    ],
+    name: "RecordAccessGranted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+    ],
+    name: "RecordAccessRevoked",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "accessor",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+    ],
+    name: "RecordAccessed",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "version",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    name: "RecordAmended",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    name: "RecordArchived",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "recordType",
+        type: "string",
+      },
+    ],
+    name: "RecordCreated",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "reader",
+        type: "address",
+      },
+    ],
+    name: "RecordKeyShared",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "proposalId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+    ],
+    name: "RecordProposalAccepted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "proposalId",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    name: "RecordProposalRejected",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "proposalId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "recordType",
+        type: "string",
+      },
+    ],
+    name: "RecordProposed",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+    ],
+    name: "RecordRestored",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "relayer",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "bool",
+        name: "enabled",
+        type: "bool",
+      },
+    ],
+    name: "RelayerUpdated",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "signer",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "relayer",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "nonce",
+        type: "uint256",
+      },
+    ],
+    name: "RequestRelayed",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "implementation",
+        type: "address",
+      },
+    ],
+    name: "Upgraded",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "userAddress",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "name",
+        type: "string",
+      },
+      {
+        indexed: false,
+        internalType: "enum MedChainBase.UserRole",
+        name: "role",
+        type: "uint8",
+      },
+    ],
+    name: "UserRegistered",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "verifier",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "bool",
+        name: "enabled",
+        type: "bool",
+      },
+    ],
+    name: "VerifierUpdated",
+    type: "event",
+  },
+  {
+    inputs: [],
+    name: "EMERGENCY_ACCESS_DURATION",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "GUARDIAN_CREATE_RECORDS",
+    outputs: [
+      {
+        internalType: "uint8",
+        name: "",
+        type: "uint8",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "GUARDIAN_MANAGE_ACCESS",
+    outputs: [
+      {
+        internalType: "uint8",
+        name: "",
+        type: "uint8",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "GUARDIAN_VIEW_AUDIT",
+    outputs: [
+      {
+        internalType: "uint8",
+        name: "",
+        type: "uint8",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "GUARDIAN_VIEW_RECORDS",
+    outputs: [
+      {
+        internalType: "uint8",
+        name: "",
+        type: "uint8",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "accessRequestCounter",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "admin",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "",
+        type: "bytes32",
+      },
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "adminActionApprovals",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "",
+        type: "bytes32",
+      },
+    ],
+    name: "adminActionNonces",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "adminList",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "adminQuorum",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "admins",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "auditTrails",
+    outputs: [
+      {
+        internalType: "address",
+        name: "accessor",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "timestamp",
+        type: "uint256",
+      },
+      {
+        internalType: "string",
+        name: "action",
+        type: "string",
+      },
+      {
+        internalType: "enum MedChainBase.ActorType",
+        name: "actorType",
+        type: "uint8",
+      },
+      {
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "bytes32",
+        name: "",
+        type: "bytes32",
+      },
+    ],
+    name: "categoryPermissions",
+    outputs: [
+      {
+        internalType: "address",
+        name: "doctorAddress",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "grantedAt",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+      {
+        internalType: "bool",
+        name: "isActive",
+        type: "bool",
+      },
+      {
+        internalType: "string",
+        name: "purpose",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "string",
+        name: "_ipfsHash",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "_recordType",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "_description",
+        type: "string",
+      },
+      {
+        components: [
+          {
+            internalType: "bytes32",
+            name: "digest",
+            type: "bytes32",
+          },
+          {
+            internalType: "uint256",
+            name: "size",
+            type: "uint256",
+          },
+          {
+            internalType: "string",
+            name: "mimeType",
+            type: "string",
+          },
+        ],
+        internalType: "struct MedChainBase.RecordFile",
+        name: "_file",
+        type: "tuple",
+      },
+      {
+        internalType: "bytes",
+        name: "_wrappedKey",
+        type: "bytes",
+      },
+    ],
+    name: "createEncryptedRecord",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "doctorApplicants",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "doctorCredentials",
+    outputs: [
+      {
+        internalType: "string",
+        name: "licenseNumber",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "issuingAuthority",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "specialty",
+        type: "string",
+      },
+      {
+        internalType: "enum MedChainBase.VerificationStatus",
+        name: "status",
+        type: "uint8",
+      },
+      {
+        internalType: "uint256",
+        name: "submittedAt",
+        type: "uint256",
+      },
+      {
+        internalType: "address",
+        name: "reviewedBy",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "reviewedAt",
+        type: "uint256",
+      },
+      {
+        internalType: "string",
+        name: "rejectionReason",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "emergencyAccessCounter",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "emergencyAccesses",
+    outputs: [
+      {
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        internalType: "string",
+        name: "justification",
+        type: "string",
+      },
+      {
+        internalType: "uint256",
+        name: "invokedAt",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+      {
+        internalType: "bool",
+        name: "reviewed",
+        type: "bool",
+      },
+      {
+        internalType: "bool",
+        name: "justified",
+        type: "bool",
+      },
+      {
+        internalType: "address",
+        name: "reviewedBy",
+        type: "address",
+      },
+      {
+        internalType: "string",
+        name: "reviewNotes",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "emergencyMode",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes4",
+        name: "",
+        type: "bytes4",
+      },
+    ],
+    name: "extensions",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "_user",
+        type: "address",
+      },
+    ],
+    name: "getEncryptionKey",
+    outputs: [
+      {
+        internalType: "bytes",
+        name: "",
+        type: "bytes",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "_recordId",
+        type: "uint256",
+      },
+    ],
+    name: "getRecordKey",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "encrypted",
+        type: "bool",
+      },
+      {
+        internalType: "bytes",
+        name: "wrappedKey",
+        type: "bytes",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "latestEmergencyAccess",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "patientAuditTrails",
+    outputs: [
+      {
+        internalType: "address",
+        name: "accessor",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "timestamp",
+        type: "uint256",
+      },
+      {
+        internalType: "string",
+        name: "action",
+        type: "string",
+      },
+      {
+        internalType: "enum MedChainBase.ActorType",
+        name: "actorType",
+        type: "uint8",
+      },
+      {
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "patientRecords",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "pendingAdmin",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "pendingEmergencyReviews",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "permissions",
+    outputs: [
+      {
+        internalType: "address",
+        name: "doctorAddress",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "grantedAt",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+      {
+        internalType: "bool",
+        name: "isActive",
+        type: "bool",
+      },
+      {
+        internalType: "string",
+        name: "purpose",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "recordCounter",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "recordPermissions",
+    outputs: [
+      {
+        internalType: "address",
+        name: "doctorAddress",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "grantedAt",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+      {
+        internalType: "bool",
+        name: "isActive",
+        type: "bool",
+      },
+      {
+        internalType: "string",
+        name: "purpose",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "recordProposalCounter",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "records",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        internalType: "address",
+        name: "patientAddress",
+        type: "address",
+      },
+      {
+        internalType: "string",
+        name: "ipfsHash",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "recordType",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "description",
+        type: "string",
+      },
+      {
+        internalType: "uint256",
+        name: "timestamp",
+        type: "uint256",
+      },
+      {
+        internalType: "bool",
+        name: "exists",
+        type: "bool",
+      },
+      {
+        internalType: "uint256",
+        name: "version",
+        type: "uint256",
+      },
+      {
+        internalType: "bool",
+        name: "archived",
+        type: "bool",
+      },
+      {
+        internalType: "address",
+        name: "author",
+        type: "address",
+      },
+      {
+        components: [
+          {
+            internalType: "bytes32",
+            name: "digest",
+            type: "bytes32",
+          },
+          {
+            internalType: "uint256",
+            name: "size",
+            type: "uint256",
+          },
+          {
+            internalType: "string",
+            name: "mimeType",
+            type: "string",
+          },
+        ],
+        internalType: "struct MedChainBase.RecordFile",
+        name: "file",
+        type: "tuple",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes",
+        name: "_publicKey",
+        type: "bytes",
+      },
+    ],
+    name: "setEncryptionKey",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "_reader",
+        type: "address",
+      },
+      {
+        internalType: "uint256[]",
+        name: "_recordIds",
+        type: "uint256[]",
+      },
+      {
+        internalType: "bytes[]",
+        name: "_wrappedKeys",
+        type: "bytes[]",
+      },
+    ],
+    name: "shareRecordKeys",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "systemAuditTrail",
+    outputs: [
+      {
+        internalType: "address",
+        name: "accessor",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "timestamp",
+        type: "uint256",
+      },
+      {
+        internalType: "string",
+        name: "action",
+        type: "string",
+      },
+      {
+        internalType: "enum MedChainBase.ActorType",
+        name: "actorType",
+        type: "uint8",
+      },
+      {
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "users",
+    outputs: [
+      {
+        internalType: "address",
+        name: "userAddress",
+        type: "address",
+      },
+      {
+        internalType: "string",
+        name: "name",
+        type: "string",
+      },
+      {
+        internalType: "enum MedChainBase.UserRole",
+        name: "role",
+        type: "uint8",
+      },
+      {
+        internalType: "bool",
+        name: "isRegistered",
+        type: "bool",
+      },
+      {
+        internalType: "uint256",
+        name: "registrationTime",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "verifiers",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+] as const;
+
+const _bytecode =
+  "0x608060405234801561001057600080fd5b50612e0c806100206000396000f3fe608060405234801561001057600080fd5b50600436106102325760003560e01c8063765fddf711610130578063ba008db0116100b8578063e3943c1d1161007c578063e3943c1d14610591578063f274e2d1146105a4578063f7b1da47146105ad578063f851a440146105db578063fd6c6d4a146105ee57600080fd5b8063ba008db01461053b578063d46473211461054e578063daae536814610556578063db01dfaa14610569578063e182a6821461057e57600080fd5b806397cfc6c7116100ff57806397cfc6c7146104d25780639da8e0db146104da578063a87430ba146104e3578063aa975d0014610507578063b4abbc731461051a57600080fd5b8063765fddf71461046f578063929887601461049757806394370050146104b757806394f0df61146104bf57600080fd5b80633082c4e0116101be5780635284a82e116101825780635284a82e146103e9578063670a4feb146104095780636b8df2a6146104305780636c824487146104435780637599be5d1461046657600080fd5b80633082c4e014610344578063344610671461036f578063393580b014610399578063429b62e5146103ac5780634590e8ee146103cf57600080fd5b80631f9838b5116102055780631f9838b5146102c657806320f2ce9e146102d95780632114ef1f146102ff578063267822471461030857806329e825931461031b57600080fd5b806303cf7d62146102375780630905f56014610253578063108b79341461027757806311117fc81461029b575b600080fd5b610240601d5481565b6040519081526020015b60405180910390f35b600c5461026790600160a01b900460ff1681565b604051901515815260200161024a565b61028a610285366004612365565b6105f7565b60405161024a9594939291906123e7565b6102ae6102a9366004612427565b6106cf565b6040516001600160a01b03909116815260200161024a565b61028a6102d4366004612440565b6106f9565b6102ec6102e7366004612473565b610748565b60405161024a97969594939291906124b3565b61024061a8c081565b6015546102ae906001600160a01b031681565b6102ae610329366004612523565b600d602052600090815260409020546001600160a01b031681565b610240610352366004612440565b600f60209081526000928352604080842090915290825290205481565b61038261037d366004612427565b6108cd565b60405161024a9b9a9998979695949392919061257d565b6102ae6103a7366004612427565b610b88565b6102676103ba36600461262a565b60126020526000908152604090205460ff1681565b6103d7600881565b60405160ff909116815260200161024a565b6103fc6103f736600461262a565b610b98565b60405161024a9190612645565b61041c61041736600461262a565b610c44565b60405161024a98979695949392919061266b565b6102ec61043e366004612473565b610eb7565b61026761045136600461262a565b60096020526000908152604090205460ff1681565b610240600b5481565b61048261047d366004612427565b610ed3565b60405161024a999897969594939291906126f7565b6102406104a5366004612427565b60166020526000908152604090205481565b6103d7600481565b6102406104cd366004612473565b61104e565b6103d7600281565b610240602b5481565b6104f66104f136600461262a565b61107f565b60405161024a95949392919061276f565b6102406105153660046128ea565b611147565b61052d610528366004612427565b611301565b60405161024a9291906129bc565b6102ec610549366004612427565b611494565b6103d7600181565b610240610564366004612427565b6114ea565b61057c610577366004612a93565b61150b565b005b61028a61058c366004612365565b6115c2565b61057c61059f366004612b5e565b611617565b61024060115481565b6102676105bb366004612b93565b601760209081526000928352604080842090915290825290205460ff1681565b600c546102ae906001600160a01b031681565b61024060145481565b6005602090815260009384526040808520825292845282842090528252902080546001820154600283015460038401546004850180546001600160a01b03909516959394929360ff9092169261064c90612bb6565b80601f016020809104026020016040519081016040528092919081815260200182805461067890612bb6565b80156106c55780601f1061069a576101008083540402835291602001916106c5565b820191906000526020600020905b8154815290600101906020018083116106a857829003601f168201915b5050505050905085565b601381815481106106df57600080fd5b6000918252602090912001546001600160a01b0316905081565b60036020818152600093845260408085209091529183529120805460018201546002830154938301546004840180546001600160a01b03909416959294929360ff909216929161064c90612bb6565b6007602052816000526040600020818154811061076457600080fd5b6000918252602090912060079091020180546001820154600283015460038401546004850180546001600160a01b0395861698509390941695509093909290916107ad90612bb6565b80601f01602080910402602001604051908101604052809291908181526020018280546107d990612bb6565b80156108265780601f106107fb57610100808354040283529160200191610826565b820191906000526020600020905b81548152906001019060200180831161080957829003601f168201915b5050506005840154600685018054949560ff90921694919350915061084a90612bb6565b80601f016020809104026020016040519081016040528092919081815260200182805461087690612bb6565b80156108c35780601f10610898576101008083540402835291602001916108c3565b820191906000526020600020905b8154815290600101906020018083116108a657829003601f168201915b5050505050905087565b600260208190526000918252604090912080546001820154928201805491936001600160a01b0316929161090090612bb6565b80601f016020809104026020016040519081016040528092919081815260200182805461092c90612bb6565b80156109795780601f1061094e57610100808354040283529160200191610979565b820191906000526020600020905b81548152906001019060200180831161095c57829003601f168201915b50505050509080600301805461098e90612bb6565b80601f01602080910402602001604051908101604052809291908181526020018280546109ba90612bb6565b8015610a075780601f106109dc57610100808354040283529160200191610a07565b820191906000526020600020905b8154815290600101906020018083116109ea57829003601f168201915b505050505090806004018054610a1c90612bb6565b80601f0160208091040260200160405190810160405280929190818152602001828054610a4890612bb6565b8015610a955780601f10610a6a57610100808354040283529160200191610a95565b820191906000526020600020905b815481529060010190602001808311610a7857829003601f168201915b505050506005830154600684015460078501546008860154604080516060810182526009890180548252600a8a01546020830152600b8a018054999a979960ff97881699509597968516966101009095046001600160a01b0316959293919291840191610b0190612bb6565b80601f0160208091040260200160405190810160405280929190818152602001828054610b2d90612bb6565b8015610b7a5780601f10610b4f57610100808354040283529160200191610b7a565b820191906000526020600020905b815481529060010190602001808311610b5d57829003601f168201915b50505050508152505090508b565b600a81815481106106df57600080fd5b6001600160a01b0381166000908152602460205260409020805460609190610bbf90612bb6565b80601f0160208091040260200160405190810160405280929190818152602001828054610beb90612bb6565b8015610c385780601f10610c0d57610100808354040283529160200191610c38565b820191906000526020600020905b815481529060010190602001808311610c1b57829003601f168201915b50505050509050919050565b600860205260009081526040902080548190610c5f90612bb6565b80601f0160208091040260200160405190810160405280929190818152602001828054610c8b90612bb6565b8015610cd85780601f10610cad57610100808354040283529160200191610cd8565b820191906000526020600020905b815481529060010190602001808311610cbb57829003601f168201915b505050505090806001018054610ced90612bb6565b80601f0160208091040260200160405190810160405280929190818152602001828054610d1990612bb6565b8015610d665780601f10610d3b57610100808354040283529160200191610d66565b820191906000526020600020905b815481529060010190602001808311610d4957829003601f168201915b505050505090806002018054610d7b90612bb6565b80601f0160208091040260200160405190810160405280929190818152602001828054610da790612bb6565b8015610df45780601f10610dc957610100808354040283529160200191610df4565b820191906000526020600020905b815481529060010190602001808311610dd757829003601f168201915b5050506003840154600485015460058601546006870154600788018054979860ff909516979396506001600160a01b0390921694509291610e3490612bb6565b80601f0160208091040260200160405190810160405280929190818152602001828054610e6090612bb6565b8015610ead5780601f10610e8257610100808354040283529160200191610ead565b820191906000526020600020905b815481529060010190602001808311610e9057829003601f168201915b5050505050905088565b6006602052816000526040600020818154811061076457600080fd5b600e602052600090815260409020805460018201546002830180546001600160a01b03938416949290931692610f0890612bb6565b80601f0160208091040260200160405190810160405280929190818152602001828054610f3490612bb6565b8015610f815780601f10610f5657610100808354040283529160200191610f81565b820191906000526020600020905b815481529060010190602001808311610f6457829003601f168201915b5050506003840154600485015460058601546006870180549697939692955060ff8083169550610100830416936001600160a01b03620100009093049290921692610fcb90612bb6565b80601f0160208091040260200160405190810160405280929190818152602001828054610ff790612bb6565b80156110445780601f1061101957610100808354040283529160200191611044565b820191906000526020600020905b81548152906001019060200180831161102757829003601f168201915b5050505050905089565b6001602052816000526040600020818154811061106a57600080fd5b90600052602060002001600091509150505481565b600060208190529081526040902080546001820180546001600160a01b0390921692916110ab90612bb6565b80601f01602080910402602001604051908101604052809291908181526020018280546110d790612bb6565b80156111245780601f106110f957610100808354040283529160200191611124565b820191906000526020600020905b81548152906001019060200180831161110757829003601f168201915b505050506002830154600390930154919260ff8082169361010090920416915085565b33600090815260208190526040812060020154610100900460ff166111875760405162461bcd60e51b815260040161117e90612bf0565b60405180910390fd5b60013360009081526020819052604090206002015460ff1660038111156111b0576111b061249d565b146111f55760405162461bcd60e51b815260206004820152601560248201527413db9b1e481c185d1a595b9d1cc8185b1b1bddd959605a1b604482015260640161117e565b600086511161123b5760405162461bcd60e51b815260206004820152601260248201527112541194c81a185cda081c995c5d5a5c995960721b604482015260640161117e565b60008251116112835760405162461bcd60e51b815260206004820152601460248201527315dc985c1c1959081ad95e481c995c5d5a5c995960621b604482015260640161117e565b60006112933333898989896116dc565b600081815260256020908152604080832033845290915290209091506112b98482612c63565b506112f7336000836040518060400160405280600681526020016543524541544560d01b815250600060405180602001604052806000815250611935565b9695505050505050565b600081815260026020526040812060060154606090839060ff1661135f5760405162461bcd60e51b8152602060048201526015602482015274149958dbdc9908191bd95cc81b9bdd08195e1a5cdd605a1b604482015260640161117e565b611369338561194c565b6113ab5760405162461bcd60e51b8152602060048201526013602482015272556e617574686f72697a65642061636365737360681b604482015260640161117e565b600084815260256020908152604080832060028352818420600101546001600160a01b03168452909152812080546113e290612bb6565b6000878152602560209081526040808320338452909152902080549390911195509161140e9150612bb6565b80601f016020809104026020016040519081016040528092919081815260200182805461143a90612bb6565b80156114875780601f1061145c57610100808354040283529160200191611487565b820191906000526020600020905b81548152906001019060200180831161146a57829003601f168201915b5050505050915050915091565b601881815481106114a457600080fd5b6000918252602090912060079091020180546001820154600283015460038401546004850180546001600160a01b0395861697509390941694919390926107ad90612bb6565b601081815481106114fa57600080fd5b600091825260209091200154905081565b33600090815260208190526040902060020154610100900460ff166115425760405162461bcd60e51b815260040161117e90612bf0565b60013360009081526020819052604090206002015460ff16600381111561156b5761156b61249d565b146115b05760405162461bcd60e51b815260206004820152601560248201527413db9b1e481c185d1a595b9d1cc8185b1b1bddd959605a1b604482015260640161117e565b6115bd3384848433611a1b565b505050565b6004602081815260009485526040808620825293855283852090529083529120805460018201546002830154600384015494840180546001600160a01b03909416959294919360ff9093169261064c90612bb6565b33600090815260208190526040902060020154610100900460ff1661164e5760405162461bcd60e51b815260040161117e90612bf0565b80516021146116945760405162461bcd60e51b8152602060048201526012602482015271496e76616c6964207075626c6963206b657960701b604482015260640161117e565b3360009081526024602052604090206116ad8282612c63565b5060405133907f5d0d5c4c0725fbe6df2d51b2bcff49e0045fd857c87163a99946756d0065a96290600090a250565b805160009061172d5760405162461bcd60e51b815260206004820152601760248201527f436f6e74656e7420646967657374207265717569726564000000000000000000604482015260640161117e565b600b805490600061173d83612d23565b90915550506040805161016081018252600b548082526001600160a01b038a811660208085019182528486018b8152606086018b9052608086018a90524260a0870152600160c0870181905260e08701819052600061010088018190528e861661012089015261014088018b90529586526002928390529690942085518155915195820180546001600160a01b0319169690931695909517909155905191929091908201906117ec9082612c63565b50606082015160038201906118019082612c63565b50608082015160048201906118169082612c63565b5060a0820151600582015560c082015160068201805460ff191691151591909117905560e08201516007820155610100808301516008830180546101208601516001600160a81b0319909116921515610100600160a81b031916929092176001600160a01b039092169092021790556101408201518051600983019081556020820151600a8401556040820151600b8401906118b29082612c63565b5050506001600160a01b0389166000818152600160208181526040808420600b80548254958601835591865292909420909201929092559054905191935091507f99a9454438287bd513ed7da46fc0ff0cabc6b573eeafb583a59e01bc2e52ef909061191f908890612645565b60405180910390a350600b549695505050505050565b61194486868686338787611c3f565b505050505050565b6000818152600260205260408120600101546001600160a01b039081169084168114806119a057506001600160a01b0380821660009081526021602090815260408083209388168352929052205460081615155b156119af576001915050611a15565b60008381526002602052604090206008015460ff16156119d3576000915050611a15565b6119de8185856120a4565b806119ee57506119ee81856120bc565b80611a115750600c54600160a01b900460ff168015611a115750611a1184612109565b9150505b92915050565b60008351118015611a2d575081518351145b611a6b5760405162461bcd60e51b815260206004820152600f60248201526e098cadccee8d040dad2e6dac2e8c6d608b1b604482015260640161117e565b60005b8351811015611bee576000848281518110611a8b57611a8b612d4a565b602090810291909101810151600081815260029092526040909120600101549091506001600160a01b03888116911614611af95760405162461bcd60e51b815260206004820152600f60248201526e139bdd081e5bdd5c881c9958dbdc99608a1b604482015260640161117e565b6000848381518110611b0d57611b0d612d4a565b60200260200101515111611b5a5760405162461bcd60e51b815260206004820152601460248201527315dc985c1c1959081ad95e481c995c5d5a5c995960621b604482015260640161117e565b838281518110611b6c57611b6c612d4a565b60209081029190910181015160008381526025835260408082206001600160a01b038b1683529093529190912090611ba49082612c63565b506040516001600160a01b0387169082907fb74b0eb795278049f3d14d49075b3b7111b099aa41f6be20c030077b9ac9c8b490600090a35080611be681612d23565b915050611a6e565b50611c38858560006040518060400160405280601181526020017053484152455f5245434f52445f4b45595360781b81525085600060405180602001604052806000815250611c3f565b5050505050565b60006040518060e00160405280856001600160a01b03168152602001896001600160a01b03168152602001878152602001428152602001868152602001846004811115611c8e57611c8e61249d565b815260209081018490526001600160a01b03808716600090815260068352604080822080546001818101835591845292859020865160079094020180549385166001600160a01b031994851617815594860151908501805491909416921691909117909155820151600282015560608201516003820155608082015191925082916004820190611d1e9082612c63565b5060a082015160058201805460ff19166001836004811115611d4257611d4261249d565b021790555060c08201516006820190611d5b9082612c63565b5050506001600160a01b03871615801590611d885750836001600160a01b0316876001600160a01b031614155b15611e55576001600160a01b03808816600090815260066020908152604080832080546001818101835591855293839020865160079095020180549486166001600160a01b03199586161781559286015190830180549190951693169290921790925582015160028201556060820151600382015560808201518291906004820190611e149082612c63565b5060a082015160058201805460ff19166001836004811115611e3857611e3861249d565b021790555060c08201516006820190611e519082612c63565b5050505b6001600160a01b03881615611f2f576001600160a01b0380891660009081526007602081815260408084208054600181810183559186529483902087519590940290930180549486166001600160a01b031995861617815591860151928201805493909516929093169190911790925582015160028201556060820151600382015560808201518291906004820190611eee9082612c63565b5060a082015160058201805460ff19166001836004811115611f1257611f1261249d565b021790555060c08201516006820190611f2b9082612c63565b5050505b6002836004811115611f4357611f4361249d565b0361209a5760188054600181018255600091909152815160079091027fb13d2d76d1f4b7be834882e410b3e3a8afaf69f83600ae24db354391d2378d2e810180546001600160a01b039384166001600160a01b031991821617825560208501517fb13d2d76d1f4b7be834882e410b3e3a8afaf69f83600ae24db354391d2378d2f840180549190951691161790925560408301517fb13d2d76d1f4b7be834882e410b3e3a8afaf69f83600ae24db354391d2378d3082015560608301517fb13d2d76d1f4b7be834882e410b3e3a8afaf69f83600ae24db354391d2378d3182015560808301518392917fb13d2d76d1f4b7be834882e410b3e3a8afaf69f83600ae24db354391d2378d3201906120599082612c63565b5060a082015160058201805460ff1916600183600481111561207d5761207d61249d565b021790555060c082015160068201906120969082612c63565b5050505b5050505050505050565b6000806120b285858561217f565b5095945050505050565b6001600160a01b038083166000908152600f602090815260408083209385168352929052908120548015801590611a1157506000908152600e602052604090206004015442109392505050565b600060026001600160a01b03831660009081526020819052604090206002015460ff16600381111561213d5761213d61249d565b148015611a15575060026001600160a01b038316600090815260086020526040902060039081015460ff16908111156121785761217861249d565b1492915050565b60008061218d858585612211565b6001600160a01b03861660009081526033602052604081209294509092505b8154811080156121ba575083155b15612207576121f0878383815481106121d5576121d5612d4a565b6000918252602090912001546001600160a01b031687612211565b9094509250806121ff81612d23565b9150506121ac565b5050935093915050565b6001600160a01b038084166000908152600360209081526040808320938616835292905290812061224181612305565b1561224f57600191506122fd565b506001600160a01b038085166000908152600460209081526040808320938716835292815282822085835290522061228681612305565b1561229457600191506122fd565b6001600160a01b03808616600090815260056020908152604080832093881683529281528282208683526002909152828220925190926122d991600390910190612d60565b6040518091039020815260200190815260200160002090506122fa81612305565b91505b935093915050565b600381015460009060ff1661231c57506000919050565b60008260020154118015612334575042826002015411155b1561234157506000919050565b506001919050565b80356001600160a01b038116811461236057600080fd5b919050565b60008060006060848603121561237a57600080fd5b61238384612349565b925061239160208501612349565b9150604084013590509250925092565b6000815180845260005b818110156123c7576020818501810151868301820152016123ab565b506000602082860101526020601f19601f83011685010191505092915050565b60018060a01b0386168152846020820152836040820152821515606082015260a06080820152600061241c60a08301846123a1565b979650505050505050565b60006020828403121561243957600080fd5b5035919050565b6000806040838503121561245357600080fd5b61245c83612349565b915061246a60208401612349565b90509250929050565b6000806040838503121561248657600080fd5b61248f83612349565b946020939093013593505050565b634e487b7160e01b600052602160045260246000fd5b6001600160a01b03888116825287166020820152604081018690526060810185905260e0608082018190526000906124ed908301866123a1565b600585106124fd576124fd61249d565b8460a084015282810360c084015261251581856123a1565b9a9950505050505050505050565b60006020828403121561253557600080fd5b81356001600160e01b03198116811461254d57600080fd5b9392505050565b80518252602081015160208301526000604082015160606040850152611a1160608501826123a1565b8b81526001600160a01b038b166020820152610160604082018190526000906125a88382018d6123a1565b905082810360608401526125bc818c6123a1565b905082810360808401526125d0818b6123a1565b90508860a084015287151560c08401528660e08401528515156101008401526126056101208401866001600160a01b03169052565b8281036101408401526126188185612554565b9e9d5050505050505050505050505050565b60006020828403121561263c57600080fd5b61254d82612349565b60208152600061254d60208301846123a1565b600481106126685761266861249d565b50565b600061010080835261267f8184018c6123a1565b90508281036020840152612693818b6123a1565b905082810360408401526126a7818a6123a1565b90506126b288612658565b60608301889052608083018790526001600160a01b03861660a084015260c0830185905282810360e08401526126e881856123a1565b9b9a5050505050505050505050565b6001600160a01b038a811682528981166020830152610120604083018190526000916127258483018c6123a1565b915089606085015288608085015287151560a085015286151560c085015280861660e08501525082810361010084015261275f81856123a1565b9c9b505050505050505050505050565b6001600160a01b038616815260a060208201819052600090612793908301876123a1565b905061279e85612658565b6040820194909452911515606083015260809091015292915050565b634e487b7160e01b600052604160045260246000fd5b604051601f8201601f1916810167ffffffffffffffff811182821017156127f9576127f96127ba565b604052919050565b600082601f83011261281257600080fd5b813567ffffffffffffffff81111561282c5761282c6127ba565b61283f601f8201601f19166020016127d0565b81815284602083860101111561285457600080fd5b816020850160208301376000918101602001919091529392505050565b60006060828403121561288357600080fd5b6040516060810167ffffffffffffffff82821081831117156128a7576128a76127ba565b81604052829350843583526020850135602084015260408501359150808211156128d057600080fd5b506128dd85828601612801565b6040830152505092915050565b600080600080600060a0868803121561290257600080fd5b853567ffffffffffffffff8082111561291a57600080fd5b61292689838a01612801565b9650602088013591508082111561293c57600080fd5b61294889838a01612801565b9550604088013591508082111561295e57600080fd5b61296a89838a01612801565b9450606088013591508082111561298057600080fd5b61298c89838a01612871565b935060808801359150808211156129a257600080fd5b506129af88828901612801565b9150509295509295909350565b82151581526040602082015260006129d760408301846123a1565b949350505050565b600067ffffffffffffffff8211156129f9576129f96127ba565b5060051b60200190565b600082601f830112612a1457600080fd5b81356020612a29612a24836129df565b6127d0565b82815260059290921b84018101918181019086841115612a4857600080fd5b8286015b84811015612a8857803567ffffffffffffffff811115612a6c5760008081fd5b612a7a8986838b0101612801565b845250918301918301612a4c565b509695505050505050565b600080600060608486031215612aa857600080fd5b612ab184612349565b925060208085013567ffffffffffffffff80821115612acf57600080fd5b818701915087601f830112612ae357600080fd5b8135612af1612a24826129df565b81815260059190911b8301840190848101908a831115612b1057600080fd5b938501935b82851015612b2e57843582529385019390850190612b15565b965050506040870135925080831115612b4657600080fd5b5050612b5486828701612a03565b9150509250925092565b600060208284031215612b7057600080fd5b813567ffffffffffffffff811115612b8757600080fd5b611a1184828501612801565b60008060408385031215612ba657600080fd5b8235915061246a60208401612349565b600181811c90821680612bca57607f821691505b602082108103612bea57634e487b7160e01b600052602260045260246000fd5b50919050565b602080825260139082015272155cd95c881b9bdd081c9959da5cdd195c9959606a1b604082015260600190565b601f8211156115bd57600081815260208120601f850160051c81016020861015612c445750805b601f850160051c820191505b8181101561194457828155600101612c50565b815167ffffffffffffffff811115612c7d57612c7d6127ba565b612c9181612c8b8454612bb6565b84612c1d565b602080601f831160018114612cc65760008415612cae5750858301515b600019600386901b1c1916600185901b178555611944565b600085815260208120601f198616915b82811015612cf557888601518255948401946001909101908401612cd6565b5085821015612d135787850151600019600388901b60f8161c191681555b5050505050600190811b01905550565b600060018201612d4357634e487b7160e01b600052601160045260246000fd5b5060010190565b634e487b7160e01b600052603260045260246000fd5b6000808354612d6e81612bb6565b60018281168015612d865760018114612d9b57612dca565b60ff1984168752821515830287019450612dca565b8760005260208060002060005b85811015612dc15781548a820152908401908201612da8565b50505082870194505b5092969550505050505056fea26469706673582212206a325a9e2c492816d837763d2c17e5d5125dea1b412beb7cc07798613e32f78764736f6c63430008130033";
+
+type MedChainKeysConstructorParams =
+  | [signer?: Signer]
+  | ConstructorParameters<typeof ContractFactory>;
+
+const isSuperArgs = (
+  xs: MedChainKeysConstructorParams
+): xs is ConstructorParameters<typeof ContractFactory> => xs.length > 1;
+
+export class MedChainKeys__factory extends ContractFactory {
+  constructor(...args: MedChainKeysConstructorParams) {
+    if (isSuperArgs(args)) {
+      super(...args);
+    } else {
+      super(_abi, _bytecode, args[0]);
+    }
+  }
+
+  override getDeployTransaction(
+    overrides?: NonPayableOverrides & { from?: string }
+  ): Promise<ContractDeployTransaction> {
+    return super.getDeployTransaction(overrides || {});
+  }
+  override deploy(overrides?: NonPayableOverrides & { from?: string }) {
+    return super.deploy(overrides || {}) as Promise<
+      MedChainKeys & {
+        deploymentTransaction(): ContractTransactionResponse;
+      }
+    >;
+  }
+  override connect(runner: ContractRunner | null): MedChainKeys__factory {
+    return super.connect(runner) as MedChainKeys__factory;
+  }
+
+  static readonly bytecode = _bytecode;
+  static readonly abi = _abi;
+  static createInterface(): MedChainKeysInterface {
+    return new Interface(_abi) as MedChainKeysInterface;
+  }
+  static connect(
+    address: string,
+    runner?: ContractRunner | null
+  ): MedChainKeys {
+    return new Contract(address, _abi, runner) as unknown as MedChainKeys;
+  }
+}
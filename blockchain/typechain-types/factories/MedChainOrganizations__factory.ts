@@ -0,0 +1,2247 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import {
+  Contract,
+  ContractFactory,
+  ContractTransactionResponse,
+  Interface,
+} from "ethers";
+import type { Signer, ContractDeployTransaction, ContractRunner } from "ethers";
+import type { NonPayableOverrides } from "../common";
+import type {
+  MedChainOrganizations,
+  MedChainOrganizationsInterface,
+} from "../MedChainOrganizations";
+
+const _abi = [
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "grantIndex",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+    ],
+    name: "AccessExtended",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+    ],
+    name: "AccessGranted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "requestId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+    ],
+    name: "AccessRequestApproved",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "requestId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    name: "AccessRequestDenied",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "requestId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "duration",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "purpose",
+        type: "string",
+      },
+    ],
+    name: "AccessRequested",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+    ],
+    name: "AccessRevoked",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "bytes32",
+        name: "actionId",
+        type: "bytes32",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "action",
+        type: "string",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "target",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "value",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "approver",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "approvals",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "required",
+        type: "uint256",
+      },
+    ],
+    name: "AdminActionApproved",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "bytes32",
+        name: "actionId",
+        type: "bytes32",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "action",
+        type: "string",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "target",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "value",
+        type: "uint256",
+      },
+    ],
+    name: "AdminActionExecuted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "account",
+        type: "address",
+      },
+    ],
+    name: "AdminAdded",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "quorum",
+        type: "uint256",
+      },
+    ],
+    name: "AdminQuorumChanged",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "account",
+        type: "address",
+      },
+    ],
+    name: "AdminRemoved",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "currentAdmin",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "pendingAdmin",
+        type: "address",
+      },
+    ],
+    name: "AdminTransferStarted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "previousAdmin",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "newAdmin",
+        type: "address",
+      },
+    ],
+    name: "AdminTransferred",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "recordType",
+        type: "string",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+    ],
+    name: "CategoryAccessGranted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "recordType",
+        type: "string",
+      },
+    ],
+    name: "CategoryAccessRevoked",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "licenseNumber",
+        type: "string",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "issuingAuthority",
+        type: "string",
+      },
+    ],
+    name: "DoctorApplicationSubmitted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "verifier",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    name: "DoctorRejected",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "verifier",
+        type: "address",
+      },
+    ],
+    name: "DoctorVerified",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "accessId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "justification",
+        type: "string",
+      },
+    ],
+    name: "EmergencyAccessInvoked",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "accessId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "reviewer",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "bool",
+        name: "justified",
+        type: "bool",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "notes",
+        type: "string",
+      },
+    ],
+    name: "EmergencyAccessReviewed",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: false,
+        internalType: "bool",
+        name: "status",
+        type: "bool",
+      },
+    ],
+    name: "EmergencyModeToggled",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "user",
+        type: "address",
+      },
+    ],
+    name: "EncryptionKeySet",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "extension",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "bytes4[]",
+        name: "selectors",
+        type: "bytes4[]",
+      },
+    ],
+    name: "ExtensionRouted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "reporter",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "details",
+        type: "string",
+      },
+    ],
+    name: "FileMismatchReported",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "guardian",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint8",
+        name: "powers",
+        type: "uint8",
+      },
+    ],
+    name: "GuardianAppointed",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "guardian",
+        type: "address",
+      },
+    ],
+    name: "GuardianRemoved",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "organization",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "name",
+        type: "string",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "owner",
+        type: "address",
+      },
+    ],
+    name: "OrganizationCreated",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "organization",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+    ],
+    name: "OrganizationMemberAdded",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "organization",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+    ],
+    name: "OrganizationMemberRemoved",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "organization",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "owner",
+        type: "address",
+      },
+    ],
+    name: "OrganizationOwnerChanged",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+    ],
+    name: "RecordAccessGranted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+    ],
+    name: "RecordAccessRevoked",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "accessor",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+    ],
+    name: "RecordAccessed",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "version",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    name: "RecordAmended",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    name: "RecordArchived",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "recordType",
+        type: "string",
+      },
+    ],
+    name: "RecordCreated",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "reader",
+        type: "address",
+      },
+    ],
+    name: "RecordKeyShared",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "proposalId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+    ],
+    name: "RecordProposalAccepted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "proposalId",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    name: "RecordProposalRejected",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "proposalId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "recordType",
+        type: "string",
+      },
+    ],
+    name: "RecordProposed",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+    ],
+    name: "RecordRestored",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "relayer",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "bool",
+        name: "enabled",
+        type: "bool",
+      },
+    ],
+    name: "RelayerUpdated",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "signer",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "relayer",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "nonce",
+        type: "uint256",
+      },
+    ],
+    name: "RequestRelayed",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "implementation",
+        type: "address",
+      },
+    ],
+    name: "Upgraded",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "userAddress",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "name",
+        type: "string",
+      },
+      {
+        indexed: false,
+        internalType: "enum MedChainBase.UserRole",
+        name: "role",
+        type: "uint8",
+      },
+    ],
+    name: "UserRegistered",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "verifier",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "bool",
+        name: "enabled",
+        type: "bool",
+      },
+    ],
+    name: "VerifierUpdated",
+    type: "event",
+  },
+  {
+    inputs: [],
+    name: "EMERGENCY_ACCESS_DURATION",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "GUARDIAN_CREATE_RECORDS",
+    outputs: [
+      {
+        internalType: "uint8",
+        name: "",
+        type: "uint8",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "GUARDIAN_MANAGE_ACCESS",
+    outputs: [
+      {
+        internalType: "uint8",
+        name: "",
+        type: "uint8",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "GUARDIAN_VIEW_AUDIT",
+    outputs: [
+      {
+        internalType: "uint8",
+        name: "",
+        type: "uint8",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "GUARDIAN_VIEW_RECORDS",
+    outputs: [
+      {
+        internalType: "uint8",
+        name: "",
+        type: "uint8",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "accessRequestCounter",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "_organization",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "_doctor",
+        type: "address",
+      },
+    ],
+    name: "addOrganizationMember",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "admin",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "",
+        type: "bytes32",
+      },
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "adminActionApprovals",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "",
+        type: "bytes32",
+      },
+    ],
+    name: "adminActionNonces",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "adminList",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "adminQuorum",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "admins",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "auditTrails",
+    outputs: [
+      {
+        internalType: "address",
+        name: "accessor",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "timestamp",
+        type: "uint256",
+      },
+      {
+        internalType: "string",
+        name: "action",
+        type: "string",
+      },
+      {
+        internalType: "enum MedChainBase.ActorType",
+        name: "actorType",
+        type: "uint8",
+      },
+      {
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "bytes32",
+        name: "",
+        type: "bytes32",
+      },
+    ],
+    name: "categoryPermissions",
+    outputs: [
+      {
+        internalType: "address",
+        name: "doctorAddress",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "grantedAt",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+      {
+        internalType: "bool",
+        name: "isActive",
+        type: "bool",
+      },
+      {
+        internalType: "string",
+        name: "purpose",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "string",
+        name: "_name",
+        type: "string",
+      },
+      {
+        internalType: "address",
+        name: "_owner",
+        type: "address",
+      },
+    ],
+    name: "createOrganization",
+    outputs: [
+      {
+        internalType: "address",
+        name: "organization",
+        type: "address",
+      },
+    ],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "doctorApplicants",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "doctorCredentials",
+    outputs: [
+      {
+        internalType: "string",
+        name: "licenseNumber",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "issuingAuthority",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "specialty",
+        type: "string",
+      },
+      {
+        internalType: "enum MedChainBase.VerificationStatus",
+        name: "status",
+        type: "uint8",
+      },
+      {
+        internalType: "uint256",
+        name: "submittedAt",
+        type: "uint256",
+      },
+      {
+        internalType: "address",
+        name: "reviewedBy",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "reviewedAt",
+        type: "uint256",
+      },
+      {
+        internalType: "string",
+        name: "rejectionReason",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "emergencyAccessCounter",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "emergencyAccesses",
+    outputs: [
+      {
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        internalType: "string",
+        name: "justification",
+        type: "string",
+      },
+      {
+        internalType: "uint256",
+        name: "invokedAt",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+      {
+        internalType: "bool",
+        name: "reviewed",
+        type: "bool",
+      },
+      {
+        internalType: "bool",
+        name: "justified",
+        type: "bool",
+      },
+      {
+        internalType: "address",
+        name: "reviewedBy",
+        type: "address",
+      },
+      {
+        internalType: "string",
+        name: "reviewNotes",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "emergencyMode",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes4",
+        name: "",
+        type: "bytes4",
+      },
+    ],
+    name: "extensions",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "_doctor",
+        type: "address",
+      },
+    ],
+    name: "getMemberOrganizations",
+    outputs: [
+      {
+        internalType: "address[]",
+        name: "",
+        type: "address[]",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "_organization",
+        type: "address",
+      },
+    ],
+    name: "getOrganization",
+    outputs: [
+      {
+        components: [
+          {
+            internalType: "string",
+            name: "name",
+            type: "string",
+          },
+          {
+            internalType: "address",
+            name: "owner",
+            type: "address",
+          },
+          {
+            internalType: "uint256",
+            name: "createdAt",
+            type: "uint256",
+          },
+        ],
+        internalType: "struct MedChainBase.Organization",
+        name: "organization",
+        type: "tuple",
+      },
+      {
+        internalType: "address[]",
+        name: "members",
+        type: "address[]",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "_organization",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "_offset",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "_limit",
+        type: "uint256",
+      },
+    ],
+    name: "getOrganizationAccessibleRecords",
+    outputs: [
+      {
+        internalType: "uint256[]",
+        name: "recordIds",
+        type: "uint256[]",
+      },
+      {
+        internalType: "uint256",
+        name: "total",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "getOrganizations",
+    outputs: [
+      {
+        internalType: "address[]",
+        name: "",
+        type: "address[]",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "latestEmergencyAccess",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "patientAuditTrails",
+    outputs: [
+      {
+        internalType: "address",
+        name: "accessor",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "timestamp",
+        type: "uint256",
+      },
+      {
+        internalType: "string",
+        name: "action",
+        type: "string",
+      },
+      {
+        internalType: "enum MedChainBase.ActorType",
+        name: "actorType",
+        type: "uint8",
+      },
+      {
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "patientRecords",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "pendingAdmin",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "pendingEmergencyReviews",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "permissions",
+    outputs: [
+      {
+        internalType: "address",
+        name: "doctorAddress",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "grantedAt",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+      {
+        internalType: "bool",
+        name: "isActive",
+        type: "bool",
+      },
+      {
+        internalType: "string",
+        name: "purpose",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "recordCounter",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "recordPermissions",
+    outputs: [
+      {
+        internalType: "address",
+        name: "doctorAddress",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "grantedAt",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+      {
+        internalType: "bool",
+        name: "isActive",
+        type: "bool",
+      },
+      {
+        internalType: "string",
+        name: "purpose",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "recordProposalCounter",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "records",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        internalType: "address",
+        name: "patientAddress",
+        type: "address",
+      },
+      {
+        internalType: "string",
+        name: "ipfsHash",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "recordType",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "description",
+        type: "string",
+      },
+      {
+        internalType: "uint256",
+        name: "timestamp",
+        type: "uint256",
+      },
+      {
+        internalType: "bool",
+        name: "exists",
+        type: "bool",
+      },
+      {
+        internalType: "uint256",
+        name: "version",
+        type: "uint256",
+      },
+      {
+        internalType: "bool",
+        name: "archived",
+        type: "bool",
+      },
+      {
+        internalType: "address",
+        name: "author",
+        type: "address",
+      },
+      {
+        components: [
+          {
+            internalType: "bytes32",
+            name: "digest",
+            type: "bytes32",
+          },
+          {
+            internalType: "uint256",
+            name: "size",
+            type: "uint256",
+          },
+          {
+            internalType: "string",
+            name: "mimeType",
+            type: "string",
+          },
+        ],
+        internalType: "struct MedChainBase.RecordFile",
+        name: "file",
+        type: "tuple",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "_organization",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "_doctor",
+        type: "address",
+      },
+    ],
+    name: "removeOrganizationMember",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "_organization",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "_owner",
+        type: "address",
+      },
+    ],
+    name: "setOrganizationOwner",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "systemAuditTrail",
+    outputs: [
+      {
+        internalType: "address",
+        name: "accessor",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "timestamp",
+        type: "uint256",
+      },
+      {
+        internalType: "string",
+        name: "action",
+        type: "string",
+      },
+      {
+        internalType: "enum MedChainBase.ActorType",
+        name: "actorType",
+        type: "uint8",
+      },
+      {
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "users",
+    outputs: [
+      {
+        internalType: "address",
+        name: "userAddress",
+        type: "address",
+      },
+      {
+        internalType: "string",
+        name: "name",
+        type: "string",
+      },
+      {
+        internalType: "enum MedChainBase.UserRole",
+        name: "role",
+        type: "uint8",
+      },
+      {
+        internalType: "bool",
+        name: "isRegistered",
+        type: "bool",
+      },
+      {
+        internalType: "uint256",
+        name: "registrationTime",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "verifiers",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+] as const;
+
+const _bytecode =
+  "0x608060405234801561001057600080fd5b5061337e806100206000396000f3fe608060405234801561001057600080fd5b50600436106102535760003560e01c8063765fddf711610146578063c2705650116100c3578063f274e2d111610087578063f274e2d1146105cd578063f5b906e6146105d6578063f7b1da47146105e9578063f851a44014610617578063fa3a59311461062a578063fd6c6d4a1461064b57600080fd5b8063c27056501461056b578063d2c30a6d1461057e578063d46473211461059f578063daae5368146105a7578063e182a682146105ba57600080fd5b806397cfc6c71161010a57806397cfc6c71461050e5780639da8e0db14610516578063a87430ba1461051f578063b58181ab14610543578063ba008db01461055857600080fd5b8063765fddf7146104a357806392988760146104cb57806394370050146104eb57806394f0df61146104f35780639754a3a81461050657600080fd5b806334461067116101d457806369cbf44f1161019857806369cbf44f146104315780636b8df2a6146104445780636c824487146104575780637271608d1461047a5780637599be5d1461049a57600080fd5b80633446106714610390578063393580b0146103ba578063429b62e5146103cd5780634590e8ee146103f0578063670a4feb1461040a57600080fd5b806320f2ce9e1161021b57806320f2ce9e146102fa5780632114ef1f14610320578063267822471461032957806329e825931461033c5780633082c4e01461036557600080fd5b806303cf7d62146102585780630905f56014610274578063108b79341461029857806311117fc8146102bc5780631f9838b5146102e7575b600080fd5b610261601d5481565b6040519081526020015b60405180910390f35b600c5461028890600160a01b900460ff1681565b604051901515815260200161026b565b6102ab6102a6366004612a63565b610654565b60405161026b959493929190612ae5565b6102cf6102ca366004612b25565b61072c565b6040516001600160a01b03909116815260200161026b565b6102ab6102f5366004612b3e565b610756565b61030d610308366004612b71565b6107a5565b60405161026b9796959493929190612bb1565b61026161a8c081565b6015546102cf906001600160a01b031681565b6102cf61034a366004612c21565b600d602052600090815260409020546001600160a01b031681565b610261610373366004612b3e565b600f60209081526000928352604080842090915290825290205481565b6103a361039e366004612b25565b61092a565b60405161026b9b9a99989796959493929190612c83565b6102cf6103c8366004612b25565b610be5565b6102886103db366004612d30565b60126020526000908152604090205460ff1681565b6103f8600881565b60405160ff909116815260200161026b565b61041d610418366004612d30565b610bf5565b60405161026b989796959493929190612d5e565b6102cf61043f366004612e00565b610e68565b61030d610452366004612b71565b61110a565b610288610465366004612d30565b60096020526000908152604090205460ff1681565b61048d610488366004612d30565b611126565b60405161026b9190612efd565b610261600b5481565b6104b66104b1366004612b25565b61119c565b60405161026b99989796959493929190612f10565b6102616104d9366004612b25565b60166020526000908152604090205481565b6103f8600481565b610261610501366004612b71565b611317565b61048d611348565b6103f8600281565b610261602b5481565b61053261052d366004612d30565b6113aa565b60405161026b959493929190612f88565b610556610551366004612b3e565b611472565b005b61030d610566366004612b25565b61176c565b610556610579366004612b3e565b6117c2565b61059161058c366004612d30565b611a7e565b60405161026b929190612fd3565b6103f8600181565b6102616105b5366004612b25565b611c2d565b6102ab6105c8366004612a63565b611c4e565b61026160115481565b6105566105e4366004612b3e565b611ca3565b6102886105f7366004613029565b601760209081526000928352604080842090915290825290205460ff1681565b600c546102cf906001600160a01b031681565b61063d61063836600461304c565b611e80565b60405161026b92919061307f565b61026160145481565b6005602090815260009384526040808520825292845282842090528252902080546001820154600283015460038401546004850180546001600160a01b03909516959394929360ff909216926106a9906130c7565b80601f01602080910402602001604051908101604052809291908181526020018280546106d5906130c7565b80156107225780601f106106f757610100808354040283529160200191610722565b820191906000526020600020905b81548152906001019060200180831161070557829003601f168201915b5050505050905085565b6013818154811061073c57600080fd5b6000918252602090912001546001600160a01b0316905081565b60036020818152600093845260408085209091529183529120805460018201546002830154938301546004840180546001600160a01b03909416959294929360ff90921692916106a9906130c7565b600760205281600052604060002081815481106107c157600080fd5b6000918252602090912060079091020180546001820154600283015460038401546004850180546001600160a01b03958616985093909416955090939092909161080a906130c7565b80601f0160208091040260200160405190810160405280929190818152602001828054610836906130c7565b80156108835780601f1061085857610100808354040283529160200191610883565b820191906000526020600020905b81548152906001019060200180831161086657829003601f168201915b5050506005840154600685018054949560ff9092169491935091506108a7906130c7565b80601f01602080910402602001604051908101604052809291908181526020018280546108d3906130c7565b80156109205780601f106108f557610100808354040283529160200191610920565b820191906000526020600020905b81548152906001019060200180831161090357829003601f168201915b5050505050905087565b600260208190526000918252604090912080546001820154928201805491936001600160a01b0316929161095d906130c7565b80601f0160208091040260200160405190810160405280929190818152602001828054610989906130c7565b80156109d65780601f106109ab576101008083540402835291602001916109d6565b820191906000526020600020905b8154815290600101906020018083116109b957829003601f168201915b5050505050908060030180546109eb906130c7565b80601f0160208091040260200160405190810160405280929190818152602001828054610a17906130c7565b8015610a645780601f10610a3957610100808354040283529160200191610a64565b820191906000526020600020905b815481529060010190602001808311610a4757829003601f168201915b505050505090806004018054610a79906130c7565b80601f0160208091040260200160405190810160405280929190818152602001828054610aa5906130c7565b8015610af25780601f10610ac757610100808354040283529160200191610af2565b820191906000526020600020905b815481529060010190602001808311610ad557829003601f168201915b505050506005830154600684015460078501546008860154604080516060810182526009890180548252600a8a01546020830152600b8a018054999a979960ff97881699509597968516966101009095046001600160a01b0316959293919291840191610b5e906130c7565b80601f0160208091040260200160405190810160405280929190818152602001828054610b8a906130c7565b8015610bd75780601f10610bac57610100808354040283529160200191610bd7565b820191906000526020600020905b815481529060010190602001808311610bba57829003601f168201915b50505050508152505090508b565b600a818154811061073c57600080fd5b600860205260009081526040902080548190610c10906130c7565b80601f0160208091040260200160405190810160405280929190818152602001828054610c3c906130c7565b8015610c895780601f10610c5e57610100808354040283529160200191610c89565b820191906000526020600020905b815481529060010190602001808311610c6c57829003601f168201915b505050505090806001018054610c9e906130c7565b80601f0160208091040260200160405190810160405280929190818152602001828054610cca906130c7565b8015610d175780601f10610cec57610100808354040283529160200191610d17565b820191906000526020600020905b815481529060010190602001808311610cfa57829003601f168201915b505050505090806002018054610d2c906130c7565b80601f0160208091040260200160405190810160405280929190818152602001828054610d58906130c7565b8015610da55780601f10610d7a57610100808354040283529160200191610da5565b820191906000526020600020905b815481529060010190602001808311610d8857829003601f168201915b5050506003840154600485015460058601546006870154600788018054979860ff909516979396506001600160a01b0390921694509291610de5906130c7565b80601f0160208091040260200160405190810160405280929190818152602001828054610e11906130c7565b8015610e5e5780601f10610e3357610100808354040283529160200191610e5e565b820191906000526020600020905b815481529060010190602001808311610e4157829003601f168201915b5050505050905088565b3360009081526012602052604081205460ff16610ec15760405162461bcd60e51b815260206004820152601260248201527113db9b1e4818591b5a5b88185b1b1bddd95960721b60448201526064015b60405180910390fd5b6000835111610f095760405162461bcd60e51b81526020600482015260146024820152734e616d652063616e6e6f7420626520656d70747960601b6044820152606401610eb8565b6001600160a01b038216600090815260208190526040902060020154610100900460ff16610f705760405162461bcd60e51b815260206004820152601460248201527313dddb995c881b9bdd081c9959da5cdd195c995960621b6044820152606401610eb8565b603054604080513060208201526060918101829052601460808201527326b2b221b430b4b727b933b0b734bd30ba34b7b760611b60a08201529081019190915260c00160408051601f1981840301815282825280516020918201206060840183528684526001600160a01b0380871685840152428585015281166000908152602f90925291902082519193509081906110099082613147565b50602082810151600183810180546001600160a01b03199081166001600160a01b039485161790915560409586015160029586015560308054928301815560009081527f6ff97a59c90d62cc7236ba3a37cd85351bf564556780cf8c1157a220f31f0cbb9092018054909116928716929092179091558351808501909452601384527221a922a0aa22afa7a923a0a724ad20aa24a7a760691b918401919091526110b9929091859183918861229e565b816001600160a01b0316816001600160a01b03167f1bb905fac49a69b4dd47666e4c54971e363cb516f7bd9692b31fe6b4fa752eaf856040516110fc9190613207565b60405180910390a392915050565b600660205281600052604060002081815481106107c157600080fd5b6001600160a01b03811660009081526033602090815260409182902080548351818402810184019094528084526060939283018282801561119057602002820191906000526020600020905b81546001600160a01b03168152600190910190602001808311611172575b50505050509050919050565b600e602052600090815260409020805460018201546002830180546001600160a01b039384169492909316926111d1906130c7565b80601f01602080910402602001604051908101604052809291908181526020018280546111fd906130c7565b801561124a5780601f1061121f5761010080835404028352916020019161124a565b820191906000526020600020905b81548152906001019060200180831161122d57829003601f168201915b5050506003840154600485015460058601546006870180549697939692955060ff8083169550610100830416936001600160a01b03620100009093049290921692611294906130c7565b80601f01602080910402602001604051908101604052809291908181526020018280546112c0906130c7565b801561130d5780601f106112e25761010080835404028352916020019161130d565b820191906000526020600020905b8154815290600101906020018083116112f057829003601f168201915b5050505050905089565b6001602052816000526040600020818154811061133357600080fd5b90600052602060002001600091509150505481565b606060308054806020026020016040519081016040528092919081815260200182805480156113a057602002820191906000526020600020905b81546001600160a01b03168152600190910190602001808311611382575b5050505050905090565b600060208190529081526040902080546001820180546001600160a01b0390921692916113d6906130c7565b80601f0160208091040260200160405190810160405280929190818152602001828054611402906130c7565b801561144f5780601f106114245761010080835404028352916020019161144f565b820191906000526020600020905b81548152906001019060200180831161143257829003601f168201915b505050506002830154600390930154919260ff8082169361010090920416915085565b33600090815260208190526040902060020154610100900460ff166114cf5760405162461bcd60e51b8152602060048201526013602482015272155cd95c881b9bdd081c9959da5cdd195c9959606a1b6044820152606401610eb8565b336001600160a01b038216148061150257506001600160a01b038281166000908152602f60205260409020600101541633145b8061151c57503360009081526012602052604090205460ff165b6115735760405162461bcd60e51b815260206004820152602260248201527f4f6e6c7920746865206d656d6265722c206f776e6572206f7220616e2061646d60448201526134b760f11b6064820152608401610eb8565b6001600160a01b0380831660009081526031602090815260408083209385168352929052205460ff166115d75760405162461bcd60e51b815260206004820152600c60248201526b2737ba10309036b2b6b132b960a11b6044820152606401610eb8565b6001600160a01b0380831660008181526031602090815260408083209486168352938152838220805460ff1916905591815260329091522061161990826122b5565b6001600160a01b038116600090815260336020526040902061163b90836122b5565b61172860008260006040518060400160405280601a81526020017f52454d4f56455f4f5247414e495a4154494f4e5f4d454d424552000000000000815250611682336123c3565b6001600160a01b0388166000908152602f6020526040902080546116a5906130c7565b80601f01602080910402602001604051908101604052809291908181526020018280546116d1906130c7565b801561171e5780601f106116f35761010080835404028352916020019161171e565b820191906000526020600020905b81548152906001019060200180831161170157829003601f168201915b505050505061229e565b806001600160a01b0316826001600160a01b03167f1603d2a43f2ef9f92f3e7f9098f6533e62393be49abd9a769ae5e3af5dae52d960405160405180910390a35050565b6018818154811061177c57600080fd5b6000918252602090912060079091020180546001820154600283015460038401546004850180546001600160a01b03958616975093909416949193909261080a906130c7565b6001600160a01b0382166000908152602f60205260408120600201548391036117fd5760405162461bcd60e51b8152600401610eb89061321a565b6001600160a01b038181166000908152602f60205260409020600101541633148061183757503360009081526012602052604090205460ff165b6118835760405162461bcd60e51b815260206004820152601a60248201527f4f6e6c7920746865206f776e6572206f7220616e2061646d696e0000000000006044820152606401610eb8565b61188c82612433565b6118e45760405162461bcd60e51b8152602060048201526024808201527f4f6e6c7920766572696669656420646f63746f72732063616e206265206d656d6044820152636265727360e01b6064820152608401610eb8565b6001600160a01b0380841660009081526031602090815260408083209386168352929052205460ff161561194d5760405162461bcd60e51b815260206004820152601060248201526f20b63932b0b23c90309036b2b6b132b960811b6044820152606401610eb8565b6001600160a01b038084166000818152603160209081526040808320948716808452948252808320805460ff1916600190811790915584845260328352818420805480830182559085528385200180546001600160a01b03199081168817909155958452603383528184208054918201815584528284200180549095169093179093558151808301909252601782527f4144445f4f5247414e495a4154494f4e5f4d454d42455200000000000000000092820192909252611a39919084908290611a16336123c3565b6001600160a01b0389166000908152602f6020526040902080546116a5906130c7565b816001600160a01b0316836001600160a01b03167fbb756cddfb47cae2390d8be1df8192cd0ebf4a72d34540a5d49a6b741ad555c060405160405180910390a3505050565b611aab60405180606001604052806060815260200160006001600160a01b03168152602001600081525090565b6001600160a01b0382166000908152602f602052604081206002015460609103611ae75760405162461bcd60e51b8152600401610eb89061321a565b6001600160a01b0383166000908152602f60209081526040808320603290925291829020825160608101909352815491929091839082908290611b29906130c7565b80601f0160208091040260200160405190810160405280929190818152602001828054611b55906130c7565b8015611ba25780601f10611b7757610100808354040283529160200191611ba2565b820191906000526020600020905b815481529060010190602001808311611b8557829003601f168201915b505050918352505060018201546001600160a01b03166020808301919091526002909201546040918201528354815181840281018401909252808252929450918391830182828015611c1d57602002820191906000526020600020905b81546001600160a01b03168152600190910190602001808311611bff575b5050505050905091509150915091565b60108181548110611c3d57600080fd5b600091825260209091200154905081565b6004602081815260009485526040808620825293855283852090529083529120805460018201546002830154600384015494840180546001600160a01b03909416959294919360ff909316926106a9906130c7565b6001600160a01b0382166000908152602f6020526040812060020154839103611cde5760405162461bcd60e51b8152600401610eb89061321a565b6001600160a01b038181166000908152602f602052604090206001015416331480611d1857503360009081526012602052604090205460ff165b611d645760405162461bcd60e51b815260206004820152601a60248201527f4f6e6c7920746865206f776e6572206f7220616e2061646d696e0000000000006044820152606401610eb8565b6001600160a01b038216600090815260208190526040902060020154610100900460ff16611dcb5760405162461bcd60e51b815260206004820152601460248201527313dddb995c881b9bdd081c9959da5cdd195c995960621b6044820152606401610eb8565b6001600160a01b038381166000908152602f6020908152604080832060010180546001600160a01b031916948716949094179093558251808401909352601683527529a2aa2fa7a923a0a724ad20aa24a7a72fa7aba722a960511b90830152611e3b9184908290611a16336123c3565b816001600160a01b0316836001600160a01b03167f62186c6929690e59109d6dbf43d523a9147b8a84ea7cc268c6018b3c63de919060405160405180910390a3505050565b60606000611e8d33612433565b611ed95760405162461bcd60e51b815260206004820152601d60248201527f4f6e6c7920766572696669656420646f63746f727320616c6c6f7765640000006044820152606401610eb8565b6001600160a01b038516600090815260316020908152604080832033845290915290205460ff16611f3b5760405162461bcd60e51b815260206004820152600c60248201526b2737ba10309036b2b6b132b960a11b6044820152606401610eb8565b6001600160a01b0385166000908152601e60205260408120905b8154811015611fb75760016000838381548110611f7457611f74613251565b60009182526020808320909101546001600160a01b03168352820192909252604001902054611fa3908461327d565b925080611faf81613290565b915050611f55565b50600082611fc5868861327d565b10611fd05782611fda565b611fda858761327d565b90506000868211611fec576000611ff6565b611ff687836132a9565b67ffffffffffffffff81111561200e5761200e612dea565b604051908082528060200260200182016040528015612037578160200160208202803683370190505b50905060008060005b85548110801561204f57508482105b156121f65760006001600088848154811061206c5761206c613251565b60009182526020808320909101546001600160a01b03168352820192909252604001902080549091508b906120a1908561327d565b116120ba5780546120b2908461327d565b9250506121e4565b60005b8154811080156120cc57508684105b156121e1578b846120dc81613290565b9550106121cf57600061213b8985815481106120fa576120fa613251565b9060005260206000200160009054906101000a90046001600160a01b03168f85858154811061212b5761212b613251565b90600052602060002001546124aa565b50905080801561218057506002600084848154811061215c5761215c613251565b6000918252602080832090910154835282019290925260400190206008015460ff16155b156121cd5782828154811061219757612197613251565b90600052602060002001548787806121ae90613290565b9850815181106121c0576121c0613251565b6020026020010181815250505b505b806121d981613290565b9150506120bd565b50505b806121ee81613290565b915050612040565b508167ffffffffffffffff81111561221057612210612dea565b604051908082528060200260200182016040528015612239578160200160208202803683370190505b50965060005b828110156122905783818151811061225957612259613251565b602002602001015188828151811061227357612273613251565b60209081029190910101528061228881613290565b91505061223f565b505050505050935093915050565b6122ad8686868633878761259e565b505050505050565b60005b82548110156123be57816001600160a01b03168382815481106122dd576122dd613251565b6000918252602090912001546001600160a01b0316036123ac5782548390612307906001906132a9565b8154811061231757612317613251565b9060005260206000200160009054906101000a90046001600160a01b031683828154811061234757612347613251565b9060005260206000200160006101000a8154816001600160a01b0302191690836001600160a01b0316021790555082805480612385576123856132bc565b600082815260209020810160001990810180546001600160a01b0319169055019055505050565b806123b681613290565b9150506122b8565b505050565b6001600160a01b03811660009081526012602052604081205460ff16156123ec57506002919050565b60026001600160a01b03831660009081526020819052604090206002015460ff16600381111561241e5761241e612b9b565b0361242b57506001919050565b506000919050565b600060026001600160a01b03831660009081526020819052604090206002015460ff16600381111561246757612467612b9b565b1480156124a4575060026001600160a01b038316600090815260086020526040902060039081015460ff16908111156124a2576124a2612b9b565b145b92915050565b6001600160a01b03808416600090815260036020908152604080832093861683529290529081206124da81612a03565b156124e85760019150612596565b506001600160a01b038085166000908152600460209081526040808320938716835292815282822085835290522061251f81612a03565b1561252d5760019150612596565b6001600160a01b0380861660009081526005602090815260408083209388168352928152828220868352600290915282822092519092612572916003909101906132d2565b60405180910390208152602001908152602001600020905061259381612a03565b91505b935093915050565b60006040518060e00160405280856001600160a01b03168152602001896001600160a01b031681526020018781526020014281526020018681526020018460048111156125ed576125ed612b9b565b815260209081018490526001600160a01b03808716600090815260068352604080822080546001818101835591845292859020865160079094020180549385166001600160a01b03199485161781559486015190850180549190941692169190911790915582015160028201556060820151600382015560808201519192508291600482019061267d9082613147565b5060a082015160058201805460ff191660018360048111156126a1576126a1612b9b565b021790555060c082015160068201906126ba9082613147565b5050506001600160a01b038716158015906126e75750836001600160a01b0316876001600160a01b031614155b156127b4576001600160a01b03808816600090815260066020908152604080832080546001818101835591855293839020865160079095020180549486166001600160a01b031995861617815592860151908301805491909516931692909217909255820151600282015560608201516003820155608082015182919060048201906127739082613147565b5060a082015160058201805460ff1916600183600481111561279757612797612b9b565b021790555060c082015160068201906127b09082613147565b5050505b6001600160a01b0388161561288e576001600160a01b0380891660009081526007602081815260408084208054600181810183559186529483902087519590940290930180549486166001600160a01b03199586161781559186015192820180549390951692909316919091179092558201516002820155606082015160038201556080820151829190600482019061284d9082613147565b5060a082015160058201805460ff1916600183600481111561287157612871612b9b565b021790555060c0820151600682019061288a9082613147565b5050505b60028360048111156128a2576128a2612b9b565b036129f95760188054600181018255600091909152815160079091027fb13d2d76d1f4b7be834882e410b3e3a8afaf69f83600ae24db354391d2378d2e810180546001600160a01b039384166001600160a01b031991821617825560208501517fb13d2d76d1f4b7be834882e410b3e3a8afaf69f83600ae24db354391d2378d2f840180549190951691161790925560408301517fb13d2d76d1f4b7be834882e410b3e3a8afaf69f83600ae24db354391d2378d3082015560608301517fb13d2d76d1f4b7be834882e410b3e3a8afaf69f83600ae24db354391d2378d3182015560808301518392917fb13d2d76d1f4b7be834882e410b3e3a8afaf69f83600ae24db354391d2378d3201906129b89082613147565b5060a082015160058201805460ff191660018360048111156129dc576129dc612b9b565b021790555060c082015160068201906129f59082613147565b5050505b5050505050505050565b600381015460009060ff16612a1a57506000919050565b60008260020154118015612a32575042826002015411155b15612a3f57506000919050565b506001919050565b80356001600160a01b0381168114612a5e57600080fd5b919050565b600080600060608486031215612a7857600080fd5b612a8184612a47565b9250612a8f60208501612a47565b9150604084013590509250925092565b6000815180845260005b81811015612ac557602081850181015186830182015201612aa9565b506000602082860101526020601f19601f83011685010191505092915050565b60018060a01b0386168152846020820152836040820152821515606082015260a060808201526000612b1a60a0830184612a9f565b979650505050505050565b600060208284031215612b3757600080fd5b5035919050565b60008060408385031215612b5157600080fd5b612b5a83612a47565b9150612b6860208401612a47565b90509250929050565b60008060408385031215612b8457600080fd5b612b8d83612a47565b946020939093013593505050565b634e487b7160e01b600052602160045260246000fd5b6001600160a01b03888116825287166020820152604081018690526060810185905260e060808201819052600090612beb90830186612a9f565b60058510612bfb57612bfb612b9b565b8460a084015282810360c0840152612c138185612a9f565b9a9950505050505050505050565b600060208284031215612c3357600080fd5b81356001600160e01b031981168114612c4b57600080fd5b9392505050565b80518252602081015160208301526000604082015160606040850152612c7b6060850182612a9f565b949350505050565b8b81526001600160a01b038b16602082015261016060408201819052600090612cae8382018d612a9f565b90508281036060840152612cc2818c612a9f565b90508281036080840152612cd6818b612a9f565b90508860a084015287151560c08401528660e0840152851515610100840152612d0b6101208401866001600160a01b03169052565b828103610140840152612d1e8185612c52565b9e9d5050505050505050505050505050565b600060208284031215612d4257600080fd5b612c4b82612a47565b60048110612d5b57612d5b612b9b565b50565b6000610100808352612d728184018c612a9f565b90508281036020840152612d86818b612a9f565b90508281036040840152612d9a818a612a9f565b9050612da588612d4b565b60608301889052608083018790526001600160a01b03861660a084015260c0830185905282810360e0840152612ddb8185612a9f565b9b9a5050505050505050505050565b634e487b7160e01b600052604160045260246000fd5b60008060408385031215612e1357600080fd5b823567ffffffffffffffff80821115612e2b57600080fd5b818501915085601f830112612e3f57600080fd5b813581811115612e5157612e51612dea565b604051601f8201601f19908116603f01168101908382118183101715612e7957612e79612dea565b81604052828152886020848701011115612e9257600080fd5b826020860160208301376000602084830101528096505050505050612b6860208401612a47565b600081518084526020808501945080840160005b83811015612ef25781516001600160a01b031687529582019590820190600101612ecd565b509495945050505050565b602081526000612c4b6020830184612eb9565b6001600160a01b038a81168252898116602083015261012060408301819052600091612f3e8483018c612a9f565b915089606085015288608085015287151560a085015286151560c085015280861660e085015250828103610100840152612f788185612a9f565b9c9b505050505050505050505050565b6001600160a01b038616815260a060208201819052600090612fac90830187612a9f565b9050612fb785612d4b565b6040820194909452911515606083015260809091015292915050565b604081526000835160606040840152612fef60a0840182612a9f565b6020868101516001600160a01b03166060860152604087015160808601528482039085015290506130208185612eb9565b95945050505050565b6000806040838503121561303c57600080fd5b82359150612b6860208401612a47565b60008060006060848603121561306157600080fd5b61306a84612a47565b95602085013595506040909401359392505050565b604080825283519082018190526000906020906060840190828701845b828110156130b85781518452928401929084019060010161309c565b50505092019290925292915050565b600181811c908216806130db57607f821691505b6020821081036130fb57634e487b7160e01b600052602260045260246000fd5b50919050565b601f8211156123be57600081815260208120601f850160051c810160208610156131285750805b601f850160051c820191505b818110156122ad57828155600101613134565b815167ffffffffffffffff81111561316157613161612dea565b6131758161316f84546130c7565b84613101565b602080601f8311600181146131aa57600084156131925750858301515b600019600386901b1c1916600185901b1785556122ad565b600085815260208120601f198616915b828110156131d9578886015182559484019460019091019084016131ba565b50858210156131f75787850151600019600388901b60f8161c191681555b5050505050600190811b01905550565b602081526000612c4b6020830184612a9f565b6020808252601b908201527f4f7267616e697a6174696f6e20646f6573206e6f742065786973740000000000604082015260600190565b634e487b7160e01b600052603260045260246000fd5b634e487b7160e01b600052601160045260246000fd5b808201808211156124a4576124a4613267565b6000600182016132a2576132a2613267565b5060010190565b818103818111156124a4576124a4613267565b634e487b7160e01b600052603160045260246000fd5b60008083546132e0816130c7565b600182811680156132f8576001811461330d5761333c565b60ff198416875282151583028701945061333c565b8760005260208060002060005b858110156133335781548a82015290840190820161331a565b50505082870194505b5092969550505050505056fea26469706673582212206433cd97ef6d34ad90b220b793ee1b9677655fa733678caaa77558cb29ab884664736f6c63430008130033";
+
+type MedChainOrganizationsConstructorParams =
+  | [signer?: Signer]
+  | ConstructorParameters<typeof ContractFactory>;
+
+const isSuperArgs = (
+  xs: MedChainOrganizationsConstructorParams
+): xs is ConstructorParameters<typeof ContractFactory> => xs.length > 1;
+
+export class MedChainOrganizations__factory extends ContractFactory {
+  constructor(...args: MedChainOrganizationsConstructorParams) {
+    if (isSuperArgs(args)) {
+      super(...args);
+    } else {
+      super(_abi, _bytecode, args[0]);
+    }
+  }
+
+  override getDeployTransaction(
+    overrides?: NonPayableOverrides & { from?: string }
+  ): Promise<ContractDeployTransaction> {
+    return super.getDeployTransaction(overrides || {});
+  }
+  override deploy(overrides?: NonPayableOverrides & { from?: string }) {
+    return super.deploy(overrides || {}) as Promise<
+      MedChainOrganizations & {
+        deploymentTransaction(): ContractTransactionResponse;
+      }
+    >;
+  }
+  override connect(
+    runner: ContractRunner | null
+  ): MedChainOrganizations__factory {
+    return super.connect(runner) as MedChainOrganizations__factory;
+  }
+
+  static readonly bytecode = _bytecode;
+  static readonly abi = _abi;
+  static createInterface(): MedChainOrganizationsInterface {
+    return new Interface(_abi) as MedChainOrganizationsInterface;
+  }
+  static connect(
+    address: string,
+    runner?: ContractRunner | null
+  ): MedChainOrganizations {
+    return new Contract(
+      address,
+      _abi,
+      runner
+    ) as unknown as MedChainOrganizations;
+  }
+}
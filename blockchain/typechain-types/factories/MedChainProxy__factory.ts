@@ -0,0 +1,126 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import {
+  Contract,
+  ContractFactory,
+  ContractTransactionResponse,
+  Interface,
+} from "ethers";
+import type {
+  Signer,
+  BytesLike,
+  AddressLike,
+  ContractDeployTransaction,
+  ContractRunner,
+} from "ethers";
+import type { NonPayableOverrides } from "../common";
+import type { MedChainProxy, MedChainProxyInterface } from "../MedChainProxy";
+
+const _abi = [
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "_implementation",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "_initializer",
+        type: "address",
+      },
+      {
+        internalType: "bytes",
+        name: "_initData",
+        type: "bytes",
+      },
+    ],
+    stateMutability: "nonpayable",
+    type: "constructor",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "implementation",
+        type: "address",
+      },
+    ],
+    name: "Upgraded",
+    type: "event",
+  },
+  {
+    stateMutability: "nonpayable",
+    type: "fallback",
+  },
+] as const;
+
+const _bytecode =
+  "0x608060405234801561001057600080fd5b5060405161033b38038061033b83398101604081905261002f916101b3565b6000836001600160a01b03163b1161008d5760405162461bcd60e51b815260206004820152601660248201527f496e76616c696420696d706c656d656e746174696f6e00000000000000000000604482015260640160405180910390fd5b7f360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc8381556040516001600160a01b038516907fbc7cd75a20ee27fd9adebab32041f755214dbc6bffa90cc0225b39da2e5c2d3b90600090a2600080846001600160a01b0316846040516101009190610283565b600060405180830381855af49150503d806000811461013b576040519150601f19603f3d011682016040523d82523d6000602084013e610140565b606091505b50915091508161015257805160208201fd5b50505050505061029f565b80516001600160a01b038116811461017457600080fd5b919050565b634e487b7160e01b600052604160045260246000fd5b60005b838110156101aa578181015183820152602001610192565b50506000910152565b6000806000606084860312156101c857600080fd5b6101d18461015d565b92506101df6020850161015d565b60408501519092506001600160401b03808211156101fc57600080fd5b818601915086601f83011261021057600080fd5b81518181111561022257610222610179565b604051601f8201601f19908116603f0116810190838211818310171561024a5761024a610179565b8160405282815289602084870101111561026357600080fd5b61027483602083016020880161018f565b80955050505050509250925092565b6000825161029581846020870161018f565b9190910192915050565b608e806102ad6000396000f3fe6080604052348015600f57600080fd5b507f360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc80543660008037600080366000845af490503d6000803e8080156053573d6000f35b3d6000fdfea2646970667358221220e4e1df114d8a6f619429bee40942bf7f15a6aecd310f44947403f3e809b3ee8964736f6c63430008130033";
+
+type MedChainProxyConstructorParams =
+  | [signer?: Signer]
+  | ConstructorParameters<typeof ContractFactory>;
+
+const isSuperArgs = (
+  xs: MedChainProxyConstructorParams
+): xs is ConstructorParameters<typeof ContractFactory> => xs.length > 1;
+
+export class MedChainProxy__factory extends ContractFactory {
+  constructor(...args: MedChainProxyConstructorParams) {
+    if (isSuperArgs(args)) {
+      super(...args);
+    } else {
+      super(_abi, _bytecode, args[0]);
+    }
+  }
+
+  override getDeployTransaction(
+    _implementation: AddressLike,
+    _initializer: AddressLike,
+    _initData: BytesLike,
+    overrides?: NonPayableOverrides & { from?: string }
+  ): Promise<ContractDeployTransaction> {
+    return super.getDeployTransaction(
+      _implementation,
+      _initializer,
+      _initData,
+      overrides || {}
+    );
+  }
+  override deploy(
+    _implementation: AddressLike,
+    _initializer: AddressLike,
+    _initData: BytesLike,
+    overrides?: NonPayableOverrides & { from?: string }
+  ) {
+    return super.deploy(
+      _implementation,
+      _initializer,
+      _initData,
+      overrides || {}
+    ) as Promise<
+      MedChainProxy & {
+        deploymentTransaction(): ContractTransactionResponse;
+      }
+    >;
+  }
+  override connect(runner: ContractRunner | null): MedChainProxy__factory {
+    return super.connect(runner) as MedChainProxy__factory;
+  }
+
+  static readonly bytecode = _bytecode;
+  static readonly abi = _abi;
+  static createInterface(): MedChainProxyInterface {
+    return new Interface(_abi) as MedChainProxyInterface;
+  }
+  static connect(
+    address: string,
+    runner?: ContractRunner | null
+  ): MedChainProxy {
+    return new Contract(address, _abi, runner) as unknown as MedChainProxy;
+  }
+}
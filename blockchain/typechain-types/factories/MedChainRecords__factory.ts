@@ -0,0 +1,2597 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import {
+  Contract,
+  ContractFactory,
+  ContractTransactionResponse,
+  Interface,
+} from "ethers";
+import type { Signer, ContractDeployTransaction, ContractRunner } from "ethers";
+import type { NonPayableOverrides } from "../common";
+import type {
+  MedChainRecords,
+  MedChainRecordsInterface,
+} from "../MedChainRecords";
+
+const _abi = [
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "grantIndex",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+    ],
+    name: "AccessExtended",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+    ],
+    name: "AccessGranted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "requestId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+    ],
+    name: "AccessRequestApproved",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "requestId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    name: "AccessRequestDenied",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "requestId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "duration",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "purpose",
+        type: "string",
+      },
+    ],
+    name: "AccessRequested",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+    ],
+    name: "AccessRevoked",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "bytes32",
+        name: "actionId",
+        type: "bytes32",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "action",
+        type: "string",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "target",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "value",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "approver",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "approvals",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "required",
+        type: "uint256",
+      },
+    ],
+    name: "AdminActionApproved",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "bytes32",
+        name: "actionId",
+        type: "bytes32",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "action",
+        type: "string",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "target",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "value",
+        type: "uint256",
+      },
+    ],
+    name: "AdminActionExecuted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "account",
+        type: "address",
+      },
+    ],
+    name: "AdminAdded",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "quorum",
+        type: "uint256",
+      },
+    ],
+    name: "AdminQuorumChanged",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "account",
+        type: "address",
+      },
+    ],
+    name: "AdminRemoved",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "currentAdmin",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "pendingAdmin",
+        type: "address",
+      },
+    ],
+    name: "AdminTransferStarted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "previousAdmin",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "newAdmin",
+        type: "address",
+      },
+    ],
+    name: "AdminTransferred",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "recordType",
+        type: "string",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+    ],
+    name: "CategoryAccessGranted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "recordType",
+        type: "string",
+      },
+    ],
+    name: "CategoryAccessRevoked",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "licenseNumber",
+        type: "string",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "issuingAuthority",
+        type: "string",
+      },
+    ],
+    name: "DoctorApplicationSubmitted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "verifier",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    name: "DoctorRejected",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "verifier",
+        type: "address",
+      },
+    ],
+    name: "DoctorVerified",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "accessId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "justification",
+        type: "string",
+      },
+    ],
+    name: "EmergencyAccessInvoked",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "accessId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "reviewer",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "bool",
+        name: "justified",
+        type: "bool",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "notes",
+        type: "string",
+      },
+    ],
+    name: "EmergencyAccessReviewed",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: false,
+        internalType: "bool",
+        name: "status",
+        type: "bool",
+      },
+    ],
+    name: "EmergencyModeToggled",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "user",
+        type: "address",
+      },
+    ],
+    name: "EncryptionKeySet",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "extension",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "bytes4[]",
+        name: "selectors",
+        type: "bytes4[]",
+      },
+    ],
+    name: "ExtensionRouted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "reporter",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "details",
+        type: "string",
+      },
+    ],
+    name: "FileMismatchReported",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "guardian",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint8",
+        name: "powers",
+        type: "uint8",
+      },
+    ],
+    name: "GuardianAppointed",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "guardian",
+        type: "address",
+      },
+    ],
+    name: "GuardianRemoved",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "organization",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "name",
+        type: "string",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "owner",
+        type: "address",
+      },
+    ],
+    name: "OrganizationCreated",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "organization",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+    ],
+    name: "OrganizationMemberAdded",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "organization",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+    ],
+    name: "OrganizationMemberRemoved",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "organization",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "owner",
+        type: "address",
+      },
+    ],
+    name: "OrganizationOwnerChanged",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+    ],
+    name: "RecordAccessGranted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+    ],
+    name: "RecordAccessRevoked",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "accessor",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+    ],
+    name: "RecordAccessed",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "version",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    name: "RecordAmended",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    name: "RecordArchived",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "recordType",
+        type: "string",
+      },
+    ],
+    name: "RecordCreated",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "reader",
+        type: "address",
+      },
+    ],
+    name: "RecordKeyShared",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "proposalId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+    ],
+    name: "RecordProposalAccepted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "proposalId",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    name: "RecordProposalRejected",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "proposalId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "recordType",
+        type: "string",
+      },
+    ],
+    name: "RecordProposed",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+    ],
+    name: "RecordRestored",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "relayer",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "bool",
+        name: "enabled",
+        type: "bool",
+      },
+    ],
+    name: "RelayerUpdated",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "signer",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "relayer",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "nonce",
+        type: "uint256",
+      },
+    ],
+    name: "RequestRelayed",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "implementation",
+        type: "address",
+      },
+    ],
+    name: "Upgraded",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "userAddress",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "name",
+        type: "string",
+      },
+      {
+        indexed: false,
+        internalType: "enum MedChainBase.UserRole",
+        name: "role",
+        type: "uint8",
+      },
+    ],
+    name: "UserRegistered",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "verifier",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "bool",
+        name: "enabled",
+        type: "bool",
+      },
+    ],
+    name: "VerifierUpdated",
+    type: "event",
+  },
+  {
+    inputs: [],
+    name: "EMERGENCY_ACCESS_DURATION",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "GUARDIAN_CREATE_RECORDS",
+    outputs: [
+      {
+        internalType: "uint8",
+        name: "",
+        type: "uint8",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "GUARDIAN_MANAGE_ACCESS",
+    outputs: [
+      {
+        internalType: "uint8",
+        name: "",
+        type: "uint8",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "GUARDIAN_VIEW_AUDIT",
+    outputs: [
+      {
+        internalType: "uint8",
+        name: "",
+        type: "uint8",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "GUARDIAN_VIEW_RECORDS",
+    outputs: [
+      {
+        internalType: "uint8",
+        name: "",
+        type: "uint8",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "MAX_BATCH_RECORDS",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "_proposalId",
+        type: "uint256",
+      },
+    ],
+    name: "acceptRecordProposal",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "accessRequestCounter",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "admin",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "",
+        type: "bytes32",
+      },
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "adminActionApprovals",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "",
+        type: "bytes32",
+      },
+    ],
+    name: "adminActionNonces",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "adminList",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "adminQuorum",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "admins",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "_recordId",
+        type: "uint256",
+      },
+      {
+        internalType: "string",
+        name: "_ipfsHash",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "_description",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "_reason",
+        type: "string",
+      },
+      {
+        components: [
+          {
+            internalType: "bytes32",
+            name: "digest",
+            type: "bytes32",
+          },
+          {
+            internalType: "uint256",
+            name: "size",
+            type: "uint256",
+          },
+          {
+            internalType: "string",
+            name: "mimeType",
+            type: "string",
+          },
+        ],
+        internalType: "struct MedChainBase.RecordFile",
+        name: "_file",
+        type: "tuple",
+      },
+    ],
+    name: "amendRecord",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "_recordId",
+        type: "uint256",
+      },
+      {
+        internalType: "string",
+        name: "_reason",
+        type: "string",
+      },
+    ],
+    name: "archiveRecord",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "auditTrails",
+    outputs: [
+      {
+        internalType: "address",
+        name: "accessor",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "timestamp",
+        type: "uint256",
+      },
+      {
+        internalType: "string",
+        name: "action",
+        type: "string",
+      },
+      {
+        internalType: "enum MedChainBase.ActorType",
+        name: "actorType",
+        type: "uint8",
+      },
+      {
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "bytes32",
+        name: "",
+        type: "bytes32",
+      },
+    ],
+    name: "categoryPermissions",
+    outputs: [
+      {
+        internalType: "address",
+        name: "doctorAddress",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "grantedAt",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+      {
+        internalType: "bool",
+        name: "isActive",
+        type: "bool",
+      },
+      {
+        internalType: "string",
+        name: "purpose",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "string[]",
+        name: "_ipfsHashes",
+        type: "string[]",
+      },
+      {
+        internalType: "string[]",
+        name: "_recordTypes",
+        type: "string[]",
+      },
+      {
+        internalType: "string[]",
+        name: "_descriptions",
+        type: "string[]",
+      },
+      {
+        components: [
+          {
+            internalType: "bytes32",
+            name: "digest",
+            type: "bytes32",
+          },
+          {
+            internalType: "uint256",
+            name: "size",
+            type: "uint256",
+          },
+          {
+            internalType: "string",
+            name: "mimeType",
+            type: "string",
+          },
+        ],
+        internalType: "struct MedChainBase.RecordFile[]",
+        name: "_files",
+        type: "tuple[]",
+      },
+      {
+        internalType: "bytes[]",
+        name: "_wrappedKeys",
+        type: "bytes[]",
+      },
+    ],
+    name: "createRecords",
+    outputs: [
+      {
+        internalType: "uint256[]",
+        name: "recordIds",
+        type: "uint256[]",
+      },
+    ],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "doctorApplicants",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "doctorCredentials",
+    outputs: [
+      {
+        internalType: "string",
+        name: "licenseNumber",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "issuingAuthority",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "specialty",
+        type: "string",
+      },
+      {
+        internalType: "enum MedChainBase.VerificationStatus",
+        name: "status",
+        type: "uint8",
+      },
+      {
+        internalType: "uint256",
+        name: "submittedAt",
+        type: "uint256",
+      },
+      {
+        internalType: "address",
+        name: "reviewedBy",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "reviewedAt",
+        type: "uint256",
+      },
+      {
+        internalType: "string",
+        name: "rejectionReason",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "emergencyAccessCounter",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "emergencyAccesses",
+    outputs: [
+      {
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        internalType: "string",
+        name: "justification",
+        type: "string",
+      },
+      {
+        internalType: "uint256",
+        name: "invokedAt",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+      {
+        internalType: "bool",
+        name: "reviewed",
+        type: "bool",
+      },
+      {
+        internalType: "bool",
+        name: "justified",
+        type: "bool",
+      },
+      {
+        internalType: "address",
+        name: "reviewedBy",
+        type: "address",
+      },
+      {
+        internalType: "string",
+        name: "reviewNotes",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "emergencyMode",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes4",
+        name: "",
+        type: "bytes4",
+      },
+    ],
+    name: "extensions",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "_doctor",
+        type: "address",
+      },
+    ],
+    name: "getDoctorRecordProposals",
+    outputs: [
+      {
+        internalType: "uint256[]",
+        name: "",
+        type: "uint256[]",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "_patient",
+        type: "address",
+      },
+    ],
+    name: "getPendingRecordProposals",
+    outputs: [
+      {
+        internalType: "uint256[]",
+        name: "",
+        type: "uint256[]",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "_recordId",
+        type: "uint256",
+      },
+    ],
+    name: "getRecordFile",
+    outputs: [
+      {
+        components: [
+          {
+            internalType: "bytes32",
+            name: "digest",
+            type: "bytes32",
+          },
+          {
+            internalType: "uint256",
+            name: "size",
+            type: "uint256",
+          },
+          {
+            internalType: "string",
+            name: "mimeType",
+            type: "string",
+          },
+        ],
+        internalType: "struct MedChainBase.RecordFile",
+        name: "",
+        type: "tuple",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "_recordId",
+        type: "uint256",
+      },
+    ],
+    name: "getRecordHistory",
+    outputs: [
+      {
+        components: [
+          {
+            internalType: "string",
+            name: "ipfsHash",
+            type: "string",
+          },
+          {
+            internalType: "string",
+            name: "description",
+            type: "string",
+          },
+          {
+            internalType: "uint256",
+            name: "timestamp",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "supersededAt",
+            type: "uint256",
+          },
+          {
+            internalType: "string",
+            name: "amendmentReason",
+            type: "string",
+          },
+          {
+            components: [
+              {
+                internalType: "bytes32",
+                name: "digest",
+                type: "bytes32",
+              },
+              {
+                internalType: "uint256",
+                name: "size",
+                type: "uint256",
+              },
+              {
+                internalType: "string",
+                name: "mimeType",
+                type: "string",
+              },
+            ],
+            internalType: "struct MedChainBase.RecordFile",
+            name: "file",
+            type: "tuple",
+          },
+        ],
+        internalType: "struct MedChainBase.RecordVersion[]",
+        name: "",
+        type: "tuple[]",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "_proposalId",
+        type: "uint256",
+      },
+    ],
+    name: "getRecordProposal",
+    outputs: [
+      {
+        components: [
+          {
+            internalType: "address",
+            name: "doctor",
+            type: "address",
+          },
+          {
+            internalType: "address",
+            name: "patient",
+            type: "address",
+          },
+          {
+            internalType: "string",
+            name: "ipfsHash",
+            type: "string",
+          },
+          {
+            internalType: "string",
+            name: "recordType",
+            type: "string",
+          },
+          {
+            internalType: "string",
+            name: "description",
+            type: "string",
+          },
+          {
+            internalType: "uint256",
+            name: "submittedAt",
+            type: "uint256",
+          },
+          {
+            internalType: "enum MedChainBase.ProposalStatus",
+            name: "status",
+            type: "uint8",
+          },
+          {
+            internalType: "uint256",
+            name: "recordId",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "decidedAt",
+            type: "uint256",
+          },
+          {
+            internalType: "string",
+            name: "rejectionReason",
+            type: "string",
+          },
+          {
+            components: [
+              {
+                internalType: "bytes32",
+                name: "digest",
+                type: "bytes32",
+              },
+              {
+                internalType: "uint256",
+                name: "size",
+                type: "uint256",
+              },
+              {
+                internalType: "string",
+                name: "mimeType",
+                type: "string",
+              },
+            ],
+            internalType: "struct MedChainBase.RecordFile",
+            name: "file",
+            type: "tuple",
+          },
+          {
+            internalType: "bytes",
+            name: "wrappedKey",
+            type: "bytes",
+          },
+        ],
+        internalType: "struct MedChainBase.RecordProposal",
+        name: "",
+        type: "tuple",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "_recordId",
+        type: "uint256",
+      },
+    ],
+    name: "getRecordStatus",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "version",
+        type: "uint256",
+      },
+      {
+        internalType: "bool",
+        name: "archived",
+        type: "bool",
+      },
+      {
+        internalType: "address",
+        name: "author",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "latestEmergencyAccess",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "patientAuditTrails",
+    outputs: [
+      {
+        internalType: "address",
+        name: "accessor",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "timestamp",
+        type: "uint256",
+      },
+      {
+        internalType: "string",
+        name: "action",
+        type: "string",
+      },
+      {
+        internalType: "enum MedChainBase.ActorType",
+        name: "actorType",
+        type: "uint8",
+      },
+      {
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "patientRecords",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "pendingAdmin",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "pendingEmergencyReviews",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "permissions",
+    outputs: [
+      {
+        internalType: "address",
+        name: "doctorAddress",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "grantedAt",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+      {
+        internalType: "bool",
+        name: "isActive",
+        type: "bool",
+      },
+      {
+        internalType: "string",
+        name: "purpose",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "_patient",
+        type: "address",
+      },
+      {
+        internalType: "string",
+        name: "_ipfsHash",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "_recordType",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "_description",
+        type: "string",
+      },
+      {
+        components: [
+          {
+            internalType: "bytes32",
+            name: "digest",
+            type: "bytes32",
+          },
+          {
+            internalType: "uint256",
+            name: "size",
+            type: "uint256",
+          },
+          {
+            internalType: "string",
+            name: "mimeType",
+            type: "string",
+          },
+        ],
+        internalType: "struct MedChainBase.RecordFile",
+        name: "_file",
+        type: "tuple",
+      },
+      {
+        internalType: "bytes",
+        name: "_wrappedKey",
+        type: "bytes",
+      },
+    ],
+    name: "proposeRecord",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "recordCounter",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "recordPermissions",
+    outputs: [
+      {
+        internalType: "address",
+        name: "doctorAddress",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "grantedAt",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+      {
+        internalType: "bool",
+        name: "isActive",
+        type: "bool",
+      },
+      {
+        internalType: "string",
+        name: "purpose",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "recordProposalCounter",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "records",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        internalType: "address",
+        name: "patientAddress",
+        type: "address",
+      },
+      {
+        internalType: "string",
+        name: "ipfsHash",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "recordType",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "description",
+        type: "string",
+      },
+      {
+        internalType: "uint256",
+        name: "timestamp",
+        type: "uint256",
+      },
+      {
+        internalType: "bool",
+        name: "exists",
+        type: "bool",
+      },
+      {
+        internalType: "uint256",
+        name: "version",
+        type: "uint256",
+      },
+      {
+        internalType: "bool",
+        name: "archived",
+        type: "bool",
+      },
+      {
+        internalType: "address",
+        name: "author",
+        type: "address",
+      },
+      {
+        components: [
+          {
+            internalType: "bytes32",
+            name: "digest",
+            type: "bytes32",
+          },
+          {
+            internalType: "uint256",
+            name: "size",
+            type: "uint256",
+          },
+          {
+            internalType: "string",
+            name: "mimeType",
+            type: "string",
+          },
+        ],
+        internalType: "struct MedChainBase.RecordFile",
+        name: "file",
+        type: "tuple",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "_proposalId",
+        type: "uint256",
+      },
+      {
+        internalType: "string",
+        name: "_reason",
+        type: "string",
+      },
+    ],
+    name: "rejectRecordProposal",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "_recordId",
+        type: "uint256",
+      },
+      {
+        internalType: "string",
+        name: "_details",
+        type: "string",
+      },
+    ],
+    name: "reportFileMismatch",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "_recordId",
+        type: "uint256",
+      },
+    ],
+    name: "restoreRecord",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "systemAuditTrail",
+    outputs: [
+      {
+        internalType: "address",
+        name: "accessor",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "timestamp",
+        type: "uint256",
+      },
+      {
+        internalType: "string",
+        name: "action",
+        type: "string",
+      },
+      {
+        internalType: "enum MedChainBase.ActorType",
+        name: "actorType",
+        type: "uint8",
+      },
+      {
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "users",
+    outputs: [
+      {
+        internalType: "address",
+        name: "userAddress",
+        type: "address",
+      },
+      {
+        internalType: "string",
+        name: "name",
+        type: "string",
+      },
+      {
+        internalType: "enum MedChainBase.UserRole",
+        name: "role",
+        type: "uint8",
+      },
+      {
+        internalType: "bool",
+        name: "isRegistered",
+        type: "bool",
+      },
+      {
+        internalType: "uint256",
+        name: "registrationTime",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "verifiers",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+] as const;
+
+const _bytecode =
+  "0x608060405234801561001057600080fd5b50615070806100206000396000f3fe608060405234801561001057600080fd5b50600436106102a05760003560e01c8063765fddf711610167578063aa8ae624116100ce578063e182a68211610087578063e182a682146106dc578063f274e2d1146106ef578063f4802c33146106f8578063f7b1da471461070b578063f851a44014610739578063fd6c6d4a1461074c57600080fd5b8063aa8ae62414610651578063ac76136814610664578063ba008db014610677578063cfdee9611461068a578063d4647321146106c1578063daae5368146106c957600080fd5b8063943700501161012057806394370050146105ee57806394f0df61146105f657806397cfc6c7146106095780639da8e0db14610611578063a87430ba1461061a578063a8b5f0b01461063e57600080fd5b8063765fddf71461053357806379b034c01461055b5780637d6836181461056e5780637f8fe3361461058e57806391f25588146105ae57806392988760146105ce57600080fd5b80633082c4e01161020b5780635f848f81116101c45780635f848f81146104a7578063670a4feb146104ba5780636b8df2a6146104e15780636c824487146104f45780636e15add6146105175780637599be5d1461052a57600080fd5b80633082c4e0146103e2578063344610671461040d578063393580b014610437578063406269291461044a578063429b62e51461046a5780634590e8ee1461048d57600080fd5b806311117fc81161025d57806311117fc8146103395780631f9838b51461036457806320f2ce9e146103775780632114ef1f1461039d57806326782247146103a657806329e82593146103b957600080fd5b806303cf7d62146102a557806304690f91146102c15780630581e370146102d657806307a21fa1146102de5780630905f560146102f1578063108b793414610315575b600080fd5b6102ae601d5481565b6040519081526020015b60405180910390f35b6102d46102cf3660046140a5565b610755565b005b6102ae601481565b6102ae6102ec3660046140eb565b610878565b600c5461030590600160a01b900460ff1681565b60405190151581526020016102b8565b61032861032336600461411b565b610c60565b6040516102b895949392919061419d565b61034c6103473660046140eb565b610d38565b6040516001600160a01b0390911681526020016102b8565b6103286103723660046141dd565b610d62565b61038a610385366004614210565b610db1565b6040516102b89796959493929190614250565b6102ae61a8c081565b60155461034c906001600160a01b031681565b61034c6103c73660046142c0565b600d602052600090815260409020546001600160a01b031681565b6102ae6103f03660046141dd565b600f60209081526000928352604080842090915290825290205481565b61042061041b3660046140eb565b610f36565b6040516102b89b9a9998979695949392919061431a565b61034c6104453660046140eb565b6111f1565b61045d6104583660046143c7565b611201565b6040516102b891906143e2565b6103056104783660046143c7565b60126020526000908152604090205460ff1681565b610495600881565b60405160ff90911681526020016102b8565b6102ae6104b536600461449e565b61126d565b6104cd6104c83660046143c7565b6117b9565b6040516102b8989796959493929190614567565b61038a6104ef366004614210565b611a2c565b6103056105023660046143c7565b60096020526000908152604090205460ff1681565b61045d6105253660046143c7565b611a48565b6102ae600b5481565b6105466105413660046140eb565b611ab2565b6040516102b8999897969594939291906145f3565b6102d46105693660046140eb565b611c2d565b61058161057c3660046140eb565b611ddf565b6040516102b89190614678565b6105a161059c3660046140eb565b6122b6565b6040516102b891906147a6565b6105c16105bc3660046140eb565b612376565b6040516102b891906147b9565b6102ae6105dc3660046140eb565b60166020526000908152604090205481565b610495600481565b6102ae610604366004614210565b6126bd565b610495600281565b6102ae602b5481565b61062d6106283660046143c7565b6126ee565b6040516102b895949392919061488b565b6102d461064c3660046140a5565b6127b6565b6102ae61065f3660046148d6565b61296f565b6102d46106723660046140a5565b612d3f565b61038a6106853660046140eb565b612e67565b61069d6106983660046140eb565b612ebd565b6040805193845291151560208401526001600160a01b0316908201526060016102b8565b610495600181565b6102ae6106d73660046140eb565b612f29565b6103286106ea36600461411b565b612f4a565b6102ae60115481565b61045d610706366004614ae7565b612f9f565b610305610719366004614bab565b601760209081526000928352604080842090915290825290205460ff1681565b600c5461034c906001600160a01b031681565b6102ae60145481565b33600090815260208190526040902060020154610100900460ff166107955760405162461bcd60e51b815260040161078c90614bce565b60405180910390fd5b60013360009081526020819052604090206002015460ff1660038111156107be576107be61423a565b146107db5760405162461bcd60e51b815260040161078c90614bfb565b60006107e88360036132fe565b9050600981016107f88382614ca9565b50805460408051808201909152600d81526c1491529150d517d49150d3d491609a1b602082015261083b9133916001600160a01b039091169060009081876134c1565b827f95366be87c6904d2396ff83cca5d1f405caba2aa04e2a0963131349df3fba2028360405161086b9190614d68565b60405180910390a2505050565b33600090815260208190526040812060020154610100900460ff166108af5760405162461bcd60e51b815260040161078c90614bce565b60013360009081526020819052604090206002015460ff1660038111156108d8576108d861423a565b146108f55760405162461bcd60e51b815260040161078c90614bfb565b60006109028360026132fe565b8054600282018054929350610b799233926001600160a01b0316919061092790614c2a565b80601f016020809104026020016040519081016040528092919081815260200182805461095390614c2a565b80156109a05780601f10610975576101008083540402835291602001916109a0565b820191906000526020600020905b81548152906001019060200180831161098357829003601f168201915b50505050508460030180546109b490614c2a565b80601f01602080910402602001604051908101604052809291908181526020018280546109e090614c2a565b8015610a2d5780601f10610a0257610100808354040283529160200191610a2d565b820191906000526020600020905b815481529060010190602001808311610a1057829003601f168201915b5050505050856004018054610a4190614c2a565b80601f0160208091040260200160405190810160405280929190818152602001828054610a6d90614c2a565b8015610aba5780601f10610a8f57610100808354040283529160200191610aba565b820191906000526020600020905b815481529060010190602001808311610a9d57829003601f168201915b505050505086600a016040518060600160405290816000820154815260200160018201548152602001600282018054610af290614c2a565b80601f0160208091040260200160405190810160405280929190818152602001828054610b1e90614c2a565b8015610b6b5780601f10610b4057610100808354040283529160200191610b6b565b820191906000526020600020905b815481529060010190602001808311610b4e57829003601f168201915b5050505050815250506134d8565b6007820155600d8101805460009190610b9190614c2a565b90501115610bc657600781015460009081526025602090815260408083203384529091529020610bc4600d830182614d7b565b505b610c24338260000160009054906101000a90046001600160a01b031683600701546040518060400160405280600d81526020016c1050d0d1541517d49150d3d491609a1b8152506000604051806020016040528060008152506134c1565b600781015460405184907fbe1ae2bf1a1c6ed290b09c3d054530c47f5b3914a48a9a0786ba45e06785d94990600090a36007015490505b919050565b6005602090815260009384526040808520825292845282842090528252902080546001820154600283015460038401546004850180546001600160a01b03909516959394929360ff90921692610cb590614c2a565b80601f0160208091040260200160405190810160405280929190818152602001828054610ce190614c2a565b8015610d2e5780601f10610d0357610100808354040283529160200191610d2e565b820191906000526020600020905b815481529060010190602001808311610d1157829003601f168201915b5050505050905085565b60138181548110610d4857600080fd5b6000918252602090912001546001600160a01b0316905081565b60036020818152600093845260408085209091529183529120805460018201546002830154938301546004840180546001600160a01b03909416959294929360ff9092169291610cb590614c2a565b60076020528160005260406000208181548110610dcd57600080fd5b6000918252602090912060079091020180546001820154600283015460038401546004850180546001600160a01b039586169850939094169550909390929091610e1690614c2a565b80601f0160208091040260200160405190810160405280929190818152602001828054610e4290614c2a565b8015610e8f5780601f10610e6457610100808354040283529160200191610e8f565b820191906000526020600020905b815481529060010190602001808311610e7257829003601f168201915b5050506005840154600685018054949560ff909216949193509150610eb390614c2a565b80601f0160208091040260200160405190810160405280929190818152602001828054610edf90614c2a565b8015610f2c5780601f10610f0157610100808354040283529160200191610f2c565b820191906000526020600020905b815481529060010190602001808311610f0f57829003601f168201915b5050505050905087565b600260208190526000918252604090912080546001820154928201805491936001600160a01b03169291610f6990614c2a565b80601f0160208091040260200160405190810160405280929190818152602001828054610f9590614c2a565b8015610fe25780601f10610fb757610100808354040283529160200191610fe2565b820191906000526020600020905b815481529060010190602001808311610fc557829003601f168201915b505050505090806003018054610ff790614c2a565b80601f016020809104026020016040519081016040528092919081815260200182805461102390614c2a565b80156110705780601f1061104557610100808354040283529160200191611070565b820191906000526020600020905b81548152906001019060200180831161105357829003601f168201915b50505050509080600401805461108590614c2a565b80601f01602080910402602001604051908101604052809291908181526020018280546110b190614c2a565b80156110fe5780601f106110d3576101008083540402835291602001916110fe565b820191906000526020600020905b8154815290600101906020018083116110e157829003601f168201915b505050506005830154600684015460078501546008860154604080516060810182526009890180548252600a8a01546020830152600b8a018054999a979960ff97881699509597968516966101009095046001600160a01b031695929391929184019161116a90614c2a565b80601f016020809104026020016040519081016040528092919081815260200182805461119690614c2a565b80156111e35780601f106111b8576101008083540402835291602001916111e3565b820191906000526020600020905b8154815290600101906020018083116111c657829003601f168201915b50505050508152505090508b565b600a8181548110610d4857600080fd5b6001600160a01b0381166000908152601b602090815260409182902080548351818402810184019094528084526060939283018282801561126157602002820191906000526020600020905b81548152602001906001019080831161124d575b50505050509050919050565b33600090815260208190526040812060020154610100900460ff166112a45760405162461bcd60e51b815260040161078c90614bce565b60013360009081526020819052604090206002015460ff1660038111156112cd576112cd61423a565b146112ea5760405162461bcd60e51b815260040161078c90614bfb565b600086815260026020526040902060060154869060ff1661131d5760405162461bcd60e51b815260040161078c90614e55565b600087815260026020526040902060018101546001600160a01b031633146113575760405162461bcd60e51b815260040161078c90614e84565b600881015460ff16156113a15760405162461bcd60e51b8152602060048201526012602482015271149958dbdc99081a5cc8185c98da1a5d995960721b604482015260640161078c565b60008751116113c25760405162461bcd60e51b815260040161078c90614ead565b60008551116114055760405162461bcd60e51b815260206004820152600f60248201526e1499585cdbdb881c995c5d5a5c9959608a1b604482015260640161078c565b83516114235760405162461bcd60e51b815260040161078c90614ed9565b601960008981526020019081526020016000206040518060c0016040528083600201805461145090614c2a565b80601f016020809104026020016040519081016040528092919081815260200182805461147c90614c2a565b80156114c95780601f1061149e576101008083540402835291602001916114c9565b820191906000526020600020905b8154815290600101906020018083116114ac57829003601f168201915b505050505081526020018360040180546114e290614c2a565b80601f016020809104026020016040519081016040528092919081815260200182805461150e90614c2a565b801561155b5780601f106115305761010080835404028352916020019161155b565b820191906000526020600020905b81548152906001019060200180831161153e57829003601f168201915b50505050508152602001836005015481526020014281526020018781526020018360090160405180606001604052908160008201548152602001600182015481526020016002820180546115ae90614c2a565b80601f01602080910402602001604051908101604052809291908181526020018280546115da90614c2a565b80156116275780601f106115fc57610100808354040283529160200191611627565b820191906000526020600020905b81548152906001019060200180831161160a57829003601f168201915b505050919092525050509052815460018101835560009283526020909220815191926008020190819061165a9082614ca9565b506020820151600182019061166f9082614ca9565b506040820151600282015560608201516003820155608082015160048201906116989082614ca9565b5060a082015180516005830190815560208201516006840155604082015160078401906116c59082614ca9565b5050505050868160020190816116db9190614ca9565b50600481016116ea8782614ca9565b508351600982019081556020850151600a8301556040850151859190600b8401906117159082614ca9565b50504260058301555060078101805490600061173083614f26565b91905055506117623360008a60405180604001604052806005815260200164105351539160da1b81525060008a6134c1565b336001600160a01b0316887fa3ac02414c7cf52b5b078d19f38edf7968705dd5cc7c5a4670b6208ab8a15e558360070154886040516117a2929190614f3f565b60405180910390a360070154979650505050505050565b6008602052600090815260409020805481906117d490614c2a565b80601f016020809104026020016040519081016040528092919081815260200182805461180090614c2a565b801561184d5780601f106118225761010080835404028352916020019161184d565b820191906000526020600020905b81548152906001019060200180831161183057829003601f168201915b50505050509080600101805461186290614c2a565b80601f016020809104026020016040519081016040528092919081815260200182805461188e90614c2a565b80156118db5780601f106118b0576101008083540402835291602001916118db565b820191906000526020600020905b8154815290600101906020018083116118be57829003601f168201915b5050505050908060020180546118f090614c2a565b80601f016020809104026020016040519081016040528092919081815260200182805461191c90614c2a565b80156119695780601f1061193e57610100808354040283529160200191611969565b820191906000526020600020905b81548152906001019060200180831161194c57829003601f168201915b5050506003840154600485015460058601546006870154600788018054979860ff909516979396506001600160a01b03909216945092916119a990614c2a565b80601f01602080910402602001604051908101604052809291908181526020018280546119d590614c2a565b8015611a225780601f106119f757610100808354040283529160200191611a22565b820191906000526020600020905b815481529060010190602001808311611a0557829003601f168201915b5050505050905088565b60066020528160005260406000208181548110610dcd57600080fd5b6001600160a01b0381166000908152601c6020908152604091829020805483518184028101840190945280845260609392830182828015611261576020028201919060005260206000209081548152602001906001019080831161124d5750505050509050919050565b600e602052600090815260409020805460018201546002830180546001600160a01b03938416949290931692611ae790614c2a565b80601f0160208091040260200160405190810160405280929190818152602001828054611b1390614c2a565b8015611b605780601f10611b3557610100808354040283529160200191611b60565b820191906000526020600020905b815481529060010190602001808311611b4357829003601f168201915b5050506003840154600485015460058601546006870180549697939692955060ff8083169550610100830416936001600160a01b03620100009093049290921692611baa90614c2a565b80601f0160208091040260200160405190810160405280929190818152602001828054611bd690614c2a565b8015611c235780601f10611bf857610100808354040283529160200191611c23565b820191906000526020600020905b815481529060010190602001808311611c0657829003601f168201915b5050505050905089565b33600090815260208190526040902060020154610100900460ff16611c645760405162461bcd60e51b815260040161078c90614bce565b60013360009081526020819052604090206002015460ff166003811115611c8d57611c8d61423a565b14611caa5760405162461bcd60e51b815260040161078c90614bfb565b600081815260026020526040902060060154819060ff16611cdd5760405162461bcd60e51b815260040161078c90614e55565b600082815260026020526040902060018101546001600160a01b03163314611d175760405162461bcd60e51b815260040161078c90614e84565b600881015460ff16611d645760405162461bcd60e51b8152602060048201526016602482015275149958dbdc99081a5cc81b9bdd08185c98da1a5d995960521b604482015260640161078c565b60088101805460ff191690556040805180820182526007815266524553544f524560c81b60208083019190915282519081019092526000808352611dad923392879183906134c1565b604051339084907f995be5161d58e7eb34e6df503caa6e452b551779c31a93c1cd025f4a11c4c57f90600090a3505050565b611de7613f47565b6000828152601a6020526040812090600682015460ff166003811115611e0f57611e0f61423a565b03611e5c5760405162461bcd60e51b815260206004820152601760248201527f50726f706f73616c20646f6573206e6f74206578697374000000000000000000604482015260640161078c565b60018101546001600160a01b0316331480611e80575080546001600160a01b031633145b611e9c5760405162461bcd60e51b815260040161078c90614f58565b604080516101808101825282546001600160a01b0390811682526001840154166020820152600283018054919284929084019190611ed990614c2a565b80601f0160208091040260200160405190810160405280929190818152602001828054611f0590614c2a565b8015611f525780601f10611f2757610100808354040283529160200191611f52565b820191906000526020600020905b815481529060010190602001808311611f3557829003601f168201915b50505050508152602001600382018054611f6b90614c2a565b80601f0160208091040260200160405190810160405280929190818152602001828054611f9790614c2a565b8015611fe45780601f10611fb957610100808354040283529160200191611fe4565b820191906000526020600020905b815481529060010190602001808311611fc757829003601f168201915b50505050508152602001600482018054611ffd90614c2a565b80601f016020809104026020016040519081016040528092919081815260200182805461202990614c2a565b80156120765780601f1061204b57610100808354040283529160200191612076565b820191906000526020600020905b81548152906001019060200180831161205957829003601f168201915b505050918352505060058201546020820152600682015460409091019060ff1660038111156120a7576120a761423a565b60038111156120b8576120b861423a565b815260200160078201548152602001600882015481526020016009820180546120e090614c2a565b80601f016020809104026020016040519081016040528092919081815260200182805461210c90614c2a565b80156121595780601f1061212e57610100808354040283529160200191612159565b820191906000526020600020905b81548152906001019060200180831161213c57829003601f168201915b50505050508152602001600a8201604051806060016040529081600082015481526020016001820154815260200160028201805461219690614c2a565b80601f01602080910402602001604051908101604052809291908181526020018280546121c290614c2a565b801561220f5780601f106121e45761010080835404028352916020019161220f565b820191906000526020600020905b8154815290600101906020018083116121f257829003601f168201915b5050505050815250508152602001600d8201805461222c90614c2a565b80601f016020809104026020016040519081016040528092919081815260200182805461225890614c2a565b80156122a55780601f1061227a576101008083540402835291602001916122a5565b820191906000526020600020905b81548152906001019060200180831161228857829003601f168201915b505050505081525050915050919050565b60408051606080820183526000808352602083015291810191909152600082815260026020526040902060060154829060ff166123055760405162461bcd60e51b815260040161078c90614e55565b61230f3384613701565b61232b5760405162461bcd60e51b815260040161078c90614f58565b60026000848152602001908152602001600020600901604051806060016040529081600082015481526020016001820154815260200160028201805461222c90614c2a565b50919050565b600081815260026020526040902060060154606090829060ff166123ac5760405162461bcd60e51b815260040161078c90614e55565b6123b63384613701565b6123d25760405162461bcd60e51b815260040161078c90614f58565b600083815260196020908152604080832080548251818502810185019093528083529193909284015b828210156126b157838290600052602060002090600802016040518060c001604052908160008201805461242e90614c2a565b80601f016020809104026020016040519081016040528092919081815260200182805461245a90614c2a565b80156124a75780601f1061247c576101008083540402835291602001916124a7565b820191906000526020600020905b81548152906001019060200180831161248a57829003601f168201915b505050505081526020016001820180546124c090614c2a565b80601f01602080910402602001604051908101604052809291908181526020018280546124ec90614c2a565b80156125395780601f1061250e57610100808354040283529160200191612539565b820191906000526020600020905b81548152906001019060200180831161251c57829003601f168201915b50505050508152602001600282015481526020016003820154815260200160048201805461256690614c2a565b80601f016020809104026020016040519081016040528092919081815260200182805461259290614c2a565b80156125df5780601f106125b4576101008083540402835291602001916125df565b820191906000526020600020905b8154815290600101906020018083116125c257829003601f168201915b5050505050815260200160058201604051806060016040529081600082015481526020016001820154815260200160028201805461261c90614c2a565b80601f016020809104026020016040519081016040528092919081815260200182805461264890614c2a565b80156126955780601f1061266a57610100808354040283529160200191612695565b820191906000526020600020905b81548152906001019060200180831161267857829003601f168201915b50505050508152505081525050815260200190600101906123fb565b50505050915050919050565b600160205281600052604060002081815481106126d957600080fd5b90600052602060002001600091509150505481565b600060208190529081526040902080546001820180546001600160a01b03909216929161271a90614c2a565b80601f016020809104026020016040519081016040528092919081815260200182805461274690614c2a565b80156127935780601f1061276857610100808354040283529160200191612793565b820191906000526020600020905b81548152906001019060200180831161277657829003601f168201915b505050506002830154600390930154919260ff8082169361010090920416915085565b33600090815260208190526040902060020154610100900460ff166127ed5760405162461bcd60e51b815260040161078c90614bce565b60013360009081526020819052604090206002015460ff1660038111156128165761281661423a565b146128335760405162461bcd60e51b815260040161078c90614bfb565b600082815260026020526040902060060154829060ff166128665760405162461bcd60e51b815260040161078c90614e55565b600083815260026020526040902060018101546001600160a01b031633146128a05760405162461bcd60e51b815260040161078c90614e84565b600881015460ff16156128e85760405162461bcd60e51b815260206004820152601060248201526f105b1c9958591e48185c98da1a5d995960821b604482015260640161078c565b60088101805460ff191660011790556040805180820190915260078152664152434849564560c81b6020820152612927903390600090879082886134c1565b336001600160a01b0316847f658dc7bd89f8d9d6724e94fc1e5d3908c8470e16b8a181b32f36aa7f3a23aff0856040516129619190614d68565b60405180910390a350505050565b600061297a336137ce565b6129c65760405162461bcd60e51b815260206004820152601d60248201527f4f6e6c7920766572696669656420646f63746f727320616c6c6f776564000000604482015260640161078c565b60008651116129e75760405162461bcd60e51b815260040161078c90614ead565b8251612a055760405162461bcd60e51b815260040161078c90614ed9565b6001600160a01b03871660009081526003602090815260408083203384529091529020612a3190613844565b80612a7057506001600160a01b0387166000908152600560209081526040808320338452825280832088518984012084529091529020612a7090613844565b612abc5760405162461bcd60e51b815260206004820152601c60248201527f4e6f20616374697665206772616e742066726f6d2070617469656e7400000000604482015260640161078c565b601d8054906000612acc83614f26565b909155505060408051610180810182523381526001600160a01b038916602082015290810187905260608101869052608081018590524260a082015260c08101600181526000602080830182905260408084018390528051808301825283815260608501526080840188905260a0909301869052601d548252601a815290829020835181546001600160a01b03199081166001600160a01b0392831617835592850151600183018054909416911617909155908201516002820190612b919082614ca9565b5060608201516003820190612ba69082614ca9565b5060808201516004820190612bbb9082614ca9565b5060a0820151600582015560c082015160068201805460ff19166001836003811115612be957612be961423a565b021790555060e0820151600782015561010082015160088201556101208201516009820190612c189082614ca9565b506101408201518051600a83019081556020820151600b8401556040820151600c840190612c469082614ca9565b505050610160820151600d820190612c5e9082614ca9565b5050506001600160a01b0387166000908152601b60209081526040808320601d80548254600181810185559387528587200155338552601c8452828520905481548084018355918652848620909101558151808301909252600e82526d141493d413d4d157d49150d3d49160921b92820192909252612ce3928a92909182918a6134c1565b336001600160a01b0316876001600160a01b0316601d547fdc08edcc0ff51229f2e687b2a787847a0a9a12d9762612665cf82f1adcf5e3de88604051612d299190614d68565b60405180910390a450601d549695505050505050565b33600090815260208190526040902060020154610100900460ff16612d765760405162461bcd60e51b815260040161078c90614bce565b600082815260026020526040902060060154829060ff16612da95760405162461bcd60e51b815260040161078c90614e55565b612db33384613701565b612dcf5760405162461bcd60e51b815260040161078c90614f58565b6000838152600260209081526040808320600101548151808301909252600d82526c08c92988abe9a92a69a82a8869609b1b928201929092526001600160a01b0390911691612e2d918391908790612e278483613888565b886134c1565b336001600160a01b0316847f9f2ac3e840006f95ed228a765d3cf4fff44abf468b3c77844f7eb8ea4ffaa534856040516129619190614d68565b60188181548110612e7757600080fd5b6000918252602090912060079091020180546001820154600283015460038401546004850180546001600160a01b039586169750939094169491939092610e1690614c2a565b60008181526002602052604081206006015481908190849060ff16612ef45760405162461bcd60e51b815260040161078c90614e55565b5050506000918252506002602052604090206007810154600890910154909160ff82169161010090046001600160a01b031690565b60108181548110612f3957600080fd5b600091825260209091200154905081565b6004602081815260009485526040808620825293855283852090529083529120805460018201546002830154600384015494840180546001600160a01b03909416959294919360ff90931692610cb590614c2a565b33600090815260208190526040902060020154606090610100900460ff16612fd95760405162461bcd60e51b815260040161078c90614bce565b60013360009081526020819052604090206002015460ff1660038111156130025761300261423a565b1461301f5760405162461bcd60e51b815260040161078c90614bfb565b85518015801590613031575060148111155b6130725760405162461bcd60e51b8152602060048201526012602482015271496e76616c69642062617463682073697a6560701b604482015260640161078c565b8086511480156130825750808551145b801561308e5750808451145b801561309a5750808351145b6130d85760405162461bcd60e51b815260206004820152600f60248201526e098cadccee8d040dad2e6dac2e8c6d608b1b604482015260640161078c565b806001600160401b038111156130f0576130f0613ff0565b604051908082528060200260200182016040528015613119578160200160208202803683370190505b50915060005b818110156132f357600088828151811061313b5761313b614f85565b602002602001015151116131615760405162461bcd60e51b815260040161078c90614ead565b6131d333338a848151811061317857613178614f85565b60200260200101518a858151811061319257613192614f85565b60200260200101518a86815181106131ac576131ac614f85565b60200260200101518a87815181106131c6576131c6614f85565b60200260200101516134d8565b8382815181106131e5576131e5614f85565b602002602001018181525050600084828151811061320557613205614f85565b602002602001015151111561328b5783818151811061322657613226614f85565b60200260200101516025600085848151811061324457613244614f85565b602002602001015181526020019081526020016000206000336001600160a01b03166001600160a01b0316815260200190815260200160002090816132899190614ca9565b505b6132e13360008584815181106132a3576132a3614f85565b60200260200101516040518060400160405280600681526020016543524541544560d01b8152506000604051806020016040528060008152506134c1565b806132eb81614f26565b91505061311f565b505095945050505050565b6000828152601a6020526040812060018101546001600160a01b0316331461335c5760405162461bcd60e51b8152602060048201526011602482015270139bdd081e5bdd5c881c1c9bdc1bdcd85b607a1b604482015260640161078c565b6001600682015460ff1660038111156133775761337761423a565b146133c45760405162461bcd60e51b815260206004820152601860248201527f50726f706f73616c20616c726561647920646563696465640000000000000000604482015260640161078c565b60068101805484919060ff191660018360038111156133e5576133e561423a565b0217905550426008820155336000908152601b60205260408120905b81548110156134b5578582828154811061341d5761341d614f85565b9060005260206000200154036134a3578154829061343d90600190614f9b565b8154811061344d5761344d614f85565b906000526020600020015482828154811061346a5761346a614f85565b90600052602060002001819055508180548061348857613488614fae565b600190038181906000526020600020016000905590556134b5565b806134ad81614f26565b915050613401565b50909150505b92915050565b6134d0868686863387876138f7565b505050505050565b80516000906134f95760405162461bcd60e51b815260040161078c90614ed9565b600b805490600061350983614f26565b90915550506040805161016081018252600b548082526001600160a01b038a811660208085019182528486018b8152606086018b9052608086018a90524260a0870152600160c0870181905260e08701819052600061010088018190528e861661012089015261014088018b90529586526002928390529690942085518155915195820180546001600160a01b0319169690931695909517909155905191929091908201906135b89082614ca9565b50606082015160038201906135cd9082614ca9565b50608082015160048201906135e29082614ca9565b5060a0820151600582015560c082015160068201805460ff191691151591909117905560e08201516007820155610100808301516008830180546101208601516001600160a81b0319909116921515610100600160a81b031916929092176001600160a01b039092169092021790556101408201518051600983019081556020820151600a8401556040820151600b84019061367e9082614ca9565b5050506001600160a01b0389166000818152600160208181526040808420600b80548254958601835591865292909420909201929092559054905191935091507f99a9454438287bd513ed7da46fc0ff0cabc6b573eeafb583a59e01bc2e52ef90906136eb908890614d68565b60405180910390a350600b549695505050505050565b6000818152600260205260408120600101546001600160a01b0390811690841681148061375557506001600160a01b0380821660009081526021602090815260408083209388168352929052205460081615155b156137645760019150506134bb565b60008381526002602052604090206008015460ff16156137885760009150506134bb565b613793818585613d5c565b806137a357506137a38185613d74565b806137c65750600c54600160a01b900460ff1680156137c657506137c6846137ce565b949350505050565b600060026001600160a01b03831660009081526020819052604090206002015460ff1660038111156138025761380261423a565b1480156134bb575060026001600160a01b038316600090815260086020526040902060039081015460ff169081111561383d5761383d61423a565b1492915050565b600381015460009060ff1661385b57506000919050565b60008260020154118015613873575042826002015411155b1561388057506000919050565b506001919050565b60006001600160a01b03831633036138a2575060006134bb565b6001600160a01b0383166000908152602160209081526040808320338452909152902054600816156138d6575060046134bb565b6138e1833384613d5c565b156138ee575060016134bb565b50600392915050565b60006040518060e00160405280856001600160a01b03168152602001896001600160a01b031681526020018781526020014281526020018681526020018460048111156139465761394661423a565b815260209081018490526001600160a01b03808716600090815260068352604080822080546001818101835591845292859020865160079094020180549385166001600160a01b0319948516178155948601519085018054919094169216919091179091558201516002820155606082015160038201556080820151919250829160048201906139d69082614ca9565b5060a082015160058201805460ff191660018360048111156139fa576139fa61423a565b021790555060c08201516006820190613a139082614ca9565b5050506001600160a01b03871615801590613a405750836001600160a01b0316876001600160a01b031614155b15613b0d576001600160a01b03808816600090815260066020908152604080832080546001818101835591855293839020865160079095020180549486166001600160a01b03199586161781559286015190830180549190951693169290921790925582015160028201556060820151600382015560808201518291906004820190613acc9082614ca9565b5060a082015160058201805460ff19166001836004811115613af057613af061423a565b021790555060c08201516006820190613b099082614ca9565b5050505b6001600160a01b03881615613be7576001600160a01b0380891660009081526007602081815260408084208054600181810183559186529483902087519590940290930180549486166001600160a01b031995861617815591860151928201805493909516929093169190911790925582015160028201556060820151600382015560808201518291906004820190613ba69082614ca9565b5060a082015160058201805460ff19166001836004811115613bca57613bca61423a565b021790555060c08201516006820190613be39082614ca9565b5050505b6002836004811115613bfb57613bfb61423a565b03613d525760188054600181018255600091909152815160079091027fb13d2d76d1f4b7be834882e410b3e3a8afaf69f83600ae24db354391d2378d2e810180546001600160a01b039384166001600160a01b031991821617825560208501517fb13d2d76d1f4b7be834882e410b3e3a8afaf69f83600ae24db354391d2378d2f840180549190951691161790925560408301517fb13d2d76d1f4b7be834882e410b3e3a8afaf69f83600ae24db354391d2378d3082015560608301517fb13d2d76d1f4b7be834882e410b3e3a8afaf69f83600ae24db354391d2378d3182015560808301518392917fb13d2d76d1f4b7be834882e410b3e3a8afaf69f83600ae24db354391d2378d320190613d119082614ca9565b5060a082015160058201805460ff19166001836004811115613d3557613d3561423a565b021790555060c08201516006820190613d4e9082614ca9565b5050505b5050505050505050565b600080613d6a858585613dc1565b5095945050505050565b6001600160a01b038083166000908152600f6020908152604080832093851683529290529081205480158015906137c657506000908152600e602052604090206004015442109392505050565b600080613dcf858585613e53565b6001600160a01b03861660009081526033602052604081209294509092505b815481108015613dfc575083155b15613e4957613e3287838381548110613e1757613e17614f85565b6000918252602090912001546001600160a01b031687613e53565b909450925080613e4181614f26565b915050613dee565b5050935093915050565b6001600160a01b0380841660009081526003602090815260408083209386168352929052908120613e8381613844565b15613e915760019150613f3f565b506001600160a01b0380851660009081526004602090815260408083209387168352928152828220858352905220613ec881613844565b15613ed65760019150613f3f565b6001600160a01b0380861660009081526005602090815260408083209388168352928152828220868352600290915282822092519092613f1b91600390910190614fc4565b604051809103902081526020019081526020016000209050613f3c81613844565b91505b935093915050565b60405180610180016040528060006001600160a01b0316815260200160006001600160a01b031681526020016060815260200160608152602001606081526020016000815260200160006003811115613fa257613fa261423a565b8152602001600081526020016000815260200160608152602001613fe360405180606001604052806000801916815260200160008152602001606081525090565b8152602001606081525090565b634e487b7160e01b600052604160045260246000fd5b604051601f8201601f191681016001600160401b038111828210171561402e5761402e613ff0565b604052919050565b600082601f83011261404757600080fd5b81356001600160401b0381111561406057614060613ff0565b614073601f8201601f1916602001614006565b81815284602083860101111561408857600080fd5b816020850160208301376000918101602001919091529392505050565b600080604083850312156140b857600080fd5b8235915060208301356001600160401b038111156140d557600080fd5b6140e185828601614036565b9150509250929050565b6000602082840312156140fd57600080fd5b5035919050565b80356001600160a01b0381168114610c5b57600080fd5b60008060006060848603121561413057600080fd5b61413984614104565b925061414760208501614104565b9150604084013590509250925092565b6000815180845260005b8181101561417d57602081850181015186830182015201614161565b506000602082860101526020601f19601f83011685010191505092915050565b60018060a01b0386168152846020820152836040820152821515606082015260a0608082015260006141d260a0830184614157565b979650505050505050565b600080604083850312156141f057600080fd5b6141f983614104565b915061420760208401614104565b90509250929050565b6000806040838503121561422357600080fd5b61422c83614104565b946020939093013593505050565b634e487b7160e01b600052602160045260246000fd5b6001600160a01b03888116825287166020820152604081018690526060810185905260e06080820181905260009061428a90830186614157565b6005851061429a5761429a61423a565b8460a084015282810360c08401526142b28185614157565b9a9950505050505050505050565b6000602082840312156142d257600080fd5b81356001600160e01b0319811681146142ea57600080fd5b9392505050565b805182526020810151602083015260006040820151606060408501526137c66060850182614157565b8b81526001600160a01b038b166020820152610160604082018190526000906143458382018d614157565b90508281036060840152614359818c614157565b9050828103608084015261436d818b614157565b90508860a084015287151560c08401528660e08401528515156101008401526143a26101208401866001600160a01b03169052565b8281036101408401526143b581856142f1565b9e9d5050505050505050505050505050565b6000602082840312156143d957600080fd5b6142ea82614104565b6020808252825182820181905260009190848201906040850190845b8181101561441a578351835292840192918401916001016143fe565b50909695505050505050565b60006060828403121561443857600080fd5b604051606081016001600160401b03828210818311171561445b5761445b613ff0565b816040528293508435835260208501356020840152604085013591508082111561448457600080fd5b5061449185828601614036565b6040830152505092915050565b600080600080600060a086880312156144b657600080fd5b8535945060208601356001600160401b03808211156144d457600080fd5b6144e089838a01614036565b955060408801359150808211156144f657600080fd5b61450289838a01614036565b9450606088013591508082111561451857600080fd5b61452489838a01614036565b9350608088013591508082111561453a57600080fd5b5061454788828901614426565b9150509295509295909350565b600481106145645761456461423a565b50565b600061010080835261457b8184018c614157565b9050828103602084015261458f818b614157565b905082810360408401526145a3818a614157565b90506145ae88614554565b60608301889052608083018790526001600160a01b03861660a084015260c0830185905282810360e08401526145e48185614157565b9b9a5050505050505050505050565b6001600160a01b038a811682528981166020830152610120604083018190526000916146218483018c614157565b915089606085015288608085015287151560a085015286151560c085015280861660e08501525082810361010084015261465b8185614157565b9c9b505050505050505050505050565b61467481614554565b9052565b602081526146926020820183516001600160a01b03169052565b600060208301516146ae60408401826001600160a01b03169052565b5060408301516101808060608501526146cb6101a0850183614157565b91506060850151601f19808685030160808701526146e98483614157565b935060808701519150808685030160a08701526147068483614157565b935060a087015160c087015260c0870151915061472660e087018361466b565b60e087015191506101008281880152808801519250506101208281880152808801519250506101408187860301818801526147618584614157565b94508088015192505061016081878603018188015261478085846142f1565b90880151878203909201848801529350905061479c8382614157565b9695505050505050565b6020815260006142ea60208301846142f1565b60006020808301818452808551808352604092508286019150828160051b87010184880160005b8381101561487d57603f19898403018552815160c0815181865261480682870182614157565b915050888201518582038a87015261481e8282614157565b915050878201518886015260608083015181870152506080808301518683038288015261484b8382614157565b9250505060a0808301519250858203818701525061486981836142f1565b9689019694505050908601906001016147e0565b509098975050505050505050565b6001600160a01b038616815260a0602082018190526000906148af90830187614157565b90506148ba85614554565b6040820194909452911515606083015260809091015292915050565b60008060008060008060c087890312156148ef57600080fd5b6148f887614104565b955060208701356001600160401b038082111561491457600080fd5b6149208a838b01614036565b9650604089013591508082111561493657600080fd5b6149428a838b01614036565b9550606089013591508082111561495857600080fd5b6149648a838b01614036565b9450608089013591508082111561497a57600080fd5b6149868a838b01614426565b935060a089013591508082111561499c57600080fd5b506149a989828a01614036565b9150509295509295509295565b60006001600160401b038211156149cf576149cf613ff0565b5060051b60200190565b600082601f8301126149ea57600080fd5b813560206149ff6149fa836149b6565b614006565b82815260059290921b84018101918181019086841115614a1e57600080fd5b8286015b84811015614a5d5780356001600160401b03811115614a415760008081fd5b614a4f8986838b0101614036565b845250918301918301614a22565b509695505050505050565b600082601f830112614a7957600080fd5b81356020614a896149fa836149b6565b82815260059290921b84018101918181019086841115614aa857600080fd5b8286015b84811015614a5d5780356001600160401b03811115614acb5760008081fd5b614ad98986838b0101614426565b845250918301918301614aac565b600080600080600060a08688031215614aff57600080fd5b85356001600160401b0380821115614b1657600080fd5b614b2289838a016149d9565b96506020880135915080821115614b3857600080fd5b614b4489838a016149d9565b95506040880135915080821115614b5a57600080fd5b614b6689838a016149d9565b94506060880135915080821115614b7c57600080fd5b614b8889838a01614a68565b93506080880135915080821115614b9e57600080fd5b50614547888289016149d9565b60008060408385031215614bbe57600080fd5b8235915061420760208401614104565b602080825260139082015272155cd95c881b9bdd081c9959da5cdd195c9959606a1b604082015260600190565b60208082526015908201527413db9b1e481c185d1a595b9d1cc8185b1b1bddd959605a1b604082015260600190565b600181811c90821680614c3e57607f821691505b60208210810361237057634e487b7160e01b600052602260045260246000fd5b601f821115614ca457600081815260208120601f850160051c81016020861015614c855750805b601f850160051c820191505b818110156134d057828155600101614c91565b505050565b81516001600160401b03811115614cc257614cc2613ff0565b614cd681614cd08454614c2a565b84614c5e565b602080601f831160018114614d0b5760008415614cf35750858301515b600019600386901b1c1916600185901b1785556134d0565b600085815260208120601f198616915b82811015614d3a57888601518255948401946001909101908401614d1b565b5085821015614d585787850151600019600388901b60f8161c191681555b5050505050600190811b01905550565b6020815260006142ea6020830184614157565b818103614d86575050565b614d908254614c2a565b6001600160401b03811115614da757614da7613ff0565b614db581614cd08454614c2a565b6000601f821160018114614de95760008315614dd15750848201545b600019600385901b1c1916600184901b178455614e4e565b600085815260209020601f19841690600086815260209020845b83811015614e235782860154825560019586019590910190602001614e03565b5085831015614e415781850154600019600388901b60f8161c191681555b50505060018360011b0184555b5050505050565b602080825260159082015274149958dbdc9908191bd95cc81b9bdd08195e1a5cdd605a1b604082015260600190565b6020808252600f908201526e139bdd081e5bdd5c881c9958dbdc99608a1b604082015260600190565b60208082526012908201527112541194c81a185cda081c995c5d5a5c995960721b604082015260600190565b60208082526017908201527f436f6e74656e7420646967657374207265717569726564000000000000000000604082015260600190565b634e487b7160e01b600052601160045260246000fd5b600060018201614f3857614f38614f10565b5060010190565b8281526040602082015260006137c66040830184614157565b602080825260139082015272556e617574686f72697a65642061636365737360681b604082015260600190565b634e487b7160e01b600052603260045260246000fd5b818103818111156134bb576134bb614f10565b634e487b7160e01b600052603160045260246000fd5b6000808354614fd281614c2a565b60018281168015614fea5760018114614fff5761502e565b60ff198416875282151583028701945061502e565b8760005260208060002060005b858110156150255781548a82015290840190820161500c565b50505082870194505b5092969550505050505056fea2646970667358221220744f9545091eb138294467391f869b26167265598454e172ffe30c989488824a64736f6c63430008130033";
+
+type MedChainRecordsConstructorParams =
+  | [signer?: Signer]
+  | ConstructorParameters<typeof ContractFactory>;
+
+const isSuperArgs = (
+  xs: MedChainRecordsConstructorParams
+): xs is ConstructorParameters<typeof ContractFactory> => xs.length > 1;
+
+export class MedChainRecords__factory extends ContractFactory {
+  constructor(...args: MedChainRecordsConstructorParams) {
+    if (isSuperArgs(args)) {
+      super(...args);
+    } else {
+      super(_abi, _bytecode, args[0]);
+    }
+  }
+
+  override getDeployTransaction(
+    overrides?: NonPayableOverrides & { from?: string }
+  ): Promise<ContractDeployTransaction> {
+    return super.getDeployTransaction(overrides || {});
+  }
+  override deploy(overrides?: NonPayableOverrides & { from?: string }) {
+    return super.deploy(overrides || {}) as Promise<
+      MedChainRecords & {
+        deploymentTransaction(): ContractTransactionResponse;
+      }
+    >;
+  }
+  override connect(runner: ContractRunner | null): MedChainRecords__factory {
+    return super.connect(runner) as MedChainRecords__factory;
+  }
+
+  static readonly bytecode = _bytecode;
+  static readonly abi = _abi;
+  static createInterface(): MedChainRecordsInterface {
+    return new Interface(_abi) as MedChainRecordsInterface;
+  }
+  static connect(
+    address: string,
+    runner?: ContractRunner | null
+  ): MedChainRecords {
+    return new Contract(address, _abi, runner) as unknown as MedChainRecords;
+  }
+}
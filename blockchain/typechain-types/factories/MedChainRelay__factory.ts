@@ -0,0 +1,2330 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import {
+  Contract,
+  ContractFactory,
+  ContractTransactionResponse,
+  Interface,
+} from "ethers";
+import type { Signer, ContractDeployTransaction, ContractRunner } from "ethers";
+import type { NonPayableOverrides } from "../common";
+import type { MedChainRelay, MedChainRelayInterface } from "../MedChainRelay";
+
+const _abi = [
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "grantIndex",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+    ],
+    name: "AccessExtended",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+    ],
+    name: "AccessGranted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "requestId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+    ],
+    name: "AccessRequestApproved",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "requestId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    name: "AccessRequestDenied",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "requestId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "duration",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "purpose",
+        type: "string",
+      },
+    ],
+    name: "AccessRequested",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+    ],
+    name: "AccessRevoked",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "bytes32",
+        name: "actionId",
+        type: "bytes32",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "action",
+        type: "string",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "target",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "value",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "approver",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "approvals",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "required",
+        type: "uint256",
+      },
+    ],
+    name: "AdminActionApproved",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "bytes32",
+        name: "actionId",
+        type: "bytes32",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "action",
+        type: "string",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "target",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "value",
+        type: "uint256",
+      },
+    ],
+    name: "AdminActionExecuted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "account",
+        type: "address",
+      },
+    ],
+    name: "AdminAdded",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "quorum",
+        type: "uint256",
+      },
+    ],
+    name: "AdminQuorumChanged",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "account",
+        type: "address",
+      },
+    ],
+    name: "AdminRemoved",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "currentAdmin",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "pendingAdmin",
+        type: "address",
+      },
+    ],
+    name: "AdminTransferStarted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "previousAdmin",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "newAdmin",
+        type: "address",
+      },
+    ],
+    name: "AdminTransferred",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "recordType",
+        type: "string",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+    ],
+    name: "CategoryAccessGranted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "recordType",
+        type: "string",
+      },
+    ],
+    name: "CategoryAccessRevoked",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "licenseNumber",
+        type: "string",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "issuingAuthority",
+        type: "string",
+      },
+    ],
+    name: "DoctorApplicationSubmitted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "verifier",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    name: "DoctorRejected",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "verifier",
+        type: "address",
+      },
+    ],
+    name: "DoctorVerified",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "accessId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "justification",
+        type: "string",
+      },
+    ],
+    name: "EmergencyAccessInvoked",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "accessId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "reviewer",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "bool",
+        name: "justified",
+        type: "bool",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "notes",
+        type: "string",
+      },
+    ],
+    name: "EmergencyAccessReviewed",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: false,
+        internalType: "bool",
+        name: "status",
+        type: "bool",
+      },
+    ],
+    name: "EmergencyModeToggled",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "user",
+        type: "address",
+      },
+    ],
+    name: "EncryptionKeySet",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "extension",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "bytes4[]",
+        name: "selectors",
+        type: "bytes4[]",
+      },
+    ],
+    name: "ExtensionRouted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "reporter",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "details",
+        type: "string",
+      },
+    ],
+    name: "FileMismatchReported",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "guardian",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint8",
+        name: "powers",
+        type: "uint8",
+      },
+    ],
+    name: "GuardianAppointed",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "guardian",
+        type: "address",
+      },
+    ],
+    name: "GuardianRemoved",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "organization",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "name",
+        type: "string",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "owner",
+        type: "address",
+      },
+    ],
+    name: "OrganizationCreated",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "organization",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+    ],
+    name: "OrganizationMemberAdded",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "organization",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+    ],
+    name: "OrganizationMemberRemoved",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "organization",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "owner",
+        type: "address",
+      },
+    ],
+    name: "OrganizationOwnerChanged",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+    ],
+    name: "RecordAccessGranted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+    ],
+    name: "RecordAccessRevoked",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "accessor",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+    ],
+    name: "RecordAccessed",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "version",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    name: "RecordAmended",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    name: "RecordArchived",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "recordType",
+        type: "string",
+      },
+    ],
+    name: "RecordCreated",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "reader",
+        type: "address",
+      },
+    ],
+    name: "RecordKeyShared",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "proposalId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+    ],
+    name: "RecordProposalAccepted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "proposalId",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    name: "RecordProposalRejected",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "proposalId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "recordType",
+        type: "string",
+      },
+    ],
+    name: "RecordProposed",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+    ],
+    name: "RecordRestored",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "relayer",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "bool",
+        name: "enabled",
+        type: "bool",
+      },
+    ],
+    name: "RelayerUpdated",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "signer",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "relayer",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "nonce",
+        type: "uint256",
+      },
+    ],
+    name: "RequestRelayed",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "implementation",
+        type: "address",
+      },
+    ],
+    name: "Upgraded",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "userAddress",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "name",
+        type: "string",
+      },
+      {
+        indexed: false,
+        internalType: "enum MedChainBase.UserRole",
+        name: "role",
+        type: "uint8",
+      },
+    ],
+    name: "UserRegistered",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "verifier",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "bool",
+        name: "enabled",
+        type: "bool",
+      },
+    ],
+    name: "VerifierUpdated",
+    type: "event",
+  },
+  {
+    inputs: [],
+    name: "EMERGENCY_ACCESS_DURATION",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "GUARDIAN_CREATE_RECORDS",
+    outputs: [
+      {
+        internalType: "uint8",
+        name: "",
+        type: "uint8",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "GUARDIAN_MANAGE_ACCESS",
+    outputs: [
+      {
+        internalType: "uint8",
+        name: "",
+        type: "uint8",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "GUARDIAN_VIEW_AUDIT",
+    outputs: [
+      {
+        internalType: "uint8",
+        name: "",
+        type: "uint8",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "GUARDIAN_VIEW_RECORDS",
+    outputs: [
+      {
+        internalType: "uint8",
+        name: "",
+        type: "uint8",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "accessRequestCounter",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "admin",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "",
+        type: "bytes32",
+      },
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "adminActionApprovals",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "",
+        type: "bytes32",
+      },
+    ],
+    name: "adminActionNonces",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "adminList",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "adminQuorum",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "admins",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "auditTrails",
+    outputs: [
+      {
+        internalType: "address",
+        name: "accessor",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "timestamp",
+        type: "uint256",
+      },
+      {
+        internalType: "string",
+        name: "action",
+        type: "string",
+      },
+      {
+        internalType: "enum MedChainBase.ActorType",
+        name: "actorType",
+        type: "uint8",
+      },
+      {
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "bytes32",
+        name: "",
+        type: "bytes32",
+      },
+    ],
+    name: "categoryPermissions",
+    outputs: [
+      {
+        internalType: "address",
+        name: "doctorAddress",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "grantedAt",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+      {
+        internalType: "bool",
+        name: "isActive",
+        type: "bool",
+      },
+      {
+        internalType: "string",
+        name: "purpose",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "_patient",
+        type: "address",
+      },
+      {
+        internalType: "string",
+        name: "_ipfsHash",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "_recordType",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "_description",
+        type: "string",
+      },
+      {
+        components: [
+          {
+            internalType: "bytes32",
+            name: "digest",
+            type: "bytes32",
+          },
+          {
+            internalType: "uint256",
+            name: "size",
+            type: "uint256",
+          },
+          {
+            internalType: "string",
+            name: "mimeType",
+            type: "string",
+          },
+        ],
+        internalType: "struct MedChainBase.RecordFile",
+        name: "_file",
+        type: "tuple",
+      },
+      {
+        internalType: "bytes",
+        name: "_wrappedKey",
+        type: "bytes",
+      },
+      {
+        internalType: "uint256",
+        name: "_deadline",
+        type: "uint256",
+      },
+      {
+        internalType: "bytes",
+        name: "_signature",
+        type: "bytes",
+      },
+    ],
+    name: "createRecordBySig",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "doctorApplicants",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "doctorCredentials",
+    outputs: [
+      {
+        internalType: "string",
+        name: "licenseNumber",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "issuingAuthority",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "specialty",
+        type: "string",
+      },
+      {
+        internalType: "enum MedChainBase.VerificationStatus",
+        name: "status",
+        type: "uint8",
+      },
+      {
+        internalType: "uint256",
+        name: "submittedAt",
+        type: "uint256",
+      },
+      {
+        internalType: "address",
+        name: "reviewedBy",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "reviewedAt",
+        type: "uint256",
+      },
+      {
+        internalType: "string",
+        name: "rejectionReason",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "emergencyAccessCounter",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "emergencyAccesses",
+    outputs: [
+      {
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        internalType: "string",
+        name: "justification",
+        type: "string",
+      },
+      {
+        internalType: "uint256",
+        name: "invokedAt",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+      {
+        internalType: "bool",
+        name: "reviewed",
+        type: "bool",
+      },
+      {
+        internalType: "bool",
+        name: "justified",
+        type: "bool",
+      },
+      {
+        internalType: "address",
+        name: "reviewedBy",
+        type: "address",
+      },
+      {
+        internalType: "string",
+        name: "reviewNotes",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "emergencyMode",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes4",
+        name: "",
+        type: "bytes4",
+      },
+    ],
+    name: "extensions",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "_user",
+        type: "address",
+      },
+    ],
+    name: "getRelayNonce",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "_patient",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "_doctor",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "_expiryDuration",
+        type: "uint256",
+      },
+      {
+        internalType: "string",
+        name: "_purpose",
+        type: "string",
+      },
+      {
+        internalType: "uint256",
+        name: "_deadline",
+        type: "uint256",
+      },
+      {
+        internalType: "bytes",
+        name: "_signature",
+        type: "bytes",
+      },
+    ],
+    name: "grantAccessBySig",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "_relayer",
+        type: "address",
+      },
+    ],
+    name: "isRelayer",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "latestEmergencyAccess",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "patientAuditTrails",
+    outputs: [
+      {
+        internalType: "address",
+        name: "accessor",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "timestamp",
+        type: "uint256",
+      },
+      {
+        internalType: "string",
+        name: "action",
+        type: "string",
+      },
+      {
+        internalType: "enum MedChainBase.ActorType",
+        name: "actorType",
+        type: "uint8",
+      },
+      {
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "patientRecords",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "pendingAdmin",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "pendingEmergencyReviews",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "permissions",
+    outputs: [
+      {
+        internalType: "address",
+        name: "doctorAddress",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "grantedAt",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+      {
+        internalType: "bool",
+        name: "isActive",
+        type: "bool",
+      },
+      {
+        internalType: "string",
+        name: "purpose",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "recordCounter",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "recordPermissions",
+    outputs: [
+      {
+        internalType: "address",
+        name: "doctorAddress",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "grantedAt",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+      {
+        internalType: "bool",
+        name: "isActive",
+        type: "bool",
+      },
+      {
+        internalType: "string",
+        name: "purpose",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "recordProposalCounter",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "records",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        internalType: "address",
+        name: "patientAddress",
+        type: "address",
+      },
+      {
+        internalType: "string",
+        name: "ipfsHash",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "recordType",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "description",
+        type: "string",
+      },
+      {
+        internalType: "uint256",
+        name: "timestamp",
+        type: "uint256",
+      },
+      {
+        internalType: "bool",
+        name: "exists",
+        type: "bool",
+      },
+      {
+        internalType: "uint256",
+        name: "version",
+        type: "uint256",
+      },
+      {
+        internalType: "bool",
+        name: "archived",
+        type: "bool",
+      },
+      {
+        internalType: "address",
+        name: "author",
+        type: "address",
+      },
+      {
+        components: [
+          {
+            internalType: "bytes32",
+            name: "digest",
+            type: "bytes32",
+          },
+          {
+            internalType: "uint256",
+            name: "size",
+            type: "uint256",
+          },
+          {
+            internalType: "string",
+            name: "mimeType",
+            type: "string",
+          },
+        ],
+        internalType: "struct MedChainBase.RecordFile",
+        name: "file",
+        type: "tuple",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "_user",
+        type: "address",
+      },
+      {
+        internalType: "string",
+        name: "_name",
+        type: "string",
+      },
+      {
+        internalType: "enum MedChainBase.UserRole",
+        name: "_role",
+        type: "uint8",
+      },
+      {
+        internalType: "uint256",
+        name: "_deadline",
+        type: "uint256",
+      },
+      {
+        internalType: "bytes",
+        name: "_signature",
+        type: "bytes",
+      },
+    ],
+    name: "registerUserBySig",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "relayDomainSeparator",
+    outputs: [
+      {
+        internalType: "bytes32",
+        name: "",
+        type: "bytes32",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "_user",
+        type: "address",
+      },
+      {
+        internalType: "bytes",
+        name: "_publicKey",
+        type: "bytes",
+      },
+      {
+        internalType: "uint256",
+        name: "_deadline",
+        type: "uint256",
+      },
+      {
+        internalType: "bytes",
+        name: "_signature",
+        type: "bytes",
+      },
+    ],
+    name: "setEncryptionKeyBySig",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "_relayer",
+        type: "address",
+      },
+      {
+        internalType: "bool",
+        name: "_enabled",
+        type: "bool",
+      },
+    ],
+    name: "setRelayer",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "_patient",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "_reader",
+        type: "address",
+      },
+      {
+        internalType: "uint256[]",
+        name: "_recordIds",
+        type: "uint256[]",
+      },
+      {
+        internalType: "bytes[]",
+        name: "_wrappedKeys",
+        type: "bytes[]",
+      },
+      {
+        internalType: "uint256",
+        name: "_deadline",
+        type: "uint256",
+      },
+      {
+        internalType: "bytes",
+        name: "_signature",
+        type: "bytes",
+      },
+    ],
+    name: "shareRecordKeysBySig",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "systemAuditTrail",
+    outputs: [
+      {
+        internalType: "address",
+        name: "accessor",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "timestamp",
+        type: "uint256",
+      },
+      {
+        internalType: "string",
+        name: "action",
+        type: "string",
+      },
+      {
+        internalType: "enum MedChainBase.ActorType",
+        name: "actorType",
+        type: "uint8",
+      },
+      {
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "users",
+    outputs: [
+      {
+        internalType: "address",
+        name: "userAddress",
+        type: "address",
+      },
+      {
+        internalType: "string",
+        name: "name",
+        type: "string",
+      },
+      {
+        internalType: "enum MedChainBase.UserRole",
+        name: "role",
+        type: "uint8",
+      },
+      {
+        internalType: "bool",
+        name: "isRegistered",
+        type: "bool",
+      },
+      {
+        internalType: "uint256",
+        name: "registrationTime",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "verifiers",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+] as const;
+
+const _bytecode =
+  "0x608060405234801561001057600080fd5b50613ea3806100206000396000f3fe608060405234801561001057600080fd5b506004361061025e5760003560e01c80637599be5d11610146578063a87430ba116100c3578063e9b65d2411610087578063e9b65d24146105ff578063ecd8dc3a14610612578063f274e2d114610625578063f7b1da471461062e578063f851a4401461065c578063fd6c6d4a1461066f57600080fd5b8063a87430ba1461059a578063ba008db0146105be578063d4647321146105d1578063daae5368146105d9578063e182a682146105ec57600080fd5b806394f0df611161010a57806394f0df611461055057806397cfc6c7146105635780639da8e0db1461056b578063a23a997714610574578063a24cce1d1461058757600080fd5b80637599be5d146104ce578063765fddf7146104d75780638c7a658a146104ff5780639298876014610528578063943700501461054857600080fd5b80633082c4e0116101df5780634807c6da116101a35780634807c6da1461041d578063541d55481461043257806366f20a1c1461045e578063670a4feb146104715780636b8df2a6146104985780636c824487146104ab57600080fd5b80633082c4e01461037857806334461067146103a3578063393580b0146103cd578063429b62e5146103e05780634590e8ee1461040357600080fd5b80631f9838b5116102265780631f9838b5146102fa57806320f2ce9e1461030d5780632114ef1f14610333578063267822471461033c57806329e825931461034f57600080fd5b806303cf7d62146102635780630905f5601461027f578063108b7934146102a357806311117fc8146102c75780631dfd2a0a146102f2575b600080fd5b61026c601d5481565b6040519081526020015b60405180910390f35b600c5461029390600160a01b900460ff1681565b6040519015158152602001610276565b6102b66102b13660046130d2565b610678565b60405161027695949392919061315e565b6102da6102d536600461319e565b610750565b6040516001600160a01b039091168152602001610276565b61026c61077a565b6102b66103083660046131b7565b610789565b61032061031b3660046131ea565b6107d8565b604051610276979695949392919061322a565b61026c61a8c081565b6015546102da906001600160a01b031681565b6102da61035d36600461328c565b600d602052600090815260409020546001600160a01b031681565b61026c6103863660046131b7565b600f60209081526000928352604080842090915290825290205481565b6103b66103b136600461319e565b61095d565b6040516102769b9a999897969594939291906132ee565b6102da6103db36600461319e565b610c18565b6102936103ee36600461339b565b60126020526000908152604090205460ff1681565b61040b600881565b60405160ff9091168152602001610276565b61043061042b36600461346d565b610c28565b005b61029361044036600461339b565b6001600160a01b03166000908152602d602052604090205460ff1690565b61043061046c36600461359f565b610dfb565b61048461047f36600461339b565b610fc3565b6040516102769897969594939291906136b8565b6103206104a63660046131ea565b611236565b6102936104b936600461339b565b60096020526000908152604090205460ff1681565b61026c600b5481565b6104ea6104e536600461319e565b611252565b60405161027699989796959493929190613744565b61026c61050d36600461339b565b6001600160a01b03166000908152602c602052604090205490565b61026c61053636600461319e565b60166020526000908152604090205481565b61040b600481565b61026c61055e3660046131ea565b6113cd565b61040b600281565b61026c602b5481565b61026c610582366004613835565b6113fe565b610430610595366004613946565b61152f565b6105ad6105a836600461339b565b6115fe565b6040516102769594939291906139dd565b6103206105cc36600461319e565b6116c6565b61040b600181565b61026c6105e736600461319e565b61171c565b6102b66105fa3660046130d2565b61173d565b61043061060d366004613a28565b611792565b610430610620366004613ab2565b611863565b61026c60115481565b61029361063c366004613aee565b601760209081526000928352604080842090915290825290205460ff1681565b600c546102da906001600160a01b031681565b61026c60145481565b6005602090815260009384526040808520825292845282842090528252902080546001820154600283015460038401546004850180546001600160a01b03909516959394929360ff909216926106cd90613b11565b80601f01602080910402602001604051908101604052809291908181526020018280546106f990613b11565b80156107465780601f1061071b57610100808354040283529160200191610746565b820191906000526020600020905b81548152906001019060200180831161072957829003601f168201915b5050505050905085565b6013818154811061076057600080fd5b6000918252602090912001546001600160a01b0316905081565b60006107846119e5565b905090565b60036020818152600093845260408085209091529183529120805460018201546002830154938301546004840180546001600160a01b03909416959294929360ff90921692916106cd90613b11565b600760205281600052604060002081815481106107f457600080fd5b6000918252602090912060079091020180546001820154600283015460038401546004850180546001600160a01b03958616985093909416955090939092909161083d90613b11565b80601f016020809104026020016040519081016040528092919081815260200182805461086990613b11565b80156108b65780601f1061088b576101008083540402835291602001916108b6565b820191906000526020600020905b81548152906001019060200180831161089957829003601f168201915b5050506005840154600685018054949560ff9092169491935091506108da90613b11565b80601f016020809104026020016040519081016040528092919081815260200182805461090690613b11565b80156109535780601f1061092857610100808354040283529160200191610953565b820191906000526020600020905b81548152906001019060200180831161093657829003601f168201915b5050505050905087565b600260208190526000918252604090912080546001820154928201805491936001600160a01b0316929161099090613b11565b80601f01602080910402602001604051908101604052809291908181526020018280546109bc90613b11565b8015610a095780601f106109de57610100808354040283529160200191610a09565b820191906000526020600020905b8154815290600101906020018083116109ec57829003601f168201915b505050505090806003018054610a1e90613b11565b80601f0160208091040260200160405190810160405280929190818152602001828054610a4a90613b11565b8015610a975780601f10610a6c57610100808354040283529160200191610a97565b820191906000526020600020905b815481529060010190602001808311610a7a57829003601f168201915b505050505090806004018054610aac90613b11565b80601f0160208091040260200160405190810160405280929190818152602001828054610ad890613b11565b8015610b255780601f10610afa57610100808354040283529160200191610b25565b820191906000526020600020905b815481529060010190602001808311610b0857829003601f168201915b505050506005830154600684015460078501546008860154604080516060810182526009890180548252600a8a01546020830152600b8a018054999a979960ff97881699509597968516966101009095046001600160a01b0316959293919291840191610b9190613b11565b80601f0160208091040260200160405190810160405280929190818152602001828054610bbd90613b11565b8015610c0a5780601f10610bdf57610100808354040283529160200191610c0a565b820191906000526020600020905b815481529060010190602001808311610bed57829003601f168201915b50505050508152505090508b565b600a818154811061076057600080fd5b336000908152602d602052604090205460ff16610c605760405162461bcd60e51b8152600401610c5790613b4b565b60405180910390fd5b6001600160a01b038416600090815260208190526040902060020154610100900460ff16610cc65760405162461bcd60e51b8152602060048201526013602482015272155cd95c881b9bdd081c9959da5cdd195c9959606a1b6044820152606401610c57565b8251602114610d0c5760405162461bcd60e51b8152602060048201526012602482015271496e76616c6964207075626c6963206b657960701b6044820152606401610c57565b82516020808501919091206001600160a01b0386166000818152602c845260408082205481517fc0ff5363b21e12a782c9a67804a835f9a75a36da2f8d98b63cdd8d07d581503a96810196909652908501929092526060840192909252608083015260a082018490529060c001604051602081830303815290604052805190602001209050610d9d85828585611a8a565b6001600160a01b0385166000908152602460205260409020610dbf8582613bc0565b506040516001600160a01b038616907f5d0d5c4c0725fbe6df2d51b2bcff49e0045fd857c87163a99946756d0065a96290600090a25050505050565b336000908152602d602052604090205460ff16610e2a5760405162461bcd60e51b8152600401610c5790613b4b565b610e3386611bce565b6000835167ffffffffffffffff811115610e4f57610e4f6133b6565b604051908082528060200260200182016040528015610e78578160200160208202803683370190505b50905060005b8451811015610ed757848181518110610e9957610e99613c80565b602002602001015180519060200120828281518110610eba57610eba613c80565b602090810291909101015280610ecf81613cac565b915050610e7e565b5060007fb6730328f43c9590603d2b2d53efed89e6ffbde21120ed645cf7636bac4069be888888604051602001610f0e9190613cc5565b6040516020818303038152906040528051906020012085604051602001610f359190613cc5565b60405160208183030381529060405280519060200120602c60008e6001600160a01b03166001600160a01b031681526020019081526020016000205489604051602001610f889796959493929190613cfb565b604051602081830303815290604052805190602001209050610fac88828686611a8a565b610fb9888888888c611cae565b5050505050505050565b600860205260009081526040902080548190610fde90613b11565b80601f016020809104026020016040519081016040528092919081815260200182805461100a90613b11565b80156110575780601f1061102c57610100808354040283529160200191611057565b820191906000526020600020905b81548152906001019060200180831161103a57829003601f168201915b50505050509080600101805461106c90613b11565b80601f016020809104026020016040519081016040528092919081815260200182805461109890613b11565b80156110e55780601f106110ba576101008083540402835291602001916110e5565b820191906000526020600020905b8154815290600101906020018083116110c857829003601f168201915b5050505050908060020180546110fa90613b11565b80601f016020809104026020016040519081016040528092919081815260200182805461112690613b11565b80156111735780601f1061114857610100808354040283529160200191611173565b820191906000526020600020905b81548152906001019060200180831161115657829003601f168201915b5050506003840154600485015460058601546006870154600788018054979860ff909516979396506001600160a01b03909216945092916111b390613b11565b80601f01602080910402602001604051908101604052809291908181526020018280546111df90613b11565b801561122c5780601f106112015761010080835404028352916020019161122c565b820191906000526020600020905b81548152906001019060200180831161120f57829003601f168201915b5050505050905088565b600660205281600052604060002081815481106107f457600080fd5b600e602052600090815260409020805460018201546002830180546001600160a01b0393841694929093169261128790613b11565b80601f01602080910402602001604051908101604052809291908181526020018280546112b390613b11565b80156113005780601f106112d557610100808354040283529160200191611300565b820191906000526020600020905b8154815290600101906020018083116112e357829003601f168201915b5050506003840154600485015460058601546006870180549697939692955060ff8083169550610100830416936001600160a01b0362010000909304929092169261134a90613b11565b80601f016020809104026020016040519081016040528092919081815260200182805461137690613b11565b80156113c35780601f10611398576101008083540402835291602001916113c3565b820191906000526020600020905b8154815290600101906020018083116113a657829003601f168201915b5050505050905089565b600160205281600052604060002081815481106113e957600080fd5b90600052602060002001600091509150505481565b336000908152602d602052604081205460ff1661142d5760405162461bcd60e51b8152600401610c5790613b4b565b61143689611bce565b600088511161147c5760405162461bcd60e51b815260206004820152601260248201527112541194c81a185cda081c995c5d5a5c995960721b6044820152606401610c57565b600061148d8a8a8a8a8a8a8a611ed2565b905061149b8a828686611a8a565b60006114ab8b8c8c8c8c8c612043565b8651909150156114e35760008181526025602090815260408083206001600160a01b038f16845290915290206114e18782613bc0565b505b6115218b6000836040518060400160405280600681526020016543524541544560d01b8152508f60006040518060200160405280600081525061229c565b9a9950505050505050505050565b336000908152602d602052604090205460ff1661155e5760405162461bcd60e51b8152600401610c5790613b4b565b60007f57f7da80c92e6056d4785f4f44ae3d2e5a6bb8bc3ca4b96bbf42ec49f3d13a2186868051906020012086602c60008b6001600160a01b03166001600160a01b0316815260200190815260200160002054876040516020016115c796959493929190613d37565b6040516020818303038152906040528051906020012090506115eb86828585611a8a565b6115f6868686612700565b505050505050565b600060208190529081526040902080546001820180546001600160a01b03909216929161162a90613b11565b80601f016020809104026020016040519081016040528092919081815260200182805461165690613b11565b80156116a35780601f10611678576101008083540402835291602001916116a3565b820191906000526020600020905b81548152906001019060200180831161168657829003601f168201915b505050506002830154600390930154919260ff8082169361010090920416915085565b601881815481106116d657600080fd5b6000918252602090912060079091020180546001820154600283015460038401546004850180546001600160a01b03958616975093909416949193909261083d90613b11565b6010818154811061172c57600080fd5b600091825260209091200154905081565b6004602081815260009485526040808620825293855283852090529083529120805460018201546002830154600384015494840180546001600160a01b03909416959294919360ff909316926106cd90613b11565b336000908152602d602052604090205460ff166117c15760405162461bcd60e51b8152600401610c5790613b4b565b6117ca86611bce565b82516020808501919091206001600160a01b0388166000908152602c835260408082205490519193611827937f2b29a9ea69ff29ed19c23152186e5d6d7fa68cadbaf5a9838232982195fa80bf938c938c938c93928b9101613cfb565b60405160208183030381529060405280519060200120905061184b87828585611a8a565b61185a878787878b60006129a2565b50505050505050565b3360009081526012602052604090205460ff166118b75760405162461bcd60e51b815260206004820152601260248201527113db9b1e4818591b5a5b88185b1b1bddd95960721b6044820152606401610c57565b6001600160a01b0382166118ff5760405162461bcd60e51b815260206004820152600f60248201526e24b73b30b634b2103932b630bcb2b960891b6044820152606401610c57565b6001600160a01b0382166000908152602d60205260408120805460ff191683151517905561199c9083818461195c576040518060400160405280601081526020016f1491531056515497d11254d05093115160821b815250611985565b6040518060400160405280600f81526020016e1491531056515497d1539050931151608a1b8152505b600260405180602001604052806000815250612c05565b816001600160a01b03167f4b36b2e66f38ed349bec532105790177f1283bcbc094e6cd48565195d3033c43826040516119d9911515815260200190565b60405180910390a25050565b604080517f8b73c3c69bb8fe3d512ecc4cf759cc79239f7b179b0ffacaa9a75d522b39400f60208201527fd16d8f63a575c3689f3f21e7226acf530df986bf015b2ae4ad339f2fb6f3be94918101919091527fc89efdaa54c0f20c7adf612882df0950f5a951637e0307cdcb4c672f298b8bc660608201524660808201523060a082015260009060c00160405160208183030381529060405280519060200120905090565b81421115611acc5760405162461bcd60e51b815260206004820152600f60248201526e14995c5d595cdd08195e1c1a5c9959608a1b6044820152606401610c57565b6000611ad66119e5565b60405161190160f01b6020820152602281019190915260428101859052606201604051602081830303815290604052805190602001209050846001600160a01b0316611b228284612c14565b6001600160a01b031614611b485760405162461bcd60e51b8152600401610c5790613d7a565b6001600160a01b0385166000818152602c6020526040908190205490513392917fa5cdd9a158bcf842761e88ff30b5c9235c3a3230b69172f58ca6eeb37e54192191611b9691815260200190565b60405180910390a36001600160a01b0385166000908152602c60205260408120805491611bc283613cac565b91905055505050505050565b6001600160a01b038116600090815260208190526040902060020154610100900460ff16611c345760405162461bcd60e51b8152602060048201526013602482015272155cd95c881b9bdd081c9959da5cdd195c9959606a1b6044820152606401610c57565b60016001600160a01b03821660009081526020819052604090206002015460ff166003811115611c6657611c66613214565b14611cab5760405162461bcd60e51b815260206004820152601560248201527413db9b1e481c185d1a595b9d1cc8185b1b1bddd959605a1b6044820152606401610c57565b50565b60008351118015611cc0575081518351145b611cfe5760405162461bcd60e51b815260206004820152600f60248201526e098cadccee8d040dad2e6dac2e8c6d608b1b6044820152606401610c57565b60005b8351811015611e81576000848281518110611d1e57611d1e613c80565b602090810291909101810151600081815260029092526040909120600101549091506001600160a01b03888116911614611d8c5760405162461bcd60e51b815260206004820152600f60248201526e139bdd081e5bdd5c881c9958dbdc99608a1b6044820152606401610c57565b6000848381518110611da057611da0613c80565b60200260200101515111611ded5760405162461bcd60e51b815260206004820152601460248201527315dc985c1c1959081ad95e481c995c5d5a5c995960621b6044820152606401610c57565b838281518110611dff57611dff613c80565b60209081029190910181015160008381526025835260408082206001600160a01b038b1683529093529190912090611e379082613bc0565b506040516001600160a01b0387169082907fb74b0eb795278049f3d14d49075b3b7111b099aa41f6be20c030077b9ac9c8b490600090a35080611e7981613cac565b915050611d01565b50611ecb858560006040518060400160405280601181526020017053484152455f5245434f52445f4b45595360781b8152508560006040518060200160405280600081525061229c565b5050505050565b6000807f0ab094525010fb3502810b968cf33743a2c1213c62d3089f32125df59951f08685600001518660200151876040015180519060200120604051602001611f35949392919093845260208401929092526040830152606082015260800190565b60408051808303601f1901815282825280516020918201208b518c8301208b518c8401208b518c8501207f811fcac3d87a7c227e925684f4bd0a8c165d7d67b4ebe0ccd533e790bb730b4d948701949094526001600160a01b038f16948601949094526060850152608084019290925260a0830152915060c00160408051601f1981840301815282825286516020888101919091206001600160a01b038e166000908152602c835284902054918501869052928401929092526060830191909152608082018590529060a00160408051601f198184030181529082905261201f9291602001613da5565b60405160208183030381529060405280519060200120915050979650505050505050565b80516000906120945760405162461bcd60e51b815260206004820152601760248201527f436f6e74656e74206469676573742072657175697265640000000000000000006044820152606401610c57565b600b80549060006120a483613cac565b90915550506040805161016081018252600b548082526001600160a01b038a811660208085019182528486018b8152606086018b9052608086018a90524260a0870152600160c0870181905260e08701819052600061010088018190528e861661012089015261014088018b90529586526002928390529690942085518155915195820180546001600160a01b0319169690931695909517909155905191929091908201906121539082613bc0565b50606082015160038201906121689082613bc0565b506080820151600482019061217d9082613bc0565b5060a0820151600582015560c082015160068201805460ff191691151591909117905560e08201516007820155610100808301516008830180546101208601516001600160a81b0319909116921515610100600160a81b031916929092176001600160a01b039092169092021790556101408201518051600983019081556020820151600a8401556040820151600b8401906122199082613bc0565b5050506001600160a01b0389166000818152600160208181526040808420600b80548254958601835591865292909420909201929092559054905191935091507f99a9454438287bd513ed7da46fc0ff0cabc6b573eeafb583a59e01bc2e52ef9090612286908890613dd4565b60405180910390a350600b549695505050505050565b60006040518060e00160405280856001600160a01b03168152602001896001600160a01b031681526020018781526020014281526020018681526020018460048111156122eb576122eb613214565b815260209081018490526001600160a01b03808716600090815260068352604080822080546001818101835591845292859020865160079094020180549385166001600160a01b03199485161781559486015190850180549190941692169190911790915582015160028201556060820151600382015560808201519192508291600482019061237b9082613bc0565b5060a082015160058201805460ff1916600183600481111561239f5761239f613214565b021790555060c082015160068201906123b89082613bc0565b5050506001600160a01b038716158015906123e55750836001600160a01b0316876001600160a01b031614155b156124b2576001600160a01b03808816600090815260066020908152604080832080546001818101835591855293839020865160079095020180549486166001600160a01b031995861617815592860151908301805491909516931692909217909255820151600282015560608201516003820155608082015182919060048201906124719082613bc0565b5060a082015160058201805460ff1916600183600481111561249557612495613214565b021790555060c082015160068201906124ae9082613bc0565b5050505b6001600160a01b0388161561258c576001600160a01b0380891660009081526007602081815260408084208054600181810183559186529483902087519590940290930180549486166001600160a01b03199586161781559186015192820180549390951692909316919091179092558201516002820155606082015160038201556080820151829190600482019061254b9082613bc0565b5060a082015160058201805460ff1916600183600481111561256f5761256f613214565b021790555060c082015160068201906125889082613bc0565b5050505b60028360048111156125a0576125a0613214565b03610fb95760188054600181018255600091909152815160079091027fb13d2d76d1f4b7be834882e410b3e3a8afaf69f83600ae24db354391d2378d2e810180546001600160a01b039384166001600160a01b031991821617825560208501517fb13d2d76d1f4b7be834882e410b3e3a8afaf69f83600ae24db354391d2378d2f840180549190951691161790925560408301517fb13d2d76d1f4b7be834882e410b3e3a8afaf69f83600ae24db354391d2378d3082015560608301517fb13d2d76d1f4b7be834882e410b3e3a8afaf69f83600ae24db354391d2378d3182015560808301518392917fb13d2d76d1f4b7be834882e410b3e3a8afaf69f83600ae24db354391d2378d3201906126b69082613bc0565b5060a082015160058201805460ff191660018360048111156126da576126da613214565b021790555060c082015160068201906126f39082613bc0565b5050505050505050505050565b6001600160a01b038316600090815260208190526040902060020154610100900460ff16156127715760405162461bcd60e51b815260206004820152601760248201527f5573657220616c726561647920726567697374657265640000000000000000006044820152606401610c57565b600281600381111561278557612785613214565b036127e15760405162461bcd60e51b815260206004820152602660248201527f446f63746f7273206d75737420726567697374657220776974682063726564656044820152656e7469616c7360d01b6064820152608401610c57565b60018160038111156127f5576127f5613214565b146128315760405162461bcd60e51b815260206004820152600c60248201526b496e76616c696420726f6c6560a01b6044820152606401610c57565b60008251116128795760405162461bcd60e51b81526020600482015260146024820152734e616d652063616e6e6f7420626520656d70747960601b6044820152606401610c57565b6040518060a00160405280846001600160a01b031681526020018381526020018260038111156128ab576128ab613214565b815260016020808301829052426040938401526001600160a01b03878116600090815280835293909320845181546001600160a01b0319169416939093178355830151908201906128fc9082613bc0565b50604082015160028201805460ff1916600183600381111561292057612920613214565b021790555060608201516002820180549115156101000261ff001990921691909117905560809091015160039091015561295a8382612d1c565b826001600160a01b03167fc2e5d5da58bd71d1a2d14cdef02a4256d971b728088f8190d067ccfbae3bd73e8383604051612995929190613de7565b60405180910390a2505050565b6129ab85612df1565b612a135760405162461bcd60e51b815260206004820152603360248201527f43616e206f6e6c79206772616e7420746f20766572696669656420646f63746f6044820152727273206f72206f7267616e697a6174696f6e7360681b6064820152608401610c57565b6000808511612a23576000612a2d565b612a2d8542613e12565b6001600160a01b038089166000908152600360208181526040808420948c1684529390529190200154909150612a69908890889060ff16612e23565b612a86878760008060405180602001604052806000815250612ec3565b6040518060a00160405280876001600160a01b031681526020014281526020018281526020016001151581526020018581525060036000896001600160a01b03166001600160a01b031681526020019081526020016000206000886001600160a01b03166001600160a01b0316815260200190815260200160002060008201518160000160006101000a8154816001600160a01b0302191690836001600160a01b03160217905550602082015181600101556040820151816002015560608201518160030160006101000a81548160ff0219169083151502179055506080820151816004019081612b779190613bc0565b50905050612baf878760006040518060400160405280600c81526020016b4752414e545f41434345535360a01b81525087878a61229c565b856001600160a01b0316876001600160a01b03167f65d0cc1e52d49938ca4ad9f423c79c1b84d914b9a683fbc5d3f93ac3cc5635f583604051612bf491815260200190565b60405180910390a350505050505050565b6115f68686868633878761229c565b60008151604114612c375760405162461bcd60e51b8152600401610c5790613d7a565b60208201516040830151606084015160001a7f7fffffffffffffffffffffffffffffff5d576e7357a4501ddfe92f46681b20a0821115612c895760405162461bcd60e51b8152600401610c5790613d7a565b6040805160008082526020820180845289905260ff841692820192909252606081018590526080810184905260019060a0016020604051602081039080840390855afa158015612cdd573d6000803e3d6000fd5b5050604051601f1901519150506001600160a01b038116612d105760405162461bcd60e51b8152600401610c5790613d7a565b93505050505b92915050565b6001600160a01b03821660009081526035602052604090205460ff16612da2576001600160a01b0382166000818152603560205260408120805460ff191660019081179091556034805491820181559091527f46bddb1178e94d7f2892ff5f366840eb658911794f2c3a44c450aa2c505186c10180546001600160a01b03191690911790555b60366000826003811115612db857612db8613214565b6003811115612dc957612dc9613214565b81526020019081526020016000206000815480929190612de890613cac565b91905055505050565b6000612dfc82613040565b80612d165750506001600160a01b03166000908152602f6020526040902060020154151590565b8015612e2e57505050565b6001600160a01b038084166000908152602080805260408083209386168352929052908120805491612e5f83613cac565b91905055600003612ebe576001600160a01b038281166000818152601e6020908152604080832080546001810182558185528385200180546001600160a01b031916968a1696871790559383529254601f825283832094835293905220555b505050565b600084848484604051602001612edc9493929190613e25565b60408051601f1981840301815291815281516020928301206001600160a01b03891660009081526027845282812082825290935291205490915015612f215750611ecb565b60266000876001600160a01b03166001600160a01b031681526020019081526020016000206040518060800160405280876001600160a01b03168152602001866002811115612f7257612f72613214565b8152602080820187905260409091018590528254600181018455600093845292819020825160039094020180546001600160a01b039094166001600160a01b031985168117825591830151929390929183916001600160a81b03191617600160a01b836002811115612fe657612fe6613214565b021790555060408201516001820155606082015160028201906130099082613bc0565b5050506001600160a01b03861660009081526026602090815260408083205460278352818420948452939091529020555050505050565b600060026001600160a01b03831660009081526020819052604090206002015460ff16600381111561307457613074613214565b148015612d16575060026001600160a01b038316600090815260086020526040902060039081015460ff16908111156130af576130af613214565b1492915050565b80356001600160a01b03811681146130cd57600080fd5b919050565b6000806000606084860312156130e757600080fd5b6130f0846130b6565b92506130fe602085016130b6565b9150604084013590509250925092565b60005b83811015613129578181015183820152602001613111565b50506000910152565b6000815180845261314a81602086016020860161310e565b601f01601f19169290920160200192915050565b60018060a01b0386168152846020820152836040820152821515606082015260a06080820152600061319360a0830184613132565b979650505050505050565b6000602082840312156131b057600080fd5b5035919050565b600080604083850312156131ca57600080fd5b6131d3836130b6565b91506131e1602084016130b6565b90509250929050565b600080604083850312156131fd57600080fd5b613206836130b6565b946020939093013593505050565b634e487b7160e01b600052602160045260246000fd5b6001600160a01b03888116825287166020820152604081018690526060810185905260e06080820181905260009061326490830186613132565b6005851061327457613274613214565b8460a084015282810360c08401526115218185613132565b60006020828403121561329e57600080fd5b81356001600160e01b0319811681146132b657600080fd5b9392505050565b805182526020810151602083015260006040820151606060408501526132e66060850182613132565b949350505050565b8b81526001600160a01b038b166020820152610160604082018190526000906133198382018d613132565b9050828103606084015261332d818c613132565b90508281036080840152613341818b613132565b90508860a084015287151560c08401528660e08401528515156101008401526133766101208401866001600160a01b03169052565b82810361014084015261338981856132bd565b9e9d5050505050505050505050505050565b6000602082840312156133ad57600080fd5b6132b6826130b6565b634e487b7160e01b600052604160045260246000fd5b604051601f8201601f1916810167ffffffffffffffff811182821017156133f5576133f56133b6565b604052919050565b600082601f83011261340e57600080fd5b813567ffffffffffffffff811115613428576134286133b6565b61343b601f8201601f19166020016133cc565b81815284602083860101111561345057600080fd5b816020850160208301376000918101602001919091529392505050565b6000806000806080858703121561348357600080fd5b61348c856130b6565b9350602085013567ffffffffffffffff808211156134a957600080fd5b6134b5888389016133fd565b94506040870135935060608701359150808211156134d257600080fd5b506134df878288016133fd565b91505092959194509250565b600067ffffffffffffffff821115613505576135056133b6565b5060051b60200190565b600082601f83011261352057600080fd5b81356020613535613530836134eb565b6133cc565b82815260059290921b8401810191818101908684111561355457600080fd5b8286015b8481101561359457803567ffffffffffffffff8111156135785760008081fd5b6135868986838b01016133fd565b845250918301918301613558565b509695505050505050565b60008060008060008060c087890312156135b857600080fd5b6135c1876130b6565b955060206135d08189016130b6565b9550604088013567ffffffffffffffff808211156135ed57600080fd5b818a0191508a601f83011261360157600080fd5b813561360f613530826134eb565b81815260059190911b8301840190848101908d83111561362e57600080fd5b938501935b8285101561364c57843582529385019390850190613633565b9850505060608a013592508083111561366457600080fd5b6136708b848c0161350f565b955060808a0135945060a08a013592508083111561368d57600080fd5b505061369b89828a016133fd565b9150509295509295509295565b60048110611cab57611cab613214565b60006101008083526136cc8184018c613132565b905082810360208401526136e0818b613132565b905082810360408401526136f4818a613132565b90506136ff886136a8565b60608301889052608083018790526001600160a01b03861660a084015260c0830185905282810360e08401526137358185613132565b9b9a5050505050505050505050565b6001600160a01b038a811682528981166020830152610120604083018190526000916137728483018c613132565b915089606085015288608085015287151560a085015286151560c085015280861660e0850152508281036101008401526137ac8185613132565b9c9b505050505050505050505050565b6000606082840312156137ce57600080fd5b6040516060810167ffffffffffffffff82821081831117156137f2576137f26133b6565b816040528293508435835260208501356020840152604085013591508082111561381b57600080fd5b50613828858286016133fd565b6040830152505092915050565b600080600080600080600080610100898b03121561385257600080fd5b61385b896130b6565b9750602089013567ffffffffffffffff8082111561387857600080fd5b6138848c838d016133fd565b985060408b013591508082111561389a57600080fd5b6138a68c838d016133fd565b975060608b01359150808211156138bc57600080fd5b6138c88c838d016133fd565b965060808b01359150808211156138de57600080fd5b6138ea8c838d016137bc565b955060a08b013591508082111561390057600080fd5b61390c8c838d016133fd565b945060c08b0135935060e08b013591508082111561392957600080fd5b506139368b828c016133fd565b9150509295985092959890939650565b600080600080600060a0868803121561395e57600080fd5b613967866130b6565b9450602086013567ffffffffffffffff8082111561398457600080fd5b61399089838a016133fd565b955060408801359150600482106139a657600080fd5b90935060608701359250608087013590808211156139c357600080fd5b506139d0888289016133fd565b9150509295509295909350565b6001600160a01b038616815260a060208201819052600090613a0190830187613132565b9050613a0c856136a8565b6040820194909452911515606083015260809091015292915050565b60008060008060008060c08789031215613a4157600080fd5b613a4a876130b6565b9550613a58602088016130b6565b945060408701359350606087013567ffffffffffffffff80821115613a7c57600080fd5b613a888a838b016133fd565b94506080890135935060a0890135915080821115613aa557600080fd5b5061369b89828a016133fd565b60008060408385031215613ac557600080fd5b613ace836130b6565b915060208301358015158114613ae357600080fd5b809150509250929050565b60008060408385031215613b0157600080fd5b823591506131e1602084016130b6565b600181811c90821680613b2557607f821691505b602082108103613b4557634e487b7160e01b600052602260045260246000fd5b50919050565b60208082526015908201527413db9b1e481c995b185e595c9cc8185b1b1bddd959605a1b604082015260600190565b601f821115612ebe57600081815260208120601f850160051c81016020861015613ba15750805b601f850160051c820191505b818110156115f657828155600101613bad565b815167ffffffffffffffff811115613bda57613bda6133b6565b613bee81613be88454613b11565b84613b7a565b602080601f831160018114613c235760008415613c0b5750858301515b600019600386901b1c1916600185901b1785556115f6565b600085815260208120601f198616915b82811015613c5257888601518255948401946001909101908401613c33565b5085821015613c705787850151600019600388901b60f8161c191681555b5050505050600190811b01905550565b634e487b7160e01b600052603260045260246000fd5b634e487b7160e01b600052601160045260246000fd5b600060018201613cbe57613cbe613c96565b5060010190565b815160009082906020808601845b83811015613cef57815185529382019390820190600101613cd3565b50929695505050505050565b9687526001600160a01b0395861660208801529390941660408601526060850191909152608084015260a083019190915260c082015260e00190565b8681526001600160a01b03861660208201526040810185905260c08101613d5d856136a8565b8460608301528360808301528260a0830152979650505050505050565b602080825260119082015270496e76616c6964207369676e617475726560781b604082015260600190565b60008351613db781846020880161310e565b835190830190613dcb81836020880161310e565b01949350505050565b6020815260006132b66020830184613132565b604081526000613dfa6040830185613132565b9050613e05836136a8565b8260208301529392505050565b80820180821115612d1657612d16613c96565b6001600160a01b0385168152600060038510613e4357613e43613214565b84602083015283604083015260806060830152613e636080830184613132565b969550505050505056fea26469706673582212205c64461d2fd8e1732bcacc4368c0406d54662c2d904e3db5a5f4aa9105bd8c9464736f6c63430008130033";
+
+type MedChainRelayConstructorParams =
+  | [signer?: Signer]
+  | ConstructorParameters<typeof ContractFactory>;
+
+const isSuperArgs = (
+  xs: MedChainRelayConstructorParams
+): xs is ConstructorParameters<typeof ContractFactory> => xs.length > 1;
+
+export class MedChainRelay__factory extends ContractFactory {
+  constructor(...args: MedChainRelayConstructorParams) {
+    if (isSuperArgs(args)) {
+      super(...args);
+    } else {
+      super(_abi, _bytecode, args[0]);
+    }
+  }
+
+  override getDeployTransaction(
+    overrides?: NonPayableOverrides & { from?: string }
+  ): Promise<ContractDeployTransaction> {
+    return super.getDeployTransaction(overrides || {});
+  }
+  override deploy(overrides?: NonPayableOverrides & { from?: string }) {
+    return super.deploy(overrides || {}) as Promise<
+      MedChainRelay & {
+        deploymentTransaction(): ContractTransactionResponse;
+      }
+    >;
+  }
+  override connect(runner: ContractRunner | null): MedChainRelay__factory {
+    return super.connect(runner) as MedChainRelay__factory;
+  }
+
+  static readonly bytecode = _bytecode;
+  static readonly abi = _abi;
+  static createInterface(): MedChainRelayInterface {
+    return new Interface(_abi) as MedChainRelayInterface;
+  }
+  static connect(
+    address: string,
+    runner?: ContractRunner | null
+  ): MedChainRelay {
+    return new Contract(address, _abi, runner) as unknown as MedChainRelay;
+  }
+}
@@ -12,11 +12,6 @@ import type { NonPayableOverrides } from "../common";
 import type { MedChain, MedChainInterface } from "../MedChain";
 
 const _abi = [
-  {
-    inputs: [],
-    stateMutability: "nonpayable",
-    type: "constructor",
-  },
   {
     anonymous: false,
     inputs: [
@@ -32,6 +27,12 @@ const _abi = [
         name: "doctor",
         type: "address",
       },
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "grantIndex",
+        type: "uint256",
+      },
       {
         indexed: false,
         internalType: "uint256",
@@ -39,7 +40,7 @@ const _abi = [
         type: "uint256",
       },
     ],
-    name: "AccessGranted",
+    name: "AccessExtended",
     type: "event",
   },
   {
@@ -57,40 +58,39 @@ const _abi = [
         name: "doctor",
         type: "address",
       },
-    ],
-    name: "AccessRevoked",
-    type: "event",
-  },
-  {
-    anonymous: false,
-    inputs: [
       {
         indexed: false,
-        internalType: "bool",
-        name: "status",
-        type: "bool",
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
       },
     ],
-    name: "EmergencyModeToggled",
+    name: "AccessGranted",
     type: "event",
   },
   {
     anonymous: false,
     inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "requestId",
+        type: "uint256",
+      },
       {
         indexed: true,
         internalType: "address",
-        name: "accessor",
+        name: "patient",
         type: "address",
       },
       {
         indexed: true,
-        internalType: "uint256",
-        name: "recordId",
-        type: "uint256",
+        internalType: "address",
+        name: "doctor",
+        type: "address",
       },
     ],
-    name: "RecordAccessed",
+    name: "AccessRequestApproved",
     type: "event",
   },
   {
@@ -99,7 +99,7 @@ const _abi = [
       {
         indexed: true,
         internalType: "uint256",
-        name: "recordId",
+        name: "requestId",
         type: "uint256",
       },
       {
@@ -108,242 +108,1783 @@ const _abi = [
         name: "patient",
         type: "address",
       },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
       {
         indexed: false,
         internalType: "string",
-        name: "recordType",
+        name: "reason",
         type: "string",
       },
     ],
-    name: "RecordCreated",
+    name: "AccessRequestDenied",
     type: "event",
   },
   {
     anonymous: false,
     inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "requestId",
+        type: "uint256",
+      },
       {
         indexed: true,
         internalType: "address",
-        name: "userAddress",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
         type: "address",
       },
       {
         indexed: false,
-        internalType: "string",
-        name: "name",
-        type: "string",
+        internalType: "uint256",
+        name: "duration",
+        type: "uint256",
       },
       {
         indexed: false,
-        internalType: "enum MedChain.UserRole",
-        name: "role",
-        type: "uint8",
+        internalType: "string",
+        name: "purpose",
+        type: "string",
       },
     ],
-    name: "UserRegistered",
+    name: "AccessRequested",
     type: "event",
   },
   {
-    inputs: [],
-    name: "admin",
-    outputs: [
+    anonymous: false,
+    inputs: [
       {
+        indexed: true,
         internalType: "address",
-        name: "",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
         type: "address",
       },
     ],
-    stateMutability: "view",
-    type: "function",
+    name: "AccessRevoked",
+    type: "event",
   },
   {
+    anonymous: false,
     inputs: [
       {
+        indexed: true,
+        internalType: "bytes32",
+        name: "actionId",
+        type: "bytes32",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "action",
+        type: "string",
+      },
+      {
+        indexed: true,
         internalType: "address",
-        name: "",
+        name: "target",
         type: "address",
       },
       {
+        indexed: false,
         internalType: "uint256",
-        name: "",
+        name: "value",
         type: "uint256",
       },
-    ],
-    name: "auditTrails",
-    outputs: [
       {
+        indexed: true,
         internalType: "address",
-        name: "accessor",
+        name: "approver",
         type: "address",
       },
       {
+        indexed: false,
         internalType: "uint256",
-        name: "recordId",
+        name: "approvals",
         type: "uint256",
       },
       {
+        indexed: false,
         internalType: "uint256",
-        name: "timestamp",
+        name: "required",
         type: "uint256",
       },
-      {
-        internalType: "string",
-        name: "action",
-        type: "string",
-      },
     ],
-    stateMutability: "view",
-    type: "function",
+    name: "AdminActionApproved",
+    type: "event",
   },
   {
+    anonymous: false,
     inputs: [
       {
-        internalType: "address",
-        name: "_patient",
-        type: "address",
-      },
-      {
-        internalType: "address",
-        name: "_doctor",
-        type: "address",
+        indexed: true,
+        internalType: "bytes32",
+        name: "actionId",
+        type: "bytes32",
       },
-    ],
-    name: "checkAccess",
-    outputs: [
       {
-        internalType: "bool",
-        name: "hasAccess",
-        type: "bool",
+        indexed: false,
+        internalType: "string",
+        name: "action",
+        type: "string",
       },
       {
-        internalType: "uint256",
-        name: "grantedAt",
-        type: "uint256",
+        indexed: true,
+        internalType: "address",
+        name: "target",
+        type: "address",
       },
       {
+        indexed: false,
         internalType: "uint256",
-        name: "expiresAt",
+        name: "value",
         type: "uint256",
       },
-      {
-        internalType: "string",
-        name: "purpose",
-        type: "string",
-      },
     ],
-    stateMutability: "view",
-    type: "function",
+    name: "AdminActionExecuted",
+    type: "event",
   },
   {
+    anonymous: false,
     inputs: [
       {
-        internalType: "string",
-        name: "_ipfsHash",
-        type: "string",
-      },
-      {
-        internalType: "string",
-        name: "_recordType",
-        type: "string",
-      },
-      {
-        internalType: "string",
-        name: "_description",
-        type: "string",
+        indexed: true,
+        internalType: "address",
+        name: "account",
+        type: "address",
       },
     ],
-    name: "createRecord",
-    outputs: [
+    name: "AdminAdded",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
       {
+        indexed: false,
         internalType: "uint256",
-        name: "",
+        name: "quorum",
         type: "uint256",
       },
     ],
-    stateMutability: "nonpayable",
-    type: "function",
+    name: "AdminQuorumChanged",
+    type: "event",
   },
   {
-    inputs: [],
-    name: "emergencyMode",
-    outputs: [
+    anonymous: false,
+    inputs: [
       {
-        internalType: "bool",
-        name: "",
-        type: "bool",
+        indexed: true,
+        internalType: "address",
+        name: "account",
+        type: "address",
       },
     ],
-    stateMutability: "view",
-    type: "function",
+    name: "AdminRemoved",
+    type: "event",
   },
   {
+    anonymous: false,
     inputs: [
       {
+        indexed: true,
         internalType: "address",
-        name: "_user",
+        name: "currentAdmin",
         type: "address",
       },
-    ],
-    name: "getAuditTrail",
-    outputs: [
       {
-        components: [
-          {
-            internalType: "address",
-            name: "accessor",
-            type: "address",
-          },
-          {
-            internalType: "uint256",
-            name: "recordId",
-            type: "uint256",
-          },
-          {
-            internalType: "uint256",
-            name: "timestamp",
-            type: "uint256",
-          },
-          {
-            internalType: "string",
-            name: "action",
-            type: "string",
-          },
-        ],
-        internalType: "struct MedChain.AuditLog[]",
-        name: "",
-        type: "tuple[]",
+        indexed: true,
+        internalType: "address",
+        name: "pendingAdmin",
+        type: "address",
       },
     ],
-    stateMutability: "view",
-    type: "function",
+    name: "AdminTransferStarted",
+    type: "event",
   },
   {
+    anonymous: false,
     inputs: [
       {
+        indexed: true,
         internalType: "address",
-        name: "_doctor",
+        name: "previousAdmin",
         type: "address",
       },
-    ],
-    name: "getDoctorAccessibleRecords",
-    outputs: [
       {
-        internalType: "uint256[]",
-        name: "",
-        type: "uint256[]",
+        indexed: true,
+        internalType: "address",
+        name: "newAdmin",
+        type: "address",
       },
     ],
-    stateMutability: "view",
-    type: "function",
+    name: "AdminTransferred",
+    type: "event",
   },
   {
+    anonymous: false,
     inputs: [
       {
+        indexed: true,
         internalType: "address",
-        name: "_patient",
+        name: "patient",
         type: "address",
       },
-    ],
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "recordType",
+        type: "string",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+    ],
+    name: "CategoryAccessGranted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "recordType",
+        type: "string",
+      },
+    ],
+    name: "CategoryAccessRevoked",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "licenseNumber",
+        type: "string",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "issuingAuthority",
+        type: "string",
+      },
+    ],
+    name: "DoctorApplicationSubmitted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "verifier",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    name: "DoctorRejected",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "verifier",
+        type: "address",
+      },
+    ],
+    name: "DoctorVerified",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "accessId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "justification",
+        type: "string",
+      },
+    ],
+    name: "EmergencyAccessInvoked",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "accessId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "reviewer",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "bool",
+        name: "justified",
+        type: "bool",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "notes",
+        type: "string",
+      },
+    ],
+    name: "EmergencyAccessReviewed",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: false,
+        internalType: "bool",
+        name: "status",
+        type: "bool",
+      },
+    ],
+    name: "EmergencyModeToggled",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "user",
+        type: "address",
+      },
+    ],
+    name: "EncryptionKeySet",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "extension",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "bytes4[]",
+        name: "selectors",
+        type: "bytes4[]",
+      },
+    ],
+    name: "ExtensionRouted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "reporter",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "details",
+        type: "string",
+      },
+    ],
+    name: "FileMismatchReported",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "guardian",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint8",
+        name: "powers",
+        type: "uint8",
+      },
+    ],
+    name: "GuardianAppointed",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "guardian",
+        type: "address",
+      },
+    ],
+    name: "GuardianRemoved",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "organization",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "name",
+        type: "string",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "owner",
+        type: "address",
+      },
+    ],
+    name: "OrganizationCreated",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "organization",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+    ],
+    name: "OrganizationMemberAdded",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "organization",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+    ],
+    name: "OrganizationMemberRemoved",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "organization",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "owner",
+        type: "address",
+      },
+    ],
+    name: "OrganizationOwnerChanged",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+    ],
+    name: "RecordAccessGranted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+    ],
+    name: "RecordAccessRevoked",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "accessor",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+    ],
+    name: "RecordAccessed",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "version",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    name: "RecordAmended",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    name: "RecordArchived",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "recordType",
+        type: "string",
+      },
+    ],
+    name: "RecordCreated",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "reader",
+        type: "address",
+      },
+    ],
+    name: "RecordKeyShared",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "proposalId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+    ],
+    name: "RecordProposalAccepted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "proposalId",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    name: "RecordProposalRejected",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "proposalId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "recordType",
+        type: "string",
+      },
+    ],
+    name: "RecordProposed",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+    ],
+    name: "RecordRestored",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "relayer",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "bool",
+        name: "enabled",
+        type: "bool",
+      },
+    ],
+    name: "RelayerUpdated",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "signer",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "relayer",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "nonce",
+        type: "uint256",
+      },
+    ],
+    name: "RequestRelayed",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "implementation",
+        type: "address",
+      },
+    ],
+    name: "Upgraded",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "userAddress",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "name",
+        type: "string",
+      },
+      {
+        indexed: false,
+        internalType: "enum MedChainBase.UserRole",
+        name: "role",
+        type: "uint8",
+      },
+    ],
+    name: "UserRegistered",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "verifier",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "bool",
+        name: "enabled",
+        type: "bool",
+      },
+    ],
+    name: "VerifierUpdated",
+    type: "event",
+  },
+  {
+    stateMutability: "nonpayable",
+    type: "fallback",
+  },
+  {
+    inputs: [],
+    name: "EMERGENCY_ACCESS_DURATION",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "GUARDIAN_CREATE_RECORDS",
+    outputs: [
+      {
+        internalType: "uint8",
+        name: "",
+        type: "uint8",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "GUARDIAN_MANAGE_ACCESS",
+    outputs: [
+      {
+        internalType: "uint8",
+        name: "",
+        type: "uint8",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "GUARDIAN_VIEW_AUDIT",
+    outputs: [
+      {
+        internalType: "uint8",
+        name: "",
+        type: "uint8",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "GUARDIAN_VIEW_RECORDS",
+    outputs: [
+      {
+        internalType: "uint8",
+        name: "",
+        type: "uint8",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "_recordId",
+        type: "uint256",
+      },
+    ],
+    name: "accessRecord",
+    outputs: [
+      {
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        internalType: "string",
+        name: "ipfsHash",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "recordType",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "description",
+        type: "string",
+      },
+      {
+        internalType: "uint256",
+        name: "timestamp",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "accessRequestCounter",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "admin",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "",
+        type: "bytes32",
+      },
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "adminActionApprovals",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "",
+        type: "bytes32",
+      },
+    ],
+    name: "adminActionNonces",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "adminList",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "adminQuorum",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "admins",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "auditTrails",
+    outputs: [
+      {
+        internalType: "address",
+        name: "accessor",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "timestamp",
+        type: "uint256",
+      },
+      {
+        internalType: "string",
+        name: "action",
+        type: "string",
+      },
+      {
+        internalType: "enum MedChainBase.ActorType",
+        name: "actorType",
+        type: "uint8",
+      },
+      {
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "bytes32",
+        name: "",
+        type: "bytes32",
+      },
+    ],
+    name: "categoryPermissions",
+    outputs: [
+      {
+        internalType: "address",
+        name: "doctorAddress",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "grantedAt",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+      {
+        internalType: "bool",
+        name: "isActive",
+        type: "bool",
+      },
+      {
+        internalType: "string",
+        name: "purpose",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "_patient",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "_doctor",
+        type: "address",
+      },
+    ],
+    name: "checkAccess",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "hasAccess",
+        type: "bool",
+      },
+      {
+        internalType: "uint256",
+        name: "grantedAt",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+      {
+        internalType: "string",
+        name: "purpose",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "_doctor",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "_recordId",
+        type: "uint256",
+      },
+    ],
+    name: "checkRecordAccess",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "string",
+        name: "_ipfsHash",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "_recordType",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "_description",
+        type: "string",
+      },
+      {
+        components: [
+          {
+            internalType: "bytes32",
+            name: "digest",
+            type: "bytes32",
+          },
+          {
+            internalType: "uint256",
+            name: "size",
+            type: "uint256",
+          },
+          {
+            internalType: "string",
+            name: "mimeType",
+            type: "string",
+          },
+        ],
+        internalType: "struct MedChainBase.RecordFile",
+        name: "_file",
+        type: "tuple",
+      },
+    ],
+    name: "createRecord",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "doctorApplicants",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "doctorCredentials",
+    outputs: [
+      {
+        internalType: "string",
+        name: "licenseNumber",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "issuingAuthority",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "specialty",
+        type: "string",
+      },
+      {
+        internalType: "enum MedChainBase.VerificationStatus",
+        name: "status",
+        type: "uint8",
+      },
+      {
+        internalType: "uint256",
+        name: "submittedAt",
+        type: "uint256",
+      },
+      {
+        internalType: "address",
+        name: "reviewedBy",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "reviewedAt",
+        type: "uint256",
+      },
+      {
+        internalType: "string",
+        name: "rejectionReason",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "emergencyAccessCounter",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "emergencyAccesses",
+    outputs: [
+      {
+        internalType: "address",
+        name: "doctor",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        internalType: "string",
+        name: "justification",
+        type: "string",
+      },
+      {
+        internalType: "uint256",
+        name: "invokedAt",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+      {
+        internalType: "bool",
+        name: "reviewed",
+        type: "bool",
+      },
+      {
+        internalType: "bool",
+        name: "justified",
+        type: "bool",
+      },
+      {
+        internalType: "address",
+        name: "reviewedBy",
+        type: "address",
+      },
+      {
+        internalType: "string",
+        name: "reviewNotes",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "emergencyMode",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes4",
+        name: "",
+        type: "bytes4",
+      },
+    ],
+    name: "extensions",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "_user",
+        type: "address",
+      },
+    ],
+    name: "getAuditTrail",
+    outputs: [
+      {
+        components: [
+          {
+            internalType: "address",
+            name: "accessor",
+            type: "address",
+          },
+          {
+            internalType: "address",
+            name: "patient",
+            type: "address",
+          },
+          {
+            internalType: "uint256",
+            name: "recordId",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "timestamp",
+            type: "uint256",
+          },
+          {
+            internalType: "string",
+            name: "action",
+            type: "string",
+          },
+          {
+            internalType: "enum MedChainBase.ActorType",
+            name: "actorType",
+            type: "uint8",
+          },
+          {
+            internalType: "string",
+            name: "reason",
+            type: "string",
+          },
+        ],
+        internalType: "struct MedChainBase.AuditLog[]",
+        name: "",
+        type: "tuple[]",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "_doctor",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "_offset",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "_limit",
+        type: "uint256",
+      },
+    ],
+    name: "getDoctorAccessibleRecords",
+    outputs: [
+      {
+        internalType: "uint256[]",
+        name: "recordIds",
+        type: "uint256[]",
+      },
+      {
+        internalType: "uint256",
+        name: "total",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "_doctor",
+        type: "address",
+      },
+    ],
+    name: "getGrantingPatients",
+    outputs: [
+      {
+        internalType: "address[]",
+        name: "",
+        type: "address[]",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "_patient",
+        type: "address",
+      },
+    ],
+    name: "getPatientAuditTrail",
+    outputs: [
+      {
+        components: [
+          {
+            internalType: "address",
+            name: "accessor",
+            type: "address",
+          },
+          {
+            internalType: "address",
+            name: "patient",
+            type: "address",
+          },
+          {
+            internalType: "uint256",
+            name: "recordId",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "timestamp",
+            type: "uint256",
+          },
+          {
+            internalType: "string",
+            name: "action",
+            type: "string",
+          },
+          {
+            internalType: "enum MedChainBase.ActorType",
+            name: "actorType",
+            type: "uint8",
+          },
+          {
+            internalType: "string",
+            name: "reason",
+            type: "string",
+          },
+        ],
+        internalType: "struct MedChainBase.AuditLog[]",
+        name: "",
+        type: "tuple[]",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "_patient",
+        type: "address",
+      },
+    ],
     name: "getPatientRecordIds",
     outputs: [
       {
@@ -359,87 +1900,300 @@ const _abi = [
     inputs: [
       {
         internalType: "uint256",
-        name: "_recordId",
+        name: "_recordId",
+        type: "uint256",
+      },
+    ],
+    name: "getRecord",
+    outputs: [
+      {
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        internalType: "string",
+        name: "ipfsHash",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "recordType",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "description",
+        type: "string",
+      },
+      {
+        internalType: "uint256",
+        name: "timestamp",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "getStats",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "totalRecords",
+        type: "uint256",
+      },
+      {
+        internalType: "bool",
+        name: "emergencyStatus",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "_userAddress",
+        type: "address",
+      },
+    ],
+    name: "getUserInfo",
+    outputs: [
+      {
+        internalType: "string",
+        name: "name",
+        type: "string",
+      },
+      {
+        internalType: "enum MedChainBase.UserRole",
+        name: "role",
+        type: "uint8",
+      },
+      {
+        internalType: "bool",
+        name: "isRegistered",
+        type: "bool",
+      },
+      {
+        internalType: "uint256",
+        name: "registrationTime",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "_doctor",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "_expiryDuration",
+        type: "uint256",
+      },
+      {
+        internalType: "string",
+        name: "_purpose",
+        type: "string",
+      },
+    ],
+    name: "grantAccess",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "_doctor",
+        type: "address",
+      },
+      {
+        internalType: "string[]",
+        name: "_recordTypes",
+        type: "string[]",
+      },
+      {
+        internalType: "uint256",
+        name: "_expiryDuration",
+        type: "uint256",
+      },
+      {
+        internalType: "string",
+        name: "_purpose",
+        type: "string",
+      },
+    ],
+    name: "grantCategoryAccess",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "_doctor",
+        type: "address",
+      },
+      {
+        internalType: "uint256[]",
+        name: "_recordIds",
+        type: "uint256[]",
+      },
+      {
+        internalType: "uint256",
+        name: "_expiryDuration",
+        type: "uint256",
+      },
+      {
+        internalType: "string",
+        name: "_purpose",
+        type: "string",
+      },
+    ],
+    name: "grantRecordAccess",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "latestEmergencyAccess",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "",
         type: "uint256",
       },
     ],
-    name: "getRecord",
+    name: "patientAuditTrails",
     outputs: [
+      {
+        internalType: "address",
+        name: "accessor",
+        type: "address",
+      },
       {
         internalType: "address",
         name: "patient",
         type: "address",
       },
       {
-        internalType: "string",
-        name: "ipfsHash",
-        type: "string",
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
       },
       {
-        internalType: "string",
-        name: "recordType",
-        type: "string",
+        internalType: "uint256",
+        name: "timestamp",
+        type: "uint256",
       },
       {
         internalType: "string",
-        name: "description",
+        name: "action",
         type: "string",
       },
       {
-        internalType: "uint256",
-        name: "timestamp",
-        type: "uint256",
+        internalType: "enum MedChainBase.ActorType",
+        name: "actorType",
+        type: "uint8",
+      },
+      {
+        internalType: "string",
+        name: "reason",
+        type: "string",
       },
     ],
     stateMutability: "view",
     type: "function",
   },
   {
-    inputs: [],
-    name: "getStats",
-    outputs: [
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
       {
         internalType: "uint256",
-        name: "totalRecords",
+        name: "",
         type: "uint256",
       },
+    ],
+    name: "patientRecords",
+    outputs: [
       {
-        internalType: "bool",
-        name: "emergencyStatus",
-        type: "bool",
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
       },
     ],
     stateMutability: "view",
     type: "function",
   },
   {
-    inputs: [
+    inputs: [],
+    name: "pendingAdmin",
+    outputs: [
       {
         internalType: "address",
-        name: "_userAddress",
+        name: "",
         type: "address",
       },
     ],
-    name: "getUserInfo",
-    outputs: [
-      {
-        internalType: "string",
-        name: "name",
-        type: "string",
-      },
-      {
-        internalType: "enum MedChain.UserRole",
-        name: "role",
-        type: "uint8",
-      },
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
       {
-        internalType: "bool",
-        name: "isRegistered",
-        type: "bool",
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
       },
+    ],
+    name: "pendingEmergencyReviews",
+    outputs: [
       {
         internalType: "uint256",
-        name: "registrationTime",
+        name: "",
         type: "uint256",
       },
     ],
@@ -450,39 +2204,49 @@ const _abi = [
     inputs: [
       {
         internalType: "address",
-        name: "_doctor",
+        name: "",
         type: "address",
       },
       {
-        internalType: "uint256",
-        name: "_expiryDuration",
-        type: "uint256",
-      },
-      {
-        internalType: "string",
-        name: "_purpose",
-        type: "string",
+        internalType: "address",
+        name: "",
+        type: "address",
       },
     ],
-    name: "grantAccess",
-    outputs: [],
-    stateMutability: "nonpayable",
-    type: "function",
-  },
-  {
-    inputs: [
+    name: "permissions",
+    outputs: [
       {
         internalType: "address",
-        name: "",
+        name: "doctorAddress",
         type: "address",
       },
       {
         internalType: "uint256",
-        name: "",
+        name: "grantedAt",
         type: "uint256",
       },
+      {
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+      {
+        internalType: "bool",
+        name: "isActive",
+        type: "bool",
+      },
+      {
+        internalType: "string",
+        name: "purpose",
+        type: "string",
+      },
     ],
-    name: "patientRecords",
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "recordCounter",
     outputs: [
       {
         internalType: "uint256",
@@ -505,8 +2269,13 @@ const _abi = [
         name: "",
         type: "address",
       },
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
     ],
-    name: "permissions",
+    name: "recordPermissions",
     outputs: [
       {
         internalType: "address",
@@ -539,7 +2308,7 @@ const _abi = [
   },
   {
     inputs: [],
-    name: "recordCounter",
+    name: "recordProposalCounter",
     outputs: [
       {
         internalType: "uint256",
@@ -595,6 +2364,43 @@ const _abi = [
         name: "exists",
         type: "bool",
       },
+      {
+        internalType: "uint256",
+        name: "version",
+        type: "uint256",
+      },
+      {
+        internalType: "bool",
+        name: "archived",
+        type: "bool",
+      },
+      {
+        internalType: "address",
+        name: "author",
+        type: "address",
+      },
+      {
+        components: [
+          {
+            internalType: "bytes32",
+            name: "digest",
+            type: "bytes32",
+          },
+          {
+            internalType: "uint256",
+            name: "size",
+            type: "uint256",
+          },
+          {
+            internalType: "string",
+            name: "mimeType",
+            type: "string",
+          },
+        ],
+        internalType: "struct MedChainBase.RecordFile",
+        name: "file",
+        type: "tuple",
+      },
     ],
     stateMutability: "view",
     type: "function",
@@ -607,7 +2413,7 @@ const _abi = [
         type: "string",
       },
       {
-        internalType: "enum MedChain.UserRole",
+        internalType: "enum MedChainBase.UserRole",
         name: "_role",
         type: "uint8",
       },
@@ -631,12 +2437,90 @@ const _abi = [
     type: "function",
   },
   {
-    inputs: [],
-    name: "toggleEmergencyMode",
+    inputs: [
+      {
+        internalType: "address",
+        name: "_doctor",
+        type: "address",
+      },
+      {
+        internalType: "string[]",
+        name: "_recordTypes",
+        type: "string[]",
+      },
+    ],
+    name: "revokeCategoryAccess",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "_doctor",
+        type: "address",
+      },
+      {
+        internalType: "uint256[]",
+        name: "_recordIds",
+        type: "uint256[]",
+      },
+    ],
+    name: "revokeRecordAccess",
     outputs: [],
     stateMutability: "nonpayable",
     type: "function",
   },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "systemAuditTrail",
+    outputs: [
+      {
+        internalType: "address",
+        name: "accessor",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "patient",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "recordId",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "timestamp",
+        type: "uint256",
+      },
+      {
+        internalType: "string",
+        name: "action",
+        type: "string",
+      },
+      {
+        internalType: "enum MedChainBase.ActorType",
+        name: "actorType",
+        type: "uint8",
+      },
+      {
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
   {
     inputs: [
       {
@@ -658,7 +2542,7 @@ const _abi = [
         type: "string",
       },
       {
-        internalType: "enum MedChain.UserRole",
+        internalType: "enum MedChainBase.UserRole",
         name: "role",
         type: "uint8",
       },
@@ -676,10 +2560,29 @@ const _abi = [
     stateMutability: "view",
     type: "function",
   },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "verifiers",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
 ] as const;
 
 const _bytecode =
-  "0x60806040523480156200001157600080fd5b50600680546001600160a81b0319163360ff60a01b198116919091179091556040805160a08101825291825280518082018252600c81526b29bcb9ba32b69020b236b4b760a11b60208083019190915283015281016003815260016020808301829052426040938401526006546001600160a01b03908116600090815280835293909320845181546001600160a01b031916941693909317835583015190820190620000be9082620001d6565b50604082015160028201805460ff19166001836003811115620000e557620000e56200011b565b021790555060608201516002820180549115156101000261ff0019909216919091179055608090910151600390910155620002a2565b634e487b7160e01b600052602160045260246000fd5b634e487b7160e01b600052604160045260246000fd5b600181811c908216806200015c57607f821691505b6020821081036200017d57634e487b7160e01b600052602260045260246000fd5b50919050565b601f821115620001d157600081815260208120601f850160051c81016020861015620001ac5750805b601f850160051c820191505b81811015620001cd57828155600101620001b8565b5050505b505050565b81516001600160401b03811115620001f257620001f262000131565b6200020a8162000203845462000147565b8462000183565b602080601f831160018114620002425760008415620002295750858301515b600019600386901b1c1916600185901b178555620001cd565b600085815260208120601f198616915b82811015620002735788860151825594840194600190910190840162000252565b5085821015620002925787850151600019600388901b60f8161c191681555b5050505050600190811b01905550565b61251280620002b26000396000f3fe608060405234801561001057600080fd5b506004361061012b5760003560e01c80636386c1c7116100ad578063a87430ba11610071578063a87430ba146102e1578063c59d484714610305578063c731f2e91461032a578063f851a4401461033d578063facff5d21461036857600080fd5b80636386c1c71461025e5780636b8df2a6146102815780637599be5d146102a457806385e68531146102bb57806394f0df61146102ce57600080fd5b8063338e12eb116100f4578063338e12eb146101e557806334461067146101fa5780634c17b530146102205780636248204e1461022857806362e1f7451461023b57600080fd5b8062ca5e9b1461013057806303e9e609146101595780630905f5601461017d5780631f9838b5146101a15780632535de48146101c5575b600080fd5b61014361013e366004611d12565b61037b565b6040516101509190611d73565b60405180910390f35b61016c610167366004611e07565b6104ad565b604051610150959493929190611e20565b60065461019190600160a01b900460ff1681565b6040519015158152602001610150565b6101b46101af366004611e7d565b61080f565b604051610150959493929190611eb0565b6101d86101d3366004611d12565b6108e1565b6040516101509190611ef0565b6101f86101f3366004611fd7565b610b3e565b005b61020d610208366004611e07565b610d6e565b604051610150979695949392919061202d565b6101f8610f50565b6101d8610236366004611d12565b611005565b61024e610249366004611e7d565b611071565b6040516101509493929190612099565b61027161026c366004611d12565b6111b4565b6040516101509493929190612102565b61029461028f366004612136565b6112f6565b6040516101509493929190612160565b6102ad60055481565b604051908152602001610150565b6101f86102c9366004611d12565b6113d2565b6102ad6102dc366004612136565b61154e565b6102f46102ef366004611d12565b61157f565b60405161015095949392919061218d565b600554600654600160a01b900460ff1660408051928352901515602083015201610150565b6101f86103383660046121d3565b611647565b600654610350906001600160a01b031681565b6040516001600160a01b039091168152602001610150565b6102ad61037636600461222a565b6118dd565b6001600160a01b0381166000908152600460209081526040808320805482518185028101850190935280835260609492939192909184015b828210156104a2576000848152602090819020604080516080810182526004860290920180546001600160a01b03168352600181015493830193909352600283015490820152600382018054919291606084019190610411906122a8565b80601f016020809104026020016040519081016040528092919081815260200182805461043d906122a8565b801561048a5780601f1061045f5761010080835404028352916020019161048a565b820191906000526020600020905b81548152906001019060200180831161046d57829003601f168201915b505050505081525050815260200190600101906103b3565b505050509050919050565b600081815260026020526040812060060154606090819081908490869060ff166105165760405162461bcd60e51b8152602060048201526015602482015274149958dbdc9908191bd95cc81b9bdd08195e1a5cdd605a1b60448201526064015b60405180910390fd5b6000878152600260208181526040808420815160e0810183528154815260018201546001600160a01b03169381019390935292830180549293929184019161055d906122a8565b80601f0160208091040260200160405190810160405280929190818152602001828054610589906122a8565b80156105d65780601f106105ab576101008083540402835291602001916105d6565b820191906000526020600020905b8154815290600101906020018083116105b957829003601f168201915b505050505081526020016003820180546105ef906122a8565b80601f016020809104026020016040519081016040528092919081815260200182805461061b906122a8565b80156106685780601f1061063d57610100808354040283529160200191610668565b820191906000526020600020905b81548152906001019060200180831161064b57829003601f168201915b50505050508152602001600482018054610681906122a8565b80601f01602080910402602001604051908101604052809291908181526020018280546106ad906122a8565b80156106fa5780601f106106cf576101008083540402835291602001916106fa565b820191906000526020600020905b8154815290600101906020018083116106dd57829003601f168201915b5050509183525050600582015460208083019190915260069092015460ff1615156040909101528101519091506001600160a01b031633148061074757506107478160200151338a611b2e565b8061078c5750600654600160a01b900460ff16801561078c575060023360009081526020819052604090206002015460ff16600381111561078a5761078a6120ca565b145b806107a157506006546001600160a01b031633145b6107e35760405162461bcd60e51b8152602060048201526013602482015272556e617574686f72697a65642061636365737360681b604482015260640161050d565b602081015160408201516060830151608084015160a090940151929b919a509850919650945092505050565b60036020818152600093845260408085209091529183529120805460018201546002830154938301546004840180546001600160a01b03909416959294929360ff909216929161085e906122a8565b80601f016020809104026020016040519081016040528092919081815260200182805461088a906122a8565b80156108d75780601f106108ac576101008083540402835291602001916108d7565b820191906000526020600020905b8154815290600101906020018083116108ba57829003601f168201915b5050505050905085565b606060023360009081526020819052604090206002015460ff16600381111561090c5761090c6120ca565b146109505760405162461bcd60e51b815260206004820152601460248201527313db9b1e48191bd8dd1bdc9cc8185b1b1bddd95960621b604482015260640161050d565b6001600160a01b03821633146109bb5760405162461bcd60e51b815260206004820152602a60248201527f43616e206f6e6c7920636865636b20796f7572206f776e2061636365737369626044820152696c65207265636f72647360b01b606482015260840161050d565b600060055467ffffffffffffffff8111156109d8576109d8611f34565b604051908082528060200260200182016040528015610a01578160200160208202803683370190505b509050600060015b6005548111610a975760008181526002602052604090206006015460ff1615610a85576000818152600260205260409020600101546001600160a01b0316610a52818784611b2e565b15610a835781848481518110610a6a57610a6a6122e2565b602090810291909101015282610a7f8161230e565b9350505b505b80610a8f8161230e565b915050610a09565b5060008167ffffffffffffffff811115610ab357610ab3611f34565b604051908082528060200260200182016040528015610adc578160200160208202803683370190505b50905060005b82811015610b3357838181518110610afc57610afc6122e2565b6020026020010151828281518110610b1657610b166122e2565b602090810291909101015280610b2b8161230e565b915050610ae2565b50925050505b919050565b33600090815260208190526040902060020154610100900460ff1615610ba65760405162461bcd60e51b815260206004820152601760248201527f5573657220616c72656164792072656769737465726564000000000000000000604482015260640161050d565b6001816003811115610bba57610bba6120ca565b1480610bd757506002816003811115610bd557610bd56120ca565b145b610c125760405162461bcd60e51b815260206004820152600c60248201526b496e76616c696420726f6c6560a01b604482015260640161050d565b6000825111610c5a5760405162461bcd60e51b81526020600482015260146024820152734e616d652063616e6e6f7420626520656d70747960601b604482015260640161050d565b6040518060a00160405280336001600160a01b03168152602001838152602001826003811115610c8c57610c8c6120ca565b8152600160208083018290524260409384015233600090815280825292909220835181546001600160a01b0319166001600160a01b039091161781559183015190820190610cda9082612372565b50604082015160028201805460ff19166001836003811115610cfe57610cfe6120ca565b021790555060608201516002820180549115156101000261ff001990921691909117905560809091015160039091015560405133907fc2e5d5da58bd71d1a2d14cdef02a4256d971b728088f8190d067ccfbae3bd73e90610d629085908590612432565b60405180910390a25050565b600260208190526000918252604090912080546001820154928201805491936001600160a01b03169291610da1906122a8565b80601f0160208091040260200160405190810160405280929190818152602001828054610dcd906122a8565b8015610e1a5780601f10610def57610100808354040283529160200191610e1a565b820191906000526020600020905b815481529060010190602001808311610dfd57829003601f168201915b505050505090806003018054610e2f906122a8565b80601f0160208091040260200160405190810160405280929190818152602001828054610e5b906122a8565b8015610ea85780601f10610e7d57610100808354040283529160200191610ea8565b820191906000526020600020905b815481529060010190602001808311610e8b57829003601f168201915b505050505090806004018054610ebd906122a8565b80601f0160208091040260200160405190810160405280929190818152602001828054610ee9906122a8565b8015610f365780601f10610f0b57610100808354040283529160200191610f36565b820191906000526020600020905b815481529060010190602001808311610f1957829003601f168201915b50505050600583015460069093015491929160ff16905087565b6006546001600160a01b03163314610f9f5760405162461bcd60e51b815260206004820152601260248201527113db9b1e4818591b5a5b88185b1b1bddd95960721b604482015260640161050d565b6006805460ff600160a01b808304821615810260ff60a01b1990931692909217928390556040517fb8a34678623c94d0d3977ce6d4db867e7e96ffd365f2c0f677563f8dddd4c84093610ffb9390049091161515815260200190565b60405180910390a1565b6001600160a01b03811660009081526001602090815260409182902080548351818402810184019094528084526060939283018282801561106557602002820191906000526020600020905b815481526020019060010190808311611051575b50505050509050919050565b6001600160a01b03808316600090815260036020818152604080842086861685528252808420815160a081018352815490961686526001810154928601929092526002820154908501529081015460ff161515606084810191909152600482018054939485948594859390916080840191906110ec906122a8565b80601f0160208091040260200160405190810160405280929190818152602001828054611118906122a8565b80156111655780601f1061113a57610100808354040283529160200191611165565b820191906000526020600020905b81548152906001019060200180831161114857829003601f168201915b50505050508152505090506000816060015180156111925750604082015115806111925750428260400151115b60208301516040840151608090940151919a9099509297509550909350505050565b6001600160a01b03808216600090815260208181526040808320815160a08101909252805490941681526001840180546060958594859485949093918401916111fc906122a8565b80601f0160208091040260200160405190810160405280929190818152602001828054611228906122a8565b80156112755780601f1061124a57610100808354040283529160200191611275565b820191906000526020600020905b81548152906001019060200180831161125857829003601f168201915b5050509183525050600282015460209091019060ff16600381111561129c5761129c6120ca565b60038111156112ad576112ad6120ca565b81526002820154610100900460ff161515602080830191909152600390920154604091820152908201519082015160608301516080909301519199909850919650945092505050565b6004602052816000526040600020818154811061131257600080fd5b600091825260209091206004909102018054600182015460028301546003840180546001600160a01b039094169650919450929161134f906122a8565b80601f016020809104026020016040519081016040528092919081815260200182805461137b906122a8565b80156113c85780601f1061139d576101008083540402835291602001916113c8565b820191906000526020600020905b8154815290600101906020018083116113ab57829003601f168201915b5050505050905084565b33600090815260208190526040902060020154610100900460ff166114095760405162461bcd60e51b815260040161050d90612454565b60013360009081526020819052604090206002015460ff166003811115611432576114326120ca565b1461144f5760405162461bcd60e51b815260040161050d90612481565b3360009081526003602081815260408084206001600160a01b0386168552909152909120015460ff166114bb5760405162461bcd60e51b815260206004820152601460248201527327379030b1ba34bb32903832b936b4b9b9b4b7b760611b604482015260640161050d565b3360008181526003602081815260408084206001600160a01b03871685528252808420909201805460ff191690558151808301909252600d82526c5245564f4b455f41434345535360981b90820152611515929190611c6a565b6040516001600160a01b0382169033907f825c8be24eb0df19500f63e86c29e7d0d951e73056b889b891d85e40938d9b6e90600090a350565b6001602052816000526040600020818154811061156a57600080fd5b90600052602060002001600091509150505481565b600060208190529081526040902080546001820180546001600160a01b0390921692916115ab906122a8565b80601f01602080910402602001604051908101604052809291908181526020018280546115d7906122a8565b80156116245780601f106115f957610100808354040283529160200191611624565b820191906000526020600020905b81548152906001019060200180831161160757829003601f168201915b505050506002830154600390930154919260ff8082169361010090920416915085565b33600090815260208190526040902060020154610100900460ff1661167e5760405162461bcd60e51b815260040161050d90612454565b60013360009081526020819052604090206002015460ff1660038111156116a7576116a76120ca565b146116c45760405162461bcd60e51b815260040161050d90612481565b60026001600160a01b03841660009081526020819052604090206002015460ff1660038111156116f6576116f66120ca565b146117435760405162461bcd60e51b815260206004820152601960248201527f43616e206f6e6c79206772616e7420746f20646f63746f727300000000000000604482015260640161050d565b6001600160a01b038316600090815260208190526040902060020154610100900460ff166117ab5760405162461bcd60e51b8152602060048201526015602482015274111bd8dd1bdc881b9bdd081c9959da5cdd195c9959605a1b604482015260640161050d565b60008083116117bb5760006117c5565b6117c583426124b0565b6040805160a0810182526001600160a01b03878116808352426020808501918252848601878152600160608701818152608088018c815233600090815260038087528b82209882529790955298909320875181546001600160a01b03191697169690961786559251928501929092559051600284015551908201805460ff191691151591909117905591519293509160048201906118639082612372565b509050506118973360006040518060400160405280600c81526020016b4752414e545f41434345535360a01b815250611c6a565b6040518181526001600160a01b0385169033907f65d0cc1e52d49938ca4ad9f423c79c1b84d914b9a683fbc5d3f93ac3cc5635f59060200160405180910390a350505050565b33600090815260208190526040812060020154610100900460ff166119145760405162461bcd60e51b815260040161050d90612454565b60013360009081526020819052604090206002015460ff16600381111561193d5761193d6120ca565b1461195a5760405162461bcd60e51b815260040161050d90612481565b60008451116119a05760405162461bcd60e51b815260206004820152601260248201527112541194c81a185cda081c995c5d5a5c995960721b604482015260640161050d565b600580549060006119b08361230e565b90915550506040805160e08101825260055480825233602080840191825283850189815260608501899052608085018890524260a0860152600160c0860181905260009485526002928390529590932084518155915194820180546001600160a01b0319166001600160a01b039096169590951790945590519192909190820190611a3b9082612372565b5060608201516003820190611a509082612372565b5060808201516004820190611a659082612372565b5060a082015160058281019190915560c0909201516006918201805460ff19169115159190911790553360008181526001602081815260408084208754815494850182559085529382902090920192909255935484518086019095529284526543524541544560d01b90840152611ade92909190611c6a565b336001600160a01b03166005547f99a9454438287bd513ed7da46fc0ff0cabc6b573eeafb583a59e01bc2e52ef9085604051611b1a91906124c9565b60405180910390a3506005545b9392505050565b6001600160a01b03808416600090815260036020818152604080842087861685528252808420815160a081018352815490961686526001810154928601929092526002820154908501529081015460ff1615156060840152600481018054929384939092916080840191611ba1906122a8565b80601f0160208091040260200160405190810160405280929190818152602001828054611bcd906122a8565b8015611c1a5780601f10611bef57610100808354040283529160200191611c1a565b820191906000526020600020905b815481529060010190602001808311611bfd57829003601f168201915b50505050508152505090508060600151611c38576000915050611b27565b60008160400151118015611c50575042816040015111155b15611c5f576000915050611b27565b506001949350505050565b6001600160a01b038381166000818152600460208181526040808420815160808101835295865285830189815242928701928352606087018981528254600180820185559388529490962087519490950290940180546001600160a01b03191693909716929092178655915190850155516002840155519091906003820190611cf39082612372565b505050505050565b80356001600160a01b0381168114610b3957600080fd5b600060208284031215611d2457600080fd5b611b2782611cfb565b6000815180845260005b81811015611d5357602081850181015186830182015201611d37565b506000602082860101526020601f19601f83011685010191505092915050565b60006020808301818452808551808352604092508286019150828160051b87010184880160005b83811015611df957888303603f19018552815180516001600160a01b0316845287810151888501528681015187850152606090810151608091850182905290611de581860183611d2d565b968901969450505090860190600101611d9a565b509098975050505050505050565b600060208284031215611e1957600080fd5b5035919050565b6001600160a01b038616815260a060208201819052600090611e4490830187611d2d565b8281036040840152611e568187611d2d565b90508281036060840152611e6a8186611d2d565b9150508260808301529695505050505050565b60008060408385031215611e9057600080fd5b611e9983611cfb565b9150611ea760208401611cfb565b90509250929050565b60018060a01b0386168152846020820152836040820152821515606082015260a060808201526000611ee560a0830184611d2d565b979650505050505050565b6020808252825182820181905260009190848201906040850190845b81811015611f2857835183529284019291840191600101611f0c565b50909695505050505050565b634e487b7160e01b600052604160045260246000fd5b600082601f830112611f5b57600080fd5b813567ffffffffffffffff80821115611f7657611f76611f34565b604051601f8301601f19908116603f01168101908282118183101715611f9e57611f9e611f34565b81604052838152866020858801011115611fb757600080fd5b836020870160208301376000602085830101528094505050505092915050565b60008060408385031215611fea57600080fd5b823567ffffffffffffffff81111561200157600080fd5b61200d85828601611f4a565b92505060208301356004811061202257600080fd5b809150509250929050565b8781526001600160a01b038716602082015260e06040820181905260009061205790830188611d2d565b82810360608401526120698188611d2d565b9050828103608084015261207d8187611d2d565b60a0840195909552505090151560c09091015295945050505050565b84151581528360208201528260408201526080606082015260006120c06080830184611d2d565b9695505050505050565b634e487b7160e01b600052602160045260246000fd5b600481106120fe57634e487b7160e01b600052602160045260246000fd5b9052565b6080815260006121156080830187611d2d565b905061212460208301866120e0565b92151560408201526060015292915050565b6000806040838503121561214957600080fd5b61215283611cfb565b946020939093013593505050565b60018060a01b03851681528360208201528260408201526080606082015260006120c06080830184611d2d565b6001600160a01b038616815260a0602082018190526000906121b190830187611d2d565b90506121c060408301866120e0565b9215156060820152608001529392505050565b6000806000606084860312156121e857600080fd5b6121f184611cfb565b925060208401359150604084013567ffffffffffffffff81111561221457600080fd5b61222086828701611f4a565b9150509250925092565b60008060006060848603121561223f57600080fd5b833567ffffffffffffffff8082111561225757600080fd5b61226387838801611f4a565b9450602086013591508082111561227957600080fd5b61228587838801611f4a565b9350604086013591508082111561229b57600080fd5b5061222086828701611f4a565b600181811c908216806122bc57607f821691505b6020821081036122dc57634e487b7160e01b600052602260045260246000fd5b50919050565b634e487b7160e01b600052603260045260246000fd5b634e487b7160e01b600052601160045260246000fd5b600060018201612320576123206122f8565b5060010190565b601f82111561236d57600081815260208120601f850160051c8101602086101561234e5750805b601f850160051c820191505b81811015611cf35782815560010161235a565b505050565b815167ffffffffffffffff81111561238c5761238c611f34565b6123a08161239a84546122a8565b84612327565b602080601f8311600181146123d557600084156123bd5750858301515b600019600386901b1c1916600185901b178555611cf3565b600085815260208120601f198616915b82811015612404578886015182559484019460019091019084016123e5565b50858210156124225787850151600019600388901b60f8161c191681555b5050505050600190811b01905550565b6040815260006124456040830185611d2d565b9050611b2760208301846120e0565b602080825260139082015272155cd95c881b9bdd081c9959da5cdd195c9959606a1b604082015260600190565b60208082526015908201527413db9b1e481c185d1a595b9d1cc8185b1b1bddd959605a1b604082015260600190565b808201808211156124c3576124c36122f8565b92915050565b602081526000611b276020830184611d2d56fea26469706673582212208d6544f1a5547c5adfc319f1b2a0df888d157bc8642747c16cbb0910c5412ace64736f6c63430008130033";
+  "0x608060405234801561001057600080fd5b50615cc380620000216000396000f3fe608060405234801561001057600080fd5b506004361061030b5760003560e01c8063670a4feb1161019d578063a87430ba116100e9578063daae5368116100a2578063f274e2d11161007c578063f274e2d11461087c578063f7b1da4714610885578063f851a440146108b3578063fd6c6d4a146108c65761030b565b8063daae536814610835578063e135a87914610848578063e182a682146108695761030b565b8063a87430ba146107ab578063ba008db0146107cf578063bdccd8c0146107e2578063c59d4847146107f5578063c731f2e91461081a578063d46473211461082d5761030b565b8063929887601161015657806394f0df611161013057806394f0df611461077457806397cfc6c714610787578063992ad8ae1461078f5780639da8e0db146107a25761030b565b8063929887601461073957806393597f2514610759578063943700501461076c5761030b565b8063670a4feb146106985780636b8df2a6146106bf5780636c824487146106d25780637599be5d146106f5578063765fddf7146106fe57806385e68531146107265761030b565b806328219c8d1161025c5780634233cf5a1161021557806358947824116101ef578063589478241461061f5780636248204e1461063257806362e1f745146106525780636386c1c7146106755761030b565b80634233cf5a146105cf578063429b62e5146105e25780634590e8ee146106055761030b565b806328219c8d1461051857806329e825931461052b5780633082c4e014610554578063338e12eb1461057f5780633446106714610592578063393580b0146105bc5761030b565b8063108b7934116102c95780631f9838b5116102a35780631f9838b5146104c357806320f2ce9e146104d65780632114ef1f146104fc57806326782247146105055761030b565b8063108b79341461046157806311117fc81461048557806318a958a8146104b05761030b565b8062ca5e9b146103a657806302edcff4146103cf57806303cf7d62146103ef57806303e9e6091461040657806308ced4bd1461042a5780630905f5601461043d575b600080356001600160e01b0319168152600d60205260409020546001600160a01b0316806103805760405162461bcd60e51b815260206004820152601760248201527f46756e6374696f6e20646f6573206e6f7420657869737400000000000000000060448201526064015b60405180910390fd5b3660008037600080366000845af43d6000803e80801561039f573d6000f35b3d6000fd5b005b6103b96103b4366004614ca9565b6108cf565b6040516103c69190614d3b565b60405180910390f35b6103e26103dd366004614ca9565b610ad3565b6040516103c69190614e0f565b6103f8601d5481565b6040519081526020016103c6565b610419610414366004614e5c565b610b49565b6040516103c6959493929190614e75565b6103f8610438366004614faf565b610ed7565b600c5461045190600160a01b900460ff1681565b60405190151581526020016103c6565b61047461046f36600461509d565b610ff2565b6040516103c69594939291906150d9565b610498610493366004614e5c565b6110ca565b6040516001600160a01b0390911681526020016103c6565b6103a46104be3660046151a7565b6110f4565b6104746104d13660046151f4565b611182565b6104e96104e4366004615227565b6111d1565b6040516103c69796959493929190615251565b6103f861a8c081565b601554610498906001600160a01b031681565b6103a46105263660046152b8565b611356565b610498610539366004615335565b600d602052600090815260409020546001600160a01b031681565b6103f86105623660046151f4565b600f60209081526000928352604080842090915290825290205481565b6103a461058d36600461535f565b6113e8565b6105a56105a0366004614e5c565b6113f3565b6040516103c69b9a999897969594939291906153dd565b6104986105ca366004614e5c565b6116ae565b6103b96105dd366004614ca9565b6116be565b6104516105f0366004614ca9565b60126020526000908152604090205460ff1681565b61060d600881565b60405160ff90911681526020016103c6565b6103a461062d366004615509565b611926565b610645610640366004614ca9565b6119b2565b6040516103c6919061558b565b6106656106603660046151f4565b611a1d565b6040516103c6949392919061559e565b610688610683366004614ca9565b611b60565b6040516103c694939291906155df565b6106ab6106a6366004614ca9565b611ca2565b6040516103c6989796959493929190615618565b6104e96106cd366004615227565b611f15565b6104516106e0366004614ca9565b60096020526000908152604090205460ff1681565b6103f8600b5481565b61071161070c366004614e5c565b611f31565b6040516103c6999897969594939291906156a4565b6103a4610734366004614ca9565b6120ac565b6103f8610747366004614e5c565b60166020526000908152604090205481565b6103a461076736600461571c565b612138565b61060d600481565b6103f8610782366004615227565b6121c2565b61060d600281565b61045161079d366004615227565b6121f3565b6103f8602b5481565b6107be6107b9366004614ca9565b612254565b6040516103c695949392919061575f565b6104e96107dd366004614e5c565b61231c565b6104196107f0366004614e5c565b612372565b600b54600c54600160a01b900460ff16604080519283529015156020830152016103c6565b6103a46108283660046157aa565b61263a565b61060d600181565b6103f8610843366004614e5c565b6126cb565b61085b610856366004615800565b6126ec565b6040516103c6929190615833565b61047461087736600461509d565b612b08565b6103f860115481565b610451610893366004615855565b601760209081526000928352604080842090915290825290205460ff1681565b600c54610498906001600160a01b031681565b6103f860145481565b6001600160a01b0381166000908152600660209081526040808320805482518185028101850190935280835260609492939192909184015b82821015610ac85760008481526020908190206040805160e0810182526007860290920180546001600160a01b039081168452600182015416938301939093526002830154908201526003820154606082015260048201805491929160808401919061097290615878565b80601f016020809104026020016040519081016040528092919081815260200182805461099e90615878565b80156109eb5780601f106109c0576101008083540402835291602001916109eb565b820191906000526020600020905b8154815290600101906020018083116109ce57829003601f168201915b5050509183525050600582015460209091019060ff166004811115610a1257610a12614d11565b6004811115610a2357610a23614d11565b8152602001600682018054610a3790615878565b80601f0160208091040260200160405190810160405280929190818152602001828054610a6390615878565b8015610ab05780601f10610a8557610100808354040283529160200191610ab0565b820191906000526020600020905b815481529060010190602001808311610a9357829003601f168201915b50505050508152505081526020019060010190610907565b505050509050919050565b6001600160a01b0381166000908152601e6020908152604091829020805483518184028101840190945280845260609392830182828015610b3d57602002820191906000526020600020905b81546001600160a01b03168152600190910190602001808311610b1f575b50505050509050919050565b600081815260026020526040812060060154606090819081908490869060ff16610b855760405162461bcd60e51b8152600401610377906158b2565b60008781526002602081815260408084208151610160810183528154815260018201546001600160a01b031693810193909352928301805492939291840191610bcd90615878565b80601f0160208091040260200160405190810160405280929190818152602001828054610bf990615878565b8015610c465780601f10610c1b57610100808354040283529160200191610c46565b820191906000526020600020905b815481529060010190602001808311610c2957829003601f168201915b50505050508152602001600382018054610c5f90615878565b80601f0160208091040260200160405190810160405280929190818152602001828054610c8b90615878565b8015610cd85780601f10610cad57610100808354040283529160200191610cd8565b820191906000526020600020905b815481529060010190602001808311610cbb57829003601f168201915b50505050508152602001600482018054610cf190615878565b80601f0160208091040260200160405190810160405280929190818152602001828054610d1d90615878565b8015610d6a5780601f10610d3f57610100808354040283529160200191610d6a565b820191906000526020600020905b815481529060010190602001808311610d4d57829003601f168201915b50505091835250506005820154602080830191909152600683015460ff908116151560408085019190915260078501546060808601919091526008860154928316151560808601526101009092046001600160a01b031660a0850152805191820181526009850180548352600a86015493830193909352600b8501805460c09095019492939291840191610dfd90615878565b80601f0160208091040260200160405190810160405280929190818152602001828054610e2990615878565b8015610e765780601f10610e4b57610100808354040283529160200191610e76565b820191906000526020600020905b815481529060010190602001808311610e5957829003601f168201915b505050505081525050815250509050610e8f3389612b5d565b610eab5760405162461bcd60e51b8152600401610377906158e1565b602081015160408201516060830151608084015160a090940151929b919a509850919650945092505050565b33600090815260208190526040812060020154610100900460ff16610f0e5760405162461bcd60e51b81526004016103779061590e565b60013360009081526020819052604090206002015460ff166003811115610f3757610f37614d11565b14610f545760405162461bcd60e51b81526004016103779061593b565b6000855111610f9a5760405162461bcd60e51b815260206004820152601260248201527112541194c81a185cda081c995c5d5a5c995960721b6044820152606401610377565b6000610faa333388888888612c28565b9050610fe9336000836040518060400160405280600681526020016543524541544560d01b815250600060405180602001604052806000815250612e81565b95945050505050565b6005602090815260009384526040808520825292845282842090528252902080546001820154600283015460038401546004850180546001600160a01b03909516959394929360ff9092169261104790615878565b80601f016020809104026020016040519081016040528092919081815260200182805461107390615878565b80156110c05780601f10611095576101008083540402835291602001916110c0565b820191906000526020600020905b8154815290600101906020018083116110a357829003601f168201915b5050505050905085565b601381815481106110da57600080fd5b6000918252602090912001546001600160a01b0316905081565b33600090815260208190526040902060020154610100900460ff1661112b5760405162461bcd60e51b81526004016103779061590e565b60013360009081526020819052604090206002015460ff16600381111561115457611154614d11565b146111715760405162461bcd60e51b81526004016103779061593b565b61117e3383836000612e98565b5050565b60036020818152600093845260408085209091529183529120805460018201546002830154938301546004840180546001600160a01b03909416959294929360ff909216929161104790615878565b600760205281600052604060002081815481106111ed57600080fd5b6000918252602090912060079091020180546001820154600283015460038401546004850180546001600160a01b03958616985093909416955090939092909161123690615878565b80601f016020809104026020016040519081016040528092919081815260200182805461126290615878565b80156112af5780601f10611284576101008083540402835291602001916112af565b820191906000526020600020905b81548152906001019060200180831161129257829003601f168201915b5050506005840154600685018054949560ff9092169491935091506112d390615878565b80601f01602080910402602001604051908101604052809291908181526020018280546112ff90615878565b801561134c5780601f106113215761010080835404028352916020019161134c565b820191906000526020600020905b81548152906001019060200180831161132f57829003601f168201915b5050505050905087565b33600090815260208190526040902060020154610100900460ff1661138d5760405162461bcd60e51b81526004016103779061590e565b60013360009081526020819052604090206002015460ff1660038111156113b6576113b6614d11565b146113d35760405162461bcd60e51b81526004016103779061593b565b6113e233858585856000612ffd565b50505050565b61117e33838361334c565b600260208190526000918252604090912080546001820154928201805491936001600160a01b0316929161142690615878565b80601f016020809104026020016040519081016040528092919081815260200182805461145290615878565b801561149f5780601f106114745761010080835404028352916020019161149f565b820191906000526020600020905b81548152906001019060200180831161148257829003601f168201915b5050505050908060030180546114b490615878565b80601f01602080910402602001604051908101604052809291908181526020018280546114e090615878565b801561152d5780601f106115025761010080835404028352916020019161152d565b820191906000526020600020905b81548152906001019060200180831161151057829003601f168201915b50505050509080600401805461154290615878565b80601f016020809104026020016040519081016040528092919081815260200182805461156e90615878565b80156115bb5780601f10611590576101008083540402835291602001916115bb565b820191906000526020600020905b81548152906001019060200180831161159e57829003601f168201915b505050506005830154600684015460078501546008860154604080516060810182526009890180548252600a8a01546020830152600b8a018054999a979960ff97881699509597968516966101009095046001600160a01b031695929391929184019161162790615878565b80601f016020809104026020016040519081016040528092919081815260200182805461165390615878565b80156116a05780601f10611675576101008083540402835291602001916116a0565b820191906000526020600020905b81548152906001019060200180831161168357829003601f168201915b50505050508152505090508b565b600a81815481106110da57600080fd5b6060336001600160a01b03831614806116e657503360009081526012602052604090205460ff165b8061171657506001600160a01b038216600090815260216020908152604080832033845290915290205460041615155b6117325760405162461bcd60e51b8152600401610377906158e1565b6001600160a01b038216600090815260076020908152604080832080548251818502810185019093528083529193909284015b82821015610ac85760008481526020908190206040805160e0810182526007860290920180546001600160a01b03908116845260018201541693830193909352600283015490820152600382015460608201526004820180549192916080840191906117d090615878565b80601f01602080910402602001604051908101604052809291908181526020018280546117fc90615878565b80156118495780601f1061181e57610100808354040283529160200191611849565b820191906000526020600020905b81548152906001019060200180831161182c57829003601f168201915b5050509183525050600582015460209091019060ff16600481111561187057611870614d11565b600481111561188157611881614d11565b815260200160068201805461189590615878565b80601f01602080910402602001604051908101604052809291908181526020018280546118c190615878565b801561190e5780601f106118e35761010080835404028352916020019161190e565b820191906000526020600020905b8154815290600101906020018083116118f157829003601f168201915b50505050508152505081526020019060010190611765565b33600090815260208190526040902060020154610100900460ff1661195d5760405162461bcd60e51b81526004016103779061590e565b60013360009081526020819052604090206002015460ff16600381111561198657611986614d11565b146119a35760405162461bcd60e51b81526004016103779061593b565b6113e2338585858560006135ee565b6001600160a01b038116600090815260016020908152604091829020805483518184028101840190945280845260609392830182828015610b3d57602002820191906000526020600020905b8154815260200190600101908083116119fe5750505050509050919050565b6001600160a01b03808316600090815260036020818152604080842086861685528252808420815160a081018352815490961686526001810154928601929092526002820154908501529081015460ff16151560608481019190915260048201805493948594859485939091608084019190611a9890615878565b80601f0160208091040260200160405190810160405280929190818152602001828054611ac490615878565b8015611b115780601f10611ae657610100808354040283529160200191611b11565b820191906000526020600020905b815481529060010190602001808311611af457829003601f168201915b5050505050815250509050600081606001518015611b3e575060408201511580611b3e5750428260400151115b60208301516040840151608090940151919a9099509297509550909350505050565b6001600160a01b03808216600090815260208181526040808320815160a0810190925280549094168152600184018054606095859485948594909391840191611ba890615878565b80601f0160208091040260200160405190810160405280929190818152602001828054611bd490615878565b8015611c215780601f10611bf657610100808354040283529160200191611c21565b820191906000526020600020905b815481529060010190602001808311611c0457829003601f168201915b5050509183525050600282015460209091019060ff166003811115611c4857611c48614d11565b6003811115611c5957611c59614d11565b81526002820154610100900460ff161515602080830191909152600390920154604091820152908201519082015160608301516080909301519199909850919650945092505050565b600860205260009081526040902080548190611cbd90615878565b80601f0160208091040260200160405190810160405280929190818152602001828054611ce990615878565b8015611d365780601f10611d0b57610100808354040283529160200191611d36565b820191906000526020600020905b815481529060010190602001808311611d1957829003601f168201915b505050505090806001018054611d4b90615878565b80601f0160208091040260200160405190810160405280929190818152602001828054611d7790615878565b8015611dc45780601f10611d9957610100808354040283529160200191611dc4565b820191906000526020600020905b815481529060010190602001808311611da757829003601f168201915b505050505090806002018054611dd990615878565b80601f0160208091040260200160405190810160405280929190818152602001828054611e0590615878565b8015611e525780601f10611e2757610100808354040283529160200191611e52565b820191906000526020600020905b815481529060010190602001808311611e3557829003601f168201915b5050506003840154600485015460058601546006870154600788018054979860ff909516979396506001600160a01b0390921694509291611e9290615878565b80601f0160208091040260200160405190810160405280929190818152602001828054611ebe90615878565b8015611f0b5780601f10611ee057610100808354040283529160200191611f0b565b820191906000526020600020905b815481529060010190602001808311611eee57829003601f168201915b5050505050905088565b600660205281600052604060002081815481106111ed57600080fd5b600e602052600090815260409020805460018201546002830180546001600160a01b03938416949290931692611f6690615878565b80601f0160208091040260200160405190810160405280929190818152602001828054611f9290615878565b8015611fdf5780601f10611fb457610100808354040283529160200191611fdf565b820191906000526020600020905b815481529060010190602001808311611fc257829003601f168201915b5050506003840154600485015460058601546006870180549697939692955060ff8083169550610100830416936001600160a01b0362010000909304929092169261202990615878565b80601f016020809104026020016040519081016040528092919081815260200182805461205590615878565b80156120a25780601f10612077576101008083540402835291602001916120a2565b820191906000526020600020905b81548152906001019060200180831161208557829003601f168201915b5050505050905089565b33600090815260208190526040902060020154610100900460ff166120e35760405162461bcd60e51b81526004016103779061590e565b60013360009081526020819052604090206002015460ff16600381111561210c5761210c614d11565b146121295760405162461bcd60e51b81526004016103779061593b565b6121353382600061393d565b50565b33600090815260208190526040902060020154610100900460ff1661216f5760405162461bcd60e51b81526004016103779061590e565b60013360009081526020819052604090206002015460ff16600381111561219857612198614d11565b146121b55760405162461bcd60e51b81526004016103779061593b565b61117e3383836000613a47565b600160205281600052604060002081815481106121de57600080fd5b90600052602060002001600091509150505481565b600081815260026020526040812060060154829060ff166122265760405162461bcd60e51b8152600401610377906158b2565b60008381526002602052604090206001015461224c906001600160a01b03168585613bd2565b949350505050565b600060208190529081526040902080546001820180546001600160a01b03909216929161228090615878565b80601f01602080910402602001604051908101604052809291908181526020018280546122ac90615878565b80156122f95780601f106122ce576101008083540402835291602001916122f9565b820191906000526020600020905b8154815290600101906020018083116122dc57829003601f168201915b505050506002830154600390930154919260ff8082169361010090920416915085565b6018818154811061232c57600080fd5b6000918252602090912060079091020180546001820154600283015460038401546004850180546001600160a01b03958616975093909416949193909261123690615878565b33600090815260208190526040812060020154606090819081908490610100900460ff166123b25760405162461bcd60e51b81526004016103779061590e565b600086815260026020526040902060060154869060ff166123e55760405162461bcd60e51b8152600401610377906158b2565b6123ef3388612b5d565b61240b5760405162461bcd60e51b8152600401610377906158e1565b61241487613bea565b604051879033907f24d3058e3afa4136d2f4e519c9ec64e668d597777f5afa0bc01e1697ea02100c90600090a360006002600089815260200190815260200160002090508060010160009054906101000a90046001600160a01b0316816002018260030183600401846005015483805461248d90615878565b80601f01602080910402602001604051908101604052809291908181526020018280546124b990615878565b80156125065780601f106124db57610100808354040283529160200191612506565b820191906000526020600020905b8154815290600101906020018083116124e957829003601f168201915b5050505050935082805461251990615878565b80601f016020809104026020016040519081016040528092919081815260200182805461254590615878565b80156125925780601f1061256757610100808354040283529160200191612592565b820191906000526020600020905b81548152906001019060200180831161257557829003601f168201915b505050505092508180546125a590615878565b80601f01602080910402602001604051908101604052809291908181526020018280546125d190615878565b801561261e5780601f106125f35761010080835404028352916020019161261e565b820191906000526020600020905b81548152906001019060200180831161260157829003601f168201915b5050505050915096509650965096509650505091939590929450565b33600090815260208190526040902060020154610100900460ff166126715760405162461bcd60e51b81526004016103779061590e565b60013360009081526020819052604090206002015460ff16600381111561269a5761269a614d11565b146126b75760405162461bcd60e51b81526004016103779061593b565b6126c633848484336000613e50565b505050565b601081815481106126db57600080fd5b600091825260209091200154905081565b606060006126f933614067565b6127455760405162461bcd60e51b815260206004820152601d60248201527f4f6e6c7920766572696669656420646f63746f727320616c6c6f7765640000006044820152606401610377565b6001600160a01b03851633146127b05760405162461bcd60e51b815260206004820152602a60248201527f43616e206f6e6c7920636865636b20796f7572206f776e2061636365737369626044820152696c65207265636f72647360b01b6064820152608401610377565b6001600160a01b0385166000908152601e60205260408120905b815481101561282c57600160008383815481106127e9576127e961596a565b60009182526020808320909101546001600160a01b031683528201929092526040019020546128189084615996565b925080612824816159a9565b9150506127ca565b5060008261283a8688615996565b10612845578261284f565b61284f8587615996565b9050600086821161286157600061286b565b61286b87836159c2565b6001600160401b0381111561288257612882614ed2565b6040519080825280602002602001820160405280156128ab578160200160208202803683370190505b50905060008060005b8554811080156128c357508482105b15612a61576000600160008884815481106128e0576128e061596a565b60009182526020808320909101546001600160a01b03168352820192909252604001902080549091508b906129159085615996565b1161292e5780546129269084615996565b925050612a4f565b60005b81548110801561294057508684105b15612a4c578b84612950816159a9565b955010612a3a576002600083838154811061296d5761296d61596a565b6000918252602080832090910154835282019290925260400190206008015460ff161580156129ed57506129ed8884815481106129ac576129ac61596a565b9060005260206000200160009054906101000a90046001600160a01b03168e8484815481106129dd576129dd61596a565b9060005260206000200154613bd2565b15612a3a57818181548110612a0457612a0461596a565b9060005260206000200154868680612a1b906159a9565b975081518110612a2d57612a2d61596a565b6020026020010181815250505b80612a44816159a9565b915050612931565b50505b80612a59816159a9565b9150506128b4565b50816001600160401b03811115612a7a57612a7a614ed2565b604051908082528060200260200182016040528015612aa3578160200160208202803683370190505b50965060005b82811015612afa57838181518110612ac357612ac361596a565b6020026020010151888281518110612add57612add61596a565b602090810291909101015280612af2816159a9565b915050612aa9565b505050505050935093915050565b6004602081815260009485526040808620825293855283852090529083529120805460018201546002830154600384015494840180546001600160a01b03909416959294919360ff9093169261104790615878565b6000818152600260205260408120600101546001600160a01b03908116908416811480612bb157506001600160a01b0380821660009081526021602090815260408083209388168352929052205460081615155b15612bc0576001915050612c22565b60008381526002602052604090206008015460ff1615612be4576000915050612c22565b612bef818585613bd2565b80612bff5750612bff81856140dd565b8061224c5750600c54600160a01b900460ff16801561224c575061224c84614067565b92915050565b8051600090612c795760405162461bcd60e51b815260206004820152601760248201527f436f6e74656e74206469676573742072657175697265640000000000000000006044820152606401610377565b600b8054906000612c89836159a9565b90915550506040805161016081018252600b548082526001600160a01b038a811660208085019182528486018b8152606086018b9052608086018a90524260a0870152600160c0870181905260e08701819052600061010088018190528e861661012089015261014088018b90529586526002928390529690942085518155915195820180546001600160a01b031916969093169590951790915590519192909190820190612d389082615a1b565b5060608201516003820190612d4d9082615a1b565b5060808201516004820190612d629082615a1b565b5060a0820151600582015560c082015160068201805460ff191691151591909117905560e08201516007820155610100808301516008830180546101208601516001600160a81b0319909116921515610100600160a81b031916929092176001600160a01b039092169092021790556101408201518051600983019081556020820151600a8401556040820151600b840190612dfe9082615a1b565b5050506001600160a01b0389166000818152600160208181526040808420600b80548254958601835591865292909420909201929092559054905191935091507f99a9454438287bd513ed7da46fc0ff0cabc6b573eeafb583a59e01bc2e52ef9090612e6b908890615ada565b60405180910390a350600b549695505050505050565b612e908686868633878761412a565b505050505050565b60005b8251811015612ff6576000838281518110612eb857612eb861596a565b6020908102919091018101516001600160a01b038089166000908152600484526040808220928a1682529184528181208382529093529091206003015490915060ff16612f175760405162461bcd60e51b815260040161037790615aed565b6001600160a01b0380871660009081526004602090815260408083209389168352928152828220848352905220600301805460ff19169055612f59868661458e565b612fa2868683604051806040016040528060148152602001735245564f4b455f5245434f52445f41434345535360601b8152508760405180602001604052806000815250612e81565b80856001600160a01b0316876001600160a01b03167fa70c2c6fef6d87711ce2db8b301fde3631595fe650f4441663b466c2b430fb2f60405160405180910390a45080612fee816159a9565b915050612e9b565b5050505050565b613006856146f6565b6130225760405162461bcd60e51b815260040161037790615b1b565b60008451116130695760405162461bcd60e51b8152602060048201526013602482015272139bc81c9958dbdc991cc81cd95b1958dd1959606a1b6044820152606401610377565b6000808411613079576000613083565b6130838442615996565b905060005b85518110156133425760008682815181106130a5576130a561596a565b6020908102919091018101516000818152600290925260409091206006015490915060ff166130e65760405162461bcd60e51b8152600401610377906158b2565b6000818152600260205260409020600101546001600160a01b038a81169116146131445760405162461bcd60e51b815260206004820152600f60248201526e139bdd081e5bdd5c881c9958dbdc99608a1b6044820152606401610377565b6001600160a01b03808a166000908152600460209081526040808320938c16835292815282822084835290522060030154613185908a908a9060ff16614728565b6131a28989600184604051806020016040528060008152506147c8565b6040518060a00160405280896001600160a01b0316815260200142815260200184815260200160011515815260200186815250600460008b6001600160a01b03166001600160a01b0316815260200190815260200160002060008a6001600160a01b03166001600160a01b03168152602001908152602001600020600083815260200190815260200160002060008201518160000160006101000a8154816001600160a01b0302191690836001600160a01b03160217905550602082015181600101556040820151816002015560608201518160030160006101000a81548160ff02191690831515021790555060808201518160040190816132a49190615a1b565b509050506132e1898983604051806040016040528060138152602001724752414e545f5245434f52445f41434345535360681b815250888a612e81565b80886001600160a01b03168a6001600160a01b03167f0a435db325f9105923c5c5d486e3167cf7ba64a5fa69d9e06c3b01da3447bfd68660405161332791815260200190565b60405180910390a4508061333a816159a9565b915050613088565b5050505050505050565b6001600160a01b038316600090815260208190526040902060020154610100900460ff16156133bd5760405162461bcd60e51b815260206004820152601760248201527f5573657220616c726561647920726567697374657265640000000000000000006044820152606401610377565b60028160038111156133d1576133d1614d11565b0361342d5760405162461bcd60e51b815260206004820152602660248201527f446f63746f7273206d75737420726567697374657220776974682063726564656044820152656e7469616c7360d01b6064820152608401610377565b600181600381111561344157613441614d11565b1461347d5760405162461bcd60e51b815260206004820152600c60248201526b496e76616c696420726f6c6560a01b6044820152606401610377565b60008251116134c55760405162461bcd60e51b81526020600482015260146024820152734e616d652063616e6e6f7420626520656d70747960601b6044820152606401610377565b6040518060a00160405280846001600160a01b031681526020018381526020018260038111156134f7576134f7614d11565b815260016020808301829052426040938401526001600160a01b03878116600090815280835293909320845181546001600160a01b0319169416939093178355830151908201906135489082615a1b565b50604082015160028201805460ff1916600183600381111561356c5761356c614d11565b021790555060608201516002820180549115156101000261ff00199092169190911790556080909101516003909101556135a68382614945565b826001600160a01b03167fc2e5d5da58bd71d1a2d14cdef02a4256d971b728088f8190d067ccfbae3bd73e83836040516135e1929190615b6e565b60405180910390a2505050565b6135f7856146f6565b6136135760405162461bcd60e51b815260040161037790615b1b565b600084511161365d5760405162461bcd60e51b8152602060048201526016602482015275139bc818d85d1959dbdc9a595cc81cd95b1958dd195960521b6044820152606401610377565b600080841161366d576000613677565b6136778442615996565b905060005b85518110156138f75760008682815181106136995761369961596a565b602002602001015151116136e65760405162461bcd60e51b8152602060048201526014602482015273149958dbdc99081d1e5c19481c995c5d5a5c995960621b6044820152606401610377565b60008682815181106136fa576136fa61596a565b6020908102919091018101518051908201206001600160a01b03808c166000908152600584526040808220928d16825291845281812083825290935290912060030154909150613750908a908a9060ff16614728565b6137788989600260008b878151811061376b5761376b61596a565b60200260200101516147c8565b6040518060a00160405280896001600160a01b0316815260200142815260200184815260200160011515815260200186815250600560008b6001600160a01b03166001600160a01b0316815260200190815260200160002060008a6001600160a01b03166001600160a01b03168152602001908152602001600020600083815260200190815260200160002060008201518160000160006101000a8154816001600160a01b0302191690836001600160a01b03160217905550602082015181600101556040820151816002015560608201518160030160006101000a81548160ff021916908315150217905550608082015181600401908161387a9190615a1b565b50905050876001600160a01b0316896001600160a01b03167f8b1e5788c5e9a6c8a37c91eb60d1009ec7a97f9f3c23837dd2f83e829c45286a8985815181106138c5576138c561596a565b6020026020010151866040516138dc929190615b99565b60405180910390a350806138ef816159a9565b91505061367c565b5061393487876000604051806040016040528060158152602001744752414e545f43415445474f52595f41434345535360581b8152508688612e81565b50505050505050565b6001600160a01b0380841660009081526003602081815260408084209487168452939052919020015460ff166139855760405162461bcd60e51b815260040161037790615aed565b6001600160a01b038084166000908152600360208181526040808420948716845293905291902001805460ff191690556139bf838361458e565b613a02838360006040518060400160405280600d81526020016c5245564f4b455f41434345535360981b8152508560405180602001604052806000815250612e81565b816001600160a01b0316836001600160a01b03167f825c8be24eb0df19500f63e86c29e7d0d951e73056b889b891d85e40938d9b6e60405160405180910390a3505050565b60005b8251811015613b85576000838281518110613a6757613a6761596a565b6020908102919091018101518051908201206001600160a01b038089166000908152600584526040808220928a1682529184528181208382529093529091206003015490915060ff16613acc5760405162461bcd60e51b815260040161037790615aed565b6001600160a01b0380871660009081526005602090815260408083209389168352928152828220848352905220600301805460ff19169055613b0e868661458e565b846001600160a01b0316866001600160a01b03167fdfe8c4b5e70a2b21884a099628f3aa35ecce67949b9d14e6a1eaa3dfcdea31ea868581518110613b5557613b5561596a565b6020026020010151604051613b6a9190615ada565b60405180910390a35080613b7d816159a9565b915050613a4a565b506113e284846000604051806040016040528060168152602001755245564f4b455f43415445474f52595f41434345535360501b8152508560405180602001604052806000815250612e81565b600080613be0858585614a1a565b5095945050505050565b6000818152600260205260409020600101546001600160a01b031633819003613c485761117e81600084604051806040016040528060048152602001635649455760e01b815250600060405180602001604052806000815250612e81565b6001600160a01b038116600090815260216020908152604080832033845290915290205460081615613caf5761117e81600084604051806040016040528060048152602001635649455760e01b815250600460405180602001604052806000815250612e81565b613cba813384613bd2565b15613cf55761117e81600084604051806040016040528060048152602001635649455760e01b8152506001613cf087338a614aac565b612e81565b613cff81336140dd565b15613df4576001600160a01b0381166000908152600f6020908152604080832033845282528083205481518083018352600e8082526d454d455247454e43595f5649455760901b82860152828652909352908320600201805491936126c69386939192889260039190613d7190615878565b80601f0160208091040260200160405190810160405280929190818152602001828054613d9d90615878565b8015613dea5780601f10613dbf57610100808354040283529160200191613dea565b820191906000526020600020905b815481529060010190602001808311613dcd57829003601f168201915b5050505050612e81565b61117e816000846040518060400160405280600e81526020016d454d455247454e43595f5649455760901b81525060036040518060400160405280600e81526020016d456d657267656e6379206d6f646560901b815250612e81565b613e59856146f6565b613e755760405162461bcd60e51b815260040161037790615b1b565b6000808511613e85576000613e8f565b613e8f8542615996565b6001600160a01b038089166000908152600360208181526040808420948c1684529390529190200154909150613ecb908890889060ff16614728565b613ee88787600080604051806020016040528060008152506147c8565b6040518060a00160405280876001600160a01b031681526020014281526020018281526020016001151581526020018581525060036000896001600160a01b03166001600160a01b031681526020019081526020016000206000886001600160a01b03166001600160a01b0316815260200190815260200160002060008201518160000160006101000a8154816001600160a01b0302191690836001600160a01b03160217905550602082015181600101556040820151816002015560608201518160030160006101000a81548160ff0219169083151502179055506080820151816004019081613fd99190615a1b565b50905050614011878760006040518060400160405280600c81526020016b4752414e545f41434345535360a01b81525087878a61412a565b856001600160a01b0316876001600160a01b03167f65d0cc1e52d49938ca4ad9f423c79c1b84d914b9a683fbc5d3f93ac3cc5635f58360405161405691815260200190565b60405180910390a350505050505050565b600060026001600160a01b03831660009081526020819052604090206002015460ff16600381111561409b5761409b614d11565b148015612c22575060026001600160a01b038316600090815260086020526040902060039081015460ff16908111156140d6576140d6614d11565b1492915050565b6001600160a01b038083166000908152600f60209081526040808320938516835292905290812054801580159061224c57506000908152600e602052604090206004015442109392505050565b60006040518060e00160405280856001600160a01b03168152602001896001600160a01b0316815260200187815260200142815260200186815260200184600481111561417957614179614d11565b815260209081018490526001600160a01b03808716600090815260068352604080822080546001818101835591845292859020865160079094020180549385166001600160a01b0319948516178155948601519085018054919094169216919091179091558201516002820155606082015160038201556080820151919250829160048201906142099082615a1b565b5060a082015160058201805460ff1916600183600481111561422d5761422d614d11565b021790555060c082015160068201906142469082615a1b565b5050506001600160a01b038716158015906142735750836001600160a01b0316876001600160a01b031614155b15614340576001600160a01b03808816600090815260066020908152604080832080546001818101835591855293839020865160079095020180549486166001600160a01b031995861617815592860151908301805491909516931692909217909255820151600282015560608201516003820155608082015182919060048201906142ff9082615a1b565b5060a082015160058201805460ff1916600183600481111561432357614323614d11565b021790555060c0820151600682019061433c9082615a1b565b5050505b6001600160a01b0388161561441a576001600160a01b0380891660009081526007602081815260408084208054600181810183559186529483902087519590940290930180549486166001600160a01b0319958616178155918601519282018054939095169290931691909117909255820151600282015560608201516003820155608082015182919060048201906143d99082615a1b565b5060a082015160058201805460ff191660018360048111156143fd576143fd614d11565b021790555060c082015160068201906144169082615a1b565b5050505b600283600481111561442e5761442e614d11565b036133425760188054600181018255600091909152815160079091027fb13d2d76d1f4b7be834882e410b3e3a8afaf69f83600ae24db354391d2378d2e810180546001600160a01b039384166001600160a01b031991821617825560208501517fb13d2d76d1f4b7be834882e410b3e3a8afaf69f83600ae24db354391d2378d2f840180549190951691161790925560408301517fb13d2d76d1f4b7be834882e410b3e3a8afaf69f83600ae24db354391d2378d3082015560608301517fb13d2d76d1f4b7be834882e410b3e3a8afaf69f83600ae24db354391d2378d3182015560808301518392917fb13d2d76d1f4b7be834882e410b3e3a8afaf69f83600ae24db354391d2378d3201906145449082615a1b565b5060a082015160058201805460ff1916600183600481111561456857614568614d11565b021790555060c082015160068201906145819082615a1b565b5050505050505050505050565b6001600160a01b038083166000908152602080805260408083209385168352929052908120805482906145c090615bac565b918290555011156145cf575050565b6001600160a01b038082166000908152601e60209081526040808320601f835281842094871684529390915281205482549091908390614611906001906159c2565b815481106146215761462161596a565b6000918252602090912001546001600160a01b0316905080836146456001856159c2565b815481106146555761465561596a565b600091825260208083209190910180546001600160a01b0319166001600160a01b039485161790558683168252601f8152604080832093851683529290522082905582548390806146a8576146a8615bc3565b60008281526020808220830160001990810180546001600160a01b03191690559092019092556001600160a01b039586168252601f8152604080832097909616825295909552505050812055565b600061470182614067565b80612c225750506001600160a01b03166000908152602f6020526040902060020154151590565b801561473357505050565b6001600160a01b038084166000908152602080805260408083209386168352929052908120805491614764836159a9565b919050556000036126c6576001600160a01b038083166000818152601e602090815260408083208054600181018255818552838520018054968a166001600160a01b0319909716871790559383529254601f82528383209483529390522055505050565b6000848484846040516020016147e19493929190615bd9565b60408051601f1981840301815291815281516020928301206001600160a01b038916600090815260278452828120828252909352912054909150156148265750612ff6565b60266000876001600160a01b03166001600160a01b031681526020019081526020016000206040518060800160405280876001600160a01b0316815260200186600281111561487757614877614d11565b8152602080820187905260409091018590528254600181018455600093845292819020825160039094020180546001600160a01b039094166001600160a01b031985168117825591830151929390929183916001600160a81b03191617600160a01b8360028111156148eb576148eb614d11565b0217905550604082015160018201556060820151600282019061490e9082615a1b565b5050506001600160a01b03861660009081526026602090815260408083205460278352818420948452939091529020555050505050565b6001600160a01b03821660009081526035602052604090205460ff166149cb576001600160a01b0382166000818152603560205260408120805460ff191660019081179091556034805491820181559091527f46bddb1178e94d7f2892ff5f366840eb658911794f2c3a44c450aa2c505186c10180546001600160a01b03191690911790555b603660008260038111156149e1576149e1614d11565b60038111156149f2576149f2614d11565b81526020019081526020016000206000815480929190614a11906159a9565b91905055505050565b600080614a28858585614b55565b6001600160a01b03861660009081526033602052604081209294509092505b815481108015614a55575083155b15614aa257614a8b87838381548110614a7057614a7061596a565b6000918252602090912001546001600160a01b031687614b55565b909450925080614a9a816159a9565b915050614a47565b5050935093915050565b60606000614abb858585614a1a565b915050806004018054614acd90615878565b80601f0160208091040260200160405190810160405280929190818152602001828054614af990615878565b8015614b465780601f10614b1b57610100808354040283529160200191614b46565b820191906000526020600020905b815481529060010190602001808311614b2957829003601f168201915b50505050509150509392505050565b6001600160a01b0380841660009081526003602090815260408083209386168352929052908120614b8581614c49565b15614b935760019150614c41565b506001600160a01b0380851660009081526004602090815260408083209387168352928152828220858352905220614bca81614c49565b15614bd85760019150614c41565b6001600160a01b0380861660009081526005602090815260408083209388168352928152828220868352600290915282822092519092614c1d91600390910190615c17565b604051809103902081526020019081526020016000209050614c3e81614c49565b91505b935093915050565b600381015460009060ff16614c6057506000919050565b60008260020154118015614c78575042826002015411155b15614c8557506000919050565b506001919050565b80356001600160a01b0381168114614ca457600080fd5b919050565b600060208284031215614cbb57600080fd5b614cc482614c8d565b9392505050565b6000815180845260005b81811015614cf157602081850181015186830182015201614cd5565b506000602082860101526020601f19601f83011685010191505092915050565b634e487b7160e01b600052602160045260246000fd5b60058110614d3757614d37614d11565b9052565b60006020808301818452808551808352604092508286019150828160051b87010184880160005b83811015614e0157888303603f19018552815180516001600160a01b03908116855288820151168885015286810151878501526060808201519085015260808082015160e08287018190529190614dbb83880182614ccb565b9250505060a080830151614dd182880182614d27565b505060c08083015192508582038187015250614ded8183614ccb565b968901969450505090860190600101614d62565b509098975050505050505050565b6020808252825182820181905260009190848201906040850190845b81811015614e505783516001600160a01b031683529284019291840191600101614e2b565b50909695505050505050565b600060208284031215614e6e57600080fd5b5035919050565b6001600160a01b038616815260a060208201819052600090614e9990830187614ccb565b8281036040840152614eab8187614ccb565b90508281036060840152614ebf8186614ccb565b9150508260808301529695505050505050565b634e487b7160e01b600052604160045260246000fd5b604051606081016001600160401b0381118282101715614f0a57614f0a614ed2565b60405290565b604051601f8201601f191681016001600160401b0381118282101715614f3857614f38614ed2565b604052919050565b600082601f830112614f5157600080fd5b81356001600160401b03811115614f6a57614f6a614ed2565b614f7d601f8201601f1916602001614f10565b818152846020838601011115614f9257600080fd5b816020850160208301376000918101602001919091529392505050565b60008060008060808587031215614fc557600080fd5b84356001600160401b0380821115614fdc57600080fd5b614fe888838901614f40565b95506020870135915080821115614ffe57600080fd5b61500a88838901614f40565b9450604087013591508082111561502057600080fd5b61502c88838901614f40565b9350606087013591508082111561504257600080fd5b908601906060828903121561505657600080fd5b61505e614ee8565b823581526020830135602082015260408301358281111561507e57600080fd5b61508a8a828601614f40565b6040830152509598949750929550505050565b6000806000606084860312156150b257600080fd5b6150bb84614c8d565b92506150c960208501614c8d565b9150604084013590509250925092565b60018060a01b0386168152846020820152836040820152821515606082015260a06080820152600061510e60a0830184614ccb565b979650505050505050565b60006001600160401b0382111561513257615132614ed2565b5060051b60200190565b600082601f83011261514d57600080fd5b8135602061516261515d83615119565b614f10565b82815260059290921b8401810191818101908684111561518157600080fd5b8286015b8481101561519c5780358352918301918301615185565b509695505050505050565b600080604083850312156151ba57600080fd5b6151c383614c8d565b915060208301356001600160401b038111156151de57600080fd5b6151ea8582860161513c565b9150509250929050565b6000806040838503121561520757600080fd5b61521083614c8d565b915061521e60208401614c8d565b90509250929050565b6000806040838503121561523a57600080fd5b61524383614c8d565b946020939093013593505050565b6001600160a01b03888116825287166020820152604081018690526060810185905260e06080820181905260009061528b90830186614ccb565b61529860a0840186614d27565b82810360c08401526152aa8185614ccb565b9a9950505050505050505050565b600080600080608085870312156152ce57600080fd5b6152d785614c8d565b935060208501356001600160401b03808211156152f357600080fd5b6152ff8883890161513c565b945060408701359350606087013591508082111561531c57600080fd5b5061532987828801614f40565b91505092959194509250565b60006020828403121561534757600080fd5b81356001600160e01b031981168114614cc457600080fd5b6000806040838503121561537257600080fd5b82356001600160401b0381111561538857600080fd5b61539485828601614f40565b9250506020830135600481106153a957600080fd5b809150509250929050565b8051825260208101516020830152600060408201516060604085015261224c6060850182614ccb565b8b81526001600160a01b038b166020820152610160604082018190526000906154088382018d614ccb565b9050828103606084015261541c818c614ccb565b90508281036080840152615430818b614ccb565b90508860a084015287151560c08401528660e08401528515156101008401526154656101208401866001600160a01b03169052565b82810361014084015261547881856153b4565b9e9d5050505050505050505050505050565b600082601f83011261549b57600080fd5b813560206154ab61515d83615119565b82815260059290921b840181019181810190868411156154ca57600080fd5b8286015b8481101561519c5780356001600160401b038111156154ed5760008081fd5b6154fb8986838b0101614f40565b8452509183019183016154ce565b6000806000806080858703121561551f57600080fd5b61552885614c8d565b935060208501356001600160401b038082111561554457600080fd5b6152ff8883890161548a565b600081518084526020808501945080840160005b8381101561558057815187529582019590820190600101615564565b509495945050505050565b602081526000614cc46020830184615550565b84151581528360208201528260408201526080606082015260006155c56080830184614ccb565b9695505050505050565b6004811061213557612135614d11565b6080815260006155f26080830187614ccb565b90506155fd856155cf565b60208201949094529115156040830152606090910152919050565b600061010080835261562c8184018c614ccb565b90508281036020840152615640818b614ccb565b90508281036040840152615654818a614ccb565b905061565f886155cf565b60608301889052608083018790526001600160a01b03861660a084015260c0830185905282810360e08401526156958185614ccb565b9b9a5050505050505050505050565b6001600160a01b038a811682528981166020830152610120604083018190526000916156d28483018c614ccb565b915089606085015288608085015287151560a085015286151560c085015280861660e08501525082810361010084015261570c8185614ccb565b9c9b505050505050505050505050565b6000806040838503121561572f57600080fd5b61573883614c8d565b915060208301356001600160401b0381111561575357600080fd5b6151ea8582860161548a565b6001600160a01b038616815260a06020820181905260009061578390830187614ccb565b905061578e856155cf565b6040820194909452911515606083015260809091015292915050565b6000806000606084860312156157bf57600080fd5b6157c884614c8d565b92506020840135915060408401356001600160401b038111156157ea57600080fd5b6157f686828701614f40565b9150509250925092565b60008060006060848603121561581557600080fd5b61581e84614c8d565b95602085013595506040909401359392505050565b6040815260006158466040830185615550565b90508260208301529392505050565b6000806040838503121561586857600080fd5b8235915061521e60208401614c8d565b600181811c9082168061588c57607f821691505b6020821081036158ac57634e487b7160e01b600052602260045260246000fd5b50919050565b602080825260159082015274149958dbdc9908191bd95cc81b9bdd08195e1a5cdd605a1b604082015260600190565b602080825260139082015272556e617574686f72697a65642061636365737360681b604082015260600190565b602080825260139082015272155cd95c881b9bdd081c9959da5cdd195c9959606a1b604082015260600190565b60208082526015908201527413db9b1e481c185d1a595b9d1cc8185b1b1bddd959605a1b604082015260600190565b634e487b7160e01b600052603260045260246000fd5b634e487b7160e01b600052601160045260246000fd5b80820180821115612c2257612c22615980565b6000600182016159bb576159bb615980565b5060010190565b81810381811115612c2257612c22615980565b601f8211156126c657600081815260208120601f850160051c810160208610156159fc5750805b601f850160051c820191505b81811015612e9057828155600101615a08565b81516001600160401b03811115615a3457615a34614ed2565b615a4881615a428454615878565b846159d5565b602080601f831160018114615a7d5760008415615a655750858301515b600019600386901b1c1916600185901b178555612e90565b600085815260208120601f198616915b82811015615aac57888601518255948401946001909101908401615a8d565b5085821015615aca5787850151600019600388901b60f8161c191681555b5050505050600190811b01905550565b602081526000614cc46020830184614ccb565b60208082526014908201527327379030b1ba34bb32903832b936b4b9b9b4b7b760611b604082015260600190565b60208082526033908201527f43616e206f6e6c79206772616e7420746f20766572696669656420646f63746f6040820152727273206f72206f7267616e697a6174696f6e7360681b606082015260800190565b604081526000615b816040830185614ccb565b9050615b8c836155cf565b8260208301529392505050565b6040815260006158466040830185614ccb565b600081615bbb57615bbb615980565b506000190190565b634e487b7160e01b600052603160045260246000fd5b6001600160a01b0385168152600060038510615bf757615bf7614d11565b846020830152836040830152608060608301526155c56080830184614ccb565b6000808354615c2581615878565b60018281168015615c3d5760018114615c5257615c81565b60ff1984168752821515830287019450615c81565b8760005260208060002060005b85811015615c785781548a820152908401908201615c5f565b50505082870194505b5092969550505050505056fea2646970667358221220ad3bc119515c2de30e22e8f6e890000042286ca7d171d2afff5d300aae48667064736f6c63430008130033";
 
 type MedChainConstructorParams =
   | [signer?: Signer]
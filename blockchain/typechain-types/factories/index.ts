@@ -2,3 +2,15 @@
 /* tslint:disable */
 /* eslint-disable */
 export { MedChain__factory } from "./MedChain__factory";
+export { MedChainAccess__factory } from "./MedChainAccess__factory";
+export { MedChainAdmins__factory } from "./MedChainAdmins__factory";
+export { MedChainBase__factory } from "./MedChainBase__factory";
+export { MedChainCredentials__factory } from "./MedChainCredentials__factory";
+export { MedChainEmergency__factory } from "./MedChainEmergency__factory";
+export { MedChainGuardians__factory } from "./MedChainGuardians__factory";
+export { MedChainKeys__factory } from "./MedChainKeys__factory";
+export { MedChainOrganizations__factory } from "./MedChainOrganizations__factory";
+export { MedChainProxy__factory } from "./MedChainProxy__factory";
+export { MedChainRecords__factory } from "./MedChainRecords__factory";
+export { MedChainRelay__factory } from "./MedChainRelay__factory";
+export { MedChainUpgrades__factory } from "./MedChainUpgrades__factory";
@@ -17,23 +17,239 @@ declare module "hardhat/types/runtime" {
       name: "MedChain",
       signerOrOptions?: ethers.Signer | FactoryOptions
     ): Promise<Contracts.MedChain__factory>;
+    getContractFactory(
+      name: "MedChainAccess",
+      signerOrOptions?: ethers.Signer | FactoryOptions
+    ): Promise<Contracts.MedChainAccess__factory>;
+    getContractFactory(
+      name: "MedChainAdmins",
+      signerOrOptions?: ethers.Signer | FactoryOptions
+    ): Promise<Contracts.MedChainAdmins__factory>;
+    getContractFactory(
+      name: "MedChainBase",
+      signerOrOptions?: ethers.Signer | FactoryOptions
+    ): Promise<Contracts.MedChainBase__factory>;
+    getContractFactory(
+      name: "MedChainCredentials",
+      signerOrOptions?: ethers.Signer | FactoryOptions
+    ): Promise<Contracts.MedChainCredentials__factory>;
+    getContractFactory(
+      name: "MedChainEmergency",
+      signerOrOptions?: ethers.Signer | FactoryOptions
+    ): Promise<Contracts.MedChainEmergency__factory>;
+    getContractFactory(
+      name: "MedChainGuardians",
+      signerOrOptions?: ethers.Signer | FactoryOptions
+    ): Promise<Contracts.MedChainGuardians__factory>;
+    getContractFactory(
+      name: "MedChainKeys",
+      signerOrOptions?: ethers.Signer | FactoryOptions
+    ): Promise<Contracts.MedChainKeys__factory>;
+    getContractFactory(
+      name: "MedChainOrganizations",
+      signerOrOptions?: ethers.Signer | FactoryOptions
+    ): Promise<Contracts.MedChainOrganizations__factory>;
+    getContractFactory(
+      name: "MedChainProxy",
+      signerOrOptions?: ethers.Signer | FactoryOptions
+    ): Promise<Contracts.MedChainProxy__factory>;
+    getContractFactory(
+      name: "MedChainRecords",
+      signerOrOptions?: ethers.Signer | FactoryOptions
+    ): Promise<Contracts.MedChainRecords__factory>;
+    getContractFactory(
+      name: "MedChainRelay",
+      signerOrOptions?: ethers.Signer | FactoryOptions
+    ): Promise<Contracts.MedChainRelay__factory>;
+    getContractFactory(
+      name: "MedChainUpgrades",
+      signerOrOptions?: ethers.Signer | FactoryOptions
+    ): Promise<Contracts.MedChainUpgrades__factory>;
 
     getContractAt(
       name: "MedChain",
       address: string | ethers.Addressable,
       signer?: ethers.Signer
     ): Promise<Contracts.MedChain>;
+    getContractAt(
+      name: "MedChainAccess",
+      address: string | ethers.Addressable,
+      signer?: ethers.Signer
+    ): Promise<Contracts.MedChainAccess>;
+    getContractAt(
+      name: "MedChainAdmins",
+      address: string | ethers.Addressable,
+      signer?: ethers.Signer
+    ): Promise<Contracts.MedChainAdmins>;
+    getContractAt(
+      name: "MedChainBase",
+      address: string | ethers.Addressable,
+      signer?: ethers.Signer
+    ): Promise<Contracts.MedChainBase>;
+    getContractAt(
+      name: "MedChainCredentials",
+      address: string | ethers.Addressable,
+      signer?: ethers.Signer
+    ): Promise<Contracts.MedChainCredentials>;
+    getContractAt(
+      name: "MedChainEmergency",
+      address: string | ethers.Addressable,
+      signer?: ethers.Signer
+    ): Promise<Contracts.MedChainEmergency>;
+    getContractAt(
+      name: "MedChainGuardians",
+      address: string | ethers.Addressable,
+      signer?: ethers.Signer
+    ): Promise<Contracts.MedChainGuardians>;
+    getContractAt(
+      name: "MedChainKeys",
+      address: string | ethers.Addressable,
+      signer?: ethers.Signer
+    ): Promise<Contracts.MedChainKeys>;
+    getContractAt(
+      name: "MedChainOrganizations",
+      address: string | ethers.Addressable,
+      signer?: ethers.Signer
+    ): Promise<Contracts.MedChainOrganizations>;
+    getContractAt(
+      name: "MedChainProxy",
+      address: string | ethers.Addressable,
+      signer?: ethers.Signer
+    ): Promise<Contracts.MedChainProxy>;
+    getContractAt(
+      name: "MedChainRecords",
+      address: string | ethers.Addressable,
+      signer?: ethers.Signer
+    ): Promise<Contracts.MedChainRecords>;
+    getContractAt(
+      name: "MedChainRelay",
+      address: string | ethers.Addressable,
+      signer?: ethers.Signer
+    ): Promise<Contracts.MedChainRelay>;
+    getContractAt(
+      name: "MedChainUpgrades",
+      address: string | ethers.Addressable,
+      signer?: ethers.Signer
+    ): Promise<Contracts.MedChainUpgrades>;
 
     deployContract(
       name: "MedChain",
       signerOrOptions?: ethers.Signer | DeployContractOptions
     ): Promise<Contracts.MedChain>;
+    deployContract(
+      name: "MedChainAccess",
+      signerOrOptions?: ethers.Signer | DeployContractOptions
+    ): Promise<Contracts.MedChainAccess>;
+    deployContract(
+      name: "MedChainAdmins",
+      signerOrOptions?: ethers.Signer | DeployContractOptions
+    ): Promise<Contracts.MedChainAdmins>;
+    deployContract(
+      name: "MedChainBase",
+      signerOrOptions?: ethers.Signer | DeployContractOptions
+    ): Promise<Contracts.MedChainBase>;
+    deployContract(
+      name: "MedChainCredentials",
+      signerOrOptions?: ethers.Signer | DeployContractOptions
+    ): Promise<Contracts.MedChainCredentials>;
+    deployContract(
+      name: "MedChainEmergency",
+      signerOrOptions?: ethers.Signer | DeployContractOptions
+    ): Promise<Contracts.MedChainEmergency>;
+    deployContract(
+      name: "MedChainGuardians",
+      signerOrOptions?: ethers.Signer | DeployContractOptions
+    ): Promise<Contracts.MedChainGuardians>;
+    deployContract(
+      name: "MedChainKeys",
+      signerOrOptions?: ethers.Signer | DeployContractOptions
+    ): Promise<Contracts.MedChainKeys>;
+    deployContract(
+      name: "MedChainOrganizations",
+      signerOrOptions?: ethers.Signer | DeployContractOptions
+    ): Promise<Contracts.MedChainOrganizations>;
+    deployContract(
+      name: "MedChainProxy",
+      signerOrOptions?: ethers.Signer | DeployContractOptions
+    ): Promise<Contracts.MedChainProxy>;
+    deployContract(
+      name: "MedChainRecords",
+      signerOrOptions?: ethers.Signer | DeployContractOptions
+    ): Promise<Contracts.MedChainRecords>;
+    deployContract(
+      name: "MedChainRelay",
+      signerOrOptions?: ethers.Signer | DeployContractOptions
+    ): Promise<Contracts.MedChainRelay>;
+    deployContract(
+      name: "MedChainUpgrades",
+      signerOrOptions?: ethers.Signer | DeployContractOptions
+    ): Promise<Contracts.MedChainUpgrades>;
 
     deployContract(
       name: "MedChain",
       args: any[],
       signerOrOptions?: ethers.Signer | DeployContractOptions
     ): Promise<Contracts.MedChain>;
+    deployContract(
+      name: "MedChainAccess",
+      args: any[],
+      signerOrOptions?: ethers.Signer | DeployContractOptions
+    ): Promise<Contracts.MedChainAccess>;
+    deployContract(
+      name: "MedChainAdmins",
+      args: any[],
+      signerOrOptions?: ethers.Signer | DeployContractOptions
+    ): Promise<Contracts.MedChainAdmins>;
+    deployContract(
+      name: "MedChainBase",
+      args: any[],
+      signerOrOptions?: ethers.Signer | DeployContractOptions
+    ): Promise<Contracts.MedChainBase>;
+    deployContract(
+      name: "MedChainCredentials",
+      args: any[],
+      signerOrOptions?: ethers.Signer | DeployContractOptions
+    ): Promise<Contracts.MedChainCredentials>;
+    deployContract(
+      name: "MedChainEmergency",
+      args: any[],
+      signerOrOptions?: ethers.Signer | DeployContractOptions
+    ): Promise<Contracts.MedChainEmergency>;
+    deployContract(
+      name: "MedChainGuardians",
+      args: any[],
+      signerOrOptions?: ethers.Signer | DeployContractOptions
+    ): Promise<Contracts.MedChainGuardians>;
+    deployContract(
+      name: "MedChainKeys",
+      args: any[],
+      signerOrOptions?: ethers.Signer | DeployContractOptions
+    ): Promise<Contracts.MedChainKeys>;
+    deployContract(
+      name: "MedChainOrganizations",
+      args: any[],
+      signerOrOptions?: ethers.Signer | DeployContractOptions
+    ): Promise<Contracts.MedChainOrganizations>;
+    deployContract(
+      name: "MedChainProxy",
+      args: any[],
+      signerOrOptions?: ethers.Signer | DeployContractOptions
+    ): Promise<Contracts.MedChainProxy>;
+    deployContract(
+      name: "MedChainRecords",
+      args: any[],
+      signerOrOptions?: ethers.Signer | DeployContractOptions
+    ): Promise<Contracts.MedChainRecords>;
+    deployContract(
+      name: "MedChainRelay",
+      args: any[],
+      signerOrOptions?: ethers.Signer | DeployContractOptions
+    ): Promise<Contracts.MedChainRelay>;
+    deployContract(
+      name: "MedChainUpgrades",
+      args: any[],
+      signerOrOptions?: ethers.Signer | DeployContractOptions
+    ): Promise<Contracts.MedChainUpgrades>;
 
     // default types
     getContractFactory(
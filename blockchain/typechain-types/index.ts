@@ -2,5 +2,29 @@
 /* tslint:disable */
 /* eslint-disable */
 export type { MedChain } from "./MedChain";
+export type { MedChainAccess } from "./MedChainAccess";
+export type { MedChainAdmins } from "./MedChainAdmins";
+export type { MedChainBase } from "./MedChainBase";
+export type { MedChainCredentials } from "./MedChainCredentials";
+export type { MedChainEmergency } from "./MedChainEmergency";
+export type { MedChainGuardians } from "./MedChainGuardians";
+export type { MedChainKeys } from "./MedChainKeys";
+export type { MedChainOrganizations } from "./MedChainOrganizations";
+export type { MedChainProxy } from "./MedChainProxy";
+export type { MedChainRecords } from "./MedChainRecords";
+export type { MedChainRelay } from "./MedChainRelay";
+export type { MedChainUpgrades } from "./MedChainUpgrades";
 export * as factories from "./factories";
 export { MedChain__factory } from "./factories/MedChain__factory";
+export { MedChainAccess__factory } from "./factories/MedChainAccess__factory";
+export { MedChainAdmins__factory } from "./factories/MedChainAdmins__factory";
+export { MedChainBase__factory } from "./factories/MedChainBase__factory";
+export { MedChainCredentials__factory } from "./factories/MedChainCredentials__factory";
+export { MedChainEmergency__factory } from "./factories/MedChainEmergency__factory";
+export { MedChainGuardians__factory } from "./factories/MedChainGuardians__factory";
+export { MedChainKeys__factory } from "./factories/MedChainKeys__factory";
+export { MedChainOrganizations__factory } from "./factories/MedChainOrganizations__factory";
+export { MedChainProxy__factory } from "./factories/MedChainProxy__factory";
+export { MedChainRecords__factory } from "./factories/MedChainRecords__factory";
+export { MedChainRelay__factory } from "./factories/MedChainRelay__factory";
+export { MedChainUpgrades__factory } from "./factories/MedChainUpgrades__factory";
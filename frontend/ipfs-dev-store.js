@@ -0,0 +1,109 @@
+// In-memory stand-in for the IPFS HTTP API, served by the Vite dev and preview servers
+//
+// Implements the two calls the app uses, /api/v0/add and /api/v0/cat. Files get the same
+// CIDv1 (raw, sha2-256) a Kubo node returns for small files added with raw leaves, so
+// records created against the stand-in keep working after switching to a real node.
+// Contents are lost when the server stops.
+
+import { createHash } from 'node:crypto';
+import { Buffer } from 'node:buffer';
+
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+
+const base32 = (bytes) => {
+  let output = '';
+  let bits = 0;
+  let value = 0;
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+// CIDv1 | raw codec | sha2-256 multihash, multibase base32
+const computeCid = (bytes) => {
+  const digest = createHash('sha256').update(bytes).digest();
+  return 'b' + base32(Buffer.concat([Buffer.from([0x01, 0x55, 0x12, 0x20]), digest]));
+};
+
+const readBody = async (req) => {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+const sendJson = (res, status, body) => {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(body));
+};
+
+const createHandler = (files) => async (req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+
+  if (req.method !== 'POST') {
+    sendJson(res, 405, { Message: 'method not allowed' });
+    return;
+  }
+
+  try {
+    if (url.pathname === '/add') {
+      const request = new Request(url, {
+        method: 'POST',
+        headers: { 'Content-Type': req.headers['content-type'] },
+        body: await readBody(req)
+      });
+      const file = (await request.formData()).get('file');
+      if (!file) {
+        sendJson(res, 400, { Message: 'file argument is required' });
+        return;
+      }
+
+      const bytes = Buffer.from(await file.arrayBuffer());
+      const cid = computeCid(bytes);
+      files.set(cid, bytes);
+
+      sendJson(res, 200, { Name: file.name, Hash: cid, Size: String(bytes.length) });
+    } else if (url.pathname === '/cat') {
+      const bytes = files.get(url.searchParams.get('arg'));
+      if (!bytes) {
+        sendJson(res, 500, { Message: 'block was not found locally (offline)' });
+        return;
+      }
+
+      res.setHeader('Content-Type', 'application/octet-stream');
+      res.end(bytes);
+    } else {
+      sendJson(res, 404, { Message: 'command not supported by the development store' });
+    }
+  } catch (error) {
+    sendJson(res, 500, { Message: error.message });
+  }
+};
+
+/**
+ * Vite plugin serving the in-memory IPFS API under `base`
+ * @param {string} base - Path the app's IPFS_API_URL points at
+ */
+export default function ipfsDevStore(base = '/ipfs-api') {
+  const files = new Map();
+  const handler = createHandler(files);
+
+  return {
+    name: 'ipfs-dev-store',
+    configureServer(server) {
+      server.middlewares.use(`${base}/api/v0`, handler);
+    },
+    configurePreviewServer(server) {
+      server.middlewares.use(`${base}/api/v0`, handler);
+    }
+  };
+}
@@ -1,4 +1,4 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useEffectEvent } from 'react';
 import { ethers } from 'ethers';
 import { 
   FileText, 
@@ -15,51 +15,297 @@ import {
   Stethoscope,
   Database,
   Lock,
-  Unlock
+  Unlock,
+  Eye,
+  BadgeCheck,
+  UserCog,
+  History,
+  Archive,
+  ArchiveRestore,
+  Pencil,
+  Inbox,
+  Send,
+  HeartHandshake,
+  Download,
+  ShieldCheck,
+  ShieldAlert,
+  KeyRound,
+  FileUp,
+  Building2,
+  LayoutDashboard,
+  Siren,
+  RefreshCw,
+  Search,
+  ArrowLeft,
+  Info
 } from 'lucide-react';
 import './App.css';
-import { CONTRACT_ADDRESS, CONTRACT_ABI } from './config';
+import { NETWORKS, DEFAULT_NETWORK, DEFAULT_CHAIN_ID, INDEXER_URL, RELAYER_URL } from './config';
+import {
+  deriveEncryptionKey,
+  getEncryptionPublicKey,
+  generateContentKey,
+  encryptFile,
+  decryptFile,
+  digestFile,
+  wrapContentKey,
+  unwrapContentKey
+} from './crypto';
+import { uploadFile, fetchFile } from './ipfs';
+import { fetchGrantHistory, fetchSystemEvents } from './indexer';
+import { SYSTEM_EVENTS } from './systemEvents';
+import { relayRequest } from './relayer';
+import { buildPatientBundle, validateBundle } from './fhir';
+import { parseCsvManifest, parseFhirBundle, validateImportRows } from './importer';
+
+const RECORD_TYPES = [
+  'Lab Report',
+  'X-Ray',
+  'Prescription',
+  'Diagnosis',
+  'Surgery Report',
+  'Vaccination'
+];
+
+// Mirrors MedChain.VerificationStatus
+const VERIFICATION_STATUS = { NONE: 0, PENDING: 1, VERIFIED: 2, REJECTED: 3 };
+
+const EMPTY_REGISTER_FORM = {
+  name: '',
+  role: '1',
+  licenseNumber: '',
+  issuingAuthority: '',
+  specialty: ''
+};
+
+// Mirrors MedChain.ActorType
+const ACTOR_TYPES = ['Patient', 'Doctor', 'Admin', 'Emergency', 'Guardian'];
+
+// Mirrors MedChain.GUARDIAN_* power flags
+const GUARDIAN_CREATE_RECORDS = 1;
+const GUARDIAN_MANAGE_ACCESS = 2;
+const GUARDIAN_VIEW_AUDIT = 4;
+const GUARDIAN_VIEW_RECORDS = 8;
+const GUARDIAN_POWERS = [
+  { flag: GUARDIAN_VIEW_RECORDS, label: 'View records' },
+  { flag: GUARDIAN_CREATE_RECORDS, label: 'Create records' },
+  { flag: GUARDIAN_MANAGE_ACCESS, label: 'Grant and revoke access' },
+  { flag: GUARDIAN_VIEW_AUDIT, label: 'View audit trail' }
+];
+
+const EMPTY_GUARDIAN_FORM = { patientAddress: '', guardianAddress: '', powers: [] };
+
+const EMPTY_ORGANIZATION_FORM = { name: '', owner: '', organization: '', doctor: '' };
+
+// Search, filters and ordering of the Records tab; doctors can also group by patient
+const EMPTY_RECORD_FILTER = {
+  query: '',
+  recordType: '',
+  patient: '',
+  from: '',
+  to: '',
+  sort: 'newest',
+  groupByPatient: true
+};
+
+const RECORD_SORTS = [
+  { value: 'newest', label: 'Newest first', compare: (a, b) => b.timestamp - a.timestamp },
+  { value: 'oldest', label: 'Oldest first', compare: (a, b) => a.timestamp - b.timestamp },
+  { value: 'type', label: 'Record type', compare: (a, b) => a.recordType.localeCompare(b.recordType) || b.timestamp - a.timestamp },
+  { value: 'description', label: 'Description', compare: (a, b) => a.description.localeCompare(b.description) }
+];
+
+// File types the record detail view shows as text; images and PDFs are embedded
+const TEXT_MIME_TYPES = ['application/json', 'application/fhir+json', 'application/xml', 'text/csv'];
+
+// Candidate records checked per getDoctorAccessibleRecords call
+const RECORDS_PAGE_SIZE = 25;
+
+const GRANT_HISTORY_PAGE_SIZE = 20;
+
+// Accounts per getUsers call in the admin dashboard's user directory
+const USER_PAGE_SIZE = 50;
+
+// Events shown in the admin dashboard's feed; without the indexer only the latest blocks are searched
+const SYSTEM_EVENTS_PAGE_SIZE = 25;
+const SYSTEM_EVENT_BLOCKS = 10000;
+
+// Records created per createRecords call when importing; MedChainRecords caps a batch at 20
+const IMPORT_BATCH_SIZE = 15;
+
+// Mirrors MedChain.ProposalStatus
+const PROPOSAL_STATUS = ['None', 'Pending', 'Accepted', 'Rejected'];
+
+// Mirrors MedChain.GrantScope
+const GRANT_SCOPE = { FULL: 0, RECORD: 1, CATEGORY: 2 };
+
+// Access requests reuse MedChain.ProposalStatus
+const ACCESS_REQUEST_STATUS = ['None', 'Pending', 'Approved', 'Denied'];
+
+// Grant lengths offered for grants, extensions and access requests, in seconds
+const ACCESS_DURATIONS = [
+  { value: '86400', label: '1 Day' },
+  { value: '604800', label: '1 Week' },
+  { value: '2592000', label: '1 Month' },
+  { value: '7776000', label: '3 Months' }
+];
+
+const EMPTY_REQUEST_FORM = { patientAddress: '', purpose: '', duration: '2592000' };
+
+const EMPTY_PROPOSAL_FORM = { patientAddress: '', recordType: '', description: '', file: null };
+
+const EMPTY_AMEND_FORM = { recordId: null, file: null, description: '', reason: '' };
+
+const EMPTY_ACCESS_FORM = {
+  doctorAddress: '',
+  duration: '2592000', // 30 days default
+  purpose: '',
+  scope: 'all', // 'all' | 'records' | 'categories'
+  recordIds: [],
+  recordTypes: []
+};
 
 function App() {
   // State Management
-  const [provider, setProvider] = useState(null);
   const [signer, setSigner] = useState(null);
   const [contract, setContract] = useState(null);
   const [account, setAccount] = useState('');
+  const [network, setNetwork] = useState(NETWORKS[DEFAULT_CHAIN_ID] || null); // deployment the app talks to
+  const [walletChainId, setWalletChainId] = useState(null);
   const [userInfo, setUserInfo] = useState(null);
+  const [credential, setCredential] = useState(null);
+  const [isVerifier, setIsVerifier] = useState(false);
+  const [pendingDoctors, setPendingDoctors] = useState([]);
+  const [emergencySessions, setEmergencySessions] = useState([]);
+  const [emergencyReviews, setEmergencyReviews] = useState([]);
+  const [recordProposals, setRecordProposals] = useState([]); // patient's inbox or doctor's submissions
+  const [guardians, setGuardians] = useState([]);
+  const [grants, setGrants] = useState([]); // patient's grant list, revoked grants left out
+  const [grantHistory, setGrantHistory] = useState({ items: [], total: 0 }); // from the indexer, when configured
+  const [accessRequests, setAccessRequests] = useState([]); // patient's pending requests or doctor's filed requests
+  const [extendDuration, setExtendDuration] = useState('2592000');
+  const [now, setNow] = useState(() => Math.floor(Date.now() / 1000)); // ticks while grant countdowns are shown
+  const [dependants, setDependants] = useState([]);
+  const [actingFor, setActingFor] = useState(null); // dependant a guardian currently acts for
+  const [adminInfo, setAdminInfo] = useState({ admins: [], quorum: 1, primaryAdmin: '', pendingAdmin: '' });
+  const [systemStats, setSystemStats] = useState(null); // admin dashboard counts, with emergency mode approvals
+  const [userDirectory, setUserDirectory] = useState({ users: [], total: 0 });
+  const [directoryFilter, setDirectoryFilter] = useState({ role: '', query: '' });
+  const [systemEvents, setSystemEvents] = useState([]);
+  const [isPendingAdmin, setIsPendingAdmin] = useState(false);
+  const [encryptionKey, setEncryptionKey] = useState(null); // derived from a wallet signature, never leaves the browser
+  const [hasPublishedKey, setHasPublishedKey] = useState(false);
+  const [recordFile, setRecordFile] = useState(null); // file picked for the new record
+  const [importRows, setImportRows] = useState([]); // rows of the import manifest, with their issues and status
+  const [importFiles, setImportFiles] = useState([]); // files picked for the manifest's rows
   const [loading, setLoading] = useState(false);
   const [activeTab, setActiveTab] = useState('home');
   const [records, setRecords] = useState([]);
+  const [recordsPage, setRecordsPage] = useState(null); // doctor's paging cursor, null once every record is loaded
+  const [recordErrors, setRecordErrors] = useState([]); // records listed but not loaded: { id, reason }
   const [auditLogs, setAuditLogs] = useState([]);
+  const [actorNames, setActorNames] = useState({});
+  const [openedRecords, setOpenedRecords] = useState({});
+  const [fileChecks, setFileChecks] = useState({}); // recordId => 'verified' | 'tampered' | 'undecryptable', after a download
+  const [recordHistories, setRecordHistories] = useState({}); // recordId => superseded versions, for expanded cards
+  const [recordFilter, setRecordFilter] = useState(EMPTY_RECORD_FILTER);
+  const [recordDetail, setRecordDetail] = useState(null); // { recordId, tab } of the record shown in detail, in the tab it was opened from
+  const [recordPreview, setRecordPreview] = useState(null); // { recordId, mimeType, url, text } of the file shown in the detail view
   const [stats, setStats] = useState({ totalRecords: 0, emergencyStatus: false });
 
   // Form States
-  const [registerForm, setRegisterForm] = useState({ name: '', role: '1' });
+  const [registerForm, setRegisterForm] = useState(EMPTY_REGISTER_FORM);
   const [recordForm, setRecordForm] = useState({
     ipfsHash: '',
     recordType: '',
     description: ''
   });
-  const [accessForm, setAccessForm] = useState({
-    doctorAddress: '',
-    duration: '2592000', // 30 days default
-    purpose: ''
-  });
+  const [accessForm, setAccessForm] = useState(EMPTY_ACCESS_FORM);
+  const [emergencyForm, setEmergencyForm] = useState({ patientAddress: '', justification: '' });
+  const [adminForm, setAdminForm] = useState({ address: '', name: '', quorum: '', newPrimary: '' });
+  const [amendForm, setAmendForm] = useState(EMPTY_AMEND_FORM);
+  const [proposalForm, setProposalForm] = useState(EMPTY_PROPOSAL_FORM);
+  const [guardianForm, setGuardianForm] = useState(EMPTY_GUARDIAN_FORM);
+  const [organizations, setOrganizations] = useState([]); // every organization with its owner and members
+  const [organizationForm, setOrganizationForm] = useState(EMPTY_ORGANIZATION_FORM);
+  const [requestForm, setRequestForm] = useState(EMPTY_REQUEST_FORM);
 
   // Initialize Web3
   useEffect(() => {
     initializeWeb3();
   }, []);
 
+  // Refresh access requests when the other side acts on them
+  const onAccessRequestEvent = useEffectEvent(async () => {
+    if (userInfo.role === 2 && !actingFor) {
+      await loadAccessRequests(contract, account, 2);
+      await loadDoctorAccessibleRecords(contract, account);
+    } else {
+      const patientAddress = actingFor ? actingFor.address : account;
+      await loadAccessRequests(contract, patientAddress, 1);
+      await loadGrants(contract, patientAddress);
+    }
+  });
+
+  useEffect(() => {
+    if (!contract || !account || !userInfo) return;
+
+    // Doctors hear about decisions on their requests, patients (and guardians acting for them) about new requests
+    const filters = userInfo.role === 2 && !actingFor
+      ? [contract.filters.AccessRequestApproved(null, null, account), contract.filters.AccessRequestDenied(null, null, account)]
+      : [contract.filters.AccessRequested(null, actingFor ? actingFor.address : account)];
+    const listener = () => onAccessRequestEvent();
+
+    filters.forEach((filter) => contract.on(filter, listener));
+    return () => filters.forEach((filter) => contract.off(filter, listener));
+  }, [contract, account, userInfo, actingFor]);
+
+  // Move to the deployment on the wallet's new chain without reloading the page
+  const onChainChanged = useEffectEvent((chainId) => handleChainChange(chainId));
+
+  useEffect(() => {
+    if (!window.ethereum) return;
+
+    const listener = (chainId) => onChainChanged(chainId);
+    window.ethereum.on('chainChanged', listener);
+    return () => window.ethereum.removeListener('chainChanged', listener);
+  }, []);
+
+  // Start over as the wallet's new account
+  const onAccountsChanged = useEffectEvent((accounts) => handleAccountChange(accounts));
+
+  useEffect(() => {
+    if (!window.ethereum) return;
+
+    const listener = (accounts) => onAccountsChanged(accounts);
+    window.ethereum.on('accountsChanged', listener);
+    return () => window.ethereum.removeListener('accountsChanged', listener);
+  }, []);
+
+  // Keep grant countdowns current
+  useEffect(() => {
+    if (activeTab !== 'access') return;
+
+    setNow(Math.floor(Date.now() / 1000));
+    const timer = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 30000);
+    return () => clearInterval(timer);
+  }, [activeTab]);
+
+  // Release the decrypted file of the detail view once it is replaced or closed
+  useEffect(() => {
+    if (!recordPreview) return;
+    return () => URL.revokeObjectURL(recordPreview.url);
+  }, [recordPreview]);
+
   const initializeWeb3 = async () => {
     if (window.ethereum) {
       try {
-        const web3Provider = new ethers.BrowserProvider(window.ethereum);
-        setProvider(web3Provider);
-
-        // Listen for account changes
-        window.ethereum.on('accountsChanged', handleAccountChange);
-        window.ethereum.on('chainChanged', () => window.location.reload());
+        // Start on the wallet's chain when MedChain is deployed there
+        const chainId = Number(await window.ethereum.request({ method: 'eth_chainId' }));
+        setWalletChainId(chainId);
+        if (NETWORKS[chainId]) {
+          setNetwork(NETWORKS[chainId]);
+        }
       } catch (error) {
         console.error('Error initializing Web3:', error);
       }
@@ -68,50 +314,72 @@ function App() {
     }
   };
 
-  const connectWallet = async () => {
+  // Ask the wallet to switch to a network, adding the chain if the wallet doesn't know it
+  const switchWalletChain = async (target) => {
+    const chainId = ethers.toQuantity(target.chainId);
     try {
-      setLoading(true);
-      
-      // Switch to Sepolia network
-      try {
+      await window.ethereum.request({
+        method: 'wallet_switchEthereumChain',
+        params: [{ chainId }],
+      });
+    } catch (switchError) {
+      if (switchError.code === 4902) {
         await window.ethereum.request({
-          method: 'wallet_switchEthereumChain',
-          params: [{ chainId: '0xaa36a7' }], // Sepolia chain ID
+          method: 'wallet_addEthereumChain',
+          params: [{
+            chainId,
+            chainName: target.name,
+            rpcUrls: [target.rpcUrl],
+            nativeCurrency: { name: 'ETH', symbol: 'ETH', decimals: 18 },
+            blockExplorerUrls: target.explorerUrl ? [target.explorerUrl] : undefined
+          }],
         });
-      } catch (switchError) {
-        // If chain doesn't exist, add it
-        if (switchError.code === 4902) {
-          await window.ethereum.request({
-            method: 'wallet_addEthereumChain',
-            params: [{
-              chainId: '0xaa36a7',
-              chainName: 'Sepolia',
-              rpcUrls: ['https://sepolia.infura.io/v3/'],
-              nativeCurrency: { name: 'ETH', symbol: 'ETH', decimals: 18 },
-              blockExplorerUrls: ['https://sepolia.etherscan.io/']
-            }],
-          });
-        }
       }
+    }
+  };
+
+  // Talk to a network's deployment as the wallet's current account
+  const connectContract = async (target, address) => {
+    // A provider is tied to one chain, so every network gets a fresh one
+    const web3Provider = new ethers.BrowserProvider(window.ethereum);
+    const web3Signer = await web3Provider.getSigner();
+    setSigner(web3Signer);
+
+    const contractInstance = new ethers.Contract(
+      target.contractAddress,
+      target.abi,
+      web3Signer
+    );
+    setContract(contractInstance);
+
+    // Check if user is registered
+    await loadUserInfo(contractInstance, address);
+    await loadStats(contractInstance);
+  };
+
+  const connectWallet = async () => {
+    if (!network) {
+      alert('MedChain is not deployed on any supported network');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      
+      await switchWalletChain(network);
       
       const accounts = await window.ethereum.request({ 
         method: 'eth_requestAccounts' 
       });
-      
-      const web3Signer = await provider.getSigner();
-      setSigner(web3Signer);
       setAccount(accounts[0]);
 
-      const contractInstance = new ethers.Contract(
-        CONTRACT_ADDRESS,
-        CONTRACT_ABI,
-        web3Signer
-      );
-      setContract(contractInstance);
-
-      // Check if user is registered
-      await loadUserInfo(contractInstance, accounts[0]);
-      await loadStats(contractInstance);
+      // The wallet may have stayed on another chain if the switch was declined
+      const chainId = Number(await window.ethereum.request({ method: 'eth_chainId' }));
+      setWalletChainId(chainId);
+      if (NETWORKS[chainId]) {
+        setNetwork(NETWORKS[chainId]);
+        await connectContract(NETWORKS[chainId], accounts[0]);
+      }
     } catch (error) {
       console.error('Error connecting wallet:', error);
       alert('Failed to connect wallet');
@@ -120,39 +388,141 @@ function App() {
     }
   };
 
+  // Wallet moved to another chain: start over on that chain's deployment, if there is one
+  const handleChainChange = async (chainIdHex) => {
+    const chainId = Number(chainIdHex);
+    const target = NETWORKS[chainId];
+    setWalletChainId(chainId);
+    if (target) {
+      setNetwork(target);
+    }
+    if (!account) return;
+
+    resetSession();
+    if (!target) return;
+
+    try {
+      setLoading(true);
+      await connectContract(target, account);
+    } catch (error) {
+      console.error('Error switching network:', error);
+      alert('Failed to switch network: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Picked in the network selector; once connected, the wallet's chainChanged event does the rest
+  const handleSelectNetwork = async (chainId) => {
+    const target = NETWORKS[chainId];
+    if (!account) {
+      setNetwork(target);
+      return;
+    }
+
+    try {
+      await switchWalletChain(target);
+    } catch (error) {
+      console.error('Error switching network:', error);
+      alert('Failed to switch network: ' + error.message);
+    }
+  };
+
+  // Nothing of the previous account may carry over: its records, unlocked key or dependant
   const handleAccountChange = async (accounts) => {
+    if (!account) return;
+
+    resetSession();
     if (accounts.length === 0) {
       // User disconnected
       setAccount('');
-      setUserInfo(null);
-      setContract(null);
-    } else {
-      setAccount(accounts[0]);
-      if (contract) {
-        await loadUserInfo(contract, accounts[0]);
-      }
+      return;
+    }
+
+    setAccount(accounts[0]);
+    const target = NETWORKS[walletChainId];
+    if (!target) return;
+
+    try {
+      setLoading(true);
+      await connectContract(target, accounts[0]);
+    } catch (error) {
+      console.error('Error switching account:', error);
+      alert('Failed to switch account: ' + error.message);
+    } finally {
+      setLoading(false);
     }
   };
 
   const handleLogout = () => {
-    // Reset all state
     setAccount('');
+    resetSession();
+  };
+
+  // Reset all state except the connected account
+  const resetSession = () => {
     setUserInfo(null);
+    setCredential(null);
+    setIsVerifier(false);
+    setPendingDoctors([]);
+    setEmergencySessions([]);
+    setEmergencyReviews([]);
+    setRecordProposals([]);
+    setGuardians([]);
+    setDependants([]);
+    setActingFor(null);
+    setAdminInfo({ admins: [], quorum: 1, primaryAdmin: '', pendingAdmin: '' });
+    setSystemStats(null);
+    setUserDirectory({ users: [], total: 0 });
+    setDirectoryFilter({ role: '', query: '' });
+    setSystemEvents([]);
+    setIsPendingAdmin(false);
+    setEncryptionKey(null);
+    setHasPublishedKey(false);
+    setRecordFile(null);
+    setImportRows([]);
+    setImportFiles([]);
+    setFileChecks({});
+    setGrants([]);
+    setGrantHistory({ items: [], total: 0 });
+    setAccessRequests([]);
+    setRequestForm(EMPTY_REQUEST_FORM);
     setContract(null);
-    setProvider(null);
     setSigner(null);
     setRecords([]);
+    setRecordsPage(null);
+    setRecordErrors([]);
     setAuditLogs([]);
+    setActorNames({});
+    setOpenedRecords({});
+    setRecordHistories({});
+    setRecordFilter(EMPTY_RECORD_FILTER);
+    setRecordDetail(null);
+    setRecordPreview(null);
     setActiveTab('home');
-    setRegisterForm({ name: '', role: '1' });
+    setRegisterForm(EMPTY_REGISTER_FORM);
     setRecordForm({ ipfsHash: '', recordType: '', description: '' });
-    setAccessForm({ doctorAddress: '', duration: '2592000', purpose: '' });
+    setAccessForm(EMPTY_ACCESS_FORM);
+    setEmergencyForm({ patientAddress: '', justification: '' });
+    setAdminForm({ address: '', name: '', quorum: '', newPrimary: '' });
+    setAmendForm(EMPTY_AMEND_FORM);
+    setProposalForm(EMPTY_PROPOSAL_FORM);
+    setGuardianForm(EMPTY_GUARDIAN_FORM);
+    setOrganizations([]);
+    setOrganizationForm(EMPTY_ORGANIZATION_FORM);
   };
 
   const loadUserInfo = async (contractInstance, address) => {
     try {
       const info = await contractInstance.getUserInfo(address);
+      setCredential(null);
+
+      // A nominated primary admin may not be registered yet
+      const nominee = await contractInstance.pendingAdmin();
+      setIsPendingAdmin(nominee.toLowerCase() === address.toLowerCase());
+
       if (info[2]) { // isRegistered
+        setHasPublishedKey((await contractInstance.getEncryptionKey(address)) !== '0x');
         setUserInfo({
           name: info[0],
           role: Number(info[1]),
@@ -162,190 +532,2767 @@ function App() {
 
         // Load records based on role
         if (Number(info[1]) === 1) {
-          // Patient - load their own records
+          // Patient - load their own records and doctors' proposals
           await loadRecords(contractInstance, address);
+          await loadRecordProposals(contractInstance, address, 1);
+          await loadGuardians(contractInstance, address);
+          await loadGrants(contractInstance, address);
+          await loadAccessRequests(contractInstance, address, 1);
         } else if (Number(info[1]) === 2) {
-          // Doctor - load accessible records
-          await loadDoctorAccessibleRecords(contractInstance, address);
+          // Doctor - only verified doctors can load accessible records
+          const doctorCredential = await loadCredential(contractInstance, address);
+          if (doctorCredential?.status === VERIFICATION_STATUS.VERIFIED) {
+            await loadDoctorAccessibleRecords(contractInstance, address);
+            await loadEmergencySessions(contractInstance, address);
+            await loadRecordProposals(contractInstance, address, 2);
+            await loadAccessRequests(contractInstance, address, 2);
+          }
+        } else if (Number(info[1]) === 3) {
+          // Admin - oversee the system, review break-glass accesses and manage fellow admins
+          await loadAdminDashboard(contractInstance);
+          await loadEmergencyReviews(contractInstance);
+          await loadAdminInfo(contractInstance);
+        }
+
+        // Admin and appointed verifiers review doctor applications
+        const canVerify = Number(info[1]) === 3 || await contractInstance.verifiers(address);
+        setIsVerifier(canVerify);
+        if (canVerify) {
+          await loadPendingDoctors(contractInstance);
         }
 
+        // Anyone registered may be a guardian for other patients
+        await loadDependants(contractInstance, address);
+
+        // Patients grant organizations access; doctors and owners manage their memberships
+        await loadOrganizations(contractInstance);
+
         // Load audit logs
-        await loadAuditLogs(contractInstance, address);
+        await loadAuditLogs(contractInstance, address, Number(info[1]));
       }
     } catch (error) {
       console.error('Error loading user info:', error);
     }
   };
 
-  const loadRecords = async (contractInstance, patientAddress) => {
+  const loadCredential = async (contractInstance, doctorAddress) => {
     try {
-      const recordIds = await contractInstance.getPatientRecordIds(patientAddress);
-      const recordsData = [];
+      const result = await contractInstance.getDoctorCredential(doctorAddress);
+      const doctorCredential = {
+        licenseNumber: result.licenseNumber,
+        issuingAuthority: result.issuingAuthority,
+        specialty: result.specialty,
+        status: Number(result.status),
+        submittedAt: Number(result.submittedAt),
+        rejectionReason: result.rejectionReason
+      };
+      setCredential(doctorCredential);
+      return doctorCredential;
+    } catch (error) {
+      console.error('Error loading credential:', error);
+      return null;
+    }
+  };
 
-      for (let id of recordIds) {
-        try {
-          const record = await contractInstance.getRecord(id);
-          recordsData.push({
-            id: Number(id),
-            patient: record[0],
-            ipfsHash: record[1],
-            recordType: record[2],
-            description: record[3],
-            timestamp: Number(record[4])
-          });
-        } catch (error) {
-          console.log('Cannot access record:', id);
+  const loadPendingDoctors = async (contractInstance) => {
+    try {
+      const applicants = await contractInstance.getPendingDoctorApplications();
+      const applications = [];
+
+      for (let applicant of applicants) {
+        const info = await contractInstance.getUserInfo(applicant);
+        const result = await contractInstance.getDoctorCredential(applicant);
+        applications.push({
+          address: applicant,
+          name: info[0],
+          licenseNumber: result.licenseNumber,
+          issuingAuthority: result.issuingAuthority,
+          specialty: result.specialty,
+          submittedAt: Number(result.submittedAt)
+        });
+      }
+
+      setPendingDoctors(applications);
+    } catch (error) {
+      console.error('Error loading pending doctors:', error);
+    }
+  };
+
+  // Fetch record details, skipping any the caller is not authorized to read
+  // Resolves to the readable records and the IDs that failed to load, with the reason
+  const fetchRecords = async (contractInstance, recordIds) => {
+    const recordsData = [];
+    const failed = [];
+    const patientNames = {};
+
+    for (let id of recordIds) {
+      try {
+        const record = await contractInstance.getRecord(id);
+        const status = await contractInstance.getRecordStatus(id);
+        const recordKey = await contractInstance.getRecordKey(id);
+        const file = await contractInstance.getRecordFile(id);
+        const authorName = status[2] === record[0] ? '' : (await contractInstance.getUserInfo(status[2]))[0];
+        if (!(record[0] in patientNames)) {
+          patientNames[record[0]] = (await contractInstance.getUserInfo(record[0]))[0];
         }
+        recordsData.push({
+          id: Number(id),
+          patient: record[0],
+          patientName: patientNames[record[0]],
+          ipfsHash: record[1],
+          recordType: record[2],
+          description: record[3],
+          timestamp: Number(record[4]),
+          encrypted: recordKey[0],
+          wrappedKey: recordKey[1],
+          file: { digest: file.digest, size: Number(file.size), mimeType: file.mimeType },
+          version: Number(status[0]),
+          archived: status[1],
+          author: status[2],
+          authorName
+        });
+      } catch (error) {
+        failed.push({ id: Number(id), reason: error.reason || error.shortMessage || error.message });
       }
+    }
+
+    return { records: recordsData, failed };
+  };
 
-      setRecords(recordsData);
+  const loadRecords = async (contractInstance, patientAddress) => {
+    try {
+      const recordIds = await contractInstance.getPatientRecordIds(patientAddress);
+      const { records: loaded, failed } = await fetchRecords(contractInstance, recordIds);
+      setRecords(loaded);
+      setRecordErrors(failed);
     } catch (error) {
       console.error('Error loading records:', error);
     }
   };
 
-  const loadDoctorAccessibleRecords = async (contractInstance, doctorAddress) => {
+  // Pages through the doctor's candidate records, then each of their organizations', until a
+  // page's worth is accessible; without a cursor it starts over, with one it appends to the loaded records
+  const loadDoctorAccessibleRecords = async (contractInstance, doctorAddress, cursor = null) => {
     try {
-      const recordIds = await contractInstance.getDoctorAccessibleRecords(doctorAddress);
-      const recordsData = [];
+      // Candidate lists in paging order: null for the doctor's own grants, then each organization
+      const sources = cursor?.sources ?? [null, ...await contractInstance.getMemberOrganizations(doctorAddress)];
+      let { source, offset } = cursor ?? { source: 0, offset: 0 };
+      const recordIds = [];
 
-      for (let id of recordIds) {
-        try {
-          const record = await contractInstance.getRecord(id);
-          recordsData.push({
-            id: Number(id),
-            patient: record[0],
-            ipfsHash: record[1],
-            recordType: record[2],
-            description: record[3],
-            timestamp: Number(record[4])
-          });
-        } catch (error) {
-          console.log('Cannot access record:', id);
+      while (recordIds.length < RECORDS_PAGE_SIZE && source < sources.length) {
+        const [pageIds, candidates] = sources[source] === null
+          ? await contractInstance.getDoctorAccessibleRecords(doctorAddress, offset, RECORDS_PAGE_SIZE)
+          : await contractInstance.getOrganizationAccessibleRecords(sources[source], offset, RECORDS_PAGE_SIZE);
+        recordIds.push(...pageIds);
+        offset += RECORDS_PAGE_SIZE;
+        if (offset >= Number(candidates)) {
+          source += 1;
+          offset = 0;
         }
       }
 
-      setRecords(recordsData);
+      // A record granted both directly and through an organization is listed once
+      const { records: pageRecords, failed } = await fetchRecords(contractInstance, [...new Set(recordIds)]);
+      setRecords((loaded) => (!cursor
+        ? pageRecords
+        : [...loaded, ...pageRecords.filter((record) => !loaded.some((other) => other.id === record.id))]));
+      setRecordErrors((errors) => (!cursor ? failed : [...errors, ...failed]));
+      setRecordsPage(source < sources.length ? { sources, source, offset } : null);
     } catch (error) {
       console.error('Error loading doctor accessible records:', error);
     }
   };
 
-  const loadAuditLogs = async (contractInstance, address) => {
+  // Active break-glass sessions, found through the doctor's EMERGENCY_ACCESS audit entries
+  const loadEmergencySessions = async (contractInstance, doctorAddress) => {
     try {
-      const logs = await contractInstance.getAuditTrail(address);
-      setAuditLogs(logs.map(log => ({
-        accessor: log.accessor,
-        recordId: Number(log.recordId),
-        timestamp: Number(log.timestamp),
-        action: log.action
-      })));
+      const logs = await contractInstance.getAuditTrail(doctorAddress);
+      const patients = new Set(
+        logs.filter(log => log.action === 'EMERGENCY_ACCESS').map(log => log.patient)
+      );
+      const sessions = [];
+
+      for (let patient of patients) {
+        const access = await contractInstance.checkEmergencyAccess(patient, doctorAddress);
+        if (!access.isActive) continue;
+
+        const info = await contractInstance.getUserInfo(patient);
+        const recordIds = await contractInstance.getPatientRecordIds(patient);
+        sessions.push({
+          patient,
+          patientName: info[0],
+          expiresAt: Number(access.expiresAt),
+          records: (await fetchRecords(contractInstance, recordIds)).records
+        });
+      }
+
+      setEmergencySessions(sessions);
     } catch (error) {
-      console.error('Error loading audit logs:', error);
+      console.error('Error loading emergency sessions:', error);
     }
   };
 
-  const loadStats = async (contractInstance) => {
+  // Every organization with its owner's and members' names
+  const loadOrganizations = async (contractInstance) => {
     try {
-      const stats = await contractInstance.getStats();
-      setStats({
-        totalRecords: Number(stats[0]),
-        emergencyStatus: stats[1]
-      });
+      const organizationList = [];
+      for (let address of await contractInstance.getOrganizations()) {
+        const [organization, memberAddresses] = await contractInstance.getOrganization(address);
+        const members = [];
+        for (let member of memberAddresses) {
+          const info = await contractInstance.getUserInfo(member);
+          members.push({ address: member, name: info[0] });
+        }
+
+        const ownerInfo = await contractInstance.getUserInfo(organization.owner);
+        organizationList.push({
+          address,
+          name: organization.name,
+          owner: organization.owner,
+          ownerName: ownerInfo[0],
+          members
+        });
+      }
+
+      setOrganizations(organizationList);
     } catch (error) {
-      console.error('Error loading stats:', error);
+      console.error('Error loading organizations:', error);
     }
   };
 
-  // User Registration
-  const handleRegister = async (e) => {
-    e.preventDefault();
-    if (!contract) return;
-
+  const loadAdminInfo = async (contractInstance) => {
     try {
-      setLoading(true);
-      const tx = await contract.registerUser(registerForm.name, registerForm.role);
-      await tx.wait();
-      
-      alert('Registration successful!');
-      await loadUserInfo(contract, account);
-      setRegisterForm({ name: '', role: '1' });
+      const adminAddresses = await contractInstance.getAdmins();
+      const admins = [];
+      for (let adminAddress of adminAddresses) {
+        const info = await contractInstance.getUserInfo(adminAddress);
+        admins.push({ address: adminAddress, name: info[0] });
+      }
+
+      setAdminInfo({
+        admins,
+        quorum: Number(await contractInstance.adminQuorum()),
+        primaryAdmin: await contractInstance.admin(),
+        pendingAdmin: await contractInstance.pendingAdmin()
+      });
     } catch (error) {
-      console.error('Registration error:', error);
-      alert('Registration failed: ' + error.message);
-    } finally {
-      setLoading(false);
+      console.error('Error loading admin info:', error);
     }
   };
 
-  // Create Medical Record
-  const handleCreateRecord = async (e) => {
-    e.preventDefault();
-    if (!contract) return;
+  // Admin dashboard: system-wide counts, the user directory and recent system events
+  const loadAdminDashboard = async (contractInstance) => {
+    await loadSystemStats(contractInstance);
+    await loadUserDirectory(contractInstance);
+    await loadSystemEvents(contractInstance);
+  };
 
+  const loadSystemStats = async (contractInstance) => {
     try {
-      setLoading(true);
-      // Simulate IPFS hash (in production, upload to IPFS first)
-      const simulatedHash = `Qm${Math.random().toString(36).substring(7)}`;
-      
-      const tx = await contract.createRecord(
-        recordForm.ipfsHash || simulatedHash,
-        recordForm.recordType,
-        recordForm.description
+      const result = await contractInstance.getSystemStats();
+      // toggleEmergencyMode collects approvals for the state it switches to
+      const [, approvals, required] = await contractInstance.getAdminActionStatus(
+        'TOGGLE_EMERGENCY_MODE',
+        ethers.ZeroAddress,
+        result.emergencyMode ? 0 : 1
       );
-      await tx.wait();
-      
-      alert('Medical record created successfully!');
-      await loadRecords(contract, account);
-      await loadStats(contract);
-      setRecordForm({ ipfsHash: '', recordType: '', description: '' });
+
+      setSystemStats({
+        users: Number(result.users),
+        patients: Number(result.patients),
+        doctors: Number(result.doctors),
+        verifiedDoctors: Number(result.verifiedDoctors),
+        pendingDoctors: Number(result.pendingDoctors),
+        admins: Number(result.admins),
+        organizations: Number(result.organizations),
+        records: Number(result.records),
+        emergencyAccesses: Number(result.emergencyAccesses),
+        pendingEmergencyReviews: Number(result.pendingEmergencyReviews),
+        accessRequests: Number(result.accessRequests),
+        recordProposals: Number(result.recordProposals),
+        systemAuditEntries: Number(result.systemAuditEntries),
+        emergencyMode: result.emergencyMode,
+        emergencyApprovals: Number(approvals),
+        approvalsRequired: Number(required)
+      });
     } catch (error) {
-      console.error('Create record error:', error);
-      alert('Failed to create record: ' + error.message);
-    } finally {
-      setLoading(false);
+      console.error('Error loading system stats:', error);
     }
   };
 
-  // Grant Access
-  const handleGrantAccess = async (e) => {
-    e.preventDefault();
-    if (!contract) return;
+  // Offset 0 starts over, any other offset appends
+  const loadUserDirectory = async (contractInstance, offset = 0) => {
+    try {
+      const [page, total] = await contractInstance.getUsers(offset, USER_PAGE_SIZE);
+      const users = page.map((user) => ({
+        address: user.userAddress,
+        name: user.name,
+        role: Number(user.role),
+        isRegistered: user.isRegistered,
+        registrationTime: Number(user.registrationTime)
+      }));
+
+      setUserDirectory((loaded) => ({
+        users: offset === 0 ? users : [...loaded.users, ...users],
+        total: Number(total)
+      }));
+    } catch (error) {
+      console.error('Error loading user directory:', error);
+    }
+  };
 
+  // From the indexer when configured, otherwise from the node's logs of the latest blocks
+  const loadSystemEvents = async (contractInstance) => {
     try {
-      setLoading(true);
-      const tx = await contract.grantAccess(
-        accessForm.doctorAddress,
-        accessForm.duration,
-        accessForm.purpose
-      );
-      await tx.wait();
-      
-      alert('Access granted successfully!');
-      setAccessForm({ doctorAddress: '', duration: '2592000', purpose: '' });
+      let events;
+      if (INDEXER_URL) {
+        ({ items: events } = await fetchSystemEvents(0, SYSTEM_EVENTS_PAGE_SIZE));
+      } else {
+        const provider = contractInstance.runner.provider;
+        const toBlock = await provider.getBlockNumber();
+        const logs = await provider.getLogs({
+          address: await contractInstance.getAddress(),
+          topics: [SYSTEM_EVENTS.map((name) => contractInstance.interface.getEvent(name).topicHash)],
+          fromBlock: Math.max(0, toBlock - SYSTEM_EVENT_BLOCKS),
+          toBlock
+        });
+
+        events = [];
+        for (let log of logs.slice(-SYSTEM_EVENTS_PAGE_SIZE).reverse()) {
+          const parsed = contractInstance.interface.parseLog(log);
+          const block = await provider.getBlock(log.blockNumber);
+          events.push({
+            name: parsed.name,
+            blockNumber: log.blockNumber,
+            logIndex: log.index,
+            timestamp: block.timestamp,
+            args: Object.fromEntries(parsed.fragment.inputs.map((input, i) => [input.name, parsed.args[i]]))
+          });
+        }
+      }
+
+      // Resolve account names once per address
+      const names = {};
+      const addresses = events.flatMap((event) => Object.values(event.args).filter((value) => ethers.isAddress(value)));
+      for (let address of new Set(addresses.map((address) => address.toLowerCase()))) {
+        const info = await contractInstance.getUserInfo(address);
+        names[address] = info[0];
+      }
+
+      setSystemEvents(events.map((event) => ({
+        key: `${event.blockNumber}-${event.logIndex}`,
+        name: event.name,
+        timestamp: event.timestamp,
+        summary: describeSystemEvent(event, names)
+      })));
     } catch (error) {
-      console.error('Grant access error:', error);
-      alert('Failed to grant access: ' + error.message);
-    } finally {
-      setLoading(false);
+      console.error('Error loading system events:', error);
     }
   };
 
-  // Helper Functions
-  const formatAddress = (address) => {
-    return `${address.substring(0, 6)}...${address.substring(38)}`;
+  // Patients see proposals awaiting their decision; doctors see everything they submitted
+  const loadRecordProposals = async (contractInstance, address, role) => {
+    try {
+      const proposalIds = role === 1
+        ? await contractInstance.getPendingRecordProposals(address)
+        : await contractInstance.getDoctorRecordProposals(address);
+      const proposals = [];
+
+      for (let id of proposalIds) {
+        const proposal = await contractInstance.getRecordProposal(id);
+        const counterparty = role === 1 ? proposal.doctor : proposal.patient;
+        const counterpartyInfo = await contractInstance.getUserInfo(counterparty);
+        proposals.push({
+          id: Number(id),
+          counterparty,
+          counterpartyName: counterpartyInfo[0],
+          ipfsHash: proposal.ipfsHash,
+          recordType: proposal.recordType,
+          description: proposal.description,
+          submittedAt: Number(proposal.submittedAt),
+          status: Number(proposal.status),
+          recordId: Number(proposal.recordId),
+          rejectionReason: proposal.rejectionReason,
+          wrappedKey: proposal.wrappedKey
+        });
+      }
+
+      setRecordProposals(proposals.reverse());
+    } catch (error) {
+      console.error('Error loading record proposals:', error);
+    }
   };
 
-  const formatDate = (timestamp) => {
-    return new Date(timestamp * 1000).toLocaleString();
+  const loadGuardians = async (contractInstance, patientAddress) => {
+    try {
+      const [guardianAddresses, powers] = await contractInstance.getGuardians(patientAddress);
+      const guardianList = [];
+
+      for (let i = 0; i < guardianAddresses.length; i++) {
+        const info = await contractInstance.getUserInfo(guardianAddresses[i]);
+        guardianList.push({ address: guardianAddresses[i], name: info[0], powers: Number(powers[i]) });
+      }
+
+      setGuardians(guardianList);
+    } catch (error) {
+      console.error('Error loading guardians:', error);
+    }
   };
 
-  const getRoleName = (role) => {
-    const roles = ['None', 'Patient', 'Doctor', 'Admin'];
-    return roles[role] || 'Unknown';
+  const loadAccessRequests = async (contractInstance, address, role) => {
+    try {
+      const requestIds = role === 1
+        ? await contractInstance.getPendingAccessRequests(address)
+        : await contractInstance.getDoctorAccessRequests(address);
+      const requests = [];
+
+      for (let id of requestIds) {
+        const request = await contractInstance.getAccessRequest(id);
+        const counterparty = role === 1 ? request.doctor : request.patient;
+        const counterpartyInfo = await contractInstance.getUserInfo(counterparty);
+        requests.push({
+          id: Number(id),
+          counterparty,
+          counterpartyName: counterpartyInfo[0],
+          purpose: request.purpose,
+          duration: Number(request.duration),
+          requestedAt: Number(request.requestedAt),
+          status: Number(request.status),
+          denialReason: request.denialReason
+        });
+      }
+
+      setAccessRequests(requests.reverse());
+    } catch (error) {
+      console.error('Error loading access requests:', error);
+    }
   };
 
-  return (
+  const loadGrants = async (contractInstance, patientAddress) => {
+    try {
+      const [grantEntries, grantPermissions] = await contractInstance.getPatientGrants(patientAddress);
+      const grantList = [];
+
+      for (let i = 0; i < grantEntries.length; i++) {
+        const permission = grantPermissions[i];
+        if (!permission.isActive) continue;
+
+        const info = await contractInstance.getUserInfo(grantEntries[i].doctor);
+        grantList.push({
+          index: i,
+          doctor: grantEntries[i].doctor,
+          doctorName: info[0],
+          scope: Number(grantEntries[i].scope),
+          recordId: Number(grantEntries[i].recordId),
+          recordType: grantEntries[i].recordType,
+          grantedAt: Number(permission.grantedAt),
+          expiresAt: Number(permission.expiresAt),
+          purpose: permission.purpose
+        });
+      }
+
+      setGrants(grantList);
+    } catch (error) {
+      console.error('Error loading grants:', error);
+    }
+
+    if (INDEXER_URL) {
+      await loadGrantHistory(contractInstance, patientAddress);
+    }
+  };
+
+  // Grant history comes from the indexer; offset 0 starts over, any other offset appends
+  const loadGrantHistory = async (contractInstance, patientAddress, offset = 0) => {
+    try {
+      const { items, total } = await fetchGrantHistory(patientAddress, offset, GRANT_HISTORY_PAGE_SIZE);
+      const names = {};
+
+      for (let doctor of new Set(items.map((event) => event.args.doctor))) {
+        const info = await contractInstance.getUserInfo(doctor);
+        names[doctor] = info[0];
+      }
+
+      const entries = items.map((event) => ({
+        key: `${event.blockNumber}-${event.logIndex}`,
+        name: event.name,
+        doctor: event.args.doctor,
+        doctorName: names[event.args.doctor],
+        recordId: event.recordId,
+        recordType: event.args.recordType,
+        expiresAt: Number(event.args.expiresAt || 0),
+        timestamp: event.timestamp
+      }));
+      setGrantHistory((loaded) => ({
+        items: offset === 0 ? entries : [...loaded.items, ...entries],
+        total
+      }));
+    } catch (error) {
+      console.error('Error loading grant history:', error);
+    }
+  };
+
+  const loadDependants = async (contractInstance, guardianAddress) => {
+    try {
+      const patientAddresses = await contractInstance.getDependants(guardianAddress);
+      const dependantList = [];
+
+      for (let patientAddress of patientAddresses) {
+        const info = await contractInstance.getUserInfo(patientAddress);
+        const powers = await contractInstance.getGuardianPowers(patientAddress, guardianAddress);
+        dependantList.push({ address: patientAddress, name: info[0], powers: Number(powers) });
+      }
+
+      setDependants(dependantList);
+    } catch (error) {
+      console.error('Error loading dependants:', error);
+    }
+  };
+
+  const loadEmergencyReviews = async (contractInstance) => {
+    try {
+      const accessIds = await contractInstance.getPendingEmergencyReviews();
+      const reviews = [];
+
+      for (let id of accessIds) {
+        const access = await contractInstance.getEmergencyAccess(id);
+        const doctorInfo = await contractInstance.getUserInfo(access.doctor);
+        const patientInfo = await contractInstance.getUserInfo(access.patient);
+        reviews.push({
+          id: Number(id),
+          doctor: access.doctor,
+          doctorName: doctorInfo[0],
+          patient: access.patient,
+          patientName: patientInfo[0],
+          justification: access.justification,
+          invokedAt: Number(access.invokedAt),
+          expiresAt: Number(access.expiresAt)
+        });
+      }
+
+      setEmergencyReviews(reviews);
+    } catch (error) {
+      console.error('Error loading emergency reviews:', error);
+    }
+  };
+
+  const loadAuditLogs = async (contractInstance, address, role) => {
+    try {
+      // Patients see everything done to their data; others see their own actions
+      const logs = role === 1
+        ? await contractInstance.getPatientAuditTrail(address)
+        : await contractInstance.getAuditTrail(address);
+      const parsedLogs = logs.map(log => ({
+        accessor: log.accessor,
+        patient: log.patient,
+        recordId: Number(log.recordId),
+        timestamp: Number(log.timestamp),
+        action: log.action,
+        actorType: Number(log.actorType),
+        reason: log.reason
+      }));
+
+      // Resolve actor names once per address
+      const names = {};
+      for (let accessor of new Set(parsedLogs.map(log => log.accessor.toLowerCase()))) {
+        try {
+          const info = await contractInstance.getUserInfo(accessor);
+          names[accessor] = info[0];
+        } catch {
+          names[accessor] = '';
+        }
+      }
+
+      setActorNames(names);
+      setAuditLogs(parsedLogs);
+    } catch (error) {
+      console.error('Error loading audit logs:', error);
+    }
+  };
+
+  const loadStats = async (contractInstance) => {
+    try {
+      const stats = await contractInstance.getStats();
+      setStats({
+        totalRecords: Number(stats[0]),
+        emergencyStatus: stats[1]
+      });
+    } catch (error) {
+      console.error('Error loading stats:', error);
+    }
+  };
+
+  // Patient actions the relayer can submit: signed for the relayer when one is configured,
+  // otherwise sent from the wallet. Resolves to the transaction receipt either way.
+  const sendRelayable = async (action, message, sendTransaction) => {
+    if (RELAYER_URL) {
+      return relayRequest(contract, signer, action, message);
+    }
+    const tx = await sendTransaction();
+    return tx.wait();
+  };
+
+  // User Registration
+  const handleRegister = async (e) => {
+    e.preventDefault();
+    if (!contract) return;
+
+    try {
+      setLoading(true);
+      // Rejected doctors resubmit through the same form
+      const asDoctor = registerForm.role === '2' || Boolean(credential);
+      if (asDoctor) {
+        const tx = await contract.registerDoctor(
+          registerForm.name,
+          registerForm.licenseNumber,
+          registerForm.issuingAuthority,
+          registerForm.specialty
+        );
+        await tx.wait();
+      } else {
+        await sendRelayable(
+          'RegisterUser',
+          { user: account, name: registerForm.name, role: Number(registerForm.role) },
+          () => contract.registerUser(registerForm.name, registerForm.role)
+        );
+      }
+      
+      alert(asDoctor
+        ? 'Application submitted! A verifier will review your credentials.'
+        : 'Registration successful!');
+      await publishEncryptionKey();
+      await loadUserInfo(contract, account);
+      setRegisterForm(EMPTY_REGISTER_FORM);
+    } catch (error) {
+      console.error('Registration error:', error);
+      alert('Registration failed: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Review Doctor Application
+  const handleReviewDoctor = async (doctorAddress, approve) => {
+    if (!contract) return;
+
+    let reason = '';
+    if (!approve) {
+      reason = window.prompt('Reason for rejecting this application:');
+      if (!reason) return;
+    }
+
+    try {
+      setLoading(true);
+      const tx = approve
+        ? await contract.approveDoctor(doctorAddress)
+        : await contract.rejectDoctor(doctorAddress, reason);
+      await tx.wait();
+
+      alert(approve ? 'Doctor verified!' : 'Application rejected');
+      await loadPendingDoctors(contract);
+    } catch (error) {
+      console.error('Review doctor error:', error);
+      alert('Failed to review application: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Encryption Keys
+  const unlockEncryptionKey = async () => {
+    if (encryptionKey) return encryptionKey;
+
+    const key = await deriveEncryptionKey(signer);
+    setEncryptionKey(key);
+    return key;
+  };
+
+  // Publish the public half so patients can share record keys with this account
+  const publishEncryptionKey = async () => {
+    try {
+      const publicKey = getEncryptionPublicKey(await unlockEncryptionKey());
+      await sendRelayable(
+        'SetEncryptionKey',
+        { user: account, publicKey },
+        () => contract.setEncryptionKey(publicKey)
+      );
+
+      setHasPublishedKey(true);
+    } catch (error) {
+      console.error('Publish encryption key error:', error);
+      alert('Encryption is not set up yet: ' + error.message);
+    }
+  };
+
+  const handleSetUpEncryption = async () => {
+    if (!contract) return;
+
+    setLoading(true);
+    await publishEncryptionKey();
+    setLoading(false);
+  };
+
+  // Re-wrap the content keys of encrypted records for a doctor who was just granted access,
+  // or for every member of an organization
+  const shareRecordKeys = async (granteeAddress, grantedIds) => {
+    const encryptedRecords = records.filter((record) => record.encrypted && grantedIds.includes(record.id));
+    if (encryptedRecords.length === 0) return;
+
+    const organization = findOrganization(granteeAddress);
+    const readers = organization ? organization.members.map((member) => member.address) : [granteeAddress];
+    const key = await unlockEncryptionKey();
+    const contentKeys = [];
+    for (let record of encryptedRecords) {
+      contentKeys.push(await unwrapContentKey(record.wrappedKey, key));
+    }
+    const recordIds = encryptedRecords.map((record) => record.id);
+
+    let withoutKey = 0;
+    for (let reader of readers) {
+      const readerKey = await contract.getEncryptionKey(reader);
+      if (readerKey === '0x') {
+        withoutKey++;
+        continue;
+      }
+
+      const wrappedKeys = [];
+      for (let contentKey of contentKeys) {
+        wrappedKeys.push(await wrapContentKey(contentKey, readerKey));
+      }
+      await sendRelayable(
+        'ShareRecordKeys',
+        { patient: account, reader, recordIds, wrappedKeys },
+        () => contract.shareRecordKeys(reader, recordIds, wrappedKeys)
+      );
+    }
+
+    if (withoutKey > 0) {
+      alert(organization
+        ? `${withoutKey} member(s) of ${organization.name} have not set up encryption yet, so they cannot decrypt your files. Use "Share Keys" on the grant once they have.`
+        : 'This doctor has not set up encryption yet, so they cannot decrypt your files. Grant access again once they have.');
+    }
+  };
+
+  // Wrap new records' content keys for doctors whose standing full or category grants cover them,
+  // members of granted organizations included, in one shareRecordKeys call per doctor
+  const shareNewRecordKeys = async (newRecords) => {
+    const liveGrants = grants
+      .filter((grant) => grant.expiresAt === 0 || grant.expiresAt > Math.floor(Date.now() / 1000));
+    const readerRecords = new Map();
+    for (let record of newRecords) {
+      const readers = new Set(liveGrants
+        .filter((grant) => grant.scope === GRANT_SCOPE.FULL ||
+          (grant.scope === GRANT_SCOPE.CATEGORY && grant.recordType === record.recordType))
+        .flatMap((grant) => findOrganization(grant.doctor)?.members.map((member) => member.address) || [grant.doctor]));
+      for (let reader of readers) {
+        readerRecords.set(reader, [...(readerRecords.get(reader) || []), record]);
+      }
+    }
+
+    let withoutKey = 0;
+    for (let [reader, sharedRecords] of readerRecords) {
+      const readerKey = await contract.getEncryptionKey(reader);
+      if (readerKey === '0x') {
+        withoutKey++;
+        continue;
+      }
+
+      const recordIds = sharedRecords.map((record) => record.id);
+      const wrappedKeys = [];
+      for (let record of sharedRecords) {
+        wrappedKeys.push(await wrapContentKey(record.contentKey, readerKey));
+      }
+      await sendRelayable(
+        'ShareRecordKeys',
+        { patient: account, reader, recordIds, wrappedKeys },
+        () => contract.shareRecordKeys(reader, recordIds, wrappedKeys)
+      );
+    }
+
+    if (withoutKey > 0) {
+      alert(`${withoutKey} doctor(s) with access have not set up encryption yet and cannot decrypt the new files.`);
+    }
+  };
+
+  // Fetch a record's file from IPFS, decrypting it if needed, and check it against the
+  // digest committed on-chain; resolves to null if it can't be opened, reporting any mismatch
+  const fetchVerifiedFile = async (record) => {
+    let content = await fetchFile(record.ipfsHash);
+    let mismatch = null;
+
+    if (record.encrypted) {
+      const [, wrappedKey] = await contract.getRecordKey(record.id);
+      if (wrappedKey === '0x') {
+        alert('The patient has not shared this file\'s key with you yet');
+        return null;
+      }
+
+      const key = await unlockEncryptionKey();
+      let contentKey;
+      try {
+        contentKey = await unwrapContentKey(wrappedKey, key);
+      } catch {
+        // Wrapped for another key, e.g. one published before the current one
+        setFileChecks((checks) => ({ ...checks, [record.id]: 'undecryptable' }));
+        alert('This file\'s key can\'t be decrypted with your encryption key. Ask the patient to share it again.');
+        return null;
+      }
+      try {
+        content = await decryptFile(contentKey, content);
+      } catch {
+        mismatch = `Encrypted file failed authentication (${content.length} bytes downloaded)`;
+      }
+    }
+
+    if (!mismatch) {
+      const digest = digestFile(content);
+      if (digest !== record.file.digest || content.length !== record.file.size) {
+        mismatch = `Downloaded ${content.length} bytes with SHA-256 ${digest}`;
+      }
+    }
+
+    if (mismatch) {
+      setFileChecks((checks) => ({ ...checks, [record.id]: 'tampered' }));
+      alert('This file does not match the digest committed for the record and will not be opened. The mismatch will be reported to the patient\'s audit trail.');
+      const tx = await contract.reportFileMismatch(record.id, mismatch);
+      await tx.wait();
+      await loadAuditLogs(contract, account, userInfo.role);
+      return null;
+    }
+
+    setFileChecks((checks) => ({ ...checks, [record.id]: 'verified' }));
+    return content;
+  };
+
+  const handleOpenFile = async (record, preview) => {
+    if (!contract) return;
+
+    try {
+      setLoading(true);
+      const content = await fetchVerifiedFile(record);
+      if (!content) return;
+
+      if (preview) {
+        const url = URL.createObjectURL(new Blob([content], { type: record.file.mimeType }));
+        window.open(url, '_blank', 'noopener');
+        setTimeout(() => URL.revokeObjectURL(url), 60000);
+      } else {
+        downloadBytes(content, `record-${record.id}`);
+      }
+    } catch (error) {
+      console.error('Open file error:', error);
+      alert('Failed to fetch file: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Show the file inside the record detail view: images and PDFs embedded, text as is
+  const handlePreviewInline = async (record) => {
+    if (!contract) return;
+
+    try {
+      setLoading(true);
+      const content = await fetchVerifiedFile(record);
+      if (!content) return;
+
+      const mimeType = record.file.mimeType;
+      const isText = mimeType.startsWith('text/') || TEXT_MIME_TYPES.includes(mimeType);
+      setRecordPreview({
+        recordId: record.id,
+        mimeType,
+        url: URL.createObjectURL(new Blob([content], { type: mimeType })),
+        text: isText ? new TextDecoder().decode(content) : null
+      });
+    } catch (error) {
+      console.error('Preview file error:', error);
+      alert('Failed to preview file: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // FHIR Export - the records and every grant of the patient in view, as a FHIR R4 Bundle
+  const handleExportFhir = async () => {
+    if (!contract) return;
+
+    // Checksummed like the authors and grantees the contract returns, so the patient is found among them
+    const patientAddress = ethers.getAddress(actingFor ? actingFor.address : account);
+
+    try {
+      setLoading(true);
+      const [patientName] = await contract.getUserInfo(patientAddress);
+      const [grantEntries, grantPermissions] = await contract.getPatientGrants(patientAddress);
+
+      const exportGrants = grantEntries.map((entry, i) => ({
+        index: i,
+        doctor: entry.doctor,
+        scope: Number(entry.scope),
+        recordId: Number(entry.recordId),
+        recordType: entry.recordType,
+        grantedAt: Number(grantPermissions[i].grantedAt),
+        expiresAt: Number(grantPermissions[i].expiresAt),
+        purpose: grantPermissions[i].purpose,
+        isActive: grantPermissions[i].isActive
+      }));
+
+      // Names and roles of everyone besides the patient who wrote a record or holds a grant
+      const accounts = {};
+      const others = new Set(
+        [...records.map((record) => record.author), ...exportGrants.map((grant) => grant.doctor)].map((address) => ethers.getAddress(address))
+      );
+      others.delete(patientAddress);
+      for (let address of others) {
+        const organization = findOrganization(address);
+        if (organization) {
+          accounts[address] = { name: organization.name, organization: true };
+          continue;
+        }
+        const info = await contract.getUserInfo(address);
+        accounts[address] = { name: info[0], role: Number(info[1]) };
+      }
+
+      const bundle = buildPatientBundle(
+        { address: patientAddress, name: patientName },
+        records,
+        exportGrants,
+        accounts,
+        { chainId: network.chainId, contractAddress: network.contractAddress }
+      );
+
+      const issues = validateBundle(bundle);
+      if (issues.length > 0) {
+        console.error('FHIR validation issues:', issues);
+        alert(`The export failed FHIR validation:\n${issues.slice(0, 5).join('\n')}`);
+        return;
+      }
+
+      downloadBytes(JSON.stringify(bundle, null, 2), `medchain-fhir-${patientAddress}.json`);
+    } catch (error) {
+      console.error('FHIR export error:', error);
+      alert('Failed to export records: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Create Medical Record
+  const handleCreateRecord = async (e) => {
+    e.preventDefault();
+    if (!contract) return;
+
+    if (!recordFile && !recordForm.ipfsHash) {
+      alert('Choose a file to upload or enter the CID of a file already on IPFS');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      let ipfsHash = recordForm.ipfsHash;
+      let fileInfo;
+      let contentKey = null;
+      let wrappedKey = null;
+
+      if (recordFile) {
+        let content = new Uint8Array(await recordFile.arrayBuffer());
+        fileInfo = describeFile(content, recordFile.type);
+        // Files are encrypted before they leave the browser, for the patient's own key;
+        // guardians wrap it for the key the patient published
+        const patientKey = actingFor
+          ? await contract.getEncryptionKey(actingFor.address)
+          : getEncryptionPublicKey(await unlockEncryptionKey());
+        if (patientKey === '0x') {
+          alert(`${actingFor.name} has not set up encryption yet, so files can't be uploaded for them`);
+          return;
+        }
+        contentKey = generateContentKey();
+        content = await encryptFile(contentKey, content);
+        wrappedKey = await wrapContentKey(contentKey, patientKey);
+        ipfsHash = await uploadFile(content, recordFile.name);
+      } else {
+        // Commit to the bytes currently stored under the CID
+        fileInfo = describeFile(await fetchFile(ipfsHash), '');
+      }
+      
+      let receipt;
+      if (actingFor) {
+        const tx = await contract.createRecordFor(
+          actingFor.address,
+          ipfsHash,
+          recordForm.recordType,
+          recordForm.description,
+          fileInfo,
+          wrappedKey || '0x'
+        );
+        receipt = await tx.wait();
+      } else {
+        receipt = await sendRelayable(
+          'CreateRecord',
+          {
+            patient: account,
+            ipfsHash,
+            recordType: recordForm.recordType,
+            description: recordForm.description,
+            file: fileInfo,
+            wrappedKey: wrappedKey || '0x'
+          },
+          () => wrappedKey
+            ? contract.createEncryptedRecord(
+              ipfsHash,
+              recordForm.recordType,
+              recordForm.description,
+              fileInfo,
+              wrappedKey
+            )
+            : contract.createRecord(
+              ipfsHash,
+              recordForm.recordType,
+              recordForm.description,
+              fileInfo
+            )
+        );
+      }
+
+      // Guardians can't share keys; the patient shares the file with "Share Keys" on their grants
+      if (contentKey && !actingFor) {
+        const created = receipt.logs
+          .map((log) => contract.interface.parseLog(log))
+          .find((event) => event?.name === 'RecordCreated');
+        await shareNewRecordKeys([{ id: Number(created.args.recordId), recordType: recordForm.recordType, contentKey }]);
+      }
+      
+      alert('Medical record created successfully!');
+      if (!actingFor || actingFor.powers & GUARDIAN_VIEW_RECORDS) {
+        await loadRecords(contract, actingFor ? actingFor.address : account);
+      }
+      await loadStats(contract);
+      setRecordForm({ ipfsHash: '', recordType: '', description: '' });
+      setRecordFile(null);
+      e.target.reset();
+    } catch (error) {
+      console.error('Create record error:', error);
+      alert('Failed to create record: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Bulk import: read a FHIR bundle or CSV manifest and preview its rows against the picked files
+  const handleImportManifest = async (e) => {
+    const manifest = e.target.files[0];
+    if (!manifest) {
+      setImportRows([]);
+      return;
+    }
+
+    try {
+      const text = await manifest.text();
+      const rows = manifest.name.toLowerCase().endsWith('.json') || text.trimStart().startsWith('{')
+        ? parseFhirBundle(JSON.parse(text))
+        : parseCsvManifest(text);
+      if (rows.length === 0) {
+        alert('The manifest has no records to import');
+      }
+      setImportRows(validateImportRows(rows, importFiles));
+    } catch (error) {
+      console.error('Import manifest error:', error);
+      alert('Failed to read manifest: ' + error.message);
+      setImportRows([]);
+      e.target.value = '';
+    }
+  };
+
+  const handleImportFiles = (e) => {
+    const files = Array.from(e.target.files);
+    setImportFiles(files);
+    setImportRows((rows) => validateImportRows(rows, files));
+  };
+
+  // Upload the file of every valid row, then create the records IMPORT_BATCH_SIZE at a time.
+  // A row whose upload fails, or whose batch reverts, is marked failed and the rest go on;
+  // importing again retries only the rows not yet created.
+  const handleImport = async () => {
+    if (!contract) return;
+
+    const pending = importRows
+      .map((row, index) => ({ row, index }))
+      .filter(({ row }) => row.issues.length === 0 && row.status !== 'created');
+    const setRowStatus = (index, status) => {
+      setImportRows((rows) => rows.map((row, i) => (i === index ? { ...row, ...status } : row)));
+    };
+
+    try {
+      setLoading(true);
+      const publicKey = getEncryptionPublicKey(await unlockEncryptionKey());
+      const files = new Map(importFiles.map((file) => [file.name, file]));
+
+      const uploaded = [];
+      for (let { row, index } of pending) {
+        try {
+          let ipfsHash = row.cid;
+          let fileInfo;
+          let contentKey = null;
+          let wrappedKey = '0x';
+          if (row.cid) {
+            // Commit to the bytes currently stored under the CID
+            fileInfo = describeFile(await fetchFile(row.cid), row.mimeType);
+          } else {
+            const file = files.get(row.fileName);
+            let content = row.content || new Uint8Array(await file.arrayBuffer());
+            fileInfo = describeFile(content, row.mimeType || file?.type);
+            contentKey = generateContentKey();
+            content = await encryptFile(contentKey, content);
+            wrappedKey = await wrapContentKey(contentKey, publicKey);
+            ipfsHash = await uploadFile(content, row.fileName);
+          }
+          uploaded.push({ ...row, index, ipfsHash, fileInfo, contentKey, wrappedKey });
+          setRowStatus(index, { status: 'uploaded', message: '' });
+        } catch (error) {
+          console.error('Import upload error:', error);
+          setRowStatus(index, { status: 'failed', message: error.message });
+        }
+      }
+
+      const created = [];
+      for (let start = 0; start < uploaded.length; start += IMPORT_BATCH_SIZE) {
+        const batch = uploaded.slice(start, start + IMPORT_BATCH_SIZE);
+        try {
+          const tx = await contract.createRecords(
+            batch.map((item) => item.ipfsHash),
+            batch.map((item) => item.recordType),
+            batch.map((item) => item.description),
+            batch.map((item) => item.fileInfo),
+            batch.map((item) => item.wrappedKey)
+          );
+          const receipt = await tx.wait();
+          // One RecordCreated per row, in the batch's order
+          const recordIds = receipt.logs
+            .map((log) => contract.interface.parseLog(log))
+            .filter((event) => event?.name === 'RecordCreated')
+            .map((event) => Number(event.args.recordId));
+          batch.forEach((item, i) => {
+            created.push({ id: recordIds[i], recordType: item.recordType, contentKey: item.contentKey });
+            setRowStatus(item.index, { status: 'created', message: `Record #${recordIds[i]}` });
+          });
+        } catch (error) {
+          console.error('Import batch error:', error);
+          for (let item of batch) {
+            setRowStatus(item.index, { status: 'failed', message: error.message });
+          }
+        }
+      }
+
+      await shareNewRecordKeys(created.filter((record) => record.contentKey));
+
+      const failed = pending.length - created.length;
+      alert(failed > 0
+        ? `Imported ${created.length} of ${pending.length} records; ${failed} failed, see the preview for why`
+        : `Imported ${created.length} records successfully!`);
+      if (created.length > 0) {
+        await loadRecords(contract, account);
+        await loadStats(contract);
+      }
+    } catch (error) {
+      console.error('Import error:', error);
+      alert('Failed to import records: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Share a grant's keys again, e.g. with organization members who joined after the grant,
+  // or for files a guardian added to the chart
+  const handleShareGrantKeys = async (grant) => {
+    if (!contract) return;
+
+    try {
+      setLoading(true);
+      const grantedIds = records
+        .filter((record) => grant.scope === GRANT_SCOPE.FULL ||
+          (grant.scope === GRANT_SCOPE.RECORD && record.id === grant.recordId) ||
+          (grant.scope === GRANT_SCOPE.CATEGORY && record.recordType === grant.recordType))
+        .map((record) => record.id);
+      await shareRecordKeys(grant.doctor, grantedIds);
+
+      alert(findOrganization(grant.doctor) ? 'Keys shared with the organization\'s members' : 'Keys shared with the doctor');
+    } catch (error) {
+      console.error('Share keys error:', error);
+      alert('Failed to share keys: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Organizations - admins create them, owners and admins manage members, and members may leave
+  const handleCreateOrganization = async (e) => {
+    e.preventDefault();
+    if (!contract) return;
+
+    try {
+      setLoading(true);
+      const tx = await contract.createOrganization(organizationForm.name, organizationForm.owner);
+      await tx.wait();
+
+      alert('Organization created');
+      setOrganizationForm({ ...organizationForm, name: '', owner: '' });
+      await loadOrganizations(contract);
+    } catch (error) {
+      console.error('Create organization error:', error);
+      alert('Failed to create organization: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleAddOrganizationMember = async (e) => {
+    e.preventDefault();
+    if (!contract) return;
+
+    try {
+      setLoading(true);
+      const tx = await contract.addOrganizationMember(organizationForm.organization, organizationForm.doctor);
+      await tx.wait();
+
+      alert('Doctor added to the organization');
+      setOrganizationForm({ ...organizationForm, doctor: '' });
+      await loadOrganizations(contract);
+    } catch (error) {
+      console.error('Add organization member error:', error);
+      alert('Failed to add member: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRemoveOrganizationMember = async (organization, doctorAddress) => {
+    if (!contract) return;
+    const leaving = doctorAddress.toLowerCase() === account.toLowerCase();
+    if (!window.confirm(leaving
+      ? `Leave ${organization.name}? You lose the access patients gave it.`
+      : `Remove ${formatAddress(doctorAddress)} from ${organization.name}? They lose the access patients gave it.`)) return;
+
+    try {
+      setLoading(true);
+      const tx = await contract.removeOrganizationMember(organization.address, doctorAddress);
+      await tx.wait();
+
+      alert(leaving ? `You left ${organization.name}` : 'Member removed');
+      await loadOrganizations(contract);
+      if (leaving) {
+        await loadDoctorAccessibleRecords(contract, account);
+      }
+    } catch (error) {
+      console.error('Remove organization member error:', error);
+      alert('Failed to remove member: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Propose Record (doctor) - enters the chart once the patient accepts
+  const handleProposeRecord = async (e) => {
+    e.preventDefault();
+    if (!contract) return;
+
+    try {
+      setLoading(true);
+      // Encrypted for the patient, who shares it with their doctors on accepting it
+      const patientKey = await contract.getEncryptionKey(proposalForm.patientAddress);
+      if (patientKey === '0x') {
+        alert('This patient has not set up encryption yet, so files can\'t be submitted to them');
+        return;
+      }
+      const content = new Uint8Array(await proposalForm.file.arrayBuffer());
+      const contentKey = generateContentKey();
+      const ipfsHash = await uploadFile(await encryptFile(contentKey, content), proposalForm.file.name);
+
+      const tx = await contract.proposeRecord(
+        proposalForm.patientAddress,
+        ipfsHash,
+        proposalForm.recordType,
+        proposalForm.description,
+        describeFile(content, proposalForm.file.type),
+        await wrapContentKey(contentKey, patientKey)
+      );
+      await tx.wait();
+
+      alert('Record submitted! It enters the chart once the patient accepts it.');
+      setProposalForm(EMPTY_PROPOSAL_FORM);
+      e.target.reset();
+      await loadRecordProposals(contract, account, userInfo.role);
+      await loadAuditLogs(contract, account, userInfo.role);
+    } catch (error) {
+      console.error('Propose record error:', error);
+      alert('Failed to submit record: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Accept / Reject Proposal (patient)
+  const handleDecideProposal = async (proposal, accept) => {
+    if (!contract) return;
+
+    let reason = '';
+    if (!accept) {
+      reason = window.prompt('Reason for rejecting this record:');
+      if (reason === null) return;
+    }
+
+    try {
+      setLoading(true);
+      const tx = accept
+        ? await contract.acceptRecordProposal(proposal.id)
+        : await contract.rejectRecordProposal(proposal.id, reason);
+      const receipt = await tx.wait();
+
+      // The accepted file is encrypted for you; share its key with doctors whose grants cover it
+      if (accept && proposal.wrappedKey !== '0x') {
+        const created = receipt.logs
+          .map((log) => contract.interface.parseLog(log))
+          .find((event) => event?.name === 'RecordCreated');
+        const contentKey = await unwrapContentKey(proposal.wrappedKey, await unlockEncryptionKey());
+        await shareNewRecordKeys([{ id: Number(created.args.recordId), recordType: proposal.recordType, contentKey }]);
+      }
+
+      alert(accept ? 'Record added to your chart' : 'Record rejected');
+      await loadRecordProposals(contract, account, userInfo.role);
+      await loadRecords(contract, account);
+      await loadStats(contract);
+      await loadAuditLogs(contract, account, userInfo.role);
+    } catch (error) {
+      console.error('Proposal decision error:', error);
+      alert('Failed to update proposal: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Amend Record (stores a new version, the old one stays in the history)
+  const handleAmendRecord = async (e) => {
+    e.preventDefault();
+    if (!contract) return;
+
+    try {
+      setLoading(true);
+      const record = records.find((r) => r.id === amendForm.recordId);
+      const content = new Uint8Array(await amendForm.file.arrayBuffer());
+      let uploaded = content;
+      if (record.encrypted) {
+        // Reuse the record's content key so keys already shared with doctors open the new version
+        const contentKey = await unwrapContentKey(record.wrappedKey, await unlockEncryptionKey());
+        uploaded = await encryptFile(contentKey, content);
+      }
+      const ipfsHash = await uploadFile(uploaded, amendForm.file.name);
+
+      const tx = await contract.amendRecord(
+        amendForm.recordId,
+        ipfsHash,
+        amendForm.description,
+        amendForm.reason,
+        describeFile(content, amendForm.file.type)
+      );
+      await tx.wait();
+
+      alert('Record amended!');
+      const { [amendForm.recordId]: _, ...otherHistories } = recordHistories;
+      setRecordHistories(otherHistories);
+      setAmendForm(EMPTY_AMEND_FORM);
+      await loadRecords(contract, account);
+      await loadAuditLogs(contract, account, userInfo.role);
+    } catch (error) {
+      console.error('Amend record error:', error);
+      alert('Failed to amend record: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Archive / Restore Record
+  const handleArchiveRecord = async (recordId) => {
+    if (!contract) return;
+
+    const reason = window.prompt('Why are you withdrawing this record? Doctors will no longer see it.');
+    if (reason === null) return;
+
+    try {
+      setLoading(true);
+      const tx = await contract.archiveRecord(recordId, reason);
+      await tx.wait();
+
+      alert('Record archived');
+      await loadRecords(contract, account);
+      await loadAuditLogs(contract, account, userInfo.role);
+    } catch (error) {
+      console.error('Archive record error:', error);
+      alert('Failed to archive record: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRestoreRecord = async (recordId) => {
+    if (!contract) return;
+
+    try {
+      setLoading(true);
+      const tx = await contract.restoreRecord(recordId);
+      await tx.wait();
+
+      alert('Record restored');
+      await loadRecords(contract, account);
+      await loadAuditLogs(contract, account, userInfo.role);
+    } catch (error) {
+      console.error('Restore record error:', error);
+      alert('Failed to restore record: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadRecordHistory = async (recordId) => {
+    try {
+      const history = await contract.getRecordHistory(recordId);
+      setRecordHistories((loaded) => ({
+        ...loaded,
+        [recordId]: history.map((version) => ({
+          ipfsHash: version.ipfsHash,
+          description: version.description,
+          timestamp: Number(version.timestamp),
+          supersededAt: Number(version.supersededAt),
+          amendmentReason: version.amendmentReason
+        }))
+      }));
+    } catch (error) {
+      console.error('Error loading record history:', error);
+    }
+  };
+
+  const toggleRecordHistory = async (recordId) => {
+    if (recordHistories[recordId]) {
+      const { [recordId]: _, ...otherHistories } = recordHistories;
+      setRecordHistories(otherHistories);
+      return;
+    }
+
+    await loadRecordHistory(recordId);
+  };
+
+  // Record detail view, shown in place of the list in the tab it was opened from
+  const openRecordDetails = async (record) => {
+    setRecordDetail({ recordId: record.id, tab: activeTab });
+    setRecordPreview(null);
+    if (record.version > 1 && !recordHistories[record.id]) {
+      await loadRecordHistory(record.id);
+    }
+  };
+
+  const closeRecordDetails = () => {
+    setRecordDetail(null);
+    setRecordPreview(null);
+  };
+
+  // Grant Access
+  const handleGrantAccess = async (e) => {
+    e.preventDefault();
+    if (!contract) return;
+
+    if (accessForm.scope === 'records' && accessForm.recordIds.length === 0) {
+      alert('Select at least one record to share');
+      return;
+    }
+    if (accessForm.scope === 'categories' && accessForm.recordTypes.length === 0) {
+      alert('Select at least one record category to share');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      // Guardians use the ...For variants, which take the dependant's address first
+      const onBehalf = actingFor ? [actingFor.address] : [];
+      let tx;
+      if (accessForm.scope === 'records') {
+        tx = await contract[actingFor ? 'grantRecordAccessFor' : 'grantRecordAccess'](
+          ...onBehalf,
+          accessForm.doctorAddress,
+          accessForm.recordIds,
+          accessForm.duration,
+          accessForm.purpose
+        );
+      } else if (accessForm.scope === 'categories') {
+        tx = await contract[actingFor ? 'grantCategoryAccessFor' : 'grantCategoryAccess'](
+          ...onBehalf,
+          accessForm.doctorAddress,
+          accessForm.recordTypes,
+          accessForm.duration,
+          accessForm.purpose
+        );
+      } else if (actingFor) {
+        tx = await contract.grantAccessFor(
+          actingFor.address,
+          accessForm.doctorAddress,
+          accessForm.duration,
+          accessForm.purpose
+        );
+      } else {
+        await sendRelayable(
+          'GrantAccess',
+          {
+            patient: account,
+            doctor: accessForm.doctorAddress,
+            expiryDuration: Number(accessForm.duration),
+            purpose: accessForm.purpose
+          },
+          () => contract.grantAccess(accessForm.doctorAddress, accessForm.duration, accessForm.purpose)
+        );
+      }
+      if (tx) await tx.wait();
+
+      // Guardians can't unwrap the patient's keys, so only patients share them
+      if (!actingFor) {
+        const sharedIds = accessForm.scope === 'records'
+          ? accessForm.recordIds
+          : records
+            .filter((record) => accessForm.scope === 'all' || accessForm.recordTypes.includes(record.recordType))
+            .map((record) => record.id);
+        await shareRecordKeys(accessForm.doctorAddress, sharedIds);
+      }
+      
+      alert('Access granted successfully!');
+      setAccessForm(EMPTY_ACCESS_FORM);
+      await loadGrants(contract, actingFor ? actingFor.address : account);
+    } catch (error) {
+      console.error('Grant access error:', error);
+      alert('Failed to grant access: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Access Requests - doctors ask, the patient (or a guardian) approves with the requested terms or denies
+  const handleRequestAccess = async (e) => {
+    e.preventDefault();
+    if (!contract) return;
+
+    try {
+      setLoading(true);
+      const tx = await contract.requestAccess(requestForm.patientAddress, requestForm.purpose, requestForm.duration);
+      await tx.wait();
+
+      alert('Request sent! You will be notified when the patient decides.');
+      setRequestForm(EMPTY_REQUEST_FORM);
+      await loadAccessRequests(contract, account, 2);
+    } catch (error) {
+      console.error('Request access error:', error);
+      alert('Failed to request access: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDecideAccessRequest = async (request, approve) => {
+    if (!contract) return;
+
+    let reason = '';
+    if (!approve) {
+      reason = window.prompt('Reason for denying this request:');
+      if (reason === null) return;
+    }
+
+    try {
+      setLoading(true);
+      const tx = approve
+        ? await contract.approveAccessRequest(request.id)
+        : await contract.denyAccessRequest(request.id, reason);
+      await tx.wait();
+
+      // An approved request is a full grant, so every encrypted record's key goes to the doctor
+      if (approve && !actingFor) {
+        await shareRecordKeys(request.counterparty, records.map((record) => record.id));
+      }
+
+      alert(approve ? 'Access granted' : 'Request denied');
+      const patientAddress = actingFor ? actingFor.address : account;
+      await loadAccessRequests(contract, patientAddress, 1);
+      await loadGrants(contract, patientAddress);
+    } catch (error) {
+      console.error('Access request decision error:', error);
+      alert('Failed to update request: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Revoke a listed grant with the revoke call matching its scope
+  const handleRevokeGrant = async (grant) => {
+    if (!contract) return;
+
+    try {
+      setLoading(true);
+      const onBehalf = actingFor ? [actingFor.address] : [];
+      const suffix = actingFor ? 'For' : '';
+      let tx;
+      if (grant.scope === GRANT_SCOPE.RECORD) {
+        tx = await contract[`revokeRecordAccess${suffix}`](...onBehalf, grant.doctor, [grant.recordId]);
+      } else if (grant.scope === GRANT_SCOPE.CATEGORY) {
+        tx = await contract[`revokeCategoryAccess${suffix}`](...onBehalf, grant.doctor, [grant.recordType]);
+      } else {
+        tx = await contract[`revokeAccess${suffix}`](...onBehalf, grant.doctor);
+      }
+      await tx.wait();
+
+      alert('Access revoked');
+      await loadGrants(contract, actingFor ? actingFor.address : account);
+    } catch (error) {
+      console.error('Revoke access error:', error);
+      alert('Failed to revoke access: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Extend a grant, or renew it from now if it has expired
+  const handleExtendGrant = async (grant) => {
+    if (!contract) return;
+
+    try {
+      setLoading(true);
+      const tx = actingFor
+        ? await contract.extendAccessFor(actingFor.address, grant.index, extendDuration)
+        : await contract.extendAccess(grant.index, extendDuration);
+      await tx.wait();
+
+      await loadGrants(contract, actingFor ? actingFor.address : account);
+    } catch (error) {
+      console.error('Extend access error:', error);
+      alert('Failed to extend access: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Guardians (appointed by the patient, or by an admin for minors)
+  const handleAppointGuardian = async (e) => {
+    e.preventDefault();
+    if (!contract) return;
+
+    if (guardianForm.powers.length === 0) {
+      alert('Select at least one power');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      const patientAddress = userInfo.role === 3 ? guardianForm.patientAddress : account;
+      const powers = guardianForm.powers.reduce((flags, flag) => flags | flag, 0);
+      const tx = await contract.appointGuardian(patientAddress, guardianForm.guardianAddress, powers);
+      await tx.wait();
+
+      // Admins appointing for a minor need the quorum, like other admin actions
+      alert(userInfo.role === 3 && adminInfo.quorum > 1
+        ? `Approval recorded. The guardian is appointed once ${adminInfo.quorum} admins approve it.`
+        : 'Guardian appointed!');
+      setGuardianForm(EMPTY_GUARDIAN_FORM);
+      if (userInfo.role === 1) {
+        await loadGuardians(contract, account);
+      }
+      await loadAuditLogs(contract, account, userInfo.role);
+    } catch (error) {
+      console.error('Appoint guardian error:', error);
+      alert('Failed to appoint guardian: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRemoveGuardian = async (guardianAddress) => {
+    if (!contract) return;
+    if (!window.confirm(`Remove ${formatAddress(guardianAddress)} as your guardian?`)) return;
+
+    try {
+      setLoading(true);
+      const tx = await contract.removeGuardian(account, guardianAddress);
+      await tx.wait();
+
+      alert('Guardian removed');
+      await loadGuardians(contract, account);
+      await loadAuditLogs(contract, account, userInfo.role);
+    } catch (error) {
+      console.error('Remove guardian error:', error);
+      alert('Failed to remove guardian: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleGuardianPower = (flag) => {
+    const selected = guardianForm.powers;
+    setGuardianForm({
+      ...guardianForm,
+      powers: selected.includes(flag) ? selected.filter((item) => item !== flag) : [...selected, flag]
+    });
+  };
+
+  // Account switcher: act for a dependant, or as yourself (empty address)
+  const handleSwitchAccount = async (patientAddress) => {
+    if (!contract) return;
+
+    const dependant = dependants.find((item) => item.address === patientAddress) || null;
+    setActingFor(dependant);
+    setActiveTab('home');
+    setOpenedRecords({});
+    setFileChecks({});
+    setRecordHistories({});
+    setRecordFilter(EMPTY_RECORD_FILTER);
+    setRecordDetail(null);
+    setRecordPreview(null);
+    setAmendForm(EMPTY_AMEND_FORM);
+    setAccessForm(EMPTY_ACCESS_FORM);
+
+    if (!dependant) {
+      await loadUserInfo(contract, account);
+      return;
+    }
+
+    if (dependant.powers & GUARDIAN_VIEW_RECORDS) {
+      await loadRecords(contract, dependant.address);
+    } else {
+      setRecords([]);
+    }
+    if (dependant.powers & GUARDIAN_MANAGE_ACCESS) {
+      await loadGrants(contract, dependant.address);
+      await loadAccessRequests(contract, dependant.address, 1);
+    } else {
+      setGrants([]);
+      setGrantHistory({ items: [], total: 0 });
+      setAccessRequests([]);
+    }
+    if (dependant.powers & GUARDIAN_VIEW_AUDIT) {
+      await loadAuditLogs(contract, dependant.address, 1);
+    } else {
+      setAuditLogs([]);
+    }
+  };
+
+  // Break-glass Emergency Access
+  const handleInvokeEmergency = async (e) => {
+    e.preventDefault();
+    if (!contract) return;
+
+    if (!window.confirm('Emergency access is reported to the patient and reviewed by the admin. Continue?')) {
+      return;
+    }
+
+    try {
+      setLoading(true);
+      const tx = await contract.invokeEmergencyAccess(
+        emergencyForm.patientAddress,
+        emergencyForm.justification
+      );
+      await tx.wait();
+
+      alert('Emergency access granted for 12 hours');
+      setEmergencyForm({ patientAddress: '', justification: '' });
+      await loadEmergencySessions(contract, account);
+      await loadAuditLogs(contract, account, userInfo.role);
+    } catch (error) {
+      console.error('Emergency access error:', error);
+      alert('Failed to invoke emergency access: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleReviewEmergency = async (accessId, justified) => {
+    if (!contract) return;
+
+    const notes = window.prompt('Review notes:');
+    if (notes === null) return;
+
+    try {
+      setLoading(true);
+      const tx = await contract.reviewEmergencyAccess(accessId, justified, notes);
+      await tx.wait();
+
+      alert('Review recorded');
+      await loadEmergencyReviews(contract);
+    } catch (error) {
+      console.error('Emergency review error:', error);
+      alert('Failed to record review: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Admin Management (quorum-approved)
+  const submitAdminAction = async (action, successMessage) => {
+    if (!contract) return;
+
+    try {
+      setLoading(true);
+      const tx = await action();
+      await tx.wait();
+
+      alert(adminInfo.quorum > 1
+        ? `Approval recorded. The action runs once ${adminInfo.quorum} admins approve it.`
+        : successMessage);
+      setAdminForm({ address: '', name: '', quorum: '', newPrimary: '' });
+      await loadAdminInfo(contract);
+      await loadAdminDashboard(contract);
+      await loadStats(contract);
+      await loadAuditLogs(contract, account, userInfo.role);
+    } catch (error) {
+      console.error('Admin action error:', error);
+      alert('Admin action failed: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleAddAdmin = (e) => {
+    e.preventDefault();
+    submitAdminAction(() => contract.addAdmin(adminForm.address, adminForm.name), 'Admin added!');
+  };
+
+  const handleRemoveAdmin = (adminAddress) => {
+    if (!window.confirm(`Approve removing ${formatAddress(adminAddress)} as admin?`)) return;
+    submitAdminAction(() => contract.removeAdmin(adminAddress), 'Admin removed');
+  };
+
+  const handleToggleEmergencyMode = () => {
+    const enabling = !systemStats.emergencyMode;
+    const warning = enabling
+      ? 'Enable emergency mode? Every verified doctor will be able to read every record until it is disabled.'
+      : 'Disable emergency mode? Doctors will again read only what patients granted them.';
+    if (!window.confirm(warning)) return;
+
+    submitAdminAction(
+      () => contract.toggleEmergencyMode(),
+      enabling ? 'Emergency mode enabled' : 'Emergency mode disabled'
+    );
+  };
+
+  const handleSetQuorum = (e) => {
+    e.preventDefault();
+    submitAdminAction(() => contract.setAdminQuorum(adminForm.quorum), 'Quorum updated!');
+  };
+
+  const handleTransferAdmin = (e) => {
+    e.preventDefault();
+    submitAdminAction(
+      () => contract.transferAdmin(adminForm.newPrimary),
+      'Transfer started. The nominee must accept the primary admin role.'
+    );
+  };
+
+  const handleAcceptAdmin = async () => {
+    if (!contract) return;
+
+    try {
+      setLoading(true);
+      const tx = await contract.acceptAdmin();
+      await tx.wait();
+
+      alert('You are now the primary admin');
+      await loadUserInfo(contract, account);
+    } catch (error) {
+      console.error('Accept admin error:', error);
+      alert('Failed to accept admin role: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Open Record (logged on-chain)
+  const handleOpenRecord = async (recordId) => {
+    if (!contract) return;
+
+    try {
+      setLoading(true);
+      const tx = await contract.accessRecord(recordId);
+      await tx.wait();
+
+      const record = await contract.getRecord(recordId);
+      setOpenedRecords({ ...openedRecords, [recordId]: record[1] });
+      await loadAuditLogs(contract, account, userInfo.role);
+    } catch (error) {
+      console.error('Open record error:', error);
+      alert('Failed to open record: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleAccessSelection = (field, value) => {
+    const selected = accessForm[field];
+    setAccessForm({
+      ...accessForm,
+      [field]: selected.includes(value)
+        ? selected.filter((item) => item !== value)
+        : [...selected, value]
+    });
+  };
+
+  // Helper Functions
+  // Digest, size and type committed on-chain for a file, taken before any encryption
+  const describeFile = (content, mimeType) => ({
+    digest: digestFile(content),
+    size: content.length,
+    mimeType: mimeType || 'application/octet-stream'
+  });
+
+  const downloadBytes = (bytes, fileName) => {
+    const url = URL.createObjectURL(new Blob([bytes]));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const findOrganization = (address) =>
+    organizations.find((organization) => organization.address.toLowerCase() === address.toLowerCase());
+
+  const formatAddress = (address) => {
+    return `${address.substring(0, 6)}...${address.substring(38)}`;
+  };
+
+  const formatDate = (timestamp) => {
+    return new Date(timestamp * 1000).toLocaleString();
+  };
+
+  const formatCountdown = (expiresAt) => {
+    if (expiresAt === 0) return 'No expiry';
+
+    const remaining = expiresAt - now;
+    if (remaining <= 0) return 'Expired';
+
+    const days = Math.floor(remaining / 86400);
+    const hours = Math.floor((remaining % 86400) / 3600);
+    const minutes = Math.floor((remaining % 3600) / 60);
+    if (days > 0) return `${days}d ${hours}h left`;
+    if (hours > 0) return `${hours}h ${minutes}m left`;
+    return `${Math.max(minutes, 1)}m left`;
+  };
+
+  const formatDuration = (seconds) => {
+    if (seconds === 0) return 'No expiry';
+    const option = ACCESS_DURATIONS.find(({ value }) => Number(value) === seconds);
+    return option ? option.label : `${Math.round(seconds / 86400)} days`;
+  };
+
+  const formatGrantScope = (grant) => {
+    if (grant.scope === GRANT_SCOPE.RECORD) return `Record #${grant.recordId}`;
+    if (grant.scope === GRANT_SCOPE.CATEGORY) return `${grant.recordType} records`;
+    return 'All records';
+  };
+
+  const formatGrantEvent = (event) => {
+    switch (event.name) {
+      case 'AccessGranted': return 'Granted access to all records';
+      case 'AccessRevoked': return 'Revoked access to all records';
+      case 'AccessExtended': return 'Extended access';
+      case 'AccessRequestApproved': return 'Approved access request';
+      case 'RecordAccessGranted': return `Granted access to record #${event.recordId}`;
+      case 'RecordAccessRevoked': return `Revoked access to record #${event.recordId}`;
+      case 'CategoryAccessGranted': return `Granted access to ${event.recordType} records`;
+      case 'CategoryAccessRevoked': return `Revoked access to ${event.recordType} records`;
+      default: return event.name;
+    }
+  };
+
+  const formatActor = (log) => {
+    if (log.accessor.toLowerCase() === account.toLowerCase()) return 'You';
+    const name = actorNames[log.accessor.toLowerCase()];
+    const actor = name || formatAddress(log.accessor);
+    return `${actor} (${ACTOR_TYPES[log.actorType] || 'Unknown'})`;
+  };
+
+  const unsupportedChain = walletChainId !== null && !NETWORKS[walletChainId];
+
+  // A guardian acting for a dependant sees the patient views their powers allow
+  const actsAsPatient = actingFor !== null || userInfo?.role === 1;
+  // Admins get the system dashboard in place of a records list, unless acting for a dependant
+  const isAdminView = userInfo?.role === 3 && !actingFor;
+  // Admins see every organization, everyone else the ones they own or belong to
+  const isSelf = (address) => address.toLowerCase() === account.toLowerCase();
+  const canManageOrganization = (organization) => userInfo?.role === 3 || isSelf(organization.owner);
+  const myOrganizations = organizations.filter((organization) =>
+    canManageOrganization(organization) || organization.members.some((member) => isSelf(member.address))
+  );
+  const canActFor = (power) => !actingFor || (actingFor.powers & power) !== 0;
+
+  // Records tab: the loaded records searched, filtered and sorted; doctors can group them by patient
+  const isDoctorView = userInfo?.role === 2 && !actingFor;
+  const recordTypeOptions = [...new Set([...RECORD_TYPES, ...records.map((record) => record.recordType)])];
+  const recordPatients = [...new Map(records.map((record) => [record.patient, record.patientName])).entries()]
+    .map(([address, name]) => ({ address, name }))
+    .sort((a, b) => (a.name || a.address).localeCompare(b.name || b.address));
+  const recordFilterActive = Boolean(
+    recordFilter.query || recordFilter.recordType || recordFilter.patient || recordFilter.from || recordFilter.to
+  );
+
+  const filterRecords = (list) => {
+    const query = recordFilter.query.trim().toLowerCase();
+    const from = recordFilter.from ? new Date(`${recordFilter.from}T00:00`).getTime() / 1000 : 0;
+    const to = recordFilter.to ? new Date(`${recordFilter.to}T23:59:59`).getTime() / 1000 : Infinity;
+    const { compare } = RECORD_SORTS.find((sort) => sort.value === recordFilter.sort);
+
+    return list
+      .filter((record) =>
+        (!recordFilter.recordType || record.recordType === recordFilter.recordType) &&
+        (!recordFilter.patient || record.patient === recordFilter.patient) &&
+        record.timestamp >= from &&
+        record.timestamp <= to &&
+        (!query || [record.description, record.recordType, record.patientName, record.patient, record.authorName, `#${record.id}`]
+          .some((field) => field && field.toLowerCase().includes(query)))
+      )
+      .sort(compare);
+  };
+
+  const filteredRecords = filterRecords(records);
+  const recordGroups = isDoctorView && recordFilter.groupByPatient
+    ? recordPatients
+      .map((patient) => ({ ...patient, records: filteredRecords.filter((record) => record.patient === patient.address) }))
+      .filter((group) => group.records.length > 0)
+    : null;
+
+  // Emergency sessions list records outside `records`, and open their details too
+  const selectedRecord = recordDetail
+    ? [...records, ...emergencySessions.flatMap((session) => session.records)]
+      .find((record) => record.id === recordDetail.recordId)
+    : null;
+
+  const getRoleName = (role) => {
+    const roles = ['None', 'Patient', 'Doctor', 'Admin'];
+    return roles[role] || 'Unknown';
+  };
+
+  // One line per event in the admin dashboard's feed; names maps lowercased addresses to account names
+  const describeSystemEvent = ({ name, args }, names) => {
+    const who = (address) => names[address.toLowerCase()] || formatAddress(address);
+    const descriptions = {
+      UserRegistered: () => `${args.name} registered as ${getRoleName(Number(args.role)).toLowerCase()}`,
+      DoctorVerified: () => `${who(args.doctor)} verified by ${who(args.verifier)}`,
+      DoctorRejected: () => `${who(args.doctor)} rejected by ${who(args.verifier)}: ${args.reason}`,
+      VerifierUpdated: () => `${who(args.verifier)} ${args.enabled ? 'appointed' : 'removed as'} verifier`,
+      EmergencyModeToggled: () => `Emergency mode ${args.status ? 'enabled' : 'disabled'}`,
+      EmergencyAccessInvoked: () => `${who(args.doctor)} invoked emergency access to ${who(args.patient)}'s records`,
+      EmergencyAccessReviewed: () =>
+        `Emergency access #${args.accessId} reviewed as ${args.justified ? 'justified' : 'unjustified'} by ${who(args.reviewer)}`,
+      AdminAdded: () => `${who(args.account)} added as admin`,
+      AdminRemoved: () => `${who(args.account)} removed as admin`,
+      AdminQuorumChanged: () => `Admin quorum set to ${args.quorum}`,
+      AdminTransferred: () => `${who(args.newAdmin)} became primary admin`,
+      RelayerUpdated: () => `Relayer ${formatAddress(args.relayer)} ${args.enabled ? 'enabled' : 'disabled'}`,
+      OrganizationCreated: () => `${args.name} created, owned by ${who(args.owner)}`,
+      FileMismatchReported: () => `${who(args.reporter)} reported a file mismatch on record #${args.recordId}`,
+      Upgraded: () => `Contract upgraded to implementation ${formatAddress(args.implementation)}`
+    };
+    return descriptions[name] ? descriptions[name]() : name;
+  };
+
+  const renderRecordFilters = () => (
+    <div className="record-filters">
+      <div className="form-group record-search">
+        <Search size={16} />
+        <input
+          type="text"
+          value={recordFilter.query}
+          onChange={(e) => setRecordFilter({...recordFilter, query: e.target.value})}
+          placeholder={isDoctorView ? 'Search description, type, patient or #ID' : 'Search description, type or #ID'}
+        />
+      </div>
+      <div className="form-group">
+        <label>Type</label>
+        <select
+          value={recordFilter.recordType}
+          onChange={(e) => setRecordFilter({...recordFilter, recordType: e.target.value})}
+        >
+          <option value="">All types</option>
+          {recordTypeOptions.map((type) => (
+            <option key={type} value={type}>{type}</option>
+          ))}
+        </select>
+      </div>
+      {isDoctorView && (
+        <div className="form-group">
+          <label>Patient</label>
+          <select
+            value={recordFilter.patient}
+            onChange={(e) => setRecordFilter({...recordFilter, patient: e.target.value})}
+          >
+            <option value="">All patients</option>
+            {recordPatients.map((patient) => (
+              <option key={patient.address} value={patient.address}>
+                {patient.name || formatAddress(patient.address)}
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+      <div className="form-group">
+        <label>From</label>
+        <input
+          type="date"
+          value={recordFilter.from}
+          onChange={(e) => setRecordFilter({...recordFilter, from: e.target.value})}
+        />
+      </div>
+      <div className="form-group">
+        <label>To</label>
+        <input
+          type="date"
+          value={recordFilter.to}
+          onChange={(e) => setRecordFilter({...recordFilter, to: e.target.value})}
+        />
+      </div>
+      <div className="form-group">
+        <label>Sort</label>
+        <select
+          value={recordFilter.sort}
+          onChange={(e) => setRecordFilter({...recordFilter, sort: e.target.value})}
+        >
+          {RECORD_SORTS.map((sort) => (
+            <option key={sort.value} value={sort.value}>{sort.label}</option>
+          ))}
+        </select>
+      </div>
+      {isDoctorView && (
+        <div className="form-group">
+          <label className="checkbox-item">
+            <input
+              type="checkbox"
+              checked={recordFilter.groupByPatient}
+              onChange={(e) => setRecordFilter({...recordFilter, groupByPatient: e.target.checked})}
+            />
+            Group by patient
+          </label>
+        </div>
+      )}
+      {recordFilterActive && (
+        <button
+          onClick={() => setRecordFilter({ ...EMPTY_RECORD_FILTER, sort: recordFilter.sort, groupByPatient: recordFilter.groupByPatient })}
+          className="btn btn-secondary btn-small"
+        >
+          Clear Filters
+        </button>
+      )}
+    </div>
+  );
+
+  const renderRecordDetail = (record) => {
+    const canReadFile = (actsAsPatient || openedRecords[record.id]) && !(record.encrypted && actingFor);
+    const preview = recordPreview?.recordId === record.id ? recordPreview : null;
+    const recordLogs = auditLogs.filter((log) => log.recordId === record.id);
+    const recordGrants = grants.filter((grant) =>
+      grant.scope === GRANT_SCOPE.FULL ||
+      (grant.scope === GRANT_SCOPE.RECORD && grant.recordId === record.id) ||
+      (grant.scope === GRANT_SCOPE.CATEGORY && grant.recordType === record.recordType)
+    );
+
+    return (
+      <div className="record-detail">
+        <button onClick={closeRecordDetails} className="history-toggle">
+          <ArrowLeft size={14} />
+          Back to records
+        </button>
+        <div className="records-header">
+          <h2>{record.recordType} #{record.id}</h2>
+          <div className="record-header">
+            <span className="version-badge">v{record.version}</span>
+            {record.archived && <span className="version-badge archived">Archived</span>}
+            {record.encrypted && <Lock size={14} className="encrypted-icon" title="End-to-end encrypted" />}
+          </div>
+        </div>
+        <h3>{record.description}</h3>
+
+        <table className="grants-table detail-table">
+          <tbody>
+            <tr>
+              <th>Patient</th>
+              <td>{record.patientName ? `${record.patientName} (${record.patient})` : record.patient}</td>
+            </tr>
+            <tr>
+              <th>Author</th>
+              <td>{record.authorName ? `${record.authorName} (${record.author})` : 'The patient'}</td>
+            </tr>
+            <tr>
+              <th>Created</th>
+              <td>{formatDate(record.timestamp)}</td>
+            </tr>
+            <tr>
+              <th>Status</th>
+              <td>{record.archived ? 'Archived' : 'Active'}</td>
+            </tr>
+            {(actsAsPatient || openedRecords[record.id]) && (
+              <tr>
+                <th>IPFS CID</th>
+                <td>{openedRecords[record.id] || record.ipfsHash}</td>
+              </tr>
+            )}
+            <tr>
+              <th>File</th>
+              <td>{record.file.mimeType} • {record.file.size.toLocaleString()} bytes</td>
+            </tr>
+            <tr>
+              <th>SHA-256</th>
+              <td>{record.file.digest}</td>
+            </tr>
+            <tr>
+              <th>Encryption</th>
+              <td>
+                {!record.encrypted
+                  ? 'Not encrypted'
+                  : record.wrappedKey === '0x' && !actingFor
+                    ? 'End-to-end encrypted; the patient has not shared the key with you yet'
+                    : 'End-to-end encrypted; decrypted in your browser'}
+              </td>
+            </tr>
+            {fileChecks[record.id] && (
+              <tr>
+                <th>Integrity</th>
+                <td>
+                  {fileChecks[record.id] === 'verified'
+                    ? 'The downloaded file matches the committed digest'
+                    : fileChecks[record.id] === 'undecryptable'
+                      ? 'The file\'s key could not be decrypted with your encryption key'
+                      : 'The downloaded file does not match the committed digest'}
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+
+        <div className="dashboard-section">
+          <h3>File</h3>
+          {!actsAsPatient && !openedRecords[record.id] && (
+            <button
+              onClick={() => handleOpenRecord(record.id)}
+              className="btn btn-primary btn-small"
+              disabled={loading}
+              title="Opening a record is recorded in the patient's audit trail"
+            >
+              <Eye size={16} />
+              Open Record
+            </button>
+          )}
+          {canReadFile && (
+            <div className="review-actions">
+              <button onClick={() => handlePreviewInline(record)} className="btn btn-secondary btn-small" disabled={loading}>
+                <Eye size={16} />
+                {preview ? 'Reload Preview' : 'Show Preview'}
+              </button>
+              <button onClick={() => handleOpenFile(record, false)} className="btn btn-secondary btn-small" disabled={loading}>
+                <Download size={16} />
+                Download
+              </button>
+            </div>
+          )}
+          {record.encrypted && actingFor && (
+            <p className="audit-meta">Only the patient can decrypt this file</p>
+          )}
+          {preview && (
+            <div className="file-preview">
+              {preview.text !== null && <pre>{preview.text}</pre>}
+              {preview.text === null && preview.mimeType.startsWith('image/') && (
+                <img src={preview.url} alt={record.description} />
+              )}
+              {preview.text === null && preview.mimeType === 'application/pdf' && (
+                <iframe src={preview.url} title={record.description} />
+              )}
+              {preview.text === null && !preview.mimeType.startsWith('image/') && preview.mimeType !== 'application/pdf' && (
+                <p className="audit-meta">{preview.mimeType} files can't be shown here; download the file instead</p>
+              )}
+            </div>
+          )}
+        </div>
+
+        <div className="dashboard-section">
+          <h3>Versions</h3>
+          <div className="version-history">
+            <div className="version-entry">
+              <div className="audit-action">v{record.version} (current): {record.description}</div>
+              <div className="audit-meta">{formatDate(record.timestamp)}</div>
+            </div>
+            {[...(recordHistories[record.id] || [])].reverse().map((version, index) => (
+              <div key={index} className="version-entry">
+                <div className="audit-action">
+                  v{record.version - index - 1}: {version.description}
+                </div>
+                <div className="audit-meta">
+                  {formatDate(version.timestamp)} • {formatAddress(version.ipfsHash)}
+                </div>
+                <div className="audit-reason">
+                  Replaced {formatDate(version.supersededAt)}: {version.amendmentReason}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        {actsAsPatient && canActFor(GUARDIAN_MANAGE_ACCESS) && (
+          <div className="dashboard-section">
+            <h3>Who Can Access It</h3>
+            {recordGrants.length === 0 ? (
+              <p className="audit-meta">No grants cover this record</p>
+            ) : (
+              <div className="audit-list">
+                {recordGrants.map((grant) => (
+                  <div key={grant.index} className="audit-item">
+                    <div className="audit-icon">
+                      <Unlock size={20} />
+                    </div>
+                    <div className="audit-details">
+                      <div className="audit-action">
+                        {grant.doctorName || findOrganization(grant.doctor)?.name || formatAddress(grant.doctor)}
+                      </div>
+                      <div className="audit-meta">
+                        {formatGrantScope(grant)} • {formatCountdown(grant.expiresAt)}
+                      </div>
+                      {grant.purpose && <div className="audit-reason">Purpose: {grant.purpose}</div>}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
+        {canActFor(GUARDIAN_VIEW_AUDIT) && (
+          <div className="dashboard-section">
+            <h3>{actsAsPatient ? 'Access History' : 'Your Activity on This Record'}</h3>
+            {recordLogs.length === 0 ? (
+              <p className="audit-meta">No audit entries for this record</p>
+            ) : (
+              <div className="audit-list">
+                {recordLogs.map((log, index) => (
+                  <div key={index} className="audit-item">
+                    <div className="audit-icon">
+                      {log.action === 'VIEW' ? <Eye size={20} /> : <Clock size={20} />}
+                    </div>
+                    <div className="audit-details">
+                      <div className="audit-action">{log.action}</div>
+                      <div className="audit-meta">By {formatActor(log)} • {formatDate(log.timestamp)}</div>
+                      {log.reason && <div className="audit-reason">Reason: {log.reason}</div>}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  const renderRecordCard = (record) => (
+    <div key={record.id} className={`record-card ${record.archived ? 'archived' : ''}`}>
+      <div className="record-header">
+        <Stethoscope className="record-icon" />
+        <span className="record-type">{record.recordType}</span>
+        <span className="version-badge">v{record.version}</span>
+        {record.archived && <span className="version-badge archived">Archived</span>}
+        {fileChecks[record.id] === 'verified' && (
+          <span className="integrity-badge verified" title="The downloaded file matches the digest committed on-chain">
+            <ShieldCheck size={12} />
+            Verified
+          </span>
+        )}
+        {fileChecks[record.id] === 'tampered' && (
+          <span className="integrity-badge tampered" title="The downloaded file does not match the digest committed on-chain">
+            <ShieldAlert size={12} />
+            Tampered
+          </span>
+        )}
+        {fileChecks[record.id] === 'undecryptable' && (
+          <span className="integrity-badge tampered" title="The key shared with you does not open with your encryption key">
+            <ShieldAlert size={12} />
+            Decryption failed
+          </span>
+        )}
+        {record.encrypted && record.wrappedKey === '0x' && !actingFor && (
+          <span className="integrity-badge missing-key" title="You can read the record, but the patient has not shared the file's key with you">
+            <Lock size={12} />
+            Key not shared yet
+          </span>
+        )}
+        {record.encrypted && <Lock size={14} className="encrypted-icon" title="End-to-end encrypted" />}
+      </div>
+      <h3>{record.description}</h3>
+      {record.authorName && (
+        <div className="record-patient">
+          <Stethoscope size={14} />
+          <span>Authored by {record.authorName}</span>
+        </div>
+      )}
+      {userInfo.role === 2 && !actingFor && (
+        <div className="record-patient">
+          <Users size={14} />
+          <span>Patient: {record.patientName || formatAddress(record.patient)}</span>
+        </div>
+      )}
+      <div className="record-meta">
+        <div className="meta-item">
+          <Clock size={14} />
+          {formatDate(record.timestamp)}
+        </div>
+        {actsAsPatient && (
+          <div className="meta-item">
+            <Database size={14} />
+            {formatAddress(record.ipfsHash)}
+          </div>
+        )}
+        {openedRecords[record.id] && (
+          <div className="meta-item">
+            <Database size={14} />
+            {openedRecords[record.id]}
+          </div>
+        )}
+      </div>
+      <button onClick={() => openRecordDetails(record)} className="history-toggle">
+        <Info size={14} />
+        Details
+      </button>
+      {!actsAsPatient && !openedRecords[record.id] && (
+        <button
+          onClick={() => handleOpenRecord(record.id)}
+          className="btn btn-primary btn-small"
+          disabled={loading}
+          title="Opening a record is recorded in the patient's audit trail"
+        >
+          <Eye size={16} />
+          Open Record
+        </button>
+      )}
+      {(actsAsPatient || openedRecords[record.id]) && !(record.encrypted && actingFor) && (
+        <div className="review-actions">
+          <button
+            onClick={() => handleOpenFile(record, true)}
+            className="btn btn-secondary btn-small"
+            disabled={loading}
+            title={record.encrypted ? 'The file is decrypted in your browser' : undefined}
+          >
+            <Eye size={16} />
+            Preview File
+          </button>
+          <button onClick={() => handleOpenFile(record, false)} className="btn btn-secondary btn-small" disabled={loading}>
+            <Download size={16} />
+            Download
+          </button>
+        </div>
+      )}
+      {userInfo.role === 1 && !actingFor && amendForm.recordId !== record.id && (
+        <div className="review-actions">
+          {!record.archived && (
+            <button
+              onClick={() => setAmendForm({ ...EMPTY_AMEND_FORM, recordId: record.id, description: record.description })}
+              className="btn btn-secondary btn-small"
+              disabled={loading}
+            >
+              <Pencil size={16} />
+              Amend
+            </button>
+          )}
+          {record.archived ? (
+            <button onClick={() => handleRestoreRecord(record.id)} className="btn btn-secondary btn-small" disabled={loading}>
+              <ArchiveRestore size={16} />
+              Restore
+            </button>
+          ) : (
+            <button onClick={() => handleArchiveRecord(record.id)} className="btn btn-secondary btn-small" disabled={loading}>
+              <Archive size={16} />
+              Archive
+            </button>
+          )}
+        </div>
+      )}
+      {amendForm.recordId === record.id && (
+        <form onSubmit={handleAmendRecord} className="form amend-form">
+          <div className="form-group">
+            <label>Corrected File</label>
+            <input
+              type="file"
+              onChange={(e) => setAmendForm({...amendForm, file: e.target.files[0] || null})}
+              required
+            />
+          </div>
+          <div className="form-group">
+            <label>Description</label>
+            <input
+              type="text"
+              value={amendForm.description}
+              onChange={(e) => setAmendForm({...amendForm, description: e.target.value})}
+              required
+            />
+          </div>
+          <div className="form-group">
+            <label>Reason for Amendment</label>
+            <input
+              type="text"
+              value={amendForm.reason}
+              onChange={(e) => setAmendForm({...amendForm, reason: e.target.value})}
+              placeholder="e.g., Corrected lab values"
+              required
+            />
+          </div>
+          <div className="review-actions">
+            <button type="submit" className="btn btn-primary btn-small" disabled={loading}>
+              Save Version {record.version + 1}
+            </button>
+            <button type="button" onClick={() => setAmendForm(EMPTY_AMEND_FORM)} className="btn btn-secondary btn-small">
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+      {record.version > 1 && (
+        <button onClick={() => toggleRecordHistory(record.id)} className="history-toggle">
+          <History size={14} />
+          {recordHistories[record.id] ? 'Hide history' : `Show ${record.version - 1} earlier version(s)`}
+        </button>
+      )}
+      {recordHistories[record.id] && (
+        <div className="version-history">
+          {recordHistories[record.id].map((version, index) => (
+            <div key={index} className="version-entry">
+              <div className="audit-action">
+                v{index + 1}: {version.description}
+              </div>
+              <div className="audit-meta">
+                {formatDate(version.timestamp)} • {formatAddress(version.ipfsHash)}
+              </div>
+              <div className="audit-reason">
+                Replaced {formatDate(version.supersededAt)}: {version.amendmentReason}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+
+  // Patients appoint their own guardians; admins appoint them for minors
+  const renderGuardianForm = (forMinor) => (
+    <form onSubmit={handleAppointGuardian} className="form admin-form">
+      <h3>{forMinor ? 'Appoint Guardian for a Minor' : 'Appoint Guardian'}</h3>
+      {forMinor && (
+        <div className="form-group">
+          <label>Patient's Wallet Address</label>
+          <input
+            type="text"
+            value={guardianForm.patientAddress}
+            onChange={(e) => setGuardianForm({...guardianForm, patientAddress: e.target.value})}
+            placeholder="0x..."
+            required
+          />
+        </div>
+      )}
+      <div className="form-group">
+        <label>Guardian's Wallet Address</label>
+        <input
+          type="text"
+          value={guardianForm.guardianAddress}
+          onChange={(e) => setGuardianForm({...guardianForm, guardianAddress: e.target.value})}
+          placeholder="0x..."
+          required
+        />
+        <small>The guardian must already be registered with MedChain</small>
+      </div>
+      <div className="form-group">
+        <label>Powers</label>
+        <div className="checkbox-list">
+          {GUARDIAN_POWERS.map(({ flag, label }) => (
+            <label key={flag} className="checkbox-item">
+              <input
+                type="checkbox"
+                checked={guardianForm.powers.includes(flag)}
+                onChange={() => toggleGuardianPower(flag)}
+              />
+              <span>{label}</span>
+            </label>
+          ))}
+        </div>
+        <small>
+          Appointing an existing guardian again replaces their powers
+          {forMinor && adminInfo.quorum > 1 && `; the appointment waits for ${adminInfo.quorum} admins to approve it`}
+        </small>
+      </div>
+      <button type="submit" className="btn btn-primary btn-block" disabled={loading}>
+        Appoint Guardian
+      </button>
+    </form>
+  );
+
+  const renderAdminDashboard = () => {
+    const query = directoryFilter.query.trim().toLowerCase();
+    const directoryUsers = userDirectory.users.filter((user) =>
+      (directoryFilter.role === '' || String(user.role) === directoryFilter.role) &&
+      (!query || user.name.toLowerCase().includes(query) || user.address.toLowerCase().includes(query))
+    );
+    const emergencyOn = systemStats?.emergencyMode;
+    const statTiles = systemStats ? [
+      { label: 'Patients', value: systemStats.patients },
+      {
+        label: 'Doctors',
+        value: systemStats.doctors,
+        detail: `${systemStats.verifiedDoctors} verified • ${systemStats.pendingDoctors} pending`
+      },
+      { label: 'Admins', value: systemStats.admins, detail: `Quorum ${systemStats.approvalsRequired}` },
+      { label: 'Organizations', value: systemStats.organizations },
+      { label: 'Records', value: systemStats.records },
+      {
+        label: 'Emergency Accesses',
+        value: systemStats.emergencyAccesses,
+        detail: `${systemStats.pendingEmergencyReviews} awaiting review`
+      },
+      { label: 'Access Requests', value: systemStats.accessRequests },
+      { label: 'Record Proposals', value: systemStats.recordProposals },
+      { label: 'Admin Actions', value: systemStats.systemAuditEntries }
+    ] : [];
+
+    return (
+      <div className="admin-dashboard">
+        <div className="records-header">
+          <h2>System Dashboard</h2>
+          <button
+            onClick={() => loadAdminDashboard(contract)}
+            className="btn btn-secondary btn-small"
+            disabled={loading}
+          >
+            <RefreshCw size={16} />
+            Refresh
+          </button>
+        </div>
+
+        <div className="dashboard-stats">
+          {statTiles.map((tile) => (
+            <div key={tile.label} className="dashboard-stat">
+              <div className="stat-value">{tile.value}</div>
+              <div className="stat-label">{tile.label}</div>
+              {tile.detail && <div className="audit-meta">{tile.detail}</div>}
+            </div>
+          ))}
+        </div>
+
+        {systemStats && (
+          <div className={`emergency-panel ${emergencyOn ? 'active' : ''}`}>
+            <Siren size={24} />
+            <div className="emergency-panel-details">
+              <h3>Emergency Mode {emergencyOn ? 'On' : 'Off'}</h3>
+              <p className="audit-meta">
+                {emergencyOn
+                  ? 'Every verified doctor can read every record. Turn it off as soon as the emergency is over.'
+                  : 'Last resort for system-wide emergencies; day-to-day emergencies use break-glass access.'}
+              </p>
+              {systemStats.emergencyApprovals > 0 && (
+                <p className="audit-meta">
+                  {systemStats.emergencyApprovals} of {systemStats.approvalsRequired} admins approved turning it {emergencyOn ? 'off' : 'on'}.
+                </p>
+              )}
+            </div>
+            <button
+              onClick={handleToggleEmergencyMode}
+              className={`btn ${emergencyOn ? 'btn-primary' : 'btn-secondary'} btn-small`}
+              disabled={loading}
+            >
+              {systemStats.approvalsRequired > 1 ? 'Approve Turning ' : 'Turn '}
+              {emergencyOn ? 'Off' : 'On'}
+            </button>
+          </div>
+        )}
+
+        <div className="dashboard-section">
+          <h3>User Directory</h3>
+          <div className="directory-filters">
+            <div className="form-group">
+              <select
+                value={directoryFilter.role}
+                onChange={(e) => setDirectoryFilter({...directoryFilter, role: e.target.value})}
+              >
+                <option value="">All roles</option>
+                <option value="1">Patients</option>
+                <option value="2">Doctors</option>
+                <option value="3">Admins</option>
+                <option value="0">Removed admins</option>
+              </select>
+            </div>
+            <div className="form-group">
+              <input
+                type="text"
+                value={directoryFilter.query}
+                onChange={(e) => setDirectoryFilter({...directoryFilter, query: e.target.value})}
+                placeholder="Search by name or address"
+              />
+            </div>
+          </div>
+          {directoryUsers.length === 0 ? (
+            <p className="audit-meta">No matching accounts</p>
+          ) : (
+            <table className="grants-table">
+              <thead>
+                <tr>
+                  <th>Name</th>
+                  <th>Address</th>
+                  <th>Role</th>
+                  <th>Registered</th>
+                </tr>
+              </thead>
+              <tbody>
+                {directoryUsers.map((user) => (
+                  <tr key={user.address} className={user.isRegistered ? '' : 'expired'}>
+                    <td>{user.name}</td>
+                    <td title={user.address}>{formatAddress(user.address)}</td>
+                    <td>{user.isRegistered ? getRoleName(user.role) : 'Removed'}</td>
+                    <td>{formatDate(user.registrationTime)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          <p className="audit-meta">
+            {userDirectory.users.length} of {userDirectory.total} accounts loaded
+          </p>
+          {userDirectory.users.length < userDirectory.total && (
+            <button
+              onClick={() => loadUserDirectory(contract, userDirectory.users.length)}
+              className="btn btn-secondary btn-block"
+              disabled={loading}
+            >
+              Load More Users
+            </button>
+          )}
+        </div>
+
+        <div className="dashboard-section">
+          <h3>Recent System Events</h3>
+          {systemEvents.length === 0 ? (
+            <p className="audit-meta">
+              {INDEXER_URL ? 'No system events yet' : `No system events in the last ${SYSTEM_EVENT_BLOCKS} blocks`}
+            </p>
+          ) : (
+            <div className="audit-list">
+              {systemEvents.map((event) => (
+                <div key={event.key} className="audit-item">
+                  <div className="audit-icon">
+                    {event.name.startsWith('Emergency') && <Siren size={20} />}
+                    {event.name.startsWith('Admin') && <UserCog size={20} />}
+                    {event.name.startsWith('Doctor') && <BadgeCheck size={20} />}
+                    {!['Emergency', 'Admin', 'Doctor'].some((prefix) => event.name.startsWith(prefix)) && <Activity size={20} />}
+                  </div>
+                  <div className="audit-details">
+                    <div className="audit-action">{event.summary}</div>
+                    <div className="audit-meta">{event.name} • {formatDate(event.timestamp)}</div>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    );
+  };
+
+  return (
     <div className="app">
       {/* Header */}
       <header className="header">
@@ -356,26 +3303,58 @@ function App() {
               <h1>MedChain</h1>
             </div>
             
-            {!account ? (
-              <button onClick={connectWallet} className="btn btn-primary" disabled={loading}>
-                {loading ? 'Connecting...' : 'Connect Wallet'}
-              </button>
-            ) : (
-              <div className="user-info-header">
-                <div className="account-badge">
-                  <Shield size={16} />
-                  <span>{formatAddress(account)}</span>
-                </div>
-                {userInfo && (
-                  <div className="role-badge">
-                    {getRoleName(userInfo.role)}
-                  </div>
-                )}
-                <button onClick={handleLogout} className="btn btn-secondary" title="Logout and switch accounts">
-                  Logout
+            <div className="user-info-header">
+              {Object.keys(NETWORKS).length > 0 && (
+                <select
+                  className="account-switcher"
+                  value={account && unsupportedChain ? '' : network?.chainId}
+                  onChange={(e) => handleSelectNetwork(e.target.value)}
+                  disabled={loading}
+                  title="Network MedChain is used on"
+                >
+                  {account && unsupportedChain && <option value="" disabled>Unsupported network</option>}
+                  {Object.values(NETWORKS).map((option) => (
+                    <option key={option.chainId} value={option.chainId}>{option.name}</option>
+                  ))}
+                </select>
+              )}
+              {!account ? (
+                <button onClick={connectWallet} className="btn btn-primary" disabled={loading}>
+                  {loading ? 'Connecting...' : 'Connect Wallet'}
                 </button>
-              </div>
-            )}
+              ) : (
+                <>
+                  <div className="account-badge">
+                    <Shield size={16} />
+                    <span>{formatAddress(account)}</span>
+                  </div>
+                  {userInfo && (
+                    <div className="role-badge">
+                      {actingFor ? 'Guardian' : getRoleName(userInfo.role)}
+                    </div>
+                  )}
+                  {dependants.length > 0 && (
+                    <select
+                      className="account-switcher"
+                      value={actingFor ? actingFor.address : ''}
+                      onChange={(e) => handleSwitchAccount(e.target.value)}
+                      disabled={loading}
+                      title="Act on behalf of a patient you are guardian for"
+                    >
+                      <option value="">Myself</option>
+                      {dependants.map((dependant) => (
+                        <option key={dependant.address} value={dependant.address}>
+                          {dependant.name || formatAddress(dependant.address)}
+                        </option>
+                      ))}
+                    </select>
+                  )}
+                  <button onClick={handleLogout} className="btn btn-secondary" title="Logout and switch accounts">
+                    Logout
+                  </button>
+                </>
+              )}
+            </div>
           </div>
         </div>
       </header>
@@ -383,7 +3362,40 @@ function App() {
       {/* Main Content */}
       <main className="main">
         <div className="container">
-          {!account ? (
+          {account && unsupportedChain && (
+            <div className="notice-banner">
+              <AlertCircle size={20} />
+              <span>Your wallet is on a network MedChain isn't deployed on (chain {walletChainId}).</span>
+              {network && (
+                <button onClick={() => switchWalletChain(network)} className="btn btn-primary btn-small" disabled={loading}>
+                  Switch to {network.name}
+                </button>
+              )}
+            </div>
+          )}
+          {account && isPendingAdmin && (
+            <div className="notice-banner">
+              <UserCog size={20} />
+              <span>You have been nominated as primary administrator of MedChain.</span>
+              <button onClick={handleAcceptAdmin} className="btn btn-primary btn-small" disabled={loading}>
+                Accept Role
+              </button>
+            </div>
+          )}
+          {!network ? (
+            /* No deployment manifest for the default network, and the wallet isn't on a deployed chain */
+            <div className="welcome-screen">
+              <div className="welcome-card">
+                <AlertCircle className="welcome-icon" />
+                <h2>MedChain Is Not Deployed</h2>
+                <p>There is no deployment manifest for "{DEFAULT_NETWORK}" in src/deployments/.</p>
+                <p className="deploy-hint">
+                  Run <code>npx hardhat run scripts/deploy.js --network {DEFAULT_NETWORK}</code> in blockchain/ and reload,
+                  or set VITE_NETWORK to a network that has a manifest.
+                </p>
+              </div>
+            </div>
+          ) : !account || !contract ? (
             /* Welcome Screen */
             <div className="welcome-screen">
               <div className="welcome-card">
@@ -417,13 +3429,22 @@ function App() {
                 </button>
               </div>
             </div>
-          ) : !userInfo?.isRegistered ? (
-            /* Registration Form */
+          ) : !userInfo?.isRegistered || credential?.status === VERIFICATION_STATUS.REJECTED ? (
+            /* Registration Form (also used to resubmit rejected doctor credentials) */
             <div className="registration-screen">
               <div className="reg-card">
                 <UserPlus className="reg-icon" />
-                <h2>Register Your Account</h2>
-                <p>Choose your role to get started</p>
+                {credential?.status === VERIFICATION_STATUS.REJECTED ? (
+                  <>
+                    <h2>Application Rejected</h2>
+                    <p>Reason: {credential.rejectionReason}. Correct your credentials and resubmit.</p>
+                  </>
+                ) : (
+                  <>
+                    <h2>Register Your Account</h2>
+                    <p>Choose your role to get started</p>
+                  </>
+                )}
                 
                 <form onSubmit={handleRegister} className="reg-form">
                   <div className="form-group">
@@ -440,23 +3461,106 @@ function App() {
                   <div className="form-group">
                     <label>Role</label>
                     <select
-                      value={registerForm.role}
+                      value={credential ? '2' : registerForm.role}
                       onChange={(e) => setRegisterForm({...registerForm, role: e.target.value})}
+                      disabled={Boolean(credential)}
                     >
                       <option value="1">Patient</option>
                       <option value="2">Doctor</option>
                     </select>
                   </div>
+
+                  {(registerForm.role === '2' || credential) && (
+                    <>
+                      <div className="form-group">
+                        <label>License Number</label>
+                        <input
+                          type="text"
+                          value={registerForm.licenseNumber}
+                          onChange={(e) => setRegisterForm({...registerForm, licenseNumber: e.target.value})}
+                          placeholder="e.g., MD-123456"
+                          required
+                        />
+                      </div>
+
+                      <div className="form-group">
+                        <label>Issuing Authority</label>
+                        <input
+                          type="text"
+                          value={registerForm.issuingAuthority}
+                          onChange={(e) => setRegisterForm({...registerForm, issuingAuthority: e.target.value})}
+                          placeholder="e.g., State Medical Board"
+                          required
+                        />
+                      </div>
+
+                      <div className="form-group">
+                        <label>Specialty</label>
+                        <input
+                          type="text"
+                          value={registerForm.specialty}
+                          onChange={(e) => setRegisterForm({...registerForm, specialty: e.target.value})}
+                          placeholder="e.g., Cardiology"
+                        />
+                        <small>Your credentials are reviewed before you can access patient records</small>
+                      </div>
+                    </>
+                  )}
                   
                   <button type="submit" className="btn btn-primary btn-block" disabled={loading}>
-                    {loading ? 'Registering...' : 'Register'}
+                    {loading ? 'Registering...' : credential ? 'Resubmit Application' : 'Register'}
                   </button>
                 </form>
               </div>
             </div>
+          ) : credential?.status === VERIFICATION_STATUS.PENDING ? (
+            /* Pending Doctor Verification */
+            <div className="registration-screen">
+              <div className="reg-card">
+                <BadgeCheck className="reg-icon" />
+                <h2>Pending Verification</h2>
+                <p>Your doctor credentials are awaiting review. You can access patient records once they are approved.</p>
+                <div className="credential-summary">
+                  <div><strong>License:</strong> {credential.licenseNumber}</div>
+                  <div><strong>Issued by:</strong> {credential.issuingAuthority}</div>
+                  {credential.specialty && <div><strong>Specialty:</strong> {credential.specialty}</div>}
+                  <div><strong>Submitted:</strong> {formatDate(credential.submittedAt)}</div>
+                </div>
+                <button onClick={() => loadUserInfo(contract, account)} className="btn btn-primary btn-block" disabled={loading}>
+                  Check Status
+                </button>
+              </div>
+            </div>
           ) : (
             /* Dashboard */
             <div className="dashboard">
+              {!hasPublishedKey && !actingFor && (
+                <div className="notice-banner">
+                  <Lock size={20} />
+                  <span>Set up encryption so records can be shared with you end-to-end encrypted.</span>
+                  <button onClick={handleSetUpEncryption} className="btn btn-primary btn-small" disabled={loading}>
+                    Set Up Encryption
+                  </button>
+                </div>
+              )}
+
+              {stats.emergencyStatus && (
+                <div className="notice-banner emergency">
+                  <Siren size={20} />
+                  <span>Emergency mode is on: every verified doctor can read every record until an admin turns it off.</span>
+                </div>
+              )}
+
+              {actingFor && (
+                <div className="notice-banner">
+                  <HeartHandshake size={20} />
+                  <span>You are acting as guardian for {actingFor.name || formatAddress(actingFor.address)}.</span>
+                  <button onClick={() => handleSwitchAccount('')} className="btn btn-secondary btn-small" disabled={loading}>
+                    Back to My Account
+                  </button>
+                </div>
+              )}
+
               {/* Stats Bar */}
               <div className="stats-bar">
                 <div className="stat-card">
@@ -466,13 +3570,23 @@ function App() {
                     <div className="stat-label">Total Records</div>
                   </div>
                 </div>
-                <div className="stat-card">
-                  <Users className="stat-icon" />
-                  <div>
-                    <div className="stat-value">{records.length}</div>
-                    <div className="stat-label">My Records</div>
+                {isAdminView ? (
+                  <div className="stat-card">
+                    <Users className="stat-icon" />
+                    <div>
+                      <div className="stat-value">{systemStats?.users ?? 0}</div>
+                      <div className="stat-label">Registered Users</div>
+                    </div>
                   </div>
-                </div>
+                ) : (
+                  <div className="stat-card">
+                    <Users className="stat-icon" />
+                    <div>
+                      <div className="stat-value">{records.length}</div>
+                      <div className="stat-label">My Records</div>
+                    </div>
+                  </div>
+                )}
                 <div className="stat-card">
                   <Activity className="stat-icon" />
                   <div>
@@ -482,77 +3596,713 @@ function App() {
                 </div>
               </div>
 
-              {/* Tabs */}
-              <div className="tabs">
-                <button 
-                  className={`tab ${activeTab === 'home' ? 'active' : ''}`}
-                  onClick={() => setActiveTab('home')}
-                >
-                  <FileText size={18} />
-                  Records
-                </button>
-                {userInfo.role === 1 && (
-                  <>
-                    <button 
-                      className={`tab ${activeTab === 'create' ? 'active' : ''}`}
-                      onClick={() => setActiveTab('create')}
-                    >
-                      <Upload size={18} />
-                      New Record
-                    </button>
-                    <button 
-                      className={`tab ${activeTab === 'access' ? 'active' : ''}`}
-                      onClick={() => setActiveTab('access')}
-                    >
-                      <Key size={18} />
-                      Manage Access
-                    </button>
-                  </>
+              {/* Tabs */}
+              <div className="tabs">
+                <button 
+                  className={`tab ${activeTab === 'home' ? 'active' : ''}`}
+                  onClick={() => setActiveTab('home')}
+                >
+                  {isAdminView ? <LayoutDashboard size={18} /> : <FileText size={18} />}
+                  {isAdminView ? 'Dashboard' : 'Records'}
+                </button>
+                {actsAsPatient && canActFor(GUARDIAN_CREATE_RECORDS) && (
+                  <button 
+                    className={`tab ${activeTab === 'create' ? 'active' : ''}`}
+                    onClick={() => setActiveTab('create')}
+                  >
+                    <Upload size={18} />
+                    New Record
+                  </button>
+                )}
+                {userInfo.role === 1 && !actingFor && (
+                  <button 
+                    className={`tab ${activeTab === 'import' ? 'active' : ''}`}
+                    onClick={() => setActiveTab('import')}
+                  >
+                    <FileUp size={18} />
+                    Import
+                  </button>
+                )}
+                {actsAsPatient && canActFor(GUARDIAN_MANAGE_ACCESS) && (
+                  <button 
+                    className={`tab ${activeTab === 'access' ? 'active' : ''}`}
+                    onClick={() => setActiveTab('access')}
+                  >
+                    <Key size={18} />
+                    Manage Access{accessRequests.length > 0 && ` (${accessRequests.length})`}
+                  </button>
+                )}
+                {userInfo.role === 1 && !actingFor && (
+                  <>
+                    <button 
+                      className={`tab ${activeTab === 'inbox' ? 'active' : ''}`}
+                      onClick={() => setActiveTab('inbox')}
+                    >
+                      <Inbox size={18} />
+                      Inbox ({recordProposals.length})
+                    </button>
+                    <button 
+                      className={`tab ${activeTab === 'guardians' ? 'active' : ''}`}
+                      onClick={() => setActiveTab('guardians')}
+                    >
+                      <HeartHandshake size={18} />
+                      Guardians
+                    </button>
+                  </>
+                )}
+                {userInfo.role === 2 && !actingFor && (
+                  <>
+                    <button 
+                      className={`tab ${activeTab === 'submitted' ? 'active' : ''}`}
+                      onClick={() => setActiveTab('submitted')}
+                    >
+                      <Send size={18} />
+                      Submitted
+                    </button>
+                    <button 
+                      className={`tab ${activeTab === 'requests' ? 'active' : ''}`}
+                      onClick={() => setActiveTab('requests')}
+                    >
+                      <KeyRound size={18} />
+                      Access Requests
+                    </button>
+                    <button 
+                      className={`tab ${activeTab === 'emergency' ? 'active' : ''}`}
+                      onClick={() => setActiveTab('emergency')}
+                    >
+                      <AlertCircle size={18} />
+                      Emergency Access
+                    </button>
+                  </>
+                )}
+                {userInfo.role === 3 && !actingFor && (
+                  <button 
+                    className={`tab ${activeTab === 'emergency-reviews' ? 'active' : ''}`}
+                    onClick={() => setActiveTab('emergency-reviews')}
+                  >
+                    <AlertCircle size={18} />
+                    Emergency Reviews ({emergencyReviews.length})
+                  </button>
+                )}
+                {userInfo.role === 3 && !actingFor && (
+                  <button 
+                    className={`tab ${activeTab === 'admins' ? 'active' : ''}`}
+                    onClick={() => setActiveTab('admins')}
+                  >
+                    <UserCog size={18} />
+                    Administrators
+                  </button>
+                )}
+                {!actingFor && (userInfo.role === 3 || myOrganizations.length > 0) && (
+                  <button 
+                    className={`tab ${activeTab === 'organizations' ? 'active' : ''}`}
+                    onClick={() => setActiveTab('organizations')}
+                  >
+                    <Building2 size={18} />
+                    Organizations
+                  </button>
+                )}
+                {isVerifier && !actingFor && (
+                  <button 
+                    className={`tab ${activeTab === 'verify' ? 'active' : ''}`}
+                    onClick={() => setActiveTab('verify')}
+                  >
+                    <BadgeCheck size={18} />
+                    Verifications ({pendingDoctors.length})
+                  </button>
+                )}
+                {canActFor(GUARDIAN_VIEW_AUDIT) && (
+                  <button 
+                    className={`tab ${activeTab === 'audit' ? 'active' : ''}`}
+                    onClick={() => setActiveTab('audit')}
+                  >
+                    <Clock size={18} />
+                    Audit Trail
+                  </button>
+                )}
+              </div>
+
+              {/* Tab Content */}
+              <div className="tab-content">
+                {activeTab === 'home' && isAdminView && renderAdminDashboard()}
+
+                {activeTab === 'home' && !isAdminView && recordDetail?.tab === 'home' && selectedRecord && (
+                  renderRecordDetail(selectedRecord)
+                )}
+
+                {activeTab === 'home' && !isAdminView && !(recordDetail?.tab === 'home' && selectedRecord) && (
+                  <div className="records-list">
+                    <div className="records-header">
+                      <h2>Medical Records</h2>
+                      {actsAsPatient && canActFor(GUARDIAN_VIEW_RECORDS) && (
+                        <button
+                          onClick={handleExportFhir}
+                          className="btn btn-secondary btn-small"
+                          disabled={loading}
+                          title="Download the records and grants as a FHIR R4 Bundle"
+                        >
+                          <Download size={16} />
+                          Export FHIR
+                        </button>
+                      )}
+                    </div>
+                    {recordErrors.length > 0 && (
+                      <div className="notice-banner">
+                        <ShieldAlert size={20} />
+                        <span>
+                          {recordErrors.length} record(s) could not be loaded:{' '}
+                          {recordErrors.map((error) => `#${error.id} (${error.reason})`).join(', ')}
+                        </span>
+                      </div>
+                    )}
+                    {records.length > 0 && renderRecordFilters()}
+                    {records.length === 0 ? (
+                      <div className="empty-state">
+                        <FileText size={48} />
+                        <p>
+                          {!canActFor(GUARDIAN_VIEW_RECORDS)
+                            ? 'You are not appointed to view this patient\'s records'
+                            : actsAsPatient ? 'No medical records yet' : 'No accessible records'}
+                        </p>
+                      </div>
+                    ) : filteredRecords.length === 0 ? (
+                      <div className="empty-state">
+                        <Search size={48} />
+                        <p>No records match the filters</p>
+                      </div>
+                    ) : recordGroups ? (
+                      recordGroups.map((group) => (
+                        <div key={group.address} className="patient-group">
+                          <h3>
+                            {group.name || formatAddress(group.address)}
+                            <span className="audit-meta"> • {group.address} • {group.records.length} record(s)</span>
+                          </h3>
+                          <div className="records-grid">
+                            {group.records.map(renderRecordCard)}
+                          </div>
+                        </div>
+                      ))
+                    ) : (
+                      <div className="records-grid">
+                        {filteredRecords.map(renderRecordCard)}
+                      </div>
+                    )}
+                    {recordFilterActive && (
+                      <p className="audit-meta">
+                        Showing {filteredRecords.length} of {records.length} loaded records
+                      </p>
+                    )}
+                    {userInfo.role === 2 && !actingFor && recordsPage && (
+                      <button
+                        onClick={() => loadDoctorAccessibleRecords(contract, account, recordsPage)}
+                        className="btn btn-secondary btn-block"
+                        disabled={loading}
+                      >
+                        Load More Records
+                      </button>
+                    )}
+                  </div>
+                )}
+
+                {activeTab === 'create' && actsAsPatient && canActFor(GUARDIAN_CREATE_RECORDS) && (
+                  <div className="create-record">
+                    <h2>Create Medical Record</h2>
+                    <form onSubmit={handleCreateRecord} className="form">
+                      <div className="form-group">
+                        <label>Record Type</label>
+                        <select
+                          value={recordForm.recordType}
+                          onChange={(e) => setRecordForm({...recordForm, recordType: e.target.value})}
+                          required
+                        >
+                          <option value="">Select type...</option>
+                          {RECORD_TYPES.map((type) => (
+                            <option key={type} value={type}>{type}</option>
+                          ))}
+                        </select>
+                      </div>
+                      
+                      <div className="form-group">
+                        <label>Description</label>
+                        <textarea
+                          value={recordForm.description}
+                          onChange={(e) => setRecordForm({...recordForm, description: e.target.value})}
+                          placeholder="Brief description of the medical record"
+                          rows="3"
+                          required
+                        />
+                      </div>
+                      
+                      <div className="form-group">
+                        <label>File</label>
+                        <input
+                          type="file"
+                          onChange={(e) => setRecordFile(e.target.files[0] || null)}
+                          disabled={loading || (!actingFor && !hasPublishedKey)}
+                        />
+                        <small>
+                          {actingFor
+                            ? 'Encrypted in your browser for the patient, then uploaded to IPFS; the patient shares it with their doctors'
+                            : hasPublishedKey
+                              ? 'Encrypted in your browser, then uploaded to IPFS; only doctors you share it with can decrypt it'
+                              : 'Set up encryption first to upload files'}
+                        </small>
+                      </div>
+
+                      {!recordFile && (
+                        <div className="form-group">
+                          <label>Or IPFS CID of an Existing File</label>
+                          <input
+                            type="text"
+                            value={recordForm.ipfsHash}
+                            onChange={(e) => setRecordForm({...recordForm, ipfsHash: e.target.value})}
+                            placeholder="bafy..."
+                          />
+                          <small>The file is fetched once to commit its digest on-chain</small>
+                        </div>
+                      )}
+                      
+                      <button type="submit" className="btn btn-primary btn-block" disabled={loading}>
+                        {loading ? (recordFile ? 'Uploading...' : 'Creating...') : 'Create Record'}
+                      </button>
+                    </form>
+                  </div>
+                )}
+
+                {activeTab === 'import' && userInfo.role === 1 && !actingFor && (
+                  <div className="create-record">
+                    <h2>Import Records</h2>
+                    <div className="form">
+                      <div className="form-group">
+                        <label>Manifest</label>
+                        <input
+                          type="file"
+                          accept=".csv,.json,text/csv,application/json,application/fhir+json"
+                          onChange={handleImportManifest}
+                          disabled={loading || !hasPublishedKey}
+                        />
+                        <small>
+                          {hasPublishedKey
+                            ? 'A FHIR Bundle of DocumentReferences, or a CSV with recordType, description and file or cid columns'
+                            : 'Set up encryption first to import files'}
+                        </small>
+                      </div>
+
+                      <div className="form-group">
+                        <label>Files</label>
+                        <input
+                          type="file"
+                          multiple
+                          onChange={handleImportFiles}
+                          disabled={loading || !hasPublishedKey}
+                        />
+                        <small>The files the manifest names; each is encrypted in your browser before upload</small>
+                      </div>
+                    </div>
+
+                    {importRows.length > 0 && (
+                      <>
+                        <table className="grants-table import-table">
+                          <thead>
+                            <tr>
+                              <th>Source</th>
+                              <th>Type</th>
+                              <th>Description</th>
+                              <th>File</th>
+                              <th>Status</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {importRows.map((row, index) => (
+                              <tr key={index} className={row.issues.length > 0 || row.status === 'failed' ? 'invalid' : ''}>
+                                <td>{row.source}</td>
+                                <td>{row.recordType}</td>
+                                <td>{row.description}</td>
+                                <td title={row.cid || undefined}>{row.fileName || formatAddress(row.cid)}</td>
+                                <td>
+                                  {row.issues.length > 0
+                                    ? row.issues.join('; ')
+                                    : row.status
+                                      ? `${row.status[0].toUpperCase()}${row.status.slice(1)}${row.message ? `: ${row.message}` : ''}`
+                                      : 'Ready'}
+                                </td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+
+                        <button
+                          onClick={handleImport}
+                          className="btn btn-primary btn-block import-submit"
+                          disabled={loading || !importRows.some((row) => row.issues.length === 0 && row.status !== 'created')}
+                        >
+                          {loading
+                            ? 'Importing...'
+                            : `Import ${importRows.filter((row) => row.issues.length === 0 && row.status !== 'created').length} Records`}
+                        </button>
+                      </>
+                    )}
+                  </div>
+                )}
+
+                {activeTab === 'access' && actsAsPatient && canActFor(GUARDIAN_MANAGE_ACCESS) && (
+                  <div className="access-management">
+                    {accessRequests.length > 0 && (
+                      <>
+                        <h2>Access Requests</h2>
+                        <div className="audit-list">
+                          {accessRequests.map((request) => (
+                            <div key={request.id} className="audit-item">
+                              <div className="audit-icon">
+                                <KeyRound size={20} />
+                              </div>
+                              <div className="audit-details">
+                                <div className="audit-action">
+                                  {request.counterpartyName || formatAddress(request.counterparty)} asks for access to all records
+                                </div>
+                                <div className="audit-meta">
+                                  {formatDuration(request.duration)} • Requested {formatDate(request.requestedAt)} • {request.counterparty}
+                                </div>
+                                <div className="audit-reason">Purpose: {request.purpose}</div>
+                              </div>
+                              <div className="review-actions">
+                                <button
+                                  onClick={() => handleDecideAccessRequest(request, true)}
+                                  className="btn btn-primary btn-small"
+                                  disabled={loading}
+                                >
+                                  <CheckCircle2 size={16} />
+                                  Approve
+                                </button>
+                                <button
+                                  onClick={() => handleDecideAccessRequest(request, false)}
+                                  className="btn btn-secondary btn-small"
+                                  disabled={loading}
+                                >
+                                  <XCircle size={16} />
+                                  Deny
+                                </button>
+                              </div>
+                            </div>
+                          ))}
+                        </div>
+                      </>
+                    )}
+
+                    <h2 className={accessRequests.length > 0 ? 'section-heading' : undefined}>Grant Access</h2>
+                    <form onSubmit={handleGrantAccess} className="form">
+                      {organizations.length > 0 && (
+                        <div className="form-group">
+                          <label>Grant To</label>
+                          <select
+                            value={findOrganization(accessForm.doctorAddress)?.address || ''}
+                            onChange={(e) => setAccessForm({...accessForm, doctorAddress: e.target.value})}
+                          >
+                            <option value="">A doctor</option>
+                            {organizations.map((organization) => (
+                              <option key={organization.address} value={organization.address}>
+                                {organization.name} ({organization.members.length} doctors)
+                              </option>
+                            ))}
+                          </select>
+                          <small>Every member of an organization can read what you share with it while they belong to it</small>
+                        </div>
+                      )}
+
+                      {!findOrganization(accessForm.doctorAddress) && (
+                        <div className="form-group">
+                          <label>Doctor's Wallet Address</label>
+                          <input
+                            type="text"
+                            value={accessForm.doctorAddress}
+                            onChange={(e) => setAccessForm({...accessForm, doctorAddress: e.target.value})}
+                            placeholder="0x..."
+                            required
+                          />
+                        </div>
+                      )}
+
+                      <div className="form-group">
+                        <label>Share</label>
+                        <select
+                          value={accessForm.scope}
+                          onChange={(e) => setAccessForm({...accessForm, scope: e.target.value})}
+                        >
+                          <option value="all">All my records</option>
+                          <option value="records">Selected records only</option>
+                          <option value="categories">Selected record categories</option>
+                        </select>
+                        <small>Category access also covers records of that type you add later</small>
+                      </div>
+
+                      {accessForm.scope === 'records' && (
+                        <div className="form-group">
+                          <label>Records</label>
+                          {records.length === 0 ? (
+                            <small>You have no records to share yet</small>
+                          ) : (
+                            <div className="checkbox-list">
+                              {records.map((record) => (
+                                <label key={record.id} className="checkbox-item">
+                                  <input
+                                    type="checkbox"
+                                    checked={accessForm.recordIds.includes(record.id)}
+                                    onChange={() => toggleAccessSelection('recordIds', record.id)}
+                                  />
+                                  <span>#{record.id} • {record.recordType} • {record.description}</span>
+                                </label>
+                              ))}
+                            </div>
+                          )}
+                        </div>
+                      )}
+
+                      {accessForm.scope === 'categories' && (
+                        <div className="form-group">
+                          <label>Record Categories</label>
+                          <div className="checkbox-list">
+                            {RECORD_TYPES.map((type) => (
+                              <label key={type} className="checkbox-item">
+                                <input
+                                  type="checkbox"
+                                  checked={accessForm.recordTypes.includes(type)}
+                                  onChange={() => toggleAccessSelection('recordTypes', type)}
+                                />
+                                <span>{type}</span>
+                              </label>
+                            ))}
+                          </div>
+                        </div>
+                      )}
+                      
+                      <div className="form-group">
+                        <label>Access Duration</label>
+                        <select
+                          value={accessForm.duration}
+                          onChange={(e) => setAccessForm({...accessForm, duration: e.target.value})}
+                        >
+                          {ACCESS_DURATIONS.map(({ value, label }) => (
+                            <option key={value} value={value}>{label}</option>
+                          ))}
+                          <option value="0">No Expiry</option>
+                        </select>
+                      </div>
+                      
+                      <div className="form-group">
+                        <label>Purpose</label>
+                        <input
+                          type="text"
+                          value={accessForm.purpose}
+                          onChange={(e) => setAccessForm({...accessForm, purpose: e.target.value})}
+                          placeholder="e.g., Routine checkup, Surgery consultation"
+                          required
+                        />
+                      </div>
+                      
+                      <button type="submit" className="btn btn-primary btn-block" disabled={loading}>
+                        {loading ? 'Granting...' : 'Grant Access'}
+                      </button>
+                    </form>
+
+                    <div className="grants-header">
+                      <h2 className="section-heading">Current and Expired Grants</h2>
+                      <label>
+                        Extend by
+                        <select value={extendDuration} onChange={(e) => setExtendDuration(e.target.value)}>
+                          {ACCESS_DURATIONS.map(({ value, label }) => (
+                            <option key={value} value={value}>{label}</option>
+                          ))}
+                        </select>
+                      </label>
+                    </div>
+                    {grants.length === 0 ? (
+                      <div className="empty-state">
+                        <Key size={48} />
+                        <p>No doctor has access to these records</p>
+                      </div>
+                    ) : (
+                      <table className="grants-table">
+                        <thead>
+                          <tr>
+                            <th>Doctor</th>
+                            <th>Access</th>
+                            <th>Purpose</th>
+                            <th>Granted</th>
+                            <th>Expires</th>
+                            <th></th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {grants.map((grant) => {
+                            const expired = grant.expiresAt !== 0 && grant.expiresAt <= now;
+                            return (
+                              <tr key={grant.index} className={expired ? 'expired' : ''}>
+                                <td title={grant.doctor}>
+                                  {grant.doctorName || findOrganization(grant.doctor)?.name || formatAddress(grant.doctor)}
+                                </td>
+                                <td>{formatGrantScope(grant)}</td>
+                                <td>{grant.purpose}</td>
+                                <td>{formatDate(grant.grantedAt)}</td>
+                                <td title={grant.expiresAt ? formatDate(grant.expiresAt) : undefined}>
+                                  {formatCountdown(grant.expiresAt)}
+                                </td>
+                                <td className="grant-actions">
+                                  {!actingFor && !expired && (
+                                    <button
+                                      onClick={() => handleShareGrantKeys(grant)}
+                                      className="btn btn-secondary btn-small"
+                                      disabled={loading}
+                                    >
+                                      Share Keys
+                                    </button>
+                                  )}
+                                  {grant.expiresAt !== 0 && (
+                                    <button
+                                      onClick={() => handleExtendGrant(grant)}
+                                      className="btn btn-secondary btn-small"
+                                      disabled={loading}
+                                    >
+                                      {expired ? 'Renew' : 'Extend'}
+                                    </button>
+                                  )}
+                                  <button
+                                    onClick={() => handleRevokeGrant(grant)}
+                                    className="btn btn-secondary btn-small"
+                                    disabled={loading}
+                                  >
+                                    Revoke
+                                  </button>
+                                </td>
+                              </tr>
+                            );
+                          })}
+                        </tbody>
+                      </table>
+                    )}
+
+                    {INDEXER_URL && (
+                      <>
+                        <h2 className="section-heading">Grant History</h2>
+                        {grantHistory.items.length === 0 ? (
+                          <div className="empty-state">
+                            <History size={48} />
+                            <p>No grants recorded yet</p>
+                          </div>
+                        ) : (
+                          <div className="audit-list">
+                            {grantHistory.items.map((event) => (
+                              <div key={event.key} className="audit-item">
+                                <div className="audit-icon">
+                                  <History size={20} />
+                                </div>
+                                <div className="audit-details">
+                                  <div className="audit-action">{formatGrantEvent(event)}</div>
+                                  <div className="audit-meta">
+                                    {event.doctorName || findOrganization(event.doctor)?.name || formatAddress(event.doctor)} • {formatDate(event.timestamp)}
+                                  </div>
+                                  {event.expiresAt > 0 && (
+                                    <div className="audit-reason">Expires {formatDate(event.expiresAt)}</div>
+                                  )}
+                                </div>
+                              </div>
+                            ))}
+                          </div>
+                        )}
+                        {grantHistory.items.length < grantHistory.total && (
+                          <button
+                            onClick={() => loadGrantHistory(contract, actingFor ? actingFor.address : account, grantHistory.items.length)}
+                            className="btn btn-secondary btn-block"
+                            disabled={loading}
+                          >
+                            Load Older Grants
+                          </button>
+                        )}
+                      </>
+                    )}
+                  </div>
                 )}
-                <button 
-                  className={`tab ${activeTab === 'audit' ? 'active' : ''}`}
-                  onClick={() => setActiveTab('audit')}
-                >
-                  <Clock size={18} />
-                  Audit Trail
-                </button>
-              </div>
 
-              {/* Tab Content */}
-              <div className="tab-content">
-                {activeTab === 'home' && (
-                  <div className="records-list">
-                    <h2>Medical Records</h2>
-                    {records.length === 0 ? (
+                {activeTab === 'guardians' && userInfo.role === 1 && !actingFor && (
+                  <div className="guardian-management">
+                    <h2>Guardians</h2>
+                    <p className="audit-meta">
+                      Guardians act on your behalf with the powers you give them. Everything they do appears in your audit trail.
+                    </p>
+                    {guardians.length === 0 ? (
                       <div className="empty-state">
-                        <FileText size={48} />
-                        <p>{userInfo.role === 1 ? 'No medical records yet' : 'No accessible records'}</p>
+                        <HeartHandshake size={48} />
+                        <p>No guardians appointed</p>
                       </div>
                     ) : (
-                      <div className="records-grid">
-                        {records.map((record) => (
-                          <div key={record.id} className="record-card">
-                            <div className="record-header">
-                              <Stethoscope className="record-icon" />
-                              <span className="record-type">{record.recordType}</span>
+                      <div className="audit-list">
+                        {guardians.map((guardian) => (
+                          <div key={guardian.address} className="audit-item">
+                            <div className="audit-icon">
+                              <HeartHandshake size={20} />
                             </div>
-                            <h3>{record.description}</h3>
-                            {userInfo.role === 2 && (
-                              <div className="record-patient">
-                                <Users size={14} />
-                                <span>Patient: {formatAddress(record.patient)}</span>
+                            <div className="audit-details">
+                              <div className="audit-action">{guardian.name || formatAddress(guardian.address)}</div>
+                              <div className="audit-meta">{guardian.address}</div>
+                              <div className="audit-reason">
+                                {GUARDIAN_POWERS.filter(({ flag }) => guardian.powers & flag).map(({ label }) => label).join(' • ')}
                               </div>
-                            )}
-                            <div className="record-meta">
-                              <div className="meta-item">
-                                <Clock size={14} />
-                                {formatDate(record.timestamp)}
+                            </div>
+                            <button
+                              onClick={() => handleRemoveGuardian(guardian.address)}
+                              className="btn btn-secondary btn-small"
+                              disabled={loading}
+                            >
+                              Remove
+                            </button>
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                    {renderGuardianForm(false)}
+                  </div>
+                )}
+
+                {activeTab === 'inbox' && userInfo.role === 1 && (
+                  <div className="record-inbox">
+                    <h2>Records Submitted by Doctors</h2>
+                    {recordProposals.length === 0 ? (
+                      <div className="empty-state">
+                        <Inbox size={48} />
+                        <p>No records awaiting your approval</p>
+                      </div>
+                    ) : (
+                      <div className="audit-list">
+                        {recordProposals.map((proposal) => (
+                          <div key={proposal.id} className="audit-item">
+                            <div className="audit-icon">
+                              <Stethoscope size={20} />
+                            </div>
+                            <div className="audit-details">
+                              <div className="audit-action">
+                                {proposal.recordType}: {proposal.description}
                               </div>
-                              <div className="meta-item">
-                                <Database size={14} />
-                                {formatAddress(record.ipfsHash)}
+                              <div className="audit-meta">
+                                From {proposal.counterpartyName || formatAddress(proposal.counterparty)} • {formatDate(proposal.submittedAt)} • {formatAddress(proposal.ipfsHash)}
                               </div>
                             </div>
+                            <div className="review-actions">
+                              <button
+                                onClick={() => handleDecideProposal(proposal, true)}
+                                className="btn btn-primary btn-small"
+                                disabled={loading}
+                              >
+                                <CheckCircle2 size={16} />
+                                Accept
+                              </button>
+                              <button
+                                onClick={() => handleDecideProposal(proposal, false)}
+                                className="btn btn-secondary btn-small"
+                                disabled={loading}
+                              >
+                                <XCircle size={16} />
+                                Reject
+                              </button>
+                            </div>
                           </div>
                         ))}
                       </div>
@@ -560,100 +4310,536 @@ function App() {
                   </div>
                 )}
 
-                {activeTab === 'create' && userInfo.role === 1 && (
-                  <div className="create-record">
-                    <h2>Create Medical Record</h2>
-                    <form onSubmit={handleCreateRecord} className="form">
+                {activeTab === 'submitted' && userInfo.role === 2 && (
+                  <div className="submitted-records">
+                    <h2>Submit a Record</h2>
+                    <form onSubmit={handleProposeRecord} className="form">
+                      <div className="form-group">
+                        <label>Patient's Wallet Address</label>
+                        <input
+                          type="text"
+                          value={proposalForm.patientAddress}
+                          onChange={(e) => setProposalForm({...proposalForm, patientAddress: e.target.value})}
+                          placeholder="0x..."
+                          required
+                        />
+                        <small>You need an active grant to all of the patient's records or to this record type</small>
+                      </div>
+
                       <div className="form-group">
                         <label>Record Type</label>
                         <select
-                          value={recordForm.recordType}
-                          onChange={(e) => setRecordForm({...recordForm, recordType: e.target.value})}
+                          value={proposalForm.recordType}
+                          onChange={(e) => setProposalForm({...proposalForm, recordType: e.target.value})}
                           required
                         >
                           <option value="">Select type...</option>
-                          <option value="Lab Report">Lab Report</option>
-                          <option value="X-Ray">X-Ray</option>
-                          <option value="Prescription">Prescription</option>
-                          <option value="Diagnosis">Diagnosis</option>
-                          <option value="Surgery Report">Surgery Report</option>
-                          <option value="Vaccination">Vaccination</option>
+                          {RECORD_TYPES.map((type) => (
+                            <option key={type} value={type}>{type}</option>
+                          ))}
                         </select>
                       </div>
-                      
+
                       <div className="form-group">
                         <label>Description</label>
                         <textarea
-                          value={recordForm.description}
-                          onChange={(e) => setRecordForm({...recordForm, description: e.target.value})}
+                          value={proposalForm.description}
+                          onChange={(e) => setProposalForm({...proposalForm, description: e.target.value})}
                           placeholder="Brief description of the medical record"
                           rows="3"
                           required
                         />
                       </div>
-                      
+
                       <div className="form-group">
-                        <label>IPFS Hash (Optional)</label>
+                        <label>File</label>
                         <input
-                          type="text"
-                          value={recordForm.ipfsHash}
-                          onChange={(e) => setRecordForm({...recordForm, ipfsHash: e.target.value})}
-                          placeholder="Leave empty to auto-generate"
+                          type="file"
+                          onChange={(e) => setProposalForm({...proposalForm, file: e.target.files[0] || null})}
+                          required
                         />
-                        <small>In production, upload file to IPFS first</small>
+                        <small>Encrypted in your browser for the patient, then uploaded to IPFS; the patient decides whether it enters their chart</small>
                       </div>
-                      
+
                       <button type="submit" className="btn btn-primary btn-block" disabled={loading}>
-                        {loading ? 'Creating...' : 'Create Record'}
+                        {loading ? 'Submitting...' : 'Submit for Patient Approval'}
                       </button>
                     </form>
+
+                    <h2 className="section-heading">Submitted Records</h2>
+                    {recordProposals.length === 0 ? (
+                      <div className="empty-state">
+                        <Send size={48} />
+                        <p>You haven't submitted any records</p>
+                      </div>
+                    ) : (
+                      <div className="audit-list">
+                        {recordProposals.map((proposal) => (
+                          <div key={proposal.id} className="audit-item">
+                            <div className="audit-icon">
+                              {proposal.status === 1 && <Clock size={20} />}
+                              {proposal.status === 2 && <CheckCircle2 size={20} />}
+                              {proposal.status === 3 && <XCircle size={20} />}
+                            </div>
+                            <div className="audit-details">
+                              <div className="audit-action">
+                                {proposal.recordType}: {proposal.description} ({PROPOSAL_STATUS[proposal.status]})
+                              </div>
+                              <div className="audit-meta">
+                                For {proposal.counterpartyName || formatAddress(proposal.counterparty)} • {formatDate(proposal.submittedAt)}
+                                {proposal.status === 2 && ` • Record #${proposal.recordId}`}
+                              </div>
+                              {proposal.rejectionReason && (
+                                <div className="audit-reason">Reason: {proposal.rejectionReason}</div>
+                              )}
+                            </div>
+                          </div>
+                        ))}
+                      </div>
+                    )}
                   </div>
                 )}
 
-                {activeTab === 'access' && userInfo.role === 1 && (
-                  <div className="access-management">
-                    <h2>Grant Access to Doctor</h2>
-                    <form onSubmit={handleGrantAccess} className="form">
+                {activeTab === 'requests' && userInfo.role === 2 && (
+                  <div className="access-requests">
+                    <h2>Request Access to a Patient's Records</h2>
+                    <form onSubmit={handleRequestAccess} className="form">
                       <div className="form-group">
-                        <label>Doctor's Wallet Address</label>
+                        <label>Patient's Wallet Address</label>
                         <input
                           type="text"
-                          value={accessForm.doctorAddress}
-                          onChange={(e) => setAccessForm({...accessForm, doctorAddress: e.target.value})}
+                          value={requestForm.patientAddress}
+                          onChange={(e) => setRequestForm({...requestForm, patientAddress: e.target.value})}
                           placeholder="0x..."
                           required
                         />
                       </div>
-                      
+
                       <div className="form-group">
-                        <label>Access Duration</label>
+                        <label>Purpose</label>
+                        <input
+                          type="text"
+                          value={requestForm.purpose}
+                          onChange={(e) => setRequestForm({...requestForm, purpose: e.target.value})}
+                          placeholder="e.g., Follow-up after surgery"
+                          required
+                        />
+                      </div>
+
+                      <div className="form-group">
+                        <label>Requested Duration</label>
                         <select
-                          value={accessForm.duration}
-                          onChange={(e) => setAccessForm({...accessForm, duration: e.target.value})}
+                          value={requestForm.duration}
+                          onChange={(e) => setRequestForm({...requestForm, duration: e.target.value})}
                         >
-                          <option value="86400">1 Day</option>
-                          <option value="604800">1 Week</option>
-                          <option value="2592000">1 Month</option>
-                          <option value="7776000">3 Months</option>
+                          {ACCESS_DURATIONS.map(({ value, label }) => (
+                            <option key={value} value={value}>{label}</option>
+                          ))}
                           <option value="0">No Expiry</option>
                         </select>
+                        <small>If the patient approves, you get access to all of their records for this long</small>
                       </div>
-                      
+
+                      <button type="submit" className="btn btn-primary btn-block" disabled={loading}>
+                        {loading ? 'Sending...' : 'Send Request'}
+                      </button>
+                    </form>
+
+                    <h2 className="section-heading">Your Requests</h2>
+                    {accessRequests.length === 0 ? (
+                      <div className="empty-state">
+                        <KeyRound size={48} />
+                        <p>You haven't requested access yet</p>
+                      </div>
+                    ) : (
+                      <div className="audit-list">
+                        {accessRequests.map((request) => (
+                          <div key={request.id} className="audit-item">
+                            <div className="audit-icon">
+                              {request.status === 1 && <Clock size={20} />}
+                              {request.status === 2 && <CheckCircle2 size={20} />}
+                              {request.status === 3 && <XCircle size={20} />}
+                            </div>
+                            <div className="audit-details">
+                              <div className="audit-action">
+                                {request.counterpartyName || formatAddress(request.counterparty)} ({ACCESS_REQUEST_STATUS[request.status]})
+                              </div>
+                              <div className="audit-meta">
+                                {request.purpose} • {formatDuration(request.duration)} • {formatDate(request.requestedAt)}
+                              </div>
+                              {request.denialReason && (
+                                <div className="audit-reason">Reason: {request.denialReason}</div>
+                              )}
+                            </div>
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                )}
+
+                {activeTab === 'emergency' && userInfo.role === 2 && recordDetail?.tab === 'emergency' && selectedRecord && (
+                  renderRecordDetail(selectedRecord)
+                )}
+
+                {activeTab === 'emergency' && userInfo.role === 2 && !(recordDetail?.tab === 'emergency' && selectedRecord) && (
+                  <div className="emergency-access">
+                    <h2>Break-Glass Emergency Access</h2>
+                    <form onSubmit={handleInvokeEmergency} className="form">
                       <div className="form-group">
-                        <label>Purpose</label>
+                        <label>Patient's Wallet Address</label>
                         <input
                           type="text"
-                          value={accessForm.purpose}
-                          onChange={(e) => setAccessForm({...accessForm, purpose: e.target.value})}
-                          placeholder="e.g., Routine checkup, Surgery consultation"
+                          value={emergencyForm.patientAddress}
+                          onChange={(e) => setEmergencyForm({...emergencyForm, patientAddress: e.target.value})}
+                          placeholder="0x..."
                           required
                         />
                       </div>
-                      
+
+                      <div className="form-group">
+                        <label>Justification</label>
+                        <textarea
+                          value={emergencyForm.justification}
+                          onChange={(e) => setEmergencyForm({...emergencyForm, justification: e.target.value})}
+                          placeholder="Why you need this patient's records without their consent"
+                          rows="3"
+                          required
+                        />
+                        <small>Access expires automatically after 12 hours. The patient is notified and the admin reviews every use.</small>
+                      </div>
+
                       <button type="submit" className="btn btn-primary btn-block" disabled={loading}>
-                        {loading ? 'Granting...' : 'Grant Access'}
+                        {loading ? 'Requesting...' : 'Invoke Emergency Access'}
+                      </button>
+                    </form>
+
+                    {emergencySessions.map((session) => (
+                      <div key={session.patient} className="emergency-session">
+                        <h3>
+                          {session.patientName || formatAddress(session.patient)} • expires {formatDate(session.expiresAt)}
+                        </h3>
+                        {session.records.length === 0 ? (
+                          <p className="audit-meta">This patient has no records</p>
+                        ) : (
+                          <div className="records-grid">
+                            {session.records.map(renderRecordCard)}
+                          </div>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                )}
+
+                {activeTab === 'emergency-reviews' && userInfo.role === 3 && (
+                  <div className="emergency-reviews">
+                    <h2>Emergency Access Reviews</h2>
+                    {emergencyReviews.length === 0 ? (
+                      <div className="empty-state">
+                        <AlertCircle size={48} />
+                        <p>No emergency accesses awaiting review</p>
+                      </div>
+                    ) : (
+                      <div className="audit-list">
+                        {emergencyReviews.map((review) => (
+                          <div key={review.id} className="audit-item">
+                            <div className="audit-icon">
+                              <AlertCircle size={20} />
+                            </div>
+                            <div className="audit-details">
+                              <div className="audit-action">
+                                {review.doctorName || formatAddress(review.doctor)} → {review.patientName || formatAddress(review.patient)}
+                              </div>
+                              <div className="audit-meta">
+                                Invoked {formatDate(review.invokedAt)} • Expires {formatDate(review.expiresAt)}
+                              </div>
+                              <div className="audit-reason">Justification: {review.justification}</div>
+                            </div>
+                            <div className="review-actions">
+                              <button
+                                onClick={() => handleReviewEmergency(review.id, true)}
+                                className="btn btn-primary btn-small"
+                                disabled={loading}
+                              >
+                                <CheckCircle2 size={16} />
+                                Justified
+                              </button>
+                              <button
+                                onClick={() => handleReviewEmergency(review.id, false)}
+                                className="btn btn-secondary btn-small"
+                                disabled={loading}
+                              >
+                                <XCircle size={16} />
+                                Unjustified
+                              </button>
+                            </div>
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                )}
+
+                {activeTab === 'admins' && userInfo.role === 3 && (
+                  <div className="admin-management">
+                    <h2>Administrators</h2>
+                    <p className="audit-meta">
+                      Critical actions need {adminInfo.quorum} of {adminInfo.admins.length} admins to approve.
+                      {adminInfo.pendingAdmin !== ethers.ZeroAddress && (
+                        <> Pending primary admin: {formatAddress(adminInfo.pendingAdmin)}.</>
+                      )}
+                    </p>
+
+                    <div className="audit-list">
+                      {adminInfo.admins.map((admin) => (
+                        <div key={admin.address} className="audit-item">
+                          <div className="audit-icon">
+                            <UserCog size={20} />
+                          </div>
+                          <div className="audit-details">
+                            <div className="audit-action">
+                              {admin.name}
+                              {admin.address.toLowerCase() === adminInfo.primaryAdmin.toLowerCase() && ' (Primary)'}
+                            </div>
+                            <div className="audit-meta">{admin.address}</div>
+                          </div>
+                          {admin.address.toLowerCase() !== adminInfo.primaryAdmin.toLowerCase() && (
+                            <button
+                              onClick={() => handleRemoveAdmin(admin.address)}
+                              className="btn btn-secondary btn-small"
+                              disabled={loading}
+                            >
+                              Remove
+                            </button>
+                          )}
+                        </div>
+                      ))}
+                    </div>
+
+                    <form onSubmit={handleAddAdmin} className="form admin-form">
+                      <h3>Add Admin</h3>
+                      <div className="form-group">
+                        <label>Wallet Address</label>
+                        <input
+                          type="text"
+                          value={adminForm.address}
+                          onChange={(e) => setAdminForm({...adminForm, address: e.target.value})}
+                          placeholder="0x..."
+                          required
+                        />
+                      </div>
+                      <div className="form-group">
+                        <label>Name</label>
+                        <input
+                          type="text"
+                          value={adminForm.name}
+                          onChange={(e) => setAdminForm({...adminForm, name: e.target.value})}
+                          placeholder="e.g., Hospital IT Lead"
+                          required
+                        />
+                        <small>Every approving admin must enter the same address and name</small>
+                      </div>
+                      <button type="submit" className="btn btn-primary btn-block" disabled={loading}>
+                        Approve Adding Admin
+                      </button>
+                    </form>
+
+                    <form onSubmit={handleSetQuorum} className="form admin-form">
+                      <h3>Approval Quorum</h3>
+                      <div className="form-group">
+                        <label>Required Approvals</label>
+                        <input
+                          type="number"
+                          min="1"
+                          max={adminInfo.admins.length}
+                          value={adminForm.quorum}
+                          onChange={(e) => setAdminForm({...adminForm, quorum: e.target.value})}
+                          placeholder={String(adminInfo.quorum)}
+                          required
+                        />
+                      </div>
+                      <button type="submit" className="btn btn-primary btn-block" disabled={loading}>
+                        Approve Quorum Change
+                      </button>
+                    </form>
+
+                    <form onSubmit={handleTransferAdmin} className="form admin-form">
+                      <h3>Transfer Primary Admin</h3>
+                      <div className="form-group">
+                        <label>Nominee's Wallet Address</label>
+                        <input
+                          type="text"
+                          value={adminForm.newPrimary}
+                          onChange={(e) => setAdminForm({...adminForm, newPrimary: e.target.value})}
+                          placeholder="0x..."
+                          required
+                        />
+                        <small>The nominee must accept before the transfer takes effect</small>
+                      </div>
+                      <button type="submit" className="btn btn-primary btn-block" disabled={loading}>
+                        Approve Transfer
                       </button>
                     </form>
+
+                    {renderGuardianForm(true)}
+                  </div>
+                )}
+
+                {activeTab === 'organizations' && !actingFor && (
+                  <div className="admin-management">
+                    <h2>Organizations</h2>
+                    {myOrganizations.length === 0 ? (
+                      <div className="empty-state">
+                        <Building2 size={48} />
+                        <p>No organizations yet</p>
+                      </div>
+                    ) : (
+                      myOrganizations.map((organization) => (
+                        <div key={organization.address} className="organization">
+                          <h3>{organization.name}</h3>
+                          <p className="audit-meta">
+                            Owner: {organization.ownerName || formatAddress(organization.owner)} • {organization.address}
+                          </p>
+                          {organization.members.length === 0 ? (
+                            <p className="audit-meta">No members yet</p>
+                          ) : (
+                            <div className="audit-list">
+                              {organization.members.map((member) => (
+                                <div key={member.address} className="audit-item">
+                                  <div className="audit-icon">
+                                    <Stethoscope size={20} />
+                                  </div>
+                                  <div className="audit-details">
+                                    <div className="audit-action">{member.name}</div>
+                                    <div className="audit-meta">{member.address}</div>
+                                  </div>
+                                  {(canManageOrganization(organization) || isSelf(member.address)) && (
+                                    <button
+                                      onClick={() => handleRemoveOrganizationMember(organization, member.address)}
+                                      className="btn btn-secondary btn-small"
+                                      disabled={loading}
+                                    >
+                                      {isSelf(member.address) ? 'Leave' : 'Remove'}
+                                    </button>
+                                  )}
+                                </div>
+                              ))}
+                            </div>
+                          )}
+                        </div>
+                      ))
+                    )}
+
+                    {myOrganizations.some(canManageOrganization) && (
+                      <form onSubmit={handleAddOrganizationMember} className="form admin-form">
+                        <h3>Add Member</h3>
+                        <div className="form-group">
+                          <label>Organization</label>
+                          <select
+                            value={organizationForm.organization}
+                            onChange={(e) => setOrganizationForm({...organizationForm, organization: e.target.value})}
+                            required
+                          >
+                            <option value="">Select organization...</option>
+                            {myOrganizations.filter(canManageOrganization).map((organization) => (
+                              <option key={organization.address} value={organization.address}>{organization.name}</option>
+                            ))}
+                          </select>
+                        </div>
+                        <div className="form-group">
+                          <label>Doctor's Wallet Address</label>
+                          <input
+                            type="text"
+                            value={organizationForm.doctor}
+                            onChange={(e) => setOrganizationForm({...organizationForm, doctor: e.target.value})}
+                            placeholder="0x..."
+                            required
+                          />
+                          <small>The doctor reads whatever patients granted the organization until they leave it</small>
+                        </div>
+                        <button type="submit" className="btn btn-primary btn-block" disabled={loading}>
+                          Add Member
+                        </button>
+                      </form>
+                    )}
+
+                    {userInfo.role === 3 && (
+                      <form onSubmit={handleCreateOrganization} className="form admin-form">
+                        <h3>Create Organization</h3>
+                        <div className="form-group">
+                          <label>Name</label>
+                          <input
+                            type="text"
+                            value={organizationForm.name}
+                            onChange={(e) => setOrganizationForm({...organizationForm, name: e.target.value})}
+                            placeholder="e.g., St. Mary's Hospital - Cardiology"
+                            required
+                          />
+                        </div>
+                        <div className="form-group">
+                          <label>Owner's Wallet Address</label>
+                          <input
+                            type="text"
+                            value={organizationForm.owner}
+                            onChange={(e) => setOrganizationForm({...organizationForm, owner: e.target.value})}
+                            placeholder="0x..."
+                            required
+                          />
+                          <small>A registered user who adds and removes the organization's doctors</small>
+                        </div>
+                        <button type="submit" className="btn btn-primary btn-block" disabled={loading}>
+                          Create Organization
+                        </button>
+                      </form>
+                    )}
+                  </div>
+                )}
+
+                {activeTab === 'verify' && isVerifier && (
+                  <div className="verification-queue">
+                    <h2>Doctor Applications</h2>
+                    {pendingDoctors.length === 0 ? (
+                      <div className="empty-state">
+                        <BadgeCheck size={48} />
+                        <p>No applications awaiting review</p>
+                      </div>
+                    ) : (
+                      <div className="audit-list">
+                        {pendingDoctors.map((application) => (
+                          <div key={application.address} className="audit-item">
+                            <div className="audit-icon">
+                              <Stethoscope size={20} />
+                            </div>
+                            <div className="audit-details">
+                              <div className="audit-action">{application.name}</div>
+                              <div className="audit-meta">
+                                {formatAddress(application.address)} • License {application.licenseNumber} • {application.issuingAuthority}
+                                {application.specialty && <> • {application.specialty}</>}
+                              </div>
+                              <div className="audit-meta">Submitted {formatDate(application.submittedAt)}</div>
+                            </div>
+                            <div className="review-actions">
+                              <button
+                                onClick={() => handleReviewDoctor(application.address, true)}
+                                className="btn btn-primary btn-small"
+                                disabled={loading}
+                              >
+                                <CheckCircle2 size={16} />
+                                Approve
+                              </button>
+                              <button
+                                onClick={() => handleReviewDoctor(application.address, false)}
+                                className="btn btn-secondary btn-small"
+                                disabled={loading}
+                              >
+                                <XCircle size={16} />
+                                Reject
+                              </button>
+                            </div>
+                          </div>
+                        ))}
+                      </div>
+                    )}
                   </div>
                 )}
 
@@ -671,15 +4857,34 @@ function App() {
                           <div key={index} className="audit-item">
                             <div className="audit-icon">
                               {log.action === 'CREATE' && <Upload size={20} />}
-                              {log.action === 'VIEW' && <FileText size={20} />}
-                              {log.action === 'GRANT_ACCESS' && <Unlock size={20} />}
-                              {log.action === 'REVOKE_ACCESS' && <Lock size={20} />}
+                              {log.action === 'VIEW' && <Eye size={20} />}
+                              {log.action.startsWith('EMERGENCY_') && <AlertCircle size={20} />}
+                              {log.action.startsWith('GRANT_') && <Unlock size={20} />}
+                              {log.action.startsWith('REVOKE_') && <Lock size={20} />}
+                              {log.action === 'VERIFY_DOCTOR' && <BadgeCheck size={20} />}
+                              {log.action === 'REJECT_DOCTOR' && <XCircle size={20} />}
+                              {log.action === 'AMEND' && <Pencil size={20} />}
+                              {log.action === 'PROPOSE_RECORD' && <Send size={20} />}
+                              {log.action.endsWith('_GUARDIAN') && <HeartHandshake size={20} />}
+                              {log.action === 'SHARE_RECORD_KEYS' && <Key size={20} />}
+                              {log.action === 'EXTEND_ACCESS' && <Clock size={20} />}
+                              {log.action === 'REQUEST_ACCESS' && <KeyRound size={20} />}
+                              {log.action === 'DENY_ACCESS_REQUEST' && <XCircle size={20} />}
+                              {log.action === 'FILE_MISMATCH' && <ShieldAlert size={20} />}
+                              {log.action === 'ACCEPT_RECORD' && <CheckCircle2 size={20} />}
+                              {log.action === 'REJECT_RECORD' && <XCircle size={20} />}
+                              {log.action === 'ARCHIVE' && <Archive size={20} />}
+                              {log.action === 'RESTORE' && <ArchiveRestore size={20} />}
+                              {(log.action.includes('ADMIN') || log.action.endsWith('EMERGENCY_MODE')) && <UserCog size={20} />}
                             </div>
                             <div className="audit-details">
                               <div className="audit-action">{log.action}</div>
                               <div className="audit-meta">
-                                {formatDate(log.timestamp)} • Record #{log.recordId || 'N/A'}
+                                By {formatActor(log)} • {formatDate(log.timestamp)} • Record #{log.recordId || 'N/A'}
                               </div>
+                              {log.reason && (
+                                <div className="audit-reason">Reason: {log.reason}</div>
+                              )}
                             </div>
                           </div>
                         ))}
@@ -697,6 +4902,18 @@ function App() {
       <footer className="footer">
         <div className="container">
           <p>MedChain • Secure Medical Records on Blockchain</p>
+          {network && (
+            <p>
+              {network.name} • Contract{' '}
+              {network.explorerUrl ? (
+                <a href={`${network.explorerUrl}/address/${network.contractAddress}`} target="_blank" rel="noreferrer">
+                  {formatAddress(network.contractAddress)}
+                </a>
+              ) : (
+                formatAddress(network.contractAddress)
+              )}
+            </p>
+          )}
           <p>Built with Ethereum & React</p>
         </div>
       </footer>
@@ -1,672 +1,53 @@
 // Contract Configuration
-// Replace CONTRACT_ADDRESS with your deployed contract address after deployment
+// blockchain/scripts/deploy.js writes a manifest per network to ./deployments/<network>.json
 
-export const CONTRACT_ADDRESS = "0x0a51008a5bbE6687d40E1F6bD583E194D6e0046c";
+const deployments = import.meta.glob('./deployments/*.json', { eager: true, import: 'default' });
 
-// Contract ABI - Generated from your smart contract
-export const CONTRACT_ABI = [
-  {
-    "inputs": [],
-    "stateMutability": "nonpayable",
-    "type": "constructor"
-  },
-  {
-    "anonymous": false,
-    "inputs": [
-      {
-        "indexed": true,
-        "internalType": "address",
-        "name": "patient",
-        "type": "address"
-      },
-      {
-        "indexed": true,
-        "internalType": "address",
-        "name": "doctor",
-        "type": "address"
-      },
-      {
-        "indexed": false,
-        "internalType": "uint256",
-        "name": "expiresAt",
-        "type": "uint256"
-      }
-    ],
-    "name": "AccessGranted",
-    "type": "event"
-  },
-  {
-    "anonymous": false,
-    "inputs": [
-      {
-        "indexed": true,
-        "internalType": "address",
-        "name": "patient",
-        "type": "address"
-      },
-      {
-        "indexed": true,
-        "internalType": "address",
-        "name": "doctor",
-        "type": "address"
-      }
-    ],
-    "name": "AccessRevoked",
-    "type": "event"
-  },
-  {
-    "anonymous": false,
-    "inputs": [
-      {
-        "indexed": false,
-        "internalType": "bool",
-        "name": "status",
-        "type": "bool"
-      }
-    ],
-    "name": "EmergencyModeToggled",
-    "type": "event"
-  },
-  {
-    "anonymous": false,
-    "inputs": [
-      {
-        "indexed": true,
-        "internalType": "address",
-        "name": "accessor",
-        "type": "address"
-      },
-      {
-        "indexed": true,
-        "internalType": "uint256",
-        "name": "recordId",
-        "type": "uint256"
-      }
-    ],
-    "name": "RecordAccessed",
-    "type": "event"
-  },
-  {
-    "anonymous": false,
-    "inputs": [
-      {
-        "indexed": true,
-        "internalType": "uint256",
-        "name": "recordId",
-        "type": "uint256"
-      },
-      {
-        "indexed": true,
-        "internalType": "address",
-        "name": "patient",
-        "type": "address"
-      },
-      {
-        "indexed": false,
-        "internalType": "string",
-        "name": "recordType",
-        "type": "string"
-      }
-    ],
-    "name": "RecordCreated",
-    "type": "event"
-  },
-  {
-    "anonymous": false,
-    "inputs": [
-      {
-        "indexed": true,
-        "internalType": "address",
-        "name": "userAddress",
-        "type": "address"
-      },
-      {
-        "indexed": false,
-        "internalType": "string",
-        "name": "name",
-        "type": "string"
-      },
-      {
-        "indexed": false,
-        "internalType": "enum MedChain.UserRole",
-        "name": "role",
-        "type": "uint8"
-      }
-    ],
-    "name": "UserRegistered",
-    "type": "event"
-  },
-  {
-    "inputs": [],
-    "name": "admin",
-    "outputs": [
-      {
-        "internalType": "address",
-        "name": "",
-        "type": "address"
-      }
-    ],
-    "stateMutability": "view",
-    "type": "function"
-  },
-  {
-    "inputs": [
-      {
-        "internalType": "address",
-        "name": "",
-        "type": "address"
-      },
-      {
-        "internalType": "uint256",
-        "name": "",
-        "type": "uint256"
-      }
-    ],
-    "name": "auditTrails",
-    "outputs": [
-      {
-        "internalType": "address",
-        "name": "accessor",
-        "type": "address"
-      },
-      {
-        "internalType": "uint256",
-        "name": "recordId",
-        "type": "uint256"
-      },
-      {
-        "internalType": "uint256",
-        "name": "timestamp",
-        "type": "uint256"
-      },
-      {
-        "internalType": "string",
-        "name": "action",
-        "type": "string"
-      }
-    ],
-    "stateMutability": "view",
-    "type": "function"
-  },
-  {
-    "inputs": [
-      {
-        "internalType": "address",
-        "name": "_patient",
-        "type": "address"
-      },
-      {
-        "internalType": "address",
-        "name": "_doctor",
-        "type": "address"
-      }
-    ],
-    "name": "checkAccess",
-    "outputs": [
-      {
-        "internalType": "bool",
-        "name": "hasAccess",
-        "type": "bool"
-      },
-      {
-        "internalType": "uint256",
-        "name": "grantedAt",
-        "type": "uint256"
-      },
-      {
-        "internalType": "uint256",
-        "name": "expiresAt",
-        "type": "uint256"
-      },
-      {
-        "internalType": "string",
-        "name": "purpose",
-        "type": "string"
-      }
-    ],
-    "stateMutability": "view",
-    "type": "function"
-  },
-  {
-    "inputs": [
-      {
-        "internalType": "string",
-        "name": "_ipfsHash",
-        "type": "string"
-      },
-      {
-        "internalType": "string",
-        "name": "_recordType",
-        "type": "string"
-      },
-      {
-        "internalType": "string",
-        "name": "_description",
-        "type": "string"
-      }
-    ],
-    "name": "createRecord",
-    "outputs": [
-      {
-        "internalType": "uint256",
-        "name": "",
-        "type": "uint256"
-      }
-    ],
-    "stateMutability": "nonpayable",
-    "type": "function"
-  },
-  {
-    "inputs": [],
-    "name": "emergencyMode",
-    "outputs": [
-      {
-        "internalType": "bool",
-        "name": "",
-        "type": "bool"
-      }
-    ],
-    "stateMutability": "view",
-    "type": "function"
-  },
-  {
-    "inputs": [
-      {
-        "internalType": "address",
-        "name": "_doctor",
-        "type": "address"
-      }
-    ],
-    "name": "getDoctorAccessibleRecords",
-    "outputs": [
-      {
-        "internalType": "uint256[]",
-        "name": "",
-        "type": "uint256[]"
-      }
-    ],
-    "stateMutability": "view",
-    "type": "function"
-  },
-  {
-    "inputs": [
-      {
-        "internalType": "address",
-        "name": "_user",
-        "type": "address"
-      }
-    ],
-    "name": "getAuditTrail",
-    "outputs": [
-      {
-        "components": [
-          {
-            "internalType": "address",
-            "name": "accessor",
-            "type": "address"
-          },
-          {
-            "internalType": "uint256",
-            "name": "recordId",
-            "type": "uint256"
-          },
-          {
-            "internalType": "uint256",
-            "name": "timestamp",
-            "type": "uint256"
-          },
-          {
-            "internalType": "string",
-            "name": "action",
-            "type": "string"
-          }
-        ],
-        "internalType": "struct MedChain.AuditLog[]",
-        "name": "",
-        "type": "tuple[]"
-      }
-    ],
-    "stateMutability": "view",
-    "type": "function"
-  },
-  {
-    "inputs": [
-      {
-        "internalType": "address",
-        "name": "_patient",
-        "type": "address"
-      }
-    ],
-    "name": "getPatientRecordIds",
-    "outputs": [
-      {
-        "internalType": "uint256[]",
-        "name": "",
-        "type": "uint256[]"
-      }
-    ],
-    "stateMutability": "view",
-    "type": "function"
-  },
-  {
-    "inputs": [
-      {
-        "internalType": "uint256",
-        "name": "_recordId",
-        "type": "uint256"
-      }
-    ],
-    "name": "getRecord",
-    "outputs": [
-      {
-        "internalType": "address",
-        "name": "patient",
-        "type": "address"
-      },
-      {
-        "internalType": "string",
-        "name": "ipfsHash",
-        "type": "string"
-      },
-      {
-        "internalType": "string",
-        "name": "recordType",
-        "type": "string"
-      },
-      {
-        "internalType": "string",
-        "name": "description",
-        "type": "string"
-      },
-      {
-        "internalType": "uint256",
-        "name": "timestamp",
-        "type": "uint256"
-      }
-    ],
-    "stateMutability": "view",
-    "type": "function"
-  },
-  {
-    "inputs": [],
-    "name": "getStats",
-    "outputs": [
-      {
-        "internalType": "uint256",
-        "name": "totalRecords",
-        "type": "uint256"
-      },
-      {
-        "internalType": "bool",
-        "name": "emergencyStatus",
-        "type": "bool"
-      }
-    ],
-    "stateMutability": "view",
-    "type": "function"
-  },
-  {
-    "inputs": [
-      {
-        "internalType": "address",
-        "name": "_userAddress",
-        "type": "address"
-      }
-    ],
-    "name": "getUserInfo",
-    "outputs": [
-      {
-        "internalType": "string",
-        "name": "name",
-        "type": "string"
-      },
-      {
-        "internalType": "enum MedChain.UserRole",
-        "name": "role",
-        "type": "uint8"
-      },
-      {
-        "internalType": "bool",
-        "name": "isRegistered",
-        "type": "bool"
-      },
-      {
-        "internalType": "uint256",
-        "name": "registrationTime",
-        "type": "uint256"
-      }
-    ],
-    "stateMutability": "view",
-    "type": "function"
-  },
-  {
-    "inputs": [
-      {
-        "internalType": "address",
-        "name": "_doctor",
-        "type": "address"
-      },
-      {
-        "internalType": "uint256",
-        "name": "_expiryDuration",
-        "type": "uint256"
-      },
-      {
-        "internalType": "string",
-        "name": "_purpose",
-        "type": "string"
-      }
-    ],
-    "name": "grantAccess",
-    "outputs": [],
-    "stateMutability": "nonpayable",
-    "type": "function"
-  },
-  {
-    "inputs": [
-      {
-        "internalType": "address",
-        "name": "",
-        "type": "address"
-      },
-      {
-        "internalType": "uint256",
-        "name": "",
-        "type": "uint256"
-      }
-    ],
-    "name": "patientRecords",
-    "outputs": [
-      {
-        "internalType": "uint256",
-        "name": "",
-        "type": "uint256"
-      }
-    ],
-    "stateMutability": "view",
-    "type": "function"
-  },
-  {
-    "inputs": [
-      {
-        "internalType": "address",
-        "name": "",
-        "type": "address"
-      },
-      {
-        "internalType": "address",
-        "name": "",
-        "type": "address"
-      }
-    ],
-    "name": "permissions",
-    "outputs": [
-      {
-        "internalType": "address",
-        "name": "doctorAddress",
-        "type": "address"
-      },
-      {
-        "internalType": "uint256",
-        "name": "grantedAt",
-        "type": "uint256"
-      },
-      {
-        "internalType": "uint256",
-        "name": "expiresAt",
-        "type": "uint256"
-      },
-      {
-        "internalType": "bool",
-        "name": "isActive",
-        "type": "bool"
-      },
-      {
-        "internalType": "string",
-        "name": "purpose",
-        "type": "string"
-      }
-    ],
-    "stateMutability": "view",
-    "type": "function"
-  },
-  {
-    "inputs": [],
-    "name": "recordCounter",
-    "outputs": [
-      {
-        "internalType": "uint256",
-        "name": "",
-        "type": "uint256"
-      }
-    ],
-    "stateMutability": "view",
-    "type": "function"
-  },
-  {
-    "inputs": [
-      {
-        "internalType": "uint256",
-        "name": "",
-        "type": "uint256"
-      }
-    ],
-    "name": "records",
-    "outputs": [
-      {
-        "internalType": "uint256",
-        "name": "recordId",
-        "type": "uint256"
-      },
-      {
-        "internalType": "address",
-        "name": "patientAddress",
-        "type": "address"
-      },
-      {
-        "internalType": "string",
-        "name": "ipfsHash",
-        "type": "string"
-      },
-      {
-        "internalType": "string",
-        "name": "recordType",
-        "type": "string"
-      },
-      {
-        "internalType": "string",
-        "name": "description",
-        "type": "string"
-      },
-      {
-        "internalType": "uint256",
-        "name": "timestamp",
-        "type": "uint256"
-      },
-      {
-        "internalType": "bool",
-        "name": "exists",
-        "type": "bool"
-      }
-    ],
-    "stateMutability": "view",
-    "type": "function"
-  },
-  {
-    "inputs": [
-      {
-        "internalType": "string",
-        "name": "_name",
-        "type": "string"
-      },
-      {
-        "internalType": "enum MedChain.UserRole",
-        "name": "_role",
-        "type": "uint8"
-      }
-    ],
-    "name": "registerUser",
-    "outputs": [],
-    "stateMutability": "nonpayable",
-    "type": "function"
-  },
-  {
-    "inputs": [
-      {
-        "internalType": "address",
-        "name": "_doctor",
-        "type": "address"
-      }
-    ],
-    "name": "revokeAccess",
-    "outputs": [],
-    "stateMutability": "nonpayable",
-    "type": "function"
-  },
-  {
-    "inputs": [],
-    "name": "toggleEmergencyMode",
-    "outputs": [],
-    "stateMutability": "nonpayable",
-    "type": "function"
-  },
-  {
-    "inputs": [
-      {
-        "internalType": "address",
-        "name": "",
-        "type": "address"
-      }
-    ],
-    "name": "users",
-    "outputs": [
-      {
-        "internalType": "address",
-        "name": "userAddress",
-        "type": "address"
-      },
-      {
-        "internalType": "string",
-        "name": "name",
-        "type": "string"
-      },
-      {
-        "internalType": "enum MedChain.UserRole",
-        "name": "role",
-        "type": "uint8"
-      },
-      {
-        "internalType": "bool",
-        "name": "isRegistered",
-        "type": "bool"
-      },
-      {
-        "internalType": "uint256",
-        "name": "registrationTime",
-        "type": "uint256"
-      }
-    ],
-    "stateMutability": "view",
-    "type": "function"
+// Chains the app can ask a wallet to switch to; add one here before deploying to a new chain
+const CHAINS = {
+  31337: {
+    name: 'Hardhat Local',
+    rpcUrl: 'http://127.0.0.1:8545',
+    explorerUrl: ''
+  },
+  11155111: {
+    name: 'Sepolia',
+    rpcUrl: 'https://ethereum-sepolia-rpc.publicnode.com',
+    explorerUrl: 'https://sepolia.etherscan.io'
   }
-];
\ No newline at end of file
+};
+
+// Supported networks by chain ID: the chains above that have a deployment manifest
+export const NETWORKS = Object.fromEntries(
+  Object.values(deployments)
+    .filter((deployment) => CHAINS[deployment.chainId])
+    .map((deployment) => [
+      deployment.chainId,
+      {
+        chainId: deployment.chainId,
+        ...CHAINS[deployment.chainId],
+        contractAddress: deployment.address,
+        abi: deployment.abi
+      }
+    ])
+);
+
+// Network selected until the wallet reports its chain; VITE_NETWORK names a manifest, the local
+// Hardhat node's by default. deploy.js writes the manifests and nothing else may supply an address
+// or ABI, so without one DEFAULT_CHAIN_ID is null and the app explains how to deploy
+export const DEFAULT_NETWORK = import.meta.env.VITE_NETWORK || 'localhost';
+export const DEFAULT_CHAIN_ID = deployments[`./deployments/${DEFAULT_NETWORK}.json`]?.chainId ?? null;
+
+// IPFS HTTP API that stores record files (VITE_IPFS_API_URL)
+// "/ipfs-api" is the in-memory store served by `npm run dev`; point this at a Kubo node
+// (e.g. "http://127.0.0.1:5001") to keep files between restarts
+export const IPFS_API_URL = import.meta.env.VITE_IPFS_API_URL || "/ipfs-api";
+
+// Event indexer API (see indexer/, VITE_INDEXER_URL), e.g. "http://localhost:4000"
+// Leave empty to run without it; the grant history view is hidden then
+export const INDEXER_URL = import.meta.env.VITE_INDEXER_URL || "";
+
+// Relayer API (see relayer/, VITE_RELAYER_URL), e.g. "http://localhost:4100"
+// When set, patients sign registration, new records, full-access grants and key sharing
+// and the relayer pays the gas; leave empty to send every transaction from the wallet
+export const RELAYER_URL = import.meta.env.VITE_RELAYER_URL || "";
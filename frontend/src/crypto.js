@@ -0,0 +1,82 @@
+// Client-side encryption of record files
+//
+// Files are encrypted with a random AES-256-GCM content key. The content key is wrapped
+// for a reader with ECIES over secp256k1: an ephemeral key pair, ECDH with the reader's
+// public key, SHA-256 of the shared point as AES-GCM key. Each user's encryption key pair
+// is derived from a wallet signature, so it can be recovered on any device.
+
+import { ethers } from 'ethers';
+
+const KEY_DERIVATION_MESSAGE =
+  'MedChain encryption key\n\nSigning this message unlocks your record encryption key. ' +
+  'Only sign it on the MedChain site.';
+
+const IV_LENGTH = 12;
+const PUBLIC_KEY_LENGTH = 33;
+
+const importAesKey = (rawKey) =>
+  crypto.subtle.importKey('raw', rawKey, 'AES-GCM', false, ['encrypt', 'decrypt']);
+
+const aesEncrypt = async (rawKey, plaintext) => {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+  const key = await importAesKey(rawKey);
+  const ciphertext = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext));
+  return ethers.concat([iv, ciphertext]);
+};
+
+const aesDecrypt = async (rawKey, payload) => {
+  const bytes = ethers.getBytes(payload);
+  const key = await importAesKey(rawKey);
+  const plaintext = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: bytes.slice(0, IV_LENGTH) },
+    key,
+    bytes.slice(IV_LENGTH)
+  );
+  return new Uint8Array(plaintext);
+};
+
+// AES key shared between an ECDH key pair and the other side's public key
+const sharedAesKey = (signingKey, publicKey) =>
+  ethers.getBytes(ethers.sha256(signingKey.computeSharedSecret(publicKey)));
+
+/**
+ * Derive the user's encryption key pair from a wallet signature.
+ * Deterministic wallets return the same signature every time, so the same key comes back.
+ * @returns {Promise<ethers.SigningKey>}
+ */
+export const deriveEncryptionKey = async (signer) => {
+  const signature = await signer.signMessage(KEY_DERIVATION_MESSAGE);
+  return new ethers.SigningKey(ethers.keccak256(signature));
+};
+
+/** Compressed public key to publish on-chain with setEncryptionKey */
+export const getEncryptionPublicKey = (signingKey) => signingKey.compressedPublicKey;
+
+/** SHA-256 of a file's original bytes, as committed on-chain */
+export const digestFile = (fileBytes) => ethers.sha256(fileBytes);
+
+/** Random 256-bit content key for one record file */
+export const generateContentKey = () => crypto.getRandomValues(new Uint8Array(32));
+
+/** Encrypt file bytes; returns iv || ciphertext */
+export const encryptFile = (contentKey, fileBytes) => aesEncrypt(contentKey, fileBytes);
+
+/** Decrypt iv || ciphertext back to the file bytes */
+export const decryptFile = (contentKey, payload) => aesDecrypt(contentKey, payload);
+
+/**
+ * Wrap a content key for a reader's public key.
+ * @returns {Promise<string>} Hex of ephemeral public key || iv || encrypted content key
+ */
+export const wrapContentKey = async (contentKey, readerPublicKey) => {
+  const ephemeralKey = new ethers.SigningKey(ethers.hexlify(ethers.randomBytes(32)));
+  const wrapped = await aesEncrypt(sharedAesKey(ephemeralKey, readerPublicKey), contentKey);
+  return ethers.concat([ephemeralKey.compressedPublicKey, wrapped]);
+};
+
+/** Unwrap a content key wrapped for the holder of signingKey */
+export const unwrapContentKey = (wrappedKey, signingKey) => {
+  const bytes = ethers.getBytes(wrappedKey);
+  const ephemeralPublicKey = ethers.hexlify(bytes.slice(0, PUBLIC_KEY_LENGTH));
+  return aesDecrypt(sharedAesKey(signingKey, ephemeralPublicKey), bytes.slice(PUBLIC_KEY_LENGTH));
+};
@@ -0,0 +1,303 @@
+// FHIR R4 export of a patient's records and grants
+//
+// The bundle is a "collection": the patient, the doctors, organizations and guardians involved, a
+// DocumentReference per record and a Consent per grant. Entries are addressed by urn:uuid full
+// URLs, and references between them use those URLs, so the bundle stands on its own without a
+// FHIR server.
+
+import { ethers } from 'ethers';
+
+// CAIP-10 account IDs (eip155:<chainId>:<address>) identify patients and doctors
+const ACCOUNT_SYSTEM = 'https://chainagnostic.org/CAIPs/caip-10';
+export const LOINC = 'http://loinc.org';
+
+// LOINC document types of the app's record types; other types are exported as text only
+export const RECORD_TYPE_CODES = {
+  'Lab Report': { code: '11502-2', display: 'Laboratory report' },
+  'X-Ray': { code: '18748-4', display: 'Diagnostic imaging study' },
+  'Prescription': { code: '57833-6', display: 'Prescription for medication' },
+  'Diagnosis': { code: '29548-5', display: 'Diagnosis Narrative' },
+  'Surgery Report': { code: '11504-8', display: 'Surgical operation note' },
+  'Vaccination': { code: '11369-6', display: 'History of Immunization Narrative' }
+};
+
+// Mirror MedChain.GrantScope and MedChain.UserRole
+const SCOPE = { FULL: 0, RECORD: 1, CATEGORY: 2 };
+const ROLE_DOCTOR = 2;
+
+const toInstant = (timestamp) => new Date(timestamp * 1000).toISOString();
+
+const accountIdentifier = (chainId, address) => [{ system: ACCOUNT_SYSTEM, value: `eip155:${chainId}:${address}` }];
+
+// Accounts are keyed by checksummed address: wallets report lowercase, the contract returns checksummed
+const accountKey = (address) => ethers.getAddress(address);
+
+/**
+ * Build a FHIR R4 Bundle of a patient's records and grants
+ * @param {object} patient - { address, name }
+ * @param {object[]} records - Records as the app loads them
+ * @param {object[]} grants - Every grant, revoked ones included: { doctor, doctorName, scope, recordId,
+ *                            recordType, grantedAt, expiresAt, purpose, isActive }
+ * @param {object} accounts - { [address]: { name, role, organization } } of every record author and grantee but
+ *                            the patient; organization is true for organization grantees. Addresses may be
+ *                            in any case
+ * @param {object} source - { chainId, contractAddress } the data was read from
+ * @returns {object} Bundle resource
+ */
+export const buildPatientBundle = (patient, records, grants, accounts, { chainId, contractAddress }) => {
+  const now = Math.floor(Date.now() / 1000);
+  const entries = [];
+  const urls = {};
+  const recordSystem = `urn:medchain:${chainId}:${contractAddress}`;
+
+  const add = (key, resource) => {
+    urls[key] = `urn:uuid:${crypto.randomUUID()}`;
+    entries.push({ fullUrl: urls[key], resource });
+    return urls[key];
+  };
+
+  const patientAddress = accountKey(patient.address);
+  const patientUrl = add(patientAddress, {
+    resourceType: 'Patient',
+    identifier: accountIdentifier(chainId, patientAddress),
+    name: [{ text: patient.name }]
+  });
+
+  // Doctors become Practitioners and organizations Organizations; guardians who created records
+  // become RelatedPersons
+  for (let [account, { name, role, organization }] of Object.entries(accounts)) {
+    const address = accountKey(account);
+    // Skip the patient, or an account listed twice in different case
+    if (urls[address]) continue;
+    if (organization) {
+      add(address, { resourceType: 'Organization', identifier: accountIdentifier(chainId, address), name });
+      continue;
+    }
+    add(address, {
+      resourceType: role === ROLE_DOCTOR ? 'Practitioner' : 'RelatedPerson',
+      identifier: accountIdentifier(chainId, address),
+      ...(role !== ROLE_DOCTOR && { patient: { reference: patientUrl } }),
+      ...(name && { name: [{ text: name }] })
+    });
+  }
+
+  for (let record of records) {
+    const typeCode = RECORD_TYPE_CODES[record.recordType];
+    add(`record-${record.id}`, {
+      resourceType: 'DocumentReference',
+      masterIdentifier: { system: recordSystem, value: String(record.id) },
+      // Archived records are withdrawn from sharing; "superseded" is the closest R4 status
+      status: record.archived ? 'superseded' : 'current',
+      docStatus: record.version > 1 ? 'amended' : 'final',
+      type: {
+        ...(typeCode && { coding: [{ system: LOINC, ...typeCode }] }),
+        text: record.recordType
+      },
+      subject: { reference: patientUrl },
+      date: toInstant(record.timestamp),
+      author: [{ reference: urls[accountKey(record.author)] }],
+      description: record.description,
+      // Encrypted files are stored as ciphertext under the CID; only readers holding a wrapped key can open them
+      ...(record.encrypted && {
+        securityLabel: [{
+          coding: [{ system: 'http://terminology.hl7.org/CodeSystem/v3-Confidentiality', code: 'R', display: 'restricted' }]
+        }]
+      }),
+      content: [{
+        attachment: {
+          contentType: record.encrypted ? 'application/octet-stream' : record.file.mimeType,
+          url: `ipfs://${record.ipfsHash}`,
+          ...(!record.encrypted && { size: record.file.size })
+        }
+      }]
+    });
+  }
+
+  for (let grant of grants) {
+    const live = grant.isActive && (grant.expiresAt === 0 || grant.expiresAt > now);
+    const provision = {
+      type: 'permit',
+      period: {
+        start: toInstant(grant.grantedAt),
+        ...(grant.expiresAt > 0 && { end: toInstant(grant.expiresAt) })
+      },
+      actor: [{
+        role: { coding: [{ system: 'http://terminology.hl7.org/CodeSystem/v3-ParticipationType', code: 'IRCP' }] },
+        reference: { reference: urls[accountKey(grant.doctor)] }
+      }],
+      action: [{ coding: [{ system: 'http://terminology.hl7.org/CodeSystem/consentaction', code: 'access' }] }],
+      // Grant purposes are free text, so the coding only has a display
+      ...(grant.purpose && { purpose: [{ display: grant.purpose }] })
+    };
+    if (grant.scope === SCOPE.RECORD) {
+      // Records missing from the export are referred to by identifier, so the consent stays limited to them
+      const recordUrl = urls[`record-${grant.recordId}`];
+      provision.data = [{
+        meaning: 'instance',
+        reference: recordUrl ? { reference: recordUrl } : { identifier: { system: recordSystem, value: String(grant.recordId) } }
+      }];
+    } else if (grant.scope === SCOPE.CATEGORY) {
+      provision.code = [{ text: grant.recordType }];
+    }
+
+    add(`grant-${grant.index}`, {
+      resourceType: 'Consent',
+      status: live ? 'active' : 'inactive',
+      scope: { coding: [{ system: 'http://terminology.hl7.org/CodeSystem/consentscope', code: 'patient-privacy' }] },
+      category: [{ coding: [{ system: LOINC, code: '59284-0' }] }],
+      patient: { reference: patientUrl },
+      dateTime: toInstant(grant.grantedAt),
+      performer: [{ reference: patientUrl }],
+      policyRule: { coding: [{ system: 'http://terminology.hl7.org/CodeSystem/v3-ActCode', code: 'OPTIN' }] },
+      provision
+    });
+  }
+
+  return {
+    resourceType: 'Bundle',
+    meta: { lastUpdated: toInstant(now) },
+    identifier: { system: 'urn:ietf:rfc:3986', value: `urn:uuid:${crypto.randomUUID()}` },
+    type: 'collection',
+    timestamp: toInstant(now),
+    entry: entries
+  };
+};
+
+// ==================== VALIDATION ====================
+
+// Value sets and formats of the elements the export uses, from the FHIR R4 (4.0.1) specification
+const INSTANT = /^([0-9]([0-9]([0-9][1-9]|[1-9]0)|[1-9]00)|[1-9]000)-(0[1-9]|1[0-2])-(0[1-9]|[1-2][0-9]|3[0-1])T([01][0-9]|2[0-3]):[0-5][0-9]:([0-5][0-9]|60)(\.[0-9]+)?(Z|(\+|-)((0[0-9]|1[0-3]):[0-5][0-9]|14:00))$/;
+const BUNDLE_TYPES = ['document', 'message', 'transaction', 'transaction-response', 'batch', 'batch-response', 'history', 'searchset', 'collection'];
+
+// Required elements (1..*), coded elements and instants of each resource type
+const RESOURCE_RULES = {
+  Patient: { required: [], codes: {}, instants: [] },
+  Practitioner: { required: [], codes: {}, instants: [] },
+  Organization: { required: [], codes: {}, instants: [] },
+  RelatedPerson: { required: ['patient'], codes: {}, instants: [] },
+  DocumentReference: {
+    required: ['status', 'content'],
+    codes: {
+      status: ['current', 'superseded', 'entered-in-error'],
+      docStatus: ['preliminary', 'final', 'amended', 'entered-in-error']
+    },
+    instants: ['date']
+  },
+  Consent: {
+    required: ['status', 'scope', 'category'],
+    codes: { status: ['draft', 'proposed', 'active', 'rejected', 'inactive', 'entered-in-error'] },
+    instants: ['dateTime']
+  }
+};
+
+const isEmpty = (value) => value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+
+const checkReference = (reference, path, fullUrls, issues) => {
+  if (!reference?.reference && !reference?.identifier) {
+    issues.push(`${path}: reference is missing`);
+  } else if (reference.reference?.startsWith('urn:uuid:') && !fullUrls.has(reference.reference)) {
+    issues.push(`${path}: ${reference.reference} is not in the bundle`);
+  }
+};
+
+const checkPeriod = (period, path, issues) => {
+  if (!period) return;
+  for (let key of ['start', 'end']) {
+    if (period[key] !== undefined && !INSTANT.test(period[key])) issues.push(`${path}.${key}: not a valid dateTime`);
+  }
+  if (period.start && period.end && period.start > period.end) issues.push(`${path}: start is after end`);
+};
+
+const validateDocumentReference = (resource, path, fullUrls, issues) => {
+  checkReference(resource.subject, `${path}.subject`, fullUrls, issues);
+  (resource.author || []).forEach((author, i) => checkReference(author, `${path}.author[${i}]`, fullUrls, issues));
+  (resource.content || []).forEach((content, i) => {
+    const attachment = content.attachment;
+    if (!attachment) {
+      issues.push(`${path}.content[${i}].attachment: required`);
+      return;
+    }
+    if (!attachment.url) issues.push(`${path}.content[${i}].attachment.url: missing`);
+    if (attachment.size !== undefined && !(Number.isInteger(attachment.size) && attachment.size >= 0)) {
+      issues.push(`${path}.content[${i}].attachment.size: not an unsignedInt`);
+    }
+  });
+};
+
+const validateConsent = (resource, path, fullUrls, issues) => {
+  // ppc-1: Either a Policy or PolicyRule
+  if (isEmpty(resource.policy) && !resource.policyRule) issues.push(`${path}: needs a policy or policyRule (ppc-1)`);
+  if (resource.patient) checkReference(resource.patient, `${path}.patient`, fullUrls, issues);
+  (resource.performer || []).forEach((performer, i) => checkReference(performer, `${path}.performer[${i}]`, fullUrls, issues));
+
+  const provision = resource.provision;
+  if (!provision) return;
+  if (provision.type && !['deny', 'permit'].includes(provision.type)) issues.push(`${path}.provision.type: "${provision.type}" is not a valid code`);
+  checkPeriod(provision.period, `${path}.provision.period`, issues);
+  (provision.actor || []).forEach((actor, i) => {
+    if (!actor.role) issues.push(`${path}.provision.actor[${i}].role: required`);
+    checkReference(actor.reference, `${path}.provision.actor[${i}].reference`, fullUrls, issues);
+  });
+  (provision.data || []).forEach((data, i) => {
+    if (!['instance', 'related', 'dependents', 'authoredby'].includes(data.meaning)) {
+      issues.push(`${path}.provision.data[${i}].meaning: "${data.meaning}" is not a valid code`);
+    }
+    checkReference(data.reference, `${path}.provision.data[${i}].reference`, fullUrls, issues);
+  });
+};
+
+/**
+ * Check a bundle against the FHIR R4 structure of the resources the export produces:
+ * cardinality, value sets, formats, invariants and that every urn:uuid reference resolves
+ * @returns {string[]} Problems found, each prefixed with the element path; empty if valid
+ */
+export const validateBundle = (bundle) => {
+  const issues = [];
+
+  if (bundle?.resourceType !== 'Bundle') return ['Bundle.resourceType: must be "Bundle"'];
+  if (!BUNDLE_TYPES.includes(bundle.type)) issues.push(`Bundle.type: "${bundle.type}" is not a valid code`);
+  if (bundle.timestamp !== undefined && !INSTANT.test(bundle.timestamp)) issues.push('Bundle.timestamp: not a valid instant');
+
+  const entries = bundle.entry || [];
+  const fullUrls = new Set();
+  entries.forEach((entry, i) => {
+    if (!entry.fullUrl) {
+      issues.push(`Bundle.entry[${i}].fullUrl: missing`);
+    } else if (fullUrls.has(entry.fullUrl)) {
+      issues.push(`Bundle.entry[${i}].fullUrl: ${entry.fullUrl} is used twice (bdl-7)`);
+    }
+    fullUrls.add(entry.fullUrl);
+  });
+
+  entries.forEach((entry, i) => {
+    const resource = entry.resource;
+    const rules = RESOURCE_RULES[resource?.resourceType];
+    const path = `Bundle.entry[${i}].resource`;
+    if (!rules) {
+      issues.push(`${path}.resourceType: "${resource?.resourceType}" is not expected in this export`);
+      return;
+    }
+
+    for (let element of rules.required) {
+      if (isEmpty(resource[element])) issues.push(`${path}.${element}: required`);
+    }
+    for (let [element, codes] of Object.entries(rules.codes)) {
+      if (resource[element] !== undefined && !codes.includes(resource[element])) {
+        issues.push(`${path}.${element}: "${resource[element]}" is not a valid code`);
+      }
+    }
+    for (let element of rules.instants) {
+      if (resource[element] !== undefined && !INSTANT.test(resource[element])) issues.push(`${path}.${element}: not a valid instant`);
+    }
+
+    if (resource.resourceType === 'RelatedPerson') checkReference(resource.patient, `${path}.patient`, fullUrls, issues);
+    // org-1: at least a name or an identifier
+    if (resource.resourceType === 'Organization' && !resource.name && isEmpty(resource.identifier)) {
+      issues.push(`${path}: needs a name or an identifier (org-1)`);
+    }
+    if (resource.resourceType === 'DocumentReference') validateDocumentReference(resource, path, fullUrls, issues);
+    if (resource.resourceType === 'Consent') validateConsent(resource, path, fullUrls, issues);
+  });
+
+  return issues;
+};
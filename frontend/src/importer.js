@@ -0,0 +1,202 @@
+// Bulk import of existing records from a CSV manifest or a FHIR R4 Bundle
+//
+// Both formats are read into the same rows: a record type, a description and where the file
+// comes from — one of the files picked alongside the manifest, bytes embedded in the bundle, or
+// a CID already on IPFS. Rows are validated before anything is uploaded so the preview can show
+// every problem at once.
+
+import { ethers } from 'ethers';
+import { LOINC, RECORD_TYPE_CODES } from './fhir';
+
+// Columns of a CSV manifest; header names are matched case-insensitively
+const CSV_COLUMNS = ['recordType', 'description', 'file', 'cid', 'mimeType'];
+
+// CIDv0 (base58btc) or CIDv1 in the default base32 multibase
+const CID_PATTERN = /^(Qm[1-9A-HJ-NP-Za-km-z]{44}|b[a-z2-7]{58,})$/;
+
+const RECORD_TYPE_BY_CODE = Object.fromEntries(
+  Object.entries(RECORD_TYPE_CODES).map(([recordType, { code }]) => [code, recordType])
+);
+
+// RFC 4180 fields: quoted fields may hold commas, line breaks and doubled quotes
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((fields) => fields.some((value) => value.trim() !== ''));
+};
+
+/**
+ * Read a CSV manifest: a header row naming the recordType, description and file or cid
+ * columns (mimeType optional), then one row per record
+ * @param {string} text - Manifest contents
+ * @returns {object[]} Import rows: { source, recordType, description, fileName, cid, mimeType, errors }
+ */
+export const parseCsvManifest = (text) => {
+  const [header, ...lines] = parseCsv(text.replace(/^\uFEFF/, ''));
+  if (!header) throw new Error('The manifest is empty');
+
+  const columns = header.map((name) =>
+    CSV_COLUMNS.find((column) => column.toLowerCase() === name.trim().toLowerCase()) || null
+  );
+  for (let column of ['recordType', 'description']) {
+    if (!columns.includes(column)) throw new Error(`The manifest has no "${column}" column`);
+  }
+  if (!columns.includes('file') && !columns.includes('cid')) {
+    throw new Error('The manifest needs a "file" or a "cid" column');
+  }
+
+  return lines.map((fields, index) => {
+    const values = {};
+    columns.forEach((column, i) => {
+      if (column) values[column] = (fields[i] || '').trim();
+    });
+    return {
+      source: `Row ${index + 2}`,
+      recordType: values.recordType,
+      description: values.description,
+      fileName: values.file || '',
+      cid: values.cid || '',
+      mimeType: values.mimeType || '',
+      errors: fields.length > header.length ? ['More fields than the header has columns'] : []
+    };
+  });
+};
+
+// The app's record type for a LOINC-coded document type, otherwise the type's own text
+const recordTypeOf = (type) => {
+  const coding = (type?.coding || []).find((code) => code.system === LOINC && RECORD_TYPE_BY_CODE[code.code]);
+  if (coding) return RECORD_TYPE_BY_CODE[coding.code];
+  return (type?.text || type?.coding?.find((code) => code.display)?.display || '').trim();
+};
+
+/**
+ * Read the DocumentReferences of a FHIR R4 Bundle, or a single DocumentReference
+ * Attachments may embed their bytes, point at a Binary in the bundle, give an ipfs:// URL or
+ * name a file picked alongside the bundle. Other resources are skipped.
+ * @param {object} bundle - Parsed JSON
+ * @returns {object[]} Import rows: { source, recordType, description, fileName, cid, content, mimeType, errors }
+ */
+export const parseFhirBundle = (bundle) => {
+  if (bundle?.resourceType !== 'Bundle' && bundle?.resourceType !== 'DocumentReference') {
+    throw new Error('Not a FHIR Bundle or DocumentReference');
+  }
+
+  const entries = bundle.resourceType === 'Bundle'
+    ? (bundle.entry || []).map((entry, index) => ({ ...entry, source: `entry[${index}]` }))
+    : [{ resource: bundle, source: 'DocumentReference' }];
+
+  const binaries = new Map();
+  for (let { fullUrl, resource } of entries) {
+    if (resource?.resourceType !== 'Binary') continue;
+    if (fullUrl) binaries.set(fullUrl, resource);
+    if (resource.id) binaries.set(`Binary/${resource.id}`, resource);
+  }
+
+  const rows = [];
+  for (let { resource, source } of entries) {
+    if (resource?.resourceType !== 'DocumentReference') continue;
+
+    const attachment = resource.content?.[0]?.attachment || {};
+    const row = {
+      source,
+      recordType: recordTypeOf(resource.type),
+      description: (resource.description || resource.type?.text || '').trim(),
+      fileName: '',
+      cid: '',
+      mimeType: attachment.contentType || '',
+      errors: []
+    };
+    if (resource.status === 'entered-in-error') row.errors.push('Marked entered-in-error in the source');
+
+    const binary = binaries.get(attachment.url);
+    const data = attachment.data || binary?.data;
+    if (data) {
+      try {
+        row.content = ethers.decodeBase64(data);
+      } catch {
+        row.errors.push('Attachment data is not valid base64');
+      }
+      row.fileName = attachment.title || source;
+      row.mimeType = row.mimeType || binary?.contentType || '';
+    } else if (attachment.url?.startsWith('ipfs://')) {
+      // A MedChain export labels encrypted files restricted; their CIDs only hold ciphertext
+      const restricted = (resource.securityLabel || []).some((label) =>
+        (label.coding || []).some((code) => code.code === 'R')
+      );
+      if (restricted) {
+        row.errors.push('The file under this CID is encrypted; import the original file instead');
+      }
+      row.cid = attachment.url.slice('ipfs://'.length);
+    } else if (attachment.url || attachment.title) {
+      row.fileName = (attachment.url || attachment.title).split('/').pop();
+    }
+
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+/**
+ * Check import rows against the files picked for them
+ * @param {object[]} rows - Rows from parseCsvManifest or parseFhirBundle
+ * @param {File[]} files - Files picked alongside the manifest
+ * @returns {object[]} The rows with an `issues` list each; rows without issues can be imported
+ */
+export const validateImportRows = (rows, files) => {
+  const fileNames = new Set(files.map((file) => file.name));
+
+  return rows.map((row) => {
+    const issues = [...row.errors];
+    if (!row.recordType) issues.push('Record type required');
+    if (!row.description) issues.push('Description required');
+
+    if (!row.content) {
+      if (row.fileName && row.cid) {
+        issues.push('Give either a file or a CID, not both');
+      } else if (row.fileName) {
+        if (!fileNames.has(row.fileName)) issues.push(`"${row.fileName}" is not among the selected files`);
+      } else if (row.cid) {
+        if (!CID_PATTERN.test(row.cid)) issues.push(`"${row.cid}" is not a valid IPFS CID`);
+      } else {
+        issues.push('No file or CID given');
+      }
+    }
+
+    return { ...row, issues };
+  });
+};
@@ -0,0 +1,26 @@
+// Optional MedChain event indexer (see indexer/ at the repository root)
+
+import { INDEXER_URL } from './config';
+
+const query = async (path, params) => {
+  const response = await fetch(`${INDEXER_URL}${path}?${new URLSearchParams(params).toString()}`);
+  if (!response.ok) {
+    const { error } = await response.json().catch(() => ({}));
+    throw new Error(`Indexer ${path} failed (${response.status}) ${error || ''}`.trim());
+  }
+  return response.json();
+};
+
+/**
+ * Grant, extension and revocation events for a patient, newest first
+ * @returns {Promise<{ total: number, items: Array }>}
+ */
+export const fetchGrantHistory = (patientAddress, offset, limit) =>
+  query('/api/grants', { patient: patientAddress, offset, limit });
+
+/**
+ * Registrations, verifications, emergency and admin events, newest first
+ * @returns {Promise<{ total: number, items: Array }>}
+ */
+export const fetchSystemEvents = (offset, limit) =>
+  query('/api/system', { offset, limit });
@@ -0,0 +1,35 @@
+// Record file storage through an IPFS HTTP API (a Kubo node, or the development store)
+
+import { IPFS_API_URL } from './config';
+
+const callApi = async (command, params, body) => {
+  const query = new URLSearchParams(params).toString();
+  const response = await fetch(`${IPFS_API_URL}/api/v0/${command}?${query}`, { method: 'POST', body });
+  if (!response.ok) {
+    const message = await response.text().catch(() => '');
+    throw new Error(`IPFS ${command} failed (${response.status}) ${message}`.trim());
+  }
+  return response;
+};
+
+/**
+ * Add and pin a file
+ * @returns {Promise<string>} CID of the stored file
+ */
+export const uploadFile = async (bytes, fileName) => {
+  const body = new FormData();
+  body.append('file', new Blob([bytes]), fileName);
+
+  const response = await callApi('add', { 'cid-version': 1, 'raw-leaves': true, pin: true }, body);
+  const { Hash } = await response.json();
+  return Hash;
+};
+
+/**
+ * Fetch a file's bytes by CID
+ * @returns {Promise<Uint8Array>}
+ */
+export const fetchFile = async (cid) => {
+  const response = await callApi('cat', { arg: cid });
+  return new Uint8Array(await response.arrayBuffer());
+};
@@ -0,0 +1,106 @@
+// Gasless patient actions: sign an EIP-712 request and let the relayer (see relayer/) submit it
+
+import { RELAYER_URL } from './config';
+
+// Seconds a signed request stays valid
+const REQUEST_LIFETIME = 3600;
+
+const RECORD_FILE = [
+  { name: 'digest', type: 'bytes32' },
+  { name: 'size', type: 'uint256' },
+  { name: 'mimeType', type: 'string' }
+];
+
+// Mirrors the typehashes in MedChainRelay.sol
+const REQUEST_TYPES = {
+  RegisterUser: {
+    RegisterUser: [
+      { name: 'user', type: 'address' },
+      { name: 'name', type: 'string' },
+      { name: 'role', type: 'uint8' },
+      { name: 'nonce', type: 'uint256' },
+      { name: 'deadline', type: 'uint256' }
+    ]
+  },
+  SetEncryptionKey: {
+    SetEncryptionKey: [
+      { name: 'user', type: 'address' },
+      { name: 'publicKey', type: 'bytes' },
+      { name: 'nonce', type: 'uint256' },
+      { name: 'deadline', type: 'uint256' }
+    ]
+  },
+  CreateRecord: {
+    CreateRecord: [
+      { name: 'patient', type: 'address' },
+      { name: 'ipfsHash', type: 'string' },
+      { name: 'recordType', type: 'string' },
+      { name: 'description', type: 'string' },
+      { name: 'file', type: 'RecordFile' },
+      { name: 'wrappedKey', type: 'bytes' },
+      { name: 'nonce', type: 'uint256' },
+      { name: 'deadline', type: 'uint256' }
+    ],
+    RecordFile: RECORD_FILE
+  },
+  GrantAccess: {
+    GrantAccess: [
+      { name: 'patient', type: 'address' },
+      { name: 'doctor', type: 'address' },
+      { name: 'expiryDuration', type: 'uint256' },
+      { name: 'purpose', type: 'string' },
+      { name: 'nonce', type: 'uint256' },
+      { name: 'deadline', type: 'uint256' }
+    ]
+  },
+  ShareRecordKeys: {
+    ShareRecordKeys: [
+      { name: 'patient', type: 'address' },
+      { name: 'reader', type: 'address' },
+      { name: 'recordIds', type: 'uint256[]' },
+      { name: 'wrappedKeys', type: 'bytes[]' },
+      { name: 'nonce', type: 'uint256' },
+      { name: 'deadline', type: 'uint256' }
+    ]
+  }
+};
+
+const toJson = (value) => JSON.stringify(value, (key, item) => (typeof item === 'bigint' ? item.toString() : item));
+
+/**
+ * Sign a request with the wallet and have the relayer submit it
+ * @param {string} action - RegisterUser, SetEncryptionKey, CreateRecord, GrantAccess or ShareRecordKeys
+ * @param {object} message - Request fields except nonce and deadline
+ * @returns {Promise<ethers.TransactionReceipt>} Receipt of the relayer's transaction
+ */
+export const relayRequest = async (contract, signer, action, message) => {
+  const { chainId } = await signer.provider.getNetwork();
+  const domain = {
+    name: 'MedChain',
+    version: '1',
+    chainId,
+    verifyingContract: await contract.getAddress()
+  };
+  const request = {
+    ...message,
+    nonce: await contract.getRelayNonce(await signer.getAddress()),
+    deadline: Math.floor(Date.now() / 1000) + REQUEST_LIFETIME
+  };
+  const signature = await signer.signTypedData(domain, REQUEST_TYPES[action], request);
+
+  const response = await fetch(`${RELAYER_URL}/api/relay`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: toJson({ action, request, signature })
+  });
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(`Relayer rejected the request: ${body.error || response.status}`);
+  }
+
+  const receipt = await signer.provider.waitForTransaction(body.txHash);
+  if (receipt.status !== 1) {
+    throw new Error('Relayed transaction failed');
+  }
+  return receipt;
+};
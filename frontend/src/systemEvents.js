@@ -0,0 +1,21 @@
+// Registrations and administrative events: the indexer serves them from /api/system and
+// the admin dashboard reads the same events from the node when no indexer is configured.
+// Plain module without imports so the indexer can load it from Node as well.
+
+export const SYSTEM_EVENTS = [
+  'UserRegistered',
+  'DoctorVerified',
+  'DoctorRejected',
+  'VerifierUpdated',
+  'EmergencyModeToggled',
+  'EmergencyAccessInvoked',
+  'EmergencyAccessReviewed',
+  'AdminAdded',
+  'AdminRemoved',
+  'AdminQuorumChanged',
+  'AdminTransferred',
+  'RelayerUpdated',
+  'OrganizationCreated',
+  'FileMismatchReported',
+  'Upgraded'
+];
@@ -0,0 +1,134 @@
+import { describe, it, expect } from 'vitest';
+import { buildPatientBundle, validateBundle, LOINC } from '../src/fhir';
+
+const PATIENT = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const DOCTOR = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+const ORGANIZATION = '0x90F79bf6EB2c4f870365E785982E1f101E93b906';
+const SOURCE = { chainId: 31337, contractAddress: '0x5FbDB2315678afecb367f032d93F642f64180aa3' };
+
+const record = (id, author, fields = {}) => ({
+  id,
+  author,
+  recordType: 'Lab Report',
+  description: `Record ${id}`,
+  ipfsHash: `QmRecord${id}`,
+  timestamp: 1700000000,
+  version: 1,
+  archived: false,
+  encrypted: false,
+  file: { mimeType: 'application/pdf', size: 1024 },
+  ...fields
+});
+
+const grant = (index, doctor, fields = {}) => ({
+  index,
+  doctor,
+  scope: 0,
+  recordId: 0,
+  recordType: '',
+  grantedAt: 1700000000,
+  expiresAt: 0,
+  purpose: 'Checkup',
+  isActive: true,
+  ...fields
+});
+
+const resources = (bundle, type) =>
+  bundle.entry.filter((entry) => entry.resource.resourceType === type);
+
+describe('buildPatientBundle', () => {
+  it('refers records the patient wrote to the Patient, whatever case the wallet reports', () => {
+    const bundle = buildPatientBundle(
+      { address: PATIENT.toLowerCase(), name: 'Pat' },
+      [record(1, PATIENT), record(2, DOCTOR)],
+      [grant(0, DOCTOR)],
+      { [DOCTOR]: { name: 'Doc', role: 2 } },
+      SOURCE
+    );
+
+    expect(validateBundle(bundle)).toEqual([]);
+    const [patient] = resources(bundle, 'Patient');
+    expect(patient.resource.identifier[0].value).toBe(`eip155:31337:${PATIENT}`);
+    expect(resources(bundle, 'RelatedPerson')).toEqual([]);
+
+    const [own, doctors] = resources(bundle, 'DocumentReference');
+    expect(own.resource.author).toEqual([{ reference: patient.fullUrl }]);
+    expect(doctors.resource.author).toEqual([{ reference: resources(bundle, 'Practitioner')[0].fullUrl }]);
+  });
+
+  it('matches accounts listed in a different case than the records and grants', () => {
+    const bundle = buildPatientBundle(
+      { address: PATIENT, name: 'Pat' },
+      [record(1, DOCTOR)],
+      [grant(0, DOCTOR.toLowerCase())],
+      { [DOCTOR.toLowerCase()]: { name: 'Doc', role: 2 }, [PATIENT.toLowerCase()]: { name: 'Pat', role: 1 } },
+      SOURCE
+    );
+
+    expect(validateBundle(bundle)).toEqual([]);
+    expect(resources(bundle, 'Patient')).toHaveLength(1);
+    const [practitioner] = resources(bundle, 'Practitioner');
+    expect(resources(bundle, 'Consent')[0].resource.provision.actor[0].reference).toEqual({ reference: practitioner.fullUrl });
+  });
+
+  it('exports record types, archived and amended records, and encrypted files', () => {
+    const bundle = buildPatientBundle(
+      { address: PATIENT, name: 'Pat' },
+      [record(1, PATIENT, { archived: true, version: 2 }), record(2, PATIENT, { recordType: 'Dental', encrypted: true })],
+      [],
+      {},
+      SOURCE
+    );
+
+    const [archived, encrypted] = resources(bundle, 'DocumentReference').map((entry) => entry.resource);
+    expect(archived).toMatchObject({
+      status: 'superseded',
+      docStatus: 'amended',
+      type: { coding: [{ system: LOINC, code: '11502-2' }], text: 'Lab Report' },
+      masterIdentifier: { system: `urn:medchain:31337:${SOURCE.contractAddress}`, value: '1' },
+      content: [{ attachment: { contentType: 'application/pdf', url: 'ipfs://QmRecord1', size: 1024 } }]
+    });
+    expect(encrypted.type).toEqual({ text: 'Dental' });
+    expect(encrypted.securityLabel[0].coding[0].code).toBe('R');
+    expect(encrypted.content[0].attachment).toEqual({ contentType: 'application/octet-stream', url: 'ipfs://QmRecord2' });
+  });
+
+  it('exports grants as Consents limited to their record or category', () => {
+    const bundle = buildPatientBundle(
+      { address: PATIENT, name: 'Pat' },
+      [record(1, PATIENT)],
+      [
+        grant(0, DOCTOR, { scope: 1, recordId: 1, expiresAt: 1700086400 }),
+        grant(1, DOCTOR, { scope: 1, recordId: 9 }),
+        grant(2, ORGANIZATION, { scope: 2, recordType: 'X-Ray', isActive: false })
+      ],
+      { [DOCTOR]: { name: 'Doc', role: 2 }, [ORGANIZATION]: { name: 'St. Mary', organization: true } },
+      SOURCE
+    );
+
+    expect(validateBundle(bundle)).toEqual([]);
+    const [document] = resources(bundle, 'DocumentReference');
+    const [record1, missing, category] = resources(bundle, 'Consent').map((entry) => entry.resource);
+
+    expect(record1.status).toBe('inactive');
+    expect(record1.provision.period).toEqual({ start: '2023-11-14T22:13:20.000Z', end: '2023-11-15T22:13:20.000Z' });
+    expect(record1.provision.data[0].reference).toEqual({ reference: document.fullUrl });
+    expect(missing.provision.data[0].reference).toEqual({ identifier: { system: `urn:medchain:31337:${SOURCE.contractAddress}`, value: '9' } });
+    expect(category.status).toBe('inactive');
+    expect(category.provision.code).toEqual([{ text: 'X-Ray' }]);
+    expect(category.provision.actor[0].reference).toEqual({ reference: resources(bundle, 'Organization')[0].fullUrl });
+  });
+});
+
+describe('validateBundle', () => {
+  it('reports references outside the bundle and invalid codes', () => {
+    const bundle = buildPatientBundle({ address: PATIENT, name: 'Pat' }, [record(1, DOCTOR)], [], {}, SOURCE);
+    bundle.entry[1].resource.status = 'deleted';
+
+    expect(validateBundle(bundle)).toEqual([
+      'Bundle.entry[1].resource.status: "deleted" is not a valid code',
+      'Bundle.entry[1].resource.author[0]: reference is missing'
+    ]);
+    expect(validateBundle({ resourceType: 'Patient' })).toEqual(['Bundle.resourceType: must be "Bundle"']);
+  });
+});
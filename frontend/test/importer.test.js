@@ -0,0 +1,131 @@
+import { describe, it, expect } from 'vitest';
+import { parseCsvManifest, parseFhirBundle, validateImportRows } from '../src/importer';
+import { buildPatientBundle, LOINC } from '../src/fhir';
+
+const CID = 'QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG';
+const PATIENT = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+
+describe('parseCsvManifest', () => {
+  it('reads quoted fields and matches headers in any case', () => {
+    const rows = parseCsvManifest(
+      '\uFEFFRecordType,Description,File,MIMETYPE\r\n' +
+      'Lab Report,"Lipids, fasting",lipids.pdf,application/pdf\r\n' +
+      'X-Ray,"Chest ""PA"" view\nfollow-up",chest.png,\r\n'
+    );
+
+    expect(rows).toEqual([
+      { source: 'Row 2', recordType: 'Lab Report', description: 'Lipids, fasting', fileName: 'lipids.pdf', cid: '', mimeType: 'application/pdf', errors: [] },
+      { source: 'Row 3', recordType: 'X-Ray', description: 'Chest "PA" view\nfollow-up', fileName: 'chest.png', cid: '', mimeType: '', errors: [] }
+    ]);
+  });
+
+  it('flags rows with more fields than the header', () => {
+    const [row] = parseCsvManifest(`recordType,description,cid\nLab Report,Lipids,${CID},extra\n`);
+
+    expect(row.cid).toBe(CID);
+    expect(row.errors).toEqual(['More fields than the header has columns']);
+  });
+
+  it('rejects manifests without the required columns', () => {
+    expect(() => parseCsvManifest('')).toThrow('The manifest is empty');
+    expect(() => parseCsvManifest('recordType,file\n')).toThrow('The manifest has no "description" column');
+    expect(() => parseCsvManifest('recordType,description\n')).toThrow('The manifest needs a "file" or a "cid" column');
+  });
+});
+
+describe('parseFhirBundle', () => {
+  it('reads embedded data, Binary references, CIDs and file names', () => {
+    const rows = parseFhirBundle({
+      resourceType: 'Bundle',
+      entry: [
+        { resource: { resourceType: 'Patient' } },
+        {
+          resource: {
+            resourceType: 'DocumentReference',
+            type: { coding: [{ system: LOINC, code: '18748-4' }] },
+            description: 'Chest X-ray',
+            content: [{ attachment: { contentType: 'text/plain', data: 'aGk=', title: 'xray.txt' } }]
+          }
+        },
+        {
+          resource: {
+            resourceType: 'DocumentReference',
+            type: { text: 'Dental' },
+            content: [{ attachment: { url: 'urn:uuid:binary-1' } }]
+          }
+        },
+        { fullUrl: 'urn:uuid:binary-1', resource: { resourceType: 'Binary', contentType: 'image/png', data: 'AQI=' } },
+        {
+          resource: {
+            resourceType: 'DocumentReference',
+            status: 'entered-in-error',
+            type: { coding: [{ system: 'http://example.org', code: 'x', display: 'Discharge summary' }] },
+            description: 'Discharge',
+            content: [{ attachment: { url: 'https://example.org/files/discharge.pdf' } }]
+          }
+        }
+      ]
+    });
+
+    expect(rows).toHaveLength(3);
+    expect(rows[0]).toMatchObject({ source: 'entry[1]', recordType: 'X-Ray', fileName: 'xray.txt', mimeType: 'text/plain', errors: [] });
+    expect(rows[0].content).toEqual(new Uint8Array([104, 105]));
+    expect(rows[1]).toMatchObject({ recordType: 'Dental', description: 'Dental', mimeType: 'image/png', content: new Uint8Array([1, 2]) });
+    expect(rows[2]).toMatchObject({
+      recordType: 'Discharge summary',
+      fileName: 'discharge.pdf',
+      errors: ['Marked entered-in-error in the source']
+    });
+  });
+
+  it('reads back a MedChain export, refusing the CIDs of encrypted files', () => {
+    const file = { mimeType: 'application/pdf', size: 10 };
+    const record = { author: PATIENT, recordType: 'Lab Report', description: 'Lipids', timestamp: 1700000000, version: 1, archived: false, file };
+    const bundle = buildPatientBundle(
+      { address: PATIENT, name: 'Pat' },
+      [{ ...record, id: 1, ipfsHash: CID, encrypted: false }, { ...record, id: 2, ipfsHash: CID, encrypted: true }],
+      [],
+      {},
+      { chainId: 31337, contractAddress: PATIENT }
+    );
+
+    const [plain, encrypted] = parseFhirBundle(bundle);
+    expect(plain).toMatchObject({ recordType: 'Lab Report', description: 'Lipids', cid: CID, errors: [] });
+    expect(encrypted.errors).toEqual(['The file under this CID is encrypted; import the original file instead']);
+  });
+
+  it('reads a single DocumentReference and rejects other resources', () => {
+    const rows = parseFhirBundle({ resourceType: 'DocumentReference', description: 'Note', content: [{ attachment: { url: `ipfs://${CID}` } }] });
+
+    expect(rows).toMatchObject([{ source: 'DocumentReference', recordType: '', description: 'Note', cid: CID, errors: [] }]);
+    expect(() => parseFhirBundle({ resourceType: 'Patient' })).toThrow('Not a FHIR Bundle or DocumentReference');
+  });
+});
+
+describe('validateImportRows', () => {
+  it('checks every row against the picked files', () => {
+    const row = { recordType: 'Lab Report', description: 'Lipids', fileName: '', cid: '', errors: [] };
+    const rows = validateImportRows(
+      [
+        { ...row, fileName: 'lipids.pdf' },
+        { ...row, fileName: 'missing.pdf' },
+        { ...row, cid: CID },
+        { ...row, cid: 'not-a-cid' },
+        { ...row, fileName: 'lipids.pdf', cid: CID },
+        { ...row, recordType: '', description: '' },
+        { ...row, content: new Uint8Array([1]), errors: ['Marked entered-in-error in the source'] }
+      ],
+      [{ name: 'lipids.pdf' }]
+    );
+
+    expect(rows.map((result) => result.issues)).toEqual([
+      [],
+      ['"missing.pdf" is not among the selected files'],
+      [],
+      ['"not-a-cid" is not a valid IPFS CID'],
+      ['Give either a file or a CID, not both'],
+      ['Record type required', 'Description required', 'No file or CID given'],
+      ['Marked entered-in-error in the source']
+    ]);
+  });
+});
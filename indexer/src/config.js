@@ -0,0 +1,23 @@
+// Indexer configuration, read from the environment (see env.template)
+
+import 'dotenv/config';
+import { readFileSync } from 'node:fs';
+
+// Deployment manifest written by blockchain/scripts/deploy.js
+const network = process.env.NETWORK || 'localhost';
+const deployment = JSON.parse(
+  readFileSync(new URL(`../../frontend/src/deployments/${network}.json`, import.meta.url), 'utf8')
+);
+
+export const CONTRACT_ABI = deployment.abi;
+
+export const config = {
+  rpcUrl: process.env.RPC_URL || 'http://127.0.0.1:8545',
+  contractAddress: process.env.CONTRACT_ADDRESS || deployment.address,
+  startBlock: Number(process.env.START_BLOCK || deployment.blockNumber || 0),
+  confirmations: Number(process.env.CONFIRMATIONS || 0),
+  batchSize: Number(process.env.BLOCK_BATCH_SIZE || 2000),
+  pollInterval: Number(process.env.POLL_INTERVAL_MS || 4000),
+  dbPath: process.env.DB_PATH || 'medchain.db',
+  port: Number(process.env.PORT || 4000)
+};
@@ -0,0 +1,255 @@
+// SQLite storage for indexed events
+//
+// `events` keeps every decoded contract event with the patient, doctor and record it concerns
+// pulled out for filtering. `records` follows each record's lifecycle, which also lets
+// events that only carry a record ID (RecordAccessed, RecordKeyShared, ...) be tied to a patient.
+
+import Database from 'better-sqlite3';
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS events (
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    patient TEXT,
+    doctor TEXT,
+    record_id INTEGER,
+    args TEXT NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS events_name ON events (name, block_number);
+  CREATE INDEX IF NOT EXISTS events_patient ON events (patient, block_number);
+  CREATE INDEX IF NOT EXISTS events_doctor ON events (doctor, block_number);
+  CREATE INDEX IF NOT EXISTS events_record ON events (record_id, block_number);
+
+  CREATE TABLE IF NOT EXISTS records (
+    record_id INTEGER PRIMARY KEY,
+    patient TEXT NOT NULL,
+    record_type TEXT NOT NULL,
+    created_at INTEGER NOT NULL,
+    block_number INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL,
+    version INTEGER NOT NULL DEFAULT 1,
+    archived INTEGER NOT NULL DEFAULT 0
+  );
+  CREATE INDEX IF NOT EXISTS records_patient ON records (patient, record_id);
+`;
+
+const lower = (address) => (address ? address.toLowerCase() : null);
+
+/**
+ * Build a WHERE clause from [sql, params] pairs, skipping filters that weren't given
+ * @returns {{ clause: string, params: object }}
+ */
+const buildWhere = (conditions) => {
+  const active = conditions.filter(([, params]) => Object.values(params).every((value) => value !== undefined));
+  return {
+    clause: active.length ? `WHERE ${active.map(([sql]) => sql).join(' AND ')}` : '',
+    params: Object.assign({}, ...active.map(([, params]) => params))
+  };
+};
+
+// `name IN (...)` condition for a list of event names
+const namesCondition = (names = []) => [
+  `name IN (${names.map((_, i) => `@name${i}`).join(', ')})`,
+  names.length ? Object.fromEntries(names.map((name, i) => [`name${i}`, name])) : { names: undefined }
+];
+
+/**
+ * Open (and create if needed) the indexer database
+ * @param {string} path - SQLite file
+ */
+export const openDatabase = (path) => {
+  const db = new Database(path);
+  db.pragma('journal_mode = WAL');
+  db.exec(SCHEMA);
+
+  const statements = {
+    getMeta: db.prepare('SELECT value FROM meta WHERE key = ?'),
+    setMeta: db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value'),
+    insertEvent: db.prepare(`
+      INSERT OR IGNORE INTO events (block_number, log_index, tx_hash, timestamp, name, patient, doctor, record_id, args)
+      VALUES (@blockNumber, @logIndex, @txHash, @timestamp, @name, @patient, @doctor, @recordId, @args)
+    `),
+    insertRecord: db.prepare(`
+      INSERT OR IGNORE INTO records (record_id, patient, record_type, created_at, block_number, tx_hash)
+      VALUES (@recordId, @patient, @recordType, @timestamp, @blockNumber, @txHash)
+    `),
+    setRecordVersion: db.prepare('UPDATE records SET version = ? WHERE record_id = ?'),
+    setRecordArchived: db.prepare('UPDATE records SET archived = ? WHERE record_id = ?'),
+    recordPatient: db.prepare('SELECT patient FROM records WHERE record_id = ?')
+  };
+
+  // Keep the records table in step with the lifecycle events
+  const applyRecordEvent = (event) => {
+    const { name, args } = event;
+    const recordId = Number(args.recordId);
+
+    if (name === 'RecordCreated') {
+      statements.insertRecord.run({
+        recordId,
+        patient: lower(args.patient),
+        recordType: args.recordType,
+        timestamp: event.timestamp,
+        blockNumber: event.blockNumber,
+        txHash: event.txHash
+      });
+    } else if (name === 'RecordAmended') {
+      statements.setRecordVersion.run(Number(args.version), recordId);
+    } else if (name === 'RecordArchived') {
+      statements.setRecordArchived.run(1, recordId);
+    } else if (name === 'RecordRestored') {
+      statements.setRecordArchived.run(0, recordId);
+    }
+  };
+
+  const storeEvent = (event) => {
+    const { args } = event;
+    applyRecordEvent(event);
+
+    const recordId = args.recordId !== undefined ? Number(args.recordId) : null;
+    const patient = args.patient ?? (recordId !== null ? statements.recordPatient.get(recordId)?.patient : null);
+    const doctor = args.doctor ?? args.accessor ?? args.reader ?? null;
+
+    statements.insertEvent.run({
+      blockNumber: event.blockNumber,
+      logIndex: event.logIndex,
+      txHash: event.txHash,
+      timestamp: event.timestamp,
+      name: event.name,
+      patient: lower(patient),
+      doctor: lower(doctor),
+      recordId,
+      args: JSON.stringify(args)
+    });
+  };
+
+  return {
+    /**
+     * Record the chain and contract being indexed, clearing what was indexed from another one
+     * (a restarted local node, or a new deployment in the manifest)
+     * @param {object} deployment - { chainId, contract }
+     * @returns {boolean} Whether stored events were cleared
+     */
+    useDeployment: db.transaction(({ chainId, contract }) => {
+      const storedChainId = statements.getMeta.get('chainId')?.value;
+      const storedContract = statements.getMeta.get('contract')?.value;
+      if (storedChainId === String(chainId) && storedContract === lower(contract)) {
+        return false;
+      }
+
+      const indexed = statements.getMeta.get('lastBlock') !== undefined;
+      db.exec("DELETE FROM events; DELETE FROM records; DELETE FROM meta WHERE key = 'lastBlock';");
+      statements.setMeta.run('chainId', String(chainId));
+      statements.setMeta.run('contract', lower(contract));
+      return indexed;
+    }),
+
+    /** Last block whose events are stored, or -1 before the first sync */
+    getLastBlock() {
+      const row = statements.getMeta.get('lastBlock');
+      return row ? Number(row.value) : -1;
+    },
+
+    /**
+     * Store a batch of events, in chain order, and advance the sync cursor in one transaction
+     * @param {Array} events - { blockNumber, logIndex, txHash, timestamp, name, args }
+     * @param {number} lastBlock - Last block the batch covers
+     */
+    storeBatch: db.transaction((events, lastBlock) => {
+      for (const event of events) {
+        storeEvent(event);
+      }
+      statements.setMeta.run('lastBlock', String(lastBlock));
+    }),
+
+    /**
+     * Query events, newest first unless order is 'asc'
+     * @returns {{ total: number, items: Array }}
+     */
+    queryEvents({ names, patient, doctor, recordId, from, to, limit, offset, order }) {
+      const { clause, params } = buildWhere([
+        namesCondition(names),
+        ['patient = @patient', { patient }],
+        ['doctor = @doctor', { doctor }],
+        ['record_id = @recordId', { recordId }],
+        ['timestamp >= @from', { from }],
+        ['timestamp <= @to', { to }]
+      ]);
+      const direction = order === 'asc' ? 'ASC' : 'DESC';
+
+      const total = db.prepare(`SELECT COUNT(*) AS count FROM events ${clause}`).get(params).count;
+      const items = db.prepare(`
+        SELECT * FROM events ${clause}
+        ORDER BY block_number ${direction}, log_index ${direction}
+        LIMIT @limit OFFSET @offset
+      `).all({ ...params, limit, offset });
+
+      return {
+        total,
+        items: items.map((row) => ({
+          name: row.name,
+          blockNumber: row.block_number,
+          logIndex: row.log_index,
+          txHash: row.tx_hash,
+          timestamp: row.timestamp,
+          patient: row.patient,
+          doctor: row.doctor,
+          recordId: row.record_id,
+          args: JSON.parse(row.args)
+        }))
+      };
+    },
+
+    /**
+     * Query records, newest first unless order is 'asc'
+     * @returns {{ total: number, items: Array }}
+     */
+    queryRecords({ patient, recordType, archived, from, to, limit, offset, order }) {
+      const { clause, params } = buildWhere([
+        ['patient = @patient', { patient }],
+        ['record_type = @recordType', { recordType }],
+        ['archived = @archived', { archived }],
+        ['created_at >= @from', { from }],
+        ['created_at <= @to', { to }]
+      ]);
+      const direction = order === 'asc' ? 'ASC' : 'DESC';
+
+      const total = db.prepare(`SELECT COUNT(*) AS count FROM records ${clause}`).get(params).count;
+      const items = db.prepare(`
+        SELECT * FROM records ${clause}
+        ORDER BY record_id ${direction}
+        LIMIT @limit OFFSET @offset
+      `).all({ ...params, limit, offset });
+
+      return {
+        total,
+        items: items.map((row) => ({
+          recordId: row.record_id,
+          patient: row.patient,
+          recordType: row.record_type,
+          createdAt: row.created_at,
+          blockNumber: row.block_number,
+          txHash: row.tx_hash,
+          version: row.version,
+          archived: row.archived === 1
+        }))
+      };
+    },
+
+    countEvents() {
+      return db.prepare('SELECT COUNT(*) AS count FROM events').get().count;
+    },
+
+    close() {
+      db.close();
+    }
+  };
+};
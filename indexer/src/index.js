@@ -0,0 +1,43 @@
+// MedChain event indexer: follows contract events into SQLite and serves them over HTTP
+
+import { ethers } from 'ethers';
+import { config, CONTRACT_ABI } from './config.js';
+import { openDatabase } from './db.js';
+import { createIndexer } from './indexer.js';
+import { createServer } from './server.js';
+
+const provider = new ethers.JsonRpcProvider(config.rpcUrl);
+const db = openDatabase(config.dbPath);
+
+const { chainId } = await provider.getNetwork();
+if (db.useDeployment({ chainId, contract: config.contractAddress })) {
+  console.log('Database was indexed from another chain or contract, indexing again from the start');
+}
+
+const indexer = createIndexer({
+  provider,
+  address: config.contractAddress,
+  abi: CONTRACT_ABI,
+  db,
+  startBlock: config.startBlock,
+  confirmations: config.confirmations,
+  batchSize: config.batchSize,
+  pollInterval: config.pollInterval
+});
+
+const server = createServer({ db, indexer });
+
+server.listen(config.port, () => {
+  console.log(`Indexing ${config.contractAddress} from ${config.rpcUrl}`);
+  console.log(`API listening on http://localhost:${config.port}`);
+});
+indexer.start();
+
+const shutdown = () => {
+  indexer.stop();
+  server.close();
+  db.close();
+  process.exit(0);
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
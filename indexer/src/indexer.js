@@ -0,0 +1,113 @@
+// Follows MedChain events from the RPC node into the database
+
+import { ethers } from 'ethers';
+
+/**
+ * Turn decoded event args into plain JSON (BigInts as strings, named keys only)
+ */
+const serializeArgs = (fragment, args) =>
+  Object.fromEntries(
+    fragment.inputs.map((input, i) => {
+      const value = args[i];
+      return [input.name, typeof value === 'bigint' ? value.toString() : value];
+    })
+  );
+
+/**
+ * Create the indexer
+ * @param {object} options - { provider, address, abi, db, startBlock, confirmations, batchSize, pollInterval }
+ */
+export const createIndexer = ({ provider, address, abi, db, startBlock, confirmations, batchSize, pollInterval }) => {
+  const iface = new ethers.Interface(abi);
+  const blockTimes = new Map();
+  let timer = null;
+  let stopped = false;
+  let headBlock = null;
+
+  const getBlockTime = async (blockNumber) => {
+    if (!blockTimes.has(blockNumber)) {
+      const block = await provider.getBlock(blockNumber);
+      blockTimes.set(blockNumber, block.timestamp);
+    }
+    return blockTimes.get(blockNumber);
+  };
+
+  const decodeLog = async (log) => {
+    let parsed;
+    try {
+      parsed = iface.parseLog(log);
+    } catch {
+      parsed = null;
+    }
+    if (!parsed) return null;
+
+    return {
+      blockNumber: log.blockNumber,
+      logIndex: log.index,
+      txHash: log.transactionHash,
+      timestamp: await getBlockTime(log.blockNumber),
+      name: parsed.name,
+      args: serializeArgs(parsed.fragment, parsed.args)
+    };
+  };
+
+  /**
+   * Index everything from the last stored block up to the confirmed head
+   */
+  const syncOnce = async () => {
+    headBlock = await provider.getBlockNumber();
+    const target = headBlock - confirmations;
+
+    let fromBlock = Math.max(db.getLastBlock() + 1, startBlock);
+    while (!stopped && fromBlock <= target) {
+      const toBlock = Math.min(fromBlock + batchSize - 1, target);
+      const logs = await provider.getLogs({ address, fromBlock, toBlock });
+
+      const events = [];
+      for (const log of logs) {
+        const event = await decodeLog(log);
+        if (event) events.push(event);
+      }
+      db.storeBatch(events, toBlock);
+      blockTimes.clear();
+
+      if (events.length > 0) {
+        console.log(`Indexed ${events.length} events from blocks ${fromBlock}-${toBlock}`);
+      }
+      fromBlock = toBlock + 1;
+    }
+  };
+
+  const poll = async () => {
+    try {
+      await syncOnce();
+    } catch (error) {
+      console.error('Sync failed, retrying:', error.message);
+    }
+    if (!stopped) {
+      timer = setTimeout(poll, pollInterval);
+    }
+  };
+
+  return {
+    start() {
+      stopped = false;
+      return poll();
+    },
+
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+    },
+
+    /** Sync progress for the status endpoint */
+    getStatus() {
+      return {
+        contract: address,
+        lastIndexedBlock: db.getLastBlock(),
+        headBlock,
+        confirmations
+      };
+    }
+  };
+};
@@ -0,0 +1,146 @@
+// Read-only HTTP API over the indexed events
+
+import http from 'node:http';
+// Events returned by /api/system, shared with the admin dashboard's fallback
+import { SYSTEM_EVENTS } from '../../frontend/src/systemEvents.js';
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+// Grant lifecycle events returned by /api/grants
+export const GRANT_EVENTS = [
+  'AccessGranted',
+  'AccessRevoked',
+  'AccessExtended',
+  'RecordAccessGranted',
+  'RecordAccessRevoked',
+  'CategoryAccessGranted',
+  'CategoryAccessRevoked',
+  'AccessRequestApproved'
+];
+
+// Reads of patient data returned by /api/access
+export const ACCESS_EVENTS = ['RecordAccessed', 'EmergencyAccessInvoked'];
+
+class BadRequestError extends Error {}
+
+const parseInteger = (params, key, { min = 0, max = Number.MAX_SAFE_INTEGER } = {}) => {
+  const raw = params.get(key);
+  if (raw === null || raw === '') return undefined;
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new BadRequestError(`Invalid ${key}`);
+  }
+  return value;
+};
+
+const parseAddress = (params, key) => {
+  const raw = params.get(key);
+  if (raw === null || raw === '') return undefined;
+  if (!/^0x[0-9a-fA-F]{40}$/.test(raw)) {
+    throw new BadRequestError(`Invalid ${key}`);
+  }
+  return raw.toLowerCase();
+};
+
+// Filters and pagination shared by every list endpoint
+const parseCommon = (params) => {
+  const order = params.get('order') || 'desc';
+  if (order !== 'asc' && order !== 'desc') {
+    throw new BadRequestError('Invalid order');
+  }
+  return {
+    patient: parseAddress(params, 'patient'),
+    from: parseInteger(params, 'from'),
+    to: parseInteger(params, 'to'),
+    limit: parseInteger(params, 'limit', { min: 1, max: MAX_LIMIT }) ?? DEFAULT_LIMIT,
+    offset: parseInteger(params, 'offset') ?? 0,
+    order
+  };
+};
+
+const parseEventQuery = (params, allowedNames) => {
+  const requested = params.get('name') ? params.get('name').split(',') : allowedNames;
+  if (allowedNames && requested.some((name) => !allowedNames.includes(name))) {
+    throw new BadRequestError('Invalid name');
+  }
+  return {
+    ...parseCommon(params),
+    names: requested,
+    doctor: parseAddress(params, 'doctor'),
+    recordId: parseInteger(params, 'recordId')
+  };
+};
+
+const parseArchived = (params) => {
+  const raw = params.get('archived');
+  if (raw === null || raw === '') return undefined;
+  if (raw !== 'true' && raw !== 'false') {
+    throw new BadRequestError('Invalid archived');
+  }
+  return raw === 'true' ? 1 : 0;
+};
+
+/**
+ * Create the API server
+ * @param {object} options - { db, indexer }
+ */
+export const createServer = ({ db, indexer }) => {
+  const routes = {
+    '/api/status': () => ({ ...indexer.getStatus(), events: db.countEvents() }),
+    '/api/events': (params) => db.queryEvents(parseEventQuery(params)),
+    '/api/grants': (params) => db.queryEvents(parseEventQuery(params, GRANT_EVENTS)),
+    '/api/access': (params) => db.queryEvents(parseEventQuery(params, ACCESS_EVENTS)),
+    '/api/system': (params) => db.queryEvents(parseEventQuery(params, SYSTEM_EVENTS)),
+    '/api/records': (params) =>
+      db.queryRecords({
+        ...parseCommon(params),
+        recordType: params.get('type') || undefined,
+        archived: parseArchived(params)
+      })
+  };
+
+  const send = (res, status, body) => {
+    res.writeHead(status, {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*'
+    });
+    res.end(JSON.stringify(body));
+  };
+
+  return http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const route = routes[url.pathname];
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET',
+        'Access-Control-Allow-Headers': 'Content-Type'
+      });
+      res.end();
+      return;
+    }
+    if (!route) {
+      send(res, 404, { error: 'Not found' });
+      return;
+    }
+    if (req.method !== 'GET') {
+      send(res, 405, { error: 'Method not allowed' });
+      return;
+    }
+
+    try {
+      const result = route(url.searchParams);
+      const { limit, offset } = parseCommon(url.searchParams);
+      send(res, 200, url.pathname === '/api/status' ? result : { ...result, limit, offset });
+    } catch (error) {
+      if (error instanceof BadRequestError) {
+        send(res, 400, { error: error.message });
+      } else {
+        console.error(error);
+        send(res, 500, { error: 'Internal error' });
+      }
+    }
+  });
+};
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { openDatabase } from '../src/db.js';
+
+const PATIENT = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const DOCTOR = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+const CONTRACT = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+
+const event = (blockNumber, logIndex, name, args) => ({
+  blockNumber,
+  logIndex,
+  txHash: `0x${String(blockNumber).padStart(64, '0')}`,
+  timestamp: 1700000000 + blockNumber,
+  name,
+  args
+});
+
+const RECORD_CREATED = event(1, 0, 'RecordCreated', { recordId: '1', patient: PATIENT, recordType: 'Lab Report' });
+
+test('ties events that only carry a record ID to the record\'s patient', () => {
+  const db = openDatabase(':memory:');
+  db.storeBatch([
+    RECORD_CREATED,
+    event(2, 0, 'RecordAccessed', { recordId: '1', accessor: DOCTOR }),
+    event(3, 0, 'RecordArchived', { recordId: '1' })
+  ], 3);
+
+  const { total, items } = db.queryEvents({ patient: PATIENT.toLowerCase(), limit: 10, offset: 0 });
+  assert.equal(total, 3);
+  assert.deepEqual(items.map((item) => item.name), ['RecordArchived', 'RecordAccessed', 'RecordCreated']);
+  assert.equal(items[1].doctor, DOCTOR.toLowerCase());
+  assert.equal(db.queryRecords({ archived: 1, limit: 10, offset: 0 }).items[0].recordId, 1);
+  assert.equal(db.getLastBlock(), 3);
+});
+
+test('keeps what was indexed while the chain and contract stay the same', () => {
+  const db = openDatabase(':memory:');
+
+  assert.equal(db.useDeployment({ chainId: 31337n, contract: CONTRACT }), false);
+  db.storeBatch([RECORD_CREATED], 5);
+
+  assert.equal(db.useDeployment({ chainId: 31337n, contract: CONTRACT.toLowerCase() }), false);
+  assert.equal(db.getLastBlock(), 5);
+  assert.equal(db.countEvents(), 1);
+});
+
+test('clears what was indexed from another chain or contract', () => {
+  const db = openDatabase(':memory:');
+  db.useDeployment({ chainId: 31337n, contract: CONTRACT });
+  db.storeBatch([RECORD_CREATED], 5);
+
+  assert.equal(db.useDeployment({ chainId: 11155111n, contract: CONTRACT }), true);
+  assert.equal(db.getLastBlock(), -1);
+  assert.equal(db.countEvents(), 0);
+  assert.equal(db.queryRecords({ limit: 10, offset: 0 }).total, 0);
+
+  db.storeBatch([RECORD_CREATED], 5);
+  assert.equal(db.useDeployment({ chainId: 11155111n, contract: DOCTOR }), true);
+  assert.equal(db.countEvents(), 0);
+});
+
+test('clears a database indexed before the deployment was recorded', () => {
+  const db = openDatabase(':memory:');
+  db.storeBatch([RECORD_CREATED], 5);
+
+  assert.equal(db.useDeployment({ chainId: 31337n, contract: CONTRACT }), true);
+  assert.equal(db.countEvents(), 0);
+});
@@ -0,0 +1,69 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { openDatabase } from '../src/db.js';
+import { createServer } from '../src/server.js';
+import { SYSTEM_EVENTS } from '../../frontend/src/systemEvents.js';
+
+const PATIENT = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const DOCTOR = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+
+const event = (blockNumber, name, args) => ({
+  blockNumber,
+  logIndex: 0,
+  txHash: `0x${String(blockNumber).padStart(64, '0')}`,
+  timestamp: 1700000000 + blockNumber,
+  name,
+  args
+});
+
+let db;
+let server;
+let baseUrl;
+
+before(async () => {
+  db = openDatabase(':memory:');
+  db.storeBatch([
+    event(1, 'UserRegistered', { user: PATIENT, role: '1' }),
+    event(2, 'RecordCreated', { recordId: '1', patient: PATIENT, recordType: 'Lab Report' }),
+    event(3, 'AccessGranted', { patient: PATIENT, doctor: DOCTOR, expiresAt: '0' }),
+    event(4, 'DoctorVerified', { doctor: DOCTOR })
+  ], 4);
+
+  const indexer = { getStatus: () => ({ contract: null, lastIndexedBlock: db.getLastBlock(), headBlock: 4, confirmations: 0 }) };
+  server = createServer({ db, indexer });
+  await new Promise((resolve) => server.listen(0, resolve));
+  baseUrl = `http://localhost:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  db.close();
+});
+
+const get = async (path) => {
+  const response = await fetch(`${baseUrl}${path}`);
+  return { status: response.status, body: await response.json() };
+};
+
+test('serves only the shared system events from /api/system', async () => {
+  const { status, body } = await get('/api/system');
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.items.map((item) => item.name), ['DoctorVerified', 'UserRegistered']);
+  assert.ok(body.items.every((item) => SYSTEM_EVENTS.includes(item.name)));
+});
+
+test('filters grants by patient and pages them', async () => {
+  const { body } = await get(`/api/grants?patient=${PATIENT}&limit=1`);
+
+  assert.equal(body.total, 1);
+  assert.equal(body.limit, 1);
+  assert.equal(body.items[0].doctor, DOCTOR.toLowerCase());
+});
+
+test('rejects event names outside an endpoint\'s list and malformed filters', async () => {
+  assert.deepEqual(await get('/api/system?name=AccessGranted'), { status: 400, body: { error: 'Invalid name' } });
+  assert.deepEqual(await get('/api/events?patient=0x1234'), { status: 400, body: { error: 'Invalid patient' } });
+  assert.deepEqual(await get('/api/events?limit=501'), { status: 400, body: { error: 'Invalid limit' } });
+  assert.equal((await get('/api/unknown')).status, 404);
+});
@@ -0,0 +1,38 @@
+// Signed requests the relayer forwards, and the MedChainRelay function each one calls
+
+// signer: account that signed the request; args: arguments before the deadline and signature,
+// in the contract's order
+export const ACTIONS = {
+  RegisterUser: {
+    method: 'registerUserBySig',
+    signer: (request) => request.user,
+    args: (request) => [request.user, request.name, request.role]
+  },
+  SetEncryptionKey: {
+    method: 'setEncryptionKeyBySig',
+    signer: (request) => request.user,
+    args: (request) => [request.user, request.publicKey]
+  },
+  CreateRecord: {
+    method: 'createRecordBySig',
+    signer: (request) => request.patient,
+    args: (request) => [
+      request.patient,
+      request.ipfsHash,
+      request.recordType,
+      request.description,
+      request.file,
+      request.wrappedKey
+    ]
+  },
+  GrantAccess: {
+    method: 'grantAccessBySig',
+    signer: (request) => request.patient,
+    args: (request) => [request.patient, request.doctor, request.expiryDuration, request.purpose]
+  },
+  ShareRecordKeys: {
+    method: 'shareRecordKeysBySig',
+    signer: (request) => request.patient,
+    args: (request) => [request.patient, request.reader, request.recordIds, request.wrappedKeys]
+  }
+};
@@ -0,0 +1,28 @@
+// Relayer configuration, read from the environment (see env.template)
+
+import 'dotenv/config';
+import { readFileSync } from 'node:fs';
+
+// Deployment manifest written by blockchain/scripts/deploy.js
+const network = process.env.NETWORK || 'localhost';
+const deployment = JSON.parse(
+  readFileSync(new URL(`../../frontend/src/deployments/${network}.json`, import.meta.url), 'utf8')
+);
+
+if (!process.env.RELAYER_PRIVATE_KEY) {
+  throw new Error('RELAYER_PRIVATE_KEY is not set (see env.template)');
+}
+
+export const CONTRACT_ABI = deployment.abi;
+
+export const config = {
+  rpcUrl: process.env.RPC_URL || 'http://127.0.0.1:8545',
+  contractAddress: deployment.address,
+  privateKey: process.env.RELAYER_PRIVATE_KEY,
+  port: Number(process.env.PORT || 4100),
+  limits: {
+    perIp: Number(process.env.RATE_LIMIT_PER_IP || 30),
+    perSigner: Number(process.env.RATE_LIMIT_PER_SIGNER || 10),
+    windowMs: Number(process.env.RATE_LIMIT_WINDOW_MS || 60000)
+  }
+};
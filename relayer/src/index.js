@@ -0,0 +1,33 @@
+// MedChain relayer: submits patients' EIP-712 signed requests and pays their gas
+
+import { ethers } from 'ethers';
+import { config, CONTRACT_ABI } from './config.js';
+import { createServer } from './server.js';
+
+const provider = new ethers.JsonRpcProvider(config.rpcUrl);
+// The nonce manager keeps concurrent submissions from reusing a transaction nonce
+const wallet = new ethers.NonceManager(new ethers.Wallet(config.privateKey, provider));
+const contract = new ethers.Contract(config.contractAddress, CONTRACT_ABI, wallet);
+
+const server = createServer({ contract, wallet, limits: config.limits });
+
+server.listen(config.port, async () => {
+  const address = await wallet.getAddress();
+  console.log(`Relaying to ${config.contractAddress} from ${address}`);
+  console.log(`API listening on http://localhost:${config.port}`);
+
+  try {
+    if (!(await contract.isRelayer(address))) {
+      console.warn(`⚠️ ${address} is not an enabled relayer; an admin must call setRelayer(${address}, true)`);
+    }
+  } catch (error) {
+    console.error('Could not reach the contract:', error.message);
+  }
+});
+
+const shutdown = () => {
+  server.close();
+  process.exit(0);
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
@@ -0,0 +1,37 @@
+// Fixed-window request counters, so one client or one signer can't flood the relayer
+// with requests it has to simulate (and, if they pass, pay for)
+
+// Sweep finished windows once this many keys are tracked
+const SWEEP_SIZE = 10000;
+
+/**
+ * Create a rate limiter
+ * @param {object} options - { limit: requests per window, windowMs, now: clock, for tests }
+ */
+export const createRateLimiter = ({ limit, windowMs, now = Date.now }) => {
+  const windows = new Map();
+
+  const sweep = (time) => {
+    for (const [key, window] of windows) {
+      if (window.resetAt <= time) windows.delete(key);
+    }
+  };
+
+  return {
+    /**
+     * Count a request for a key
+     * @returns {boolean} Whether the key is still within its limit
+     */
+    take(key) {
+      const time = now();
+      let window = windows.get(key);
+      if (!window || window.resetAt <= time) {
+        if (windows.size >= SWEEP_SIZE) sweep(time);
+        window = { count: 0, resetAt: time + windowMs };
+        windows.set(key, window);
+      }
+      window.count += 1;
+      return window.count <= limit;
+    }
+  };
+};
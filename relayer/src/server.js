@@ -0,0 +1,131 @@
+// HTTP API: accepts signed requests and submits them to MedChain
+
+import http from 'node:http';
+import { ethers } from 'ethers';
+import { ACTIONS } from './actions.js';
+import { createRateLimiter } from './rateLimit.js';
+
+const MAX_BODY_BYTES = 64 * 1024;
+
+// Relay requests allowed per client IP and per signer in each window
+const DEFAULT_LIMITS = { perIp: 30, perSigner: 10, windowMs: 60 * 1000 };
+
+class BadRequestError extends Error {}
+class TooManyRequestsError extends Error {}
+
+const readJson = async (req) => {
+  let size = 0;
+  const chunks = [];
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw new BadRequestError('Request too large');
+    }
+    chunks.push(chunk);
+  }
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+  } catch {
+    throw new BadRequestError('Invalid JSON');
+  }
+};
+
+// Revert reason of a failed call, e.g. "Invalid signature" or "Request expired"
+const revertReason = (error) => error.revert?.args?.[0] || error.reason || error.shortMessage || error.message;
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Create the API server
+ * @param {object} options - { contract, wallet, limits: { perIp, perSigner, windowMs } }
+ */
+export const createServer = ({ contract, wallet, limits = DEFAULT_LIMITS }) => {
+  const ipLimiter = createRateLimiter({ limit: limits.perIp, windowMs: limits.windowMs });
+  const signerLimiter = createRateLimiter({ limit: limits.perSigner, windowMs: limits.windowMs });
+
+  const relay = async (req) => {
+    if (!ipLimiter.take(req.socket.remoteAddress)) {
+      throw new TooManyRequestsError('Too many requests');
+    }
+
+    const body = await readJson(req);
+    if (!isObject(body)) {
+      throw new BadRequestError('Invalid request');
+    }
+    const { action, request, signature } = body;
+    const spec = Object.hasOwn(ACTIONS, action) ? ACTIONS[action] : null;
+    if (!spec) {
+      throw new BadRequestError('Unknown action');
+    }
+    if (!isObject(request) || !ethers.isAddress(spec.signer(request)) || !ethers.isHexString(signature, 65)) {
+      throw new BadRequestError('Invalid request');
+    }
+    if (!signerLimiter.take(spec.signer(request).toLowerCase())) {
+      throw new TooManyRequestsError('Too many requests for this signer');
+    }
+
+    const args = [...spec.args(request), request.deadline, signature];
+
+    // Dry run first, so bad signatures, expired requests and failing checks cost no gas
+    try {
+      await contract[spec.method].staticCall(...args);
+    } catch (error) {
+      throw new BadRequestError(revertReason(error));
+    }
+
+    const tx = await contract[spec.method](...args);
+    console.log(`Relayed ${action} in ${tx.hash}`);
+    return { txHash: tx.hash };
+  };
+
+  const status = async () => {
+    const address = await wallet.getAddress();
+    return {
+      relayer: address,
+      contract: await contract.getAddress(),
+      enabled: await contract.isRelayer(address),
+      balance: ethers.formatEther(await wallet.provider.getBalance(address))
+    };
+  };
+
+  const send = (res, status, body) => {
+    res.writeHead(status, {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*'
+    });
+    res.end(JSON.stringify(body));
+  };
+
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST',
+        'Access-Control-Allow-Headers': 'Content-Type'
+      });
+      res.end();
+      return;
+    }
+
+    try {
+      if (url.pathname === '/api/relay' && req.method === 'POST') {
+        send(res, 200, await relay(req));
+      } else if (url.pathname === '/api/status' && req.method === 'GET') {
+        send(res, 200, await status());
+      } else {
+        send(res, 404, { error: 'Not found' });
+      }
+    } catch (error) {
+      if (error instanceof BadRequestError) {
+        send(res, 400, { error: error.message });
+      } else if (error instanceof TooManyRequestsError) {
+        send(res, 429, { error: error.message });
+      } else {
+        console.error(error);
+        send(res, 500, { error: 'Internal error' });
+      }
+    }
+  });
+};
@@ -0,0 +1,16 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRateLimiter } from '../src/rateLimit.js';
+
+test('allows a key its limit in each window', () => {
+  let time = 0;
+  const limiter = createRateLimiter({ limit: 2, windowMs: 1000, now: () => time });
+
+  assert.equal(limiter.take('a'), true);
+  assert.equal(limiter.take('a'), true);
+  assert.equal(limiter.take('a'), false);
+  assert.equal(limiter.take('b'), true);
+
+  time = 1000;
+  assert.equal(limiter.take('a'), true);
+});
@@ -0,0 +1,97 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from '../src/server.js';
+
+const PATIENT = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const DOCTOR = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+const SIGNATURE = `0x${'11'.repeat(65)}`;
+
+const grant = (patient = PATIENT) => ({
+  action: 'GrantAccess',
+  request: { patient, doctor: DOCTOR, expiryDuration: 0, purpose: 'Checkup', deadline: 1 },
+  signature: SIGNATURE
+});
+
+// Stands in for the MedChain contract: records dry runs and submissions, or reverts with `revert`
+const fakeContract = () => {
+  const calls = { dryRuns: 0, submitted: [] };
+  const grantAccessBySig = async (...args) => {
+    calls.submitted.push(args);
+    return { hash: '0xabc' };
+  };
+  grantAccessBySig.staticCall = async () => {
+    calls.dryRuns += 1;
+    if (fake.revert) throw Object.assign(new Error('reverted'), { reason: fake.revert });
+  };
+  const fake = { calls, revert: null, contract: { grantAccessBySig } };
+  return fake;
+};
+
+let fake;
+let server;
+let baseUrl;
+
+const start = async (limits) => {
+  fake = fakeContract();
+  server = createServer({ contract: fake.contract, wallet: null, limits });
+  await new Promise((resolve) => server.listen(0, resolve));
+  baseUrl = `http://localhost:${server.address().port}`;
+};
+
+beforeEach(() => start({ perIp: 30, perSigner: 10, windowMs: 60000 }));
+
+afterEach(() => {
+  server.close();
+});
+
+const post = async (body) => {
+  const response = await fetch(`${baseUrl}/api/relay`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: typeof body === 'string' ? body : JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+test('submits a request that passes the dry run', async () => {
+  assert.deepEqual(await post(grant()), { status: 200, body: { txHash: '0xabc' } });
+  assert.deepEqual(fake.calls.submitted, [[PATIENT, DOCTOR, 0, 'Checkup', 1, SIGNATURE]]);
+});
+
+test('answers 400 with the revert reason when the dry run fails, without submitting', async () => {
+  fake.revert = 'Invalid signature';
+
+  assert.deepEqual(await post(grant()), { status: 400, body: { error: 'Invalid signature' } });
+  assert.equal(fake.calls.submitted.length, 0);
+});
+
+test('answers 400 to bodies that are not a request object', async () => {
+  for (const body of ['null', '[]', '42', '"GrantAccess"', 'not json']) {
+    assert.equal((await post(body)).status, 400, body);
+  }
+  assert.deepEqual(await post({ ...grant(), action: 'toString' }), { status: 400, body: { error: 'Unknown action' } });
+  assert.deepEqual(await post({ ...grant(), request: null }), { status: 400, body: { error: 'Invalid request' } });
+  assert.deepEqual(await post(grant('0x1234')), { status: 400, body: { error: 'Invalid request' } });
+  assert.equal(fake.calls.dryRuns, 0);
+});
+
+test('limits requests per signer before the dry run', async () => {
+  server.close();
+  await start({ perIp: 30, perSigner: 2, windowMs: 60000 });
+
+  assert.equal((await post(grant())).status, 200);
+  assert.equal((await post(grant(PATIENT.toLowerCase()))).status, 200);
+  assert.deepEqual(await post(grant()), { status: 429, body: { error: 'Too many requests for this signer' } });
+  assert.equal(fake.calls.dryRuns, 2);
+
+  assert.equal((await post(grant(DOCTOR))).status, 200);
+});
+
+test('limits requests per client IP', async () => {
+  server.close();
+  await start({ perIp: 2, perSigner: 10, windowMs: 60000 });
+
+  assert.equal((await post('null')).status, 400);
+  assert.equal((await post(grant())).status, 200);
+  assert.deepEqual(await post(grant(DOCTOR)), { status: 429, body: { error: 'Too many requests' } });
+});